@@ -22,6 +22,12 @@ import employeesRoutes from './routes/employees.js';
 import shiftsRoutes from './routes/shifts.js';
 import productsRoutes from './routes/products.js';
 import salesRoutes from './routes/sales.js';
+import heldCartsRoutes from './routes/heldCarts.js';
+import taxRoutes from './routes/tax.js';
+import promotionsRoutes from './routes/promotions.js';
+import drawersRoutes from './routes/drawers.js';
+import transfersRoutes from './routes/transfers.js';
+import stockTakesRoutes from './routes/stockTakes.js';
 import customersRoutes from './routes/customers.js';
 import creditsRoutes from './routes/credits.js';
 import syncRoutes from './routes/sync.js';
@@ -40,12 +46,19 @@ import pluginsRoutes from './routes/plugins.js';
 import workflowsRoutes from './routes/workflows.js';
 import customerPortalRoutes from './routes/customerPortal.js';
 import notificationsRoutes from './routes/notifications.js';
+import jobsRoutes from './routes/jobs.js';
 
 // Import middleware
 import { auditLogger } from './middleware/auditLogger.js';
 import { errorHandler, notFoundHandler, handleUnhandledRejection, handleUncaughtException } from './middleware/errorHandler.js';
 import { apiLimiter, authLimiter } from './middleware/rateLimiter.js';
 import logger from './utils/logger.js';
+import { attachSocket } from './services/eventBus.js';
+import { registerEventSubscribers } from './services/eventSubscribers.js';
+import pluginManager from './plugins/PluginManager.js';
+import workflowEngine from './services/workflowEngine.js';
+import { registerScheduledJobs } from './services/scheduledJobs.js';
+import { startScheduler } from './services/scheduler.js';
 
 // Create Express app and HTTP server
 const app = express();
@@ -58,6 +71,10 @@ const io = initializeSocket(httpServer);
 // Attach io to app for use in routes
 app.set('io', io);
 
+// Domain events fan out to sockets, workflows and plugin hooks
+attachSocket(io);
+registerEventSubscribers();
+
 // Middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -75,7 +92,7 @@ app.use(cors({
     origin: corsOrigins,
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key']
 }));
 
 // Apply rate limiting to all API routes
@@ -103,6 +120,12 @@ app.use('/api/employees', employeesRoutes);
 app.use('/api/shifts', shiftsRoutes);
 app.use('/api/products', productsRoutes);
 app.use('/api/sales', salesRoutes);
+app.use('/api/held-carts', heldCartsRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/promotions', promotionsRoutes);
+app.use('/api/drawers', drawersRoutes);
+app.use('/api/transfers', transfersRoutes);
+app.use('/api/stock-takes', stockTakesRoutes);
 app.use('/api/customers', customersRoutes);
 app.use('/api/credits', creditsRoutes);
 app.use('/api/sync', syncRoutes);
@@ -121,6 +144,7 @@ app.use('/api/plugins', pluginsRoutes);
 app.use('/api/workflows', workflowsRoutes);
 app.use('/api/customer-portal', customerPortalRoutes);
 app.use('/api/notifications', notificationsRoutes);
+app.use('/api/jobs', jobsRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -147,6 +171,18 @@ const startServer = async () => {
         // Set up Redis shutdown handlers
         setupRedisShutdown();
 
+        // Load active plugins so their event hooks are registered
+        await pluginManager.loadAllPlugins({});
+
+        // Start scheduled reports, workflows, overdue checks and plugin schedules
+        registerScheduledJobs();
+        await startScheduler();
+
+        // Pick up workflow runs a previous process left waiting or running
+        workflowEngine.resumeDueRuns().catch(error => {
+            logger.error('Failed to recover workflow runs:', error);
+        });
+
         // Start listening
         httpServer.listen(PORT, () => {
             console.log(`
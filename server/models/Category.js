@@ -3,6 +3,7 @@
  */
 
 import mongoose from 'mongoose';
+import { trackDeletions } from './Tombstone.js';
 
 const categorySchema = new mongoose.Schema({
     storeId: {
@@ -26,6 +27,11 @@ const categorySchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Tax class for products in this category without one of their own
+    taxClassId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxClass'
+    },
     // Conflict resolution fields
     syncVersion: {
         type: Number,
@@ -49,6 +55,12 @@ categorySchema.index({ storeId: 1, name: 1 });
 // 3. Sync version for conflict detection
 categorySchema.index({ storeId: 1, syncVersion: 1, lastSyncedAt: -1 });
 
+// 4. Delta sync feed (paged by updatedAt, then _id)
+categorySchema.index({ storeId: 1, updatedAt: 1, _id: 1 });
+
+// Record deletions for the delta sync feed
+categorySchema.plugin(trackDeletions, { table: 'categories' });
+
 const Category = mongoose.model('Category', categorySchema);
 
 export default Category;
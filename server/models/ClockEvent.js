@@ -5,6 +5,7 @@
  */
 
 import mongoose from 'mongoose';
+import { trackDeletions } from './Tombstone.js';
 
 const clockEventSchema = new mongoose.Schema({
     storeId: {
@@ -42,9 +43,24 @@ const clockEventSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Takings by tender for drawer reconciliation (cash is net of change)
+    paymentTotals: {
+        cash: { type: Number, default: 0 },
+        card: { type: Number, default: 0 },
+        credit: { type: Number, default: 0 }
+    },
     notes: {
         type: String,
         default: ''
+    },
+    // Conflict resolution fields
+    syncVersion: {
+        type: Number,
+        default: 1
+    },
+    lastSyncedAt: {
+        type: Date,
+        default: Date.now
     }
 }, {
     timestamps: true
@@ -69,6 +85,12 @@ clockEventSchema.index({ storeId: 1, employeeId: 1, clockIn: -1 });
 // 6. High sales shifts
 clockEventSchema.index({ storeId: 1, salesTotal: -1, clockIn: -1 });
 
+// 7. Delta sync feed (paged by updatedAt, then _id)
+clockEventSchema.index({ storeId: 1, updatedAt: 1, _id: 1 });
+
+// Record deletions for the delta sync feed
+clockEventSchema.plugin(trackDeletions, { table: 'clockEvents' });
+
 // Calculate shift duration in hours
 clockEventSchema.methods.getDuration = function () {
     if (!this.clockOut) return 0;
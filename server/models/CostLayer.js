@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Cost Layer Model
+ *
+ * A batch of stock a store took in at one unit cost: a purchase order
+ * receipt, a transfer from another store or a customer return. Sales draw
+ * units down from the layers to work out what the goods sold actually cost.
+ */
+
+import mongoose from 'mongoose';
+
+const costLayerSchema = new mongoose.Schema({
+    storeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        required: true
+    },
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Set when the layer holds a single product variant
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    source: {
+        type: String,
+        enum: [
+            'opening',   // Stock on hand before costing started, at the product's cost price
+            'purchase',  // Purchase order receipt
+            'transfer',  // Received from another store
+            'return',    // Returned by a customer, at the cost it was sold at
+            'count',     // Found on a stock take, at the product's cost price
+            'adjustment' // Added by hand, at the product's cost price
+        ],
+        required: true
+    },
+    referenceType: {
+        type: String,
+        enum: ['PurchaseOrder', 'TransferOrder', 'Sale', 'Refund', 'StockTake', 'StockMovement']
+    },
+    referenceId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // Units taken in
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Units not yet sold; fractional under weighted-average costing
+    remaining: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    unitCost: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for optimized queries
+// 1. Open layers for a product, oldest first
+costLayerSchema.index({ storeId: 1, productId: 1, variantId: 1, remaining: 1, receivedAt: 1 });
+
+// 2. Layers created by a document
+costLayerSchema.index({ referenceType: 1, referenceId: 1 });
+
+const CostLayer = mongoose.model('CostLayer', costLayerSchema);
+
+export default CostLayer;
@@ -1,10 +1,41 @@
 /**
  * @fileoverview Credit Model
  * 
- * Tracks buy-now-pay-later credit purchases
+ * Tracks buy-now-pay-later credit purchases and the payments made against them
  */
 
 import mongoose from 'mongoose';
+import { trackDeletions } from './Tombstone.js';
+
+const paymentSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    method: {
+        type: String,
+        default: 'cash'
+    },
+    reference: String,
+    // Where the payment was taken
+    source: {
+        type: String,
+        enum: ['store', 'portal'],
+        default: 'store'
+    },
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    notes: String,
+    // Set by the register that took the payment, so a resent payment is counted once
+    clientId: String,
+    paidAt: {
+        type: Date,
+        default: Date.now
+    }
+});
 
 const creditSchema = new mongoose.Schema({
     storeId: {
@@ -44,6 +75,8 @@ const creditSchema = new mongoose.Schema({
     notes: {
         type: String
     },
+    // Payment history; amountPaid is their sum
+    payments: [paymentSchema],
     paidAt: {
         type: Date
     },
@@ -79,11 +112,44 @@ creditSchema.index({ storeId: 1, paidAt: -1 });
 // 6. Sync version for conflict detection
 creditSchema.index({ storeId: 1, syncVersion: 1, lastSyncedAt: -1 });
 
+// 7. Delta sync feed (paged by updatedAt, then _id)
+creditSchema.index({ storeId: 1, updatedAt: 1, _id: 1 });
+
+// 8. Customer account balance and aging
+creditSchema.index({ customerId: 1, status: 1, dueDate: 1 });
+
+// Record deletions for the delta sync feed
+creditSchema.plugin(trackDeletions, { table: 'credits' });
+
 // Calculate remaining balance
 creditSchema.methods.getRemainingBalance = function () {
     return this.amount - this.amountPaid;
 };
 
+/**
+ * Record a payment, capped at the remaining balance, and update the status
+ * @param {number} amount - Amount offered
+ * @param {Object} [details] - { method, reference, source, receivedBy, notes }
+ * @returns {number} Amount actually applied
+ */
+creditSchema.methods.recordPayment = function (amount, details = {}) {
+    const applied = Math.round(Math.min(amount, this.getRemainingBalance()) * 100) / 100;
+    if (applied <= 0) return 0;
+
+    this.payments.push({ ...details, amount: applied });
+    this.amountPaid = Math.round((this.amountPaid + applied) * 100) / 100;
+
+    if (this.amountPaid >= this.amount) {
+        this.status = 'paid';
+        this.paidAt = new Date();
+    } else {
+        // A part payment does not clear an overdue balance
+        this.status = this.isOverdue() ? 'overdue' : 'partial';
+    }
+
+    return applied;
+};
+
 // Check if overdue
 creditSchema.methods.isOverdue = function () {
     return new Date() > this.dueDate && this.status !== 'paid';
@@ -3,6 +3,7 @@
  */
 
 import mongoose from 'mongoose';
+import { trackDeletions } from './Tombstone.js';
 
 const customerSchema = new mongoose.Schema({
     storeId: {
@@ -43,6 +44,11 @@ const customerSchema = new mongoose.Schema({
     lastOrderDate: {
         type: Date
     },
+    // Most the customer may owe on credit at once (unset means no limit)
+    creditLimit: {
+        type: Number,
+        min: 0
+    },
     // Conflict resolution fields
     syncVersion: {
         type: Number,
@@ -78,6 +84,12 @@ customerSchema.index({ storeId: 1, lastOrderDate: -1 });
 // 7. Sync version for conflict detection
 customerSchema.index({ storeId: 1, syncVersion: 1, lastSyncedAt: -1 });
 
+// 8. Delta sync feed (paged by updatedAt, then _id)
+customerSchema.index({ storeId: 1, updatedAt: 1, _id: 1 });
+
+// Record deletions for the delta sync feed
+customerSchema.plugin(trackDeletions, { table: 'customers' });
+
 const Customer = mongoose.model('Customer', customerSchema);
 
 export default Customer;
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Drawer Session Model
+ *
+ * One register's cash drawer from opening float to close. Records cash
+ * drops, paid-ins, paid-outs and cash refunds, and at close the cash counted
+ * by denomination against what the drawer should hold.
+ *
+ * Sessions are opened and run on the register (offline if need be) and
+ * pushed here; `clientId` makes those pushes idempotent.
+ */
+
+import mongoose from 'mongoose';
+
+// Number of notes/coins of one denomination
+const denominationCountSchema = new mongoose.Schema({
+    denomination: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    count: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, { _id: false });
+
+const drawerMovementSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['drop', 'paid_in', 'paid_out', 'refund'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    // Refund or receipt the movement relates to
+    reference: String,
+    employeeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const drawerSessionSchema = new mongoose.Schema({
+    storeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        required: true
+    },
+    // Register (device) the drawer belongs to; sales carry the same id
+    registerId: {
+        type: String,
+        required: true
+    },
+    registerName: String,
+    employeeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee'
+    },
+    clockEventId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ClockEvent'
+    },
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open'
+    },
+    openedAt: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    openingFloat: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    openingCount: [denominationCountSchema],
+    movements: [drawerMovementSchema],
+    closedAt: Date,
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee'
+    },
+    closingCount: [denominationCountSchema],
+    countedCash: Number,
+    expectedCash: Number,
+    // Counted less expected: negative when the drawer is short
+    variance: Number,
+    // Z report as it stood at close
+    report: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    notes: {
+        type: String,
+        default: ''
+    },
+    // Id the register gave the session, so a retried push isn't recorded twice
+    clientId: String,
+    // Conflict resolution fields
+    syncVersion: {
+        type: Number,
+        default: 1
+    },
+    lastSyncedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for optimized queries
+// 1. Sessions by date (drawer history)
+drawerSessionSchema.index({ storeId: 1, openedAt: -1 });
+
+// 2. A register's sessions
+drawerSessionSchema.index({ storeId: 1, registerId: 1, openedAt: -1 });
+
+// 3. Open drawers
+drawerSessionSchema.index({ storeId: 1, status: 1 });
+
+// 4. Idempotent pushes from the register
+drawerSessionSchema.index(
+    { storeId: 1, clientId: 1 },
+    { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
+// Total of a denomination count
+drawerSessionSchema.statics.countTotal = function (counts = []) {
+    return Math.round(counts.reduce((sum, c) => sum + c.denomination * c.count, 0) * 100) / 100;
+};
+
+const DrawerSession = mongoose.model('DrawerSession', drawerSessionSchema);
+
+export default DrawerSession;
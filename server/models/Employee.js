@@ -6,6 +6,7 @@
 
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { trackDeletions } from './Tombstone.js';
 
 const employeeSchema = new mongoose.Schema({
     storeId: {
@@ -75,6 +76,12 @@ employeeSchema.index({ storeId: 1, role: 1 });
 // 5. Sync version for conflict detection
 employeeSchema.index({ storeId: 1, syncVersion: 1, lastSyncedAt: -1 });
 
+// 6. Delta sync feed (paged by updatedAt, then _id)
+employeeSchema.index({ storeId: 1, updatedAt: 1, _id: 1 });
+
+// Record deletions for the delta sync feed
+employeeSchema.plugin(trackDeletions, { table: 'employees' });
+
 // Hash PIN before saving (optional, depending on security needs)
 employeeSchema.pre('save', async function (next) {
     if (!this.isModified('pin') || !this.pin) return next();
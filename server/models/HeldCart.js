@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Held Cart Model
+ *
+ * A cart parked at the register so another customer can be served.
+ * Any register in the store can resume it; resuming deletes the record.
+ */
+
+import mongoose from 'mongoose';
+
+const heldCartItemSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Set when the line is a specific product variant
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    variantName: String,
+    name: String,
+    price: Number,
+    originalPrice: Number,
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    imageUrl: String
+}, { _id: false });
+
+const heldCartSchema = new mongoose.Schema({
+    storeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        required: true
+    },
+    label: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    items: [heldCartItemSchema],
+    discount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    discountType: {
+        type: String,
+        enum: ['percent', 'fixed'],
+        default: 'percent'
+    },
+    // Coupons entered on the cart
+    couponCodes: [String],
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+    notes: {
+        type: String,
+        default: ''
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    employeeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee'
+    },
+    // Conflict resolution fields
+    syncVersion: {
+        type: Number,
+        default: 1
+    },
+    lastSyncedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for optimized queries
+// 1. Parked carts for a store, oldest first
+heldCartSchema.index({ storeId: 1, createdAt: 1 });
+
+const HeldCart = mongoose.model('HeldCart', heldCartSchema);
+
+export default HeldCart;
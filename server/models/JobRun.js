@@ -0,0 +1,56 @@
+/**
+ * @fileoverview JobRun Model
+ *
+ * History of scheduler job runs (scheduled reports, workflows, overdue
+ * checks). Runs expire after JOB_RUN_RETENTION_DAYS.
+ */
+
+import mongoose from 'mongoose';
+
+export const JOB_RUN_RETENTION_DAYS = 30;
+
+const jobRunSchema = new mongoose.Schema({
+    // Scheduler job name, e.g. 'scheduled-reports'
+    name: {
+        type: String,
+        required: true
+    },
+    trigger: {
+        type: String,
+        enum: ['schedule', 'manual'],
+        default: 'schedule'
+    },
+    status: {
+        type: String,
+        enum: ['running', 'completed', 'failed'],
+        default: 'running'
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: Date,
+    durationMs: Number,
+    // Whatever the job reported, e.g. { processed: 3, failed: 0 }
+    result: mongoose.Schema.Types.Mixed,
+    error: String,
+    // User who started a manual run
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+});
+
+// Indexes for optimized queries
+// 1. History per job, newest first
+jobRunSchema.index({ name: 1, startedAt: -1 });
+
+// 2. History filtered by status
+jobRunSchema.index({ status: 1, startedAt: -1 });
+
+// 3. Expire old runs
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: JOB_RUN_RETENTION_DAYS * 24 * 60 * 60 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+export default JobRun;
@@ -96,6 +96,32 @@ const pluginSchema = new mongoose.Schema({
     lastActivatedAt: Date,
     lastDeactivatedAt: Date,
 
+    // Installed package (absent for plugins whose code ships with the server)
+    package: {
+        checksum: String, // SHA-256 of the package file
+        signedBy: String, // Trusted key the manifest was signed with; empty if unsigned
+        source: { type: String, enum: ['upload', 'registry'] },
+        main: String, // Entry file inside the unpacked package
+        host: String, // Compatible POS server versions
+        installedAt: Date,
+        // Versions this one replaced, oldest first, for rollback
+        history: [{
+            version: String,
+            checksum: String,
+            signedBy: String,
+            source: String,
+            installedAt: Date,
+            replacedAt: Date
+        }]
+    },
+
+    // Sandbox limits, set by the store's admins rather than the plugin
+    sandbox: {
+        memoryMb: { type: Number, default: 64, min: 16, max: 1024 },
+        timeoutMs: { type: Number, default: 10000, min: 100, max: 120000 },
+        maxRestarts: { type: Number, default: 3, min: 0, max: 20 }
+    },
+
     // Error tracking
     errors: [{
         message: String,
@@ -107,7 +133,10 @@ const pluginSchema = new mongoose.Schema({
     stats: {
         activations: { type: Number, default: 0 },
         apiCalls: { type: Number, default: 0 },
-        lastUsed: Date
+        lastUsed: Date,
+        crashes: { type: Number, default: 0 },
+        restarts: { type: Number, default: 0 },
+        lastCrashAt: Date
     },
 
     // Dependencies
@@ -163,6 +192,18 @@ pluginSchema.methods.recordError = function(error) {
     return this.save();
 };
 
+pluginSchema.methods.recordCrash = function(error) {
+    this.stats.crashes += 1;
+    this.stats.lastCrashAt = new Date();
+    return this.recordError(error);
+};
+
+pluginSchema.methods.recordRestart = function() {
+    this.status = 'active';
+    this.stats.restarts += 1;
+    return this.save();
+};
+
 pluginSchema.methods.incrementApiCalls = function() {
     this.stats.apiCalls += 1;
     this.stats.lastUsed = new Date();
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview PluginSchedule Model
+ *
+ * Cron jobs plugins register with api.schedule, one per plugin function and
+ * store install. The plugin manager runs them while the plugin is active
+ * and drops them when it is deactivated or uninstalled.
+ */
+
+import mongoose from 'mongoose';
+import { nextCronRun, isValidCron } from '../utils/cron.js';
+
+const pluginScheduleSchema = new mongoose.Schema({
+    pluginId: {
+        type: String,
+        required: true
+    },
+    storeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store'
+    },
+    organizationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+    },
+    // Name of the plugin function to run
+    handler: {
+        type: String,
+        required: true
+    },
+    cronExpression: {
+        type: String,
+        required: true
+    },
+    nextRunAt: Date,
+
+    // Run history
+    lastRunAt: Date,
+    lastStatus: {
+        type: String,
+        enum: ['completed', 'failed']
+    },
+    lastError: String,
+    lastDurationMs: Number,
+    runs: { type: Number, default: 0 },
+    failures: { type: Number, default: 0 },
+    consecutiveFailures: { type: Number, default: 0 }
+}, {
+    timestamps: true
+});
+
+// Indexes for optimized queries
+// 1. One schedule per plugin function and install
+pluginScheduleSchema.index({ pluginId: 1, storeId: 1, handler: 1 }, { unique: true });
+
+// 2. Due schedules
+pluginScheduleSchema.index({ nextRunAt: 1 });
+
+// Reject cron schedules the scheduler could never run
+pluginScheduleSchema.pre('validate', function(next) {
+    if (!isValidCron(this.cronExpression)) {
+        this.invalidate('cronExpression', 'A valid five-field cron expression is required');
+    } else if (this.isModified('cronExpression') || !this.nextRunAt) {
+        this.nextRunAt = nextCronRun(this.cronExpression);
+    }
+    next();
+});
+
+const PluginSchedule = mongoose.model('PluginSchedule', pluginScheduleSchema);
+
+export default PluginSchedule;
@@ -3,6 +3,44 @@
  */
 
 import mongoose from 'mongoose';
+import { trackDeletions } from './Tombstone.js';
+
+/**
+ * A sellable combination of option values (e.g. size M, colour Red).
+ * Each variant carries its own identifiers, pricing and stock.
+ */
+const variantSchema = new mongoose.Schema({
+    options: {
+        type: Map,
+        of: String,
+        default: {}
+    },
+    sku: {
+        type: String,
+        trim: true
+    },
+    barcode: {
+        type: String,
+        trim: true
+    },
+    price: {
+        type: Number,
+        min: 0
+    },
+    costPrice: {
+        type: Number,
+        min: 0
+    },
+    quantity: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+});
 
 const productSchema = new mongoose.Schema({
     storeId: {
@@ -27,6 +65,16 @@ const productSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Category'
     },
+    // Overrides the category's tax class
+    taxClassId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxClass'
+    },
+    // Preferred supplier, used when suggesting purchase orders
+    supplierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier'
+    },
     price: {
         type: Number,
         required: true,
@@ -47,6 +95,11 @@ const productSchema = new mongoose.Schema({
         default: 5,
         min: 0
     },
+    // Aisle, shelf or bin the product is kept in; stock takes can count one location
+    location: {
+        type: String,
+        trim: true
+    },
     imageUrl: {
         type: String
     },
@@ -62,6 +115,13 @@ const productSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // Option axes, e.g. [{ name: 'Size', values: ['S', 'M', 'L'] }]
+    options: [{
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        values: [{ type: String, trim: true }]
+    }],
+    variants: [variantSchema],
     // Conflict resolution fields
     syncVersion: {
         type: Number,
@@ -97,6 +157,105 @@ productSchema.index({ storeId: 1, name: 'text', sku: 'text' });
 // 7. Sync version for conflict detection
 productSchema.index({ storeId: 1, syncVersion: 1, lastSyncedAt: -1 });
 
+// 8. Delta sync feed (paged by updatedAt, then _id)
+productSchema.index({ storeId: 1, updatedAt: 1, _id: 1 });
+
+// 9. Variant barcode lookup
+productSchema.index({ storeId: 1, 'variants.barcode': 1 });
+
+// 10. Variant SKU lookup
+productSchema.index({ storeId: 1, 'variants.sku': 1 });
+
+// Product stock is the sum of its variants' stock when variants exist
+productSchema.pre('save', function (next) {
+    if (this.variants?.length > 0) {
+        this.quantity = this.variants.reduce((sum, v) => sum + (v.quantity || 0), 0);
+    }
+    next();
+});
+
+/**
+ * Human-readable variant label, e.g. "M / Red"
+ * @param {Object} variant - Variant subdocument or plain object
+ * @returns {string}
+ */
+productSchema.statics.variantLabel = function (variant) {
+    const options = variant?.options instanceof Map
+        ? Object.fromEntries(variant.options)
+        : (variant?.options || {});
+    return Object.values(options).filter(Boolean).join(' / ');
+};
+
+/**
+ * Atomically adjust stock, keeping the product total in step with the variant
+ * @param {string} productId - Product ID
+ * @param {string|null} variantId - Variant ID, or null for products without variants
+ * @param {number} delta - Units to add (negative to remove)
+ * @param {Object} [options] - Query options (e.g. { session })
+ */
+productSchema.statics.adjustStock = function (productId, variantId, delta, options = {}) {
+    if (variantId) {
+        return this.updateOne(
+            { _id: productId, 'variants._id': variantId },
+            { $inc: { 'variants.$.quantity': delta, quantity: delta } },
+            options
+        );
+    }
+    return this.updateOne({ _id: productId }, { $inc: { quantity: delta } }, options);
+};
+
+/**
+ * Merge edited variants onto the stored ones. Stock on existing variants only
+ * changes through stock movements, so their stored quantity is kept.
+ * @param {Array} existing - Current variants
+ * @param {Array} incoming - Variants from the client
+ * @returns {{ variants: Array, quantity: number }}
+ */
+productSchema.statics.reconcileVariants = function (existing = [], incoming = []) {
+    const stored = new Map(existing.map(v => [String(v._id), v]));
+
+    const variants = incoming.map(variant => {
+        const current = variant._id ? stored.get(String(variant._id)) : null;
+        return {
+            ...variant,
+            quantity: current ? current.quantity : Math.max(0, Number(variant.quantity) || 0)
+        };
+    });
+
+    return {
+        variants,
+        quantity: variants.reduce((sum, v) => sum + v.quantity, 0)
+    };
+};
+
+/**
+ * Find a product by barcode or SKU, matching either the product itself or
+ * one of its variants
+ * @param {string} storeId - Store ID
+ * @param {string} code - Barcode or SKU
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Transaction session
+ * @returns {Promise<{ product: Object, variant: Object|null }|null>}
+ */
+productSchema.statics.findByCode = async function (storeId, code, { session } = {}) {
+    const product = await this.findOne({
+        storeId,
+        $or: [
+            { barcode: code },
+            { sku: code },
+            { 'variants.barcode': code },
+            { 'variants.sku': code }
+        ]
+    }).session(session || null);
+    if (!product) return null;
+
+    const variant = product.variants.find(v => v.barcode === code || v.sku === code) || null;
+    return { product, variant };
+};
+
+// Record deletions for the delta sync feed
+productSchema.plugin(trackDeletions, { table: 'products' });
+
 const Product = mongoose.model('Product', productSchema);
 
 export default Product;
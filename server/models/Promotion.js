@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Promotion Model
+ *
+ * Rules the POS applies to the cart automatically:
+ * - buy_x_get_y: buy `buyQuantity`, get `getQuantity` at `discountValue`% off (0 or 100 = free)
+ * - bundle: the `bundleItems` together for `bundlePrice`
+ * - spend_threshold: `discountValue` (percent or fixed) off once the cart reaches `minSubtotal`
+ * - category_discount: `discountValue`% off the targeted products/categories
+ * - happy_hour: as category_discount, only inside the `schedule` window
+ *
+ * Any promotion with a `couponCode` applies only once that code is entered.
+ */
+
+import mongoose from 'mongoose';
+
+const bundleItemSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    quantity: {
+        type: Number,
+        default: 1,
+        min: 1
+    }
+}, { _id: false });
+
+const promotionSchema = new mongoose.Schema({
+    storeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+    type: {
+        type: String,
+        enum: ['buy_x_get_y', 'bundle', 'spend_threshold', 'category_discount', 'happy_hour'],
+        required: true
+    },
+    // Lines the promotion applies to; none of either means every product
+    productIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    // Category ids as the POS knows them (categories are kept on the device)
+    categoryIds: [String],
+    discountType: {
+        type: String,
+        enum: ['percent', 'fixed'],
+        default: 'percent'
+    },
+    discountValue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // buy_x_get_y
+    buyQuantity: {
+        type: Number,
+        min: 1
+    },
+    getQuantity: {
+        type: Number,
+        min: 1
+    },
+    // bundle
+    bundleItems: [bundleItemSchema],
+    bundlePrice: {
+        type: Number,
+        min: 0
+    },
+    // spend_threshold
+    minSubtotal: {
+        type: Number,
+        min: 0
+    },
+    // Days (0 = Sunday) and local times ("HH:mm") the promotion runs; required for happy_hour
+    schedule: {
+        daysOfWeek: [{
+            type: Number,
+            min: 0,
+            max: 6
+        }],
+        startTime: String,
+        endTime: String
+    },
+    couponCode: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    startDate: Date,
+    endDate: Date,
+    // Higher priority promotions are applied first
+    priority: {
+        type: Number,
+        default: 0
+    },
+    // Non-stackable promotions never share a line with another promotion
+    stackable: {
+        type: Boolean,
+        default: false
+    },
+    // Sales the promotion may be used on (unset = unlimited)
+    usageLimit: {
+        type: Number,
+        min: 1
+    },
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for optimized queries
+// 1. Promotions running for a store
+promotionSchema.index({ storeId: 1, isActive: 1, priority: -1 });
+
+// 2. One promotion per coupon code
+promotionSchema.index(
+    { storeId: 1, couponCode: 1 },
+    { unique: true, partialFilterExpression: { couponCode: { $type: 'string' } } }
+);
+
+// Check the fields each promotion type relies on
+promotionSchema.pre('validate', function (next) {
+    if (!this.couponCode) {
+        this.couponCode = undefined;
+    }
+
+    switch (this.type) {
+        case 'buy_x_get_y':
+            if (!this.buyQuantity || !this.getQuantity) {
+                this.invalidate('buyQuantity', 'Buy and get quantities are required');
+            }
+            break;
+        case 'bundle':
+            if (this.bundleItems.length === 0 || this.bundlePrice === undefined || this.bundlePrice === null) {
+                this.invalidate('bundleItems', 'Bundle items and a bundle price are required');
+            }
+            break;
+        case 'spend_threshold':
+            if (!this.minSubtotal) {
+                this.invalidate('minSubtotal', 'A minimum spend is required');
+            }
+            break;
+        case 'happy_hour':
+            if (!this.schedule?.startTime || !this.schedule?.endTime) {
+                this.invalidate('schedule', 'Happy hours need a start and end time');
+            }
+            break;
+    }
+
+    if (this.discountType === 'percent' && this.discountValue > 100) {
+        this.invalidate('discountValue', 'A percentage discount cannot exceed 100');
+    }
+
+    next();
+});
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+export default Promotion;
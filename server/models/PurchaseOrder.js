@@ -12,6 +12,15 @@ const purchaseOrderItemSchema = new mongoose.Schema({
         ref: 'Product',
         required: true
     },
+    // Set when ordering a specific product variant
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // The supplier's code for the product, from the supplier catalog
+    supplierSku: {
+        type: String,
+        trim: true
+    },
     quantity: {
         type: Number,
         required: true,
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Refund Model
+ *
+ * Records a full or partial return against a completed sale
+ */
+
+import mongoose from 'mongoose';
+
+const refundItemSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Set when the line is a specific product variant
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    variantName: String,
+    name: String,
+    price: Number,
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    restocked: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+    storeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        required: true
+    },
+    saleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Sale',
+        required: true
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    employeeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee'
+    },
+    items: [refundItemSchema],
+    subtotal: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    discount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    tax: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    total: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Portion of the total written off an outstanding credit balance
+    creditAdjustment: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Portion of the total handed back to the customer
+    amountReturned: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    refundMethod: {
+        type: String,
+        enum: ['cash', 'card', 'credit'],
+        default: 'cash'
+    },
+    loyaltyPointsReversed: {
+        type: Number,
+        default: 0
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    // Conflict resolution fields
+    syncVersion: {
+        type: Number,
+        default: 1
+    },
+    lastSyncedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for optimized queries
+// 1. Refunds by date (reports)
+refundSchema.index({ storeId: 1, createdAt: -1 });
+
+// 2. Refunds issued against a sale
+refundSchema.index({ storeId: 1, saleId: 1 });
+
+// 3. Customer refund history
+refundSchema.index({ storeId: 1, customerId: 1, createdAt: -1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+export default Refund;
@@ -3,6 +3,49 @@
  */
 
 import mongoose from 'mongoose';
+import { trackDeletions } from './Tombstone.js';
+
+// Tax charged on a sale line at one rate
+const lineTaxSchema = new mongoose.Schema({
+    name: String,
+    rate: Number,
+    compound: {
+        type: Boolean,
+        default: false
+    },
+    amount: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+// Discount a promotion gave on a sale line
+const linePromotionSchema = new mongoose.Schema({
+    promotionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion'
+    },
+    name: String,
+    amount: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+// A promotion applied to the sale, with the total discount it gave
+const appliedPromotionSchema = new mongoose.Schema({
+    promotionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion'
+    },
+    name: String,
+    type: String,
+    couponCode: String,
+    amount: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
 
 const saleItemSchema = new mongoose.Schema({
     productId: {
@@ -10,12 +53,68 @@ const saleItemSchema = new mongoose.Schema({
         ref: 'Product',
         required: true
     },
+    // Set when the line is a specific product variant
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    variantName: String,
     name: String,
     price: Number,
     quantity: {
         type: Number,
         required: true,
         min: 1
+    },
+    refundedQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Promotion discount on the whole line, and which promotions gave it
+    promotionDiscount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    promotions: [linePromotionSchema],
+    taxClassId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxClass'
+    },
+    // Tax on the whole line, after its share of the order discount
+    taxAmount: {
+        type: Number,
+        default: 0
+    },
+    taxes: [lineTaxSchema],
+    // Cost of one unit when sold, from the store's cost layers (COGS = unitCost x units kept)
+    unitCost: {
+        type: Number,
+        min: 0
+    }
+}, { _id: false });
+
+// One tender applied to a sale (split tender records several)
+const paymentSchema = new mongoose.Schema({
+    method: {
+        type: String,
+        enum: ['cash', 'card', 'credit'],
+        required: true
+    },
+    // Amount tendered; for cash this can exceed what is owed
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    reference: {
+        type: String,
+        trim: true
+    },
+    changeGiven: {
+        type: Number,
+        default: 0,
+        min: 0
     }
 }, { _id: false });
 
@@ -41,12 +140,24 @@ const saleSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'ClockEvent'
     },
+    // Register the sale was rung up on (for cash drawer reports)
+    registerId: {
+        type: String
+    },
     items: [saleItemSchema],
     subtotal: {
         type: Number,
         required: true,
         min: 0
     },
+    // Promotions applied automatically or by coupon
+    promotionDiscount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    promotions: [appliedPromotionSchema],
+    // Manual order discount, taken after promotions
     discount: {
         type: Number,
         default: 0,
@@ -57,15 +168,26 @@ const saleSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    // Whether item prices already included tax when the sale was rung up
+    pricesIncludeTax: {
+        type: Boolean,
+        default: false
+    },
+    // Costing method the line unit costs were worked out with
+    costingMethod: {
+        type: String,
+        enum: ['fifo', 'average']
+    },
     total: {
         type: Number,
         required: true,
         min: 0
     },
+    payments: [paymentSchema],
+    // Summary of payments: the single method used, or 'split'
     paymentMethod: {
         type: String,
-        enum: ['cash', 'card', 'credit'],
-        required: true
+        enum: ['cash', 'card', 'credit', 'split']
     },
     paymentStatus: {
         type: String,
@@ -77,6 +199,20 @@ const saleSchema = new mongoose.Schema({
         enum: ['completed', 'voided', 'refunded'],
         default: 'completed'
     },
+    // Refunds issued against this sale
+    refundedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    refunds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Refund'
+    }],
+    // Client-generated key so a retried POST does not record the sale twice
+    idempotencyKey: {
+        type: String
+    },
     // Conflict resolution fields
     syncVersion: {
         type: Number,
@@ -103,6 +239,9 @@ saleSchema.index({ storeId: 1, customerId: 1, createdAt: -1 });
 // 4. Payment method analytics
 saleSchema.index({ storeId: 1, paymentMethod: 1, createdAt: -1 });
 
+// 4b. Split tender analytics
+saleSchema.index({ storeId: 1, 'payments.method': 1, createdAt: -1 });
+
 // 5. Payment status tracking
 saleSchema.index({ storeId: 1, paymentStatus: 1, createdAt: -1 });
 
@@ -118,6 +257,52 @@ saleSchema.index({ storeId: 1, total: -1, createdAt: -1 });
 // 9. Sync version for conflict detection
 saleSchema.index({ storeId: 1, syncVersion: 1, lastSyncedAt: -1 });
 
+// 10. Idempotent sale creation (only sales that carry a key)
+saleSchema.index(
+    { storeId: 1, idempotencyKey: 1 },
+    { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+// 11. Delta sync feed (paged by updatedAt, then _id)
+saleSchema.index({ storeId: 1, updatedAt: 1, _id: 1 });
+
+// 12. Promotion reporting
+saleSchema.index({ storeId: 1, 'promotions.promotionId': 1, createdAt: -1 });
+
+// 13. Register sales (cash drawer reports)
+saleSchema.index({ storeId: 1, registerId: 1, createdAt: 1 });
+
+// Record deletions for the delta sync feed
+saleSchema.plugin(trackDeletions, { table: 'sales' });
+
+// Derive payments from a legacy single paymentMethod and keep the summary in step
+saleSchema.pre('validate', function (next) {
+    if ((!this.payments || this.payments.length === 0) && this.paymentMethod && this.paymentMethod !== 'split') {
+        this.payments = [{ method: this.paymentMethod, amount: this.total }];
+    }
+
+    const methods = [...new Set(this.payments.map(p => p.method))];
+    if (methods.length === 0) {
+        this.invalidate('payments', 'At least one payment is required');
+    } else {
+        this.paymentMethod = methods.length === 1 ? methods[0] : 'split';
+    }
+
+    next();
+});
+
+// Amount applied to the sale by a method (tendered less change), or by all
+// methods. Legacy sales saved before split tender only carry paymentMethod.
+saleSchema.methods.getPaidAmount = function (method = null) {
+    const payments = this.payments?.length > 0 || !this.paymentMethod || this.paymentMethod === 'split'
+        ? this.payments || []
+        : [{ method: this.paymentMethod, amount: this.total || 0 }];
+
+    return payments
+        .filter(p => !method || p.method === method)
+        .reduce((sum, p) => sum + p.amount - (p.changeGiven || 0), 0);
+};
+
 const Sale = mongoose.model('Sale', saleSchema);
 
 export default Sale;
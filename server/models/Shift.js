@@ -5,6 +5,7 @@
  */
 
 import mongoose from 'mongoose';
+import { trackDeletions } from './Tombstone.js';
 
 const shiftSchema = new mongoose.Schema({
     storeId: {
@@ -37,6 +38,15 @@ const shiftSchema = new mongoose.Schema({
     notes: {
         type: String,
         default: ''
+    },
+    // Conflict resolution fields
+    syncVersion: {
+        type: Number,
+        default: 1
+    },
+    lastSyncedAt: {
+        type: Date,
+        default: Date.now
     }
 }, {
     timestamps: true
@@ -55,6 +65,12 @@ shiftSchema.index({ storeId: 1, status: 1, date: 1 });
 // 4. Upcoming shifts (scheduled, not started)
 shiftSchema.index({ storeId: 1, status: 1, date: 1, startTime: 1 });
 
+// 5. Delta sync feed (paged by updatedAt, then _id)
+shiftSchema.index({ storeId: 1, updatedAt: 1, _id: 1 });
+
+// Record deletions for the delta sync feed
+shiftSchema.plugin(trackDeletions, { table: 'shifts' });
+
 const Shift = mongoose.model('Shift', shiftSchema);
 
 export default Shift;
@@ -19,6 +19,10 @@ const stockMovementSchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    // Set when the movement applies to a single product variant
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
     type: {
         type: String,
         enum: [
@@ -53,7 +57,7 @@ const stockMovementSchema = new mongoose.Schema({
     },
     referenceType: {
         type: String,
-        enum: ['Sale', 'PurchaseOrder', 'Transfer', 'Adjustment', 'Return']
+        enum: ['Sale', 'PurchaseOrder', 'Transfer', 'Adjustment', 'Return', 'StockTake']
     },
     referenceId: {
         type: mongoose.Schema.Types.ObjectId
@@ -74,6 +78,10 @@ const stockMovementSchema = new mongoose.Schema({
         required: true
     },
     notes: String,
+    // Set by the device that made the change, so a resent change is applied once
+    clientId: {
+        type: String
+    },
     metadata: {
         type: mongoose.Schema.Types.Mixed
     }
@@ -85,17 +93,32 @@ const stockMovementSchema = new mongoose.Schema({
 stockMovementSchema.index({ storeId: 1, productId: 1, createdAt: -1 });
 stockMovementSchema.index({ storeId: 1, type: 1, createdAt: -1 });
 stockMovementSchema.index({ referenceType: 1, referenceId: 1 });
+stockMovementSchema.index(
+    { storeId: 1, clientId: 1 },
+    { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
 
 // Static method to create movement and update product quantity
-stockMovementSchema.statics.createMovement = async function(data) {
+// Pass { session } to write both inside a transaction
+stockMovementSchema.statics.createMovement = async function(data, { session } = {}) {
     const Product = mongoose.model('Product');
 
-    const product = await Product.findById(data.productId);
+    const product = await Product.findById(data.productId).session(session || null);
     if (!product) {
         throw new Error('Product not found');
     }
 
-    const previousQuantity = product.quantity;
+    // Products with variants hold their stock on the variants
+    const variant = data.variantId ? product.variants.id(data.variantId) : null;
+    if (data.variantId && !variant) {
+        throw new Error('Variant not found');
+    }
+    if (!variant && product.variants?.length > 0) {
+        throw new Error('A variant must be specified for this product');
+    }
+
+    const stockHolder = variant || product;
+    const previousQuantity = stockHolder.quantity;
     const newQuantity = previousQuantity + data.quantity;
 
     if (newQuantity < 0) {
@@ -103,19 +126,19 @@ stockMovementSchema.statics.createMovement = async function(data) {
     }
 
     // Calculate cost impact
-    const costImpact = data.quantity * (product.costPrice || 0);
+    const costImpact = data.quantity * (stockHolder.costPrice ?? product.costPrice ?? 0);
 
     // Create movement record
-    const movement = await this.create({
+    const [movement] = await this.create([{
         ...data,
         previousQuantity,
         newQuantity,
         costImpact
-    });
+    }], { session });
 
-    // Update product quantity
-    product.quantity = newQuantity;
-    await product.save();
+    // Update stock (the product total is re-summed from variants on save)
+    stockHolder.quantity = newQuantity;
+    await product.save({ session });
 
     return movement;
 };
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Stock Take Model
+ *
+ * A physical count of a store's stock, scoped to the whole store, one
+ * category or one shelf location. Expected quantities are frozen when the
+ * count starts; counts come in from one or more devices, and once a manager
+ * approves the variances they are posted as stock adjustments.
+ */
+
+import mongoose from 'mongoose';
+
+// A product (or variant) to count, with what the system expected when the count started
+const countLineSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // Snapshot used to find the line when scanning
+    name: {
+        type: String,
+        required: true
+    },
+    variantName: String,
+    sku: String,
+    barcode: String,
+    categoryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    },
+    location: String,
+    expectedQuantity: {
+        type: Number,
+        required: true
+    },
+    costPrice: {
+        type: Number,
+        default: 0
+    },
+    // Null until the line has been counted
+    countedQuantity: {
+        type: Number,
+        default: null,
+        min: 0
+    },
+    countedAt: Date,
+    countedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Sent back for a recount during review
+    recount: {
+        type: Boolean,
+        default: false
+    },
+    // Counted less expected, set when the count is submitted for review
+    variance: {
+        type: Number,
+        default: 0
+    },
+    // Units actually adjusted and their cost, set when posted
+    adjustedQuantity: {
+        type: Number,
+        default: 0
+    },
+    unitCost: {
+        type: Number,
+        min: 0
+    },
+    // Why a variance was not posted, e.g. the product was deleted since the freeze
+    skippedReason: String
+});
+
+// One batch of counts from a device; clientId makes resending it harmless
+const countEntrySchema = new mongoose.Schema({
+    clientId: {
+        type: String,
+        required: true
+    },
+    lineId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Units scanned or keyed in ('add'), or the line's full count ('set')
+    mode: {
+        type: String,
+        enum: ['add', 'set'],
+        default: 'add'
+    },
+    quantity: {
+        type: Number,
+        required: true
+    },
+    countedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    countedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const stockTakeSchema = new mongoose.Schema({
+    storeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        required: true
+    },
+    countNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    name: {
+        type: String,
+        trim: true
+    },
+    scope: {
+        type: {
+            type: String,
+            enum: ['store', 'category', 'location'],
+            default: 'store'
+        },
+        categoryId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category'
+        },
+        location: String
+    },
+    status: {
+        type: String,
+        enum: ['counting', 'review', 'posted', 'cancelled'],
+        default: 'counting'
+    },
+    lines: [countLineSchema],
+    entries: [countEntrySchema],
+    notes: String,
+    // Totals of the posted adjustments
+    summary: {
+        linesCounted: { type: Number, default: 0 },
+        unitsShort: { type: Number, default: 0 },
+        unitsOver: { type: Number, default: 0 },
+        valueShort: { type: Number, default: 0 },
+        valueOver: { type: Number, default: 0 }
+    },
+    startedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    submittedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Employee signed in on the device that approved it
+    approvedByEmployeeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee'
+    },
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    submittedAt: Date,
+    approvedAt: Date,
+    cancelledAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes for optimized queries
+// 1. Stock takes per store by status
+stockTakeSchema.index({ storeId: 1, status: 1, createdAt: -1 });
+
+// 2. Posted stock takes for the shrinkage report
+stockTakeSchema.index({ storeId: 1, status: 1, approvedAt: -1 });
+
+// Generate count number
+stockTakeSchema.statics.generateCountNumber = async function() {
+    const count = await this.countDocuments();
+    const date = new Date();
+    const year = date.getFullYear().toString().slice(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const number = (count + 1).toString().padStart(5, '0');
+    return `ST${year}${month}${number}`;
+};
+
+const StockTake = mongoose.model('StockTake', stockTakeSchema);
+
+export default StockTake;
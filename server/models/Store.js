@@ -105,7 +105,11 @@ const storeSchema = new mongoose.Schema({
         requireCustomerForSale: { type: Boolean, default: false },
         autoGenerateReceipts: { type: Boolean, default: true },
         enableLoyaltyProgram: { type: Boolean, default: false },
-        lowStockThreshold: { type: Number, default: 10 }
+        lowStockThreshold: { type: Number, default: 10 },
+        // Lifetime spend at which a customer becomes VIP
+        vipThreshold: { type: Number, default: 1000 },
+        // How sold units are costed: oldest cost layers first, or the running average
+        costingMethod: { type: String, enum: ['fifo', 'average'], default: 'average' }
     },
     // Security settings
     ipWhitelist: {
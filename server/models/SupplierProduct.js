@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Supplier Product Model
+ *
+ * Supplier catalog entry: what a supplier charges for a product (or one of
+ * its variants), under which code, in what pack sizes and how quickly it
+ * arrives. Purchase order lines default from it, and receiving records the
+ * last cost actually paid.
+ */
+
+import mongoose from 'mongoose';
+
+const supplierProductSchema = new mongoose.Schema({
+    storeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        required: true
+    },
+    supplierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: true
+    },
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Set when the supplier prices a specific variant
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // The supplier's own code for the product
+    supplierSku: {
+        type: String,
+        trim: true
+    },
+    // Quoted cost per unit
+    unitCost: {
+        type: Number,
+        min: 0
+    },
+    minimumOrderQuantity: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    // Units per case; orders are rounded up to whole cases
+    casePackSize: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    // Overrides the supplier's lead time for this product
+    leadTimeDays: {
+        type: Number,
+        min: 0
+    },
+    // Cost per unit on the most recent purchase order received
+    lastCost: {
+        type: Number,
+        min: 0
+    },
+    lastCostDate: {
+        type: Date
+    },
+    notes: String,
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for optimized queries
+// 1. One entry per supplier and product (or variant)
+supplierProductSchema.index({ supplierId: 1, productId: 1, variantId: 1 }, { unique: true });
+
+// 2. Supplier catalog listing
+supplierProductSchema.index({ storeId: 1, supplierId: 1, isActive: 1 });
+
+// 3. Price comparison across suppliers for a product
+supplierProductSchema.index({ storeId: 1, productId: 1, isActive: 1 });
+
+/**
+ * Cost used when ordering: the quote, else what was last paid
+ */
+supplierProductSchema.virtual('effectiveCost').get(function () {
+    return this.unitCost ?? this.lastCost ?? null;
+});
+
+supplierProductSchema.set('toJSON', { virtuals: true });
+
+/**
+ * Round a quantity up to the supplier's minimum order and whole cases
+ * @param {Object|null} entry - Catalog entry (document or plain object)
+ * @param {number} quantity - Units wanted
+ * @returns {number}
+ */
+supplierProductSchema.statics.orderQuantity = function (entry, quantity) {
+    const wanted = Math.max(Math.ceil(quantity), entry?.minimumOrderQuantity || 1);
+    const pack = entry?.casePackSize || 1;
+    return Math.ceil(wanted / pack) * pack;
+};
+
+const SupplierProduct = mongoose.model('SupplierProduct', supplierProductSchema);
+
+export default SupplierProduct;
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Tax Class Model
+ *
+ * A named set of tax rates (e.g. "Standard", "Reduced", "Zero-rated")
+ * assigned to products or categories. Rates apply in priority order;
+ * compound rates are charged on the price plus the tax before them.
+ */
+
+import mongoose from 'mongoose';
+
+const taxRateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Percentage, e.g. 8.25
+    rate: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    },
+    compound: {
+        type: Boolean,
+        default: false
+    },
+    priority: {
+        type: Number,
+        default: 0
+    }
+});
+
+const taxClassSchema = new mongoose.Schema({
+    storeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    rates: [taxRateSchema],
+    // Applied to products with no class of their own or via their category
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for optimized queries
+// 1. Classes for a store
+taxClassSchema.index({ storeId: 1, isActive: 1, name: 1 });
+
+// 2. One default class per store
+taxClassSchema.index(
+    { storeId: 1, isDefault: 1 },
+    { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+const TaxClass = mongoose.model('TaxClass', taxClassSchema);
+
+export default TaxClass;
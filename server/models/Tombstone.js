@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Tombstone Model
+ *
+ * Marks a synced record as deleted so the delta sync feed can tell
+ * clients to drop it. Tombstones expire after TOMBSTONE_RETENTION_DAYS;
+ * clients whose cursor is older than that are told to resync from scratch.
+ */
+
+import mongoose from 'mongoose';
+
+export const TOMBSTONE_RETENTION_DAYS = 90;
+
+const tombstoneSchema = new mongoose.Schema({
+    storeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        required: true
+    },
+    // Sync table name, e.g. 'products'
+    table: {
+        type: String,
+        required: true
+    },
+    recordId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    deletedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes for optimized queries
+// 1. Delta sync feed (paged by deletedAt, then _id)
+tombstoneSchema.index({ storeId: 1, table: 1, deletedAt: 1, _id: 1 });
+
+// 2. Expire old tombstones
+tombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 });
+
+const Tombstone = mongoose.model('Tombstone', tombstoneSchema);
+
+/**
+ * Schema plugin that writes a tombstone whenever a document is deleted
+ *
+ * @param {mongoose.Schema} schema
+ * @param {Object} options
+ * @param {string} options.table - Sync table name reported to clients
+ */
+export function trackDeletions(schema, { table }) {
+    const record = async (docs, session) => {
+        const entries = docs
+            .filter(doc => doc?.storeId)
+            .map(doc => ({ storeId: doc.storeId, table, recordId: doc._id }));
+
+        if (entries.length > 0) {
+            await Tombstone.insertMany(entries, { session });
+        }
+    };
+
+    schema.post('findOneAndDelete', async function (doc) {
+        if (doc) await record([doc], this.getOptions().session);
+    });
+
+    schema.post('deleteOne', { document: true, query: false }, async function () {
+        await record([this], this.$session());
+    });
+
+    // Query deletes don't return the documents, so look them up first
+    schema.pre('deleteOne', { document: false, query: true }, async function () {
+        const doc = await this.model.findOne(this.getFilter()).select('_id storeId').lean();
+        this._deletedDocs = doc ? [doc] : [];
+    });
+
+    schema.pre('deleteMany', async function () {
+        this._deletedDocs = await this.model.find(this.getFilter()).select('_id storeId').lean();
+    });
+
+    schema.post(['deleteOne', 'deleteMany'], { document: false, query: true }, async function () {
+        await record(this._deletedDocs || [], this.getOptions().session);
+    });
+}
+
+export default Tombstone;
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Transfer Order Model
+ *
+ * Moves stock between two stores: requested, then shipped (stock leaves the
+ * sending store and is in transit), then received (stock arrives at the
+ * receiving store, with any shortfall or overage recorded per line).
+ */
+
+import mongoose from 'mongoose';
+
+const transferItemSchema = new mongoose.Schema({
+    // Product and variant in the sending store
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // Matching product and variant in the receiving store, set on receipt
+    toProductId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    },
+    toVariantId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // Snapshot used to match the product in the receiving store
+    name: {
+        type: String,
+        required: true
+    },
+    variantName: String,
+    sku: String,
+    barcode: String,
+    costPrice: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Cost per unit shipped, drawn from the sending store's cost layers
+    unitCost: {
+        type: Number,
+        min: 0
+    },
+    quantityRequested: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    quantityShipped: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    quantityReceived: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Received minus shipped: negative for a shortfall, positive for an overage
+    discrepancy: {
+        type: Number,
+        default: 0
+    },
+    discrepancyReason: String
+});
+
+const transferOrderSchema = new mongoose.Schema({
+    transferNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    fromStoreId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        required: true
+    },
+    toStoreId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        required: true
+    },
+    items: [transferItemSchema],
+    status: {
+        type: String,
+        enum: ['requested', 'in_transit', 'received', 'cancelled'],
+        default: 'requested'
+    },
+    reason: {
+        type: String,
+        default: 'restock'
+    },
+    notes: String,
+    hasDiscrepancies: {
+        type: Boolean,
+        default: false
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    shippedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    shippedAt: Date,
+    receivedAt: Date,
+    cancelledAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes for optimized queries
+// 1. Outgoing transfers per store
+transferOrderSchema.index({ fromStoreId: 1, status: 1, createdAt: -1 });
+
+// 2. Incoming transfers per store
+transferOrderSchema.index({ toStoreId: 1, status: 1, createdAt: -1 });
+
+// Units shipped but not yet received
+transferOrderSchema.virtual('inTransitQuantity').get(function() {
+    if (this.status !== 'in_transit') return 0;
+    return this.items.reduce((sum, item) => sum + item.quantityShipped, 0);
+});
+
+transferOrderSchema.set('toJSON', { virtuals: true });
+
+// Generate transfer number
+transferOrderSchema.statics.generateTransferNumber = async function() {
+    const count = await this.countDocuments();
+    const date = new Date();
+    const year = date.getFullYear().toString().slice(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const number = (count + 1).toString().padStart(5, '0');
+    return `TR${year}${month}${number}`;
+};
+
+const TransferOrder = mongoose.model('TransferOrder', transferOrderSchema);
+
+export default TransferOrder;
@@ -5,6 +5,7 @@
  */
 
 import mongoose from 'mongoose';
+import { nextCronRun, isValidCron } from '../utils/cron.js';
 
 const workflowSchema = new mongoose.Schema({
     // Basic info
@@ -31,18 +32,31 @@ const workflowSchema = new mongoose.Schema({
     trigger: {
         type: {
             type: String,
+            // Domain events published on the event bus, plus manual and schedule
             enum: [
                 'sale.created',
                 'sale.completed',
                 'sale.voided',
+                'sale.refunded',
                 'product.created',
                 'product.updated',
+                'product.deleted',
                 'product.low_stock',
+                'inventory.adjusted',
+                'inventory.received',
                 'customer.created',
+                'customer.updated',
+                'customer.deleted',
                 'customer.vip',
+                'employee.created',
+                'employee.updated',
+                'employee.deleted',
                 'employee.clock_in',
                 'employee.clock_out',
                 'inventory.low',
+                'credit.created',
+                'credit.payment',
+                'credit.paid',
                 'credit.overdue',
                 'manual',
                 'schedule'
@@ -246,8 +260,7 @@ workflowSchema.methods.calculateNextRun = function() {
         case 'monthly':
             return getNextMonthlyRun(now, schedule.time, schedule.dayOfMonth);
         case 'cron':
-            // TODO: Implement cron parsing
-            return null;
+            return isValidCron(schedule.cronExpression) ? nextCronRun(schedule.cronExpression, now) : null;
         default:
             return null;
     }
@@ -353,6 +366,15 @@ function getNextMonthlyRun(now, time, dayOfMonth) {
     return next;
 }
 
+// Reject cron schedules the scheduler could never run
+workflowSchema.pre('validate', function(next) {
+    const schedule = this.trigger?.schedule;
+    if (this.trigger?.type === 'schedule' && schedule?.type === 'cron' && !isValidCron(schedule.cronExpression)) {
+        this.invalidate('trigger.schedule.cronExpression', 'A valid five-field cron expression is required');
+    }
+    next();
+});
+
 // Pre-save hook to calculate next run for scheduled workflows
 workflowSchema.pre('save', function(next) {
     if (this.trigger.type === 'schedule' && this.isActive) {
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview WorkflowRun Model
+ *
+ * One execution of a workflow. The run keeps its own copy of the actions
+ * and a record of every step, so delay and approval steps can park it in
+ * the database and resume it later, on any server, after a restart.
+ */
+
+import mongoose from 'mongoose';
+
+const stepSchema = new mongoose.Schema({
+    // Position in the run's actions
+    index: {
+        type: Number,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['running', 'waiting', 'completed', 'failed'],
+        default: 'running'
+    },
+    // Action config the step ran with
+    input: mongoose.Schema.Types.Mixed,
+    // Whatever the action returned, e.g. { createdId } or { approvals }
+    output: mongoose.Schema.Types.Mixed,
+    error: String,
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: Date
+}, { _id: false });
+
+const approvalSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    decision: {
+        type: String,
+        enum: ['approved', 'rejected'],
+        required: true
+    },
+    comment: String,
+    decidedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const workflowRunSchema = new mongoose.Schema({
+    workflowId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workflow',
+        required: true
+    },
+    workflowName: String,
+    storeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        required: true
+    },
+    organizationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+    },
+
+    // What started the run
+    triggerType: String,
+    triggerData: mongoose.Schema.Types.Mixed,
+    // Serializable part of the execution context (no socket server)
+    context: mongoose.Schema.Types.Mixed,
+
+    // Actions as they were when the run started, in execution order
+    actions: [mongoose.Schema.Types.Mixed],
+    steps: [stepSchema],
+    // Index of the next action to run (or the one the run is waiting on)
+    currentStep: {
+        type: Number,
+        default: 0
+    },
+
+    status: {
+        type: String,
+        enum: ['running', 'waiting', 'completed', 'failed'],
+        default: 'running'
+    },
+    // What a waiting run is waiting for
+    waitingFor: {
+        type: String,
+        enum: ['delay', 'approval', null],
+        default: null
+    },
+    // When a delay ends or an approval times out
+    resumeAt: Date,
+
+    // Approval step the run is parked on
+    approval: {
+        approvers: [String],
+        requiredApprovals: Number,
+        decisions: [approvalSchema]
+    },
+
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: Date,
+    error: String
+}, {
+    timestamps: true
+});
+
+// Indexes for optimized queries
+// 1. Run history per workflow
+workflowRunSchema.index({ workflowId: 1, startedAt: -1 });
+
+// 2. Store run list filtered by status
+workflowRunSchema.index({ storeId: 1, status: 1, startedAt: -1 });
+
+// 3. Waiting runs due to resume
+workflowRunSchema.index({ status: 1, resumeAt: 1 });
+
+// 4. Running runs left behind by a stopped server
+workflowRunSchema.index({ status: 1, updatedAt: 1 });
+
+const WorkflowRun = mongoose.model('WorkflowRun', workflowRunSchema);
+
+export default WorkflowRun;
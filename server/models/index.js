@@ -12,6 +12,8 @@ export { default as ClockEvent } from './ClockEvent.js';
 export { default as Product } from './Product.js';
 export { default as Category } from './Category.js';
 export { default as Sale } from './Sale.js';
+export { default as Refund } from './Refund.js';
+export { default as HeldCart } from './HeldCart.js';
 export { default as Customer } from './Customer.js';
 export { default as Credit } from './Credit.js';
 export { default as LoyaltyProgram } from './LoyaltyProgram.js';
@@ -20,8 +22,19 @@ export { default as LoyaltyTransaction } from './LoyaltyTransaction.js';
 export { default as InventoryAlert } from './InventoryAlert.js';
 export { default as PurchaseOrder } from './PurchaseOrder.js';
 export { default as StockMovement } from './StockMovement.js';
+export { default as CostLayer } from './CostLayer.js';
 export { default as Supplier } from './Supplier.js';
+export { default as SupplierProduct } from './SupplierProduct.js';
 export { default as Report } from './Report.js';
 export { default as Plugin } from './Plugin.js';
+export { default as PluginSchedule } from './PluginSchedule.js';
 export { default as Workflow } from './Workflow.js';
+export { default as WorkflowRun } from './WorkflowRun.js';
 export { default as Notification } from './Notification.js';
+export { default as Tombstone } from './Tombstone.js';
+export { default as TaxClass } from './TaxClass.js';
+export { default as Promotion } from './Promotion.js';
+export { default as DrawerSession } from './DrawerSession.js';
+export { default as TransferOrder } from './TransferOrder.js';
+export { default as StockTake } from './StockTake.js';
+export { default as JobRun } from './JobRun.js';
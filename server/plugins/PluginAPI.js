@@ -1,11 +1,89 @@
 /**
  * @fileoverview Plugin API
  *
- * Provides a safe, sandboxed API for plugins to interact with the system
+ * Provides a safe, sandboxed API for plugins to interact with the system.
+ * Plugins run in their own worker (see PluginSandbox) and reach this API only
+ * through the requests listed in SANDBOX_REQUESTS.
  */
 
-import { Sale, Product, Customer, Employee, Store } from '../models/index.js';
-import Plugin from '../models/Plugin.js';
+import { Sale, Product, Customer, Employee, Store, PluginSchedule } from '../models/index.js';
+import { validateData } from './validation.js';
+import { isValidCron } from '../utils/cron.js';
+
+/**
+ * Run one operation on a model or table proxy
+ */
+const proxyOperation = (proxy, name, op, args) => {
+    if (!proxy || !Object.hasOwn(proxy, op)) {
+        throw new Error(`Unknown operation ${name}.${op}`);
+    }
+    return proxy[op](...args);
+};
+
+// Aggregation stages a plugin may use; anything that reads other collections
+// ($lookup, $unionWith, $graphLookup) or writes them ($out, $merge) is refused
+const AGGREGATE_STAGES = new Set([
+    '$match', '$project', '$addFields', '$set', '$unset', '$group', '$sort', '$limit', '$skip',
+    '$count', '$unwind', '$facet', '$bucket', '$bucketAuto', '$sortByCount', '$replaceRoot',
+    '$replaceWith', '$sample'
+]);
+
+// Fields that tie a document to its store; plugins may not change them
+const PROTECTED_FIELDS = ['_id', 'storeId', 'organizationId'];
+
+/**
+ * Throw unless every stage of a pipeline, and of any $facet in it, is allowed
+ */
+const checkPipeline = (pipeline) => {
+    if (!Array.isArray(pipeline)) {
+        throw new Error('Aggregation pipeline must be an array');
+    }
+
+    for (const stage of pipeline) {
+        const keys = stage && typeof stage === 'object' ? Object.keys(stage) : [];
+        if (keys.length !== 1 || !AGGREGATE_STAGES.has(keys[0])) {
+            throw new Error(`Aggregation stage ${keys.join(', ') || String(stage)} is not allowed`);
+        }
+        if (keys[0] === '$facet') {
+            Object.values(stage.$facet || {}).forEach(checkPipeline);
+        }
+    }
+};
+
+// What a sandboxed plugin may ask the host for; each goes through the checks below
+const SANDBOX_REQUESTS = {
+    model: (api, [name, op, ...args]) => proxyOperation(api.models[name], name, op, args),
+    table: async (api, [tableName, op, ...args]) => proxyOperation(await api._tableProxy(tableName), tableName, op, args),
+    setConfig: async (api, [key, value]) => {
+        await api.setConfig(key, value);
+    },
+    setData: async (api, [key, value]) => {
+        await api.setData(key, value);
+    },
+    emit: (api, [event, data]) => api.emit(event, data),
+    schedule: (api, [cronExpression, handler]) => api.schedule(cronExpression, handler),
+    unschedule: (api, [handler]) => api.unschedule(handler),
+    fetch: async (api, [url, options]) => {
+        const response = await api.fetch(url, options);
+        return {
+            status: response.status,
+            statusText: response.statusText,
+            ok: response.ok,
+            headers: Object.fromEntries(response.headers.entries()),
+            body: await response.text()
+        };
+    },
+    registerWebhook: async (api, [event, url]) => {
+        await api.registerWebhook(event, url);
+    },
+    notify: (api, [userId, notification]) => api.notify(userId, notification),
+    getStore: (api) => api.getStore(),
+    getOrganization: (api) => api.getOrganization(),
+    createTable: async (api, [tableName, schema]) => {
+        await api.createTable(tableName, schema);
+        return { tableName };
+    }
+};
 
 /**
  * Plugin API - Provides controlled access to system resources
@@ -71,7 +149,9 @@ class PluginAPI {
                 if (!doc || doc.storeId?.toString() !== storeId.toString()) {
                     throw new Error('Access denied: Document not found or belongs to different store');
                 }
-                Object.assign(doc, updates);
+                const allowed = { ...updates };
+                PROTECTED_FIELDS.forEach(field => delete allowed[field]);
+                doc.set(allowed);
                 return await doc.save();
             },
 
@@ -81,11 +161,12 @@ class PluginAPI {
                 if (!doc || doc.storeId?.toString() !== storeId.toString()) {
                     throw new Error('Access denied: Document not found or belongs to different store');
                 }
-                return await doc.remove();
+                return await doc.deleteOne();
             },
 
             async aggregate(pipeline) {
                 self._checkPermission('read');
+                checkPipeline(pipeline);
                 // Inject storeId filter at the beginning of pipeline
                 const scopedPipeline = [
                     { $match: { storeId } },
@@ -96,6 +177,30 @@ class PluginAPI {
         };
     }
 
+    /**
+     * Scoped proxy for a table the plugin created with createTable
+     */
+    async _tableProxy(tableName) {
+        const mongoose = (await import('mongoose')).default;
+        const Model = mongoose.models[`plugin_${this.plugin.pluginId}_${tableName}`];
+        if (!Model) {
+            throw new Error(`Table ${tableName} has not been created`);
+        }
+        return this._createModelProxy(Model, this.context.storeId, this.context.organizationId);
+    }
+
+    /**
+     * Answer an api call made by the plugin's sandbox
+     * @param {string} method - Key of SANDBOX_REQUESTS
+     * @param {Array} args - Arguments as sent by the plugin
+     */
+    async handleSandboxRequest(method, args = []) {
+        if (!Object.hasOwn(SANDBOX_REQUESTS, method)) {
+            throw new Error(`Unknown plugin API call: ${method}`);
+        }
+        return SANDBOX_REQUESTS[method](this, args);
+    }
+
     /**
      * Check if plugin has required permission
      */
@@ -146,12 +251,44 @@ class PluginAPI {
     }
 
     /**
-     * Schedule a task (simple in-memory scheduling)
+     * Run one of the plugin's functions on a cron schedule (persisted; the
+     * PluginManager runs it while the plugin is active). Scheduling the same
+     * function again replaces its schedule. Deactivating the plugin cancels
+     * its schedules, so plugins schedule their functions in onActivate (and
+     * in onLoad, for installs activated before the schedule existed). Like
+     * unschedule this needs no permission: a plugin can only run its own code.
+     * @param {string} cronExpression - Five-field cron, e.g. '0 3 * * *'
+     * @param {string} handler - Name of the plugin function, called with (api)
+     */
+    async schedule(cronExpression, handler) {
+        if (!handler || typeof handler !== 'string') {
+            throw new Error('schedule needs the name of the plugin function to run');
+        }
+        if (!isValidCron(cronExpression)) {
+            throw new Error(`Invalid cron expression: ${cronExpression}`);
+        }
+
+        const query = { pluginId: this.plugin.pluginId, storeId: this.plugin.storeId, handler };
+        const schedule = await PluginSchedule.findOne(query) ||
+            new PluginSchedule({ ...query, organizationId: this.plugin.organizationId });
+        schedule.cronExpression = cronExpression;
+        await schedule.save();
+
+        this.log('info', `Scheduled ${handler} with cron: ${cronExpression}`);
+        return { handler, cronExpression, nextRunAt: schedule.nextRunAt };
+    }
+
+    /**
+     * Stop running a scheduled plugin function
+     * @returns {Promise<boolean>} Whether it was scheduled
      */
-    schedule(cronExpression, handler) {
-        // TODO: Integrate with node-schedule or agenda
-        this.log('info', `Scheduled task with cron: ${cronExpression}`);
-        // For now, just log. Actual scheduling requires additional dependencies
+    async unschedule(handler) {
+        const { deletedCount } = await PluginSchedule.deleteOne({
+            pluginId: this.plugin.pluginId,
+            storeId: this.plugin.storeId,
+            handler
+        });
+        return deletedCount > 0;
     }
 
     /**
@@ -166,10 +303,9 @@ class PluginAPI {
             throw new Error('Plugin API call limit exceeded');
         }
 
-        const fetch = (await import('node-fetch')).default;
         return await fetch(url, {
             ...options,
-            timeout: 10000 // 10 second timeout
+            signal: AbortSignal.timeout(10000) // 10 second timeout
         });
     }
 
@@ -194,6 +330,8 @@ class PluginAPI {
      * Register a webhook endpoint
      */
     registerWebhook(event, url) {
+        this._checkPermission('webhook');
+
         this.log('info', `Registered webhook for ${event}: ${url}`);
         // Store webhook configuration
         const webhooks = this.plugin.config.get('webhooks') || [];
@@ -224,6 +362,8 @@ class PluginAPI {
      * Get current store information
      */
     async getStore() {
+        this._checkPermission('read');
+
         const Store = (await import('../models/index.js')).Store;
         return await Store.findById(this.context.storeId);
     }
@@ -232,6 +372,8 @@ class PluginAPI {
      * Get current organization information
      */
     async getOrganization() {
+        this._checkPermission('read');
+
         const Organization = (await import('../models/Organization.js')).default;
         return await Organization.findById(this.context.organizationId);
     }
@@ -286,36 +428,7 @@ class PluginAPI {
      * Validate data against a schema
      */
     validate(data, schema) {
-        // Simple validation - can be enhanced with joi or yup
-        const errors = [];
-
-        for (const [key, rules] of Object.entries(schema)) {
-            const value = data[key];
-
-            if (rules.required && (value === undefined || value === null || value === '')) {
-                errors.push(`${key} is required`);
-            }
-
-            if (rules.type && value !== undefined) {
-                const actualType = Array.isArray(value) ? 'array' : typeof value;
-                if (actualType !== rules.type) {
-                    errors.push(`${key} must be of type ${rules.type}`);
-                }
-            }
-
-            if (rules.min !== undefined && value < rules.min) {
-                errors.push(`${key} must be at least ${rules.min}`);
-            }
-
-            if (rules.max !== undefined && value > rules.max) {
-                errors.push(`${key} must be at most ${rules.max}`);
-            }
-        }
-
-        return {
-            valid: errors.length === 0,
-            errors
-        };
+        return validateData(data, schema);
     }
 }
 
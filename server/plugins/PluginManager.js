@@ -2,19 +2,109 @@
  * @fileoverview Plugin Manager
  *
  * Manages plugin lifecycle: install, activate, deactivate, uninstall
+ *
+ * Each installed plugin runs in its own sandbox (a worker thread, see
+ * PluginSandbox) and reaches the system only through PluginAPI. A sandbox
+ * that crashes puts its plugin in error; an active plugin is restarted after
+ * a growing delay until it has used up its restarts for the window.
+ *
+ * Plugins are installed from packages (see pluginPackage.js) uploaded by an
+ * admin or taken from the local registry directory. Each version is unpacked
+ * beside the others, so upgrades run the new version's migrations and a
+ * rollback runs them back down before switching to the older code.
+ *
+ * Functions a plugin schedules with api.schedule are persisted per install
+ * (PluginSchedule) and run by the scheduler's plugin-schedules job while the
+ * plugin is loaded and active; deactivating or uninstalling cancels them.
  */
 
 import Plugin from '../models/Plugin.js';
+import PluginSchedule from '../models/PluginSchedule.js';
 import PluginAPI from './PluginAPI.js';
+import PluginSandbox from './PluginSandbox.js';
+import {
+    PLUGINS_DIR,
+    HOST_VERSION,
+    assertCompatible,
+    extractPackage,
+    readInstalledManifest,
+    listRegistry,
+    versionDir
+} from './pluginPackage.js';
+import { compareVersions, satisfies } from '../utils/semver.js';
+import { nextCronRun } from '../utils/cron.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
 import path from 'path';
 import fs from 'fs/promises';
 
+// Restarts a crashed plugin may use within this window (Plugin.sandbox.maxRestarts)
+const RESTART_WINDOW_MS = 10 * 60 * 1000;
+const RESTART_BASE_DELAY_MS = 1000;
+const RESTART_MAX_DELAY_MS = 60 * 1000;
+const DEFAULT_MAX_RESTARTS = 3;
+
+// Sandboxes are per install: the same plugin may run for several stores
+const pluginKey = (pluginId, storeId) => `${pluginId}:${storeId || ''}`;
+
+/**
+ * Plugin record fields taken from a package manifest
+ */
+const manifestFields = (manifest) => ({
+    pluginId: manifest.id,
+    name: manifest.name,
+    version: manifest.version,
+    author: manifest.author,
+    description: manifest.description,
+    category: manifest.category,
+    tags: manifest.tags,
+    icon: manifest.icon,
+    homepage: manifest.homepage,
+    repository: manifest.repository,
+    license: manifest.license,
+    dependencies: manifest.dependencies,
+    settingsSchema: manifest.settingsSchema,
+    capabilities: {
+        permissions: manifest.permissions,
+        hooks: manifest.hooks.map(event => ({ event, handler: event })),
+        routes: manifest.routes.map(({ method, path: routePath, handler }) => ({ method, path: routePath, handler })),
+        uiComponents: manifest.uiComponents.map(({ injectionPoint, component }) => ({ injectionPoint, component }))
+    }
+});
+
+/**
+ * Keep only what a packaged plugin's manifest declares; code shipped with
+ * the server may register whatever it provides
+ */
+function declaredOnly(plugin, provided) {
+    if (!plugin.package?.checksum) return provided;
+
+    const { hooks = [], routes = [], uiComponents = [] } = plugin.capabilities || {};
+    const keep = (items, isDeclared, describe) => items.filter(item => {
+        if (isDeclared(item)) return true;
+        console.warn(`⚠ Plugin ${plugin.pluginId} provides ${describe(item)} without declaring it; ignored`);
+        return false;
+    });
+
+    return {
+        hooks: keep(provided.hooks, event => hooks.some(hook => hook.event === event), event => `hook ${event}`),
+        routes: keep(provided.routes,
+            route => routes.some(r => r.method === route.method && r.path === route.path && r.handler === route.handler),
+            route => `route ${route.method} ${route.path}`),
+        components: keep(provided.components,
+            ({ injectionPoint, name }) => uiComponents.some(ui => ui.injectionPoint === injectionPoint && ui.component === name),
+            ({ injectionPoint }) => `UI component at ${injectionPoint}`)
+    };
+}
+
 class PluginManager {
     constructor() {
-        this.loadedPlugins = new Map(); // pluginId -> plugin instance
+        this.loadedPlugins = new Map(); // pluginId:storeId -> sandbox
         this.hooks = new Map(); // event -> [handlers]
         this.routes = new Map(); // path -> handler
         this.uiComponents = new Map(); // injectionPoint -> [components]
+        this.crashes = new Map(); // pluginId:storeId -> crash times within the restart window
+        this.pendingRestarts = new Map(); // pluginId:storeId -> timer
+        this.schedules = new Map(); // pluginId:storeId -> plugin whose scheduled functions run here
     }
 
     /**
@@ -44,6 +134,9 @@ class PluginManager {
             // Execute onInstall hook
             await this.executeHook(plugin, 'onInstall', context);
 
+            // Inactive plugins do not keep a sandbox running
+            this.unloadPlugin(pluginId, storeId);
+
             console.log(`✓ Plugin ${pluginId} installed successfully`);
             return plugin;
         } catch (error) {
@@ -53,44 +146,302 @@ class PluginManager {
     }
 
     /**
-     * Load plugin code into memory
+     * Install a plugin from a verified package
+     * @param {Object} pkg - From openPackage or findInRegistry
+     * @param {Object} context - { storeId, organizationId, userId, io }
+     * @param {Object} options
+     * @param {string} options.source - 'upload' or 'registry'
+     */
+    async installPackage(pkg, context, { source }) {
+        const { manifest } = pkg;
+        const { storeId, organizationId, userId } = context;
+
+        assertCompatible(manifest);
+
+        const existing = await Plugin.findOne({ pluginId: manifest.id, storeId });
+        if (existing) {
+            throw new ValidationError(`Plugin ${manifest.id} is already installed; upgrade it instead`);
+        }
+
+        await extractPackage(pkg);
+
+        const plugin = await Plugin.create({
+            ...manifestFields(manifest),
+            package: {
+                checksum: pkg.checksum,
+                signedBy: pkg.signedBy || undefined,
+                source,
+                main: manifest.main,
+                host: manifest.host,
+                installedAt: new Date(),
+                history: []
+            },
+            storeId,
+            organizationId,
+            installedBy: userId,
+            installedAt: new Date(),
+            status: 'inactive'
+        });
+
+        try {
+            await this.loadPlugin(plugin, context);
+            await this.executeHook(plugin, 'onInstall', context);
+        } catch (error) {
+            console.error(`✗ Failed to install plugin ${manifest.id}:`, error);
+            this.unloadPlugin(manifest.id, storeId);
+            await plugin.deleteOne();
+            throw error;
+        }
+
+        // Inactive plugins do not keep a sandbox running
+        this.unloadPlugin(manifest.id, storeId);
+
+        console.log(`✓ Plugin ${manifest.id} ${manifest.version} installed from ${source}`);
+        return plugin;
+    }
+
+    /**
+     * Move a plugin to a newer version from a verified package, running the
+     * new version's migrations for the versions in between
+     */
+    async upgrade(pluginId, pkg, context, { source }) {
+        const plugin = await Plugin.findOne({ pluginId, storeId: context.storeId });
+        if (!plugin) {
+            throw new NotFoundError(`Plugin ${pluginId} not found`);
+        }
+
+        const { manifest } = pkg;
+        if (manifest.id !== pluginId) {
+            throw new ValidationError(`Package is for ${manifest.id}, not ${pluginId}`);
+        }
+        if (compareVersions(manifest.version, plugin.version) <= 0) {
+            throw new ValidationError(`${pluginId} ${plugin.version} is installed; roll back to return to ${manifest.version}`);
+        }
+        assertCompatible(manifest);
+
+        await extractPackage(pkg);
+
+        const migrations = manifest.migrations
+            .filter(m => compareVersions(m.version, plugin.version) > 0 && compareVersions(m.version, manifest.version) <= 0)
+            .sort((a, b) => compareVersions(a.version, b.version));
+
+        await this.switchVersion(plugin, context, {
+            manifest,
+            release: { checksum: pkg.checksum, signedBy: pkg.signedBy || undefined, source },
+            migrationDir: versionDir(pluginId, manifest.version),
+            migrations,
+            direction: 'up'
+        });
+
+        console.log(`✓ Plugin ${pluginId} upgraded to ${manifest.version}`);
+        return plugin;
+    }
+
+    /**
+     * Return a plugin to a version it ran before, running the current
+     * version's migrations back down
+     * @param {string} [version] - Defaults to the version the current one replaced
+     */
+    async rollback(pluginId, version, context) {
+        const plugin = await Plugin.findOne({ pluginId, storeId: context.storeId });
+        if (!plugin) {
+            throw new NotFoundError(`Plugin ${pluginId} not found`);
+        }
+        if (!plugin.package?.checksum) {
+            throw new ValidationError(`${pluginId} was not installed from a package`);
+        }
+
+        const earlier = plugin.package.history.filter(entry => compareVersions(entry.version, plugin.version) < 0);
+        const target = version
+            ? earlier.find(entry => entry.version === version)
+            : earlier.sort((a, b) => compareVersions(a.version, b.version)).pop();
+        if (!target) {
+            throw new ValidationError(version
+                ? `${pluginId} ${version} is not an earlier version installed here`
+                : `${pluginId} has no earlier version to roll back to`);
+        }
+
+        const targetManifest = await readInstalledManifest(pluginId, target.version);
+        assertCompatible(targetManifest);
+        const currentManifest = await readInstalledManifest(pluginId, plugin.version);
+
+        const migrations = currentManifest.migrations
+            .filter(m => compareVersions(m.version, target.version) > 0 && compareVersions(m.version, plugin.version) <= 0)
+            .sort((a, b) => compareVersions(b.version, a.version));
+
+        await this.switchVersion(plugin, context, {
+            manifest: targetManifest,
+            release: { checksum: target.checksum, signedBy: target.signedBy, source: target.source },
+            migrationDir: versionDir(pluginId, plugin.version),
+            migrations,
+            direction: 'down'
+        });
+
+        console.log(`✓ Plugin ${pluginId} rolled back to ${target.version}`);
+        return plugin;
+    }
+
+    /**
+     * Stop a plugin, run migrations and point its record at another version.
+     * If a migration fails, the ones that ran are undone and the plugin
+     * stays on its current version.
+     */
+    async switchVersion(plugin, context, { manifest, release, migrationDir, migrations, direction }) {
+        const wasActive = plugin.status === 'active';
+        const previous = plugin.toObject();
+
+        // Remember the current version so it can be returned to
+        const history = (previous.package?.history || [])
+            .filter(entry => entry.version !== manifest.version && entry.version !== plugin.version);
+        if (previous.package?.checksum) {
+            history.push({
+                version: plugin.version,
+                checksum: previous.package.checksum,
+                signedBy: previous.package.signedBy,
+                source: previous.package.source,
+                installedAt: previous.package.installedAt,
+                replacedAt: new Date()
+            });
+        }
+
+        this.unloadPlugin(plugin.pluginId, plugin.storeId);
+
+        // Migrations run with the permissions of the version that ships them
+        if (direction === 'up') {
+            plugin.set(manifestFields(manifest));
+        }
+
+        try {
+            await this.runMigrations(plugin, migrationDir, migrations, direction, context);
+        } catch (error) {
+            for (const field of [...Object.keys(manifestFields(manifest)), 'package']) {
+                plugin.set(field, previous[field]);
+            }
+            await plugin.save();
+            if (wasActive) await this.loadPlugin(plugin, context);
+            throw error;
+        }
+
+        plugin.set(manifestFields(manifest));
+        plugin.package = {
+            ...release,
+            main: manifest.main,
+            host: manifest.host,
+            installedAt: new Date(),
+            history
+        };
+        await plugin.save();
+
+        if (wasActive) {
+            await this.loadPlugin(plugin, context);
+        }
+    }
+
+    /**
+     * Run migrations in order, undoing the ones that ran if one fails
+     */
+    async runMigrations(plugin, dir, migrations, direction, context) {
+        const applied = [];
+
+        try {
+            for (const migration of migrations) {
+                await this.runMigration(plugin, dir, migration, direction, context);
+                applied.push(migration);
+            }
+        } catch (error) {
+            const undo = direction === 'up' ? 'down' : 'up';
+            for (const migration of applied.reverse()) {
+                try {
+                    await this.runMigration(plugin, dir, migration, undo, context);
+                } catch (undoError) {
+                    console.error(`✗ Could not undo migration ${migration.version} of plugin ${plugin.pluginId}:`, undoError);
+                }
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Run one migration's up or down in a sandbox of its own
+     */
+    async runMigration(plugin, dir, migration, direction, context) {
+        const sandbox = new PluginSandbox(plugin, {
+            entryPath: path.join(dir, migration.file),
+            limits: {
+                memoryMb: plugin.sandbox?.memoryMb,
+                timeoutMs: plugin.sandbox?.timeoutMs
+            }
+        });
+
+        try {
+            const provided = await sandbox.start();
+            if (!provided.members.includes(direction)) {
+                throw new ValidationError(`Migration ${migration.version} of plugin ${plugin.pluginId} has no ${direction}`);
+            }
+
+            await sandbox.call([direction], { api: new PluginAPI(plugin, context) });
+            console.log(`✓ Plugin ${plugin.pluginId} migration ${migration.version} ran ${direction}`);
+        } finally {
+            sandbox.stop();
+        }
+    }
+
+    /**
+     * Path of the code a plugin runs: its unpacked package, or the plugin
+     * folder shipped with the server
+     */
+    entryPath(plugin) {
+        if (plugin.package?.checksum) {
+            return path.join(versionDir(plugin.pluginId, plugin.version), plugin.package.main || 'index.js');
+        }
+        return path.join(PLUGINS_DIR, plugin.pluginId, 'index.js');
+    }
+
+    /**
+     * Start a plugin's sandbox and register what its code provides
      */
     async loadPlugin(plugin, context) {
-        const pluginPath = path.join(process.cwd(), 'plugins', plugin.pluginId, 'index.js');
+        const pluginPath = this.entryPath(plugin);
 
         try {
             // Check if plugin file exists
             await fs.access(pluginPath);
 
-            // Dynamic import
-            const pluginModule = await import(`file://${pluginPath}`);
-            const pluginInstance = pluginModule.default || pluginModule;
+            // Replace a sandbox left from an earlier load
+            this.unloadPlugin(plugin.pluginId, plugin.storeId);
 
-            // Store plugin instance
-            this.loadedPlugins.set(plugin.pluginId, pluginInstance);
+            const sandbox = new PluginSandbox(plugin, {
+                entryPath: pluginPath,
+                limits: {
+                    memoryMb: plugin.sandbox?.memoryMb,
+                    timeoutMs: plugin.sandbox?.timeoutMs
+                },
+                onCrash: (error) => this.handleCrash(plugin, context, error)
+            });
+            const { hooks, routes, components } = declaredOnly(plugin, await sandbox.start());
+
+            // Store plugin sandbox
+            this.loadedPlugins.set(pluginKey(plugin.pluginId, plugin.storeId), sandbox);
 
             // Register hooks
-            if (pluginInstance.hooks) {
-                for (const [event, handler] of Object.entries(pluginInstance.hooks)) {
-                    this.registerHook(event, handler, plugin);
-                }
+            for (const event of hooks) {
+                this.registerHook(event, (api, data) => sandbox.call(['hooks', event], { api, args: [data] }), plugin);
             }
 
             // Register routes
-            if (pluginInstance.routes) {
-                for (const route of pluginInstance.routes) {
-                    this.registerRoute(route, plugin);
-                }
+            for (const route of routes) {
+                this.registerRoute(route, plugin);
             }
 
             // Register UI components
-            if (pluginInstance.components) {
-                for (const [injectionPoint, component] of Object.entries(pluginInstance.components)) {
-                    this.registerUIComponent(injectionPoint, component, plugin);
-                }
+            for (const { injectionPoint, name } of components) {
+                this.registerUIComponent(injectionPoint, { name }, plugin);
             }
 
-            console.log(`✓ Plugin ${plugin.pluginId} loaded into memory`);
+            // Run its scheduled functions
+            this.schedules.set(pluginKey(plugin.pluginId, plugin.storeId), plugin);
+
+            console.log(`✓ Plugin ${plugin.pluginId} loaded into its sandbox`);
         } catch (error) {
             if (error.code === 'ENOENT') {
                 console.warn(`⚠ Plugin ${plugin.pluginId} has no local code file`);
@@ -100,6 +451,81 @@ class PluginManager {
         }
     }
 
+    /**
+     * Stop a plugin's sandbox and drop its hooks, routes and UI components
+     */
+    unloadPlugin(pluginId, storeId) {
+        const key = pluginKey(pluginId, storeId);
+
+        clearTimeout(this.pendingRestarts.get(key));
+        this.pendingRestarts.delete(key);
+
+        this.loadedPlugins.get(key)?.stop();
+        this.loadedPlugins.delete(key);
+
+        this.unregisterPluginHooks(pluginId, storeId);
+    }
+
+    /**
+     * A plugin's sandbox died: put the plugin in error and, if it was
+     * active, restart it while it has restarts left
+     */
+    async handleCrash(plugin, context, error) {
+        const wasActive = plugin.status === 'active';
+        console.error(`✗ Plugin ${plugin.pluginId} crashed:`, error.message);
+
+        this.unloadPlugin(plugin.pluginId, plugin.storeId);
+
+        try {
+            await plugin.recordCrash(error);
+        } catch (saveError) {
+            console.error(`Failed to record crash of plugin ${plugin.pluginId}:`, saveError);
+        }
+
+        if (wasActive) {
+            this.scheduleRestart(plugin, context);
+        }
+    }
+
+    scheduleRestart(plugin, context) {
+        const key = pluginKey(plugin.pluginId, plugin.storeId);
+        const now = Date.now();
+        const recent = (this.crashes.get(key) || []).filter(time => now - time < RESTART_WINDOW_MS);
+        const maxRestarts = plugin.sandbox?.maxRestarts ?? DEFAULT_MAX_RESTARTS;
+
+        if (recent.length >= maxRestarts) {
+            console.error(`✗ Plugin ${plugin.pluginId} keeps crashing; left in error until it is activated again`);
+            this.crashes.delete(key);
+            return;
+        }
+
+        recent.push(now);
+        this.crashes.set(key, recent);
+
+        const delay = Math.min(RESTART_BASE_DELAY_MS * 2 ** (recent.length - 1), RESTART_MAX_DELAY_MS);
+        const timer = setTimeout(() => this.restart(plugin, context), delay);
+        timer.unref?.();
+        this.pendingRestarts.set(key, timer);
+    }
+
+    async restart(plugin, context) {
+        this.pendingRestarts.delete(pluginKey(plugin.pluginId, plugin.storeId));
+
+        // Deactivated, uninstalled or activated again while waiting
+        const current = await Plugin.findById(plugin._id);
+        if (!current || current.status !== 'error') return;
+
+        try {
+            await this.loadPlugin(current, context);
+            await current.recordRestart();
+            console.log(`✓ Plugin ${current.pluginId} restarted`);
+        } catch (error) {
+            console.error(`✗ Plugin ${current.pluginId} failed to restart:`, error);
+            await current.recordError(error);
+            this.scheduleRestart(current, context);
+        }
+    }
+
     /**
      * Activate a plugin
      */
@@ -122,14 +548,22 @@ class PluginManager {
 
         // Activate
         await plugin.activate();
+        this.crashes.delete(pluginKey(pluginId, plugin.storeId));
 
-        // Load if not already loaded
-        if (!this.loadedPlugins.has(pluginId)) {
+        try {
+            // (Re)load so the hooks run with this store's now-active plugin record
+            this.unregisterPluginHooks(pluginId, plugin.storeId);
             await this.loadPlugin(plugin, context);
-        }
 
-        // Execute onActivate hook
-        await this.executeHook(plugin, 'onActivate', context);
+            // Execute onActivate hook
+            await this.executeHook(plugin, 'onActivate', context);
+        } catch (error) {
+            // Roll back, keeping the recorded error, so it is not left half-active
+            this.unloadPlugin(pluginId, plugin.storeId);
+            await PluginSchedule.deleteMany({ pluginId, storeId: plugin.storeId });
+            await plugin.deactivate();
+            throw error;
+        }
 
         console.log(`✓ Plugin ${pluginId} activated`);
         return plugin;
@@ -155,8 +589,11 @@ class PluginManager {
         // Deactivate
         await plugin.deactivate();
 
-        // Unregister hooks
-        this.unregisterPluginHooks(pluginId);
+        // Stop its sandbox and unregister hooks
+        this.unloadPlugin(pluginId, plugin.storeId);
+
+        // Cancel its scheduled functions; onActivate schedules them again
+        await PluginSchedule.deleteMany({ pluginId, storeId: plugin.storeId });
 
         console.log(`✓ Plugin ${pluginId} deactivated`);
         return plugin;
@@ -177,14 +614,23 @@ class PluginManager {
             await this.deactivate(pluginId, context);
         }
 
+        // Deactivation stopped its sandbox; start it once more for onUninstall
+        await this.loadPlugin(plugin, context);
+
         // Execute onUninstall hook
         await this.executeHook(plugin, 'onUninstall', context);
 
         // Remove from memory
-        this.loadedPlugins.delete(pluginId);
+        this.unloadPlugin(pluginId, plugin.storeId);
 
         // Delete from database
         await plugin.deleteOne();
+        await PluginSchedule.deleteMany({ pluginId, storeId: plugin.storeId });
+
+        // Unpacked versions go once no store has the plugin installed
+        if (plugin.package?.checksum && !(await Plugin.exists({ pluginId }))) {
+            await fs.rm(path.join(PLUGINS_DIR, pluginId, 'versions'), { recursive: true, force: true });
+        }
 
         console.log(`✓ Plugin ${pluginId} uninstalled`);
         return { success: true };
@@ -194,37 +640,55 @@ class PluginManager {
      * Execute a plugin hook
      */
     async executeHook(plugin, hookName, context) {
-        const pluginInstance = this.loadedPlugins.get(plugin.pluginId);
-        if (!pluginInstance || !pluginInstance[hookName]) {
+        const sandbox = this.loadedPlugins.get(pluginKey(plugin.pluginId, plugin.storeId));
+        if (!sandbox?.manifest.members.includes(hookName)) {
             return; // Hook not defined
         }
 
         try {
             const api = new PluginAPI(plugin, context);
-            await pluginInstance[hookName](api);
+            await sandbox.call([hookName], { api });
         } catch (error) {
             console.error(`Error executing ${hookName} for plugin ${plugin.pluginId}:`, error);
-            await plugin.recordError(error);
+            // A crash is recorded by handleCrash
+            if (!error.crashed) await plugin.recordError(error);
             throw error;
         }
     }
 
     /**
-     * Trigger an event and execute all registered hooks
+     * Plugins of the store with an active hook for an event. The event bus
+     * runs each hook in its own job (runHook) so one that fails is retried
+     * without re-running the others.
      */
-    async triggerEvent(event, data, context) {
-        const handlers = this.hooks.get(event) || [];
+    getHookTargets(event, context) {
+        return this.activeHooks(event, context).map(({ plugin }) => plugin.pluginId);
+    }
 
-        for (const { handler, plugin } of handlers) {
-            if (plugin.status !== 'active') continue;
+    /**
+     * Hooks for an event of the store's active plugins
+     */
+    activeHooks(event, context) {
+        return (this.hooks.get(event) || []).filter(({ plugin }) => plugin.status === 'active' &&
+            (!context.storeId || String(plugin.storeId) === String(context.storeId)));
+    }
 
-            try {
-                const api = new PluginAPI(plugin, context);
-                await handler(api, data);
-            } catch (error) {
-                console.error(`Error in plugin ${plugin.pluginId} for event ${event}:`, error);
-                await plugin.recordError(error);
-            }
+    /**
+     * Run one plugin's hook for an event. Skipped if the plugin has since
+     * been deactivated; rejects if the hook failed, so the event bus retries.
+     */
+    async runHook(event, pluginId, data, context) {
+        const hook = this.activeHooks(event, context).find(({ plugin }) => plugin.pluginId === pluginId);
+        if (!hook) return;
+
+        const { handler, plugin } = hook;
+        try {
+            const api = new PluginAPI(plugin, context);
+            await handler(api, data);
+        } catch (error) {
+            console.error(`Error in plugin ${plugin.pluginId} for event ${event}:`, error);
+            if (!error.crashed) await plugin.recordError(error);
+            throw error;
         }
     }
 
@@ -241,15 +705,100 @@ class PluginManager {
     }
 
     /**
-     * Unregister all hooks for a plugin
+     * Unregister all hooks, routes, UI components and scheduled functions
+     * for a plugin, or only those of one store's install
      */
-    unregisterPluginHooks(pluginId) {
+    unregisterPluginHooks(pluginId, storeId = null) {
+        const belongs = ({ plugin }) => plugin.pluginId === pluginId &&
+            (!storeId || String(plugin.storeId) === String(storeId));
+
         for (const [event, handlers] of this.hooks.entries()) {
-            const filtered = handlers.filter(h => h.plugin.pluginId !== pluginId);
-            this.hooks.set(event, filtered);
+            this.hooks.set(event, handlers.filter(h => !belongs(h)));
+        }
+
+        for (const [routePath, route] of this.routes.entries()) {
+            if (belongs(route)) this.routes.delete(routePath);
+        }
+
+        for (const [injectionPoint, components] of this.uiComponents.entries()) {
+            this.uiComponents.set(injectionPoint, components.filter(c => !belongs(c)));
+        }
+
+        for (const [key, plugin] of this.schedules.entries()) {
+            if (belongs({ plugin })) this.schedules.delete(key);
         }
     }
 
+    /**
+     * Run the scheduled plugin functions that are due, for installs running
+     * on this server (the scheduler's plugin-schedules job). A failed run is
+     * recorded on its schedule and not retried; the next one is at its next
+     * cron time.
+     */
+    async runDueSchedules(context = {}) {
+        const now = new Date();
+        const due = await PluginSchedule.find({ nextRunAt: { $lte: now } });
+        const failures = [];
+        let ran = 0;
+
+        for (const schedule of due) {
+            const key = pluginKey(schedule.pluginId, schedule.storeId);
+            const plugin = this.schedules.get(key);
+            const sandbox = this.loadedPlugins.get(key);
+
+            // Crashed or restarting: it runs once the plugin is back
+            if (!plugin || !sandbox || plugin.status !== 'active') continue;
+
+            // Claim the run first so no other server runs it too
+            const claimed = await PluginSchedule.updateOne(
+                { _id: schedule._id, nextRunAt: schedule.nextRunAt },
+                { $set: { nextRunAt: nextCronRun(schedule.cronExpression, now) } }
+            );
+            if (claimed.modifiedCount === 0) continue;
+
+            const startedAt = new Date();
+            try {
+                if (!sandbox.manifest.members.includes(schedule.handler)) {
+                    throw new Error(`Plugin has no function ${schedule.handler}`);
+                }
+
+                const api = new PluginAPI(plugin, {
+                    ...context,
+                    storeId: plugin.storeId,
+                    organizationId: plugin.organizationId
+                });
+                await sandbox.call([schedule.handler], { api });
+                ran += 1;
+
+                await PluginSchedule.updateOne({ _id: schedule._id }, {
+                    $set: {
+                        lastRunAt: startedAt,
+                        lastStatus: 'completed',
+                        lastError: null,
+                        lastDurationMs: Date.now() - startedAt,
+                        consecutiveFailures: 0
+                    },
+                    $inc: { runs: 1 }
+                });
+            } catch (error) {
+                console.error(`Error in scheduled ${schedule.handler} of plugin ${schedule.pluginId}:`, error);
+                failures.push(`${schedule.pluginId}.${schedule.handler}: ${error.message}`);
+
+                await PluginSchedule.updateOne({ _id: schedule._id }, {
+                    $set: {
+                        lastRunAt: startedAt,
+                        lastStatus: 'failed',
+                        lastError: error.message,
+                        lastDurationMs: Date.now() - startedAt
+                    },
+                    $inc: { runs: 1, failures: 1, consecutiveFailures: 1 }
+                });
+            }
+        }
+
+        return { due: due.length, ran, failed: failures.length, failures };
+    }
+
     /**
      * Register a route
      */
@@ -314,23 +863,30 @@ class PluginManager {
             };
 
             const api = new PluginAPI(plugin, context);
-            const pluginInstance = this.loadedPlugins.get(plugin.pluginId);
+            const sandbox = this.loadedPlugins.get(pluginKey(plugin.pluginId, plugin.storeId));
 
-            if (!pluginInstance || !pluginInstance[handler]) {
+            if (!sandbox?.manifest.members.includes(handler)) {
                 return res.status(500).json({ error: 'Plugin handler not found' });
             }
 
-            const result = await pluginInstance[handler](api, req, res);
+            // The handler gets the request as data and a response it can set a status and body on
+            const { result, response } = await sandbox.call([handler], {
+                api,
+                args: [{ method: req.method, path: req.path, params: req.params, query: req.query, body: req.body }],
+                withResponse: true
+            });
 
             // If handler didn't send response, send result
-            if (!res.headersSent) {
+            if (response.sent) {
+                res.status(response.statusCode).json(response.body);
+            } else {
                 res.json(result);
             }
 
             await plugin.incrementApiCalls();
         } catch (error) {
             console.error(`Error executing plugin route:`, error);
-            await plugin.recordError(error);
+            if (!error.crashed) await plugin.recordError(error);
             res.status(500).json({ error: error.message });
         }
     }
@@ -351,13 +907,97 @@ class PluginManager {
             throw new Error('Plugin not found');
         }
 
+        const key = pluginKey(pluginId, storeId);
+        const sandbox = this.loadedPlugins.get(key);
+        const schedules = await PluginSchedule.find({ pluginId, storeId }).sort({ handler: 1 }).lean();
+
         return {
             activations: plugin.stats.activations,
             apiCalls: plugin.stats.apiCalls,
             lastUsed: plugin.stats.lastUsed,
             errors: plugin.errors.length,
             lastError: plugin.errors[plugin.errors.length - 1],
-            status: plugin.status
+            status: plugin.status,
+            sandbox: {
+                running: !!sandbox?.running,
+                restartPending: this.pendingRestarts.has(key),
+                crashes: plugin.stats.crashes,
+                restarts: plugin.stats.restarts,
+                lastCrashAt: plugin.stats.lastCrashAt,
+                memoryMb: plugin.sandbox?.memoryMb,
+                timeoutMs: plugin.sandbox?.timeoutMs,
+                maxRestarts: plugin.sandbox?.maxRestarts
+            },
+            schedules: schedules.map(schedule => ({
+                handler: schedule.handler,
+                cronExpression: schedule.cronExpression,
+                running: this.schedules.has(key),
+                nextRunAt: schedule.nextRunAt,
+                lastRunAt: schedule.lastRunAt,
+                lastStatus: schedule.lastStatus,
+                lastError: schedule.lastError,
+                lastDurationMs: schedule.lastDurationMs,
+                runs: schedule.runs,
+                failures: schedule.failures,
+                consecutiveFailures: schedule.consecutiveFailures
+            }))
+        };
+    }
+
+    /**
+     * Change a plugin's sandbox limits; a running plugin is restarted with them
+     */
+    async updateSandboxLimits(pluginId, storeId, limits, context) {
+        const plugin = await Plugin.findOne({ pluginId, storeId });
+        if (!plugin) {
+            throw new Error('Plugin not found');
+        }
+
+        for (const field of ['memoryMb', 'timeoutMs', 'maxRestarts']) {
+            if (limits[field] !== undefined) {
+                plugin.sandbox[field] = Number(limits[field]);
+            }
+        }
+        await plugin.save();
+
+        if (plugin.status === 'active') {
+            await this.loadPlugin(plugin, context);
+        }
+        return plugin;
+    }
+
+    /**
+     * The version a plugin runs, the versions it can roll back to and the
+     * newer compatible versions in the registry
+     */
+    async getVersions(pluginId, storeId) {
+        const plugin = await Plugin.findOne({ pluginId, storeId });
+        if (!plugin) {
+            throw new NotFoundError('Plugin not found');
+        }
+
+        const available = (await listRegistry())
+            .filter(({ manifest }) => manifest.id === pluginId && compareVersions(manifest.version, plugin.version) > 0)
+            .map(({ manifest, signedBy }) => ({
+                version: manifest.version,
+                host: manifest.host,
+                compatible: satisfies(HOST_VERSION, manifest.host),
+                signedBy
+            }))
+            .sort((a, b) => compareVersions(b.version, a.version));
+
+        return {
+            current: {
+                version: plugin.version,
+                checksum: plugin.package?.checksum,
+                signedBy: plugin.package?.signedBy,
+                source: plugin.package?.source,
+                installedAt: plugin.package?.installedAt || plugin.installedAt
+            },
+            rollbackTo: (plugin.package?.history || [])
+                .filter(entry => compareVersions(entry.version, plugin.version) < 0)
+                .sort((a, b) => compareVersions(b.version, a.version)),
+            available
         };
     }
 
@@ -385,6 +1025,9 @@ class PluginManager {
         for (const plugin of plugins) {
             try {
                 await this.loadPlugin(plugin, context);
+
+                // Let it set up what it needs while running, e.g. its schedules
+                await this.executeHook(plugin, 'onLoad', context);
             } catch (error) {
                 console.error(`Failed to load plugin ${plugin.pluginId}:`, error);
                 await plugin.recordError(error);
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Plugin Sandbox
+ *
+ * Host side of a plugin's worker thread. Starts the worker with the
+ * plugin's memory limit and an empty environment, runs its hooks and route
+ * handlers with a time limit, answers its api calls through PluginAPI, and
+ * reports a crash (an uncaught error, running out of memory, or a call that
+ * overran) once so the PluginManager can decide whether to restart it.
+ */
+
+import { Worker } from 'worker_threads';
+import fs from 'fs/promises';
+
+const WORKER_URL = new URL('./pluginWorker.js', import.meta.url);
+
+// Limits for plugins that have none of their own
+export const DEFAULT_SANDBOX_LIMITS = {
+    memoryMb: 64,
+    timeoutMs: 10000
+};
+
+/**
+ * Serialize a value for the worker; documents go through their toJSON
+ */
+const toJson = (value) => (value === undefined ? undefined : JSON.stringify(value));
+
+class PluginSandbox {
+    /**
+     * @param {Object} plugin - Plugin document
+     * @param {Object} options
+     * @param {string} options.entryPath - Plugin's index.js
+     * @param {Object} [options.limits] - { memoryMb, timeoutMs }
+     * @param {Function} [options.onCrash] - Called with the error when the worker dies
+     */
+    constructor(plugin, { entryPath, limits = {}, onCrash } = {}) {
+        this.plugin = plugin;
+        this.entryPath = entryPath;
+        this.limits = {
+            memoryMb: limits.memoryMb || DEFAULT_SANDBOX_LIMITS.memoryMb,
+            timeoutMs: limits.timeoutMs || DEFAULT_SANDBOX_LIMITS.timeoutMs
+        };
+        this.onCrash = onCrash;
+        this.worker = null;
+        this.manifest = null;
+        this.calls = new Map(); // callId -> { api, resolve, reject, timer }
+        this.nextCallId = 0;
+    }
+
+    get running() {
+        return !!this.worker;
+    }
+
+    /**
+     * Start the worker and load the plugin's code
+     * @returns {Promise<Object>} What the plugin provides: { members, hooks, routes, components }
+     */
+    async start() {
+        const source = await fs.readFile(this.entryPath, 'utf8');
+        const { memoryMb, timeoutMs } = this.limits;
+
+        this.worker = new Worker(WORKER_URL, {
+            workerData: { pluginId: this.plugin.pluginId, source, timeoutMs },
+            env: {},
+            // vm modules are still behind a flag (and an experimental warning) in Node 20
+            execArgv: ['--experimental-vm-modules', '--no-warnings'],
+            resourceLimits: {
+                maxOldGenerationSizeMb: memoryMb,
+                maxYoungGenerationSizeMb: Math.max(4, Math.round(memoryMb / 8)),
+                stackSizeMb: 4
+            }
+        });
+        // A plugin's worker should never keep the server process alive
+        this.worker.unref();
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                const error = new Error(`Plugin ${this.plugin.pluginId} took longer than ${timeoutMs}ms to load`);
+                this.stop();
+                reject(error);
+            }, timeoutMs);
+
+            const settle = (fn, value) => {
+                clearTimeout(timer);
+                fn(value);
+            };
+
+            this.worker.on('message', (message) => {
+                if (message.type === 'ready') {
+                    this.manifest = message.manifest;
+                    settle(resolve, message.manifest);
+                } else if (message.type === 'loadError') {
+                    this.stop();
+                    settle(reject, new Error(`Plugin ${this.plugin.pluginId} failed to load: ${message.error}`));
+                } else {
+                    this.handleMessage(message);
+                }
+            });
+
+            // Dying while loading is a failed load, not a crash to restart from
+            const fail = (error) => {
+                if (this.manifest) {
+                    this.crash(error);
+                } else {
+                    this.stop(error);
+                    settle(reject, error);
+                }
+            };
+
+            this.worker.on('error', fail);
+
+            this.worker.on('exit', (code) => {
+                if (!this.worker) return;
+                fail(new Error(`Plugin ${this.plugin.pluginId} exited with code ${code}`));
+            });
+        });
+    }
+
+    /**
+     * Run one of the plugin's functions
+     * @param {string[]} path - e.g. ['onActivate'] or ['hooks', 'sale.created']
+     * @param {Object} options
+     * @param {PluginAPI} options.api - Answers the plugin's api calls for this run
+     * @param {Array} [options.args] - Arguments after the api (serialized as JSON)
+     * @param {boolean} [options.withResponse] - Pass a response object (route handlers)
+     * @returns {Promise<{ result: *, response: Object }>}
+     */
+    call(path, { api, args = [], withResponse = false }) {
+        if (!this.worker) {
+            return Promise.reject(new Error(`Plugin ${this.plugin.pluginId} is not running`));
+        }
+
+        const callId = ++this.nextCallId;
+        return new Promise((resolve, reject) => {
+            // A call that overruns may be stuck in a loop; only stopping the worker ends it
+            const timer = setTimeout(() => {
+                this.crash(new Error(`Plugin ${this.plugin.pluginId} ${path.join('.')} exceeded ${this.limits.timeoutMs}ms`));
+            }, this.limits.timeoutMs);
+
+            this.calls.set(callId, { api, resolve, reject, timer });
+            this.worker.postMessage({
+                type: 'invoke',
+                callId,
+                path,
+                config: toJson({ pluginId: this.plugin.pluginId, values: Object.fromEntries(this.plugin.config || []) }),
+                args: toJson(args),
+                withResponse
+            });
+        });
+    }
+
+    async handleMessage(message) {
+        if (message.type === 'log') {
+            console.log(`[Plugin:${this.plugin.pluginId}] [${message.level.toUpperCase()}] ${message.message}`, message.meta || {});
+            return;
+        }
+
+        if (message.type === 'result' || message.type === 'failed') {
+            const call = this.calls.get(message.callId);
+            if (!call) return;
+            this.calls.delete(message.callId);
+            clearTimeout(call.timer);
+
+            if (message.type === 'result') {
+                call.resolve(JSON.parse(message.output));
+            } else {
+                call.reject(new Error(message.error));
+            }
+            return;
+        }
+
+        if (message.type === 'api') {
+            const { callId, requestId, method, args } = message;
+            const call = this.calls.get(callId);
+            let reply;
+
+            try {
+                if (!call) {
+                    throw new Error('The plugin call this request belongs to has finished');
+                }
+                const result = await call.api.handleSandboxRequest(method, args);
+                reply = { type: 'response', requestId, result: toJson(result) };
+            } catch (error) {
+                reply = { type: 'response', requestId, error: error.message || String(error) };
+            }
+
+            this.worker?.postMessage(reply);
+        }
+    }
+
+    /**
+     * Stop the worker and fail whatever was running in it. Calls fail with
+     * the crash error, marked so callers leave recording it to onCrash.
+     */
+    crash(error) {
+        if (!this.worker) return;
+        error.crashed = true;
+        this.stop(error);
+        this.onCrash?.(error);
+    }
+
+    /**
+     * Stop the worker (deactivation, uninstall or shutdown)
+     */
+    stop(error = new Error(`Plugin ${this.plugin.pluginId} was stopped`)) {
+        const worker = this.worker;
+        if (!worker) return;
+
+        this.worker = null;
+        worker.terminate().catch(() => {});
+
+        for (const call of this.calls.values()) {
+            clearTimeout(call.timer);
+            call.reject(error);
+        }
+        this.calls.clear();
+    }
+}
+
+export default PluginSandbox;
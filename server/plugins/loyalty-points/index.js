@@ -4,6 +4,9 @@
  * Awards loyalty points on sales and provides points management
  */
 
+// Expire old points every night at 3am
+const EXPIRY_CRON = '0 3 * * *';
+
 export default {
     name: 'loyalty-points',
     version: '1.0.0',
@@ -30,7 +33,7 @@ export default {
             transactions: [{
                 amount: Number,
                 saleId: String,
-                type: { type: String, enum: ['earned', 'redeemed'] },
+                type: { type: String, enum: ['earned', 'redeemed', 'expired'] },
                 date: Date
             }]
         });
@@ -38,6 +41,7 @@ export default {
         // Set default configuration
         await api.setConfig('pointsPerDollar', 1);
         await api.setConfig('redemptionRate', 100); // 100 points = $1
+        await api.setConfig('pointsExpiryDays', 365); // 0 = points never expire
 
         api.log('info', 'Loyalty Points plugin installed successfully');
     },
@@ -46,9 +50,19 @@ export default {
      * Called when plugin is activated
      */
     async onActivate(api) {
+        await api.schedule(EXPIRY_CRON, 'expirePoints');
+
         api.log('info', 'Loyalty Points plugin activated');
     },
 
+    /**
+     * Called on server start while the plugin is active
+     */
+    async onLoad(api) {
+        // Installs activated before expiry existed have no schedule yet
+        await api.schedule(EXPIRY_CRON, 'expirePoints');
+    },
+
     /**
      * Called when plugin is deactivated
      */
@@ -109,6 +123,58 @@ export default {
         }
     },
 
+    /**
+     * Scheduled job: expire points earned more than pointsExpiryDays ago
+     * that have not been redeemed (oldest points are spent first)
+     */
+    async expirePoints(api) {
+        const expiryDays = api.getConfig('pointsExpiryDays');
+        if (!expiryDays) {
+            return; // Points never expire
+        }
+
+        const cutoff = Date.now() - expiryDays * 24 * 60 * 60 * 1000;
+        let expiredTotal = 0;
+
+        for (const key of Object.keys(api.getConfig())) {
+            const match = /_(customer_.+_points)$/.exec(key);
+            if (!match) continue;
+
+            const pointsRecord = await api.getData(match[1]);
+            if (!pointsRecord || pointsRecord.points <= 0) continue;
+
+            let earnedBeforeCutoff = 0;
+            let spent = 0;
+            for (const transaction of pointsRecord.transactions) {
+                if (transaction.type === 'earned' && new Date(transaction.date).getTime() < cutoff) {
+                    earnedBeforeCutoff += transaction.amount;
+                } else if (transaction.type !== 'earned') {
+                    spent -= transaction.amount;
+                }
+            }
+
+            const expired = Math.min(pointsRecord.points, earnedBeforeCutoff - spent);
+            if (expired <= 0) continue;
+
+            pointsRecord.points -= expired;
+            pointsRecord.transactions.push({
+                amount: -expired,
+                type: 'expired',
+                date: new Date()
+            });
+            await api.setData(match[1], pointsRecord);
+
+            api.emit('points-expired', {
+                customerId: pointsRecord.customerId,
+                points: expired,
+                newBalance: pointsRecord.points
+            });
+            expiredTotal += expired;
+        }
+
+        api.log('info', `Expired ${expiredTotal} loyalty points`);
+    },
+
     /**
      * Custom API routes
      */
@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Plugin Package Archives
+ *
+ * Reads the files out of a plugin package: a zip, a tarball or a gzipped
+ * tarball (.tgz, as made by `npm pack`). Only regular files are read; links
+ * and paths that would land outside the package are rejected, and the
+ * unpacked size is capped so a small upload cannot expand without bound.
+ */
+
+import zlib from 'zlib';
+import { Buffer } from 'buffer';
+import path from 'path';
+
+export const MAX_UNPACKED_BYTES = 50 * 1024 * 1024;
+export const MAX_ENTRIES = 2000;
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const TAR_BLOCK = 512;
+
+/**
+ * Normalize an entry name to a relative path inside the package
+ */
+function safePath(name) {
+    const normalized = path.posix.normalize(name.replace(/\\/g, '/')).replace(/^\.\//, '');
+    if (!normalized || normalized.startsWith('/') || normalized === '..' || normalized.startsWith('../') ||
+        /^[A-Za-z]:/.test(normalized) || normalized.includes('\0')) {
+        throw new Error(`Package contains an unsafe path: ${name}`);
+    }
+    return normalized;
+}
+
+/**
+ * Collects entries while enforcing the size and count limits
+ */
+function createCollector() {
+    const files = new Map();
+    let totalBytes = 0;
+
+    return {
+        files,
+        remaining: () => MAX_UNPACKED_BYTES - totalBytes,
+        add(name, content) {
+            if (files.size >= MAX_ENTRIES) {
+                throw new Error(`Package has more than ${MAX_ENTRIES} files`);
+            }
+            totalBytes += content.length;
+            if (totalBytes > MAX_UNPACKED_BYTES) {
+                throw new Error(`Package unpacks to more than ${MAX_UNPACKED_BYTES / 1024 / 1024}MB`);
+            }
+
+            const filePath = safePath(name);
+            if (files.has(filePath)) {
+                throw new Error(`Package contains ${filePath} more than once`);
+            }
+            files.set(filePath, content);
+        }
+    };
+}
+
+function readZip(buffer) {
+    const collector = createCollector();
+
+    // The end of central directory record sits in the last 64KB + 22 bytes
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+        if (buffer.readUInt32LE(i) === ZIP_END_OF_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('Package is not a valid zip file');
+    }
+
+    const entryCount = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+            throw new Error('Package zip directory is corrupt');
+        }
+
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const externalAttributes = buffer.readUInt32LE(offset + 38);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        // Unix file type lives in the top bits of the external attributes
+        const unixType = (externalAttributes >>> 16) & 0o170000;
+        if (unixType && unixType !== 0o100000) {
+            throw new Error(`Package entry ${name} is not a regular file`);
+        }
+        if (flags & 0x1) {
+            throw new Error(`Package entry ${name} is encrypted`);
+        }
+        if (size > collector.remaining()) {
+            throw new Error(`Package unpacks to more than ${MAX_UNPACKED_BYTES / 1024 / 1024}MB`);
+        }
+
+        if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_HEADER) {
+            throw new Error(`Package entry ${name} is corrupt`);
+        }
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        let content;
+        if (method === 0) {
+            content = Buffer.from(data);
+        } else if (method === 8) {
+            content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, size) });
+        } else {
+            throw new Error(`Package entry ${name} uses an unsupported compression method`);
+        }
+
+        if (content.length !== size) {
+            throw new Error(`Package entry ${name} is corrupt`);
+        }
+        collector.add(name, content);
+    }
+
+    return collector.files;
+}
+
+/**
+ * Parse the key=value records of a pax extended header
+ */
+function readPaxHeader(data) {
+    const records = {};
+    let offset = 0;
+
+    while (offset < data.length) {
+        const space = data.indexOf(0x20, offset);
+        if (space === -1) break;
+        const length = Number(data.toString('utf8', offset, space));
+        if (!length) break;
+
+        const record = data.toString('utf8', space + 1, offset + length - 1);
+        const equals = record.indexOf('=');
+        records[record.slice(0, equals)] = record.slice(equals + 1);
+        offset += length;
+    }
+
+    return records;
+}
+
+function readTar(buffer) {
+    const collector = createCollector();
+    const readString = (start, length) => {
+        const field = buffer.subarray(start, start + length);
+        const nul = field.indexOf(0);
+        return field.toString('utf8', 0, nul === -1 ? length : nul);
+    };
+
+    let offset = 0;
+    let longName = null;
+
+    while (offset + TAR_BLOCK <= buffer.length) {
+        // Two zero blocks end the archive
+        if (buffer.subarray(offset, offset + TAR_BLOCK).every(byte => byte === 0)) break;
+
+        const size = parseInt(readString(offset + 124, 12).trim() || '0', 8);
+        const type = readString(offset + 156, 1) || '0';
+        const prefix = readString(offset + 257, 6).startsWith('ustar') ? readString(offset + 345, 155) : '';
+        const name = longName ?? (prefix ? `${prefix}/${readString(offset, 100)}` : readString(offset, 100));
+
+        if (!Number.isFinite(size) || size < 0) {
+            throw new Error('Package tarball is corrupt');
+        }
+
+        const dataStart = offset + TAR_BLOCK;
+        const data = buffer.subarray(dataStart, dataStart + size);
+        if (data.length !== size) {
+            throw new Error('Package tarball is truncated');
+        }
+        offset = dataStart + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+        if (type === 'L') {
+            longName = data.toString('utf8').replace(/\0+$/, '');
+            continue;
+        }
+        if (type === 'x') {
+            longName = readPaxHeader(data).path ?? null;
+            continue;
+        }
+        longName = null;
+
+        if (type === 'g' || type === '5') continue;
+        if (type !== '0' && type !== '7') {
+            throw new Error(`Package entry ${name} is not a regular file`);
+        }
+
+        collector.add(name, Buffer.from(data));
+    }
+
+    return collector.files;
+}
+
+/**
+ * Read every file in a package archive
+ * @param {Buffer} buffer - Zip, tar or gzipped tar
+ * @returns {Map<string, Buffer>} Relative path -> contents
+ */
+export function readArchive(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 4) {
+        throw new Error('Package file is empty');
+    }
+
+    if (buffer.readUInt32LE(0) === ZIP_LOCAL_HEADER) {
+        return readZip(buffer);
+    }
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        return readTar(zlib.gunzipSync(buffer, { maxOutputLength: MAX_UNPACKED_BYTES + TAR_BLOCK * (MAX_ENTRIES + 2) * 2 }));
+    }
+    if (buffer.length >= TAR_BLOCK && buffer.toString('utf8', 257, 262) === 'ustar') {
+        return readTar(buffer);
+    }
+
+    throw new Error('Package must be a zip file or a tarball');
+}
+
+export default readArchive;
@@ -0,0 +1,385 @@
+/**
+ * @fileoverview Plugin Packages
+ *
+ * A plugin package is a zip or tarball holding a manifest.json, the files it
+ * lists and, when signed, a manifest.sig. The manifest names the plugin and
+ * its version, the host versions it runs on, the permissions it needs, the
+ * hooks, routes and UI injection points it provides, and the migrations to
+ * run when moving between versions:
+ *
+ *   {
+ *     "id": "loyalty-points",
+ *     "name": "Loyalty Points",
+ *     "version": "1.1.0",
+ *     "host": ">=1.0.0 <2.0.0",
+ *     "main": "index.js",
+ *     "permissions": ["plugin:read", "plugin:create"],
+ *     "hooks": ["sale.created"],
+ *     "routes": [{ "method": "GET", "path": "/points/:customerId", "handler": "getPoints" }],
+ *     "uiComponents": [{ "injectionPoint": "Customer.Details", "component": "PointsBalance" }],
+ *     "migrations": [{ "version": "1.1.0", "file": "migrations/1.1.0.js" }],
+ *     "files": { "index.js": "<sha256>", "migrations/1.1.0.js": "<sha256>" }
+ *   }
+ *
+ * Every file in the package must be listed in `files` with its SHA-256, so
+ * signing manifest.json covers the whole package. manifest.sig holds a
+ * base64 signature of manifest.json by one of the keys in the trusted keys
+ * directory; unsigned packages are refused unless PLUGIN_ALLOW_UNSIGNED=true.
+ *
+ * Installed versions are unpacked side by side under
+ * plugins/<id>/versions/<version>/ so a plugin can be rolled back.
+ */
+
+import crypto from 'crypto';
+import process from 'process';
+import { Buffer } from 'buffer';
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { readArchive } from './packageArchive.js';
+import { compareVersions, isValidVersion, isValidRange, satisfies } from '../utils/semver.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+
+export const PLUGINS_DIR = path.join(process.cwd(), 'plugins');
+export const REGISTRY_DIR = process.env.PLUGIN_REGISTRY_DIR || path.join(process.cwd(), 'plugin-registry');
+export const TRUSTED_KEYS_DIR = process.env.PLUGIN_TRUSTED_KEYS_DIR || path.join(process.cwd(), 'plugin-keys');
+
+export const HOST_VERSION = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
+
+const MANIFEST_FILE = 'manifest.json';
+const SIGNATURE_FILE = 'manifest.sig';
+// Written next to an unpacked version so a re-upload can be told apart
+const CHECKSUM_FILE = '.package-checksum';
+
+const PACKAGE_EXTENSIONS = ['.zip', '.tgz', '.tar.gz', '.tar'];
+const PLUGIN_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,63}$/;
+const ROUTE_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'];
+const CATEGORIES = ['payment', 'shipping', 'loyalty', 'analytics', 'integration', 'utility', 'custom'];
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Directory an installed version is unpacked to
+ */
+export function versionDir(pluginId, version) {
+    return path.join(PLUGINS_DIR, pluginId, 'versions', version);
+}
+
+/**
+ * Packages made by `npm pack` or zipping a folder put everything under one
+ * top-level directory; drop it so manifest.json is at the root
+ */
+function stripTopDirectory(files) {
+    if (files.has(MANIFEST_FILE)) return files;
+
+    const tops = new Set([...files.keys()].map(filePath => filePath.split('/')[0]));
+    const [top] = tops;
+    if (tops.size !== 1 || !files.has(`${top}/${MANIFEST_FILE}`)) return files;
+
+    return new Map([...files].map(([filePath, content]) => [filePath.slice(top.length + 1), content]));
+}
+
+/**
+ * Check a manifest's fields and fill in defaults
+ */
+function validateManifest(manifest) {
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        throw new ValidationError(`${MANIFEST_FILE} must hold an object`);
+    }
+
+    const errors = [];
+    const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+    if (!PLUGIN_ID_PATTERN.test(manifest.id || '')) {
+        errors.push('id must be 2-64 lowercase letters, digits or dashes');
+    }
+    if (!manifest.name || typeof manifest.name !== 'string') {
+        errors.push('name is required');
+    }
+    if (!isValidVersion(manifest.version)) {
+        errors.push('version must be a semantic version (e.g. 1.2.0)');
+    }
+    if (!manifest.host || !isValidRange(manifest.host)) {
+        errors.push('host must be a version range of the POS server (e.g. >=1.0.0 <2.0.0)');
+    }
+    if (manifest.category && !CATEGORIES.includes(manifest.category)) {
+        errors.push(`category must be one of ${CATEGORIES.join(', ')}`);
+    }
+    for (const field of ['permissions', 'hooks']) {
+        if (manifest[field] !== undefined && !isStringArray(manifest[field])) {
+            errors.push(`${field} must be a list of strings`);
+        }
+    }
+    if (manifest.routes !== undefined && !(Array.isArray(manifest.routes) && manifest.routes.every(route =>
+        ROUTE_METHODS.includes(route?.method) && typeof route.path === 'string' && route.path.startsWith('/') &&
+        typeof route.handler === 'string'))) {
+        errors.push(`routes must each have a method (${ROUTE_METHODS.join(', ')}), a path starting with / and a handler`);
+    }
+    if (manifest.uiComponents !== undefined && !(Array.isArray(manifest.uiComponents) && manifest.uiComponents.every(ui =>
+        typeof ui?.injectionPoint === 'string' && typeof ui.component === 'string'))) {
+        errors.push('uiComponents must each have an injectionPoint and a component');
+    }
+    if (manifest.migrations !== undefined && !(Array.isArray(manifest.migrations) && manifest.migrations.every(migration =>
+        isValidVersion(migration?.version) && typeof migration.file === 'string'))) {
+        errors.push('migrations must each have a version and a file');
+    }
+    if (!manifest.files || typeof manifest.files !== 'object' || Array.isArray(manifest.files)) {
+        errors.push('files must map each file in the package to its SHA-256');
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError(`Invalid plugin manifest: ${errors.join('; ')}`, errors);
+    }
+
+    const normalized = {
+        main: 'index.js',
+        category: 'custom',
+        permissions: [],
+        hooks: [],
+        routes: [],
+        uiComponents: [],
+        migrations: [],
+        dependencies: [],
+        ...manifest
+    };
+
+    for (const file of [normalized.main, ...normalized.migrations.map(migration => migration.file)]) {
+        if (!Object.hasOwn(normalized.files, file)) {
+            throw new ValidationError(`Invalid plugin manifest: ${file} is not listed in files`);
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Check every file against the manifest's checksums
+ */
+function verifyFiles(manifest, files) {
+    for (const [filePath, content] of files) {
+        if (filePath === MANIFEST_FILE || filePath === SIGNATURE_FILE) continue;
+        if (!Object.hasOwn(manifest.files, filePath)) {
+            throw new ValidationError(`Package file ${filePath} is not listed in the manifest`);
+        }
+        if (sha256(content) !== String(manifest.files[filePath]).toLowerCase()) {
+            throw new ValidationError(`Checksum mismatch for ${filePath}`);
+        }
+    }
+
+    for (const filePath of Object.keys(manifest.files)) {
+        if (!files.has(filePath)) {
+            throw new ValidationError(`Package is missing ${filePath}`);
+        }
+    }
+}
+
+/**
+ * Public keys plugins may be signed with, named after their files
+ */
+async function loadTrustedKeys() {
+    let entries;
+    try {
+        entries = await fs.readdir(TRUSTED_KEYS_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const keys = [];
+    for (const entry of entries.filter(name => name.endsWith('.pem')).sort()) {
+        try {
+            const pem = await fs.readFile(path.join(TRUSTED_KEYS_DIR, entry), 'utf8');
+            keys.push({ name: path.basename(entry, '.pem'), key: crypto.createPublicKey(pem) });
+        } catch (error) {
+            console.warn(`⚠ Ignoring unreadable plugin key ${entry}:`, error.message);
+        }
+    }
+    return keys;
+}
+
+/**
+ * Find the trusted key that signed the manifest
+ * @returns {Promise<string|null>} Key name, or null for an allowed unsigned package
+ */
+async function verifySignature(manifestBytes, signatureFile) {
+    if (!signatureFile) {
+        if (process.env.PLUGIN_ALLOW_UNSIGNED === 'true') return null;
+        throw new ValidationError('Plugin package is not signed');
+    }
+
+    const signature = Buffer.from(signatureFile.toString('utf8').trim(), 'base64');
+    for (const { name, key } of await loadTrustedKeys()) {
+        // Ed25519/Ed448 sign the message itself; RSA and EC keys sign its SHA-256
+        const algorithm = ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+        try {
+            if (crypto.verify(algorithm, manifestBytes, key, signature)) return name;
+        } catch {
+            // Not this key's kind of signature
+        }
+    }
+
+    throw new ValidationError('Plugin package signature does not match any trusted key');
+}
+
+/**
+ * Read and verify a plugin package
+ * @param {Buffer} buffer - The package file
+ * @param {Object} [options]
+ * @param {string} [options.checksum] - Expected SHA-256 of the whole file
+ * @returns {Promise<{ manifest: Object, files: Map<string, Buffer>, checksum: string, signedBy: string|null }>}
+ */
+export async function openPackage(buffer, { checksum } = {}) {
+    const packageChecksum = sha256(buffer);
+    if (checksum && checksum.trim().toLowerCase() !== packageChecksum) {
+        throw new ValidationError('Plugin package checksum does not match');
+    }
+
+    let files;
+    try {
+        files = stripTopDirectory(readArchive(buffer));
+    } catch (error) {
+        throw new ValidationError(error.message);
+    }
+
+    const manifestBytes = files.get(MANIFEST_FILE);
+    if (!manifestBytes) {
+        throw new ValidationError(`Plugin package has no ${MANIFEST_FILE}`);
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(manifestBytes.toString('utf8'));
+    } catch (error) {
+        throw new ValidationError(`${MANIFEST_FILE} is not valid JSON: ${error.message}`);
+    }
+
+    const manifest = validateManifest(parsed);
+    verifyFiles(manifest, files);
+    const signedBy = await verifySignature(manifestBytes, files.get(SIGNATURE_FILE));
+
+    return { manifest, files, checksum: packageChecksum, signedBy };
+}
+
+/**
+ * Refuse a package built for other versions of the POS server
+ */
+export function assertCompatible(manifest) {
+    if (!satisfies(HOST_VERSION, manifest.host)) {
+        throw new ValidationError(
+            `${manifest.name} ${manifest.version} needs POS server ${manifest.host}; this server is ${HOST_VERSION}`);
+    }
+}
+
+/**
+ * Unpack a verified package into its version directory. Unpacking the
+ * same package again is a no-op; a different package with the same
+ * version is refused.
+ * @returns {Promise<string>} The version directory
+ */
+export async function extractPackage({ manifest, files, checksum }) {
+    const dir = versionDir(manifest.id, manifest.version);
+
+    try {
+        const existing = (await fs.readFile(path.join(dir, CHECKSUM_FILE), 'utf8')).trim();
+        if (existing === checksum) return dir;
+        throw new ValidationError(`${manifest.id} ${manifest.version} is already installed from a different package; publish it as a new version`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    // Unpack beside the final directory and rename, so a half-written version is never loaded
+    const staging = `${dir}.${process.pid}.${Date.now()}.tmp`;
+    try {
+        for (const [filePath, content] of files) {
+            const target = path.join(staging, filePath);
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(target, content);
+        }
+        await fs.writeFile(path.join(staging, CHECKSUM_FILE), checksum);
+        await fs.rm(dir, { recursive: true, force: true });
+        await fs.rename(staging, dir);
+    } catch (error) {
+        await fs.rm(staging, { recursive: true, force: true });
+        throw error;
+    }
+
+    return dir;
+}
+
+/**
+ * Read the manifest of an unpacked version
+ */
+export async function readInstalledManifest(pluginId, version) {
+    try {
+        const text = await fs.readFile(path.join(versionDir(pluginId, version), MANIFEST_FILE), 'utf8');
+        return validateManifest(JSON.parse(text));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new NotFoundError(`${pluginId} ${version} is no longer on this server`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Read and verify every package in the registry directory. A package with
+ * a `<file>.sha256` beside it must match that checksum. Packages that fail
+ * verification are left out with a warning.
+ * @returns {Promise<Array<{ file: string, manifest: Object, checksum: string, signedBy: string|null }>>}
+ */
+export async function listRegistry() {
+    let entries;
+    try {
+        entries = await fs.readdir(REGISTRY_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const packages = [];
+    for (const file of entries.filter(name => PACKAGE_EXTENSIONS.some(ext => name.endsWith(ext))).sort()) {
+        try {
+            const buffer = await fs.readFile(path.join(REGISTRY_DIR, file));
+            const checksum = await fs.readFile(path.join(REGISTRY_DIR, `${file}.sha256`), 'utf8')
+                .then(text => text.trim().split(/\s+/)[0])
+                .catch(() => undefined);
+
+            const { manifest, checksum: packageChecksum, signedBy } = await openPackage(buffer, { checksum });
+            packages.push({ file, manifest, checksum: packageChecksum, signedBy });
+        } catch (error) {
+            console.warn(`⚠ Skipping plugin package ${file}:`, error.message);
+        }
+    }
+
+    return packages;
+}
+
+/**
+ * Open a plugin's package from the registry
+ * @param {string} pluginId
+ * @param {string} [version] - Newest compatible version when omitted
+ */
+export async function findInRegistry(pluginId, version) {
+    const candidates = (await listRegistry())
+        .filter(({ manifest }) => manifest.id === pluginId &&
+            (version ? manifest.version === version : satisfies(HOST_VERSION, manifest.host)))
+        .sort((a, b) => compareVersions(b.manifest.version, a.manifest.version));
+
+    if (candidates.length === 0) {
+        throw new NotFoundError(`No package for ${pluginId}${version ? ` ${version}` : ''} in the plugin registry`);
+    }
+
+    const buffer = await fs.readFile(path.join(REGISTRY_DIR, candidates[0].file));
+    return openPackage(buffer, { checksum: candidates[0].checksum });
+}
+
+export default {
+    openPackage,
+    assertCompatible,
+    extractPackage,
+    readInstalledManifest,
+    listRegistry,
+    findInRegistry,
+    versionDir,
+    HOST_VERSION
+};
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Plugin Worker
+ *
+ * Runs one plugin in its own worker thread. The plugin's module is evaluated
+ * in a vm context with nothing but the JavaScript built-ins: no require or
+ * import, no process, no filesystem and no string code generation. Its only
+ * way out is the api object handed to each hook, whose calls travel to the
+ * host as messages and are checked there by PluginAPI.
+ *
+ * Everything crossing into the context is passed as JSON text and parsed
+ * there, so plugin code never holds an object from this realm.
+ */
+
+import vm from 'vm';
+import { parentPort, workerData } from 'worker_threads';
+import { validateData } from './validation.js';
+
+// Models a plugin may query through api.models (checked again by the host)
+const MODEL_NAMES = ['Sale', 'Product', 'Customer', 'Employee', 'Store'];
+
+/**
+ * Build the plugin-facing side of the bridge. Compiled from its source inside
+ * the plugin's context, so it must not use anything from this module. The
+ * host only ever calls it with strings and numbers, and it answers through
+ * send rather than with promises the host would have to await.
+ * @param {Function} send - Posts a JSON message to the host
+ * @param {Function} validate - validateData, compiled in the context
+ * @param {string} modelNamesJson - Models exposed on api.models
+ */
+function createBridge(send, validate, modelNamesJson) {
+    const modelNames = JSON.parse(modelNamesJson);
+    const pending = new Map();
+    let nextRequestId = 0;
+    let plugin = {};
+
+    const post = (message) => send(JSON.stringify(message));
+
+    const print = (level) => (...args) => post({ type: 'log', level, message: args.map(String).join(' ') });
+    globalThis.console = { log: print('info'), info: print('info'), warn: print('warn'), error: print('error') };
+
+    const request = (callId, method, args) => new Promise((resolve, reject) => {
+        const requestId = ++nextRequestId;
+        pending.set(requestId, { resolve, reject });
+        post({ type: 'api', callId, requestId, method, args });
+    });
+
+    const errorMessage = (error) => (error && error.message) || String(error);
+
+    // Schemas hold type constructors (Number, String...); the host takes their names
+    const serializeSchema = (schema) => JSON.parse(JSON.stringify(schema, (key, value) =>
+        typeof value === 'function' ? value.name : value));
+
+    // Scheduled functions go by name: the host runs them later, in a call of their own
+    const functionName = (handler) => (typeof handler === 'function'
+        ? Object.keys(plugin).find(key => plugin[key] === handler)
+        : handler);
+
+    const createTableProxy = (callId, tableName) => {
+        const op = (name) => (...args) => request(callId, 'table', [tableName, name, ...args]);
+        return {
+            find: op('find'),
+            findOne: op('findOne'),
+            findById: op('findById'),
+            create: op('create'),
+            update: op('update'),
+            delete: op('delete'),
+            aggregate: op('aggregate')
+        };
+    };
+
+    const createApi = (callId, config) => {
+        const dataKey = (key) => `plugin_${config.pluginId}_${key}`;
+        const settings = config.values;
+
+        const models = {};
+        for (const name of modelNames) {
+            const op = (opName) => (...args) => request(callId, 'model', [name, opName, ...args]);
+            models[name] = {
+                find: op('find'),
+                findOne: op('findOne'),
+                findById: op('findById'),
+                create: op('create'),
+                update: op('update'),
+                delete: op('delete'),
+                aggregate: op('aggregate')
+            };
+        }
+
+        return {
+            models,
+            getConfig(key) {
+                return key ? settings[key] : { ...settings };
+            },
+            setConfig(key, value) {
+                settings[key] = value;
+                return request(callId, 'setConfig', [key, value]);
+            },
+            getData(key) {
+                return settings[dataKey(key)];
+            },
+            setData(key, value) {
+                settings[dataKey(key)] = value;
+                return request(callId, 'setData', [key, value]);
+            },
+            log(level, message, meta = {}) {
+                post({ type: 'log', level: String(level), message: String(message), meta });
+            },
+            emit(event, data) {
+                return request(callId, 'emit', [event, data]);
+            },
+            schedule(cronExpression, handler) {
+                const name = functionName(handler);
+                if (typeof name !== 'string' || typeof plugin[name] !== 'function') {
+                    return Promise.reject(new Error('schedule needs one of the plugin\'s own functions (or its name)'));
+                }
+                return request(callId, 'schedule', [cronExpression, name]);
+            },
+            unschedule(handler) {
+                return request(callId, 'unschedule', [functionName(handler)]);
+            },
+            async fetch(url, options = {}) {
+                const response = await request(callId, 'fetch', [url, options]);
+                return {
+                    ...response,
+                    text: async () => response.body,
+                    json: async () => JSON.parse(response.body)
+                };
+            },
+            registerWebhook(event, url) {
+                return request(callId, 'registerWebhook', [event, url]);
+            },
+            notify(userId, notification) {
+                return request(callId, 'notify', [userId, notification]);
+            },
+            getStore() {
+                return request(callId, 'getStore', []);
+            },
+            getOrganization() {
+                return request(callId, 'getOrganization', []);
+            },
+            async createTable(tableName, schema) {
+                await request(callId, 'createTable', [tableName, serializeSchema(schema)]);
+                return createTableProxy(callId, tableName);
+            },
+            table(tableName) {
+                return createTableProxy(callId, tableName);
+            },
+            async transaction() {
+                throw new Error('Transactions are not available to sandboxed plugins');
+            },
+            validate
+        };
+    };
+
+    // Route handlers get the request as data and a response that is replayed by the host
+    const createResponse = () => {
+        const response = { statusCode: 200, body: undefined, sent: false };
+        const res = {
+            status(code) {
+                response.statusCode = code;
+                return res;
+            },
+            json(body) {
+                response.body = body;
+                response.sent = true;
+                return res;
+            },
+            send(body) {
+                return res.json(body);
+            }
+        };
+        return { res, response };
+    };
+
+    return {
+        setPlugin(instance) {
+            plugin = instance && typeof instance === 'object' ? instance : {};
+        },
+
+        describe() {
+            const members = Object.keys(plugin).filter(key => typeof plugin[key] === 'function');
+            const hooks = Object.keys(plugin.hooks || {}).filter(event => typeof plugin.hooks[event] === 'function');
+            const routes = Array.isArray(plugin.routes)
+                ? plugin.routes.map(({ method, path, handler }) => ({ method, path, handler }))
+                : [];
+            const components = Object.entries(plugin.components || {}).map(([injectionPoint, component]) => ({
+                injectionPoint,
+                name: (component && component.name) || 'Component'
+            }));
+
+            return JSON.stringify({
+                name: plugin.name,
+                version: plugin.version,
+                members,
+                hooks,
+                routes,
+                components
+            });
+        },
+
+        async invoke(callId, pathJson, configJson, argsJson, withResponse) {
+            try {
+                const path = JSON.parse(pathJson);
+                const owner = path.length > 1 ? plugin[path[0]] : plugin;
+                const target = owner && owner[path[path.length - 1]];
+                if (typeof target !== 'function') {
+                    throw new Error(`Plugin has no handler ${path.join('.')}`);
+                }
+
+                const api = createApi(callId, JSON.parse(configJson));
+                const args = JSON.parse(argsJson);
+                const { res, response } = createResponse();
+                if (withResponse) args.push(res);
+
+                const result = await target.call(owner, api, ...args);
+                post({ type: 'result', callId, output: JSON.stringify({ result, response }) });
+            } catch (error) {
+                post({ type: 'failed', callId, error: errorMessage(error) });
+            }
+        },
+
+        receive(json) {
+            const message = JSON.parse(json);
+            const waiting = pending.get(message.requestId);
+            if (!waiting) return;
+            pending.delete(message.requestId);
+
+            if (message.error) {
+                waiting.reject(new Error(message.error));
+            } else {
+                waiting.resolve(message.result === undefined ? undefined : JSON.parse(message.result));
+            }
+        }
+    };
+}
+
+const context = vm.createContext({}, {
+    name: `plugin:${workerData.pluginId}`,
+    codeGeneration: { strings: false, wasm: false }
+});
+
+// Only this closure is handed in; it never throws back into the context
+const send = (json) => {
+    try {
+        parentPort.postMessage(JSON.parse(json));
+    } catch (error) {
+        console.error(`Plugin ${workerData.pluginId} sent an unreadable message:`, error.message);
+    }
+};
+
+const compile = (fn) => vm.runInContext(`(${fn})`, context);
+const bridge = compile(createBridge)(send, compile(validateData), JSON.stringify(MODEL_NAMES));
+
+/**
+ * Evaluate the plugin's module in the context and report what it provides
+ */
+async function load() {
+    const module = new vm.SourceTextModule(workerData.source, {
+        context,
+        identifier: `plugin:${workerData.pluginId}/index.js`
+    });
+
+    await module.link(() => {
+        throw new Error('Plugins cannot import modules; use the api passed to each hook');
+    });
+    await module.evaluate({ timeout: workerData.timeoutMs });
+
+    bridge.setPlugin(module.namespace.default);
+    return JSON.parse(bridge.describe());
+}
+
+parentPort.on('message', (message) => {
+    if (message.type === 'response') {
+        bridge.receive(JSON.stringify(message));
+    } else if (message.type === 'invoke') {
+        const { callId, path, config, args, withResponse } = message;
+        bridge.invoke(callId, JSON.stringify(path), config, args, !!withResponse);
+    }
+});
+
+load()
+    .then(manifest => parentPort.postMessage({ type: 'ready', manifest }))
+    .catch(error => parentPort.postMessage({ type: 'loadError', error: error.message || String(error) }));
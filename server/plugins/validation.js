@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Plugin Data Validation
+ *
+ * Schema check behind PluginAPI.validate. It is self-contained (no imports
+ * or outer variables) because the plugin sandbox compiles its source again
+ * inside the plugin's context.
+ */
+
+/**
+ * Validate data against a schema
+ * @param {Object} data - Values to check
+ * @param {Object} schema - { field: { required, type, min, max } }
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateData(data, schema) {
+    // Simple validation - can be enhanced with joi or yup
+    const errors = [];
+
+    for (const [key, rules] of Object.entries(schema)) {
+        const value = data[key];
+
+        if (rules.required && (value === undefined || value === null || value === '')) {
+            errors.push(`${key} is required`);
+        }
+
+        if (rules.type && value !== undefined) {
+            const actualType = Array.isArray(value) ? 'array' : typeof value;
+            if (actualType !== rules.type) {
+                errors.push(`${key} must be of type ${rules.type}`);
+            }
+        }
+
+        if (rules.min !== undefined && value < rules.min) {
+            errors.push(`${key} must be at least ${rules.min}`);
+        }
+
+        if (rules.max !== undefined && value > rules.max) {
+            errors.push(`${key} must be at most ${rules.max}`);
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+export default validateData;
@@ -15,11 +15,21 @@ import {
     calculateEmployeePerformance,
     forecastSalesTrend
 } from '../services/analyticsService.js';
+import {
+    NET_TOTAL, NET_ITEM_QUANTITY, NET_UNCOSTED_QUANTITY, netItemCost, marginPercent
+} from '../utils/salesMetrics.js';
 
 const router = express.Router();
 
 router.use(authenticate);
 
+// $dateToString formats for tax summary periods
+const TAX_PERIOD_FORMATS = {
+    day: '%Y-%m-%d',
+    week: '%G-W%V',
+    month: '%Y-%m'
+};
+
 /**
  * GET /api/analytics/dashboard
  * Main dashboard metrics and KPIs
@@ -50,7 +60,7 @@ router.get('/dashboard', cacheMiddleware({ namespace: 'analytics', ttl: TTL.SHOR
             {
                 $group: {
                     _id: null,
-                    total: { $sum: '$total' },
+                    total: { $sum: NET_TOTAL },
                     count: { $sum: 1 }
                 }
             }
@@ -68,7 +78,7 @@ router.get('/dashboard', cacheMiddleware({ namespace: 'analytics', ttl: TTL.SHOR
             {
                 $group: {
                     _id: null,
-                    total: { $sum: '$total' },
+                    total: { $sum: NET_TOTAL },
                     count: { $sum: 1 }
                 }
             }
@@ -86,7 +96,7 @@ router.get('/dashboard', cacheMiddleware({ namespace: 'analytics', ttl: TTL.SHOR
             {
                 $group: {
                     _id: null,
-                    total: { $sum: '$total' },
+                    total: { $sum: NET_TOTAL },
                     count: { $sum: 1 }
                 }
             }
@@ -104,7 +114,7 @@ router.get('/dashboard', cacheMiddleware({ namespace: 'analytics', ttl: TTL.SHOR
             {
                 $group: {
                     _id: null,
-                    total: { $sum: '$total' },
+                    total: { $sum: NET_TOTAL },
                     count: { $sum: 1 }
                 }
             }
@@ -122,7 +132,7 @@ router.get('/dashboard', cacheMiddleware({ namespace: 'analytics', ttl: TTL.SHOR
             {
                 $group: {
                     _id: null,
-                    total: { $sum: '$total' },
+                    total: { $sum: NET_TOTAL },
                     count: { $sum: 1 }
                 }
             }
@@ -257,9 +267,9 @@ router.get('/sales/trends', cacheMiddleware({ namespace: 'analytics', ttl: TTL.M
                         month: { $month: '$createdAt' },
                         day: { $dayOfMonth: '$createdAt' }
                     },
-                    revenue: { $sum: '$total' },
+                    revenue: { $sum: NET_TOTAL },
                     transactions: { $sum: 1 },
-                    avgTransaction: { $avg: '$total' }
+                    avgTransaction: { $avg: NET_TOTAL }
                 }
             },
             {
@@ -276,7 +286,7 @@ router.get('/sales/trends', cacheMiddleware({ namespace: 'analytics', ttl: TTL.M
 
 /**
  * GET /api/analytics/products/top
- * Top selling products
+ * Top selling products, with their cost of goods sold and gross margin
  */
 router.get('/products/top', cacheMiddleware({ namespace: 'analytics', ttl: TTL.MEDIUM }), async (req, res) => {
     try {
@@ -310,8 +320,10 @@ router.get('/products/top', cacheMiddleware({ namespace: 'analytics', ttl: TTL.M
             {
                 $group: {
                     _id: '$items.productId',
-                    totalSold: { $sum: '$items.quantity' },
-                    revenue: { $sum: { $multiply: ['$items.price', '$items.quantity'] } },
+                    totalSold: { $sum: NET_ITEM_QUANTITY },
+                    revenue: { $sum: { $multiply: ['$items.price', NET_ITEM_QUANTITY] } },
+                    recordedCost: { $sum: netItemCost() },
+                    uncostedQuantity: { $sum: NET_UNCOSTED_QUANTITY },
                     transactions: { $sum: 1 }
                 }
             },
@@ -324,12 +336,26 @@ router.get('/products/top', cacheMiddleware({ namespace: 'analytics', ttl: TTL.M
                 }
             },
             { $unwind: '$product' },
+            {
+                // Lines sold before costing was recorded are costed at today's cost price
+                $addFields: {
+                    cost: {
+                        $add: [
+                            '$recordedCost',
+                            { $multiply: ['$uncostedQuantity', { $ifNull: ['$product.costPrice', 0] }] }
+                        ]
+                    }
+                }
+            },
             {
                 $project: {
                     productId: '$_id',
                     name: '$product.name',
                     totalSold: 1,
                     revenue: 1,
+                    cost: 1,
+                    grossProfit: { $subtract: ['$revenue', '$cost'] },
+                    margin: marginPercent('$revenue', '$cost'),
                     transactions: 1
                 }
             },
@@ -346,7 +372,7 @@ router.get('/products/top', cacheMiddleware({ namespace: 'analytics', ttl: TTL.M
 
 /**
  * GET /api/analytics/categories/breakdown
- * Revenue breakdown by category
+ * Revenue, cost of goods sold and gross margin by category
  */
 router.get('/categories/breakdown', cacheMiddleware({ namespace: 'analytics', ttl: TTL.MEDIUM }), async (req, res) => {
     try {
@@ -397,8 +423,9 @@ router.get('/categories/breakdown', cacheMiddleware({ namespace: 'analytics', tt
                         categoryId: '$product.categoryId',
                         categoryName: { $arrayElemAt: ['$category.name', 0] }
                     },
-                    revenue: { $sum: { $multiply: ['$items.price', '$items.quantity'] } },
-                    itemsSold: { $sum: '$items.quantity' }
+                    revenue: { $sum: { $multiply: ['$items.price', NET_ITEM_QUANTITY] } },
+                    cost: { $sum: netItemCost('$product.costPrice') },
+                    itemsSold: { $sum: NET_ITEM_QUANTITY }
                 }
             },
             {
@@ -406,6 +433,9 @@ router.get('/categories/breakdown', cacheMiddleware({ namespace: 'analytics', tt
                     _id: 0,
                     category: { $ifNull: ['$_id.categoryName', 'Uncategorized'] },
                     revenue: 1,
+                    cost: 1,
+                    grossProfit: { $subtract: ['$revenue', '$cost'] },
+                    margin: marginPercent('$revenue', '$cost'),
                     itemsSold: 1
                 }
             },
@@ -459,9 +489,9 @@ router.get('/sales/hourly', cacheMiddleware({ namespace: 'analytics', ttl: TTL.S
             {
                 $group: {
                     _id: { $hour: '$createdAt' },
-                    revenue: { $sum: '$total' },
+                    revenue: { $sum: NET_TOTAL },
                     transactions: { $sum: 1 },
-                    avgTransaction: { $avg: '$total' }
+                    avgTransaction: { $avg: NET_TOTAL }
                 }
             },
             {
@@ -523,9 +553,9 @@ router.get('/employees/performance', cacheMiddleware({ namespace: 'analytics', t
             {
                 $group: {
                     _id: '$employeeId',
-                    totalSales: { $sum: '$total' },
+                    totalSales: { $sum: NET_TOTAL },
                     transactions: { $sum: 1 },
-                    avgTransaction: { $avg: '$total' }
+                    avgTransaction: { $avg: NET_TOTAL }
                 }
             },
             {
@@ -591,11 +621,50 @@ router.get('/payments/breakdown', cacheMiddleware({ namespace: 'analytics', ttl:
                     status: 'completed'
                 }
             },
+            { $lookup: { from: 'refunds', localField: '_id', foreignField: 'saleId', as: 'refunds' } },
+            {
+                $project: {
+                    payments: {
+                        $concatArrays: [
+                            // Legacy sales predate split tender and only carry paymentMethod
+                            {
+                                $cond: [
+                                    { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+                                    '$payments',
+                                    [{ method: '$paymentMethod', amount: '$total', changeGiven: 0 }]
+                                ]
+                            },
+                            // Partial refunds come back off the tender they were paid out
+                            // with, and off credit for what was written off the balance
+                            {
+                                $map: {
+                                    input: '$refunds',
+                                    as: 'refund',
+                                    in: { method: '$$refund.refundMethod', amount: { $multiply: ['$$refund.amountReturned', -1] }, isRefund: true }
+                                }
+                            },
+                            {
+                                $map: {
+                                    input: '$refunds',
+                                    as: 'refund',
+                                    in: { method: 'credit', amount: { $multiply: [{ $ifNull: ['$$refund.creditAdjustment', 0] }, -1] }, isRefund: true }
+                                }
+                            }
+                        ]
+                    }
+                }
+            },
+            { $unwind: '$payments' },
+            { $match: { $or: [{ 'payments.isRefund': { $ne: true } }, { 'payments.amount': { $ne: 0 } }] } },
             {
                 $group: {
-                    _id: '$paymentMethod',
-                    revenue: { $sum: '$total' },
-                    transactions: { $sum: 1 }
+                    _id: '$payments.method',
+                    revenue: {
+                        $sum: {
+                            $subtract: ['$payments.amount', { $ifNull: ['$payments.changeGiven', 0] }]
+                        }
+                    },
+                    transactions: { $sum: { $cond: ['$payments.isRefund', 0, 1] } }
                 }
             },
             {
@@ -616,6 +685,217 @@ router.get('/payments/breakdown', cacheMiddleware({ namespace: 'analytics', ttl:
     }
 });
 
+/**
+ * GET /api/analytics/tax-summary
+ * Tax collected per rate and period, net of refunds
+ * Query: startDate, endDate, groupBy ('day' | 'week' | 'month')
+ */
+router.get('/tax-summary', cacheMiddleware({ namespace: 'analytics', ttl: TTL.MEDIUM }), async (req, res) => {
+    try {
+        const { startDate, endDate, groupBy = 'month' } = req.query;
+        const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        const end = endDate ? new Date(endDate) : new Date();
+        const format = TAX_PERIOD_FORMATS[groupBy] || TAX_PERIOD_FORMATS.month;
+
+        const match = {
+            storeId: req.storeId,
+            createdAt: { $gte: start, $lte: end },
+            status: 'completed'
+        };
+        const period = { $dateToString: { format, date: '$createdAt' } };
+
+        const [lineTaxes, legacyTaxes] = await Promise.all([
+            // Sales with per-line tax: scale each line's tax by the units not refunded
+            Sale.aggregate([
+                { $match: match },
+                { $unwind: '$items' },
+                { $unwind: '$items.taxes' },
+                {
+                    $group: {
+                        _id: {
+                            period,
+                            name: '$items.taxes.name',
+                            rate: '$items.taxes.rate',
+                            compound: '$items.taxes.compound'
+                        },
+                        amount: {
+                            $sum: {
+                                $multiply: [
+                                    '$items.taxes.amount',
+                                    { $divide: [NET_ITEM_QUANTITY, '$items.quantity'] }
+                                ]
+                            }
+                        }
+                    }
+                }
+            ]),
+            // Sales recorded before per-line tax only carry a sale-level total
+            Sale.aggregate([
+                { $match: { ...match, 'items.taxes.0': { $exists: false }, tax: { $gt: 0 } } },
+                {
+                    $group: {
+                        _id: { period, name: 'Tax', rate: null, compound: false },
+                        amount: {
+                            $sum: {
+                                $multiply: ['$tax', { $divide: [NET_TOTAL, '$total'] }]
+                            }
+                        }
+                    }
+                }
+            ])
+        ]);
+
+        const round = (amount) => Math.round(amount * 100) / 100;
+        const rows = [...lineTaxes, ...legacyTaxes].map(row => ({
+            period: row._id.period,
+            name: row._id.name,
+            rate: row._id.rate,
+            compound: !!row._id.compound,
+            amount: round(row.amount),
+            // Amount the rate was charged on (compound rates include earlier tax)
+            taxableAmount: row._id.rate > 0 ? round(row.amount / (row._id.rate / 100)) : null
+        }));
+
+        // Totals per rate across the whole range
+        const byRate = new Map();
+        for (const row of rows) {
+            const key = `${row.name}|${row.rate}|${row.compound}`;
+            const total = byRate.get(key) || { ...row, period: undefined, amount: 0, taxableAmount: row.rate > 0 ? 0 : null };
+            total.amount = round(total.amount + row.amount);
+            if (total.taxableAmount !== null) total.taxableAmount = round(total.taxableAmount + row.taxableAmount);
+            byRate.set(key, total);
+        }
+
+        // Rates per period
+        const byPeriod = new Map();
+        for (const row of rows) {
+            const entry = byPeriod.get(row.period) || { period: row.period, rates: [], total: 0 };
+            entry.rates.push(row);
+            entry.total = round(entry.total + row.amount);
+            byPeriod.set(row.period, entry);
+        }
+
+        res.json({
+            range: { start, end, groupBy: TAX_PERIOD_FORMATS[groupBy] ? groupBy : 'month' },
+            rates: [...byRate.values()].sort((a, b) => b.amount - a.amount),
+            periods: [...byPeriod.values()].sort((a, b) => a.period.localeCompare(b.period)),
+            totalTax: round(rows.reduce((sum, row) => sum + row.amount, 0))
+        });
+    } catch (error) {
+        console.error('Tax summary error:', error);
+        res.status(500).json({ error: 'Failed to get tax summary' });
+    }
+});
+
+/**
+ * GET /api/analytics/promotions
+ * Discount given and revenue brought in per promotion, with the products it discounted
+ * Query: startDate, endDate
+ */
+router.get('/promotions', cacheMiddleware({ namespace: 'analytics', ttl: TTL.MEDIUM }), async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+        const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        const end = endDate ? new Date(endDate) : new Date();
+
+        const match = {
+            storeId: req.storeId,
+            createdAt: { $gte: start, $lte: end },
+            status: 'completed'
+        };
+
+        const [promotions, lines, [totals]] = await Promise.all([
+            Sale.aggregate([
+                { $match: { ...match, 'promotions.0': { $exists: true } } },
+                { $unwind: '$promotions' },
+                {
+                    $group: {
+                        _id: '$promotions.promotionId',
+                        name: { $last: '$promotions.name' },
+                        type: { $last: '$promotions.type' },
+                        couponCode: { $last: '$promotions.couponCode' },
+                        uses: { $sum: 1 },
+                        discount: { $sum: '$promotions.amount' },
+                        revenue: { $sum: NET_TOTAL }
+                    }
+                },
+                { $sort: { discount: -1 } }
+            ]),
+            // Per-line attribution, net of refunded units
+            Sale.aggregate([
+                { $match: { ...match, 'items.promotions.0': { $exists: true } } },
+                { $unwind: '$items' },
+                { $unwind: '$items.promotions' },
+                {
+                    $group: {
+                        _id: { promotionId: '$items.promotions.promotionId', productId: '$items.productId' },
+                        name: { $last: '$items.name' },
+                        quantity: { $sum: NET_ITEM_QUANTITY },
+                        discount: {
+                            $sum: {
+                                $multiply: [
+                                    '$items.promotions.amount',
+                                    { $divide: [NET_ITEM_QUANTITY, '$items.quantity'] }
+                                ]
+                            }
+                        }
+                    }
+                },
+                { $sort: { discount: -1 } }
+            ]),
+            Sale.aggregate([
+                { $match: match },
+                {
+                    $group: {
+                        _id: null,
+                        sales: { $sum: 1 },
+                        promotedSales: {
+                            $sum: { $cond: [{ $gt: [{ $ifNull: ['$promotionDiscount', 0] }, 0] }, 1, 0] }
+                        },
+                        discount: { $sum: { $ifNull: ['$promotionDiscount', 0] } }
+                    }
+                }
+            ])
+        ]);
+
+        const round = (amount) => Math.round(amount * 100) / 100;
+        const productsByPromotion = new Map();
+        for (const line of lines) {
+            const key = String(line._id.promotionId);
+            const products = productsByPromotion.get(key) || [];
+            products.push({
+                productId: line._id.productId,
+                name: line.name,
+                quantity: line.quantity,
+                discount: round(line.discount)
+            });
+            productsByPromotion.set(key, products);
+        }
+
+        res.json({
+            range: { start, end },
+            promotions: promotions.map(promotion => ({
+                promotionId: promotion._id,
+                name: promotion.name,
+                type: promotion.type,
+                couponCode: promotion.couponCode || null,
+                uses: promotion.uses,
+                discount: round(promotion.discount),
+                revenue: round(promotion.revenue),
+                products: (productsByPromotion.get(String(promotion._id)) || []).slice(0, 5)
+            })),
+            totals: {
+                sales: totals?.sales || 0,
+                promotedSales: totals?.promotedSales || 0,
+                discount: round(totals?.discount || 0)
+            }
+        });
+    } catch (error) {
+        console.error('Promotion analytics error:', error);
+        res.status(500).json({ error: 'Failed to get promotion analytics' });
+    }
+});
+
 /**
  * GET /api/analytics/inventory/status
  * Inventory overview and status
@@ -796,7 +1076,7 @@ router.get('/sales-forecast', cacheMiddleware({ namespace: 'analytics', ttl: TTL
                     _id: {
                         $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
                     },
-                    revenue: { $sum: '$total' },
+                    revenue: { $sum: NET_TOTAL },
                     transactions: { $sum: 1 }
                 }
             },
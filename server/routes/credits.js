@@ -1,10 +1,21 @@
 /**
  * @fileoverview Credit Routes
+ *
+ * Credits, their payment history, customer credit accounts, aging and
+ * account statements
  */
 
 import express from 'express';
 import { Credit, Customer } from '../models/index.js';
 import { authenticate } from '../middleware/auth.js';
+import { publish } from '../services/eventBus.js';
+import {
+    getCustomerAccount,
+    getAgingReport,
+    buildStatement,
+    renderStatementPDF,
+    emailStatement
+} from '../services/creditService.js';
 
 const router = express.Router();
 
@@ -42,6 +53,74 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * GET /credits/aging
+ * Unpaid balances per customer by days past due
+ */
+router.get('/aging', async (req, res) => {
+    try {
+        const report = await getAgingReport(req.storeId);
+        res.json(report);
+    } catch (error) {
+        console.error('Get credit aging error:', error);
+        res.status(500).json({ error: 'Failed to get credit aging' });
+    }
+});
+
+/**
+ * GET /credits/customers/:customerId/account
+ * Customer credit account: balance, limit, aging and credits
+ */
+router.get('/customers/:customerId/account', async (req, res) => {
+    try {
+        const account = await getCustomerAccount(req.params.customerId, req.storeId);
+        res.json(account);
+    } catch (error) {
+        console.error('Get credit account error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /credits/customers/:customerId/statement
+ * Account statement for a period
+ * Query: { from, to, format: json|pdf }
+ */
+router.get('/customers/:customerId/statement', async (req, res) => {
+    try {
+        const { from, to, format } = req.query;
+        const statement = await buildStatement(req.params.customerId, { storeId: req.storeId, from, to });
+
+        if (format === 'pdf') {
+            const pdf = await renderStatementPDF(statement);
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="statement-${statement.to.toISOString().slice(0, 10)}.pdf"`);
+            return res.send(pdf);
+        }
+
+        res.json(statement);
+    } catch (error) {
+        console.error('Get statement error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /credits/customers/:customerId/statement/email
+ * Email an account statement to the customer (or to `email`)
+ * Body: { from, to, email }
+ */
+router.post('/customers/:customerId/statement/email', async (req, res) => {
+    try {
+        const { from, to, email } = req.body;
+        const result = await emailStatement(req.params.customerId, { storeId: req.storeId, from, to, email });
+        res.json({ message: `Statement sent to ${result.sentTo}`, ...result });
+    } catch (error) {
+        console.error('Email statement error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
 /**
  * GET /credits/:id
  */
@@ -66,10 +145,14 @@ router.get('/:id', async (req, res) => {
 /**
  * POST /credits/:id/payment
  * Record a payment against a credit
+ * Body: { amount, method, reference, notes, clientId, paidAt }
+ *
+ * Registers send a clientId with each payment; resending one that was
+ * already recorded returns the credit unchanged.
  */
 router.post('/:id/payment', async (req, res) => {
     try {
-        const { amount } = req.body;
+        const { amount, method, reference, notes, clientId, paidAt } = req.body;
 
         if (!amount || amount <= 0) {
             return res.status(400).json({ error: 'Invalid payment amount' });
@@ -84,20 +167,37 @@ router.post('/:id/payment', async (req, res) => {
             return res.status(404).json({ error: 'Credit not found' });
         }
 
-        const remaining = credit.amount - credit.amountPaid;
-        const paymentAmount = Math.min(amount, remaining);
-
-        credit.amountPaid += paymentAmount;
+        const recorded = clientId && credit.payments.find(p => p.clientId === clientId);
+        if (recorded) {
+            return res.json({
+                message: 'Payment already recorded',
+                credit,
+                paymentAmount: recorded.amount,
+                remainingBalance: credit.amount - credit.amountPaid
+            });
+        }
 
-        if (credit.amountPaid >= credit.amount) {
-            credit.status = 'paid';
-            credit.paidAt = new Date();
-        } else {
-            credit.status = 'partial';
+        if (credit.status === 'paid') {
+            return res.status(400).json({ error: 'Credit already paid' });
         }
 
+        const paymentAmount = credit.recordPayment(amount, {
+            method,
+            reference,
+            notes,
+            source: 'store',
+            receivedBy: req.userId,
+            clientId,
+            paidAt: paidAt ? new Date(paidAt) : undefined
+        });
+
         await credit.save();
 
+        await publish('credit.payment', { ...credit.toJSON(), paymentAmount }, req);
+        if (credit.status === 'paid') {
+            await publish('credit.paid', credit, req);
+        }
+
         res.json({
             message: 'Payment recorded',
             credit,
@@ -112,12 +212,18 @@ router.post('/:id/payment', async (req, res) => {
 
 /**
  * PUT /credits/:id
+ * Payments go through POST /credits/:id/payment so the ledger stays whole
  */
 router.put('/:id', async (req, res) => {
     try {
+        const updates = { ...req.body };
+        delete updates.payments;
+        delete updates.amountPaid;
+
+        const previous = await Credit.findOne({ _id: req.params.id, storeId: req.storeId }).select('status').lean();
         const credit = await Credit.findOneAndUpdate(
             { _id: req.params.id, storeId: req.storeId },
-            { ...req.body },
+            updates,
             { new: true }
         );
 
@@ -125,6 +231,11 @@ router.put('/:id', async (req, res) => {
             return res.status(404).json({ error: 'Credit not found' });
         }
 
+        if (credit.status !== previous?.status) {
+            if (credit.status === 'overdue') await publish('credit.overdue', credit, req);
+            if (credit.status === 'paid') await publish('credit.paid', credit, req);
+        }
+
         res.json(credit);
     } catch (error) {
         console.error('Update credit error:', error);
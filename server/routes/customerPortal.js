@@ -14,6 +14,8 @@ import {
     sendOTP,
     generateCustomerToken
 } from '../middleware/customerAuth.js';
+import { getCustomerAccount, buildStatement, renderStatementPDF, emailStatement } from '../services/creditService.js';
+import { publish } from '../services/eventBus.js';
 
 const router = express.Router();
 
@@ -254,29 +256,24 @@ router.get('/orders/:id', authenticateCustomer, async (req, res) => {
 
 /**
  * GET /api/customer-portal/credits
- * Get customer credit balance and history
+ * Get customer credit account: balance, limit, aging and payment history
  */
 router.get('/credits', authenticateCustomer, async (req, res) => {
     try {
-        const credits = await Credit.find({
-            customerId: req.customerId
-        })
-            .sort({ createdAt: -1 })
-            .populate('saleId', 'total createdAt');
-
-        const totalBalance = credits.reduce((sum, credit) => sum + credit.balance, 0);
-        const totalAmount = credits.reduce((sum, credit) => sum + credit.amount, 0);
-        const totalPaid = credits.reduce((sum, credit) => sum + credit.paidAmount, 0);
+        const account = await getCustomerAccount(req.customerId);
 
         res.json({
-            totalBalance,
-            totalAmount,
-            totalPaid,
-            credits: credits.map(c => ({
+            totalBalance: account.balance,
+            totalAmount: account.totalCharged,
+            totalPaid: account.totalPaid,
+            creditLimit: account.creditLimit,
+            availableCredit: account.availableCredit,
+            aging: account.aging,
+            credits: account.credits.map(c => ({
                 id: c._id,
                 amount: c.amount,
                 balance: c.balance,
-                paidAmount: c.paidAmount,
+                paidAmount: c.amountPaid,
                 status: c.status,
                 dueDate: c.dueDate,
                 createdAt: c.createdAt,
@@ -286,7 +283,47 @@ router.get('/credits', authenticateCustomer, async (req, res) => {
         });
     } catch (error) {
         console.error('Get credits error:', error);
-        res.status(500).json({ error: 'Failed to fetch credits' });
+        res.status(error.statusCode || 500).json({ error: 'Failed to fetch credits' });
+    }
+});
+
+/**
+ * GET /api/customer-portal/credits/statement
+ * Account statement for a period
+ * Query: { from, to, format: json|pdf }
+ */
+router.get('/credits/statement', authenticateCustomer, async (req, res) => {
+    try {
+        const { from, to, format } = req.query;
+        const statement = await buildStatement(req.customerId, { from, to });
+
+        if (format === 'pdf') {
+            const pdf = await renderStatementPDF(statement);
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="statement-${statement.to.toISOString().slice(0, 10)}.pdf"`);
+            return res.send(pdf);
+        }
+
+        res.json(statement);
+    } catch (error) {
+        console.error('Get statement error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/customer-portal/credits/statement/email
+ * Email an account statement to the customer's own address
+ * Body: { from, to }
+ */
+router.post('/credits/statement/email', authenticateCustomer, async (req, res) => {
+    try {
+        const { from, to } = req.body;
+        const result = await emailStatement(req.customerId, { from, to });
+        res.json({ message: `Statement sent to ${result.sentTo}`, ...result });
+    } catch (error) {
+        console.error('Email statement error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
@@ -316,35 +353,29 @@ router.post('/credits/:id/pay', authenticateCustomer, async (req, res) => {
             return res.status(400).json({ error: 'Credit already paid' });
         }
 
-        if (amount > credit.balance) {
+        if (amount > credit.getRemainingBalance() + 0.005) {
             return res.status(400).json({ error: 'Payment amount exceeds balance' });
         }
 
-        // Record payment
-        credit.payments.push({
-            amount,
+        const paymentAmount = credit.recordPayment(amount, {
             method: paymentMethod || 'online',
-            date: new Date(),
-            reference: reference || `PORTAL-${Date.now()}`
+            reference: reference || `PORTAL-${Date.now()}`,
+            source: 'portal'
         });
 
-        credit.paidAmount += amount;
-        credit.balance -= amount;
+        await credit.save();
 
-        if (credit.balance === 0) {
-            credit.status = 'paid';
-        } else {
-            credit.status = 'partial';
+        await publish('credit.payment', { ...credit.toJSON(), paymentAmount }, { storeId: credit.storeId });
+        if (credit.status === 'paid') {
+            await publish('credit.paid', credit, { storeId: credit.storeId });
         }
 
-        await credit.save();
-
         res.json({
             message: 'Payment recorded successfully',
             credit: {
                 id: credit._id,
-                balance: credit.balance,
-                paidAmount: credit.paidAmount,
+                balance: credit.amount - credit.amountPaid,
+                paidAmount: credit.amountPaid,
                 status: credit.status
             }
         });
@@ -378,13 +409,13 @@ router.get('/stats', authenticateCustomer, async (req, res) => {
             {
                 $match: {
                     customerId: customer._id,
-                    status: { $in: ['pending', 'partial'] }
+                    status: { $in: ['pending', 'partial', 'overdue'] }
                 }
             },
             {
                 $group: {
                     _id: null,
-                    totalBalance: { $sum: '$balance' },
+                    totalBalance: { $sum: { $subtract: ['$amount', '$amountPaid'] } },
                     count: { $sum: 1 }
                 }
             }
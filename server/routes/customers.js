@@ -7,6 +7,7 @@ import { Customer, Credit, Sale } from '../models/index.js';
 import { authenticate } from '../middleware/auth.js';
 import { cacheCustomers } from '../middleware/cache.js';
 import { invalidateEntityCache } from '../services/cacheService.js';
+import { publish } from '../services/eventBus.js';
 
 const router = express.Router();
 
@@ -107,6 +108,8 @@ router.post('/', async (req, res) => {
         // Invalidate customer cache
         await invalidateEntityCache('customers', req.storeId);
 
+        await publish('customer.created', customer, req);
+
         res.status(201).json(customer);
     } catch (error) {
         console.error('Create customer error:', error);
@@ -132,6 +135,8 @@ router.put('/:id', async (req, res) => {
         // Invalidate customer cache
         await invalidateEntityCache('customers', req.storeId, req.params.id);
 
+        await publish('customer.updated', customer, req);
+
         res.json(customer);
     } catch (error) {
         console.error('Update customer error:', error);
@@ -156,6 +161,8 @@ router.delete('/:id', async (req, res) => {
         // Invalidate customer cache
         await invalidateEntityCache('customers', req.storeId, req.params.id);
 
+        await publish('customer.deleted', customer, req);
+
         res.json({ message: 'Customer deleted' });
     } catch (error) {
         console.error('Delete customer error:', error);
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Cash Drawer Routes
+ *
+ * Drawer sessions are run on the register and pushed here, so the back
+ * office can see every drawer's history and X/Z reports.
+ */
+
+import express from 'express';
+import { DrawerSession } from '../models/index.js';
+import { authenticate } from '../middleware/auth.js';
+import { buildDrawerReport, getSessionSales } from '../services/drawerService.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Fields a register may push for a session
+const PUSHABLE_FIELDS = [
+    'registerId', 'registerName', 'employeeId', 'clockEventId', 'status', 'openedAt',
+    'openingFloat', 'openingCount', 'movements', 'closedAt', 'closedBy', 'closingCount',
+    'countedCash', 'expectedCash', 'variance', 'report', 'notes'
+];
+
+/**
+ * Keep pushable fields, dropping references the register only knows by local id
+ */
+const toSessionData = (body) => {
+    const data = Object.fromEntries(
+        PUSHABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+    );
+
+    for (const field of ['employeeId', 'clockEventId', 'closedBy']) {
+        if (typeof data[field] === 'number') data[field] = null;
+    }
+    if (Array.isArray(data.movements)) {
+        data.movements = data.movements.map(m => ({
+            ...m,
+            employeeId: typeof m.employeeId === 'number' ? undefined : m.employeeId
+        }));
+    }
+
+    return data;
+};
+
+/**
+ * GET /drawers
+ * Query: status, registerId, startDate, endDate, limit
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status, registerId, startDate, endDate, limit = 50 } = req.query;
+
+        const query = { storeId: req.storeId };
+        if (status) query.status = status;
+        if (registerId) query.registerId = registerId;
+        if (startDate || endDate) {
+            query.openedAt = {};
+            if (startDate) query.openedAt.$gte = new Date(startDate);
+            if (endDate) query.openedAt.$lte = new Date(endDate);
+        }
+
+        const sessions = await DrawerSession.find(query)
+            .select('-report')
+            .populate('employeeId', 'name')
+            .populate('closedBy', 'name')
+            .sort({ openedAt: -1 })
+            .limit(parseInt(limit));
+
+        res.json(sessions);
+    } catch (error) {
+        console.error('Get drawer sessions error:', error);
+        res.status(500).json({ error: 'Failed to get drawer sessions' });
+    }
+});
+
+/**
+ * GET /drawers/:id
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const session = await DrawerSession.findOne({ _id: req.params.id, storeId: req.storeId })
+            .populate('employeeId', 'name')
+            .populate('closedBy', 'name');
+
+        if (!session) {
+            return res.status(404).json({ error: 'Drawer session not found' });
+        }
+
+        res.json(session);
+    } catch (error) {
+        console.error('Get drawer session error:', error);
+        res.status(500).json({ error: 'Failed to get drawer session' });
+    }
+});
+
+/**
+ * GET /drawers/:id/report
+ * X report from the sales so far while the drawer is open; the Z report once
+ * closed. Pass ?recalculate=true to rebuild a Z report from the server's sales.
+ */
+router.get('/:id/report', async (req, res) => {
+    try {
+        const session = await DrawerSession.findOne({ _id: req.params.id, storeId: req.storeId }).lean();
+
+        if (!session) {
+            return res.status(404).json({ error: 'Drawer session not found' });
+        }
+
+        if (session.status === 'closed' && session.report && req.query.recalculate !== 'true') {
+            return res.json(session.report);
+        }
+
+        const sales = await getSessionSales(session);
+        res.json(buildDrawerReport(session, sales, session.status === 'closed' ? 'Z' : 'X'));
+    } catch (error) {
+        console.error('Get drawer report error:', error);
+        res.status(500).json({ error: 'Failed to get drawer report' });
+    }
+});
+
+/**
+ * POST /drawers
+ * Push a session from the register: creates it the first time, then
+ * updates it (movements, close) on later pushes with the same clientId
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { clientId } = req.body;
+
+        if (!clientId) {
+            return res.status(400).json({ error: 'clientId is required' });
+        }
+
+        const data = toSessionData(req.body);
+        let session = await DrawerSession.findOne({ storeId: req.storeId, clientId });
+
+        if (session?.status === 'closed') {
+            // A closed drawer is final
+            return res.json(session);
+        }
+
+        if (session) {
+            session.set(data);
+            session.syncVersion += 1;
+            session.lastSyncedAt = new Date();
+        } else {
+            // Only one drawer can be open on a register at a time
+            if (data.status !== 'closed') {
+                const open = await DrawerSession.findOne({
+                    storeId: req.storeId,
+                    registerId: data.registerId,
+                    status: 'open'
+                });
+                if (open) {
+                    return res.status(409).json({
+                        error: 'This register already has an open drawer',
+                        sessionId: open._id
+                    });
+                }
+            }
+
+            session = new DrawerSession({ ...data, storeId: req.storeId, clientId });
+        }
+
+        // Registers that closed offline without a report get one built here
+        if (session.status === 'closed' && !session.report) {
+            const sales = await getSessionSales(session);
+            session.report = buildDrawerReport(session, sales, 'Z');
+            session.expectedCash = session.report.cash.expected;
+            session.variance = session.report.cash.variance;
+        }
+
+        await session.save();
+
+        res.status(session.syncVersion === 1 ? 201 : 200).json(session);
+    } catch (error) {
+        console.error('Push drawer session error:', error);
+        if (error.code === 11000) {
+            const existing = await DrawerSession.findOne({ storeId: req.storeId, clientId: req.body.clientId });
+            return res.json(existing);
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to save drawer session' });
+    }
+});
+
+export default router;
@@ -5,6 +5,7 @@
 import express from 'express';
 import { Employee, ClockEvent, Sale } from '../models/index.js';
 import { authenticate } from '../middleware/auth.js';
+import { publish } from '../services/eventBus.js';
 
 const router = express.Router();
 
@@ -41,6 +42,8 @@ router.get('/:id', async (req, res) => {
             return res.status(404).json({ error: 'Employee not found' });
         }
 
+        await publish('employee.updated', employee.getSafeInfo(), req);
+
         res.json(employee);
     } catch (error) {
         console.error('Get employee error:', error);
@@ -60,6 +63,9 @@ router.post('/', async (req, res) => {
         });
 
         await employee.save();
+
+        await publish('employee.created', employee.getSafeInfo(), req);
+
         res.status(201).json(employee);
     } catch (error) {
         console.error('Create employee error:', error);
@@ -105,6 +111,8 @@ router.delete('/:id', async (req, res) => {
             return res.status(404).json({ error: 'Employee not found' });
         }
 
+        await publish('employee.deleted', employee.getSafeInfo(), req);
+
         res.json({ message: 'Employee deleted' });
     } catch (error) {
         console.error('Delete employee error:', error);
@@ -201,15 +209,27 @@ router.post('/clock', async (req, res) => {
             const summary = {
                 salesCount: sales.length,
                 salesTotal: sales.reduce((sum, s) => sum + (s.total || 0), 0),
-                itemsSold: sales.reduce((sum, s) => sum + (s.items?.length || 0), 0)
+                itemsSold: sales.reduce((sum, s) => sum + (s.items?.length || 0), 0),
+                paymentTotals: {
+                    cash: sales.reduce((sum, s) => sum + s.getPaidAmount('cash'), 0),
+                    card: sales.reduce((sum, s) => sum + s.getPaidAmount('card'), 0),
+                    credit: sales.reduce((sum, s) => sum + s.getPaidAmount('credit'), 0)
+                }
             };
 
             activeEvent.clockOut = clockOut;
             activeEvent.salesCount = summary.salesCount;
             activeEvent.salesTotal = summary.salesTotal;
             activeEvent.itemsSold = summary.itemsSold;
+            activeEvent.paymentTotals = summary.paymentTotals;
             await activeEvent.save();
 
+            await publish('employee.clock_out', {
+                employee: employee.getSafeInfo(),
+                clockEvent: activeEvent,
+                summary
+            }, req);
+
             res.json({
                 action: 'clock_out',
                 employee: employee.getSafeInfo(),
@@ -225,6 +245,11 @@ router.post('/clock', async (req, res) => {
             });
             await clockEvent.save();
 
+            await publish('employee.clock_in', {
+                employee: employee.getSafeInfo(),
+                clockEvent
+            }, req);
+
             res.json({
                 action: 'clock_in',
                 employee: employee.getSafeInfo(),
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Held Cart Routes
+ *
+ * Parked carts shared between the registers of a store
+ */
+
+import express from 'express';
+import { HeldCart } from '../models/index.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * GET /held-carts
+ * List parked carts for the store, oldest first
+ */
+router.get('/', async (req, res) => {
+    try {
+        const heldCarts = await HeldCart.find({ storeId: req.storeId })
+            .sort({ createdAt: 1 });
+
+        res.json(heldCarts);
+    } catch (error) {
+        console.error('Get held carts error:', error);
+        res.status(500).json({ error: 'Failed to get held carts' });
+    }
+});
+
+/**
+ * POST /held-carts
+ * Park a cart
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { label, items } = req.body;
+
+        if (!label?.trim()) {
+            return res.status(400).json({ error: 'Label is required' });
+        }
+
+        if (!items || items.length === 0) {
+            return res.status(400).json({ error: 'Cannot park an empty cart' });
+        }
+
+        // Products must be synced - local numeric ids mean nothing to other registers
+        if (items.some(item => !item.productId || typeof item.productId === 'number')) {
+            return res.status(400).json({
+                error: 'Invalid product reference',
+                message: 'Products must be synced to server before a cart can be shared.'
+            });
+        }
+
+        const heldCart = new HeldCart({
+            ...req.body,
+            storeId: req.storeId,
+            userId: req.userId
+        });
+
+        await heldCart.save();
+        res.status(201).json(heldCart);
+    } catch (error) {
+        console.error('Create held cart error:', error);
+        res.status(500).json({ error: 'Failed to park cart' });
+    }
+});
+
+/**
+ * DELETE /held-carts/:id
+ * Resume (claim) or discard a parked cart. Deleting is atomic, so only
+ * one register can resume a given cart.
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const heldCart = await HeldCart.findOneAndDelete({
+            _id: req.params.id,
+            storeId: req.storeId
+        });
+
+        if (!heldCart) {
+            return res.status(404).json({ error: 'Held cart not found' });
+        }
+
+        res.json(heldCart);
+    } catch (error) {
+        console.error('Delete held cart error:', error);
+        res.status(500).json({ error: 'Failed to remove held cart' });
+    }
+});
+
+export default router;
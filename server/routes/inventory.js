@@ -14,13 +14,35 @@ import {
     calculateReorderPoint,
     performABCAnalysis,
     identifySlowMovers,
-    calculateTurnoverRate
+    calculateTurnoverRate,
+    findNewlyLowStock,
+    suggestPurchaseOrders,
+    createSuggestedPurchaseOrders
 } from '../services/inventoryService.js';
+import {
+    listCatalog,
+    saveCatalogEntry,
+    removeCatalogEntry,
+    applyCatalogDefaults,
+    recordReceivedCosts,
+    setPreferredSupplier,
+    comparePrices
+} from '../services/supplierCatalogService.js';
+import { addCostLayer, recordStockAdjustment } from '../services/costingService.js';
+import { withTransaction } from '../utils/transaction.js';
+import { publish } from '../services/eventBus.js';
 
 const router = express.Router();
 
 router.use(authenticate);
 
+/**
+ * Analytics can be aggregated per product or per variant
+ */
+function analysisLevel(level) {
+    return level === 'variant' ? 'variant' : 'product';
+}
+
 /**
  * GET /api/inventory/suppliers
  * Get all suppliers
@@ -131,6 +153,84 @@ router.delete('/suppliers/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/inventory/suppliers/:id/catalog
+ * Products a supplier sells with their costs, pack sizes and lead times
+ */
+router.get('/suppliers/:id/catalog', async (req, res) => {
+    try {
+        const catalog = await listCatalog(req.storeId, req.params.id);
+
+        res.json(catalog);
+    } catch (error) {
+        console.error('Get supplier catalog error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/inventory/suppliers/:id/catalog
+ * Add a product to a supplier's catalog, or update its terms
+ * Body: { productId, variantId, supplierSku, unitCost, minimumOrderQuantity, casePackSize, leadTimeDays, notes }
+ */
+router.post('/suppliers/:id/catalog', async (req, res) => {
+    try {
+        const entry = await saveCatalogEntry(req.storeId, req.params.id, req.body);
+
+        res.status(201).json(entry);
+    } catch (error) {
+        console.error('Save supplier catalog entry error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/inventory/suppliers/:id/catalog/:entryId
+ * Remove a product from a supplier's catalog
+ */
+router.delete('/suppliers/:id/catalog/:entryId', async (req, res) => {
+    try {
+        await removeCatalogEntry(req.storeId, req.params.id, req.params.entryId);
+
+        res.json({ message: 'Removed from catalog' });
+    } catch (error) {
+        console.error('Remove supplier catalog entry error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/inventory/supplier-prices
+ * Compare supplier costs for each product, cheapest first
+ * Query: productId
+ */
+router.get('/supplier-prices', async (req, res) => {
+    try {
+        const comparison = await comparePrices(req.storeId, { productId: req.query.productId });
+
+        res.json(comparison);
+    } catch (error) {
+        console.error('Compare supplier prices error:', error);
+        res.status(500).json({ error: 'Failed to compare supplier prices' });
+    }
+});
+
+/**
+ * PUT /api/inventory/supplier-prices/:productId/preferred
+ * Buy a product from this supplier by default
+ * Body: { supplierId }
+ */
+router.put('/supplier-prices/:productId/preferred', async (req, res) => {
+    try {
+        const product = await setPreferredSupplier(req.storeId, req.params.productId, req.body.supplierId);
+
+        res.json({ productId: product._id, supplierId: product.supplierId });
+    } catch (error) {
+        console.error('Set preferred supplier error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
 /**
  * GET /api/inventory/forecast/:productId
  * Get demand forecast for a product
@@ -170,10 +270,11 @@ router.get('/reorder-point/:productId', cacheMiddleware({ namespace: 'inventory'
 /**
  * GET /api/inventory/abc-analysis
  * Perform ABC analysis on inventory
+ * Query: level ('product' | 'variant')
  */
 router.get('/abc-analysis', cacheMiddleware({ namespace: 'inventory', ttl: TTL.LONG }), async (req, res) => {
     try {
-        const analysis = await performABCAnalysis(req.storeId);
+        const analysis = await performABCAnalysis(req.storeId, analysisLevel(req.query.level));
 
         res.json(analysis);
     } catch (error) {
@@ -185,12 +286,13 @@ router.get('/abc-analysis', cacheMiddleware({ namespace: 'inventory', ttl: TTL.L
 /**
  * GET /api/inventory/slow-movers
  * Identify slow-moving and dead stock
+ * Query: daysSinceLastSale, level ('product' | 'variant')
  */
 router.get('/slow-movers', cacheMiddleware({ namespace: 'inventory', ttl: TTL.MEDIUM }), async (req, res) => {
     try {
-        const { daysSinceLastSale = 90 } = req.query;
+        const { daysSinceLastSale = 90, level } = req.query;
 
-        const slowMovers = await identifySlowMovers(req.storeId, parseInt(daysSinceLastSale));
+        const slowMovers = await identifySlowMovers(req.storeId, parseInt(daysSinceLastSale), analysisLevel(level));
 
         res.json(slowMovers);
     } catch (error) {
@@ -202,12 +304,13 @@ router.get('/slow-movers', cacheMiddleware({ namespace: 'inventory', ttl: TTL.ME
 /**
  * GET /api/inventory/turnover
  * Calculate inventory turnover rate
+ * Query: periodDays, level ('product' | 'variant') for the per-item breakdown
  */
 router.get('/turnover', cacheMiddleware({ namespace: 'inventory', ttl: TTL.MEDIUM }), async (req, res) => {
     try {
-        const { periodDays = 365 } = req.query;
+        const { periodDays = 365, level } = req.query;
 
-        const turnover = await calculateTurnoverRate(req.storeId, parseInt(periodDays));
+        const turnover = await calculateTurnoverRate(req.storeId, parseInt(periodDays), analysisLevel(level));
 
         res.json(turnover);
     } catch (error) {
@@ -316,6 +419,40 @@ router.get('/purchase-orders', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/inventory/purchase-orders/suggestions
+ * Products due for reordering, grouped by supplier with proposed quantities
+ * Query: coverageDays
+ */
+router.get('/purchase-orders/suggestions', async (req, res) => {
+    try {
+        const coverageDays = parseInt(req.query.coverageDays) || 30;
+
+        const suggestions = await suggestPurchaseOrders(req.storeId, { coverageDays });
+
+        res.json(suggestions);
+    } catch (error) {
+        console.error('Purchase order suggestions error:', error);
+        res.status(500).json({ error: 'Failed to suggest purchase orders' });
+    }
+});
+
+/**
+ * POST /api/inventory/purchase-orders/suggestions
+ * Create draft purchase orders from suggestions
+ * Body: { orders: [{ supplierId, items: [{ productId, variantId, quantity, costPrice }], notes }] }
+ */
+router.post('/purchase-orders/suggestions', async (req, res) => {
+    try {
+        const orders = await createSuggestedPurchaseOrders(req.storeId, req.user._id, req.body.orders);
+
+        res.status(201).json(orders);
+    } catch (error) {
+        console.error('Create suggested purchase orders error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
 /**
  * POST /api/inventory/purchase-orders
  * Create a new purchase order
@@ -347,9 +484,11 @@ router.post('/purchase-orders', authenticate, async (req, res) => {
         }
 
         const orderNumber = await PurchaseOrder.generateOrderNumber();
+        const items = await applyCatalogDefaults(req.storeId, req.body.supplierId, req.body.items);
 
         const order = await PurchaseOrder.create({
             ...req.body,
+            items,
             storeId: req.storeId,
             orderNumber,
             createdBy: req.user._id
@@ -396,43 +535,65 @@ router.put('/purchase-orders/:id/receive', authenticate, async (req, res) => {
         console.log('📦 Receiving PO:', req.params.id);
         console.log('📦 Received items:', JSON.stringify(receivedItems, null, 2));
 
-        const order = await PurchaseOrder.findOne({
-            _id: req.params.id,
-            storeId: req.storeId
+        // The received quantities, stock movements and cost layers commit together
+        const order = await withTransaction(async (session) => {
+            const order = await PurchaseOrder.findOne({
+                _id: req.params.id,
+                storeId: req.storeId
+            }).session(session);
+
+            if (!order) return null;
+
+            console.log('📦 Order found:', order.orderNumber);
+            await order.receiveItems(receivedItems, req.user._id);
+
+            // Update product quantities
+            console.log('📦 Processing', receivedItems.length, 'items...');
+            for (const received of receivedItems) {
+                const item = order.items.id(received.itemId);
+                console.log('📦 Item:', received.itemId, '- Product:', item?.productId, '- Qty:', received.quantity);
+
+                if (item && received.quantity > 0) {
+                    console.log('📦 Creating stock movement for product:', item.productId, 'qty:', received.quantity);
+                    const movement = await StockMovement.createMovement({
+                        storeId: req.storeId,
+                        productId: item.productId,
+                        variantId: item.variantId,
+                        type: 'purchase',
+                        quantity: received.quantity,
+                        reason: `Received from PO ${order.orderNumber}`,
+                        referenceType: 'PurchaseOrder',
+                        referenceId: order._id,
+                        performedBy: req.user._id
+                    }, { session });
+                    console.log('✅ Stock movement created:', movement._id, '- New qty:', movement.newQuantity);
+                    await addCostLayer({
+                        storeId: req.storeId,
+                        productId: item.productId,
+                        variantId: item.variantId,
+                        quantity: received.quantity,
+                        unitCost: item.costPrice,
+                        source: 'purchase',
+                        referenceType: 'PurchaseOrder',
+                        referenceId: order._id
+                    }, { session });
+                } else {
+                    console.log('⚠️ Skipping item (no item or qty=0)');
+                }
+            }
+
+            return order;
         });
 
         if (!order) {
             return res.status(404).json({ error: 'Purchase order not found' });
         }
 
-        console.log('📦 Order found:', order.orderNumber);
-        await order.receiveItems(receivedItems, req.user._id);
-
-        // Update product quantities
-        console.log('📦 Processing', receivedItems.length, 'items...');
-        for (const received of receivedItems) {
-            const item = order.items.id(received.itemId);
-            console.log('📦 Item:', received.itemId, '- Product:', item?.productId, '- Qty:', received.quantity);
-
-            if (item && received.quantity > 0) {
-                console.log('📦 Creating stock movement for product:', item.productId, 'qty:', received.quantity);
-                const movement = await StockMovement.createMovement({
-                    storeId: req.storeId,
-                    productId: item.productId,
-                    type: 'purchase',
-                    quantity: received.quantity,
-                    reason: `Received from PO ${order.orderNumber}`,
-                    referenceType: 'PurchaseOrder',
-                    referenceId: order._id,
-                    performedBy: req.user._id
-                });
-                console.log('✅ Stock movement created:', movement._id, '- New qty:', movement.newQuantity);
-            } else {
-                console.log('⚠️ Skipping item (no item or qty=0)');
-            }
-        }
+        await recordReceivedCosts(order, receivedItems);
 
         console.log('✅ PO received successfully');
+        await publish('inventory.received', { purchaseOrder: order, receivedItems }, req);
+
         res.json(order);
     } catch (error) {
         console.error('❌ Receive purchase order error:', error);
@@ -518,12 +679,36 @@ router.post('/movements', authenticate, async (req, res) => {
             });
         }
 
-        const movement = await StockMovement.createMovement({
-            ...req.body,
-            storeId: req.storeId,
-            performedBy: req.user._id
+        // The movement and the cost layers it adds or draws down commit together
+        const movement = await withTransaction(async (session) => {
+            const created = await StockMovement.createMovement({
+                ...req.body,
+                storeId: req.storeId,
+                performedBy: req.user._id
+            }, { session });
+
+            await recordStockAdjustment({
+                storeId: req.storeId,
+                productId: created.productId,
+                variantId: created.variantId,
+                quantity: created.quantity,
+                source: created.type === 'purchase' ? 'purchase' : undefined,
+                referenceType: 'StockMovement',
+                referenceId: created._id
+            }, { session });
+
+            return created;
         });
 
+        await publish('inventory.adjusted', movement, req);
+        const [lowStock] = await findNewlyLowStock(req.storeId, [{
+            productId: movement.productId,
+            quantity: -movement.quantity
+        }]);
+        if (lowStock) {
+            await publish('product.low_stock', lowStock, req);
+        }
+
         res.status(201).json(movement);
     } catch (error) {
         console.error('Create movement error:', error);
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Scheduled Job Routes
+ *
+ * API endpoints for viewing scheduled jobs and their run history, and for
+ * running a job on demand
+ */
+
+import express from 'express';
+import { JobRun } from '../models/index.js';
+import { authenticate } from '../middleware/auth.js';
+import { requireAdmin } from '../middleware/authorize.js';
+import { getJobs, runJob, hasJob } from '../services/scheduler.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(requireAdmin());
+
+/**
+ * GET /api/jobs
+ * List scheduled jobs with their next and last run
+ */
+router.get('/', async (req, res) => {
+    try {
+        const jobs = await getJobs();
+        res.json({ jobs });
+    } catch (error) {
+        console.error('Get jobs error:', error);
+        res.status(500).json({ error: 'Failed to get jobs' });
+    }
+});
+
+/**
+ * GET /api/jobs/history
+ * Job run history, newest first
+ */
+router.get('/history', async (req, res) => {
+    try {
+        const { name, status, limit = 50 } = req.query;
+
+        const query = {};
+        if (name) query.name = name;
+        if (status) query.status = status;
+
+        const runs = await JobRun.find(query)
+            .sort({ startedAt: -1 })
+            .limit(Math.min(parseInt(limit) || 50, 500))
+            .lean();
+
+        res.json({ runs });
+    } catch (error) {
+        console.error('Get job history error:', error);
+        res.status(500).json({ error: 'Failed to get job history' });
+    }
+});
+
+/**
+ * POST /api/jobs/:name/run
+ * Run a job now
+ */
+router.post('/:name/run', async (req, res) => {
+    try {
+        if (!hasJob(req.params.name)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const run = await runJob(req.params.name, { trigger: 'manual', userId: req.userId });
+        res.json({ run });
+    } catch (error) {
+        console.error('Run job error:', error);
+        res.status(500).json({ error: 'Failed to run job' });
+    }
+});
+
+export default router;
@@ -8,6 +8,7 @@ import express from 'express';
 import { Organization, StoreGroup, Store, User, Sale, Product, Customer } from '../models/index.js';
 import { authenticate } from '../middleware/auth.js';
 import mongoose from 'mongoose';
+import { NET_TOTAL, NET_ITEM_QUANTITY, netItemCost } from '../utils/salesMetrics.js';
 
 const router = express.Router();
 
@@ -209,19 +210,19 @@ router.get('/:id/stats', async (req, res) => {
         const [todaySales, weekSales, monthSales, totalSales] = await Promise.all([
             Sale.aggregate([
                 { $match: { storeId: { $in: storeIds }, createdAt: { $gte: today }, status: 'completed' } },
-                { $group: { _id: null, revenue: { $sum: '$total' }, count: { $sum: 1 } } }
+                { $group: { _id: null, revenue: { $sum: NET_TOTAL }, count: { $sum: 1 } } }
             ]),
             Sale.aggregate([
                 { $match: { storeId: { $in: storeIds }, createdAt: { $gte: thisWeekStart }, status: 'completed' } },
-                { $group: { _id: null, revenue: { $sum: '$total' }, count: { $sum: 1 } } }
+                { $group: { _id: null, revenue: { $sum: NET_TOTAL }, count: { $sum: 1 } } }
             ]),
             Sale.aggregate([
                 { $match: { storeId: { $in: storeIds }, createdAt: { $gte: thisMonthStart }, status: 'completed' } },
-                { $group: { _id: null, revenue: { $sum: '$total' }, count: { $sum: 1 } } }
+                { $group: { _id: null, revenue: { $sum: NET_TOTAL }, count: { $sum: 1 } } }
             ]),
             Sale.aggregate([
                 { $match: { storeId: { $in: storeIds }, status: 'completed' } },
-                { $group: { _id: null, revenue: { $sum: '$total' }, count: { $sum: 1 } } }
+                { $group: { _id: null, revenue: { $sum: NET_TOTAL }, count: { $sum: 1 } } }
             ])
         ]);
 
@@ -245,7 +246,7 @@ router.get('/:id/stats', async (req, res) => {
         // Get top performing stores
         const topStores = await Sale.aggregate([
             { $match: { storeId: { $in: storeIds }, createdAt: { $gte: thisMonthStart }, status: 'completed' } },
-            { $group: { _id: '$storeId', revenue: { $sum: '$total' }, transactions: { $sum: 1 } } },
+            { $group: { _id: '$storeId', revenue: { $sum: NET_TOTAL }, transactions: { $sum: 1 } } },
             { $sort: { revenue: -1 } },
             { $limit: 5 }
         ]);
@@ -362,24 +363,57 @@ router.get('/:id/reports', async (req, res) => {
                 {
                     $group: {
                         _id: '$storeId',
-                        revenue: { $sum: '$total' },
+                        revenue: { $sum: NET_TOTAL },
                         transactions: { $sum: 1 },
-                        avgTransaction: { $avg: '$total' }
+                        avgTransaction: { $avg: NET_TOTAL }
                     }
                 },
                 { $sort: { revenue: -1 } }
             ]);
 
+            // Item sales at selling price and their cost of goods sold, by store
+            const marginsByStore = await Sale.aggregate([
+                {
+                    $match: {
+                        storeId: { $in: storeIds },
+                        createdAt: { $gte: start, $lte: end },
+                        status: 'completed'
+                    }
+                },
+                { $unwind: '$items' },
+                {
+                    $lookup: {
+                        from: 'products',
+                        localField: 'items.productId',
+                        foreignField: '_id',
+                        as: 'product'
+                    }
+                },
+                {
+                    $group: {
+                        _id: '$storeId',
+                        itemSales: { $sum: { $multiply: ['$items.price', NET_ITEM_QUANTITY] } },
+                        cogs: { $sum: netItemCost({ $arrayElemAt: ['$product.costPrice', 0] }) }
+                    }
+                }
+            ]);
+            const margins = new Map(marginsByStore.map(m => [String(m._id), m]));
+
             // Populate store names
             reportData.salesByStore = await Promise.all(
                 salesByStore.map(async (item) => {
                     const store = await Store.findById(item._id);
+                    const { itemSales = 0, cogs = 0 } = margins.get(String(item._id)) || {};
                     return {
                         storeId: item._id,
                         storeName: store?.name || 'Unknown',
                         revenue: item.revenue,
                         transactions: item.transactions,
-                        avgTransaction: item.avgTransaction
+                        avgTransaction: item.avgTransaction,
+                        itemSales,
+                        cogs,
+                        grossProfit: itemSales - cogs,
+                        margin: itemSales > 0 ? Math.round(((itemSales - cogs) / itemSales) * 1000) / 10 : 0
                     };
                 })
             );
@@ -398,7 +432,7 @@ router.get('/:id/reports', async (req, res) => {
                         _id: {
                             $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
                         },
-                        revenue: { $sum: '$total' },
+                        revenue: { $sum: NET_TOTAL },
                         transactions: { $sum: 1 }
                     }
                 },
@@ -464,7 +498,7 @@ router.get('/:id/reports', async (req, res) => {
                         {
                             $group: {
                                 _id: '$customerId',
-                                totalSpent: { $sum: '$total' },
+                                totalSpent: { $sum: NET_TOTAL },
                                 visits: { $sum: 1 }
                             }
                         },
@@ -5,9 +5,19 @@
  */
 
 import express from 'express';
+import multer from 'multer';
 import Plugin from '../models/Plugin.js';
 import pluginManager from '../plugins/PluginManager.js';
+import { openPackage, findInRegistry, listRegistry, HOST_VERSION } from '../plugins/pluginPackage.js';
 import { authenticate } from '../middleware/auth.js';
+import { NotFoundError } from '../utils/errors.js';
+import { compareVersions, satisfies } from '../utils/semver.js';
+
+// Plugin packages are uploaded as multipart field "package"
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+});
 
 const router = express.Router();
 
@@ -46,53 +56,47 @@ router.get('/', async (req, res) => {
 
 /**
  * GET /api/plugins/marketplace
- * Get available plugins from marketplace
+ * Get the plugins available in the local plugin registry, newest version
+ * first, with whether each runs on this server
  */
 router.get('/marketplace', async (req, res) => {
     try {
-        // TODO: Implement actual marketplace integration
-        // For now, return sample plugins
-        const marketplacePlugins = [
-            {
-                pluginId: 'stripe-payments',
-                name: 'Stripe Payments',
-                version: '1.0.0',
-                author: 'King\'s POS',
-                description: 'Accept credit card payments via Stripe',
-                category: 'payment',
-                icon: 'https://stripe.com/favicon.ico',
-                price: 0,
-                rating: 4.8,
-                downloads: 1250,
-                tags: ['payment', 'stripe', 'credit-card']
-            },
-            {
-                pluginId: 'mailchimp-sync',
-                name: 'Mailchimp Sync',
-                version: '1.2.0',
-                author: 'Third Party',
-                description: 'Sync customers to Mailchimp automatically',
-                category: 'integration',
-                icon: 'https://mailchimp.com/favicon.ico',
-                price: 9.99,
-                rating: 4.5,
-                downloads: 850,
-                tags: ['email', 'marketing', 'integration']
-            },
-            {
-                pluginId: 'advanced-analytics',
-                name: 'Advanced Analytics',
-                version: '2.0.0',
-                author: 'Analytics Co',
-                description: 'Enhanced analytics and reporting capabilities',
-                category: 'analytics',
-                icon: '📊',
-                price: 19.99,
-                rating: 4.9,
-                downloads: 2100,
-                tags: ['analytics', 'reports', 'insights']
-            }
-        ];
+        const { storeId } = req;
+
+        const [packages, installed] = await Promise.all([
+            listRegistry(),
+            Plugin.find({ storeId }).select('pluginId version')
+        ]);
+        const installedVersions = new Map(installed.map(p => [p.pluginId, p.version]));
+
+        const byPlugin = new Map();
+        for (const { manifest, signedBy } of packages) {
+            const entry = byPlugin.get(manifest.id) || { versions: [] };
+            entry.versions.push({ manifest, signedBy, compatible: satisfies(HOST_VERSION, manifest.host) });
+            byPlugin.set(manifest.id, entry);
+        }
+
+        const marketplacePlugins = [...byPlugin.entries()].map(([pluginId, { versions }]) => {
+            versions.sort((a, b) => compareVersions(b.manifest.version, a.manifest.version));
+            const { manifest, signedBy, compatible } = versions.find(v => v.compatible) || versions[0];
+
+            return {
+                pluginId,
+                name: manifest.name,
+                version: manifest.version,
+                versions: versions.map(v => v.manifest.version),
+                author: manifest.author,
+                description: manifest.description,
+                category: manifest.category,
+                icon: manifest.icon,
+                tags: manifest.tags || [],
+                permissions: manifest.permissions,
+                host: manifest.host,
+                compatible,
+                signedBy,
+                installedVersion: installedVersions.get(pluginId) || null
+            };
+        });
 
         res.json(marketplacePlugins);
     } catch (error) {
@@ -154,9 +158,12 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /api/plugins/install
- * Install a new plugin
+ * Install a new plugin from an uploaded package (multipart field "package",
+ * optional "checksum"), or from the registry by { pluginId, version }.
+ * A plugin that is in neither but ships with the server is installed from
+ * its metadata.
  */
-router.post('/install', async (req, res) => {
+router.post('/install', upload.single('package'), async (req, res) => {
     try {
         const { storeId, organizationId, userId } = req;
         const pluginData = req.body;
@@ -173,17 +180,137 @@ router.post('/install', async (req, res) => {
             io: req.app.get('io')
         };
 
-        const plugin = await pluginManager.install({
-            ...pluginData,
-            storeId,
-            organizationId,
-            userId
-        }, context);
+        if (req.file) {
+            const pkg = await openPackage(req.file.buffer, { checksum: pluginData.checksum });
+            const plugin = await pluginManager.installPackage(pkg, context, { source: 'upload' });
+            return res.status(201).json(plugin);
+        }
+
+        let pkg = null;
+        try {
+            pkg = await findInRegistry(pluginData.pluginId, pluginData.version);
+        } catch (error) {
+            if (!(error instanceof NotFoundError)) throw error;
+        }
+
+        const plugin = pkg
+            ? await pluginManager.installPackage(pkg, context, { source: 'registry' })
+            : await pluginManager.install({
+                ...pluginData,
+                storeId,
+                organizationId,
+                userId
+            }, context);
 
         res.status(201).json(plugin);
     } catch (error) {
         console.error('Install plugin error:', error);
-        res.status(500).json({ error: error.message || 'Failed to install plugin' });
+        res.status(error.statusCode || 500).json({ error: error.message || 'Failed to install plugin' });
+    }
+});
+
+/**
+ * POST /api/plugins/:id/upgrade
+ * Upgrade a plugin from an uploaded package (multipart field "package",
+ * optional "checksum"), or to { version } from the registry (newest
+ * compatible version when omitted)
+ */
+router.post('/:id/upgrade', upload.single('package'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { storeId, organizationId, userId } = req;
+
+        // Check if user is owner/admin
+        if (req.user.role !== 'owner' && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Only owners and admins can upgrade plugins' });
+        }
+
+        const plugin = await Plugin.findOne({ _id: id, storeId });
+
+        if (!plugin) {
+            return res.status(404).json({ error: 'Plugin not found' });
+        }
+
+        const context = {
+            storeId,
+            organizationId,
+            userId,
+            io: req.app.get('io')
+        };
+
+        const pkg = req.file
+            ? await openPackage(req.file.buffer, { checksum: req.body.checksum })
+            : await findInRegistry(plugin.pluginId, req.body.version);
+        const source = req.file ? 'upload' : 'registry';
+
+        const upgraded = await pluginManager.upgrade(plugin.pluginId, pkg, context, { source });
+
+        res.json(upgraded);
+    } catch (error) {
+        console.error('Upgrade plugin error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Failed to upgrade plugin' });
+    }
+});
+
+/**
+ * POST /api/plugins/:id/rollback
+ * Return a plugin to an earlier installed version
+ * Body: { version } (defaults to the version the current one replaced)
+ */
+router.post('/:id/rollback', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { storeId, organizationId, userId } = req;
+
+        // Check if user is owner/admin
+        if (req.user.role !== 'owner' && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Only owners and admins can roll back plugins' });
+        }
+
+        const plugin = await Plugin.findOne({ _id: id, storeId });
+
+        if (!plugin) {
+            return res.status(404).json({ error: 'Plugin not found' });
+        }
+
+        const context = {
+            storeId,
+            organizationId,
+            userId,
+            io: req.app.get('io')
+        };
+
+        const rolledBack = await pluginManager.rollback(plugin.pluginId, req.body.version, context);
+
+        res.json(rolledBack);
+    } catch (error) {
+        console.error('Roll back plugin error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Failed to roll back plugin' });
+    }
+});
+
+/**
+ * GET /api/plugins/:id/versions
+ * Get a plugin's current version, the versions it can roll back to and
+ * newer versions in the registry
+ */
+router.get('/:id/versions', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { storeId } = req;
+
+        const plugin = await Plugin.findOne({ _id: id, storeId });
+
+        if (!plugin) {
+            return res.status(404).json({ error: 'Plugin not found' });
+        }
+
+        const versions = await pluginManager.getVersions(plugin.pluginId, storeId);
+
+        res.json(versions);
+    } catch (error) {
+        console.error('Get plugin versions error:', error);
+        res.status(500).json({ error: 'Failed to fetch plugin versions' });
     }
 });
 
@@ -329,6 +456,43 @@ router.put('/:id/config', async (req, res) => {
     }
 });
 
+/**
+ * PUT /api/plugins/:id/sandbox
+ * Update a plugin's sandbox limits
+ * Body: { memoryMb, timeoutMs, maxRestarts }
+ */
+router.put('/:id/sandbox', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { storeId, organizationId, userId } = req;
+
+        // Check if user is owner/admin
+        if (req.user.role !== 'owner' && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Only owners and admins can change plugin limits' });
+        }
+
+        const plugin = await Plugin.findOne({ _id: id, storeId });
+
+        if (!plugin) {
+            return res.status(404).json({ error: 'Plugin not found' });
+        }
+
+        const context = {
+            storeId,
+            organizationId,
+            userId,
+            io: req.app.get('io')
+        };
+
+        const updated = await pluginManager.updateSandboxLimits(plugin.pluginId, storeId, req.body, context);
+
+        res.json(updated);
+    } catch (error) {
+        console.error('Update plugin sandbox error:', error);
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message || 'Failed to update plugin limits' });
+    }
+});
+
 /**
  * GET /api/plugins/:id/stats
  * Get plugin statistics
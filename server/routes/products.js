@@ -4,7 +4,7 @@
 
 import express from 'express';
 import multer from 'multer';
-import { Product } from '../models/index.js';
+import { Product, StockMovement } from '../models/index.js';
 import { authenticate } from '../middleware/auth.js';
 import { socketHandlers } from '../socket/index.js';
 import { hasConflict, getConflictResponse, incrementSyncVersion } from '../services/conflictResolver.js';
@@ -20,6 +20,10 @@ import {
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { ValidationError } from '../utils/errors.js';
 import * as notificationService from '../services/notificationService.js';
+import { findNewlyLowStock } from '../services/inventoryService.js';
+import { publish } from '../services/eventBus.js';
+import { withTransaction } from '../utils/transaction.js';
+import { recordStockAdjustment } from '../services/costingService.js';
 
 // Configure multer for file uploads
 const upload = multer({
@@ -53,7 +57,8 @@ router.get('/', cacheProducts, async (req, res) => {
         if (search) {
             query.$or = [
                 { name: { $regex: search, $options: 'i' } },
-                { barcode: { $regex: search, $options: 'i' } }
+                { barcode: { $regex: search, $options: 'i' } },
+                { 'variants.barcode': { $regex: search, $options: 'i' } }
             ];
         }
 
@@ -79,6 +84,25 @@ router.get('/', cacheProducts, async (req, res) => {
     }
 });
 
+/**
+ * GET /products/barcode/:code
+ * Resolve a scanned barcode (or SKU) to a product and, when it belongs to one, the variant
+ */
+router.get('/barcode/:code', async (req, res) => {
+    try {
+        const match = await Product.findByCode(req.storeId, req.params.code);
+
+        if (!match) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        res.json(match);
+    } catch (error) {
+        console.error('Barcode lookup error:', error);
+        res.status(500).json({ error: 'Failed to look up barcode' });
+    }
+});
+
 /**
  * GET /products/:id
  */
@@ -120,11 +144,7 @@ router.post('/', async (req, res) => {
         // Invalidate product cache
         await invalidateEntityCache('products', req.storeId);
 
-        // Emit socket event
-        const io = req.app.get('io');
-        if (io) {
-            socketHandlers.products.broadcastProductCreated(io, req.storeId, product);
-        }
+        await publish('product.created', product, req);
 
         res.status(201).json(product);
     } catch (error) {
@@ -168,6 +188,11 @@ router.put('/:id', async (req, res) => {
             updates.categoryId = null;
         }
 
+        // Variant stock is left as stored; the product total follows the variants
+        if (Array.isArray(updates.variants)) {
+            Object.assign(updates, Product.reconcileVariants(existingProduct.variants, updates.variants));
+        }
+
         const product = await Product.findOneAndUpdate(
             { _id: req.params.id, storeId: req.storeId },
             updates,
@@ -193,10 +218,7 @@ router.put('/:id', async (req, res) => {
             }
         }
 
-        // Emit socket event for product update
-        if (io) {
-            socketHandlers.products.broadcastProductUpdated(io, req.storeId, product);
-        }
+        await publish('product.updated', product, req);
 
         res.json(product);
     } catch (error) {
@@ -222,11 +244,7 @@ router.delete('/:id', async (req, res) => {
         // Invalidate product cache
         await invalidateEntityCache('products', req.storeId, req.params.id);
 
-        // Emit socket event
-        const io = req.app.get('io');
-        if (io) {
-            socketHandlers.products.broadcastProductDeleted(io, req.storeId, req.params.id);
-        }
+        await publish('product.deleted', product, req);
 
         res.json({ message: 'Product deleted' });
     } catch (error) {
@@ -235,13 +253,24 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
+// Stock movement type recorded for each stock update reason
+const STOCK_UPDATE_TYPES = {
+    purchase_order: 'purchase'
+};
+
 /**
  * PATCH /products/:id/stock
- * Update product stock quantity
+ * Update product stock quantity (pass variantId for products with variants)
+ * Body: { quantity } to set the stock, or { adjustment } to move it, plus
+ * { variantId, reason, clientId }
+ *
+ * Registers queue adjustments while offline and resend them until they are
+ * acknowledged, so an adjustment whose clientId was already applied returns
+ * the product unchanged.
  */
 router.patch('/:id/stock', async (req, res) => {
     try {
-        const { quantity, adjustment } = req.body;
+        const { quantity, adjustment, variantId, reason, clientId } = req.body;
 
         const product = await Product.findOne({
             _id: req.params.id,
@@ -252,13 +281,63 @@ router.patch('/:id/stock', async (req, res) => {
             return res.status(404).json({ error: 'Product not found' });
         }
 
+        const variant = variantId ? product.variants.id(variantId) : null;
+        if (variantId && !variant) {
+            return res.status(404).json({ error: 'Variant not found' });
+        }
+        if (!variant && product.variants.length > 0) {
+            return res.status(400).json({ error: 'variantId is required for products with variants' });
+        }
+
+        if (clientId && await StockMovement.exists({ storeId: req.storeId, clientId })) {
+            return res.json(product);
+        }
+
+        // The pre-save hook re-sums the product total from its variants
+        const stockHolder = variant || product;
+        const previousQuantity = stockHolder.quantity;
         if (quantity !== undefined) {
-            product.quantity = Math.max(0, quantity);
+            stockHolder.quantity = Math.max(0, quantity);
         } else if (adjustment !== undefined) {
-            product.quantity = Math.max(0, product.quantity + adjustment);
+            stockHolder.quantity = Math.max(0, stockHolder.quantity + adjustment);
         }
 
-        await product.save();
+        try {
+            await withTransaction(async (session) => {
+                const type = STOCK_UPDATE_TYPES[reason] || 'adjustment';
+                const [movement] = await StockMovement.create([{
+                    storeId: req.storeId,
+                    productId: product._id,
+                    variantId: variant?._id,
+                    type,
+                    quantity: stockHolder.quantity - previousQuantity,
+                    previousQuantity,
+                    newQuantity: stockHolder.quantity,
+                    reason: reason || 'Stock update',
+                    referenceType: 'Adjustment',
+                    performedBy: req.userId,
+                    clientId: clientId || undefined
+                }], { session });
+                await product.save({ session });
+
+                // Keep the cost layers in step with the stock
+                await recordStockAdjustment({
+                    storeId: req.storeId,
+                    productId: product._id,
+                    variantId: variant?._id,
+                    quantity: movement.quantity,
+                    source: type === 'purchase' ? 'purchase' : undefined,
+                    referenceType: 'StockMovement',
+                    referenceId: movement._id
+                }, { session });
+            });
+        } catch (error) {
+            // The same adjustment was resent while the first was still being applied
+            if (error.code === 11000 && clientId) {
+                return res.json(await Product.findById(product._id));
+            }
+            throw error;
+        }
 
         // Check for low stock/out of stock and create notifications
         const io = req.app.get('io');
@@ -281,6 +360,21 @@ router.patch('/:id/stock', async (req, res) => {
             socketHandlers.products.broadcastProductStockUpdated(io, req.storeId, product._id, product.quantity);
         }
 
+        await publish('inventory.adjusted', {
+            productId: product._id,
+            variantId: variant?._id || null,
+            name: product.name,
+            previousQuantity,
+            quantity: stockHolder.quantity
+        }, req);
+        const [lowStock] = await findNewlyLowStock(req.storeId, [{
+            productId: product._id,
+            quantity: previousQuantity - stockHolder.quantity
+        }]);
+        if (lowStock) {
+            await publish('product.low_stock', lowStock, req);
+        }
+
         res.json(product);
     } catch (error) {
         console.error('Update stock error:', error);
@@ -320,11 +414,7 @@ router.post('/bulk', asyncHandler(async (req, res) => {
 
                 results.created.push(product);
 
-                // Emit socket event
-                const io = req.app.get('io');
-                if (io) {
-                    socketHandlers.products.broadcastProductCreated(io, req.storeId, product);
-                }
+                await publish('product.created', product, req);
             } else if (op.action === 'update') {
                 if (!op.id) {
                     throw new Error('Product ID required for update');
@@ -341,11 +431,7 @@ router.post('/bulk', asyncHandler(async (req, res) => {
 
                 results.updated.push(product);
 
-                // Emit socket event
-                const io = req.app.get('io');
-                if (io) {
-                    socketHandlers.products.broadcastProductUpdated(io, req.storeId, product);
-                }
+                await publish('product.updated', product, req);
             }
         } catch (error) {
             results.errors.push({
@@ -389,11 +475,7 @@ router.delete('/bulk', asyncHandler(async (req, res) => {
             await product.deleteOne();
             results.deleted.push(id);
 
-            // Emit socket event
-            const io = req.app.get('io');
-            if (io) {
-                socketHandlers.products.broadcastProductDeleted(io, req.storeId, id);
-            }
+            await publish('product.deleted', product, req);
         } catch (error) {
             results.errors.push({
                 id,
@@ -528,15 +610,7 @@ router.post('/import', upload.single('file'), asyncHandler(async (req, res) => {
                 results.created++;
             }
 
-            // Emit socket event
-            const io = req.app.get('io');
-            if (io) {
-                if (results.updated > results.created) {
-                    socketHandlers.products.broadcastProductUpdated(io, req.storeId, product);
-                } else {
-                    socketHandlers.products.broadcastProductCreated(io, req.storeId, product);
-                }
-            }
+            await publish(results.updated > results.created ? 'product.updated' : 'product.created', product, req);
         } catch (error) {
             results.errors.push({
                 row: row._rowNumber,
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Promotion Routes
+ *
+ * Promotion rules for the store. The POS caches the running promotions and
+ * applies them to the cart itself, so checkout works offline.
+ */
+
+import express from 'express';
+import { Promotion } from '../models/index.js';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const EDITABLE_FIELDS = [
+    'name', 'description', 'type', 'productIds', 'categoryIds', 'discountType', 'discountValue',
+    'buyQuantity', 'getQuantity', 'bundleItems', 'bundlePrice', 'minSubtotal', 'schedule',
+    'couponCode', 'startDate', 'endDate', 'priority', 'stackable', 'usageLimit', 'isActive'
+];
+
+const pickEditable = (body) => Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * Query for promotions that can apply today (the POS checks the time of day)
+ */
+const runningQuery = (storeId, now = new Date()) => ({
+    storeId,
+    isActive: true,
+    $and: [
+        { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+        { $or: [{ endDate: null }, { endDate: { $gte: now } }] }
+    ]
+});
+
+/**
+ * GET /promotions
+ */
+router.get('/', async (req, res) => {
+    try {
+        const promotions = await Promotion.find({ storeId: req.storeId })
+            .sort({ isActive: -1, priority: -1, name: 1 });
+
+        res.json(promotions);
+    } catch (error) {
+        console.error('Get promotions error:', error);
+        res.status(500).json({ error: 'Failed to get promotions' });
+    }
+});
+
+/**
+ * GET /promotions/active
+ * Promotions the POS should apply, excluding any that have used up their limit
+ */
+router.get('/active', async (req, res) => {
+    try {
+        const promotions = await Promotion.find(runningQuery(req.storeId))
+            .sort({ priority: -1 })
+            .lean();
+
+        res.json(promotions.filter(p => !p.usageLimit || p.usageCount < p.usageLimit));
+    } catch (error) {
+        console.error('Get active promotions error:', error);
+        res.status(500).json({ error: 'Failed to get active promotions' });
+    }
+});
+
+/**
+ * GET /promotions/coupon/:code
+ * Look up a running promotion by coupon code
+ */
+router.get('/coupon/:code', async (req, res) => {
+    try {
+        const promotion = await Promotion.findOne({
+            ...runningQuery(req.storeId),
+            couponCode: req.params.code.trim().toUpperCase()
+        });
+
+        if (!promotion) {
+            return res.status(404).json({ error: 'Coupon not found or expired' });
+        }
+
+        if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) {
+            return res.status(400).json({ error: 'Coupon has been fully redeemed' });
+        }
+
+        res.json(promotion);
+    } catch (error) {
+        console.error('Get coupon error:', error);
+        res.status(500).json({ error: 'Failed to look up coupon' });
+    }
+});
+
+/**
+ * POST /promotions
+ */
+router.post('/', authorize('settings', 'update'), async (req, res) => {
+    try {
+        const promotion = new Promotion({
+            ...pickEditable(req.body),
+            storeId: req.storeId
+        });
+        await promotion.save();
+
+        res.status(201).json(promotion);
+    } catch (error) {
+        console.error('Create promotion error:', error);
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'Another promotion already uses this coupon code' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to create promotion' });
+    }
+});
+
+/**
+ * PUT /promotions/:id
+ */
+router.put('/:id', authorize('settings', 'update'), async (req, res) => {
+    try {
+        const promotion = await Promotion.findOne({ _id: req.params.id, storeId: req.storeId });
+        if (!promotion) {
+            return res.status(404).json({ error: 'Promotion not found' });
+        }
+
+        promotion.set(pickEditable(req.body));
+        await promotion.save();
+
+        res.json(promotion);
+    } catch (error) {
+        console.error('Update promotion error:', error);
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'Another promotion already uses this coupon code' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to update promotion' });
+    }
+});
+
+/**
+ * DELETE /promotions/:id
+ * Sales keep their record of the discount given
+ */
+router.delete('/:id', authorize('settings', 'update'), async (req, res) => {
+    try {
+        const promotion = await Promotion.findOneAndDelete({ _id: req.params.id, storeId: req.storeId });
+        if (!promotion) {
+            return res.status(404).json({ error: 'Promotion not found' });
+        }
+
+        res.json({ message: 'Promotion deleted' });
+    } catch (error) {
+        console.error('Delete promotion error:', error);
+        res.status(500).json({ error: 'Failed to delete promotion' });
+    }
+});
+
+export default router;
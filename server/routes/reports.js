@@ -7,6 +7,7 @@
 import express from 'express';
 import { Report, Sale, Product, Customer } from '../models/index.js';
 import { authenticate } from '../middleware/auth.js';
+import { NET_TOTAL } from '../utils/salesMetrics.js';
 
 const router = express.Router();
 
@@ -309,9 +310,9 @@ async function executeSalesReport(storeId, startDate, endDate, config) {
         {
             $group: {
                 _id: config.groupBy ? `$${config.groupBy}` : null,
-                totalRevenue: { $sum: '$total' },
+                totalRevenue: { $sum: NET_TOTAL },
                 totalTransactions: { $sum: 1 },
-                avgTransaction: { $avg: '$total' }
+                avgTransaction: { $avg: NET_TOTAL }
             }
         },
         { $sort: { totalRevenue: -1 } }
@@ -349,7 +350,7 @@ async function executeCustomersReport(storeId, startDate, endDate, config) {
                 {
                     $group: {
                         _id: null,
-                        totalSpent: { $sum: '$total' },
+                        totalSpent: { $sum: NET_TOTAL },
                         visits: { $sum: 1 }
                     }
                 }
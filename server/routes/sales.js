@@ -3,15 +3,60 @@
  */
 
 import express from 'express';
-import { Sale, Product, Customer, Credit } from '../models/index.js';
+import mongoose from 'mongoose';
+import {
+    Sale, Refund, Product, Customer, Credit, Promotion, Store,
+    StockMovement, CustomerLoyalty, LoyaltyTransaction
+} from '../models/index.js';
 import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
 import * as notificationService from '../services/notificationService.js';
 import { invalidateEntityCache } from '../services/cacheService.js';
+import { withTransaction } from '../utils/transaction.js';
+import { ValidationError } from '../utils/errors.js';
+import { getTaxConfig, assignTaxClasses, calculateTax } from '../services/taxService.js';
+import { findNewlyLowStock } from '../services/inventoryService.js';
+import { publish } from '../services/eventBus.js';
+import { costSale, returnToCostLayers } from '../services/costingService.js';
+import { assertWithinCreditLimit } from '../services/creditService.js';
+import {
+    getSaleReceipt, renderReceiptHTML, renderReceiptPDF, renderReceiptEscPos, emailReceipt
+} from '../services/receiptService.js';
 
 const router = express.Router();
 
 router.use(authenticate);
 
+/**
+ * Publish the events a new sale causes: the sale itself, its credit, stock
+ * falling below threshold and the customer reaching VIP spend
+ */
+async function publishSaleEvents(sale, credit, req) {
+    await publish('sale.created', sale, req);
+    if (sale.status === 'completed') {
+        await publish('sale.completed', sale, req);
+    }
+    if (credit) {
+        await publish('credit.created', credit, req);
+    }
+
+    const lowStock = await findNewlyLowStock(req.storeId, sale.items);
+    for (const product of lowStock) {
+        await publish('product.low_stock', product, req);
+    }
+
+    if (sale.customerId) {
+        const [customer, store] = await Promise.all([
+            Customer.findById(sale.customerId).lean(),
+            Store.findById(req.storeId).select('settings.vipThreshold').lean()
+        ]);
+        const threshold = store?.settings?.vipThreshold ?? 1000;
+        if (customer && customer.totalSpent >= threshold && customer.totalSpent - sale.total < threshold) {
+            await publish('customer.vip', customer, req);
+        }
+    }
+}
+
 /**
  * GET /sales
  */
@@ -64,18 +109,21 @@ router.get('/stats', async (req, res) => {
             Sale.find({ storeId: req.storeId, createdAt: { $gte: monthAgo } })
         ]);
 
+        // Net revenue excludes anything refunded since
+        const netRevenue = (sales) => sales.reduce((sum, s) => sum + s.total - (s.refundedAmount || 0), 0);
+
         res.json({
             today: {
                 count: todaySales.length,
-                revenue: todaySales.reduce((sum, s) => sum + s.total, 0)
+                revenue: netRevenue(todaySales)
             },
             week: {
                 count: weekSales.length,
-                revenue: weekSales.reduce((sum, s) => sum + s.total, 0)
+                revenue: netRevenue(weekSales)
             },
             month: {
                 count: monthSales.length,
-                revenue: monthSales.reduce((sum, s) => sum + s.total, 0)
+                revenue: netRevenue(monthSales)
             }
         });
     } catch (error) {
@@ -105,18 +153,78 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /sales/:id/receipt
+ * Reprint a sale's receipt
+ * Query: { format: html|pdf|escpos, paperWidth: 80|58 (escpos only) }
+ */
+router.get('/:id/receipt', async (req, res) => {
+    try {
+        const { format = 'html', paperWidth } = req.query;
+        const receipt = await getSaleReceipt(req.params.id, req.storeId);
+
+        switch (format) {
+            case 'html':
+                res.type('html').send(renderReceiptHTML(receipt));
+                break;
+            case 'pdf':
+                res.setHeader('Content-Type', 'application/pdf');
+                res.setHeader('Content-Disposition', `inline; filename="receipt-${receipt.receiptNumber}.pdf"`);
+                res.send(await renderReceiptPDF(receipt));
+                break;
+            case 'escpos':
+                res.setHeader('Content-Type', 'application/octet-stream');
+                res.setHeader('Content-Disposition', `attachment; filename="receipt-${receipt.receiptNumber}.bin"`);
+                res.send(renderReceiptEscPos(receipt, { paperWidth: paperWidth ? parseInt(paperWidth) : undefined }));
+                break;
+            default:
+                res.status(400).json({ error: `Unsupported receipt format: ${format}` });
+        }
+    } catch (error) {
+        console.error('Get receipt error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /sales/:id/receipt/email
+ * Email a sale's receipt
+ * Body: { email } - defaults to the sale's customer
+ */
+router.post('/:id/receipt/email', async (req, res) => {
+    try {
+        const result = await emailReceipt(req.params.id, req.storeId, req.body.email);
+        res.json({ message: `Receipt sent to ${result.sentTo}`, ...result });
+    } catch (error) {
+        console.error('Email receipt error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
 /**
  * POST /sales
  * Create new sale and update inventory
+ *
+ * Send an Idempotency-Key header (or idempotencyKey in the body) so retries
+ * return the sale already recorded instead of creating a duplicate.
  */
 router.post('/', async (req, res) => {
     try {
+        const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
         const saleData = {
             ...req.body,
             storeId: req.storeId,
-            userId: req.userId
+            userId: req.userId,
+            idempotencyKey: idempotencyKey || undefined
         };
 
+        if (idempotencyKey) {
+            const existing = await Sale.findOne({ storeId: req.storeId, idempotencyKey });
+            if (existing) {
+                return res.status(200).json(existing);
+            }
+        }
+
         // Validate productIds - they should be ObjectIds, not numbers
         if (saleData.items && Array.isArray(saleData.items)) {
             for (let i = 0; i < saleData.items.length; i++) {
@@ -153,40 +261,110 @@ router.post('/', async (req, res) => {
             saleData.shiftId = null;
         }
 
-        const sale = new Sale(saleData);
-        await sale.save();
+        // Record per-line tax. The POS sends what it charged; older clients
+        // don't, so it's worked out here from the store's tax classes.
+        if (Array.isArray(saleData.items) && saleData.items.some(item => !Array.isArray(item.taxes))) {
+            const taxConfig = await getTaxConfig(req.storeId);
+            const items = await assignTaxClasses(req.storeId, saleData.items);
+            const taxed = calculateTax(items, saleData.discount, taxConfig);
 
-        // Update product quantities
-        for (const item of sale.items) {
-            await Product.findByIdAndUpdate(item.productId, {
-                $inc: { quantity: -item.quantity }
-            });
+            saleData.items = taxed.lines;
+            saleData.pricesIncludeTax = taxed.pricesIncludeTax;
         }
 
-        // Update customer stats if customer provided
-        if (sale.customerId) {
-            await Customer.findByIdAndUpdate(sale.customerId, {
-                $inc: {
-                    totalOrders: 1,
-                    totalSpent: sale.total
-                },
-                lastOrderDate: new Date()
-            });
+        // Normalise tenders - older clients send a single paymentMethod
+        if (!Array.isArray(saleData.payments) || saleData.payments.length === 0) {
+            saleData.payments = saleData.paymentMethod
+                ? [{ method: saleData.paymentMethod, amount: saleData.total }]
+                : [];
+        }
+        delete saleData.paymentMethod;
+
+        const paymentError = validatePayments(saleData.payments, saleData.total);
+        if (paymentError) {
+            return res.status(400).json({ error: paymentError });
         }
 
-        // Create credit record if credit payment
+        const creditPortion = saleData.payments
+            .filter(p => p.method === 'credit')
+            .reduce((sum, p) => sum + Number(p.amount), 0);
+
+        if (creditPortion > 0 && !saleData.customerId) {
+            return res.status(400).json({ error: 'A customer is required for credit payments' });
+        }
+
+        if (creditPortion <= 0) {
+            saleData.paymentStatus = 'paid';
+        } else {
+            saleData.paymentStatus = creditPortion >= saleData.total - 0.01 ? 'pending' : 'partial';
+        }
+
+        // Sale, stock, customer stats and credit commit together or not at all
+        let sale;
         let credit = null;
-        if (sale.paymentMethod === 'credit' && sale.customerId) {
-            credit = new Credit({
-                storeId: req.storeId,
-                customerId: sale.customerId,
-                saleId: sale._id,
-                amount: sale.total,
-                amountPaid: 0,
-                dueDate: req.body.creditDueDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
-                status: 'pending'
-            });
-            await credit.save();
+        try {
+            ({ sale, credit } = await withTransaction(async (session) => {
+                // Cost each line from the store's cost layers as the units leave stock
+                const newSale = new Sale(saleData);
+                await costSale(newSale, { session });
+                await newSale.save({ session });
+
+                // Update product quantities
+                for (const item of newSale.items) {
+                    await Product.adjustStock(item.productId, item.variantId, -item.quantity, { session });
+                }
+
+                // Count a use of each promotion applied (offline sales are never refused)
+                const promotionIds = [...new Set(newSale.promotions.map(p => String(p.promotionId)))]
+                    .filter(id => mongoose.Types.ObjectId.isValid(id));
+                if (promotionIds.length > 0) {
+                    await Promotion.updateMany(
+                        { _id: { $in: promotionIds }, storeId: req.storeId },
+                        { $inc: { usageCount: 1 } },
+                        { session }
+                    );
+                }
+
+                // Update customer stats if customer provided
+                if (newSale.customerId) {
+                    await Customer.findByIdAndUpdate(newSale.customerId, {
+                        $inc: {
+                            totalOrders: 1,
+                            totalSpent: newSale.total
+                        },
+                        lastOrderDate: new Date()
+                    }, { session });
+                }
+
+                // Create credit record for the portion paid on credit
+                let newCredit = null;
+                const creditAmount = roundCurrency(newSale.getPaidAmount('credit'));
+                if (creditAmount > 0 && newSale.customerId) {
+                    await assertWithinCreditLimit(newSale.customerId, req.storeId, creditAmount, { session });
+
+                    newCredit = new Credit({
+                        storeId: req.storeId,
+                        customerId: newSale.customerId,
+                        saleId: newSale._id,
+                        amount: creditAmount,
+                        amountPaid: 0,
+                        dueDate: req.body.creditDueDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+                        status: 'pending'
+                    });
+                    await newCredit.save({ session });
+                }
+
+                return { sale: newSale, credit: newCredit };
+            }));
+        } catch (error) {
+            // A concurrent retry with the same key won the race - return its sale
+            if (error.code === 11000 && idempotencyKey) {
+                const existing = await Sale.findOne({ storeId: req.storeId, idempotencyKey });
+                if (existing) {
+                    return res.status(200).json(existing);
+                }
+            }
+            throw error;
         }
 
         // Create notifications
@@ -224,10 +402,12 @@ router.post('/', async (req, res) => {
         // Invalidate analytics cache so Dashboard/Analytics show updated data
         await invalidateEntityCache('sales', req.storeId);
 
+        await publishSaleEvents(sale, credit, req);
+
         res.status(201).json(sale);
     } catch (error) {
         console.error('Create sale error:', error);
-        res.status(500).json({ error: 'Failed to create sale' });
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create sale' });
     }
 });
 
@@ -250,15 +430,29 @@ router.post('/:id/void', async (req, res) => {
             return res.status(400).json({ error: 'Sale already voided' });
         }
 
+        if (sale.refundedAmount > 0) {
+            return res.status(400).json({ error: 'Sale has refunds; refund the remaining items instead' });
+        }
+
         sale.status = 'voided';
         await sale.save();
 
-        // Restore product quantities
+        // Restore product quantities, at the cost they were sold at
         for (const item of sale.items) {
-            await Product.findByIdAndUpdate(item.productId, {
-                $inc: { quantity: item.quantity }
-            });
+            await Product.adjustStock(item.productId, item.variantId, item.quantity);
         }
+        await returnToCostLayers(sale, sale.items, { referenceType: 'Sale', referenceId: sale._id });
+
+        // Give back the promotion uses the sale took
+        const promotionIds = [...new Set(sale.promotions.map(p => String(p.promotionId)))];
+        if (promotionIds.length > 0) {
+            await Promotion.updateMany(
+                { _id: { $in: promotionIds }, storeId: req.storeId, usageCount: { $gt: 0 } },
+                { $inc: { usageCount: -1 } }
+            );
+        }
+
+        await publish('sale.voided', sale, req);
 
         res.json({ message: 'Sale voided', sale });
     } catch (error) {
@@ -267,4 +461,338 @@ router.post('/:id/void', async (req, res) => {
     }
 });
 
+/**
+ * GET /sales/:id/refunds
+ * List refunds issued against a sale
+ */
+router.get('/:id/refunds', async (req, res) => {
+    try {
+        const refunds = await Refund.find({
+            saleId: req.params.id,
+            storeId: req.storeId
+        }).sort({ createdAt: -1 });
+
+        res.json(refunds);
+    } catch (error) {
+        console.error('Get refunds error:', error);
+        res.status(500).json({ error: 'Failed to get refunds' });
+    }
+});
+
+/**
+ * POST /sales/:id/refund
+ * Refund selected lines (or quantities) of a completed sale
+ *
+ * Body: { items: [{ productId, variantId, quantity, restock }], reason, refundMethod }
+ */
+router.post('/:id/refund', authorize('sales', 'refund'), async (req, res) => {
+    try {
+        const { items = [], reason, refundMethod } = req.body;
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: 'At least one item is required' });
+        }
+
+        const sale = await Sale.findOne({
+            _id: req.params.id,
+            storeId: req.storeId
+        });
+
+        if (!sale) {
+            return res.status(404).json({ error: 'Sale not found' });
+        }
+
+        if (sale.status !== 'completed') {
+            return res.status(400).json({ error: `Cannot refund a ${sale.status} sale` });
+        }
+
+        // Validate requested lines against what is still refundable, totalling
+        // lines that name the same sale item so they cannot over-refund it
+        const refundItems = [];
+        const requestedByLine = new Map();
+        for (const requested of items) {
+            const saleItem = sale.items.find(i =>
+                i.productId.toString() === String(requested.productId) &&
+                String(i.variantId || '') === String(requested.variantId || '')
+            );
+            const quantity = parseInt(requested.quantity);
+
+            if (!saleItem) {
+                return res.status(400).json({
+                    error: 'Item not part of this sale',
+                    productId: requested.productId
+                });
+            }
+
+            const lineIndex = sale.items.indexOf(saleItem);
+            const refundable = saleItem.quantity - (saleItem.refundedQuantity || 0);
+            const requestedTotal = (requestedByLine.get(lineIndex) || 0) + (quantity || 0);
+            requestedByLine.set(lineIndex, requestedTotal);
+            if (!quantity || quantity < 1 || requestedTotal > refundable) {
+                return res.status(400).json({
+                    error: `Invalid refund quantity for ${saleItem.name}`,
+                    productId: requested.productId,
+                    refundable
+                });
+            }
+
+            refundItems.push({
+                lineIndex,
+                saleItem,
+                productId: saleItem.productId,
+                variantId: saleItem.variantId,
+                variantName: saleItem.variantName,
+                name: saleItem.name,
+                price: saleItem.price,
+                quantity,
+                restock: requested.restock !== false
+            });
+        }
+
+        // Apportion the sale's promotions, discount and tax to the refunded lines
+        const subtotal = refundItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const promotionDiscount = refundItems.reduce((sum, item) =>
+            sum + (item.saleItem.promotionDiscount || 0) * (item.quantity / item.saleItem.quantity), 0);
+        const saleNet = sale.subtotal - (sale.promotionDiscount || 0);
+        const ratio = saleNet > 0 ? (subtotal - promotionDiscount) / saleNet : 0;
+        const discount = roundCurrency(promotionDiscount + (sale.discount || 0) * ratio);
+        const hasLineTax = sale.items.some(i => i.taxes?.length > 0);
+        const tax = hasLineTax
+            ? roundCurrency(refundItems.reduce((sum, item) =>
+                sum + (item.saleItem.taxAmount || 0) * (item.quantity / item.saleItem.quantity), 0))
+            : roundCurrency((sale.tax || 0) * ratio);
+        // Tax-inclusive prices already carry the tax
+        const total = Math.min(
+            roundCurrency(subtotal - discount + (sale.pricesIncludeTax ? 0 : tax)),
+            roundCurrency(sale.total - (sale.refundedAmount || 0))
+        );
+
+        // Legacy sales have no payments, only the single paymentMethod
+        const tenderMethod = sale.payments.find(p => p.method !== 'credit')?.method ||
+            (sale.paymentMethod !== 'split' ? sale.paymentMethod : null);
+
+        // Refund, credit, stock, cost layers, customer stats and loyalty points
+        // commit together or not at all. The sale is re-read in the
+        // transaction so a retried attempt starts from what is stored.
+        const { refund, sale: refundedSale } = await withTransaction(async (session) => {
+            const current = await Sale.findOne({ _id: sale._id, storeId: req.storeId }).session(session);
+            if (current?.status !== 'completed') {
+                throw new ValidationError(`Cannot refund a ${current?.status || 'deleted'} sale`);
+            }
+
+            const lines = refundItems.map(item => ({ ...item, saleItem: current.items[item.lineIndex] }));
+            for (const [lineIndex, requestedTotal] of requestedByLine) {
+                const line = current.items[lineIndex];
+                if (requestedTotal > line.quantity - (line.refundedQuantity || 0)) {
+                    throw new ValidationError(`Invalid refund quantity for ${line.name}`);
+                }
+            }
+
+            const newRefund = new Refund({
+                storeId: req.storeId,
+                saleId: current._id,
+                customerId: current.customerId,
+                userId: req.userId,
+                employeeId: req.body.employeeId && typeof req.body.employeeId !== 'number'
+                    ? req.body.employeeId
+                    : undefined,
+                subtotal: roundCurrency(subtotal),
+                discount,
+                tax,
+                total,
+                refundMethod: refundMethod || tenderMethod || 'credit',
+                reason
+            });
+
+            // Write the refund off any outstanding credit first
+            const credit = await Credit.findOne({ storeId: req.storeId, saleId: current._id }).session(session);
+            if (credit) {
+                const outstanding = Math.max(0, credit.amount - credit.amountPaid);
+                const creditAdjustment = Math.min(total, outstanding);
+
+                credit.amount = roundCurrency(credit.amount - creditAdjustment);
+                if (credit.amountPaid >= credit.amount) {
+                    credit.status = 'paid';
+                    credit.paidAt = credit.paidAt || new Date();
+                }
+                credit.notes = [credit.notes, `Adjusted by refund ${newRefund._id}`].filter(Boolean).join('\n');
+                await credit.save({ session });
+
+                newRefund.creditAdjustment = creditAdjustment;
+            }
+            newRefund.amountReturned = roundCurrency(total - newRefund.creditAdjustment);
+
+            // Return refunded units to stock
+            for (const line of lines) {
+                line.restocked = line.restock;
+                if (!line.restocked) continue;
+
+                try {
+                    await StockMovement.createMovement({
+                        storeId: req.storeId,
+                        productId: line.productId,
+                        variantId: line.variantId,
+                        type: 'return_from_customer',
+                        quantity: line.quantity,
+                        reason: reason ? `Refund: ${reason}` : `Refund of sale ${current._id}`,
+                        referenceType: 'Return',
+                        referenceId: newRefund._id,
+                        performedBy: req.userId
+                    }, { session });
+                } catch (movementError) {
+                    // Product may have been deleted since the sale
+                    console.warn(`Restock skipped for ${line.name}:`, movementError.message);
+                    line.restocked = false;
+                }
+            }
+            await returnToCostLayers(current, lines.filter(line => line.restocked), {
+                referenceType: 'Refund',
+                referenceId: newRefund._id,
+                session
+            });
+            newRefund.items = lines.map(line => ({
+                productId: line.productId,
+                variantId: line.variantId,
+                variantName: line.variantName,
+                name: line.name,
+                price: line.price,
+                quantity: line.quantity,
+                restocked: line.restocked
+            }));
+
+            // Mark refunded quantities on the original sale
+            for (const line of lines) {
+                line.saleItem.refundedQuantity = (line.saleItem.refundedQuantity || 0) + line.quantity;
+            }
+
+            const fullyRefunded = current.items.every(i => (i.refundedQuantity || 0) >= i.quantity);
+            current.refundedAmount = roundCurrency((current.refundedAmount || 0) + total);
+            current.refunds.push(newRefund._id);
+            if (fullyRefunded) {
+                current.status = 'refunded';
+                current.paymentStatus = 'refunded';
+            }
+            current.syncVersion += 1;
+
+            // Reverse customer stats and claw back loyalty points
+            if (current.customerId) {
+                await Customer.findByIdAndUpdate(current.customerId, {
+                    $inc: {
+                        totalSpent: -total,
+                        totalOrders: fullyRefunded ? -1 : 0
+                    }
+                }, { session });
+
+                newRefund.loyaltyPointsReversed = await reverseLoyaltyPoints(current, newRefund, { session });
+            }
+
+            await newRefund.save({ session });
+            await current.save({ session });
+
+            return { refund: newRefund, sale: current };
+        });
+
+        await invalidateEntityCache('sales', req.storeId);
+        await invalidateEntityCache('products', req.storeId);
+
+        await publish('sale.refunded', { ...refund.toJSON(), sale: refundedSale.toJSON() }, req);
+
+        res.status(201).json({ message: 'Refund recorded', refund, sale: refundedSale });
+    } catch (error) {
+        console.error('Refund sale error:', error);
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to refund sale' });
+    }
+});
+
+/**
+ * Claw back loyalty points earned on a sale in proportion to the refund
+ * Returns the number of points removed
+ */
+async function reverseLoyaltyPoints(sale, refund, { session } = {}) {
+    const earned = await LoyaltyTransaction.findOne({
+        storeId: sale.storeId,
+        saleId: sale._id,
+        type: 'earn'
+    }).session(session || null);
+
+    if (!earned || !sale.total) return 0;
+
+    const loyalty = await CustomerLoyalty.findById(earned.customerLoyaltyId).session(session || null);
+    if (!loyalty) return 0;
+
+    // Never take back more than the customer still holds
+    const points = Math.min(
+        loyalty.points,
+        Math.round(earned.points * (refund.total / sale.total))
+    );
+
+    loyalty.lifetimeSpending = Math.max(0, loyalty.lifetimeSpending - refund.total);
+    if (points <= 0) {
+        await loyalty.save({ session });
+        return 0;
+    }
+
+    const balanceBefore = loyalty.points;
+    loyalty.redeemPoints(points);
+    await loyalty.save({ session });
+
+    await LoyaltyTransaction.create([{
+        customerId: loyalty.customerId,
+        customerLoyaltyId: loyalty._id,
+        storeId: sale.storeId,
+        saleId: sale._id,
+        type: 'adjust',
+        points: -points,
+        balanceBefore,
+        balanceAfter: loyalty.points,
+        description: `Reversed ${points} points for refund`,
+        metadata: {
+            purchaseAmount: -refund.total,
+            reason: 'refund'
+        }
+    }], { session });
+
+    return points;
+}
+
+/**
+ * Check a sale's tenders cover its total exactly
+ * Returns an error message, or null when the payments are valid
+ */
+function validatePayments(payments, total) {
+    if (payments.length === 0) {
+        return 'At least one payment is required';
+    }
+
+    for (const payment of payments) {
+        if (!['cash', 'card', 'credit'].includes(payment.method)) {
+            return `Invalid payment method: ${payment.method}`;
+        }
+        if (!(Number(payment.amount) >= 0)) {
+            return 'Payment amounts must be positive';
+        }
+        if (payment.changeGiven > 0 && payment.method !== 'cash') {
+            return 'Change can only be given on cash payments';
+        }
+    }
+
+    const applied = payments.reduce(
+        (sum, p) => sum + Number(p.amount) - Number(p.changeGiven || 0),
+        0
+    );
+
+    if (Math.abs(applied - total) > 0.01) {
+        return `Payments (${applied.toFixed(2)}) do not match the sale total (${Number(total).toFixed(2)})`;
+    }
+
+    return null;
+}
+
+/**
+ * Round a currency amount to cents
+ */
+function roundCurrency(value) {
+    return Math.round(value * 100) / 100;
+}
+
 export default router;
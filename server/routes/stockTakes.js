@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Stock Take Routes
+ *
+ * API endpoints for physical stock counts: start a count, send counts from
+ * counting devices, submit for review, send lines back for recount, approve
+ * and post the variances, plus the shrinkage report
+ */
+
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import {
+    createStockTake,
+    recordCounts,
+    submitStockTake,
+    requestRecount,
+    approveStockTake,
+    cancelStockTake,
+    getStockTake,
+    listStockTakes,
+    getShrinkageReport
+} from '../services/stockTakeService.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * GET /api/stock-takes
+ * Stock takes for the current store
+ * Query: { status, open, limit }
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status, open, limit } = req.query;
+
+        const stockTakes = await listStockTakes(req.storeId, {
+            status,
+            open: open === 'true',
+            limit
+        });
+
+        res.json(stockTakes);
+    } catch (error) {
+        console.error('Get stock takes error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/stock-takes/shrinkage
+ * Stock lost or found on posted stock takes
+ * Query: { startDate, endDate, limit }
+ */
+router.get('/shrinkage', async (req, res) => {
+    try {
+        const report = await getShrinkageReport(req.storeId, req.query);
+        res.json(report);
+    } catch (error) {
+        console.error('Shrinkage report error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/stock-takes/:id
+ * Get a stock take with its count lines
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const stockTake = await getStockTake(req.params.id, req.storeId);
+        res.json(stockTake);
+    } catch (error) {
+        console.error('Get stock take error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/stock-takes
+ * Start a stock take, freezing expected quantities
+ * Body: { name, scope: store|category|location, categoryId, location, notes }
+ */
+router.post('/', authorize('inventory', 'update'), async (req, res) => {
+    try {
+        const stockTake = await createStockTake(req.storeId, req.body, req.user);
+        res.status(201).json(stockTake);
+    } catch (error) {
+        console.error('Create stock take error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/stock-takes/:id/counts
+ * Record counts; entries already applied (by clientId) are skipped
+ * Body: { entries: [{ clientId, lineId, quantity, mode: add|set, countedAt }] }
+ */
+router.post('/:id/counts', async (req, res) => {
+    try {
+        const stockTake = await recordCounts(req.params.id, req.storeId, req.body.entries, req.user);
+        res.json(stockTake);
+    } catch (error) {
+        console.error('Record counts error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/stock-takes/:id/submit
+ * Finish counting and submit the variances for review
+ */
+router.post('/:id/submit', async (req, res) => {
+    try {
+        const stockTake = await submitStockTake(req.params.id, req.storeId, req.user);
+        res.json(stockTake);
+    } catch (error) {
+        console.error('Submit stock take error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/stock-takes/:id/recount
+ * Send lines back for recounting
+ * Body: { lineIds } (optional; defaults to every line with a variance)
+ */
+router.post('/:id/recount', authorize('inventory', 'update'), async (req, res) => {
+    try {
+        const stockTake = await requestRecount(req.params.id, req.storeId, req.body, req.user);
+        res.json(stockTake);
+    } catch (error) {
+        console.error('Request recount error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/stock-takes/:id/approve
+ * Approve the variances and post them as stock adjustments
+ * Body: { employeeId, notes }
+ */
+router.post('/:id/approve', authorize('inventory', 'update'), async (req, res) => {
+    try {
+        const stockTake = await approveStockTake(req.params.id, req.storeId, req.body, req.user);
+        res.json(stockTake);
+    } catch (error) {
+        console.error('Approve stock take error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/stock-takes/:id/cancel
+ * Cancel a stock take that has not been posted
+ */
+router.post('/:id/cancel', async (req, res) => {
+    try {
+        const stockTake = await cancelStockTake(req.params.id, req.storeId, req.user);
+        res.json(stockTake);
+    } catch (error) {
+        console.error('Cancel stock take error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+export default router;
@@ -5,7 +5,7 @@
  */
 
 import express from 'express';
-import { Store, User, Product, Sale, Customer, StockMovement } from '../models/index.js';
+import { Store, User, Product, Sale, Customer } from '../models/index.js';
 import { authenticate } from '../middleware/auth.js';
 import { NotFoundError, ValidationError, AuthorizationError } from '../utils/errors.js';
 import { invalidateEntityCache } from '../services/cacheService.js';
@@ -14,6 +14,8 @@ import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { NET_TOTAL } from '../utils/salesMetrics.js';
+import { createTransfer, shipTransfer, receiveTransfer, cancelTransfer } from '../services/transferService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -304,7 +306,7 @@ router.get('/:id/stats', async (req, res) => {
                 {
                     $group: {
                         _id: null,
-                        total: { $sum: '$total' },
+                        total: { $sum: NET_TOTAL },
                         count: { $sum: 1 }
                     }
                 }
@@ -427,9 +429,9 @@ router.get('/compare', async (req, res) => {
                     {
                         $group: {
                             _id: null,
-                            totalRevenue: { $sum: '$total' },
+                            totalRevenue: { $sum: NET_TOTAL },
                             totalTransactions: { $sum: 1 },
-                            avgBasketSize: { $avg: '$total' }
+                            avgBasketSize: { $avg: NET_TOTAL }
                         }
                     }
                 ]);
@@ -586,9 +588,9 @@ router.get('/analytics/cross-store', async (req, res) => {
             {
                 $group: {
                     _id: dateFormats[groupBy] || dateFormats.day,
-                    revenue: { $sum: '$total' },
+                    revenue: { $sum: NET_TOTAL },
                     transactions: { $sum: 1 },
-                    avgBasketSize: { $avg: '$total' }
+                    avgBasketSize: { $avg: NET_TOTAL }
                 }
             },
             { $sort: { _id: 1 } },
@@ -609,9 +611,9 @@ router.get('/analytics/cross-store', async (req, res) => {
             {
                 $group: {
                     _id: null,
-                    totalRevenue: { $sum: '$total' },
+                    totalRevenue: { $sum: NET_TOTAL },
                     totalTransactions: { $sum: 1 },
-                    avgBasketSize: { $avg: '$total' }
+                    avgBasketSize: { $avg: NET_TOTAL }
                 }
             }
         ]);
@@ -646,145 +648,43 @@ router.get('/analytics/cross-store', async (req, res) => {
 
 /**
  * POST /api/stores/transfer
- * Transfer inventory between stores
- * Body: { fromStoreId, toStoreId, productId, quantity, reason, notes }
+ * Transfer one product between stores immediately (a transfer order that is
+ * shipped and received in one step). Use /api/transfers for multi-line
+ * transfers with an in-transit stage.
+ * Body: { fromStoreId, toStoreId, productId, variantId, quantity, reason, notes }
  */
 router.post('/transfer', async (req, res) => {
     try {
-        const { fromStoreId, toStoreId, productId, quantity, reason, notes } = req.body;
+        const { fromStoreId, toStoreId, productId, variantId, quantity, reason, notes } = req.body;
 
-        // Validation
         if (!fromStoreId || !toStoreId || !productId || !quantity) {
             throw new ValidationError('fromStoreId, toStoreId, productId, and quantity are required');
         }
 
-        if (quantity <= 0) {
-            throw new ValidationError('Quantity must be greater than 0');
-        }
-
-        if (fromStoreId === toStoreId) {
-            throw new ValidationError('Cannot transfer to the same store');
-        }
-
-        // Verify stores exist and user has access
-        const [fromStore, toStore] = await Promise.all([
-            Store.findById(fromStoreId),
-            Store.findById(toStoreId)
-        ]);
-
-        if (!fromStore) {
-            throw new NotFoundError('Source store not found');
-        }
-        if (!toStore) {
-            throw new NotFoundError('Destination store not found');
-        }
-
-        // Check access to both stores (must be owner, manager, or admin)
-        if (!fromStore.canAccess(req.userId) && req.user.role !== 'admin') {
-            throw new AuthorizationError('You do not have access to the source store');
-        }
-        if (!toStore.canAccess(req.userId) && req.user.role !== 'admin') {
-            throw new AuthorizationError('You do not have access to the destination store');
-        }
-
-        // Get products from both stores
-        const fromProduct = await Product.findOne({ _id: productId, storeId: fromStoreId });
-        const toProduct = await Product.findOne({ _id: productId, storeId: toStoreId });
-
-        if (!fromProduct) {
-            throw new NotFoundError('Product not found in source store');
-        }
-
-        // Check if source store has enough quantity
-        if (fromProduct.quantity < quantity) {
-            throw new ValidationError(
-                `Insufficient quantity in source store. Available: ${fromProduct.quantity}, Requested: ${quantity}`
-            );
-        }
-
-        // If product doesn't exist in destination store, create it
-        let toProductDoc;
-        if (!toProduct) {
-            // Clone product to destination store
-            toProductDoc = new Product({
-                ...fromProduct.toObject(),
-                _id: undefined,
-                storeId: toStoreId,
-                quantity: quantity,
-                createdAt: new Date(),
-                updatedAt: new Date()
-            });
-            await toProductDoc.save();
-        } else {
-            // Update existing product quantity
-            toProduct.quantity += quantity;
-            await toProduct.save();
-            toProductDoc = toProduct;
-        }
-
-        // Update source product quantity
-        fromProduct.quantity -= quantity;
-        await fromProduct.save();
-
-        // Create stock movement records
-        const transferOutMovement = await StockMovement.createMovement({
-            storeId: fromStoreId,
-            productId: productId,
-            type: 'transfer_out',
-            quantity: -quantity,
-            reason: reason || 'Inventory transfer',
-            referenceType: 'store_transfer',
-            referenceId: toStoreId,
-            fromLocation: fromStore.name,
-            toLocation: toStore.name,
-            performedBy: req.userId,
+        const requested = await createTransfer({
+            fromStoreId,
+            toStoreId,
+            items: [{ productId, variantId, quantity }],
+            reason,
             notes
-        });
+        }, req.user);
 
-        const transferInMovement = await StockMovement.createMovement({
-            storeId: toStoreId,
-            productId: toProductDoc._id,
-            type: 'transfer_in',
-            quantity: quantity,
-            reason: reason || 'Inventory transfer',
-            referenceType: 'store_transfer',
-            referenceId: fromStoreId,
-            fromLocation: fromStore.name,
-            toLocation: toStore.name,
-            performedBy: req.userId,
-            notes
-        });
-
-        // Invalidate caches
-        await Promise.all([
-            invalidateEntityCache('products', fromProduct._id),
-            invalidateEntityCache('products', toProductDoc._id)
-        ]);
+        try {
+            await shipTransfer(requested._id, {}, req.user);
+        } catch (error) {
+            // Nothing moved; don't leave the request open
+            await cancelTransfer(requested._id, req.user);
+            throw error;
+        }
+        const transfer = await receiveTransfer(requested._id, {}, req.user);
 
         res.json({
             message: 'Inventory transferred successfully',
-            transfer: {
-                from: {
-                    storeId: fromStoreId,
-                    storeName: fromStore.name,
-                    productId: fromProduct._id,
-                    newQuantity: fromProduct.quantity,
-                    movementId: transferOutMovement._id
-                },
-                to: {
-                    storeId: toStoreId,
-                    storeName: toStore.name,
-                    productId: toProductDoc._id,
-                    newQuantity: toProductDoc.quantity,
-                    movementId: transferInMovement._id
-                },
-                quantity,
-                performedAt: new Date()
-            }
+            transfer
         });
     } catch (error) {
         console.error('Inventory transfer error:', error);
-        res.status(error.statusCode || 500).json({ error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to transfer inventory' });
     }
 });
 
@@ -5,19 +5,58 @@
  */
 
 import express from 'express';
+import { Buffer } from 'buffer';
 import {
     Product, Category, Sale, Customer, Credit,
-    Employee, Shift, ClockEvent
+    Employee, Shift, ClockEvent, Tombstone
 } from '../models/index.js';
+import { TOMBSTONE_RETENTION_DAYS } from '../models/Tombstone.js';
 import { authenticate } from '../middleware/auth.js';
+import {
+    hasConflict, getConflictResponse, resolveConflict, mergeChanges, stripMetadata
+} from '../services/conflictResolver.js';
+import { invalidateEntityCache } from '../services/cacheService.js';
+import { publish } from '../services/eventBus.js';
 
 const router = express.Router();
 
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 1000;
+
+// Writes still in flight can commit with an updatedAt just behind "now";
+// stop the feed a little short so a page boundary never skips them
+const SETTLE_MS = 2000;
+
 router.use(authenticate);
 
+// Tables whose pushed changes are published as domain events
+const TABLE_EVENTS = {
+    products: 'product',
+    customers: 'customer',
+    employees: 'employee'
+};
+
+/**
+ * Publish a pushed change (e.g. customers/create as customer.created)
+ */
+function publishPushedChange(table, action, doc, req) {
+    const entity = TABLE_EVENTS[table];
+    if (!entity || !doc) return null;
+
+    const data = typeof doc.toJSON === 'function' ? doc.toJSON() : { ...doc };
+    delete data.pin;
+    return publish(`${entity}.${action}`, data, req);
+}
+
 /**
  * POST /sync/push
  * Push local changes to server
+ *
+ * Each update carries the syncVersion it was based on (baseVersion, or
+ * data.syncVersion). Stale updates are auto-merged when the client also sends
+ * base (its pre-edit values of the changed fields) and no field was changed
+ * on both sides; otherwise the result holds a conflict payload. Re-push with
+ * strategy 'server', 'client' or 'merge' to resolve it.
  */
 router.post('/push', async (req, res) => {
     try {
@@ -49,18 +88,15 @@ router.post('/push', async (req, res) => {
                             serverId: result._id,
                             success: true
                         });
+                        await publishPushedChange(table, 'created', result, req);
                         break;
 
                     case 'update':
-                        result = await Model.findOneAndUpdate(
-                            { _id: data._id, storeId: req.storeId },
-                            data,
-                            { new: true }
-                        );
-                        results.push({
-                            localId,
-                            success: !!result
-                        });
+                        result = await applyVersionedUpdate(Model, req.storeId, change);
+                        results.push({ localId, ...result });
+                        if (result.success && result.resolution !== 'server') {
+                            await publishPushedChange(table, 'updated', result.data, req);
+                        }
                         break;
 
                     case 'delete':
@@ -72,6 +108,7 @@ router.post('/push', async (req, res) => {
                             localId,
                             success: !!result
                         });
+                        await publishPushedChange(table, 'deleted', result, req);
                         break;
 
                     default:
@@ -90,9 +127,93 @@ router.post('/push', async (req, res) => {
     }
 });
 
+/**
+ * GET /sync/changes/:table
+ * Paged change feed for one table
+ *
+ * Query: cursor (opaque, from the previous page), limit
+ * Returns { changes, deleted, cursor, hasMore, reset }. Keep requesting with
+ * the returned cursor until hasMore is false, then store it as the checkpoint.
+ * reset means the cursor is too old to replay deletions - drop it and start over.
+ */
+router.get('/changes/:table', async (req, res) => {
+    try {
+        const { table } = req.params;
+        const Model = getModel(table);
+
+        if (!Model) {
+            return res.status(400).json({ error: 'Unknown table' });
+        }
+
+        let position;
+        try {
+            position = decodeCursor(req.query.cursor);
+        } catch {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+
+        const retentionStart = new Date(Date.now() - TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        if (position && new Date(position.d[0]) < retentionStart) {
+            return res.json({ changes: [], deleted: [], cursor: null, hasMore: true, reset: true });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        const upTo = new Date(Date.now() - SETTLE_MS);
+
+        // A first sync has nothing to delete, so its deletion stream starts now
+        const updatedAfter = position?.u || [new Date(0).toISOString(), null];
+        const deletedAfter = position?.d || [upTo.toISOString(), null];
+
+        const [changes, tombstones] = await Promise.all([
+            Model.find({
+                storeId: req.storeId,
+                ...afterPosition('updatedAt', updatedAfter, upTo)
+            })
+                .sort({ updatedAt: 1, _id: 1 })
+                .limit(limit + 1),
+            Tombstone.find({
+                storeId: req.storeId,
+                table,
+                ...afterPosition('deletedAt', deletedAfter, upTo)
+            })
+                .sort({ deletedAt: 1, _id: 1 })
+                .limit(limit + 1)
+                .lean()
+        ]);
+
+        const hasMore = changes.length > limit || tombstones.length > limit;
+        const changePage = changes.slice(0, limit);
+        const tombstonePage = tombstones.slice(0, limit);
+
+        // A drained stream has seen everything up to upTo; otherwise resume after the last row
+        const lastChange = changePage[changePage.length - 1];
+        const lastTombstone = tombstonePage[tombstonePage.length - 1];
+
+        res.json({
+            changes: changePage,
+            deleted: tombstonePage.map(t => t.recordId),
+            cursor: encodeCursor({
+                u: changes.length > limit
+                    ? [lastChange.updatedAt.toISOString(), String(lastChange._id)]
+                    : [upTo.toISOString(), null],
+                d: tombstones.length > limit
+                    ? [lastTombstone.deletedAt.toISOString(), String(lastTombstone._id)]
+                    : [upTo.toISOString(), null]
+            }),
+            hasMore,
+            reset: false
+        });
+    } catch (error) {
+        console.error('Sync changes error:', error);
+        res.status(500).json({ error: 'Sync changes failed' });
+    }
+});
+
 /**
  * GET /sync/pull
  * Pull all data from server
+ *
+ * Legacy full pull, kept for older clients - use /sync/changes instead
  */
 router.get('/pull', async (req, res) => {
     try {
@@ -152,4 +273,117 @@ function getModel(tableName) {
     return models[tableName];
 }
 
+/**
+ * Apply a pushed update only if it was based on the current version
+ * (or can be merged onto it); the write itself is a compare-and-set on syncVersion
+ */
+async function applyVersionedUpdate(Model, storeId, change) {
+    const { data, base, strategy } = change;
+    const baseVersion = change.baseVersion ?? data.syncVersion;
+
+    const serverDoc = await Model.findOne({ _id: data._id, storeId });
+    if (!serverDoc) {
+        return { success: false, error: 'Record not found' };
+    }
+
+    const clientData = dropLocalReferences(Model, stripMetadata(data));
+    let updates = clientData;
+    let merged = false;
+
+    if (strategy) {
+        // Explicit resolution chosen by the user
+        if (strategy === 'server') {
+            return { success: true, resolution: 'server', data: serverDoc };
+        }
+        updates = stripMetadata(resolveConflict(strategy, serverDoc, clientData));
+    } else if (hasConflict(serverDoc, baseVersion)) {
+        if (!base) {
+            return { success: false, ...getConflictResponse(serverDoc, data) };
+        }
+
+        const result = mergeChanges(serverDoc, clientData, base);
+        if (result.conflictingFields.length > 0) {
+            return { success: false, ...getConflictResponse(serverDoc, data, result.conflictingFields) };
+        }
+        updates = result.merged;
+        merged = true;
+    }
+
+    // Variant stock only moves through stock movements, never through edits
+    if (Array.isArray(updates.variants) && typeof Model.reconcileVariants === 'function') {
+        updates = { ...updates, ...Model.reconcileVariants(serverDoc.variants, updates.variants) };
+    }
+
+    // Records saved before syncVersion existed load with the default of 1 but have no field stored
+    const versionFilter = serverDoc.syncVersion === 1 ? { $in: [1, null] } : serverDoc.syncVersion;
+
+    const updated = await Model.findOneAndUpdate(
+        { _id: data._id, storeId, syncVersion: versionFilter },
+        {
+            ...updates,
+            syncVersion: serverDoc.syncVersion + 1,
+            lastSyncedAt: new Date()
+        },
+        { new: true }
+    );
+
+    // Someone else wrote between our read and write
+    if (!updated) {
+        const latest = await Model.findOne({ _id: data._id, storeId });
+        return latest
+            ? { success: false, ...getConflictResponse(latest, data) }
+            : { success: false, error: 'Record not found' };
+    }
+
+    await invalidateEntityCache(change.table, storeId, String(updated._id));
+
+    return { success: true, merged, data: updated };
+}
+
+/**
+ * Drop references still holding a local (numeric IndexedDB) id - the server can't resolve them
+ */
+function dropLocalReferences(Model, data) {
+    return Object.fromEntries(
+        Object.entries(data).filter(([field, value]) =>
+            !(typeof value === 'number' && Model.schema.path(field)?.instance === 'ObjectId')
+        )
+    );
+}
+
+/**
+ * Cursors are opaque to clients: base64url JSON holding the last
+ * [timestamp, _id] seen on the update stream (u) and deletion stream (d)
+ */
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    if (!cursor) return null;
+
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!Array.isArray(position?.u) || !Array.isArray(position?.d)) {
+        throw new Error('Malformed cursor');
+    }
+    return position;
+}
+
+/**
+ * Filter for records strictly after [timestamp, _id] and no later than upTo
+ */
+function afterPosition(field, [timestamp, id], upTo) {
+    const after = new Date(timestamp);
+    const filter = { [field]: { $gt: after, $lte: upTo } };
+
+    if (!id) return filter;
+
+    return {
+        $or: [
+            filter,
+            { [field]: after, _id: { $gt: id } }
+        ]
+    };
+}
+
 export default router;
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Tax Routes
+ *
+ * Tax classes and the tax configuration the POS caches for offline use
+ */
+
+import express from 'express';
+import { TaxClass, Product, Category } from '../models/index.js';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import { getTaxConfig } from '../services/taxService.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * GET /tax/config
+ * Active tax classes, whether prices include tax, and the flat fallback rate
+ */
+router.get('/config', async (req, res) => {
+    try {
+        const config = await getTaxConfig(req.storeId);
+
+        res.json(config);
+    } catch (error) {
+        console.error('Get tax config error:', error);
+        res.status(500).json({ error: 'Failed to get tax configuration' });
+    }
+});
+
+/**
+ * GET /tax/classes
+ */
+router.get('/classes', async (req, res) => {
+    try {
+        const classes = await TaxClass.find({ storeId: req.storeId }).sort({ name: 1 });
+
+        res.json(classes);
+    } catch (error) {
+        console.error('Get tax classes error:', error);
+        res.status(500).json({ error: 'Failed to get tax classes' });
+    }
+});
+
+/**
+ * POST /tax/classes
+ * Body: { name, rates: [{ name, rate, compound, priority }], isDefault }
+ */
+router.post('/classes', authorize('settings', 'update'), async (req, res) => {
+    try {
+        const { name, rates = [], isDefault = false } = req.body;
+
+        if (!name?.trim()) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+
+        if (isDefault) {
+            await TaxClass.updateMany({ storeId: req.storeId, isDefault: true }, { isDefault: false });
+        }
+
+        const taxClass = new TaxClass({
+            storeId: req.storeId,
+            name,
+            rates,
+            isDefault
+        });
+        await taxClass.save();
+
+        res.status(201).json(taxClass);
+    } catch (error) {
+        console.error('Create tax class error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to create tax class' });
+    }
+});
+
+/**
+ * PUT /tax/classes/:id
+ */
+router.put('/classes/:id', authorize('settings', 'update'), async (req, res) => {
+    try {
+        const { name, rates, isDefault, isActive } = req.body;
+
+        const taxClass = await TaxClass.findOne({ _id: req.params.id, storeId: req.storeId });
+        if (!taxClass) {
+            return res.status(404).json({ error: 'Tax class not found' });
+        }
+
+        if (isDefault && !taxClass.isDefault) {
+            await TaxClass.updateMany({ storeId: req.storeId, isDefault: true }, { isDefault: false });
+        }
+
+        if (name !== undefined) taxClass.name = name;
+        if (rates !== undefined) taxClass.rates = rates;
+        if (isDefault !== undefined) taxClass.isDefault = isDefault;
+        if (isActive !== undefined) taxClass.isActive = isActive;
+        await taxClass.save();
+
+        res.json(taxClass);
+    } catch (error) {
+        console.error('Update tax class error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to update tax class' });
+    }
+});
+
+/**
+ * DELETE /tax/classes/:id
+ * Products and categories using the class fall back to the default
+ */
+router.delete('/classes/:id', authorize('settings', 'update'), async (req, res) => {
+    try {
+        const taxClass = await TaxClass.findOneAndDelete({ _id: req.params.id, storeId: req.storeId });
+        if (!taxClass) {
+            return res.status(404).json({ error: 'Tax class not found' });
+        }
+
+        await Promise.all([
+            Product.updateMany({ storeId: req.storeId, taxClassId: taxClass._id }, { $unset: { taxClassId: 1 } }),
+            Category.updateMany({ storeId: req.storeId, taxClassId: taxClass._id }, { $unset: { taxClassId: 1 } })
+        ]);
+
+        res.json({ message: 'Tax class deleted' });
+    } catch (error) {
+        console.error('Delete tax class error:', error);
+        res.status(500).json({ error: 'Failed to delete tax class' });
+    }
+});
+
+export default router;
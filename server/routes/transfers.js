@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Inventory Transfer Routes
+ *
+ * API endpoints for transfer orders between stores: request, ship, receive
+ * and cancel, plus open transfers and in-transit stock per store
+ */
+
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import {
+    createTransfer,
+    shipTransfer,
+    receiveTransfer,
+    cancelTransfer,
+    getTransfer,
+    listTransfers,
+    getInTransit,
+    getTransferableProducts
+} from '../services/transferService.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * GET /api/transfers
+ * Transfers into or out of the current store
+ * Query: { direction: incoming|outgoing, status, open, limit }
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { direction, status, open, limit } = req.query;
+
+        const transfers = await listTransfers(req.storeId, {
+            direction,
+            status,
+            open: open === 'true',
+            limit
+        });
+
+        res.json(transfers);
+    } catch (error) {
+        console.error('Get transfers error:', error);
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to get transfers' });
+    }
+});
+
+/**
+ * GET /api/transfers/in-transit
+ * Units shipped but not yet received, into and out of the current store
+ */
+router.get('/in-transit', async (req, res) => {
+    try {
+        const inTransit = await getInTransit(req.storeId);
+        res.json(inTransit);
+    } catch (error) {
+        console.error('Get in-transit stock error:', error);
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to get in-transit stock' });
+    }
+});
+
+/**
+ * GET /api/transfers/products
+ * Products that can be transferred out of a store
+ * Query: { storeId, search }
+ */
+router.get('/products', async (req, res) => {
+    try {
+        const { storeId = req.storeId, search } = req.query;
+
+        const products = await getTransferableProducts(storeId, req.user, search);
+        res.json(products);
+    } catch (error) {
+        console.error('Get transferable products error:', error);
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to get transferable products' });
+    }
+});
+
+/**
+ * GET /api/transfers/:id
+ * Get a transfer
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const transfer = await getTransfer(req.params.id, req.user);
+        res.json(transfer);
+    } catch (error) {
+        console.error('Get transfer error:', error);
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to get transfer' });
+    }
+});
+
+/**
+ * POST /api/transfers
+ * Request a transfer
+ * Body: { fromStoreId, toStoreId, items: [{ productId, variantId, quantity }], reason, notes }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const transfer = await createTransfer(req.body, req.user);
+        res.status(201).json(transfer);
+    } catch (error) {
+        console.error('Create transfer error:', error);
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create transfer' });
+    }
+});
+
+/**
+ * POST /api/transfers/:id/ship
+ * Ship a requested transfer
+ * Body: { items: [{ itemId, quantity }] } (optional; defaults to the requested quantities)
+ */
+router.post('/:id/ship', async (req, res) => {
+    try {
+        const transfer = await shipTransfer(req.params.id, req.body, req.user);
+        res.json(transfer);
+    } catch (error) {
+        console.error('Ship transfer error:', error);
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to ship transfer' });
+    }
+});
+
+/**
+ * POST /api/transfers/:id/receive
+ * Receive an in-transit transfer
+ * Body: { items: [{ itemId, quantityReceived, discrepancyReason }] } (optional; defaults to the shipped quantities)
+ */
+router.post('/:id/receive', async (req, res) => {
+    try {
+        const transfer = await receiveTransfer(req.params.id, req.body, req.user);
+        res.json(transfer);
+    } catch (error) {
+        console.error('Receive transfer error:', error);
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to receive transfer' });
+    }
+});
+
+/**
+ * POST /api/transfers/:id/cancel
+ * Cancel a transfer that has not shipped
+ */
+router.post('/:id/cancel', async (req, res) => {
+    try {
+        const transfer = await cancelTransfer(req.params.id, req.user);
+        res.json(transfer);
+    } catch (error) {
+        console.error('Cancel transfer error:', error);
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to cancel transfer' });
+    }
+});
+
+export default router;
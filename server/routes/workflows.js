@@ -6,6 +6,7 @@
 
 import express from 'express';
 import Workflow from '../models/Workflow.js';
+import WorkflowRun from '../models/WorkflowRun.js';
 import workflowEngine from '../services/workflowEngine.js';
 import { authenticate } from '../middleware/auth.js';
 
@@ -45,6 +46,92 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/workflows/runs
+ * Workflow runs for the store, newest first
+ */
+router.get('/runs', async (req, res) => {
+    try {
+        const { workflowId, status, limit = 50 } = req.query;
+
+        const query = { storeId: req.storeId };
+        if (workflowId) query.workflowId = workflowId;
+        if (status) query.status = status;
+
+        const runs = await WorkflowRun.find(query)
+            .select('-actions -triggerData -context')
+            .sort({ startedAt: -1 })
+            .limit(Math.min(parseInt(limit) || 50, 200))
+            .lean();
+
+        res.json(runs);
+    } catch (error) {
+        console.error('Get workflow runs error:', error);
+        res.status(500).json({ error: 'Failed to fetch workflow runs' });
+    }
+});
+
+/**
+ * GET /api/workflows/runs/:runId
+ * Get a workflow run with its steps
+ */
+router.get('/runs/:runId', async (req, res) => {
+    try {
+        const run = await WorkflowRun.findOne({ _id: req.params.runId, storeId: req.storeId })
+            .populate('approval.decisions.userId', 'name email')
+            .lean();
+
+        if (!run) {
+            return res.status(404).json({ error: 'Workflow run not found' });
+        }
+
+        res.json(run);
+    } catch (error) {
+        console.error('Get workflow run error:', error);
+        res.status(500).json({ error: 'Failed to fetch workflow run' });
+    }
+});
+
+/**
+ * POST /api/workflows/runs/:runId/approve
+ * Approve a run waiting on an approval step
+ */
+router.post('/runs/:runId/approve', async (req, res) => {
+    try {
+        const run = await workflowEngine.decideApproval(req.params.runId, {
+            storeId: req.storeId,
+            userId: req.userId,
+            decision: 'approved',
+            comment: req.body.comment
+        });
+
+        res.json(run);
+    } catch (error) {
+        console.error('Approve workflow run error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Failed to approve workflow run' });
+    }
+});
+
+/**
+ * POST /api/workflows/runs/:runId/reject
+ * Reject a run waiting on an approval step
+ */
+router.post('/runs/:runId/reject', async (req, res) => {
+    try {
+        const run = await workflowEngine.decideApproval(req.params.runId, {
+            storeId: req.storeId,
+            userId: req.userId,
+            decision: 'rejected',
+            comment: req.body.comment
+        });
+
+        res.json(run);
+    } catch (error) {
+        console.error('Reject workflow run error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Failed to reject workflow run' });
+    }
+});
+
 /**
  * GET /api/workflows/:id
  * Get workflow by ID
@@ -264,10 +351,15 @@ router.post('/:id/test', async (req, res) => {
             io: req.app.get('io')
         };
 
-        // Execute workflow
-        await workflowEngine.executeWorkflow(workflow, testData, context);
+        // Execute workflow (runs until it finishes or parks on a delay or approval)
+        const run = await workflowEngine.executeWorkflow(workflow, testData, context);
 
-        res.json({ message: 'Workflow test completed successfully' });
+        res.json({
+            message: run.status === 'waiting'
+                ? `Workflow test is waiting for ${run.waitingFor}`
+                : 'Workflow test completed successfully',
+            run
+        });
     } catch (error) {
         console.error('Test workflow error:', error);
         res.status(500).json({ error: error.message || 'Failed to test workflow' });
@@ -368,12 +460,30 @@ router.get('/triggers/available', async (req, res) => {
                 description: 'Triggered when a sale is completed',
                 availableFields: ['total', 'items', 'customerId', 'employeeId', 'paymentMethod']
             },
+            {
+                type: 'sale.voided',
+                label: 'Sale Voided',
+                description: 'Triggered when a sale is voided',
+                availableFields: ['total', 'items', 'customerId', 'employeeId']
+            },
+            {
+                type: 'sale.refunded',
+                label: 'Sale Refunded',
+                description: 'Triggered when items on a sale are refunded',
+                availableFields: ['total', 'items', 'reason', 'refundMethod']
+            },
             {
                 type: 'product.low_stock',
                 label: 'Low Stock Alert',
                 description: 'Triggered when product quantity falls below threshold',
                 availableFields: ['name', 'sku', 'quantity', 'lowStockThreshold']
             },
+            {
+                type: 'inventory.received',
+                label: 'Stock Received',
+                description: 'Triggered when a purchase order is received',
+                availableFields: ['purchaseOrder.orderNumber', 'purchaseOrder.total']
+            },
             {
                 type: 'customer.created',
                 label: 'New Customer',
@@ -384,7 +494,31 @@ router.get('/triggers/available', async (req, res) => {
                 type: 'customer.vip',
                 label: 'VIP Customer',
                 description: 'Triggered when customer spending crosses VIP threshold',
-                availableFields: ['name', 'email', 'totalSpent', 'purchaseCount']
+                availableFields: ['name', 'email', 'totalSpent', 'totalOrders']
+            },
+            {
+                type: 'employee.clock_in',
+                label: 'Employee Clocked In',
+                description: 'Triggered when an employee clocks in',
+                availableFields: ['employee.name', 'employee.role']
+            },
+            {
+                type: 'employee.clock_out',
+                label: 'Employee Clocked Out',
+                description: 'Triggered when an employee clocks out',
+                availableFields: ['employee.name', 'summary.salesCount', 'summary.salesTotal']
+            },
+            {
+                type: 'credit.payment',
+                label: 'Credit Payment',
+                description: 'Triggered when a payment is recorded against a credit',
+                availableFields: ['amount', 'amountPaid', 'paymentAmount', 'status']
+            },
+            {
+                type: 'credit.overdue',
+                label: 'Credit Overdue',
+                description: 'Triggered when a credit becomes overdue',
+                availableFields: ['amount', 'amountPaid', 'dueDate']
             },
             {
                 type: 'manual',
@@ -5,6 +5,7 @@
  */
 
 import { Sale, Product, Customer } from '../models/index.js';
+import { NET_TOTAL, NET_ITEM_QUANTITY, netItemCost } from '../utils/salesMetrics.js';
 
 /**
  * Calculate inventory turnover rate
@@ -38,10 +39,9 @@ export const calculateInventoryTurnover = async (storeId, startDate, endDate) =>
             {
                 $group: {
                     _id: null,
+                    // Recorded unit costs; today's cost price for lines sold before costing
                     totalCOGS: {
-                        $sum: {
-                            $multiply: ['$items.quantity', '$product.costPrice']
-                        }
+                        $sum: netItemCost('$product.costPrice')
                     }
                 }
             }
@@ -75,8 +75,8 @@ export const calculateInventoryTurnover = async (storeId, startDate, endDate) =>
             {
                 $group: {
                     _id: '$items.productId',
-                    totalSold: { $sum: '$items.quantity' },
-                    revenue: { $sum: { $multiply: ['$items.quantity', '$items.price'] } }
+                    totalSold: { $sum: NET_ITEM_QUANTITY },
+                    revenue: { $sum: { $multiply: [NET_ITEM_QUANTITY, '$items.price'] } }
                 }
             },
             { $sort: { totalSold: -1 } }
@@ -132,7 +132,7 @@ export const performRFMAnalysis = async (storeId) => {
                     _id: '$customerId',
                     lastPurchase: { $max: '$createdAt' },
                     frequency: { $sum: 1 },
-                    monetary: { $sum: '$total' }
+                    monetary: { $sum: NET_TOTAL }
                 }
             }
         ]);
@@ -250,9 +250,9 @@ export const calculateEmployeePerformance = async (storeId, startDate, endDate)
             {
                 $group: {
                     _id: '$employeeId',
-                    totalSales: { $sum: '$total' },
+                    totalSales: { $sum: NET_TOTAL },
                     transactionCount: { $sum: 1 },
-                    avgTransaction: { $avg: '$total' },
+                    avgTransaction: { $avg: NET_TOTAL },
                     totalItems: { $sum: { $size: '$items' } }
                 }
             },
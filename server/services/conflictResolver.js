@@ -4,6 +4,9 @@
  * Detects and helps resolve data conflicts from concurrent edits
  */
 
+// Bookkeeping fields never compared or merged
+const METADATA_FIELDS = ['_id', '__v', 'storeId', 'createdAt', 'updatedAt', 'syncVersion', 'lastSyncedAt'];
+
 /**
  * Check if there's a conflict between client and server versions
  *
@@ -24,12 +27,14 @@ export function hasConflict(serverDoc, clientSyncVersion) {
  *
  * @param {Object} serverDoc - Current server version
  * @param {Object} clientData - Client's proposed changes
+ * @param {Array} conflictingFields - Fields both sides changed differently, if known
  * @returns {Object} Conflict response object
  */
-export function getConflictResponse(serverDoc, clientData) {
+export function getConflictResponse(serverDoc, clientData, conflictingFields = []) {
     return {
         conflict: true,
         message: 'Conflict detected: This record was modified by another user',
+        conflictingFields,
         serverVersion: {
             ...serverDoc.toObject(),
             syncVersion: serverDoc.syncVersion,
@@ -98,6 +103,50 @@ export function resolveConflict(strategy, serverDoc, clientData) {
     }
 }
 
+/**
+ * Three-way merge of a stale client write
+ *
+ * A field the client changed is taken unless the server also changed it
+ * (relative to base) to something different.
+ *
+ * @param {Object} serverDoc - Current server version
+ * @param {Object} clientData - Client's proposed changes
+ * @param {Object} base - Client's copy of the changed fields before editing
+ * @returns {Object} { merged, conflictingFields }
+ */
+export function mergeChanges(serverDoc, clientData, base) {
+    const server = serverDoc.toObject();
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const merged = {};
+    const conflictingFields = [];
+
+    for (const [field, clientValue] of Object.entries(clientData)) {
+        if (METADATA_FIELDS.includes(field)) continue;
+        if (!(field in base) || same(clientValue, base[field])) continue;
+
+        const serverChanged = !same(server[field], base[field]);
+        if (serverChanged && !same(server[field], clientValue)) {
+            conflictingFields.push(field);
+        } else {
+            merged[field] = clientValue;
+        }
+    }
+
+    return { merged, conflictingFields };
+}
+
+/**
+ * Strip bookkeeping fields from client data before writing it
+ *
+ * @param {Object} data - Client payload
+ * @returns {Object} Writable fields only
+ */
+export function stripMetadata(data) {
+    return Object.fromEntries(
+        Object.entries(data).filter(([field]) => !METADATA_FIELDS.includes(field))
+    );
+}
+
 /**
  * Check if data has been modified since last sync
  *
@@ -115,5 +164,7 @@ export default {
     getConflictResponse,
     incrementSyncVersion,
     resolveConflict,
+    mergeChanges,
+    stripMetadata,
     isModifiedSince
 };
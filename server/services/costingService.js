@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Inventory Costing Service
+ *
+ * Keeps cost layers per product (or variant) in each store and works out the
+ * cost of goods sold from them. Stock taken in adds a layer at what it cost;
+ * stock sold or shipped away draws layers down, either oldest first (FIFO)
+ * or evenly across all layers at their average cost, as the store is set up.
+ * Units sold beyond what the layers hold are costed at the product's current
+ * cost price. Stock added or removed by hand adds or draws down layers too,
+ * so the layers follow what is on hand.
+ */
+
+import { CostLayer, Product, Store } from '../models/index.js';
+
+export const COSTING_METHODS = ['fifo', 'average'];
+export const DEFAULT_COSTING_METHOD = 'average';
+
+// Layer quantities below this are treated as used up
+const EPSILON = 1e-6;
+
+const roundCost = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * The costing method a store uses
+ * @param {string} storeId - Store ID
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Transaction session
+ * @returns {Promise<'fifo'|'average'>}
+ */
+export async function getCostingMethod(storeId, { session } = {}) {
+    const store = await Store.findById(storeId).select('settings.costingMethod').session(session || null).lean();
+    const method = store?.settings?.costingMethod;
+    return COSTING_METHODS.includes(method) ? method : DEFAULT_COSTING_METHOD;
+}
+
+function unitQuery(storeId, productId, variantId) {
+    return { storeId, productId, variantId: variantId || null };
+}
+
+/**
+ * Product's current stock and cost price for a product or one of its variants
+ */
+async function loadUnit(productId, variantId, session) {
+    const product = await Product.findById(productId)
+        .select('quantity costPrice variants._id variants.quantity variants.costPrice')
+        .session(session || null)
+        .lean();
+    if (!product) return null;
+
+    if (variantId) {
+        const variant = product.variants?.find(v => String(v._id) === String(variantId));
+        if (!variant) return null;
+        return { quantity: variant.quantity || 0, costPrice: variant.costPrice ?? product.costPrice ?? 0 };
+    }
+    return { quantity: product.quantity || 0, costPrice: product.costPrice || 0 };
+}
+
+/**
+ * Record stock taken in as a cost layer. Call after the stock itself has been
+ * added: the first time a product gets a layer, the units it already had are
+ * layered at its cost price so they are sold before (or averaged with) the
+ * new ones.
+ * @param {Object} data
+ * @param {string} data.storeId - Store ID
+ * @param {string} data.productId - Product ID
+ * @param {string} [data.variantId] - Variant ID
+ * @param {number} data.quantity - Units taken in
+ * @param {number} [data.unitCost] - Cost per unit; the product's cost price when omitted
+ * @param {string} data.source - purchase, transfer, return, count or adjustment
+ * @param {string} [data.referenceType] - Document that brought the stock in
+ * @param {string} [data.referenceId] - Its ID
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Transaction session
+ * @returns {Promise<Object|null>} The layer, or null when nothing was taken in
+ */
+export async function addCostLayer(data, { session } = {}) {
+    const quantity = Number(data.quantity);
+    if (!(quantity > 0)) return null;
+
+    const query = unitQuery(data.storeId, data.productId, data.variantId);
+    const unit = await loadUnit(data.productId, data.variantId, session);
+    const costPrice = unit?.costPrice ?? 0;
+
+    const hasLayers = await CostLayer.exists(query).session(session || null);
+    if (!hasLayers && unit) {
+        const opening = unit.quantity - quantity;
+        if (opening > 0) {
+            await CostLayer.create([{
+                ...query,
+                source: 'opening',
+                quantity: opening,
+                remaining: opening,
+                unitCost: costPrice
+            }], { session });
+        }
+    }
+
+    const unitCost = Number(data.unitCost);
+    const [layer] = await CostLayer.create([{
+        ...query,
+        source: data.source,
+        referenceType: data.referenceType,
+        referenceId: data.referenceId,
+        quantity,
+        remaining: quantity,
+        unitCost: Number.isFinite(unitCost) && unitCost >= 0 ? unitCost : costPrice
+    }], { session });
+
+    return layer;
+}
+
+/**
+ * Draw units out of a product's cost layers and work out what they cost
+ * @param {Object} data
+ * @param {string} data.storeId - Store ID
+ * @param {string} data.productId - Product ID
+ * @param {string} [data.variantId] - Variant ID
+ * @param {number} data.quantity - Units sold or shipped
+ * @param {Object} [options]
+ * @param {'fifo'|'average'} [options.method] - Looked up from the store when omitted
+ * @param {ClientSession} [options.session] - Transaction session
+ * @returns {Promise<{ unitCost: number, totalCost: number, method: string }>}
+ */
+export async function consumeCostLayers(data, { method, session } = {}) {
+    const quantity = Number(data.quantity);
+    method = method || await getCostingMethod(data.storeId, { session });
+    if (!(quantity > 0)) {
+        return { unitCost: 0, totalCost: 0, method };
+    }
+
+    const layers = await CostLayer.find({
+        ...unitQuery(data.storeId, data.productId, data.variantId),
+        remaining: { $gt: EPSILON }
+    })
+        .sort({ receivedAt: 1, _id: 1 })
+        .session(session || null);
+
+    const available = layers.reduce((sum, layer) => sum + layer.remaining, 0);
+    const drawn = Math.min(quantity, available);
+    let totalCost = 0;
+
+    if (method === 'fifo') {
+        let needed = drawn;
+        for (const layer of layers) {
+            if (needed <= EPSILON) break;
+            const take = Math.min(needed, layer.remaining);
+            totalCost += take * layer.unitCost;
+            layer.remaining -= take;
+            needed -= take;
+        }
+    } else if (drawn > 0) {
+        // Every layer gives up the same share, so what is left keeps the same average
+        const share = drawn / available;
+        for (const layer of layers) {
+            const take = layer.remaining * share;
+            totalCost += take * layer.unitCost;
+            layer.remaining -= take;
+        }
+    }
+
+    // Units the layers do not cover (stock added without a receipt, or sold below zero)
+    const uncovered = quantity - drawn;
+    if (uncovered > EPSILON) {
+        const unit = await loadUnit(data.productId, data.variantId, session);
+        totalCost += uncovered * (unit?.costPrice ?? 0);
+    }
+
+    const changed = layers.filter(layer => layer.isModified('remaining'));
+    if (changed.length > 0) {
+        await CostLayer.bulkWrite(changed.map(layer => ({
+            updateOne: {
+                filter: { _id: layer._id },
+                update: { $set: { remaining: layer.remaining > EPSILON ? layer.remaining : 0 } }
+            }
+        })), { session });
+    }
+
+    return {
+        unitCost: roundCost(totalCost / quantity),
+        totalCost: roundCost(totalCost),
+        method
+    };
+}
+
+/**
+ * Keep the layers in step with stock changed by hand: units added are
+ * layered at the product's cost price (or unitCost), units taken away are
+ * drawn out of the layers like a sale. Call after the stock itself moved.
+ * @param {Object} data
+ * @param {string} data.storeId - Store ID
+ * @param {string} data.productId - Product ID
+ * @param {string} [data.variantId] - Variant ID
+ * @param {number} data.quantity - Units added (positive) or removed (negative)
+ * @param {number} [data.unitCost] - Cost per unit added
+ * @param {string} [data.source] - Layer source for units added; adjustment when omitted
+ * @param {string} [data.referenceType] - Document that moved the stock
+ * @param {string} [data.referenceId] - Its ID
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Transaction session
+ */
+export async function recordStockAdjustment(data, { session } = {}) {
+    const quantity = Number(data.quantity);
+
+    if (quantity > 0) {
+        await addCostLayer({ ...data, source: data.source || 'adjustment' }, { session });
+    } else if (quantity < 0) {
+        await consumeCostLayers({ ...data, quantity: -quantity }, { session });
+    }
+}
+
+/**
+ * Cost each line of a new sale, setting unitCost on its items and the
+ * method used on the sale. The caller saves the sale.
+ * @param {Document} sale - Sale
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Transaction session
+ */
+export async function costSale(sale, { session } = {}) {
+    const method = await getCostingMethod(sale.storeId, { session });
+
+    for (const item of sale.items) {
+        const { unitCost } = await consumeCostLayers({
+            storeId: sale.storeId,
+            productId: item.productId,
+            variantId: item.variantId,
+            quantity: item.quantity
+        }, { method, session });
+        item.unitCost = unitCost;
+    }
+    sale.costingMethod = method;
+
+    return sale;
+}
+
+/**
+ * Put units a customer brought back (or a voided sale restored) back into
+ * the layers at the cost they were sold at
+ * @param {Object} sale - Original sale
+ * @param {Array<{ productId, variantId, quantity }>} items - Units restocked
+ * @param {Object} reference - { referenceType, referenceId }, and session to
+ *   write inside a transaction
+ */
+export async function returnToCostLayers(sale, items, { referenceType, referenceId, session }) {
+    for (const item of items) {
+        const saleItem = sale.items.find(i =>
+            String(i.productId) === String(item.productId) &&
+            String(i.variantId || '') === String(item.variantId || '')
+        );
+
+        await addCostLayer({
+            storeId: sale.storeId,
+            productId: item.productId,
+            variantId: item.variantId,
+            quantity: item.quantity,
+            unitCost: saleItem?.unitCost,
+            source: 'return',
+            referenceType,
+            referenceId
+        }, { session });
+    }
+}
+
+export default {
+    COSTING_METHODS,
+    DEFAULT_COSTING_METHOD,
+    getCostingMethod,
+    addCostLayer,
+    consumeCostLayers,
+    costSale,
+    recordStockAdjustment,
+    returnToCostLayers
+};
@@ -0,0 +1,379 @@
+/**
+ * @fileoverview Credit Ledger Service
+ *
+ * Customer credit accounts: balance against the credit limit, aging of
+ * unpaid credits, and account statements (JSON, PDF or email) built from
+ * each credit's charge and payment history.
+ */
+
+import { Credit, Customer, Store } from '../models/index.js';
+import { exportToPDF } from './exportService.js';
+import { sendEmail } from './emailService.js';
+import { formatCurrency, formatDate } from '../utils/format.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days past due, by bucket
+export const AGING_BUCKETS = ['current', '1-30', '31-60', '61-90', '90+'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Aging bucket for a balance due on dueDate
+ */
+function agingBucket(dueDate, asOf) {
+    const daysPastDue = Math.floor((asOf - new Date(dueDate)) / DAY);
+    if (daysPastDue <= 0) return 'current';
+    if (daysPastDue <= 30) return '1-30';
+    if (daysPastDue <= 60) return '31-60';
+    if (daysPastDue <= 90) return '61-90';
+    return '90+';
+}
+
+/**
+ * Spread the unpaid balance of some credits over the aging buckets
+ * @returns {Object} Amount per bucket, plus total
+ */
+export function ageCredits(credits, asOf = new Date()) {
+    const aging = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket, 0]));
+
+    for (const credit of credits) {
+        const balance = credit.amount - credit.amountPaid;
+        if (balance <= 0) continue;
+        const bucket = agingBucket(credit.dueDate, asOf);
+        aging[bucket] = roundCurrency(aging[bucket] + balance);
+    }
+
+    aging.total = roundCurrency(AGING_BUCKETS.reduce((sum, bucket) => sum + aging[bucket], 0));
+    return aging;
+}
+
+/**
+ * Load a customer, optionally checking it belongs to a store
+ */
+async function loadCustomer(customerId, storeId) {
+    const customer = await Customer.findById(customerId);
+    if (!customer || (storeId && String(customer.storeId) !== String(storeId))) {
+        throw new NotFoundError('Customer not found');
+    }
+    return customer;
+}
+
+/**
+ * A credit as the API returns it, with its remaining balance
+ */
+const withBalance = (credit) => ({
+    ...credit.toJSON(),
+    balance: roundCurrency(credit.amount - credit.amountPaid)
+});
+
+/**
+ * Customer credit account: balance, limit, aging and credits
+ * @param {string} customerId - Customer
+ * @param {string} [storeId] - Store the customer must belong to
+ */
+export async function getCustomerAccount(customerId, storeId) {
+    const customer = await loadCustomer(customerId, storeId);
+    const credits = await Credit.find({ customerId: customer._id, storeId: customer.storeId })
+        .populate('saleId', 'total createdAt')
+        .sort({ createdAt: -1 });
+
+    const balance = roundCurrency(credits.reduce((sum, c) => sum + c.amount - c.amountPaid, 0));
+    const creditLimit = customer.creditLimit ?? null;
+
+    return {
+        customer: {
+            _id: customer._id,
+            name: customer.name,
+            email: customer.email,
+            phone: customer.phone
+        },
+        balance,
+        creditLimit,
+        availableCredit: creditLimit === null ? null : roundCurrency(Math.max(0, creditLimit - balance)),
+        overLimit: creditLimit !== null && balance > creditLimit,
+        totalCharged: roundCurrency(credits.reduce((sum, c) => sum + c.amount, 0)),
+        totalPaid: roundCurrency(credits.reduce((sum, c) => sum + c.amountPaid, 0)),
+        aging: ageCredits(credits),
+        credits: credits.map(withBalance)
+    };
+}
+
+/**
+ * Refuse a credit charge that would take a customer over their credit limit
+ * @param {string} customerId - Customer charged
+ * @param {string} storeId - Store the credit is with
+ * @param {number} amount - Amount going on the account
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Transaction the charge is made in
+ * @throws {ValidationError} If the limit would be exceeded
+ */
+export async function assertWithinCreditLimit(customerId, storeId, amount, { session } = {}) {
+    const customer = await Customer.findById(customerId).select('name creditLimit').session(session || null).lean();
+    if (customer?.creditLimit === null || customer?.creditLimit === undefined) return;
+
+    const credits = await Credit.find({ customerId, storeId, status: { $ne: 'paid' } })
+        .select('amount amountPaid')
+        .session(session || null)
+        .lean();
+    const balance = roundCurrency(credits.reduce((sum, c) => sum + c.amount - c.amountPaid, 0));
+
+    if (balance + amount > customer.creditLimit + 0.005) {
+        throw new ValidationError(
+            `This would take ${customer.name} over their ${formatCurrency(customer.creditLimit)} credit limit ` +
+            `(${formatCurrency(balance)} already owing)`
+        );
+    }
+}
+
+/**
+ * Unpaid balances for every customer of a store, by aging bucket
+ */
+export async function getAgingReport(storeId) {
+    const asOf = new Date();
+    const credits = await Credit.find({ storeId, status: { $ne: 'paid' } })
+        .populate('customerId', 'name phone email creditLimit');
+
+    const byCustomer = new Map();
+    for (const credit of credits) {
+        if (!credit.customerId) continue;
+        const key = String(credit.customerId._id);
+        const entry = byCustomer.get(key) || { customer: credit.customerId, credits: [] };
+        entry.credits.push(credit);
+        byCustomer.set(key, entry);
+    }
+
+    const customers = [...byCustomer.values()]
+        .map(({ customer, credits: customerCredits }) => ({
+            customerId: customer._id,
+            name: customer.name,
+            phone: customer.phone,
+            email: customer.email,
+            creditLimit: customer.creditLimit ?? null,
+            ...ageCredits(customerCredits, asOf)
+        }))
+        .filter(row => row.total > 0)
+        .sort((a, b) => b.total - a.total);
+
+    return {
+        asOf,
+        customers,
+        totals: ageCredits(credits, asOf)
+    };
+}
+
+/**
+ * Charges and payments of one credit, as statement movements
+ */
+function creditMovements(credit) {
+    const sale = credit.saleId?._id || credit.saleId;
+    const movements = [{
+        date: credit.createdAt,
+        type: 'charge',
+        description: `Purchase on credit, due ${formatDate(credit.dueDate)}`,
+        reference: sale ? `#${String(sale).slice(-8)}` : '',
+        amount: credit.amount
+    }];
+
+    for (const payment of credit.payments) {
+        movements.push({
+            date: payment.paidAt,
+            type: 'payment',
+            description: `Payment (${payment.method})`,
+            reference: payment.reference || '',
+            amount: -payment.amount
+        });
+    }
+
+    // Credits paid before payments were itemized only carry the total
+    const itemized = credit.payments.reduce((sum, p) => sum + p.amount, 0);
+    const unitemized = roundCurrency(credit.amountPaid - itemized);
+    if (unitemized > 0) {
+        movements.push({
+            date: credit.paidAt || credit.updatedAt,
+            type: 'payment',
+            description: 'Payment',
+            reference: '',
+            amount: -unitemized
+        });
+    }
+
+    return movements;
+}
+
+/**
+ * Build a customer's account statement for a period
+ * @param {string} customerId - Customer
+ * @param {Object} [options] - { storeId, from, to }; defaults to the last 30 days
+ */
+export async function buildStatement(customerId, { storeId, from, to } = {}) {
+    const customer = await loadCustomer(customerId, storeId);
+
+    const periodEnd = to ? new Date(to) : new Date();
+    const periodStart = from ? new Date(from) : new Date(periodEnd - 30 * DAY);
+    if (isNaN(periodStart) || isNaN(periodEnd) || periodStart > periodEnd) {
+        throw new ValidationError('Invalid statement period');
+    }
+
+    const [store, credits] = await Promise.all([
+        Store.findById(customer.storeId).select('name address phone email').lean(),
+        Credit.find({
+            customerId: customer._id,
+            storeId: customer.storeId,
+            createdAt: { $lte: periodEnd }
+        })
+    ]);
+
+    const movements = credits
+        .flatMap(creditMovements)
+        .filter(m => new Date(m.date) <= periodEnd)
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const openingBalance = roundCurrency(movements
+        .filter(m => new Date(m.date) < periodStart)
+        .reduce((sum, m) => sum + m.amount, 0));
+
+    let balance = openingBalance;
+    const entries = movements
+        .filter(m => new Date(m.date) >= periodStart)
+        .map(m => {
+            balance = roundCurrency(balance + m.amount);
+            return { ...m, balance };
+        });
+
+    return {
+        store,
+        customer: {
+            _id: customer._id,
+            name: customer.name,
+            email: customer.email,
+            phone: customer.phone,
+            address: customer.address
+        },
+        from: periodStart,
+        to: periodEnd,
+        generatedAt: new Date(),
+        openingBalance,
+        charges: roundCurrency(entries.filter(e => e.type === 'charge').reduce((sum, e) => sum + e.amount, 0)),
+        payments: roundCurrency(-entries.filter(e => e.type === 'payment').reduce((sum, e) => sum + e.amount, 0)),
+        closingBalance: balance,
+        creditLimit: customer.creditLimit ?? null,
+        // Aging of what is owed today
+        aging: ageCredits(credits),
+        entries
+    };
+}
+
+/**
+ * Render a statement as a PDF
+ * @returns {Promise<Buffer>}
+ */
+export function renderStatementPDF(statement) {
+    const columns = [
+        { key: 'date', header: 'Date', accessor: e => formatDate(e.date) },
+        { key: 'description', header: 'Description', accessor: e => e.description },
+        { key: 'reference', header: 'Reference', accessor: e => e.reference },
+        { key: 'charge', header: 'Charges', accessor: e => (e.amount > 0 ? formatCurrency(e.amount) : '') },
+        { key: 'payment', header: 'Payments', accessor: e => (e.amount < 0 ? formatCurrency(-e.amount) : '') },
+        { key: 'balance', header: 'Balance', accessor: e => formatCurrency(e.balance) }
+    ];
+
+    return exportToPDF(statement.entries, columns, {
+        title: statement.store?.name ? `${statement.store.name} - Account Statement` : 'Account Statement',
+        subtitle: `${statement.customer.name}: ${formatDate(statement.from)} - ${formatDate(statement.to)}`,
+        metadata: {
+            'Opening Balance': formatCurrency(statement.openingBalance),
+            'Charges': formatCurrency(statement.charges),
+            'Payments': formatCurrency(statement.payments),
+            'Closing Balance': formatCurrency(statement.closingBalance),
+            ...(statement.creditLimit !== null && { 'Credit Limit': formatCurrency(statement.creditLimit) }),
+            'Aging': AGING_BUCKETS.map(b => `${b}: ${formatCurrency(statement.aging[b])}`).join(', ')
+        }
+    });
+}
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[c]);
+
+/**
+ * Render a statement as an HTML email body
+ */
+export function renderStatementHTML(statement) {
+    const rows = statement.entries.map(e => `
+        <tr>
+            <td>${formatDate(e.date)}</td>
+            <td>${escapeHtml(e.description)}</td>
+            <td>${escapeHtml(e.reference)}</td>
+            <td align="right">${e.amount > 0 ? formatCurrency(e.amount) : ''}</td>
+            <td align="right">${e.amount < 0 ? formatCurrency(-e.amount) : ''}</td>
+            <td align="right">${formatCurrency(e.balance)}</td>
+        </tr>`).join('');
+
+    const aging = AGING_BUCKETS.map(b => `
+            <td align="right">${formatCurrency(statement.aging[b])}</td>`).join('');
+
+    return `
+<div style="font-family: Arial, sans-serif; color: #111827;">
+    <h2>${escapeHtml(statement.store?.name || 'Account Statement')}</h2>
+    <p>
+        Statement for <strong>${escapeHtml(statement.customer.name)}</strong><br>
+        ${formatDate(statement.from)} - ${formatDate(statement.to)}
+    </p>
+    <table cellpadding="6" cellspacing="0" border="1" style="border-collapse: collapse; width: 100%;">
+        <tr><th align="left">Date</th><th align="left">Description</th><th align="left">Reference</th>
+            <th align="right">Charges</th><th align="right">Payments</th><th align="right">Balance</th></tr>
+        <tr><td colspan="5">Opening balance</td><td align="right">${formatCurrency(statement.openingBalance)}</td></tr>${rows}
+        <tr><td colspan="5"><strong>Closing balance</strong></td><td align="right"><strong>${formatCurrency(statement.closingBalance)}</strong></td></tr>
+    </table>
+    <h3>Aging</h3>
+    <table cellpadding="6" cellspacing="0" border="1" style="border-collapse: collapse;">
+        <tr><th>Current</th><th>1-30 days</th><th>31-60 days</th><th>61-90 days</th><th>90+ days</th></tr>
+        <tr>${aging}
+        </tr>
+    </table>
+</div>`;
+}
+
+/**
+ * Email a statement (HTML body, PDF attached) to the customer or another address
+ * @param {string} customerId - Customer
+ * @param {Object} [options] - { storeId, from, to, email }
+ */
+export async function emailStatement(customerId, { email, ...period } = {}) {
+    const statement = await buildStatement(customerId, period);
+    const to = email || statement.customer.email;
+    if (!to) {
+        throw new ValidationError('Customer has no email address');
+    }
+
+    const pdf = await renderStatementPDF(statement);
+    const result = await sendEmail({
+        to,
+        subject: `Account statement ${formatDate(statement.from)} - ${formatDate(statement.to)}`,
+        html: renderStatementHTML(statement),
+        attachments: [{
+            filename: `statement-${statement.to.toISOString().slice(0, 10)}.pdf`,
+            content: pdf,
+            contentType: 'application/pdf'
+        }]
+    });
+
+    if (!result.success) {
+        throw new Error(`Email failed: ${result.error}`);
+    }
+
+    return { sentTo: to, closingBalance: statement.closingBalance };
+}
+
+export default {
+    ageCredits,
+    getCustomerAccount,
+    assertWithinCreditLimit,
+    getAgingReport,
+    buildStatement,
+    renderStatementPDF,
+    renderStatementHTML,
+    emailStatement
+};
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Cash Drawer Service
+ *
+ * Builds X reports (mid-session, drawer stays open) and Z reports (end of
+ * session) from the sales rung up on a register while its drawer was open.
+ * The register builds the same report offline (src/services/drawer.js);
+ * keep the two in step.
+ */
+
+import { Sale } from '../models/index.js';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Cash the drawer should hold, and how the figure is made up
+ * @param {Object} session - Drawer session
+ * @param {number} cashSales - Cash taken on sales, net of change
+ * @returns {{ openingFloat, cashSales, paidIn, drops, paidOut, refunds, expected }}
+ */
+export function expectedCash(session, cashSales) {
+    const total = (type) => (session.movements || [])
+        .filter(m => m.type === type)
+        .reduce((sum, m) => sum + m.amount, 0);
+
+    const cash = {
+        openingFloat: roundCurrency(session.openingFloat || 0),
+        cashSales: roundCurrency(cashSales),
+        paidIn: roundCurrency(total('paid_in')),
+        drops: roundCurrency(total('drop')),
+        paidOut: roundCurrency(total('paid_out')),
+        refunds: roundCurrency(total('refund'))
+    };
+    cash.expected = roundCurrency(
+        cash.openingFloat + cash.cashSales + cash.paidIn - cash.drops - cash.paidOut - cash.refunds
+    );
+    return cash;
+}
+
+/**
+ * Build an X or Z report for a drawer session
+ * @param {Object} session - Drawer session
+ * @param {Array} sales - Sales rung up on the register during the session
+ * @param {'X'|'Z'} type - X while the drawer is open, Z at close
+ * @returns {Object} Report
+ */
+export function buildDrawerReport(session, sales, type = 'X') {
+    const completed = sales.filter(s => s.status !== 'voided');
+    const voided = sales.filter(s => s.status === 'voided');
+
+    const tenders = { cash: 0, card: 0, credit: 0 };
+    const taxes = new Map();
+    let itemsSold = 0;
+
+    for (const sale of completed) {
+        const payments = sale.payments?.length > 0
+            ? sale.payments
+            : [{ method: sale.paymentMethod, amount: sale.total }];
+        for (const payment of payments) {
+            if (payment.method in tenders) {
+                tenders[payment.method] += payment.amount - (payment.changeGiven || 0);
+            }
+        }
+
+        for (const item of sale.items || []) {
+            itemsSold += item.quantity;
+            for (const tax of item.taxes || []) {
+                const key = `${tax.name}|${tax.rate}`;
+                const entry = taxes.get(key) || { name: tax.name, rate: tax.rate, amount: 0 };
+                entry.amount += tax.amount;
+                taxes.set(key, entry);
+            }
+        }
+        // Sales without per-line tax only carry a total
+        if (!(sale.items || []).some(item => item.taxes?.length > 0) && sale.tax > 0) {
+            const entry = taxes.get('Tax|') || { name: 'Tax', rate: null, amount: 0 };
+            entry.amount += sale.tax;
+            taxes.set('Tax|', entry);
+        }
+    }
+
+    const sum = (list, field) => roundCurrency(list.reduce((total, s) => total + (s[field] || 0), 0));
+    const cash = expectedCash(session, tenders.cash);
+
+    if (type === 'Z') {
+        cash.counted = roundCurrency(session.countedCash ?? 0);
+        cash.variance = roundCurrency(cash.counted - cash.expected);
+    }
+
+    return {
+        type,
+        generatedAt: new Date(),
+        register: { id: session.registerId, name: session.registerName || session.registerId },
+        openedAt: session.openedAt,
+        closedAt: session.closedAt || null,
+        sales: {
+            count: completed.length,
+            itemsSold,
+            gross: sum(completed, 'subtotal'),
+            promotions: sum(completed, 'promotionDiscount'),
+            discounts: sum(completed, 'discount'),
+            tax: sum(completed, 'tax'),
+            total: sum(completed, 'total')
+        },
+        voided: {
+            count: voided.length,
+            total: sum(voided, 'total')
+        },
+        tenders: Object.fromEntries(Object.entries(tenders).map(([method, amount]) => [method, roundCurrency(amount)])),
+        taxes: [...taxes.values()].map(t => ({ ...t, amount: roundCurrency(t.amount) })),
+        cash,
+        movements: session.movements || []
+    };
+}
+
+/**
+ * Sales rung up on the session's register while its drawer was open
+ * @param {Object} session - Drawer session
+ * @returns {Promise<Array>} Sales
+ */
+export async function getSessionSales(session) {
+    return Sale.find({
+        storeId: session.storeId,
+        registerId: session.registerId,
+        createdAt: { $gte: session.openedAt, $lte: session.closedAt || new Date() }
+    }).lean();
+}
+
+export default {
+    expectedCash,
+    buildDrawerReport,
+    getSessionSales
+};
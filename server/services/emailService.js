@@ -98,17 +98,28 @@ export async function sendEmail({ to, subject, html, text, attachments = [] }) {
     }
 }
 
+/**
+ * Render an email template to HTML
+ */
+export function renderTemplate(templateName, data) {
+    return loadTemplate(templateName)(data);
+}
+
 /**
  * Send receipt email
+ * @param {string} to - Recipient
+ * @param {Object} receipt - Receipt from receiptService.buildReceipt (plus `logo` image source)
+ * @param {Array} [attachments] - e.g. the PDF receipt and inline logo
  */
-export async function sendReceiptEmail(to, saleData) {
+export async function sendReceiptEmail(to, receipt, attachments = []) {
     const template = loadTemplate('receipt');
-    const html = template(saleData);
+    const html = template(receipt);
 
     return sendEmail({
         to,
-        subject: `Receipt #${saleData.orderId || saleData._id}`,
-        html
+        subject: `Receipt #${receipt.receiptNumber} from ${receipt.store.name}`,
+        html,
+        attachments
     });
 }
 
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Domain Event Bus
+ *
+ * Routes publish what happened (a sale was created, stock ran low, an
+ * employee clocked in) and the bus fans each event out: straight to the
+ * store's socket room, and through a Bull queue to every subscriber
+ * (workflows, plugin hooks). Each subscriber gets its own job, which fans
+ * out to one job per workflow or plugin the event reaches, so one that
+ * fails is retried on its own without re-running the others.
+ *
+ * Delivery is at least once: a subscriber may see the same event twice and
+ * can use `event.id` to tell. Without Redis, events are delivered in-process
+ * and not retried.
+ */
+
+import Bull from 'bull';
+import crypto from 'crypto';
+import process from 'process';
+import { isRedisConnected } from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+// Every event the bus accepts
+export const EVENT_TYPES = [
+    'sale.created',
+    'sale.completed',
+    'sale.voided',
+    'sale.refunded',
+    'product.created',
+    'product.updated',
+    'product.deleted',
+    'product.low_stock',
+    'inventory.adjusted',
+    'inventory.received',
+    'customer.created',
+    'customer.updated',
+    'customer.deleted',
+    'customer.vip',
+    'employee.created',
+    'employee.updated',
+    'employee.deleted',
+    'employee.clock_in',
+    'employee.clock_out',
+    'credit.created',
+    'credit.payment',
+    'credit.paid',
+    'credit.overdue'
+];
+
+const eventQueue = new Bull('domain-events', {
+    redis: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: parseInt(process.env.REDIS_PORT || '6379'),
+        password: process.env.REDIS_PASSWORD
+    },
+    defaultJobOptions: {
+        attempts: 5,
+        backoff: {
+            type: 'exponential',
+            delay: 2000
+        },
+        removeOnComplete: true,
+        removeOnFail: false
+    }
+});
+
+// Completed target jobs are kept a day so a retried fan-out does not queue
+// a target that already ran
+const TARGET_JOB_OPTIONS = { removeOnComplete: { age: 24 * 60 * 60 } };
+
+eventQueue.on('failed', (job, err) => {
+    const attemptsLeft = job.opts.attempts - job.attemptsMade;
+    const { event = job.data, target } = job.data;
+    logger.error(`Event ${event.type} (${event.id}) failed in ${job.name}${target ? ` for ${target}` : ''}` +
+        ` (${attemptsLeft} attempts left): ${err.message}`);
+});
+
+// Subscriber name -> { targets, handle }
+const subscribers = new Map();
+let io = null;
+
+/**
+ * Give the bus the Socket.io server to broadcast events on
+ * @param {Server} socketServer - Socket.io server
+ */
+export function attachSocket(socketServer) {
+    io = socketServer;
+}
+
+/**
+ * The Socket.io server the bus broadcasts on, for subscribers that need it
+ */
+export function getSocket() {
+    return io;
+}
+
+/**
+ * Register a subscriber for every published event
+ * @param {string} name - Unique subscriber name (also the queue job name)
+ * @param {Object} subscriber
+ * @param {Function} subscriber.targets - async (event) => ids of the
+ *   workflows, plugins etc. the event goes to
+ * @param {Function} subscriber.handle - async (event, target) => void, run
+ *   in its own job per target; throw to have it retried
+ */
+export function subscribe(name, { targets, handle }) {
+    if (subscribers.has(name)) {
+        throw new Error(`Event subscriber ${name} is already registered`);
+    }
+
+    subscribers.set(name, { targets, handle });
+
+    // Job id keyed on the event and target so a retried fan-out does not
+    // queue a target twice
+    eventQueue.process(name, async (job) => {
+        const event = job.data;
+        for (const target of await targets(event)) {
+            await eventQueue.add(`${name}.target`, { event, target },
+                { ...TARGET_JOB_OPTIONS, jobId: `${event.id}:${name}:${target}` });
+        }
+    });
+    eventQueue.process(`${name}.target`, (job) => handle(job.data.event, job.data.target));
+}
+
+/**
+ * Broadcast an event to the store's socket room, e.g. sale.created as sale:created
+ */
+function broadcast(event) {
+    if (!io) return;
+
+    io.to(`store:${event.storeId}`).emit(event.type.replace('.', ':'), {
+        eventId: event.id,
+        type: event.type,
+        data: event.data,
+        timestamp: event.occurredAt
+    });
+}
+
+/**
+ * Hand an event to one subscriber, queued when Redis is up
+ */
+async function deliver(name, event) {
+    if (isRedisConnected()) {
+        // Job id keyed on the event so a re-published event is not queued twice
+        await eventQueue.add(name, event, { jobId: `${event.id}:${name}` });
+        return;
+    }
+
+    // After the request has been answered, as a queued job would be
+    setTimeout(async () => {
+        const { targets, handle } = subscribers.get(name);
+        try {
+            for (const target of await targets(event)) {
+                await handle(event, target).catch(error => {
+                    logger.error(`Event ${event.type} (${event.id}) failed in ${name} for ${target}: ${error.message}`);
+                });
+            }
+        } catch (error) {
+            logger.error(`Event ${event.type} (${event.id}) failed in ${name}: ${error.message}`);
+        }
+    }, 0);
+}
+
+/**
+ * Publish a domain event. Never throws: a failure to publish is logged and
+ * must not fail the request that caused the event.
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event payload, usually the document that changed
+ * @param {Object} context - Request (or any object) carrying storeId,
+ *   organizationId and userId
+ * @returns {Promise<Object|null>} The published event
+ */
+export async function publish(type, data, context) {
+    try {
+        if (!EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+
+        const event = {
+            id: crypto.randomUUID(),
+            type,
+            storeId: String(context.storeId),
+            organizationId: context.organizationId ? String(context.organizationId) : null,
+            userId: context.userId ? String(context.userId) : null,
+            occurredAt: new Date().toISOString(),
+            // Plain JSON so the event is the same queued or delivered in-process
+            data: JSON.parse(JSON.stringify(data ?? {}))
+        };
+
+        broadcast(event);
+        for (const name of subscribers.keys()) {
+            await deliver(name, event);
+        }
+
+        return event;
+    } catch (error) {
+        logger.error(`Failed to publish ${type}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Job counts for the event queue
+ */
+export async function getEventQueueStats() {
+    return eventQueue.getJobCounts();
+}
+
+/**
+ * Close the event queue
+ */
+export async function closeEventQueue() {
+    await eventQueue.close();
+}
+
+export default {
+    EVENT_TYPES,
+    attachSocket,
+    getSocket,
+    subscribe,
+    publish,
+    getEventQueueStats,
+    closeEventQueue
+};
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Domain Event Subscribers
+ *
+ * Connects the event bus to the workflow engine and plugin hooks. Each
+ * workflow and plugin hook an event reaches runs in its own job, so a
+ * failing one is retried without re-running (and re-sending emails or
+ * re-awarding points for) the ones that succeeded.
+ */
+
+import { subscribe, getSocket } from './eventBus.js';
+import workflowEngine from './workflowEngine.js';
+import pluginManager from '../plugins/PluginManager.js';
+
+// Older workflow trigger names that mean the same as a published event
+const WORKFLOW_TRIGGER_ALIASES = {
+    'product.low_stock': ['inventory.low']
+};
+
+/**
+ * Context handlers run with, rebuilt from the event
+ */
+const toContext = (event) => ({
+    storeId: event.storeId,
+    organizationId: event.organizationId,
+    userId: event.userId,
+    io: getSocket(),
+    event
+});
+
+/**
+ * Subscribe workflows and plugins to the event bus (call once at startup)
+ */
+export function registerEventSubscribers() {
+    subscribe('workflows', {
+        targets: async (event) => {
+            const triggerTypes = [event.type, ...(WORKFLOW_TRIGGER_ALIASES[event.type] || [])];
+            const workflowIds = [];
+            for (const triggerType of triggerTypes) {
+                workflowIds.push(...await workflowEngine.getTriggeredWorkflows(triggerType, event.data, toContext(event)));
+            }
+            return workflowIds;
+        },
+        handle: (event, workflowId) => workflowEngine.runTriggeredWorkflow(workflowId, event.data, toContext(event))
+    });
+
+    subscribe('plugins', {
+        targets: async (event) => pluginManager.getHookTargets(event.type, toContext(event)),
+        handle: (event, pluginId) => pluginManager.runHook(event.type, pluginId, event.data, toContext(event))
+    });
+}
+
+export default registerEventSubscribers;
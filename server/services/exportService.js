@@ -260,7 +260,7 @@ export async function generateSalesReport(sales, format, options = {}) {
         { key: 'subtotal', header: 'Subtotal', accessor: s => formatCurrency(s.subtotal), width: 15 },
         { key: 'tax', header: 'Tax', accessor: s => formatCurrency(s.tax), width: 12 },
         { key: 'total', header: 'Total', accessor: s => formatCurrency(s.total), width: 15 },
-        { key: 'payment', header: 'Payment Method', accessor: s => s.paymentMethod || 'Cash', width: 15 },
+        { key: 'payment', header: 'Payment Method', accessor: s => s.payments?.length ? s.payments.map(p => p.method).join(' + ') : (s.paymentMethod || 'Cash'), width: 15 },
         { key: 'status', header: 'Status', accessor: s => s.status, width: 12 }
     ];
 
@@ -330,7 +330,7 @@ export async function generateInventoryReport(products, format, options = {}) {
  */
 export async function generateCustomerReport(customers, format, options = {}) {
     const columns = [
-        { key: 'name', header: 'Name', accessor: c => `${c.firstName} ${c.lastName}`, width: 25 },
+        { key: 'name', header: 'Name', accessor: c => c.name, width: 25 },
         { key: 'email', header: 'Email', accessor: c => c.email || 'N/A', width: 30 },
         { key: 'phone', header: 'Phone', accessor: c => c.phone || 'N/A', width: 20 },
         { key: 'totalSpent', header: 'Total Spent', accessor: c => formatCurrency(c.totalSpent || 0), width: 15 },
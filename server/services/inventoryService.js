@@ -4,7 +4,19 @@
  * Handles inventory forecasting, alerts, reorder point calculations, and ABC analysis
  */
 
-import { Sale, Product } from '../models/index.js';
+import { Sale, Product, PurchaseOrder, Supplier, SupplierProduct } from '../models/index.js';
+import { NET_ITEM_QUANTITY, NET_UNCOSTED_QUANTITY, netItemCost } from '../utils/salesMetrics.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { entryFor, keyEntries, applyCatalogDefaults } from './supplierCatalogService.js';
+
+// Purchase order statuses whose unreceived units are still on the way
+const OPEN_ORDER_STATUSES = ['draft', 'pending', 'approved', 'ordered', 'partially_received'];
+
+// Days of sales history the forecasts are fitted to
+const HISTORY_DAYS = 90;
+
+// Fewer days with sales than this is too little to forecast from
+const MIN_HISTORY_DAYS = 7;
 
 /**
  * Simple linear regression for sales forecasting
@@ -30,6 +42,84 @@ function linearRegression(dataPoints) {
     return { slope, intercept };
 }
 
+/**
+ * Project demand from daily sales quantities (oldest first)
+ * @param {number[]} dailyQuantities - Units sold per day with sales
+ * @param {number} daysAhead - Days to forecast
+ */
+function projectDemand(dailyQuantities, daysAhead) {
+    // Perform linear regression
+    const { slope, intercept } = linearRegression(dailyQuantities);
+
+    // Calculate forecast
+    const forecastDays = [];
+    for (let i = 0; i < daysAhead; i++) {
+        const x = dailyQuantities.length + i;
+        const predicted = Math.max(0, slope * x + intercept);
+        forecastDays.push(Math.round(predicted));
+    }
+
+    const totalForecast = forecastDays.reduce((sum, qty) => sum + qty, 0);
+    const avgDailySales = dailyQuantities.reduce((sum, qty) => sum + qty, 0) / dailyQuantities.length;
+
+    // Determine confidence based on data consistency
+    const variance = dailyQuantities.reduce((sum, qty) => sum + Math.pow(qty - avgDailySales, 2), 0) / dailyQuantities.length;
+    const stdDev = Math.sqrt(variance);
+    const coefficientOfVariation = (stdDev / avgDailySales) * 100;
+
+    let confidence = 'high';
+    if (coefficientOfVariation > 50) confidence = 'low';
+    else if (coefficientOfVariation > 30) confidence = 'medium';
+
+    return {
+        forecast: totalForecast,
+        dailyAverage: Math.round(avgDailySales * 10) / 10,
+        trend: slope > 0.1 ? 'increasing' : slope < -0.1 ? 'decreasing' : 'stable',
+        confidence,
+        forecastDays,
+        avgDailySales
+    };
+}
+
+/**
+ * Reorder point, safety stock and order quantity for a daily sales rate
+ * ROP = (Average Daily Sales × Lead Time) + Safety Stock
+ */
+function reorderFigures(dailyAverage, leadTimeDays) {
+    // Safety stock = z-score × std dev × sqrt(lead time)
+    // Using z-score of 1.65 for 95% service level
+    const safetyStock = Math.ceil(dailyAverage * Math.sqrt(leadTimeDays) * 1.65);
+
+    return {
+        reorderPoint: Math.ceil((dailyAverage * leadTimeDays) + safetyStock),
+        safetyStock,
+        economicOrderQuantity: Math.ceil(dailyAverage * leadTimeDays * 2) // Simple EOQ
+    };
+}
+
+/**
+ * Products whose stock has just fallen to or below their low stock threshold
+ * @param {string} storeId - Store ID
+ * @param {Array<{ productId, quantity }>} removed - Units taken out of stock
+ * @returns {Promise<Array>} Products that crossed their threshold
+ */
+export async function findNewlyLowStock(storeId, removed) {
+    const removedByProduct = new Map();
+    for (const { productId, quantity } of removed) {
+        if (!productId || !(quantity > 0)) continue;
+        const key = String(productId);
+        removedByProduct.set(key, (removedByProduct.get(key) || 0) + quantity);
+    }
+    if (removedByProduct.size === 0) return [];
+
+    const products = await Product.find({ _id: { $in: [...removedByProduct.keys()] }, storeId }).lean();
+
+    return products.filter(product =>
+        product.quantity <= product.lowStockThreshold &&
+        product.quantity + removedByProduct.get(String(product._id)) > product.lowStockThreshold
+    );
+}
+
 /**
  * Forecast future demand for a product
  */
@@ -37,7 +127,7 @@ export async function forecastDemand(productId, storeId, daysAhead = 30) {
     try {
         // Get sales data for the last 90 days
         const ninetyDaysAgo = new Date();
-        ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
+        ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - HISTORY_DAYS);
 
         const salesData = await Sale.aggregate([
             {
@@ -58,13 +148,13 @@ export async function forecastDemand(productId, storeId, daysAhead = 30) {
                         month: { $month: '$createdAt' },
                         day: { $dayOfMonth: '$createdAt' }
                     },
-                    quantitySold: { $sum: '$items.quantity' }
+                    quantitySold: { $sum: NET_ITEM_QUANTITY }
                 }
             },
             { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
         ]);
 
-        if (salesData.length < 7) {
+        if (salesData.length < MIN_HISTORY_DAYS) {
             return {
                 forecast: 0,
                 confidence: 'low',
@@ -74,36 +164,10 @@ export async function forecastDemand(productId, storeId, daysAhead = 30) {
 
         // Extract daily quantities
         const dailyQuantities = salesData.map(d => d.quantitySold);
-
-        // Perform linear regression
-        const { slope, intercept } = linearRegression(dailyQuantities);
-
-        // Calculate forecast
-        const forecastDays = [];
-        for (let i = 0; i < daysAhead; i++) {
-            const x = dailyQuantities.length + i;
-            const predicted = Math.max(0, slope * x + intercept);
-            forecastDays.push(Math.round(predicted));
-        }
-
-        const totalForecast = forecastDays.reduce((sum, qty) => sum + qty, 0);
-        const avgDailySales = dailyQuantities.reduce((sum, qty) => sum + qty, 0) / dailyQuantities.length;
-
-        // Determine confidence based on data consistency
-        const variance = dailyQuantities.reduce((sum, qty) => sum + Math.pow(qty - avgDailySales, 2), 0) / dailyQuantities.length;
-        const stdDev = Math.sqrt(variance);
-        const coefficientOfVariation = (stdDev / avgDailySales) * 100;
-
-        let confidence = 'high';
-        if (coefficientOfVariation > 50) confidence = 'low';
-        else if (coefficientOfVariation > 30) confidence = 'medium';
+        const { avgDailySales, ...projection } = projectDemand(dailyQuantities, daysAhead);
 
         return {
-            forecast: totalForecast,
-            dailyAverage: Math.round(avgDailySales * 10) / 10,
-            trend: slope > 0.1 ? 'increasing' : slope < -0.1 ? 'decreasing' : 'stable',
-            confidence,
-            forecastDays,
+            ...projection,
             historicalData: {
                 days: salesData.length,
                 totalSold: dailyQuantities.reduce((sum, qty) => sum + qty, 0),
@@ -124,17 +188,8 @@ export async function calculateReorderPoint(productId, storeId, leadTimeDays = 7
     try {
         const forecast = await forecastDemand(productId, storeId, leadTimeDays);
 
-        // Safety stock = z-score × std dev × sqrt(lead time)
-        // Using z-score of 1.65 for 95% service level
-        const safetyStock = Math.ceil(forecast.dailyAverage * Math.sqrt(leadTimeDays) * 1.65);
-
-        const reorderPoint = Math.ceil((forecast.dailyAverage * leadTimeDays) + safetyStock);
-        const economicOrderQuantity = Math.ceil(forecast.dailyAverage * leadTimeDays * 2); // Simple EOQ
-
         return {
-            reorderPoint,
-            safetyStock,
-            economicOrderQuantity,
+            ...reorderFigures(forecast.dailyAverage || 0, leadTimeDays),
             leadTimeDays,
             avgDailySales: forecast.dailyAverage
         };
@@ -144,13 +199,75 @@ export async function calculateReorderPoint(productId, storeId, leadTimeDays = 7
     }
 }
 
+/**
+ * Expand products into the stock units analysed at the requested level.
+ * At 'product' level a product with variants is one unit holding their
+ * combined stock; at 'variant' level each variant is its own unit.
+ */
+function toStockUnits(products, level) {
+    return products.flatMap(p => {
+        const variants = (p.variants || []).filter(v => v.isActive !== false);
+
+        if (level === 'variant' && variants.length > 0) {
+            return variants.map(v => {
+                const costPrice = v.costPrice ?? p.costPrice ?? 0;
+                return {
+                    key: unitKey(p._id, v._id),
+                    productId: p._id,
+                    variantId: v._id,
+                    name: p.name,
+                    variantName: Product.variantLabel(v),
+                    sku: v.sku || p.sku,
+                    quantity: v.quantity || 0,
+                    costPrice,
+                    totalValue: (v.quantity || 0) * costPrice
+                };
+            });
+        }
+
+        const totalValue = variants.length > 0
+            ? variants.reduce((sum, v) => sum + (v.quantity || 0) * (v.costPrice ?? p.costPrice ?? 0), 0)
+            : p.quantity * (p.costPrice || 0);
+
+        return [{
+            key: unitKey(p._id),
+            productId: p._id,
+            variantId: null,
+            name: p.name,
+            sku: p.sku,
+            quantity: p.quantity,
+            costPrice: p.costPrice || 0,
+            totalValue
+        }];
+    });
+}
+
+function unitKey(productId, variantId = null) {
+    return variantId ? `${productId}:${variantId}` : String(productId);
+}
+
+/**
+ * Sales $group key for the requested level
+ */
+function salesGroupKey(level) {
+    return level === 'variant'
+        ? { productId: '$items.productId', variantId: '$items.variantId' }
+        : { productId: '$items.productId' };
+}
+
+function salesKey(group) {
+    return unitKey(group.productId, group.variantId);
+}
+
 /**
  * Perform ABC analysis on inventory
  * A items: 80% of value (top 20% of items)
  * B items: 15% of value (next 30% of items)
  * C items: 5% of value (remaining 50% of items)
+ * @param {string} storeId - Store ID
+ * @param {string} [level='product'] - 'product' or 'variant'
  */
-export async function performABCAnalysis(storeId) {
+export async function performABCAnalysis(storeId, level = 'product') {
     try {
         // Get all products with their value
         const products = await Product.find({
@@ -158,10 +275,8 @@ export async function performABCAnalysis(storeId) {
             isActive: true
         }).lean();
 
-        // Calculate total value for each product
-        const productsWithValue = products.map(p => ({
-            ...p,
-            totalValue: p.quantity * p.costPrice,
+        const productsWithValue = toStockUnits(products, level).map(unit => ({
+            ...unit,
             annualRevenue: 0 // Will be populated from sales data
         }));
 
@@ -180,17 +295,17 @@ export async function performABCAnalysis(storeId) {
             { $unwind: '$items' },
             {
                 $group: {
-                    _id: '$items.productId',
-                    annualRevenue: { $sum: { $multiply: ['$items.price', '$items.quantity'] } },
-                    annualQuantity: { $sum: '$items.quantity' }
+                    _id: salesGroupKey(level),
+                    annualRevenue: { $sum: { $multiply: ['$items.price', NET_ITEM_QUANTITY] } },
+                    annualQuantity: { $sum: NET_ITEM_QUANTITY }
                 }
             }
         ]);
 
         // Merge sales data
-        const salesMap = new Map(salesData.map(s => [s._id.toString(), s]));
+        const salesMap = new Map(salesData.map(s => [salesKey(s._id), s]));
         productsWithValue.forEach(p => {
-            const sales = salesMap.get(p._id.toString());
+            const sales = salesMap.get(p.key);
             if (sales) {
                 p.annualRevenue = sales.annualRevenue;
                 p.annualQuantity = sales.annualQuantity;
@@ -205,7 +320,7 @@ export async function performABCAnalysis(storeId) {
         let cumulativeRevenue = 0;
         let cumulativePercentage = 0;
 
-        const categorized = productsWithValue.map((p, index) => {
+        const categorized = productsWithValue.map((p) => {
             cumulativeRevenue += p.annualRevenue;
             cumulativePercentage = (cumulativeRevenue / totalRevenue) * 100;
 
@@ -214,8 +329,10 @@ export async function performABCAnalysis(storeId) {
             else if (cumulativePercentage <= 95) category = 'B';
 
             return {
-                productId: p._id,
+                productId: p.productId,
+                variantId: p.variantId,
                 name: p.name,
+                variantName: p.variantName,
                 sku: p.sku,
                 category,
                 annualRevenue: p.annualRevenue,
@@ -244,6 +361,7 @@ export async function performABCAnalysis(storeId) {
         });
 
         return {
+            level,
             products: categorized,
             summary,
             totalProducts: categorized.length,
@@ -257,8 +375,11 @@ export async function performABCAnalysis(storeId) {
 
 /**
  * Identify slow-moving and dead stock
+ * @param {string} storeId - Store ID
+ * @param {number} [daysSinceLastSale=90] - Threshold in days
+ * @param {string} [level='product'] - 'product' or 'variant'
  */
-export async function identifySlowMovers(storeId, daysSinceLastSale = 90) {
+export async function identifySlowMovers(storeId, daysSinceLastSale = 90, level = 'product') {
     try {
         const cutoffDate = new Date();
         cutoffDate.setDate(cutoffDate.getDate() - daysSinceLastSale);
@@ -270,8 +391,9 @@ export async function identifySlowMovers(storeId, daysSinceLastSale = 90) {
         }).lean();
 
         const productIds = products.map(p => p._id);
+        const units = toStockUnits(products, level).filter(u => u.quantity > 0);
 
-        // Get last sale date for each product
+        // Get last sale date for each product (or variant)
         const lastSales = await Sale.aggregate([
             {
                 $match: {
@@ -285,29 +407,31 @@ export async function identifySlowMovers(storeId, daysSinceLastSale = 90) {
             },
             {
                 $group: {
-                    _id: '$items.productId',
+                    _id: salesGroupKey(level),
                     lastSaleDate: { $max: '$createdAt' },
-                    totalSold: { $sum: '$items.quantity' }
+                    totalSold: { $sum: NET_ITEM_QUANTITY }
                 }
             }
         ]);
 
-        const salesMap = new Map(lastSales.map(s => [s._id.toString(), s]));
+        const salesMap = new Map(lastSales.map(s => [salesKey(s._id), s]));
 
-        const slowMovers = products
+        const slowMovers = units
             .map(p => {
-                const sales = salesMap.get(p._id.toString());
+                const sales = salesMap.get(p.key);
                 const lastSaleDate = sales?.lastSaleDate;
                 const daysSinceLastSale = lastSaleDate
                     ? Math.floor((new Date() - new Date(lastSaleDate)) / (1000 * 60 * 60 * 24))
                     : 999;
 
                 return {
-                    productId: p._id,
+                    productId: p.productId,
+                    variantId: p.variantId,
                     name: p.name,
+                    variantName: p.variantName,
                     sku: p.sku,
                     quantity: p.quantity,
-                    value: p.quantity * p.costPrice,
+                    value: p.totalValue,
                     lastSaleDate,
                     daysSinceLastSale,
                     status: daysSinceLastSale > 180 ? 'dead' : daysSinceLastSale > 90 ? 'slow' : 'normal'
@@ -317,6 +441,7 @@ export async function identifySlowMovers(storeId, daysSinceLastSale = 90) {
             .sort((a, b) => b.daysSinceLastSale - a.daysSinceLastSale);
 
         return {
+            level,
             slowMovers,
             totalValue: slowMovers.reduce((sum, p) => sum + p.value, 0),
             deadStock: slowMovers.filter(p => p.status === 'dead'),
@@ -330,14 +455,18 @@ export async function identifySlowMovers(storeId, daysSinceLastSale = 90) {
 
 /**
  * Calculate inventory turnover rate
+ * @param {string} storeId - Store ID
+ * @param {number} [periodDays=365] - Period to measure COGS over
+ * @param {string} [level='product'] - Level of the per-item breakdown: 'product' or 'variant'
  */
-export async function calculateTurnoverRate(storeId, periodDays = 365) {
+export async function calculateTurnoverRate(storeId, periodDays = 365, level = 'product') {
     try {
         const startDate = new Date();
         startDate.setDate(startDate.getDate() - periodDays);
 
-        // Get total cost of goods sold (COGS)
-        const cogs = await Sale.aggregate([
+        // Units sold per product and variant with their recorded cost; lines sold
+        // before costing was recorded are costed below at the current cost price
+        const unitsSold = await Sale.aggregate([
             {
                 $match: {
                     storeId,
@@ -346,44 +475,338 @@ export async function calculateTurnoverRate(storeId, periodDays = 365) {
                 }
             },
             { $unwind: '$items' },
-            {
-                $lookup: {
-                    from: 'products',
-                    localField: 'items.productId',
-                    foreignField: '_id',
-                    as: 'product'
-                }
-            },
-            { $unwind: '$product' },
             {
                 $group: {
-                    _id: null,
-                    totalCOGS: {
-                        $sum: {
-                            $multiply: ['$items.quantity', '$product.costPrice']
-                        }
-                    }
+                    _id: salesGroupKey('variant'),
+                    quantity: { $sum: NET_ITEM_QUANTITY },
+                    recordedCost: { $sum: netItemCost() },
+                    uncostedQuantity: { $sum: NET_UNCOSTED_QUANTITY }
                 }
             }
         ]);
 
         // Get average inventory value
-        const products = await Product.find({ storeId, isActive: true });
-        const currentInventoryValue = products.reduce((sum, p) => sum + (p.quantity * p.costPrice), 0);
+        const products = await Product.find({ storeId, isActive: true }).lean();
+        const productMap = new Map(products.map(p => [String(p._id), p]));
+
+        const units = toStockUnits(products, level);
+        const unitMap = new Map(units.map(u => [u.key, { ...u, cogs: 0 }]));
+
+        let totalCOGS = 0;
+        for (const sold of unitsSold) {
+            const product = productMap.get(String(sold._id.productId));
+            if (!product) continue;
+
+            const variant = sold._id.variantId
+                ? product.variants?.find(v => String(v._id) === String(sold._id.variantId))
+                : null;
+            const cogs = sold.recordedCost + sold.uncostedQuantity * (variant?.costPrice ?? product.costPrice ?? 0);
+            totalCOGS += cogs;
+
+            const unit = unitMap.get(unitKey(product._id, level === 'variant' ? variant?._id : null));
+            if (unit) unit.cogs += cogs;
+        }
+
+        const currentInventoryValue = units.reduce((sum, u) => sum + u.totalValue, 0);
 
-        const totalCOGS = cogs[0]?.totalCOGS || 0;
         const turnoverRate = currentInventoryValue > 0 ? totalCOGS / currentInventoryValue : 0;
         const daysInInventory = turnoverRate > 0 ? periodDays / turnoverRate : 0;
 
+        const breakdown = [...unitMap.values()]
+            .map(u => ({
+                productId: u.productId,
+                variantId: u.variantId,
+                name: u.name,
+                variantName: u.variantName,
+                sku: u.sku,
+                cogs: u.cogs,
+                inventoryValue: u.totalValue,
+                turnoverRate: u.totalValue > 0 ? Math.round((u.cogs / u.totalValue) * 100) / 100 : 0
+            }))
+            .sort((a, b) => b.turnoverRate - a.turnoverRate);
+
         return {
+            level,
             turnoverRate: Math.round(turnoverRate * 100) / 100,
             daysInInventory: Math.round(daysInInventory),
             totalCOGS,
             avgInventoryValue: currentInventoryValue,
-            period: `${periodDays} days`
+            period: `${periodDays} days`,
+            breakdown
         };
     } catch (error) {
         console.error('Turnover rate calculation error:', error);
         throw new Error('Failed to calculate turnover rate');
     }
 }
+
+/**
+ * Supplier each product is bought from: its preferred supplier, else the
+ * cheapest supplier with it in their catalog, else the supplier it was last
+ * ordered from
+ * @param {Array} catalog - Active catalog entries of active suppliers
+ */
+async function resolveSuppliers(storeId, products, catalog) {
+    const cheapest = new Map();
+    for (const entry of catalog) {
+        const cost = entry.unitCost ?? entry.lastCost;
+        if (cost === undefined || cost === null) continue;
+        const key = String(entry.productId);
+        if (!cheapest.has(key) || cost < cheapest.get(key).cost) {
+            cheapest.set(key, { cost, supplierId: String(entry.supplierId) });
+        }
+    }
+
+    const supplierByProduct = new Map();
+    const unassigned = [];
+    for (const p of products) {
+        const fromCatalog = cheapest.get(String(p._id));
+        if (p.supplierId) supplierByProduct.set(String(p._id), String(p.supplierId));
+        else if (fromCatalog) supplierByProduct.set(String(p._id), fromCatalog.supplierId);
+        else unassigned.push(p._id);
+    }
+
+    if (unassigned.length > 0) {
+        const lastOrdered = await PurchaseOrder.aggregate([
+            { $match: { storeId, status: { $ne: 'cancelled' }, supplierId: { $ne: null } } },
+            { $sort: { createdAt: -1 } },
+            { $unwind: '$items' },
+            { $match: { 'items.productId': { $in: unassigned } } },
+            { $group: { _id: '$items.productId', supplierId: { $first: '$supplierId' } } }
+        ]);
+        lastOrdered.forEach(o => supplierByProduct.set(String(o._id), String(o.supplierId)));
+    }
+
+    return supplierByProduct;
+}
+
+/**
+ * Units already ordered but not yet received, per product and variant
+ */
+async function unitsOnOrder(storeId) {
+    const open = await PurchaseOrder.aggregate([
+        { $match: { storeId, status: { $in: OPEN_ORDER_STATUSES } } },
+        { $unwind: '$items' },
+        {
+            $group: {
+                _id: { productId: '$items.productId', variantId: '$items.variantId' },
+                quantity: { $sum: { $subtract: ['$items.quantity', '$items.receivedQuantity'] } }
+            }
+        }
+    ]);
+    return new Map(open.map(o => [salesKey(o._id), Math.max(0, o.quantity)]));
+}
+
+/**
+ * Suggest what to reorder, grouped into one draft order per supplier.
+ * Each product (or variant) is reordered when stock plus units on order has
+ * fallen to its reorder point. The quantity covers forecast demand over the
+ * supplier's lead time plus the coverage period, and safety stock. Products
+ * with too little history fall back to their low stock threshold. Supplier
+ * catalog terms set the lead time, cost, minimum order and case rounding.
+ * @param {string} storeId - Store ID
+ * @param {Object} [options]
+ * @param {number} [options.coverageDays=30] - Days of demand each order should cover after it arrives
+ */
+export async function suggestPurchaseOrders(storeId, { coverageDays = 30 } = {}) {
+    const products = await Product.find({ storeId, isActive: true }).lean();
+    const units = toStockUnits(products, 'variant');
+    const productMap = new Map(products.map(p => [String(p._id), p]));
+
+    const since = new Date();
+    since.setDate(since.getDate() - HISTORY_DAYS);
+
+    // Units sold per day for every product and variant, oldest day first
+    const dailySales = await Sale.aggregate([
+        { $match: { storeId, createdAt: { $gte: since }, status: 'completed' } },
+        { $unwind: '$items' },
+        {
+            $group: {
+                _id: {
+                    productId: '$items.productId',
+                    variantId: '$items.variantId',
+                    day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
+                },
+                quantitySold: { $sum: NET_ITEM_QUANTITY }
+            }
+        },
+        { $sort: { '_id.day': 1 } }
+    ]);
+
+    const salesByUnit = new Map();
+    for (const d of dailySales) {
+        const key = salesKey(d._id);
+        if (!salesByUnit.has(key)) salesByUnit.set(key, []);
+        salesByUnit.get(key).push(d.quantitySold);
+    }
+
+    const [onOrder, suppliers, entries] = await Promise.all([
+        unitsOnOrder(storeId),
+        Supplier.find({ storeId, isActive: true }).lean(),
+        SupplierProduct.find({ storeId, isActive: true }).lean()
+    ]);
+    const supplierMap = new Map(suppliers.map(s => [String(s._id), s]));
+    const catalog = entries.filter(e => supplierMap.has(String(e.supplierId)));
+    const supplierByProduct = await resolveSuppliers(storeId, products, catalog);
+
+    // Catalog entries per supplier, keyed by product and variant
+    const catalogBySupplier = new Map();
+    for (const entry of catalog) {
+        const supplierKey = String(entry.supplierId);
+        if (!catalogBySupplier.has(supplierKey)) catalogBySupplier.set(supplierKey, []);
+        catalogBySupplier.get(supplierKey).push(entry);
+    }
+    for (const [supplierKey, supplierEntries] of catalogBySupplier) {
+        catalogBySupplier.set(supplierKey, keyEntries(supplierEntries));
+    }
+
+    const groups = new Map();
+    for (const unit of units) {
+        const product = productMap.get(String(unit.productId));
+        const supplier = supplierMap.get(supplierByProduct.get(String(unit.productId)));
+        const entry = supplier
+            ? entryFor(catalogBySupplier.get(String(supplier._id)) || new Map(), unit.productId, unit.variantId)
+            : null;
+        const leadTimeDays = entry?.leadTimeDays ?? supplier?.leadTimeDays ?? 7;
+
+        const history = salesByUnit.get(unit.key) || [];
+        const projection = history.length >= MIN_HISTORY_DAYS
+            ? projectDemand(history, leadTimeDays + coverageDays)
+            : null;
+        const dailyAverage = projection?.dailyAverage || 0;
+        const { reorderPoint, safetyStock } = reorderFigures(dailyAverage, leadTimeDays);
+
+        // The low stock threshold is set per product, not per variant
+        const threshold = unit.variantId ? 0 : (product.lowStockThreshold || 0);
+        const incoming = onOrder.get(unit.key) || 0;
+        const available = unit.quantity + incoming;
+        const orderPoint = Math.max(reorderPoint, threshold);
+        if (available > orderPoint) continue;
+
+        const targetLevel = Math.max((projection?.forecast || 0) + safetyStock, threshold * 2);
+        const shortfall = Math.ceil(targetLevel - available);
+        if (shortfall <= 0) continue;
+
+        // Whole cases, at least the supplier's minimum, at the supplier's cost
+        const suggestedQuantity = SupplierProduct.orderQuantity(entry, shortfall);
+        const costPrice = entry?.unitCost ?? entry?.lastCost ?? unit.costPrice;
+
+        const groupKey = supplier ? String(supplier._id) : 'unassigned';
+        if (!groups.has(groupKey)) {
+            groups.set(groupKey, {
+                supplierId: supplier?._id || null,
+                supplierName: supplier?.name || null,
+                leadTimeDays: supplier?.leadTimeDays ?? null,
+                minimumOrderValue: supplier?.minimumOrderValue || 0,
+                items: [],
+                total: 0
+            });
+        }
+
+        const group = groups.get(groupKey);
+        group.items.push({
+            productId: unit.productId,
+            variantId: unit.variantId,
+            name: unit.name,
+            variantName: unit.variantName,
+            sku: unit.sku,
+            supplierSku: entry?.supplierSku,
+            currentStock: unit.quantity,
+            onOrder: incoming,
+            reorderPoint: orderPoint,
+            safetyStock,
+            dailyAverage,
+            forecast: projection?.forecast || 0,
+            confidence: projection?.confidence || 'low',
+            leadTimeDays,
+            minimumOrderQuantity: entry?.minimumOrderQuantity || 1,
+            casePackSize: entry?.casePackSize || 1,
+            suggestedQuantity,
+            costPrice,
+            lineTotal: suggestedQuantity * costPrice
+        });
+        group.total += suggestedQuantity * costPrice;
+    }
+
+    const suggestions = [...groups.values()].map(group => ({
+        ...group,
+        belowMinimum: group.total < group.minimumOrderValue
+    }));
+
+    // Unassigned products last, so a supplier can be picked for them
+    suggestions.sort((a, b) => (a.supplierId ? 0 : 1) - (b.supplierId ? 0 : 1) || b.total - a.total);
+
+    return {
+        coverageDays,
+        suggestions,
+        totalItems: suggestions.reduce((sum, g) => sum + g.items.length, 0),
+        totalCost: suggestions.reduce((sum, g) => sum + g.total, 0)
+    };
+}
+
+/**
+ * Create draft purchase orders from (possibly edited) suggestions. Products
+ * without a preferred supplier take the one they were ordered from.
+ * @param {string} storeId - Store ID
+ * @param {string} userId - User creating the orders
+ * @param {Array<{ supplierId, items: Array<{ productId, variantId, quantity, costPrice }>, notes }>} orders
+ * @returns {Promise<Array>} Created purchase orders
+ */
+export async function createSuggestedPurchaseOrders(storeId, userId, orders) {
+    if (!Array.isArray(orders) || orders.length === 0) {
+        throw new ValidationError('No purchase orders to create');
+    }
+
+    const supplierIds = orders.map(o => o.supplierId);
+    if (supplierIds.some(id => !id)) {
+        throw new ValidationError('Choose a supplier for every order');
+    }
+
+    const suppliers = await Supplier.find({ _id: { $in: supplierIds }, storeId }).lean();
+    const supplierMap = new Map(suppliers.map(s => [String(s._id), s]));
+
+    for (const order of orders) {
+        if (!supplierMap.has(String(order.supplierId))) {
+            throw new NotFoundError('Supplier not found');
+        }
+        const items = (order.items || []).filter(item => item.quantity > 0);
+        if (items.length === 0) {
+            throw new ValidationError(`Order for ${supplierMap.get(String(order.supplierId)).name} has no items`);
+        }
+        order.items = items;
+    }
+
+    const created = [];
+    for (const order of orders) {
+        const supplier = supplierMap.get(String(order.supplierId));
+        const expectedDate = new Date();
+        expectedDate.setDate(expectedDate.getDate() + (supplier.leadTimeDays ?? 7));
+        const items = await applyCatalogDefaults(storeId, supplier._id, order.items);
+
+        created.push(await PurchaseOrder.create({
+            storeId,
+            orderNumber: await PurchaseOrder.generateOrderNumber(),
+            supplierId: supplier._id,
+            supplierName: supplier.name,
+            items: items.map(item => ({
+                productId: item.productId,
+                variantId: item.variantId || undefined,
+                supplierSku: item.supplierSku,
+                quantity: Math.ceil(item.quantity),
+                costPrice: item.costPrice || 0
+            })),
+            status: 'draft',
+            expectedDate,
+            createdBy: userId,
+            notes: order.notes,
+            metadata: { source: 'reorder-suggestions' }
+        }));
+
+        await Product.updateMany(
+            { _id: { $in: order.items.map(item => item.productId) }, storeId, supplierId: null },
+            { $set: { supplierId: supplier._id } }
+        );
+    }
+
+    return created;
+}
@@ -0,0 +1,364 @@
+/**
+ * @fileoverview Receipt Service
+ *
+ * Renders a sale as a receipt: HTML (printing and email), PDF and raw
+ * ESC/POS bytes for thermal printers. Header, footer and logo come from the
+ * sale's store.
+ */
+
+import { Buffer } from 'buffer';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import PDFDocument from 'pdfkit';
+import { Sale, Store } from '../models/index.js';
+import { renderTemplate, sendReceiptEmail } from './emailService.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Uploaded logos live under server/public (see routes/stores.js)
+const PUBLIC_DIR = path.join(__dirname, '../public');
+
+// Receipt paper width in points (80mm) for PDFs
+const PDF_WIDTH = 226;
+
+// Characters per line on 80mm (Font A) and 58mm thermal paper
+export const ESC_POS_COLUMNS = { 80: 48, 58: 32 };
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Currency formatter for a store
+ */
+function currencyFormatter(currency = 'USD') {
+    try {
+        const format = new Intl.NumberFormat('en-US', { style: 'currency', currency });
+        return (amount) => format.format(amount || 0);
+    } catch {
+        return (amount) => `$${Number(amount || 0).toFixed(2)}`;
+    }
+}
+
+/**
+ * Path of the store's uploaded logo, when the file exists
+ */
+function logoFile(store) {
+    if (!store.logo) return null;
+    const file = path.join(PUBLIC_DIR, store.logo);
+    return file.startsWith(PUBLIC_DIR) && fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Everything a receipt shows, with amounts formatted in the store's currency
+ * @param {Object} sale - Sale with employeeId, userId and customerId populated
+ * @param {Object} store - The sale's store
+ */
+export function buildReceipt(sale, store) {
+    const money = currencyFormatter(store.currency);
+
+    // Tax lines per rate, added up across the sale's items
+    const taxes = new Map();
+    for (const item of sale.items) {
+        for (const tax of item.taxes || []) {
+            const key = `${tax.name}|${tax.rate}`;
+            const line = taxes.get(key) || { name: tax.name, rate: tax.rate, amount: 0 };
+            line.amount = roundCurrency(line.amount + tax.amount);
+            taxes.set(key, line);
+        }
+    }
+
+    const payments = sale.payments?.length
+        ? sale.payments
+        : [{ method: sale.paymentMethod || 'cash', amount: sale.total, changeGiven: 0 }];
+    const change = roundCurrency(payments.reduce((sum, p) => sum + (p.changeGiven || 0), 0));
+
+    return {
+        store: {
+            name: store.name,
+            address: store.address,
+            phone: store.phone,
+            email: store.email,
+            header: store.receiptHeader,
+            footer: store.receiptFooter,
+            logoFile: logoFile(store)
+        },
+        receiptNumber: String(sale._id).slice(-8).toUpperCase(),
+        date: new Date(sale.createdAt).toLocaleString('en-US', {
+            timeZone: store.timezone || 'UTC',
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        }),
+        cashierName: sale.employeeId?.name || sale.userId?.name || '',
+        customerName: sale.customerId?.name || '',
+        customerEmail: sale.customerId?.email || '',
+        items: sale.items.map(item => ({
+            name: item.variantName ? `${item.name} (${item.variantName})` : item.name,
+            quantity: item.quantity,
+            price: money(item.price),
+            discount: item.promotionDiscount > 0 ? money(-item.promotionDiscount) : '',
+            total: money(item.price * item.quantity - (item.promotionDiscount || 0))
+        })),
+        subtotal: money(sale.subtotal),
+        promotions: (sale.promotions || []).map(p => ({ name: p.name, amount: money(-p.amount) })),
+        discount: sale.discount > 0 ? money(-sale.discount) : '',
+        taxes: [...taxes.values()].map(t => ({
+            label: `${t.name} ${t.rate}%${sale.pricesIncludeTax ? ' (incl.)' : ''}`,
+            amount: money(t.amount)
+        })),
+        tax: money(sale.tax),
+        total: money(sale.total),
+        payments: payments.map(p => ({
+            method: p.method.charAt(0).toUpperCase() + p.method.slice(1),
+            reference: p.reference || '',
+            amount: money(p.amount)
+        })),
+        paymentMethod: sale.paymentMethod,
+        change: change > 0 ? money(change) : '',
+        refunded: sale.refundedAmount > 0 ? money(sale.refundedAmount) : '',
+        status: sale.status
+    };
+}
+
+/**
+ * Load a sale of a store and build its receipt
+ */
+export async function getSaleReceipt(saleId, storeId) {
+    const sale = await Sale.findOne({ _id: saleId, storeId })
+        .populate('employeeId', 'name')
+        .populate('userId', 'name')
+        .populate('customerId', 'name email');
+    if (!sale) {
+        throw new NotFoundError('Sale not found');
+    }
+
+    const store = await Store.findById(storeId).lean();
+    return buildReceipt(sale, store);
+}
+
+/**
+ * Render a receipt as HTML
+ * @param {Object} receipt - From buildReceipt
+ * @param {Object} [options] - { logoSrc }: image source for the logo; inlined as a data URI by default
+ */
+export function renderReceiptHTML(receipt, { logoSrc } = {}) {
+    let logo = logoSrc;
+    if (!logo && receipt.store.logoFile) {
+        const extension = path.extname(receipt.store.logoFile).slice(1).replace('jpg', 'jpeg');
+        logo = `data:image/${extension};base64,${fs.readFileSync(receipt.store.logoFile).toString('base64')}`;
+    }
+
+    return renderTemplate('receipt', { ...receipt, logo });
+}
+
+/**
+ * Render a receipt as a PDF on 80mm receipt paper
+ * @returns {Promise<Buffer>}
+ */
+export function renderReceiptPDF(receipt) {
+    return new Promise((resolve, reject) => {
+        try {
+            // Tall enough for every line; receipt paper has no fixed length
+            const lines = receipt.items.length * 2 + receipt.promotions.length + receipt.taxes.length +
+                receipt.payments.length + 20;
+            const doc = new PDFDocument({ size: [PDF_WIDTH, 120 + lines * 14], margin: 12 });
+
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const width = PDF_WIDTH - 24;
+            const row = (left, right, options = {}) => {
+                const y = doc.y;
+                doc.text(left, 12, y, { width: width - 70 });
+                const after = doc.y;
+                doc.text(right, 12, y, { width, align: 'right', ...options });
+                doc.y = Math.max(after, doc.y);
+            };
+            const rule = () => {
+                doc.moveDown(0.3);
+                doc.moveTo(12, doc.y).lineTo(PDF_WIDTH - 12, doc.y).dash(2, { space: 2 }).stroke().undash();
+                doc.moveDown(0.3);
+            };
+
+            if (receipt.store.logoFile && /\.(png|jpe?g)$/i.test(receipt.store.logoFile)) {
+                doc.image(receipt.store.logoFile, (PDF_WIDTH - 60) / 2, doc.y, { fit: [60, 60] });
+                doc.moveDown(5);
+            }
+
+            doc.font('Helvetica-Bold').fontSize(12).text(receipt.store.name, { align: 'center' });
+            doc.font('Helvetica').fontSize(8);
+            for (const line of [receipt.store.address, receipt.store.phone, receipt.store.header]) {
+                if (line) doc.text(line, { align: 'center' });
+            }
+            rule();
+
+            row(`Receipt #${receipt.receiptNumber}`, receipt.date);
+            if (receipt.cashierName) doc.text(`Cashier: ${receipt.cashierName}`);
+            if (receipt.customerName) doc.text(`Customer: ${receipt.customerName}`);
+            rule();
+
+            for (const item of receipt.items) {
+                row(item.name, item.total);
+                doc.fillColor('#555555').text(`  ${item.quantity} x ${item.price}`).fillColor('black');
+                if (item.discount) row('  Discount', item.discount);
+            }
+            rule();
+
+            row('Subtotal', receipt.subtotal);
+            for (const promotion of receipt.promotions) row(promotion.name, promotion.amount);
+            if (receipt.discount) row('Discount', receipt.discount);
+            for (const tax of receipt.taxes) row(tax.label, tax.amount);
+            if (receipt.taxes.length === 0) row('Tax', receipt.tax);
+
+            doc.font('Helvetica-Bold').fontSize(10);
+            row('TOTAL', receipt.total);
+            doc.font('Helvetica').fontSize(8);
+
+            for (const payment of receipt.payments) row(payment.method, payment.amount);
+            if (receipt.change) row('Change', receipt.change);
+            if (receipt.refunded) row('Refunded', receipt.refunded);
+
+            if (receipt.store.footer) {
+                rule();
+                doc.text(receipt.store.footer, 12, doc.y, { width, align: 'center' });
+            }
+
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+// ESC/POS control sequences
+const ESC = 0x1b;
+const GS = 0x1d;
+const INIT = [ESC, 0x40];
+const ALIGN_LEFT = [ESC, 0x61, 0];
+const ALIGN_CENTER = [ESC, 0x61, 1];
+const BOLD_ON = [ESC, 0x45, 1];
+const BOLD_OFF = [ESC, 0x45, 0];
+const DOUBLE_SIZE = [GS, 0x21, 0x11];
+const NORMAL_SIZE = [GS, 0x21, 0];
+const FEED_AND_CUT = [ESC, 0x64, 4, GS, 0x56, 66, 0];
+
+/**
+ * Render a receipt as ESC/POS bytes for a thermal printer
+ * The logo is left out; printers keep their own stored logo for that.
+ * @param {Object} receipt - From buildReceipt
+ * @param {Object} [options] - { paperWidth: 80|58 }
+ * @returns {Buffer}
+ */
+export function renderReceiptEscPos(receipt, { paperWidth = 80 } = {}) {
+    const columns = ESC_POS_COLUMNS[paperWidth];
+    if (!columns) {
+        throw new ValidationError(`Unsupported paper width: ${paperWidth}mm`);
+    }
+
+    const parts = [];
+    const raw = (bytes) => parts.push(Buffer.from(bytes));
+    // Printers take single-byte text; anything outside Latin-1 prints as '?'
+    const text = (value) => parts.push(Buffer.from(`${String(value).replace(/[^\x20-\xff]/g, '?')}\n`, 'latin1'));
+    const row = (left, right) => {
+        const room = columns - right.length - 1;
+        const label = left.length > room ? left.slice(0, room) : left;
+        text(`${label}${' '.repeat(columns - label.length - right.length)}${right}`);
+    };
+    const rule = () => text('-'.repeat(columns));
+
+    raw(INIT);
+    raw(ALIGN_CENTER);
+    raw(BOLD_ON);
+    raw(DOUBLE_SIZE);
+    text(receipt.store.name);
+    raw(NORMAL_SIZE);
+    raw(BOLD_OFF);
+    for (const line of [receipt.store.address, receipt.store.phone, receipt.store.header]) {
+        if (line) text(line);
+    }
+
+    raw(ALIGN_LEFT);
+    rule();
+    row(`#${receipt.receiptNumber}`, receipt.date);
+    if (receipt.cashierName) text(`Cashier: ${receipt.cashierName}`);
+    if (receipt.customerName) text(`Customer: ${receipt.customerName}`);
+    rule();
+
+    for (const item of receipt.items) {
+        row(item.name, item.total);
+        text(`  ${item.quantity} x ${item.price}`);
+        if (item.discount) row('  Discount', item.discount);
+    }
+    rule();
+
+    row('Subtotal', receipt.subtotal);
+    for (const promotion of receipt.promotions) row(promotion.name, promotion.amount);
+    if (receipt.discount) row('Discount', receipt.discount);
+    for (const tax of receipt.taxes) row(tax.label, tax.amount);
+    if (receipt.taxes.length === 0) row('Tax', receipt.tax);
+
+    raw(BOLD_ON);
+    row('TOTAL', receipt.total);
+    raw(BOLD_OFF);
+
+    for (const payment of receipt.payments) row(payment.method, payment.amount);
+    if (receipt.change) row('Change', receipt.change);
+    if (receipt.refunded) row('Refunded', receipt.refunded);
+
+    if (receipt.store.footer) {
+        rule();
+        raw(ALIGN_CENTER);
+        text(receipt.store.footer);
+    }
+
+    raw(FEED_AND_CUT);
+    return Buffer.concat(parts);
+}
+
+/**
+ * Email a sale's receipt (HTML body, PDF attached)
+ * @param {string} saleId - Sale
+ * @param {string} storeId - Store the sale belongs to
+ * @param {string} [email] - Recipient; defaults to the sale's customer
+ */
+export async function emailReceipt(saleId, storeId, email) {
+    const receipt = await getSaleReceipt(saleId, storeId);
+    const to = email || receipt.customerEmail;
+    if (!to) {
+        throw new ValidationError('No email address for this receipt');
+    }
+
+    const attachments = [{
+        filename: `receipt-${receipt.receiptNumber}.pdf`,
+        content: await renderReceiptPDF(receipt),
+        contentType: 'application/pdf'
+    }];
+    // Email clients block data URIs, so the logo goes along as an inline attachment
+    if (receipt.store.logoFile) {
+        attachments.push({
+            filename: path.basename(receipt.store.logoFile),
+            path: receipt.store.logoFile,
+            cid: 'store-logo'
+        });
+    }
+
+    const logo = receipt.store.logoFile ? 'cid:store-logo' : undefined;
+    const result = await sendReceiptEmail(to, { ...receipt, logo }, attachments);
+
+    if (!result.success) {
+        throw new Error(`Email failed: ${result.error}`);
+    }
+
+    return { sentTo: to };
+}
+
+export default {
+    buildReceipt,
+    getSaleReceipt,
+    renderReceiptHTML,
+    renderReceiptPDF,
+    renderReceiptEscPos,
+    emailReceipt
+};
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Scheduled Jobs
+ *
+ * The background jobs the scheduler runs: emailing scheduled reports,
+ * running scheduled workflows, resuming parked workflow runs, marking
+ * overdue credits and running plugins' scheduled functions.
+ */
+
+import { Report, Sale, Product, Customer, Credit, Store, User } from '../models/index.js';
+import { defineJob } from './scheduler.js';
+import { getSocket, publish } from './eventBus.js';
+import workflowEngine from './workflowEngine.js';
+import pluginManager from '../plugins/PluginManager.js';
+import { generateSalesReport, generateInventoryReport, generateCustomerReport } from './exportService.js';
+import { sendEmail } from './emailService.js';
+import logger from '../utils/logger.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// How far back a report looks on its first run, by frequency
+const REPORT_PERIODS = {
+    daily: DAY,
+    weekly: 7 * DAY,
+    monthly: 30 * DAY
+};
+
+const REPORT_FILES = {
+    csv: { extension: 'csv', contentType: 'text/csv' },
+    excel: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+/**
+ * Stores a report covers: its store filter, its store, or its organization
+ */
+async function getReportStoreIds(report) {
+    if (report.config?.filters?.storeIds?.length) return report.config.filters.storeIds;
+    if (report.storeId) return [report.storeId];
+    if (report.organizationId) return Store.find({ organizationId: report.organizationId }).distinct('_id');
+    throw new Error('Report has no store or organization');
+}
+
+/**
+ * Render a report's data in its schedule format
+ */
+async function renderReport(report, since, until) {
+    const storeIds = await getReportStoreIds(report);
+    const format = report.schedule.format || 'pdf';
+
+    switch (report.reportType) {
+        case 'sales': {
+            const sales = await Sale.find({
+                storeId: { $in: storeIds },
+                createdAt: { $gte: since, $lt: until }
+            })
+                .populate('customerId', 'name')
+                .sort({ createdAt: -1 })
+                .lean();
+
+            sales.forEach(sale => {
+                if (sale.customerId) {
+                    sale.customerName = sale.customerId.name;
+                }
+            });
+
+            const dateRange = `${since.toLocaleDateString()} - ${until.toLocaleDateString()}`;
+            return generateSalesReport(sales, format, { dateRange });
+        }
+
+        case 'inventory': {
+            const products = await Product.find({ storeId: { $in: storeIds } })
+                .populate('categoryId', 'name')
+                .sort({ name: 1 })
+                .lean();
+
+            products.forEach(product => {
+                if (product.categoryId) {
+                    product.category = product.categoryId;
+                }
+            });
+
+            return generateInventoryReport(products, format);
+        }
+
+        case 'customers': {
+            const customers = await Customer.find({ storeId: { $in: storeIds } })
+                .sort({ name: 1 })
+                .lean();
+
+            return generateCustomerReport(customers, format);
+        }
+
+        default:
+            throw new Error(`Scheduled delivery is not supported for ${report.reportType} reports`);
+    }
+}
+
+/**
+ * Render one due report and email it to its recipients
+ */
+async function deliverReport(report, now) {
+    const since = report.schedule.lastRun || new Date(now - REPORT_PERIODS[report.schedule.frequency]);
+
+    let recipients = report.schedule.recipients || [];
+    if (recipients.length === 0) {
+        const owner = await User.findById(report.userId).select('email').lean();
+        recipients = owner?.email ? [owner.email] : [];
+    }
+    if (recipients.length === 0) {
+        throw new Error('Report has no recipients');
+    }
+
+    const content = await renderReport(report, since, now);
+    const file = REPORT_FILES[report.schedule.format || 'pdf'];
+    const filename = `${report.name.replace(/[^\w-]+/g, '-').toLowerCase()}-${now.toISOString().slice(0, 10)}`;
+
+    const result = await sendEmail({
+        to: recipients.join(', '),
+        subject: `${report.name} (${since.toLocaleDateString()} - ${now.toLocaleDateString()})`,
+        html: `<p>Your scheduled ${report.reportType} report <strong>${report.name}</strong> is attached.</p>`,
+        attachments: [{
+            filename: `${filename}.${file.extension}`,
+            content,
+            contentType: file.contentType
+        }]
+    });
+
+    if (!result.success) {
+        throw new Error(`Email failed: ${result.error}`);
+    }
+}
+
+/**
+ * Email every scheduled report that is due
+ */
+export async function runScheduledReports() {
+    const now = new Date();
+    const reports = await Report.find({
+        isActive: true,
+        'schedule.enabled': true,
+        'schedule.frequency': { $in: Object.keys(REPORT_PERIODS) },
+        'schedule.nextRun': { $lte: now }
+    });
+
+    const failures = [];
+    let delivered = 0;
+
+    for (const report of reports) {
+        // Claim the run first so no other server sends the same report
+        const claimed = await Report.updateOne(
+            { _id: report._id, 'schedule.nextRun': report.schedule.nextRun },
+            { $set: { 'schedule.nextRun': report.calculateNextRun() } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        try {
+            await deliverReport(report, now);
+            delivered += 1;
+
+            report.schedule.lastRun = now;
+            report.updateRunStats();
+            await report.save();
+        } catch (error) {
+            logger.error(`Scheduled report ${report.name} failed:`, error);
+            failures.push(`${report.name}: ${error.message}`);
+        }
+    }
+
+    return { due: reports.length, delivered, failed: failures.length, failures };
+}
+
+/**
+ * Mark unpaid credits past their due date as overdue
+ */
+export async function markOverdueCredits() {
+    const credits = await Credit.find({
+        status: { $in: ['pending', 'partial'] },
+        dueDate: { $lt: new Date() }
+    }).select('_id status');
+
+    let marked = 0;
+
+    for (const { _id, status } of credits) {
+        // Only if nothing (e.g. a payment) changed the credit in the meantime
+        const credit = await Credit.findOneAndUpdate(
+            { _id, status },
+            { $set: { status: 'overdue' } },
+            { new: true }
+        );
+        if (!credit) continue;
+
+        marked += 1;
+        await publish('credit.overdue', credit, { storeId: credit.storeId });
+    }
+
+    return { marked };
+}
+
+/**
+ * Define the scheduled jobs (call once at startup, before startScheduler)
+ */
+export function registerScheduledJobs() {
+    defineJob('scheduled-reports', {
+        description: 'Email scheduled reports that are due',
+        every: MINUTE,
+        handler: runScheduledReports
+    });
+
+    defineJob('scheduled-workflows', {
+        description: 'Run scheduled and cron workflows that are due',
+        every: MINUTE,
+        handler: () => workflowEngine.processScheduledWorkflows({ io: getSocket() })
+    });
+
+    defineJob('workflow-resumes', {
+        description: 'Resume workflow runs whose delay has ended or whose approval timed out, and recover runs a stopped server left running',
+        every: MINUTE,
+        handler: () => workflowEngine.resumeDueRuns()
+    });
+
+    defineJob('overdue-credits', {
+        description: 'Mark unpaid credits past their due date as overdue',
+        cron: '0 * * * *',
+        handler: markOverdueCredits
+    });
+
+    defineJob('plugin-schedules', {
+        description: 'Run plugin functions scheduled with api.schedule that are due',
+        every: MINUTE,
+        handler: () => pluginManager.runDueSchedules({ io: getSocket() })
+    });
+}
+
+export default registerScheduledJobs;
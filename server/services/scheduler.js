@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Job Scheduler
+ *
+ * Runs background jobs on an interval or a cron schedule. With Redis the
+ * schedules are Bull repeatable jobs, so they survive restarts and each tick
+ * runs on exactly one server. Without Redis a local timer runs them instead,
+ * which is only safe with a single server.
+ *
+ * Every run is recorded as a JobRun for the admin job history.
+ */
+
+import Bull from 'bull';
+import process from 'process';
+import { isRedisConnected } from '../config/redis.js';
+import { JobRun } from '../models/index.js';
+import { nextCronRun, isValidCron } from '../utils/cron.js';
+import logger from '../utils/logger.js';
+
+const scheduledJobQueue = new Bull('scheduled-jobs', {
+    redis: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: parseInt(process.env.REDIS_PORT || '6379'),
+        password: process.env.REDIS_PASSWORD
+    },
+    defaultJobOptions: {
+        // A failed tick is not retried; the next one picks up the work
+        attempts: 1,
+        removeOnComplete: true,
+        removeOnFail: true
+    }
+});
+
+// Job name -> { name, description, every, cron, handler }
+const jobs = new Map();
+// Job name -> { timer, nextRunAt } when running on local timers
+const localTimers = new Map();
+let mode = null;
+
+/**
+ * Define a scheduled job
+ * @param {string} name - Unique job name
+ * @param {Object} options
+ * @param {string} options.description - Shown in the job list
+ * @param {number} [options.every] - Interval in milliseconds
+ * @param {string} [options.cron] - Five-field cron expression (instead of every)
+ * @param {Function} options.handler - async () => result; throw to fail the run
+ */
+export function defineJob(name, { description, every, cron, handler }) {
+    if (jobs.has(name)) {
+        throw new Error(`Scheduled job ${name} is already defined`);
+    }
+    if (!every && !isValidCron(cron)) {
+        throw new Error(`Scheduled job ${name} needs an interval or a valid cron expression`);
+    }
+
+    jobs.set(name, { name, description, every, cron, handler });
+}
+
+/**
+ * Run a job now and record the run. Never throws for a failing job: the
+ * failure is recorded on the returned run.
+ * @param {string} name - Job name
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - 'schedule' or 'manual'
+ * @param {string} [options.userId] - User who started a manual run
+ * @returns {Promise<Object>} The JobRun document
+ */
+export async function runJob(name, { trigger = 'schedule', userId } = {}) {
+    const job = jobs.get(name);
+    if (!job) {
+        throw new Error(`Unknown scheduled job: ${name}`);
+    }
+
+    const run = await JobRun.create({ name, trigger, userId });
+
+    try {
+        run.result = await job.handler();
+        run.status = 'completed';
+    } catch (error) {
+        logger.error(`Scheduled job ${name} failed:`, error);
+        run.status = 'failed';
+        run.error = error.message;
+    }
+
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+
+    return run;
+}
+
+/**
+ * Register every job as a Bull repeatable job
+ */
+async function scheduleQueued() {
+    // Drop schedules left behind by jobs that were removed or rescheduled
+    for (const entry of await scheduledJobQueue.getRepeatableJobs()) {
+        const job = jobs.get(entry.name);
+        if (!job || String(entry.cron) !== String(job.cron || job.every)) {
+            await scheduledJobQueue.removeRepeatableByKey(entry.key);
+        }
+    }
+
+    for (const job of jobs.values()) {
+        scheduledJobQueue.process(job.name, () => runJob(job.name));
+        await scheduledJobQueue.add(job.name, {}, {
+            repeat: job.cron ? { cron: job.cron } : { every: job.every }
+        });
+    }
+}
+
+/**
+ * Run a job on a local timer, waiting for each run before scheduling the next
+ */
+function scheduleLocal(job) {
+    const nextRunAt = job.cron ? nextCronRun(job.cron) : new Date(Date.now() + job.every);
+
+    const timer = setTimeout(() => {
+        runJob(job.name)
+            .catch(error => logger.error(`Scheduled job ${job.name} could not run:`, error))
+            .finally(() => scheduleLocal(job));
+    }, nextRunAt - Date.now());
+
+    localTimers.set(job.name, { timer, nextRunAt });
+}
+
+/**
+ * Start running the defined jobs (call once at startup, after Redis connects)
+ */
+export async function startScheduler() {
+    if (mode) return;
+
+    if (isRedisConnected()) {
+        mode = 'queue';
+        await scheduleQueued();
+    } else {
+        mode = 'local';
+        logger.warn('Redis not connected - scheduled jobs running on local timers (single server only)');
+        for (const job of jobs.values()) {
+            scheduleLocal(job);
+        }
+    }
+
+    logger.info(`Scheduler started with ${jobs.size} jobs (${mode})`);
+}
+
+/**
+ * Stop the local timers and close the job queue
+ */
+export async function stopScheduler() {
+    for (const { timer } of localTimers.values()) {
+        clearTimeout(timer);
+    }
+    localTimers.clear();
+    mode = null;
+    await scheduledJobQueue.close();
+}
+
+/**
+ * Defined jobs with their schedule, next run and last run
+ */
+export async function getJobs() {
+    const nextRuns = new Map();
+    if (mode === 'queue') {
+        for (const entry of await scheduledJobQueue.getRepeatableJobs()) {
+            nextRuns.set(entry.name, new Date(entry.next));
+        }
+    } else {
+        for (const [name, { nextRunAt }] of localTimers) {
+            nextRuns.set(name, nextRunAt);
+        }
+    }
+
+    return Promise.all([...jobs.values()].map(async job => ({
+        name: job.name,
+        description: job.description,
+        schedule: job.cron ? { cron: job.cron } : { every: job.every },
+        mode,
+        nextRunAt: nextRuns.get(job.name) || null,
+        lastRun: await JobRun.findOne({ name: job.name }).sort({ startedAt: -1 }).lean()
+    })));
+}
+
+/**
+ * Whether a job with this name is defined
+ */
+export function hasJob(name) {
+    return jobs.has(name);
+}
+
+export default {
+    defineJob,
+    runJob,
+    startScheduler,
+    stopScheduler,
+    getJobs,
+    hasJob
+};
@@ -0,0 +1,574 @@
+/**
+ * @fileoverview Stock Take Service
+ *
+ * Physical counts (cycle counts) of a store's stock. Starting a count freezes
+ * the expected quantity of every product in scope; devices then send counts,
+ * offline batches included, until the count is submitted for review. A
+ * manager approves the variances, which are posted as adjustment stock
+ * movements measured against the frozen quantities, so sales made while
+ * counting are not lost. Posted counts feed the shrinkage report.
+ */
+
+import mongoose from 'mongoose';
+import { Category, Product, Store, StockMovement, StockTake } from '../models/index.js';
+import { addCostLayer, consumeCostLayers } from './costingService.js';
+import { findNewlyLowStock } from './inventoryService.js';
+import { invalidateEntityCache } from './cacheService.js';
+import { publish } from './eventBus.js';
+import { NotFoundError, ValidationError, AuthorizationError, ConflictError } from '../utils/errors.js';
+import { withTransaction } from '../utils/transaction.js';
+
+const OPEN_STATUSES = ['counting', 'review'];
+const SCOPES = ['store', 'category', 'location'];
+
+// Attempts at applying counts when another device saves at the same moment
+const MAX_SAVE_ATTEMPTS = 3;
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Load a stock take belonging to the store
+ */
+async function loadStockTake(stockTakeId, storeId) {
+    const stockTake = mongoose.isValidObjectId(stockTakeId)
+        ? await StockTake.findOne({ _id: stockTakeId, storeId })
+        : null;
+    if (!stockTake) {
+        throw new NotFoundError('Stock take not found');
+    }
+    return stockTake;
+}
+
+/**
+ * Move a stock take from one status to the next, failing if someone else
+ * already did
+ */
+async function claimStockTake(stockTake, fromStatus, update, { session } = {}) {
+    const claimed = await StockTake.findOneAndUpdate(
+        { _id: stockTake._id, status: fromStatus },
+        { $set: update },
+        { new: true, session }
+    );
+    if (!claimed) {
+        throw new ConflictError(`Stock take ${stockTake.countNumber} is no longer ${fromStatus}`);
+    }
+    return claimed;
+}
+
+/**
+ * Only the store owner, its managers and admins approve variances
+ */
+async function assertCanApprove(storeId, user) {
+    const store = await Store.findById(storeId);
+    if (!store) {
+        throw new NotFoundError('Store not found');
+    }
+    if (user.role !== 'admin' && !store.canAccess(user._id)) {
+        throw new AuthorizationError('Only the store owner or a manager can approve stock takes');
+    }
+}
+
+/**
+ * Product filter for a count's scope
+ */
+function scopeQuery(storeId, scope) {
+    const query = { storeId, isActive: true };
+    if (scope.type === 'category') query.categoryId = scope.categoryId;
+    if (scope.type === 'location') query.location = scope.location;
+    return query;
+}
+
+/**
+ * Count lines for the products in scope, one per variant for products that
+ * have variants, with today's stock frozen as the expected quantity
+ */
+function snapshotLines(products) {
+    return products.flatMap(product => {
+        const base = {
+            productId: product._id,
+            name: product.name,
+            categoryId: product.categoryId,
+            location: product.location
+        };
+
+        if (product.variants?.length > 0) {
+            return product.variants
+                .filter(variant => variant.isActive !== false)
+                .map(variant => ({
+                    ...base,
+                    variantId: variant._id,
+                    variantName: Product.variantLabel(variant),
+                    sku: variant.sku || product.sku,
+                    barcode: variant.barcode,
+                    expectedQuantity: variant.quantity || 0,
+                    costPrice: variant.costPrice ?? product.costPrice ?? 0
+                }));
+        }
+
+        return [{
+            ...base,
+            sku: product.sku,
+            barcode: product.barcode,
+            expectedQuantity: product.quantity || 0,
+            costPrice: product.costPrice || 0
+        }];
+    });
+}
+
+/**
+ * Start a stock take, freezing the expected quantities of what it covers
+ * @param {string} storeId - Store ID
+ * @param {Object} data - { name, scope: 'store'|'category'|'location', categoryId, location, notes }
+ * @param {Object} user - User starting the count
+ * @returns {Promise<StockTake>}
+ */
+export async function createStockTake(storeId, { name, scope = 'store', categoryId, location, notes } = {}, user) {
+    if (!SCOPES.includes(scope)) {
+        throw new ValidationError(`Scope must be one of: ${SCOPES.join(', ')}`);
+    }
+
+    const countScope = { type: scope };
+    if (scope === 'category') {
+        const category = mongoose.isValidObjectId(categoryId)
+            ? await Category.findOne({ _id: categoryId, storeId })
+            : null;
+        if (!category) {
+            throw new ValidationError('Choose a category to count');
+        }
+        countScope.categoryId = category._id;
+    }
+    if (scope === 'location') {
+        if (!location?.trim()) {
+            throw new ValidationError('Choose a location to count');
+        }
+        countScope.location = location.trim();
+    }
+
+    const products = await Product.find(scopeQuery(storeId, countScope)).lean();
+    const lines = snapshotLines(products);
+    if (lines.length === 0) {
+        throw new ValidationError('There are no products to count in this scope');
+    }
+
+    // Two open counts of the same product would post its variance twice
+    const open = await StockTake.findOne({
+        storeId,
+        status: { $in: OPEN_STATUSES },
+        'lines.productId': { $in: products.map(p => p._id) }
+    }).select('countNumber');
+    if (open) {
+        throw new ConflictError(`Stock take ${open.countNumber} is still open for some of these products`);
+    }
+
+    return StockTake.create({
+        storeId,
+        countNumber: await StockTake.generateCountNumber(),
+        name: name?.trim() || undefined,
+        scope: countScope,
+        lines,
+        notes,
+        startedBy: user._id
+    });
+}
+
+/**
+ * Apply counts sent by a device. Each entry carries a clientId, so a batch
+ * sent again after a dropped connection is only counted once.
+ * @param {string} stockTakeId - Stock take ID
+ * @param {string} storeId - Store ID
+ * @param {Array<{ clientId, lineId, quantity, mode, countedAt }>} entries - 'add' counts
+ *   more units, 'set' replaces the line's count
+ * @param {Object} user - Counting user
+ * @returns {Promise<StockTake>}
+ */
+export async function recordCounts(stockTakeId, storeId, entries, user) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new ValidationError('At least one count is required');
+    }
+    for (const entry of entries) {
+        const quantity = Number(entry.quantity);
+        if (!entry.clientId || !entry.lineId) {
+            throw new ValidationError('Each count needs a clientId and lineId');
+        }
+        if (!Number.isInteger(quantity) || (entry.mode === 'set' && quantity < 0)) {
+            throw new ValidationError('Counts must be whole numbers');
+        }
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        const stockTake = await loadStockTake(stockTakeId, storeId);
+        if (stockTake.status !== 'counting') {
+            throw new ConflictError(`Stock take ${stockTake.countNumber} is not being counted`);
+        }
+
+        const applied = new Set(stockTake.entries.map(entry => entry.clientId));
+        for (const entry of entries) {
+            if (applied.has(entry.clientId)) continue;
+
+            const line = stockTake.lines.id(entry.lineId);
+            if (!line) {
+                throw new ValidationError('Count line not found on this stock take');
+            }
+
+            const mode = entry.mode === 'set' ? 'set' : 'add';
+            const quantity = Number(entry.quantity);
+            const countedAt = entry.countedAt ? new Date(entry.countedAt) : new Date();
+
+            line.countedQuantity = Math.max(0, mode === 'set' ? quantity : (line.countedQuantity || 0) + quantity);
+            line.countedAt = countedAt;
+            line.countedBy = user._id;
+            line.recount = false;
+
+            stockTake.entries.push({ clientId: entry.clientId, lineId: line._id, mode, quantity, countedBy: user._id, countedAt });
+            applied.add(entry.clientId);
+        }
+
+        try {
+            await stockTake.save();
+            return getStockTake(stockTakeId, storeId);
+        } catch (error) {
+            if (!(error instanceof mongoose.Error.VersionError) || attempt >= MAX_SAVE_ATTEMPTS) throw error;
+        }
+    }
+}
+
+/**
+ * Finish counting and hand the variances to a manager
+ * @param {string} stockTakeId - Stock take ID
+ * @param {string} storeId - Store ID
+ * @param {Object} user - Submitting user
+ * @returns {Promise<StockTake>}
+ */
+export async function submitStockTake(stockTakeId, storeId, user) {
+    const stockTake = await loadStockTake(stockTakeId, storeId);
+    if (stockTake.status !== 'counting') {
+        throw new ConflictError('Only stock takes being counted can be submitted');
+    }
+    if (!stockTake.lines.some(line => line.countedQuantity !== null)) {
+        throw new ValidationError('Count at least one product before submitting');
+    }
+
+    const claimed = await claimStockTake(stockTake, 'counting', {
+        status: 'review',
+        submittedBy: user._id,
+        submittedAt: new Date()
+    });
+
+    for (const line of claimed.lines) {
+        line.variance = line.countedQuantity === null ? 0 : line.countedQuantity - line.expectedQuantity;
+    }
+    return claimed.save();
+}
+
+/**
+ * Send lines back for recounting (all counted lines with a variance when
+ * none are given), reopening the count
+ * @param {string} stockTakeId - Stock take ID
+ * @param {string} storeId - Store ID
+ * @param {Object} data - { lineIds }
+ * @param {Object} user - Reviewing manager
+ * @returns {Promise<StockTake>}
+ */
+export async function requestRecount(stockTakeId, storeId, { lineIds } = {}, user) {
+    await assertCanApprove(storeId, user);
+
+    const stockTake = await loadStockTake(stockTakeId, storeId);
+    if (stockTake.status !== 'review') {
+        throw new ConflictError('Only stock takes under review can be sent back for recount');
+    }
+
+    const selected = Array.isArray(lineIds) && lineIds.length > 0 ? new Set(lineIds.map(String)) : null;
+    const lines = stockTake.lines.filter(line => selected
+        ? selected.has(String(line._id))
+        : line.countedQuantity !== null && line.variance !== 0);
+    if (lines.length === 0) {
+        throw new ValidationError('Choose the lines to recount');
+    }
+
+    const claimed = await claimStockTake(stockTake, 'review', { status: 'counting' });
+    for (const { _id } of lines) {
+        const line = claimed.lines.id(_id);
+        line.countedQuantity = null;
+        line.variance = 0;
+        line.recount = true;
+    }
+    return claimed.save();
+}
+
+/**
+ * Approve the variances and post them as adjustments. Each line moves stock
+ * by counted less frozen quantity; uncounted lines are left alone.
+ * Shortages draw down the cost layers and surpluses add one, so the
+ * shrinkage is valued at what the stock cost.
+ * @param {string} stockTakeId - Stock take ID
+ * @param {string} storeId - Store ID
+ * @param {Object} data - { employeeId, notes }
+ * @param {Object} user - Approving manager
+ * @returns {Promise<StockTake>}
+ */
+export async function approveStockTake(stockTakeId, storeId, { employeeId, notes } = {}, user) {
+    await assertCanApprove(storeId, user);
+
+    const stockTake = await loadStockTake(stockTakeId, storeId);
+    if (stockTake.status !== 'review') {
+        throw new ConflictError('Only stock takes under review can be approved');
+    }
+
+    // The status change and every line's stock movement and cost layers
+    // commit together: any failure fails the approval and leaves the count
+    // under review to approve again
+    const { claimed, removed } = await withTransaction(async (session) => {
+        const claimedStockTake = await claimStockTake(stockTake, 'review', {
+            status: 'posted',
+            approvedBy: user._id,
+            approvedByEmployeeId: mongoose.isValidObjectId(employeeId) ? employeeId : undefined,
+            approvedAt: new Date(),
+            ...(notes ? { notes } : {})
+        }, { session });
+
+        const summary = { linesCounted: 0, unitsShort: 0, unitsOver: 0, valueShort: 0, valueOver: 0 };
+        const removedUnits = [];
+        for (const line of claimedStockTake.lines) {
+            if (line.countedQuantity === null) continue;
+            summary.linesCounted += 1;
+            if (line.variance === 0) continue;
+
+            // Only a product deleted since the freeze is skipped
+            const product = await Product.findById(line.productId).session(session);
+            const stockHolder = line.variantId ? product?.variants.id(line.variantId) : product;
+            if (!stockHolder) {
+                line.skippedReason = `${line.variantId && product ? 'Variant' : 'Product'} no longer exists`;
+                continue;
+            }
+
+            // Stock sold since the freeze may leave less on hand than the shortage
+            const quantity = Math.max(line.variance, -stockHolder.quantity);
+            if (quantity === 0) continue;
+
+            await StockMovement.createMovement({
+                storeId,
+                productId: line.productId,
+                variantId: line.variantId,
+                type: 'adjustment',
+                quantity,
+                reason: `Stock take ${claimedStockTake.countNumber}`,
+                referenceType: 'StockTake',
+                referenceId: claimedStockTake._id,
+                performedBy: user._id,
+                notes: `Expected ${line.expectedQuantity}, counted ${line.countedQuantity}`
+            }, { session });
+
+            if (quantity < 0) {
+                const { unitCost } = await consumeCostLayers({
+                    storeId,
+                    productId: line.productId,
+                    variantId: line.variantId,
+                    quantity: -quantity
+                }, { session });
+                line.unitCost = unitCost;
+                summary.unitsShort += -quantity;
+                summary.valueShort += -quantity * unitCost;
+                removedUnits.push({ productId: line.productId, quantity: -quantity });
+            } else {
+                const layer = await addCostLayer({
+                    storeId,
+                    productId: line.productId,
+                    variantId: line.variantId,
+                    quantity,
+                    unitCost: line.costPrice,
+                    source: 'count',
+                    referenceType: 'StockTake',
+                    referenceId: claimedStockTake._id
+                }, { session });
+                line.unitCost = layer?.unitCost ?? line.costPrice;
+                summary.unitsOver += quantity;
+                summary.valueOver += quantity * line.unitCost;
+            }
+            line.adjustedQuantity = quantity;
+        }
+
+        summary.valueShort = roundCurrency(summary.valueShort);
+        summary.valueOver = roundCurrency(summary.valueOver);
+        claimedStockTake.summary = summary;
+        await claimedStockTake.save({ session });
+
+        return { claimed: claimedStockTake, removed: removedUnits };
+    });
+
+    await Promise.all(claimed.lines
+        .filter(line => line.adjustedQuantity !== 0)
+        .map(line => invalidateEntityCache('products', storeId, line.productId)));
+
+    const context = { storeId, userId: user._id };
+    await publish('inventory.adjusted', { stockTake: claimed }, context);
+    for (const product of await findNewlyLowStock(storeId, removed)) {
+        await publish('product.low_stock', product, context);
+    }
+
+    return claimed;
+}
+
+/**
+ * Cancel a stock take that has not been posted
+ * @param {string} stockTakeId - Stock take ID
+ * @param {string} storeId - Store ID
+ * @param {Object} user - Cancelling user
+ * @returns {Promise<StockTake>}
+ */
+export async function cancelStockTake(stockTakeId, storeId, user) {
+    const stockTake = await loadStockTake(stockTakeId, storeId);
+    if (!OPEN_STATUSES.includes(stockTake.status)) {
+        throw new ConflictError('Only open stock takes can be cancelled');
+    }
+
+    return claimStockTake(stockTake, stockTake.status, {
+        status: 'cancelled',
+        cancelledBy: user._id,
+        cancelledAt: new Date()
+    });
+}
+
+/**
+ * Get a stock take with its lines (the count history stays on the server)
+ */
+export async function getStockTake(stockTakeId, storeId) {
+    const stockTake = mongoose.isValidObjectId(stockTakeId)
+        ? await StockTake.findOne({ _id: stockTakeId, storeId }).select('-entries')
+        : null;
+    if (!stockTake) {
+        throw new NotFoundError('Stock take not found');
+    }
+    return stockTake;
+}
+
+/**
+ * A store's stock takes, newest first
+ * @param {string} storeId - Store ID
+ * @param {Object} [filters] - { status, open, limit }
+ */
+export async function listStockTakes(storeId, { status, open, limit = 50 } = {}) {
+    const query = { storeId };
+    if (status) query.status = status;
+    else if (open) query.status = { $in: OPEN_STATUSES };
+
+    const stockTakes = await StockTake.find(query)
+        .select('-entries -lines')
+        .populate('startedBy', 'name')
+        .populate('approvedBy', 'name')
+        .sort({ createdAt: -1 })
+        .limit(Math.min(Number(limit) || 50, 200))
+        .lean();
+
+    // Progress without sending every line
+    const progress = await StockTake.aggregate([
+        { $match: { _id: { $in: stockTakes.map(s => s._id) } } },
+        {
+            $project: {
+                lineCount: { $size: '$lines' },
+                countedCount: {
+                    $size: { $filter: { input: '$lines', cond: { $ne: ['$$this.countedQuantity', null] } } }
+                }
+            }
+        }
+    ]);
+    const progressById = new Map(progress.map(p => [String(p._id), p]));
+
+    return stockTakes.map(stockTake => ({
+        ...stockTake,
+        lineCount: progressById.get(String(stockTake._id))?.lineCount || 0,
+        countedCount: progressById.get(String(stockTake._id))?.countedCount || 0
+    }));
+}
+
+/**
+ * Stock lost or found on posted stock takes, by category and product
+ * @param {string} storeId - Store ID
+ * @param {Object} [options] - { startDate, endDate, limit }
+ */
+export async function getShrinkageReport(storeId, { startDate, endDate, limit = 20 } = {}) {
+    const start = startDate ? new Date(startDate) : new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+    const end = endDate ? new Date(endDate) : new Date();
+
+    const match = { storeId, status: 'posted', approvedAt: { $gte: start, $lte: end } };
+    const adjustedLines = [
+        { $match: match },
+        { $unwind: '$lines' },
+        { $match: { 'lines.adjustedQuantity': { $ne: 0 } } },
+        {
+            $addFields: {
+                value: { $multiply: ['$lines.adjustedQuantity', { $ifNull: ['$lines.unitCost', '$lines.costPrice'] }] }
+            }
+        }
+    ];
+    const totals = {
+        unitsShort: { $sum: { $cond: [{ $lt: ['$lines.adjustedQuantity', 0] }, { $multiply: ['$lines.adjustedQuantity', -1] }, 0] } },
+        unitsOver: { $sum: { $cond: [{ $gt: ['$lines.adjustedQuantity', 0] }, '$lines.adjustedQuantity', 0] } },
+        valueShort: { $sum: { $cond: [{ $lt: ['$value', 0] }, { $multiply: ['$value', -1] }, 0] } },
+        valueOver: { $sum: { $cond: [{ $gt: ['$value', 0] }, '$value', 0] } },
+        netValue: { $sum: '$value' }
+    };
+
+    const [summary, byCategory, byProduct, counts] = await Promise.all([
+        StockTake.aggregate([...adjustedLines, { $group: { _id: null, ...totals } }]),
+        StockTake.aggregate([
+            ...adjustedLines,
+            { $group: { _id: '$lines.categoryId', ...totals } },
+            { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+            {
+                $project: {
+                    _id: 0,
+                    categoryId: '$_id',
+                    category: { $ifNull: [{ $arrayElemAt: ['$category.name', 0] }, 'Uncategorized'] },
+                    unitsShort: 1,
+                    unitsOver: 1,
+                    valueShort: 1,
+                    valueOver: 1,
+                    netValue: 1
+                }
+            },
+            { $sort: { netValue: 1 } }
+        ]),
+        StockTake.aggregate([
+            ...adjustedLines,
+            {
+                $group: {
+                    _id: { productId: '$lines.productId', variantId: '$lines.variantId' },
+                    name: { $first: '$lines.name' },
+                    variantName: { $first: '$lines.variantName' },
+                    sku: { $first: '$lines.sku' },
+                    ...totals,
+                    counts: { $sum: 1 }
+                }
+            },
+            { $sort: { netValue: 1 } },
+            { $limit: Math.min(Number(limit) || 20, 100) }
+        ]),
+        StockTake.find(match)
+            .select('countNumber name scope approvedAt summary')
+            .sort({ approvedAt: -1 })
+            .lean()
+    ]);
+
+    const totalsRow = summary[0] || { unitsShort: 0, unitsOver: 0, valueShort: 0, valueOver: 0, netValue: 0 };
+    delete totalsRow._id;
+
+    return {
+        dateRange: { start: start.toISOString(), end: end.toISOString() },
+        summary: { ...totalsRow, stockTakes: counts.length },
+        byCategory,
+        byProduct: byProduct.map(({ _id, ...row }) => ({ productId: _id.productId, variantId: _id.variantId, ...row })),
+        stockTakes: counts
+    };
+}
+
+export default {
+    createStockTake,
+    recordCounts,
+    submitStockTake,
+    requestRecount,
+    approveStockTake,
+    cancelStockTake,
+    getStockTake,
+    listStockTakes,
+    getShrinkageReport
+};
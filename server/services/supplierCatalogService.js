@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Supplier Catalog Service
+ *
+ * Per-supplier product terms (supplier SKU, unit cost, minimum order, case
+ * pack and lead time), the defaults they give purchase order lines, the last
+ * cost recorded when orders are received, and price comparison across
+ * suppliers.
+ */
+
+import mongoose from 'mongoose';
+import { Product, Supplier, SupplierProduct } from '../models/index.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+const EDITABLE_FIELDS = [
+    'supplierSku', 'unitCost', 'minimumOrderQuantity', 'casePackSize', 'leadTimeDays', 'notes', 'isActive'
+];
+
+function unitKey(productId, variantId = null) {
+    return variantId ? `${productId}:${variantId}` : String(productId);
+}
+
+/**
+ * Catalog entry for a product or variant: the variant's own entry, else the
+ * product-wide one
+ * @param {Map} entries - Entries keyed by unitKey
+ */
+export function entryFor(entries, productId, variantId = null) {
+    return (variantId && entries.get(unitKey(productId, variantId))) || entries.get(unitKey(productId)) || null;
+}
+
+/**
+ * Index catalog entries by product and variant
+ */
+export function keyEntries(entries) {
+    return new Map(entries.map(e => [unitKey(e.productId, e.variantId), e]));
+}
+
+async function loadSupplier(storeId, supplierId) {
+    const supplier = mongoose.isValidObjectId(supplierId)
+        ? await Supplier.findOne({ _id: supplierId, storeId })
+        : null;
+    if (!supplier) {
+        throw new NotFoundError('Supplier not found');
+    }
+    return supplier;
+}
+
+/**
+ * A supplier's catalog with product details
+ * @param {string} storeId - Store ID
+ * @param {string} supplierId - Supplier ID
+ */
+export async function listCatalog(storeId, supplierId) {
+    await loadSupplier(storeId, supplierId);
+
+    const entries = await SupplierProduct.find({ storeId, supplierId })
+        .populate('productId', 'name sku costPrice variants')
+        .sort({ createdAt: 1 });
+
+    return entries.map(entry => {
+        const product = entry.productId;
+        const variant = entry.variantId
+            ? product?.variants?.find(v => String(v._id) === String(entry.variantId))
+            : null;
+
+        return {
+            ...entry.toJSON(),
+            productId: product?._id || null,
+            productName: product?.name || 'Deleted product',
+            variantName: variant ? Product.variantLabel(variant) : null,
+            sku: variant?.sku || product?.sku,
+            currentCost: variant?.costPrice ?? product?.costPrice ?? 0
+        };
+    });
+}
+
+/**
+ * Add or update a product in a supplier's catalog
+ * @param {string} storeId - Store ID
+ * @param {string} supplierId - Supplier ID
+ * @param {Object} data - productId, variantId and the editable fields
+ */
+export async function saveCatalogEntry(storeId, supplierId, data) {
+    await loadSupplier(storeId, supplierId);
+
+    const product = mongoose.isValidObjectId(data.productId)
+        ? await Product.findOne({ _id: data.productId, storeId }).lean()
+        : null;
+    if (!product) {
+        throw new ValidationError('Product not found in this store');
+    }
+
+    const variantId = data.variantId || null;
+    if (variantId && !product.variants?.some(v => String(v._id) === String(variantId))) {
+        throw new ValidationError('Variant not found on this product');
+    }
+
+    const update = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (data[field] !== undefined) update[field] = data[field] === '' ? null : data[field];
+    }
+
+    return SupplierProduct.findOneAndUpdate(
+        { supplierId, productId: product._id, variantId },
+        { $set: update, $setOnInsert: { storeId } },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+}
+
+/**
+ * Remove a product from a supplier's catalog
+ */
+export async function removeCatalogEntry(storeId, supplierId, entryId) {
+    const entry = await SupplierProduct.findOneAndDelete({ _id: entryId, storeId, supplierId });
+    if (!entry) {
+        throw new NotFoundError('Catalog entry not found');
+    }
+    return entry;
+}
+
+/**
+ * Fill in purchase order lines from the supplier's catalog: unit cost when
+ * none was given, and the supplier's SKU
+ * @param {string} storeId - Store ID
+ * @param {string} supplierId - Supplier ID
+ * @param {Array} items - Purchase order lines
+ */
+export async function applyCatalogDefaults(storeId, supplierId, items = []) {
+    if (!supplierId || items.length === 0) return items;
+
+    const entries = keyEntries(await SupplierProduct.find({
+        storeId,
+        supplierId,
+        productId: { $in: items.map(item => item.productId) },
+        isActive: true
+    }).lean());
+
+    return items.map(item => {
+        const entry = entryFor(entries, item.productId, item.variantId);
+        if (!entry) return item;
+
+        const hasCost = item.costPrice !== undefined && item.costPrice !== null && !Number.isNaN(item.costPrice);
+        return {
+            ...item,
+            costPrice: hasCost ? item.costPrice : (entry.unitCost ?? entry.lastCost ?? 0),
+            supplierSku: item.supplierSku || entry.supplierSku
+        };
+    });
+}
+
+/**
+ * Record what was paid on received lines as the supplier's last cost,
+ * adding products to the catalog the first time they are received. Failures
+ * are logged and never fail the receipt itself.
+ * @param {Object} order - Purchase order
+ * @param {Array<{ itemId, quantity }>} receivedItems - Lines just received
+ */
+export async function recordReceivedCosts(order, receivedItems = []) {
+    if (!order.supplierId) return;
+
+    try {
+        const now = new Date();
+        const operations = receivedItems
+            .filter(received => received.quantity > 0)
+            .map(received => order.items.id(received.itemId))
+            .filter(Boolean)
+            .map(item => ({
+                updateOne: {
+                    filter: { supplierId: order.supplierId, productId: item.productId, variantId: item.variantId || null },
+                    update: {
+                        $set: { lastCost: item.costPrice, lastCostDate: now },
+                        $setOnInsert: item.supplierSku
+                            ? { storeId: order.storeId, supplierSku: item.supplierSku }
+                            : { storeId: order.storeId }
+                    },
+                    upsert: true
+                }
+            }));
+
+        if (operations.length > 0) {
+            await SupplierProduct.bulkWrite(operations);
+        }
+    } catch (error) {
+        console.error('Record received costs error:', error);
+    }
+}
+
+/**
+ * Make a supplier the one a product is normally bought from
+ * @param {string} storeId - Store ID
+ * @param {string} productId - Product ID
+ * @param {string} supplierId - Supplier ID
+ */
+export async function setPreferredSupplier(storeId, productId, supplierId) {
+    const supplier = await loadSupplier(storeId, supplierId);
+
+    const product = await Product.findOneAndUpdate(
+        { _id: productId, storeId },
+        { $set: { supplierId: supplier._id } },
+        { new: true }
+    );
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
+    return product;
+}
+
+/**
+ * Compare what each supplier charges for the same products, cheapest first
+ * @param {string} storeId - Store ID
+ * @param {Object} [options]
+ * @param {string} [options.productId] - Limit to one product
+ */
+export async function comparePrices(storeId, { productId } = {}) {
+    const query = { storeId, isActive: true };
+    if (productId) query.productId = productId;
+
+    const [entries, suppliers] = await Promise.all([
+        SupplierProduct.find(query).lean(),
+        Supplier.find({ storeId, isActive: true }).lean()
+    ]);
+    const supplierMap = new Map(suppliers.map(s => [String(s._id), s]));
+
+    const products = await Product.find({
+        _id: { $in: [...new Set(entries.map(e => String(e.productId)))] },
+        storeId
+    }).lean();
+    const productMap = new Map(products.map(p => [String(p._id), p]));
+
+    const units = new Map();
+    for (const entry of entries) {
+        const supplier = supplierMap.get(String(entry.supplierId));
+        const product = productMap.get(String(entry.productId));
+        const cost = entry.unitCost ?? entry.lastCost;
+        if (!supplier || !product || cost === undefined || cost === null) continue;
+
+        const key = unitKey(entry.productId, entry.variantId);
+        if (!units.has(key)) {
+            const variant = entry.variantId
+                ? product.variants?.find(v => String(v._id) === String(entry.variantId))
+                : null;
+            units.set(key, {
+                productId: product._id,
+                variantId: entry.variantId,
+                name: product.name,
+                variantName: variant ? Product.variantLabel(variant) : null,
+                sku: variant?.sku || product.sku,
+                currentCost: variant?.costPrice ?? product.costPrice ?? 0,
+                preferredSupplierId: product.supplierId || null,
+                offers: []
+            });
+        }
+
+        units.get(key).offers.push({
+            entryId: entry._id,
+            supplierId: supplier._id,
+            supplierName: supplier.name,
+            supplierSku: entry.supplierSku,
+            unitCost: entry.unitCost,
+            lastCost: entry.lastCost,
+            lastCostDate: entry.lastCostDate,
+            effectiveCost: cost,
+            minimumOrderQuantity: entry.minimumOrderQuantity,
+            casePackSize: entry.casePackSize,
+            leadTimeDays: entry.leadTimeDays ?? supplier.leadTimeDays,
+            preferred: String(supplier._id) === String(product.supplierId)
+        });
+    }
+
+    return [...units.values()]
+        .map(unit => {
+            unit.offers.sort((a, b) => a.effectiveCost - b.effectiveCost);
+            const cheapest = unit.offers[0];
+            const preferred = unit.offers.find(o => o.preferred);
+            return {
+                ...unit,
+                cheapestSupplierId: cheapest.supplierId,
+                // Saved per unit by switching from the preferred supplier
+                savings: preferred ? preferred.effectiveCost - cheapest.effectiveCost : 0
+            };
+        })
+        .sort((a, b) => b.savings - a.savings || a.name.localeCompare(b.name));
+}
+
+export default {
+    entryFor,
+    keyEntries,
+    listCatalog,
+    saveCatalogEntry,
+    removeCatalogEntry,
+    applyCatalogDefaults,
+    recordReceivedCosts,
+    setPreferredSupplier,
+    comparePrices
+};
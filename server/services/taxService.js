@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Tax Service
+ *
+ * Resolves which tax class applies to a sale line and calculates per-line,
+ * per-rate tax, including back-calculating tax out of tax-inclusive prices.
+ * The POS runs the same calculation offline (src/services/tax.js); keep the
+ * two in step.
+ */
+
+import { Store, Organization, TaxClass, Product, Category } from '../models/index.js';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Tax configuration for a store
+ * @param {string} storeId - Store ID
+ * @returns {Promise<{ classes: Array, pricesIncludeTax: boolean, fallbackRate: number }>}
+ */
+export async function getTaxConfig(storeId) {
+    const store = await Store.findById(storeId).lean();
+    const [classes, organization] = await Promise.all([
+        TaxClass.find({ storeId, isActive: true }).sort({ name: 1 }).lean(),
+        store?.organizationId ? Organization.findById(store.organizationId).lean() : null
+    ]);
+
+    return {
+        classes,
+        pricesIncludeTax: !!organization?.settings?.taxSettings?.taxIncludedInPrice,
+        // Stores without tax classes keep charging their single flat rate
+        fallbackRate: store?.taxRate ?? organization?.settings?.taxSettings?.defaultTaxRate ?? 0
+    };
+}
+
+/**
+ * Rates for a tax class, in the order they apply
+ * @param {Object} config - Tax configuration from getTaxConfig
+ * @param {string|null} taxClassId - Tax class to use, or null for the default
+ * @returns {{ taxClassId: string|null, rates: Array }}
+ */
+export function resolveRates(config, taxClassId) {
+    const taxClass = (taxClassId && config.classes.find(c => String(c._id) === String(taxClassId)))
+        || config.classes.find(c => c.isDefault);
+
+    if (taxClass) {
+        return {
+            taxClassId: taxClass._id,
+            rates: [...taxClass.rates].sort((a, b) => (a.priority || 0) - (b.priority || 0))
+        };
+    }
+
+    return {
+        taxClassId: null,
+        rates: config.fallbackRate > 0
+            ? [{ name: 'Tax', rate: config.fallbackRate, compound: false }]
+            : []
+    };
+}
+
+/**
+ * Tax on a net amount. Non-compound rates are charged on the amount;
+ * compound rates on the amount plus the tax charged before them.
+ * @param {number} amount - Taxable amount
+ * @param {Array} rates - Rates in priority order
+ * @returns {Array<{ name, rate, compound, amount }>}
+ */
+function applyRates(amount, rates) {
+    let accumulated = 0;
+    return rates.map(rate => {
+        const base = rate.compound ? amount + accumulated : amount;
+        const tax = base * (rate.rate / 100);
+        accumulated += tax;
+        return { name: rate.name, rate: rate.rate, compound: !!rate.compound, amount: tax };
+    });
+}
+
+/**
+ * Calculate tax for sale lines. The order discount is spread over the lines
+ * in proportion to their value before tax is worked out.
+ * @param {Array<{ price: number, quantity: number, promotionDiscount?: number, taxClassId?: string }>} lines - Sale lines
+ * @param {number} discount - Order-level discount amount
+ * @param {Object} config - Tax configuration from getTaxConfig
+ * @returns {{ lines: Array, taxes: Array, tax: number, pricesIncludeTax: boolean }}
+ */
+export function calculateTax(lines, discount, config) {
+    // Promotions come off each line before the order discount is spread
+    const lineAmount = (line) => line.price * line.quantity - (line.promotionDiscount || 0);
+    const subtotal = lines.reduce((sum, line) => sum + lineAmount(line), 0);
+    const discountRatio = subtotal > 0 ? Math.min(discount || 0, subtotal) / subtotal : 0;
+
+    const taxedLines = lines.map(line => {
+        const { taxClassId, rates } = resolveRates(config, line.taxClassId);
+        const amount = lineAmount(line) * (1 - discountRatio);
+
+        // Tax-inclusive prices: find the net amount that grows to the price once taxed
+        let net = amount;
+        if (config.pricesIncludeTax && rates.length > 0) {
+            const multiplier = 1 + applyRates(1, rates).reduce((sum, t) => sum + t.amount, 0);
+            net = amount / multiplier;
+        }
+
+        const taxes = applyRates(net, rates).map(t => ({ ...t, amount: roundCurrency(t.amount) }));
+        return {
+            ...line,
+            taxClassId,
+            taxes,
+            taxAmount: roundCurrency(taxes.reduce((sum, t) => sum + t.amount, 0))
+        };
+    });
+
+    return {
+        lines: taxedLines,
+        taxes: summarizeTaxes(taxedLines),
+        tax: roundCurrency(taxedLines.reduce((sum, line) => sum + line.taxAmount, 0)),
+        pricesIncludeTax: config.pricesIncludeTax
+    };
+}
+
+/**
+ * Total tax per rate across lines
+ */
+function summarizeTaxes(lines) {
+    const byRate = new Map();
+    for (const line of lines) {
+        for (const tax of line.taxes) {
+            const key = `${tax.name}|${tax.rate}|${tax.compound}`;
+            const entry = byRate.get(key) || { name: tax.name, rate: tax.rate, compound: tax.compound, amount: 0 };
+            entry.amount = roundCurrency(entry.amount + tax.amount);
+            byRate.set(key, entry);
+        }
+    }
+    return [...byRate.values()];
+}
+
+/**
+ * Work out each line's tax class: its product's class, then its category's,
+ * otherwise the store default
+ * @param {string} storeId - Store ID
+ * @param {Array} items - Sale items with productId
+ * @returns {Promise<Array>} Items with taxClassId filled in where one applies
+ */
+export async function assignTaxClasses(storeId, items) {
+    const products = await Product.find({
+        storeId,
+        _id: { $in: items.map(i => i.productId) }
+    }).select('taxClassId categoryId').lean();
+
+    const categoryIds = products.map(p => p.categoryId).filter(Boolean);
+    const categories = categoryIds.length > 0
+        ? await Category.find({ _id: { $in: categoryIds } }).select('taxClassId').lean()
+        : [];
+
+    const productMap = new Map(products.map(p => [String(p._id), p]));
+    const categoryMap = new Map(categories.map(c => [String(c._id), c]));
+
+    return items.map(item => {
+        const product = productMap.get(String(item.productId));
+        const category = product?.categoryId ? categoryMap.get(String(product.categoryId)) : null;
+        return {
+            ...item,
+            taxClassId: item.taxClassId || product?.taxClassId || category?.taxClassId || null
+        };
+    });
+}
+
+export default {
+    getTaxConfig,
+    resolveRates,
+    calculateTax,
+    assignTaxClasses
+};
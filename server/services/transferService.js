@@ -0,0 +1,576 @@
+/**
+ * @fileoverview Inventory Transfer Service
+ *
+ * Request, ship, receive and cancel transfer orders between stores. Stock
+ * leaves the sending store when a transfer ships and arrives at the
+ * receiving store when it is received; in between it is in transit. Products
+ * are matched across stores by SKU, then barcode, and copied to the
+ * receiving store when it has no match.
+ */
+
+import { Store, Product, StockMovement, TransferOrder } from '../models/index.js';
+import { findNewlyLowStock } from './inventoryService.js';
+import { invalidateEntityCache } from './cacheService.js';
+import { publish } from './eventBus.js';
+import { addCostLayer, consumeCostLayers } from './costingService.js';
+import { withTransaction } from '../utils/transaction.js';
+import { NotFoundError, ValidationError, AuthorizationError, ConflictError } from '../utils/errors.js';
+
+const OPEN_STATUSES = ['requested', 'in_transit'];
+
+/**
+ * Whether a user may act for a store
+ */
+function canAccessStore(store, user) {
+    return user.role === 'admin' || store.canAccess(user._id);
+}
+
+/**
+ * Load both stores of a transfer
+ */
+async function loadStores(fromStoreId, toStoreId) {
+    const [fromStore, toStore] = await Promise.all([
+        Store.findById(fromStoreId),
+        Store.findById(toStoreId)
+    ]);
+
+    if (!fromStore) {
+        throw new NotFoundError('Source store not found');
+    }
+    if (!toStore) {
+        throw new NotFoundError('Destination store not found');
+    }
+    return { fromStore, toStore };
+}
+
+/**
+ * Load a transfer and its stores, checking the user may act for `side`
+ * ('from', 'to' or 'either')
+ */
+async function loadTransfer(transferId, user, side) {
+    const transfer = await TransferOrder.findById(transferId);
+    if (!transfer) {
+        throw new NotFoundError('Transfer not found');
+    }
+
+    const { fromStore, toStore } = await loadStores(transfer.fromStoreId, transfer.toStoreId);
+    const allowed = {
+        from: canAccessStore(fromStore, user),
+        to: canAccessStore(toStore, user),
+        either: canAccessStore(fromStore, user) || canAccessStore(toStore, user)
+    };
+
+    if (!allowed[side]) {
+        const storeName = side === 'to' ? toStore.name : fromStore.name;
+        throw new AuthorizationError(`You do not have access to ${storeName}`);
+    }
+    return { transfer, fromStore, toStore };
+}
+
+/**
+ * Move a transfer from one status to the next, failing if someone else
+ * already did
+ */
+async function claimTransfer(transfer, fromStatus, update, { session } = {}) {
+    const claimed = await TransferOrder.findOneAndUpdate(
+        { _id: transfer._id, status: fromStatus },
+        { $set: update },
+        { new: true, session }
+    );
+    if (!claimed) {
+        throw new ConflictError(`Transfer ${transfer.transferNumber} is no longer ${fromStatus.replace('_', ' ')}`);
+    }
+    return claimed;
+}
+
+/**
+ * Build transfer lines from the requested products, merging repeats
+ */
+async function buildItems(fromStoreId, requested) {
+    if (!Array.isArray(requested) || requested.length === 0) {
+        throw new ValidationError('At least one item is required');
+    }
+
+    const products = await Product.find({
+        _id: { $in: requested.map(item => item.productId) },
+        storeId: fromStoreId
+    });
+    const productsById = new Map(products.map(p => [String(p._id), p]));
+
+    const items = new Map();
+    for (const { productId, variantId, quantity } of requested) {
+        const qty = Number(quantity);
+        if (!Number.isInteger(qty) || qty <= 0) {
+            throw new ValidationError('Quantity must be a whole number greater than 0');
+        }
+
+        const product = productsById.get(String(productId));
+        if (!product) {
+            throw new NotFoundError('Product not found in source store');
+        }
+
+        const variant = variantId ? product.variants.id(variantId) : null;
+        if (variantId && !variant) {
+            throw new NotFoundError(`Variant not found for ${product.name}`);
+        }
+        if (!variant && product.variants.length > 0) {
+            throw new ValidationError(`Choose a variant of ${product.name} to transfer`);
+        }
+
+        const key = `${product._id}:${variant?._id || ''}`;
+        const existing = items.get(key);
+        if (existing) {
+            existing.quantityRequested += qty;
+            continue;
+        }
+
+        items.set(key, {
+            productId: product._id,
+            variantId: variant?._id,
+            name: product.name,
+            variantName: variant ? Product.variantLabel(variant) : undefined,
+            sku: (variant ? variant.sku : product.sku) || undefined,
+            barcode: (variant ? variant.barcode : product.barcode) || undefined,
+            costPrice: variant?.costPrice ?? product.costPrice ?? 0,
+            quantityRequested: qty
+        });
+    }
+
+    return [...items.values()];
+}
+
+/**
+ * Request a transfer
+ * @param {Object} data - { fromStoreId, toStoreId, items: [{ productId, variantId, quantity }], reason, notes }
+ * @param {Object} user - Requesting user
+ * @returns {Promise<TransferOrder>}
+ */
+export async function createTransfer({ fromStoreId, toStoreId, items, reason, notes }, user) {
+    if (!fromStoreId || !toStoreId) {
+        throw new ValidationError('fromStoreId and toStoreId are required');
+    }
+    if (String(fromStoreId) === String(toStoreId)) {
+        throw new ValidationError('Cannot transfer to the same store');
+    }
+
+    const { fromStore, toStore } = await loadStores(fromStoreId, toStoreId);
+    if (!canAccessStore(fromStore, user) && !canAccessStore(toStore, user)) {
+        throw new AuthorizationError('You do not have access to either store');
+    }
+
+    return TransferOrder.create({
+        transferNumber: await TransferOrder.generateTransferNumber(),
+        fromStoreId,
+        toStoreId,
+        items: await buildItems(fromStoreId, items),
+        reason,
+        notes,
+        requestedBy: user._id
+    });
+}
+
+/**
+ * Ship a requested transfer, taking the stock out of the sending store
+ * @param {string} transferId - Transfer ID
+ * @param {Object} data - { items: [{ itemId, quantity }] }; lines not listed
+ *   ship the quantity requested
+ * @param {Object} user - Shipping user (must have access to the sending store)
+ * @returns {Promise<TransferOrder>}
+ */
+export async function shipTransfer(transferId, { items = [] } = {}, user) {
+    const { transfer, fromStore, toStore } = await loadTransfer(transferId, user, 'from');
+    if (transfer.status !== 'requested') {
+        throw new ConflictError('Only requested transfers can be shipped');
+    }
+
+    const shipped = new Map(items.map(item => [String(item.itemId), Number(item.quantity)]));
+    const lines = transfer.items.map(item => {
+        const quantity = shipped.has(String(item._id)) ? shipped.get(String(item._id)) : item.quantityRequested;
+        if (!Number.isInteger(quantity) || quantity < 0 || quantity > item.quantityRequested) {
+            throw new ValidationError(`Quantity shipped for ${item.name} must be between 0 and ${item.quantityRequested}`);
+        }
+        return { item, quantity };
+    });
+
+    if (!lines.some(line => line.quantity > 0)) {
+        throw new ValidationError('Nothing to ship');
+    }
+
+    // Check stock for every line before any of it moves
+    const products = await Product.find({ _id: { $in: transfer.items.map(item => item.productId) } });
+    const productsById = new Map(products.map(p => [String(p._id), p]));
+    for (const { item, quantity } of lines) {
+        if (quantity === 0) continue;
+
+        const product = productsById.get(String(item.productId));
+        const stockHolder = item.variantId ? product?.variants.id(item.variantId) : product;
+        if (!stockHolder) {
+            throw new NotFoundError(`${item.name} no longer exists in ${fromStore.name}`);
+        }
+        if (stockHolder.quantity < quantity) {
+            throw new ValidationError(
+                `Insufficient stock of ${item.name}${item.variantName ? ` (${item.variantName})` : ''}. ` +
+                `Available: ${stockHolder.quantity}, Requested: ${quantity}`
+            );
+        }
+    }
+
+    // The claim, the stock leaving, the cost layers drawn down and the
+    // shipped quantities commit together, so a failure part way leaves the
+    // transfer requested with nothing moved
+    const claimed = await withTransaction(async (session) => {
+        const claimedTransfer = await claimTransfer(transfer, 'requested', {
+            status: 'in_transit',
+            shippedBy: user._id,
+            shippedAt: new Date()
+        }, { session });
+
+        for (const { item, quantity } of lines) {
+            const line = claimedTransfer.items.id(item._id);
+            line.quantityShipped = quantity;
+            if (quantity === 0) continue;
+
+            await StockMovement.createMovement({
+                storeId: transfer.fromStoreId,
+                productId: item.productId,
+                variantId: item.variantId,
+                type: 'transfer_out',
+                quantity: -quantity,
+                reason: `Shipped on transfer ${transfer.transferNumber}`,
+                referenceType: 'Transfer',
+                referenceId: transfer._id,
+                fromLocation: fromStore.name,
+                toLocation: toStore.name,
+                performedBy: user._id
+            }, { session });
+
+            // Shipped stock carries its cost to the receiving store
+            const { unitCost } = await consumeCostLayers({
+                storeId: transfer.fromStoreId,
+                productId: item.productId,
+                variantId: item.variantId,
+                quantity
+            }, { session });
+            line.unitCost = unitCost;
+        }
+
+        await claimedTransfer.save({ session });
+        return claimedTransfer;
+    });
+
+    const applied = lines.filter(({ quantity }) => quantity > 0);
+    await Promise.all(applied.map(({ item }) => invalidateEntityCache('products', transfer.fromStoreId, item.productId)));
+
+    const context = { storeId: transfer.fromStoreId, userId: user._id };
+    const lowStock = await findNewlyLowStock(transfer.fromStoreId,
+        applied.map(({ item, quantity }) => ({ productId: item.productId, quantity })));
+    for (const product of lowStock) {
+        await publish('product.low_stock', product, context);
+    }
+
+    return claimed;
+}
+
+/**
+ * Copy a product from the sending store into the receiving store, with no stock
+ */
+async function copyProduct(item, toStoreId, session) {
+    const source = await Product.findById(item.productId).session(session).lean();
+    if (!source) {
+        throw new NotFoundError(`${item.name} has no match in the destination store and no longer exists in the source store`);
+    }
+
+    // Category and tax class belong to the sending store
+    const [copy] = await Product.create([{
+        storeId: toStoreId,
+        name: source.name,
+        sku: source.sku,
+        barcode: source.barcode,
+        price: source.price,
+        costPrice: source.costPrice,
+        lowStockThreshold: source.lowStockThreshold,
+        imageUrl: source.imageUrl,
+        options: source.options,
+        variants: (source.variants || []).map(variant => ({
+            options: variant.options,
+            sku: variant.sku,
+            barcode: variant.barcode,
+            price: variant.price,
+            costPrice: variant.costPrice,
+            isActive: variant.isActive,
+            quantity: 0
+        })),
+        quantity: 0
+    }], { session });
+    return copy;
+}
+
+/**
+ * Find (or create) the product and variant in the receiving store that a
+ * transfer line arrives as, matching by SKU then barcode (by name only for
+ * products with neither)
+ * @param {Object} item - Transfer line
+ * @param {string} toStoreId - Receiving store
+ * @param {Map} copies - Products already copied during this receipt, by source product
+ * @param {ClientSession} session - Receipt transaction, so copies roll back with it
+ */
+async function matchProduct(item, toStoreId, copies, session) {
+    const codes = [item.sku, item.barcode].filter(Boolean);
+    let match = null;
+    for (const code of codes) {
+        match = await Product.findByCode(toStoreId, code, { session });
+        if (match) break;
+    }
+    if (!match && codes.length === 0) {
+        const byName = await Product.findOne({ storeId: toStoreId, name: item.name }).session(session);
+        if (byName) match = { product: byName, variant: null };
+    }
+
+    let product = match?.product || copies.get(String(item.productId));
+    if (!product) {
+        product = await copyProduct(item, toStoreId, session);
+        copies.set(String(item.productId), product);
+    }
+    let variant = match?.variant || null;
+
+    if (!variant && product.variants.length > 0) {
+        // Matched the parent product: find the variant by its options
+        variant = product.variants.find(v =>
+            (item.sku && v.sku === item.sku) ||
+            (item.barcode && v.barcode === item.barcode) ||
+            (item.variantName && Product.variantLabel(v) === item.variantName)
+        );
+
+        if (!variant) {
+            throw new ValidationError(
+                `${item.name}${item.variantName ? ` (${item.variantName})` : ''} matches a product in the destination store but none of its variants`
+            );
+        }
+    }
+
+    return { product, variant };
+}
+
+/**
+ * Receive an in-transit transfer, adding the stock to the receiving store
+ * @param {string} transferId - Transfer ID
+ * @param {Object} data - { items: [{ itemId, quantityReceived, discrepancyReason }] };
+ *   lines not listed are received as shipped
+ * @param {Object} user - Receiving user (must have access to the receiving store)
+ * @returns {Promise<TransferOrder>}
+ */
+export async function receiveTransfer(transferId, { items = [] } = {}, user) {
+    const { transfer, fromStore, toStore } = await loadTransfer(transferId, user, 'to');
+    if (transfer.status !== 'in_transit') {
+        throw new ConflictError('Only in-transit transfers can be received');
+    }
+
+    const received = new Map(items.map(item => [String(item.itemId), item]));
+    const lines = transfer.items.map(item => {
+        const entry = received.get(String(item._id));
+        const quantity = entry?.quantityReceived !== undefined ? Number(entry.quantityReceived) : item.quantityShipped;
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            throw new ValidationError(`Invalid quantity received for ${item.name}`);
+        }
+        return { item, quantity, reason: entry?.discrepancyReason };
+    });
+
+    // The claim, any products copied to the receiving store, the stock and
+    // the cost layers commit together, so a line that cannot be matched or a
+    // failure part way leaves the transfer in transit with nothing added
+    const { claimed, received: receivedProducts } = await withTransaction(async (session) => {
+        const claimedTransfer = await claimTransfer(transfer, 'in_transit', {
+            status: 'received',
+            receivedBy: user._id,
+            receivedAt: new Date()
+        }, { session });
+
+        const copies = new Map();
+        const productIds = [];
+        for (const { item, quantity, reason } of lines) {
+            const line = claimedTransfer.items.id(item._id);
+            line.quantityReceived = quantity;
+            line.discrepancy = quantity - item.quantityShipped;
+            if (line.discrepancy !== 0) {
+                line.discrepancyReason = reason || (line.discrepancy < 0 ? 'Short on arrival' : 'Over on arrival');
+            }
+
+            if (quantity === 0) continue;
+            const target = await matchProduct(item, transfer.toStoreId, copies, session);
+            line.toProductId = target.product._id;
+            line.toVariantId = target.variant?._id;
+
+            await StockMovement.createMovement({
+                storeId: transfer.toStoreId,
+                productId: target.product._id,
+                variantId: target.variant?._id,
+                type: 'transfer_in',
+                quantity,
+                reason: `Received on transfer ${transfer.transferNumber}`,
+                referenceType: 'Transfer',
+                referenceId: transfer._id,
+                fromLocation: fromStore.name,
+                toLocation: toStore.name,
+                performedBy: user._id,
+                notes: line.discrepancy !== 0 ? `${line.discrepancy > 0 ? '+' : ''}${line.discrepancy}: ${line.discrepancyReason}` : undefined
+            }, { session });
+            await addCostLayer({
+                storeId: transfer.toStoreId,
+                productId: target.product._id,
+                variantId: target.variant?._id,
+                quantity,
+                unitCost: line.unitCost ?? line.costPrice,
+                source: 'transfer',
+                referenceType: 'TransferOrder',
+                referenceId: transfer._id
+            }, { session });
+            productIds.push(target.product._id);
+        }
+
+        claimedTransfer.hasDiscrepancies = claimedTransfer.items.some(line => line.discrepancy !== 0);
+        await claimedTransfer.save({ session });
+
+        return { claimed: claimedTransfer, received: productIds };
+    });
+
+    await Promise.all(receivedProducts.map(productId =>
+        invalidateEntityCache('products', transfer.toStoreId, productId)));
+
+    await publish('inventory.received', { transfer: claimed }, { storeId: transfer.toStoreId, userId: user._id });
+
+    return claimed;
+}
+
+/**
+ * Cancel a transfer that has not shipped
+ * @param {string} transferId - Transfer ID
+ * @param {Object} user - User with access to either store
+ * @returns {Promise<TransferOrder>}
+ */
+export async function cancelTransfer(transferId, user) {
+    const { transfer } = await loadTransfer(transferId, user, 'either');
+    if (transfer.status !== 'requested') {
+        throw new ConflictError('Only transfers that have not shipped can be cancelled');
+    }
+
+    return claimTransfer(transfer, 'requested', {
+        status: 'cancelled',
+        cancelledBy: user._id,
+        cancelledAt: new Date()
+    });
+}
+
+/**
+ * Get a transfer the user can see
+ */
+export async function getTransfer(transferId, user) {
+    const { transfer } = await loadTransfer(transferId, user, 'either');
+    return transfer;
+}
+
+/**
+ * Transfers into or out of a store
+ * @param {string} storeId - Store ID
+ * @param {Object} [filters] - { direction: 'incoming'|'outgoing', status, open, limit }
+ */
+export async function listTransfers(storeId, { direction, status, open, limit = 50 } = {}) {
+    const sides = {
+        incoming: [{ toStoreId: storeId }],
+        outgoing: [{ fromStoreId: storeId }]
+    };
+    const query = { $or: sides[direction] || [...sides.incoming, ...sides.outgoing] };
+
+    if (status) query.status = status;
+    else if (open) query.status = { $in: OPEN_STATUSES };
+
+    return TransferOrder.find(query)
+        .populate('fromStoreId', 'name')
+        .populate('toStoreId', 'name')
+        .populate('requestedBy', 'name')
+        .sort({ createdAt: -1 })
+        .limit(Math.min(Number(limit) || 50, 200));
+}
+
+/**
+ * Units in transit into and out of a store, per product line
+ * @param {string} storeId - Store ID
+ * @returns {Promise<{ incoming: Array, outgoing: Array }>}
+ */
+export async function getInTransit(storeId) {
+    const transfers = await TransferOrder.find({
+        status: 'in_transit',
+        $or: [{ fromStoreId: storeId }, { toStoreId: storeId }]
+    }).lean();
+
+    const summarize = (list) => {
+        const lines = new Map();
+        for (const transfer of list) {
+            for (const item of transfer.items) {
+                if (item.quantityShipped === 0) continue;
+                const key = item.sku || item.barcode || `${item.productId}:${item.variantId || ''}`;
+                const line = lines.get(key) || {
+                    sku: item.sku,
+                    barcode: item.barcode,
+                    name: item.name,
+                    variantName: item.variantName,
+                    quantity: 0,
+                    transfers: []
+                };
+                line.quantity += item.quantityShipped;
+                line.transfers.push(transfer.transferNumber);
+                lines.set(key, line);
+            }
+        }
+        return [...lines.values()];
+    };
+
+    return {
+        incoming: summarize(transfers.filter(t => String(t.toStoreId) === String(storeId))),
+        outgoing: summarize(transfers.filter(t => String(t.fromStoreId) === String(storeId)))
+    };
+}
+
+/**
+ * Products a user can pick from when building a transfer out of a store
+ * @param {string} storeId - Store ID
+ * @param {Object} user - Current user
+ * @param {string} [search] - Name, SKU or barcode filter
+ */
+export async function getTransferableProducts(storeId, user, search) {
+    const store = await Store.findById(storeId);
+    if (!store) {
+        throw new NotFoundError('Store not found');
+    }
+    if (!canAccessStore(store, user)) {
+        throw new AuthorizationError('You do not have access to this store');
+    }
+
+    const query = { storeId, isActive: true };
+    if (search) {
+        const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+        query.$or = [
+            { name: pattern },
+            { sku: pattern },
+            { barcode: pattern },
+            { 'variants.sku': pattern },
+            { 'variants.barcode': pattern }
+        ];
+    }
+
+    return Product.find(query)
+        .select('name sku barcode quantity variants options')
+        .sort({ name: 1 })
+        .limit(50)
+        .lean();
+}
+
+export default {
+    createTransfer,
+    shipTransfer,
+    receiveTransfer,
+    cancelTransfer,
+    getTransfer,
+    listTransfers,
+    getInTransit,
+    getTransferableProducts
+};
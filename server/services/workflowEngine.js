@@ -5,10 +5,24 @@
  */
 
 import Workflow from '../models/Workflow.js';
+import WorkflowRun from '../models/WorkflowRun.js';
 import { Sale, Product, Customer, Employee, Store, User } from '../models/index.js';
 import nodemailer from 'nodemailer';
+import { getSocket } from './eventBus.js';
+import { NotFoundError, AuthorizationError, ConflictError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 
+// Steps that park the run in the database instead of running in-process
+const PAUSING_ACTIONS = ['delay', 'approval'];
+
+// Delays up to this long are also resumed by a local timer, not just the
+// scheduler's once-a-minute sweep
+const LOCAL_RESUME_MS = 60 * 1000;
+
+// A running run saves before and after every step; one not saved for this
+// long was left behind by a server that stopped, and is picked up again
+const STALE_RUN_MS = 10 * 60 * 1000;
+
 class WorkflowEngine {
     constructor() {
         this.executionQueue = [];
@@ -47,70 +61,437 @@ class WorkflowEngine {
     }
 
     /**
-     * Trigger workflows for an event
+     * Ids of the store's active workflows an event triggers. The event bus
+     * runs each in its own job (runTriggeredWorkflow) so one that fails is
+     * retried without re-running the others.
      */
-    async trigger(eventType, data, context) {
-        try {
-            // Find active workflows for this trigger type
-            const workflows = await Workflow.getActiveWorkflows(context.storeId, eventType);
+    async getTriggeredWorkflows(eventType, data, context) {
+        // Find active workflows for this trigger type
+        const workflows = await Workflow.getActiveWorkflows(context.storeId, eventType);
 
-            logger.info(`Found ${workflows.length} workflows for ${eventType}`);
+        logger.info(`Found ${workflows.length} workflows for ${eventType}`);
 
-            for (const workflow of workflows) {
+        return workflows
+            .filter(workflow => {
                 // Check trigger conditions
-                if (!workflow.checkTriggerConditions(data)) {
-                    logger.debug(`Workflow ${workflow.name} conditions not met`);
-                    continue;
-                }
+                if (workflow.checkTriggerConditions(data)) return true;
+                logger.debug(`Workflow ${workflow.name} conditions not met`);
+                return false;
+            })
+            .map(workflow => String(workflow._id));
+    }
 
-                // Execute workflow
-                this.executeWorkflow(workflow, data, context).catch(error => {
-                    logger.error(`Error executing workflow ${workflow.name}:`, error);
-                });
-            }
-        } catch (error) {
-            logger.error('Error triggering workflows:', error);
+    /**
+     * Run one workflow an event triggered. Skipped if the workflow has since
+     * been turned off or deleted; rejects if the run failed, so the event bus
+     * retries.
+     */
+    async runTriggeredWorkflow(workflowId, data, context) {
+        const workflow = await Workflow.findOne({
+            _id: workflowId,
+            storeId: context.storeId,
+            isActive: true,
+            isDeleted: false
+        });
+        if (!workflow) {
+            logger.debug(`Workflow ${workflowId} is no longer active; skipped`);
+            return null;
         }
+
+        return this.executeWorkflow(workflow, data, context);
     }
 
     /**
-     * Execute a workflow
+     * Start a run of a workflow. Resolves once the run completes or parks on
+     * a delay or approval step; rejects if it failed, so the event bus retries.
+     * @returns {Promise<WorkflowRun>}
      */
     async executeWorkflow(workflow, triggerData, context) {
         logger.info(`Executing workflow: ${workflow.name}`);
 
-        try {
-            // Sort actions by order
-            const actions = workflow.actions.sort((a, b) => a.order - b.order);
-
-            // Execute actions sequentially
-            for (const action of actions) {
-                try {
-                    await this.executeAction(action, triggerData, context, workflow);
-                } catch (error) {
-                    logger.error(`Error executing action ${action.type}:`, error);
-
-                    if (!action.continueOnError) {
-                        throw error; // Stop workflow execution
-                    }
+        const actions = workflow.actions
+            .map(action => (action.toObject ? action.toObject() : action))
+            .sort((a, b) => a.order - b.order);
+
+        const run = await WorkflowRun.create({
+            workflowId: workflow._id,
+            workflowName: workflow.name,
+            storeId: context.storeId || workflow.storeId,
+            organizationId: context.organizationId || workflow.organizationId,
+            triggerType: context.event?.type || workflow.trigger.type,
+            // Plain JSON so the run resumes with the same data it started with
+            triggerData: JSON.parse(JSON.stringify(triggerData ?? {})),
+            context: JSON.parse(JSON.stringify({
+                storeId: context.storeId || workflow.storeId,
+                organizationId: context.organizationId || workflow.organizationId,
+                userId: context.userId,
+                event: context.event
+            })),
+            actions
+        });
+
+        await this.continueRun(run);
+
+        if (run.status === 'failed') {
+            throw new Error(run.error);
+        }
+        return run;
+    }
+
+    /**
+     * Run a run's remaining steps until it finishes or parks
+     * @returns {Promise<WorkflowRun>}
+     */
+    async continueRun(run) {
+        const context = { ...run.context, io: getSocket() };
+
+        while (run.currentStep < run.actions.length) {
+            const action = run.actions[run.currentStep];
+
+            if (PAUSING_ACTIONS.includes(action.type)) {
+                return this.parkRun(run, action, context);
+            }
+
+            // Record the step as started; the save also marks the run as alive
+            this.setStep(run, { status: 'running', startedAt: new Date() });
+            await run.save();
+
+            try {
+                const output = await this.executeAction(action, run.triggerData, context);
+                this.settleStep(run, { output });
+            } catch (error) {
+                logger.error(`Error executing action ${action.type}:`, error);
+                if (!this.settleStep(run, { error })) {
+                    return this.finishRun(run, error);
                 }
             }
 
-            // Record successful execution
-            await workflow.recordExecution(true);
-            logger.info(`Workflow ${workflow.name} completed successfully`);
-        } catch (error) {
-            // Record failed execution
-            await workflow.recordExecution(false, error);
-            logger.error(`Workflow ${workflow.name} failed:`, error);
-            throw error;
+            await run.save();
+        }
+
+        return this.finishRun(run);
+    }
+
+    /**
+     * Park a run on a delay or approval step
+     */
+    async parkRun(run, action, context) {
+        const config = action.config || {};
+        const now = Date.now();
+        let duration = null;
+
+        if (action.type === 'delay') {
+            duration = Math.max(0, Number(config.duration) || 0);
+            run.waitingFor = 'delay';
+            run.resumeAt = new Date(now + duration);
+            logger.info(`Workflow ${run.workflowName} waiting ${duration}ms`);
+        } else {
+            run.waitingFor = 'approval';
+            run.approval = {
+                approvers: (config.approvers || [])
+                    .map(approver => this.replaceVariables(approver, run.triggerData, context))
+                    .filter(Boolean),
+                requiredApprovals: Math.max(1, Number(config.requiredApprovals) || 1),
+                decisions: []
+            };
+            // Timeout is in minutes; without one the run waits until decided
+            run.resumeAt = config.timeout ? new Date(now + config.timeout * 60 * 1000) : null;
+
+            this.notifyApprovers(run, context);
+            logger.info(`Workflow ${run.workflowName} waiting for approval`);
+        }
+
+        this.setStep(run, { status: 'waiting' });
+        run.status = 'waiting';
+        await run.save();
+
+        if (duration !== null && duration <= LOCAL_RESUME_MS) {
+            setTimeout(() => {
+                this.resumeRun(run._id).catch(error => {
+                    logger.error(`Failed to resume workflow run ${run._id}:`, error);
+                });
+            }, duration);
+        }
+        return run;
+    }
+
+    /**
+     * Tell approvers (or the whole store, if anyone may approve) that a run
+     * is waiting for them
+     */
+    notifyApprovers(run, context) {
+        if (!context.io) return;
+
+        const notification = {
+            title: 'Approval needed',
+            message: `Workflow "${run.workflowName}" is waiting for approval`,
+            priority: 'high',
+            timestamp: new Date(),
+            source: 'workflow',
+            workflowRunId: run._id
+        };
+
+        const rooms = run.approval.approvers.length > 0
+            ? run.approval.approvers.map(userId => `user:${userId}`)
+            : [`store:${run.storeId}`];
+
+        for (const room of rooms) {
+            context.io.to(room).emit('notification', notification);
+        }
+    }
+
+    /**
+     * Create or update the step record for the run's current action
+     */
+    setStep(run, fields) {
+        let step = run.steps.find(s => s.index === run.currentStep);
+        if (!step) {
+            const action = run.actions[run.currentStep];
+            run.steps.push({ index: run.currentStep, type: action.type, input: action.config });
+            step = run.steps[run.steps.length - 1];
+        }
+        Object.assign(step, fields);
+    }
+
+    /**
+     * Record how the current step ended and move past it
+     * @returns {boolean} false if the step failed and the run must stop
+     */
+    settleStep(run, { output, error }) {
+        const action = run.actions[run.currentStep];
+
+        this.setStep(run, error
+            ? { status: 'failed', error: error.message, finishedAt: new Date() }
+            : { status: 'completed', output: output ?? null, finishedAt: new Date() });
+
+        if (error && !action.continueOnError) {
+            return false;
+        }
+
+        run.currentStep += 1;
+        return true;
+    }
+
+    /**
+     * Mark a run completed or failed and update the workflow's stats
+     */
+    async finishRun(run, error = null) {
+        run.status = error ? 'failed' : 'completed';
+        run.error = error?.message;
+        run.waitingFor = null;
+        run.resumeAt = null;
+        run.finishedAt = new Date();
+        await run.save();
+
+        const workflow = await Workflow.findById(run.workflowId);
+        if (workflow) {
+            await workflow.recordExecution(!error, error);
+        }
+
+        if (error) {
+            logger.error(`Workflow ${run.workflowName} failed:`, error);
+        } else {
+            logger.info(`Workflow ${run.workflowName} completed successfully`);
+        }
+        return run;
+    }
+
+    /**
+     * Resume a waiting run whose delay has ended or whose approval timed out
+     * @returns {Promise<WorkflowRun|null>} null if it is not due or another
+     *   server already resumed it
+     */
+    async resumeRun(runId) {
+        const run = await WorkflowRun.findOneAndUpdate(
+            { _id: runId, status: 'waiting', resumeAt: { $lte: new Date() } },
+            { $set: { status: 'running' } },
+            { new: true }
+        );
+        if (!run) return null;
+
+        return this.settleWait(run);
+    }
+
+    /**
+     * Settle the delay or approval step a claimed run was waiting on and run
+     * the rest of it. An approval is rejected if anyone rejected it, passed
+     * if enough approved, and otherwise timed out.
+     */
+    async settleWait(run) {
+        let error = null;
+        let output = { resumedAt: new Date() };
+
+        if (run.waitingFor === 'approval') {
+            const { decisions, requiredApprovals } = run.approval;
+            const rejection = decisions.find(d => d.decision === 'rejected');
+            const approvals = decisions.filter(d => d.decision === 'approved').length;
+
+            if (rejection) {
+                error = new Error(`Rejected${rejection.comment ? `: ${rejection.comment}` : ''}`);
+            } else if (approvals < requiredApprovals) {
+                error = new Error('Approval timed out');
+            }
+            output = { decisions };
+        }
+        run.waitingFor = null;
+        run.resumeAt = null;
+
+        if (!this.settleStep(run, { error, output })) {
+            return this.finishRun(run, error);
+        }
+
+        await run.save();
+        return this.continueRun(run);
+    }
+
+    /**
+     * Pick up a run left running by a server that stopped mid-run, from the
+     * step it was on (that step runs again)
+     * @returns {Promise<WorkflowRun|null>} null if it is not stale or another
+     *   server already picked it up
+     */
+    async recoverRun(runId) {
+        const run = await WorkflowRun.findOneAndUpdate(
+            { _id: runId, status: 'running', updatedAt: { $lte: new Date(Date.now() - STALE_RUN_MS) } },
+            { $set: { updatedAt: new Date() } },
+            { new: true, timestamps: false }
+        );
+        if (!run) return null;
+
+        logger.warn(`Recovering workflow run ${run._id} (${run.workflowName}) at step ${run.currentStep}`);
+
+        // Claimed off a delay or approval but stopped before settling it
+        if (run.waitingFor) {
+            return this.settleWait(run);
         }
+        return this.continueRun(run);
+    }
+
+    /**
+     * Resume every waiting run that is due, and recover runs left running by
+     * a server that stopped (called by the scheduler and at startup)
+     */
+    async resumeDueRuns() {
+        const [runs, staleRuns] = await Promise.all([
+            WorkflowRun.find({
+                status: 'waiting',
+                resumeAt: { $lte: new Date() }
+            }).select('_id'),
+            WorkflowRun.find({
+                status: 'running',
+                updatedAt: { $lte: new Date(Date.now() - STALE_RUN_MS) }
+            }).select('_id')
+        ]);
+
+        const failures = [];
+        let resumed = 0;
+        let recovered = 0;
+
+        for (const { _id } of runs) {
+            try {
+                if (await this.resumeRun(_id)) resumed += 1;
+            } catch (error) {
+                logger.error(`Failed to resume workflow run ${_id}:`, error);
+                failures.push(`${_id}: ${error.message}`);
+            }
+        }
+
+        for (const { _id } of staleRuns) {
+            try {
+                if (await this.recoverRun(_id)) recovered += 1;
+            } catch (error) {
+                logger.error(`Failed to recover workflow run ${_id}:`, error);
+                failures.push(`${_id}: ${error.message}`);
+            }
+        }
+
+        return {
+            due: runs.length,
+            resumed,
+            stale: staleRuns.length,
+            recovered,
+            failed: failures.length,
+            failures
+        };
+    }
+
+    /**
+     * Approve or reject a run waiting on an approval step. Once enough users
+     * approve (or anyone rejects) the run moves on in the background.
+     * @param {string} runId - Workflow run ID
+     * @param {Object} options
+     * @param {string} options.storeId - Store the run must belong to
+     * @param {string} options.userId - User deciding
+     * @param {string} options.decision - 'approved' or 'rejected'
+     * @param {string} [options.comment]
+     * @returns {Promise<WorkflowRun>}
+     */
+    async decideApproval(runId, { storeId, userId, decision, comment }) {
+        const run = await WorkflowRun.findOne({ _id: runId, storeId });
+        if (!run) {
+            throw new NotFoundError('Workflow run not found');
+        }
+        if (run.status !== 'waiting' || run.waitingFor !== 'approval') {
+            throw new ConflictError('Workflow run is not waiting for approval');
+        }
+
+        const { approvers } = run.approval;
+        if (approvers.length > 0 && !approvers.includes(String(userId))) {
+            throw new AuthorizationError('You are not an approver for this workflow');
+        }
+
+        // One decision per user, and none once the step has been settled
+        const decided = await WorkflowRun.findOneAndUpdate(
+            {
+                _id: run._id,
+                status: 'waiting',
+                waitingFor: 'approval',
+                'approval.decisions.userId': { $ne: userId }
+            },
+            { $push: { 'approval.decisions': { userId, decision, comment } } },
+            { new: true }
+        );
+        if (!decided) {
+            throw new ConflictError('You have already decided on this workflow run');
+        }
+
+        const approvals = decided.approval.decisions.filter(d => d.decision === 'approved').length;
+        if (decision !== 'rejected' && approvals < decided.approval.requiredApprovals) {
+            return decided;
+        }
+
+        // Take the run off waiting so only one decision settles the step
+        const claimed = await WorkflowRun.findOneAndUpdate(
+            { _id: run._id, status: 'waiting' },
+            { $set: { status: 'running' } },
+            { new: true }
+        );
+        if (!claimed) return decided;
+
+        const error = decision === 'rejected'
+            ? new Error(`Rejected${comment ? `: ${comment}` : ''}`)
+            : null;
+        claimed.waitingFor = null;
+        claimed.resumeAt = null;
+
+        if (!this.settleStep(claimed, { error, output: { decisions: claimed.approval.decisions } })) {
+            return this.finishRun(claimed, error);
+        }
+
+        await claimed.save();
+
+        // Run the remaining steps without holding up the approver
+        this.continueRun(claimed).catch(runError => {
+            logger.error(`Workflow run ${claimed._id} failed after approval:`, runError);
+        });
+
+        return claimed;
     }
 
     /**
      * Execute a single action
      */
-    async executeAction(action, triggerData, context, workflow) {
+    async executeAction(action, triggerData, context) {
         logger.debug(`Executing action: ${action.type}`);
 
         switch (action.type) {
@@ -125,11 +506,11 @@ class WorkflowEngine {
             case 'create':
                 return await this.executeCreateAction(action, triggerData, context);
             case 'approval':
-                return await this.executeApprovalAction(action, triggerData, context, workflow);
             case 'delay':
-                return await this.executeDelayAction(action);
+                // Top-level delay and approval steps park the run instead (see continueRun)
+                throw new Error(`A ${action.type} step cannot be nested inside a condition`);
             case 'condition':
-                return await this.executeConditionAction(action, triggerData, context, workflow);
+                return await this.executeConditionAction(action, triggerData, context);
             default:
                 throw new Error(`Unknown action type: ${action.type}`);
         }
@@ -163,6 +544,7 @@ class WorkflowEngine {
         });
 
         logger.info(`Email sent to ${processedRecipients.join(', ')}`);
+        return { recipients: processedRecipients };
     }
 
     /**
@@ -188,6 +570,7 @@ class WorkflowEngine {
         }
 
         logger.info(`Notification sent to user ${targetUserId}`);
+        return { userId: targetUserId };
     }
 
     /**
@@ -216,6 +599,7 @@ class WorkflowEngine {
         }
 
         logger.info(`Webhook called: ${processedUrl}`);
+        return { status: response.status };
     }
 
     /**
@@ -236,6 +620,7 @@ class WorkflowEngine {
         await Model.findByIdAndUpdate(processedId, processedUpdates);
 
         logger.info(`Updated ${entity} ${processedId}`);
+        return { entity, id: processedId };
     }
 
     /**
@@ -258,34 +643,13 @@ class WorkflowEngine {
         const created = await Model.create(processedData);
 
         logger.info(`Created ${entityType} ${created._id}`);
-    }
-
-    /**
-     * Execute approval action
-     */
-    async executeApprovalAction(action, triggerData, context, workflow) {
-        const { approvers, requiredApprovals, timeout } = action.config;
-
-        // TODO: Implement approval workflow
-        // This would require a separate Approval model and UI
-        logger.info('Approval action not yet implemented');
-    }
-
-    /**
-     * Execute delay action
-     */
-    async executeDelayAction(action) {
-        const { duration } = action.config;
-
-        await new Promise(resolve => setTimeout(resolve, duration));
-
-        logger.info(`Delayed for ${duration}ms`);
+        return { entityType, id: created._id };
     }
 
     /**
      * Execute condition action
      */
-    async executeConditionAction(action, triggerData, context, workflow) {
+    async executeConditionAction(action, triggerData, context) {
         const { condition, thenActions, elseActions } = action.config;
 
         const fieldValue = this.getNestedValue(triggerData, condition.field);
@@ -295,11 +659,12 @@ class WorkflowEngine {
 
         if (actionsToExecute && actionsToExecute.length > 0) {
             for (const subAction of actionsToExecute) {
-                await this.executeAction(subAction, triggerData, context, workflow);
+                await this.executeAction(subAction, triggerData, context);
             }
         }
 
         logger.info(`Condition evaluated: ${conditionMet}`);
+        return { conditionMet };
     }
 
     /**
@@ -381,28 +746,42 @@ class WorkflowEngine {
     }
 
     /**
-     * Process scheduled workflows
+     * Process scheduled workflows that are due
+     * @param {Object} context - Shared context (e.g. io); each workflow runs
+     *   with its own storeId and organizationId
+     * @returns {Promise<Object>} Counts of due, completed and failed workflows
      */
-    async processScheduledWorkflows(context) {
-        try {
-            const workflows = await Workflow.getScheduledWorkflows();
-
-            logger.info(`Processing ${workflows.length} scheduled workflows`);
-
-            for (const workflow of workflows) {
-                try {
-                    await this.executeWorkflow(workflow, {}, context);
-
-                    // Update next run time
-                    workflow.trigger.schedule.nextRun = workflow.calculateNextRun();
-                    await workflow.save();
-                } catch (error) {
-                    logger.error(`Error processing scheduled workflow ${workflow.name}:`, error);
-                }
+    async processScheduledWorkflows(context = {}) {
+        const workflows = await Workflow.getScheduledWorkflows();
+        const failures = [];
+        let completed = 0;
+
+        logger.info(`Processing ${workflows.length} scheduled workflows`);
+
+        for (const workflow of workflows) {
+            // Move nextRun on before running, so a run that fails or is cut
+            // short is not repeated every tick and no other server takes it
+            const dueAt = workflow.trigger.schedule.nextRun;
+            const claimed = await Workflow.updateOne(
+                { _id: workflow._id, 'trigger.schedule.nextRun': dueAt },
+                { $set: { 'trigger.schedule.nextRun': workflow.calculateNextRun() } }
+            );
+            if (claimed.modifiedCount === 0) continue;
+
+            try {
+                await this.executeWorkflow(workflow, { scheduledAt: dueAt }, {
+                    ...context,
+                    storeId: workflow.storeId,
+                    organizationId: workflow.organizationId
+                });
+                completed += 1;
+            } catch (error) {
+                logger.error(`Error processing scheduled workflow ${workflow.name}:`, error);
+                failures.push(`${workflow.name}: ${error.message}`);
             }
-        } catch (error) {
-            logger.error('Error processing scheduled workflows:', error);
         }
+
+        return { due: workflows.length, completed, failed: failures.length, failures };
     }
 }
 
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Cron Expressions
+ *
+ * Minimal five-field cron (minute hour day-of-month month day-of-week) for
+ * scheduled workflows. Supports *, lists (1,15), ranges (1-5) and steps
+ * (*\/15, 0-30/10). Day-of-week 0 and 7 are both Sunday.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Give up looking for a match after this many days (e.g. "0 0 31 2 *")
+const MAX_DAYS_AHEAD = 366 * 5;
+
+/**
+ * Expand one cron field into the set of values it matches
+ */
+function parseField(value, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of value.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in cron ${name}: ${part}`);
+        }
+
+        let start = min;
+        let end = max;
+        if (range !== '*') {
+            [start, end] = range.split('-').map(Number);
+            if (end === undefined) end = stepText === undefined ? start : max;
+        }
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+            throw new Error(`Invalid cron ${name}: ${part}`);
+        }
+
+        for (let v = start; v <= end; v += step) {
+            values.add(v);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field cron expression
+ * @returns {Object} Sets of matching values per field
+ */
+export function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const parsed = Object.fromEntries(FIELDS.map((field, i) => [field.name, parseField(parts[i], field)]));
+    if (parsed.dayOfWeek.has(7)) parsed.dayOfWeek.add(0);
+
+    // As in standard cron, when both day fields are restricted either may match
+    parsed.restrictDayOfMonth = parts[2] !== '*';
+    parsed.restrictDayOfWeek = parts[4] !== '*';
+    return parsed;
+}
+
+/**
+ * Whether an expression is valid
+ */
+export function isValidCron(expression) {
+    try {
+        parseCron(expression);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Next time (after `from`, to the minute) the expression matches
+ * @param {string} expression - Five-field cron expression
+ * @param {Date} [from] - Start point (exclusive)
+ * @returns {Date|null} Next run, or null if nothing matches
+ */
+export function nextCronRun(expression, from = new Date()) {
+    const cron = parseCron(expression);
+
+    const dayMatches = (date) => {
+        const dom = cron.dayOfMonth.has(date.getDate());
+        const dow = cron.dayOfWeek.has(date.getDay());
+        if (cron.restrictDayOfMonth && cron.restrictDayOfWeek) return dom || dow;
+        return dom && dow;
+    };
+
+    const start = new Date(from);
+    start.setSeconds(0, 0);
+    start.setMinutes(start.getMinutes() + 1);
+
+    const day = new Date(start);
+    day.setHours(0, 0, 0, 0);
+
+    for (let i = 0; i < MAX_DAYS_AHEAD; i++, day.setDate(day.getDate() + 1)) {
+        if (!cron.month.has(day.getMonth() + 1) || !dayMatches(day)) continue;
+
+        for (const hour of [...cron.hour].sort((a, b) => a - b)) {
+            for (const minute of [...cron.minute].sort((a, b) => a - b)) {
+                const candidate = new Date(day);
+                candidate.setHours(hour, minute, 0, 0);
+                if (candidate >= start) return candidate;
+            }
+        }
+    }
+
+    return null;
+}
+
+export default {
+    parseCron,
+    isValidCron,
+    nextCronRun
+};
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Sales Aggregation Expressions
+ *
+ * Shared MongoDB expressions so every report nets out refunds the same way
+ */
+
+/**
+ * Sale total less anything refunded against it
+ */
+export const NET_TOTAL = {
+    $subtract: ['$total', { $ifNull: ['$refundedAmount', 0] }]
+};
+
+/**
+ * Units sold on a sale line less refunded units (use after $unwind: '$items')
+ */
+export const NET_ITEM_QUANTITY = {
+    $subtract: ['$items.quantity', { $ifNull: ['$items.refundedQuantity', 0] }]
+};
+
+/**
+ * Cost of the units kept on a sale line (use after $unwind: '$items'). Lines
+ * sold before costing was recorded fall back to the given expression,
+ * usually the product's current cost price.
+ * @param {*} [fallbackUnitCost=0] - Unit cost expression for uncosted lines
+ */
+export const netItemCost = (fallbackUnitCost = 0) => ({
+    $multiply: [NET_ITEM_QUANTITY, { $ifNull: ['$items.unitCost', { $ifNull: [fallbackUnitCost, 0] }] }]
+});
+
+/**
+ * Units kept on sale lines that have no recorded unit cost
+ */
+export const NET_UNCOSTED_QUANTITY = {
+    $cond: [{ $eq: [{ $ifNull: ['$items.unitCost', null] }, null] }, NET_ITEM_QUANTITY, 0]
+};
+
+/**
+ * Gross margin as a percentage of revenue, rounded to one decimal
+ * @param {*} revenue - Revenue expression
+ * @param {*} cost - Cost expression
+ */
+export const marginPercent = (revenue, cost) => ({
+    $cond: [
+        { $gt: [revenue, 0] },
+        { $round: [{ $multiply: [{ $divide: [{ $subtract: [revenue, cost] }, revenue] }, 100] }, 1] },
+        0
+    ]
+});
+
+export default {
+    NET_TOTAL,
+    NET_ITEM_QUANTITY,
+    NET_UNCOSTED_QUANTITY,
+    netItemCost,
+    marginPercent
+};
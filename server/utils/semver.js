@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Semantic Versions
+ *
+ * Minimal semver for plugin packages: compare MAJOR.MINOR.PATCH versions
+ * (prerelease tags sort before the release) and match them against ranges
+ * such as ">=1.2.0 <2.0.0", "^1.4.0", "~1.4.2", "1.x" or "1.0.0 || 2.x".
+ */
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parse a version
+ * @returns {{ major: number, minor: number, patch: number, prerelease: string|null }|null}
+ */
+export function parseVersion(version) {
+    const match = VERSION_PATTERN.exec(String(version ?? '').trim());
+    if (!match) return null;
+
+    return {
+        major: Number(match[1]),
+        minor: Number(match[2]),
+        patch: Number(match[3]),
+        prerelease: match[4] || null
+    };
+}
+
+/**
+ * Check a version is well-formed
+ */
+export function isValidVersion(version) {
+    return parseVersion(version) !== null;
+}
+
+/**
+ * Compare two versions
+ * @returns {number} Negative if a is older than b, positive if newer, 0 if equal
+ */
+export function compareVersions(a, b) {
+    const left = parseVersion(a);
+    const right = parseVersion(b);
+    if (!left || !right) {
+        throw new Error(`Invalid version: ${left ? b : a}`);
+    }
+
+    for (const part of ['major', 'minor', 'patch']) {
+        if (left[part] !== right[part]) return left[part] - right[part];
+    }
+
+    if (left.prerelease === right.prerelease) return 0;
+    if (!left.prerelease) return 1;
+    if (!right.prerelease) return -1;
+    return left.prerelease < right.prerelease ? -1 : 1;
+}
+
+/**
+ * Turn a partial version ("1", "1.2", "1.x") into the comparators it stands for
+ */
+function expandPartial(operator, text) {
+    if (parseVersion(text)) {
+        return [[operator || '=', text.replace(/^v/, '')]];
+    }
+
+    const parts = text.replace(/^v/, '').split('.');
+    const numbers = [];
+    for (const part of parts.slice(0, 3)) {
+        if (part === 'x' || part === 'X' || part === '*') break;
+        numbers.push(Number(part));
+    }
+    if (numbers.length === 3 || numbers.some(n => !Number.isInteger(n))) {
+        throw new Error(`Invalid version in range: ${text}`);
+    }
+
+    if (numbers.length === 0) {
+        return operator === '<' || operator === '>' ? [['<', '0.0.0']] : [];
+    }
+
+    const lower = [...numbers, 0, 0].slice(0, 3).join('.');
+    const upper = numbers.length === 1 ? `${numbers[0] + 1}.0.0` : `${numbers[0]}.${numbers[1] + 1}.0`;
+
+    switch (operator) {
+        case '>': return [['>=', upper]];
+        case '>=': return [['>=', lower]];
+        case '<': return [['<', lower]];
+        case '<=': return [['<', upper]];
+        default: return [['>=', lower], ['<', upper]];
+    }
+}
+
+/**
+ * Turn one space-separated part of a range into [operator, version] pairs
+ */
+function parseComparators(text) {
+    const comparators = [];
+
+    for (const token of text.trim().split(/\s+/).filter(Boolean)) {
+        const [, operator, version] = /^(\^|~|>=|<=|>|<|=)?(.*)$/.exec(token);
+        const parsed = parseVersion(version);
+
+        if (operator === '^' || operator === '~') {
+            if (!parsed) throw new Error(`Invalid version in range: ${token}`);
+            const { major, minor, patch } = parsed;
+            let upper;
+            if (operator === '~') upper = `${major}.${minor + 1}.0`;
+            else if (major > 0) upper = `${major + 1}.0.0`;
+            else if (minor > 0) upper = `0.${minor + 1}.0`;
+            else upper = `0.0.${patch + 1}`;
+            comparators.push(['>=', version.replace(/^v/, '')], ['<', upper]);
+        } else {
+            comparators.push(...expandPartial(operator, version));
+        }
+    }
+
+    return comparators;
+}
+
+/**
+ * Whether a version is in a range; an empty range or "*" matches any version
+ */
+export function satisfies(version, range) {
+    if (!parseVersion(version)) return false;
+
+    return String(range ?? '*').split('||').some(alternative =>
+        parseComparators(alternative).every(([operator, bound]) => {
+            const order = compareVersions(version, bound);
+            switch (operator) {
+                case '>': return order > 0;
+                case '>=': return order >= 0;
+                case '<': return order < 0;
+                case '<=': return order <= 0;
+                default: return order === 0;
+            }
+        }));
+}
+
+/**
+ * Check a range is well-formed
+ */
+export function isValidRange(range) {
+    try {
+        satisfies('0.0.0', range);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+export default {
+    parseVersion,
+    isValidVersion,
+    compareVersions,
+    satisfies,
+    isValidRange
+};
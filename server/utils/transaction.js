@@ -0,0 +1,29 @@
+/**
+ * @fileoverview MongoDB Transaction Helper
+ *
+ * Transactions need MongoDB running as a replica set (a single-node set is fine).
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Run callback inside a transaction and return its result
+ * The driver retries the callback on transient errors, so it must be safe to re-run.
+ *
+ * @param {Function} callback - Receives the ClientSession; pass it to every query
+ */
+export async function withTransaction(callback) {
+    const session = await mongoose.startSession();
+
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await callback(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+}
+
+export default withTransaction;
@@ -23,8 +23,10 @@ import EmployeeLoginPage from './pages/EmployeeLoginPage';
 import AuditLogs from './pages/AuditLogs';
 import LoyaltyDashboard from './pages/LoyaltyDashboard';
 import LoyaltySettings from './pages/LoyaltySettings';
+import Promotions from './pages/Promotions';
 import InventoryForecasting from './pages/InventoryForecasting';
 import PurchaseOrders from './pages/PurchaseOrders';
+import StockTakes from './pages/StockTakes';
 import InventoryAlerts from './pages/InventoryAlerts';
 import StockOptimization from './pages/StockOptimization';
 import NotificationCenter from './pages/NotificationCenter';
@@ -149,6 +151,7 @@ function App() {
             <Route path="inventory" element={<Inventory />} />
             <Route path="inventory/forecasting" element={<InventoryForecasting />} />
             <Route path="inventory/purchase-orders" element={<PurchaseOrders />} />
+            <Route path="inventory/stock-takes" element={<StockTakes />} />
             <Route path="inventory/alerts" element={<InventoryAlerts />} />
             <Route path="inventory/optimization" element={<StockOptimization />} />
             <Route path="pos" element={<POS />} />
@@ -169,6 +172,7 @@ function App() {
             <Route path="notifications/preferences" element={<NotificationPreferences />} />
             <Route path="loyalty" element={<LoyaltyDashboard />} />
             <Route path="loyalty/settings" element={<LoyaltySettings />} />
+            <Route path="promotions" element={<Promotions />} />
             <Route path="plugins" element={<Plugins />} />
             <Route path="workflows" element={<WorkflowBuilder />} />
             <Route path="settings" element={<Settings />} />
@@ -17,6 +17,9 @@ import { Html5Qrcode } from 'html5-qrcode';
 import { Camera, X, Flashlight, SwitchCamera } from 'lucide-react';
 import './BarcodeScanner.css';
 
+// How long a barcode must be out of view before it is counted again in continuous mode
+const SCAN_COOLDOWN_MS = 1500;
+
 /**
  * BarcodeScanner - Camera-based barcode scanning component
  * 
@@ -24,8 +27,9 @@ import './BarcodeScanner.css';
  * @param {Function} props.onScan - Callback when barcode is successfully scanned
  * @param {Function} props.onClose - Callback to close the scanner
  * @param {boolean} props.continuous - If true, keeps scanning after first result
+ * @param {string} props.title - Heading shown above the camera preview
  */
-function BarcodeScanner({ onScan, onClose, continuous = false }) {
+function BarcodeScanner({ onScan, onClose, continuous = false, title = 'Scan Barcode' }) {
     // Reference to the camera preview container element
     const scannerRef = useRef(null);
 
@@ -35,7 +39,21 @@ function BarcodeScanner({ onScan, onClose, continuous = false }) {
     // State for scanner status and errors
     const [isScanning, setIsScanning] = useState(false);
     const [error, setError] = useState(null);
-    const [lastScanned, setLastScanned] = useState(null);
+
+    // Last barcode read and when, so a code held in frame is not counted twice.
+    // Kept in a ref because the decode callback is created once, on mount.
+    const lastScanRef = useRef({ code: null, at: 0 });
+
+    // Latest props, so the decode callback created on mount always sees the
+    // current handlers and mode
+    const onScanRef = useRef(onScan);
+    const onCloseRef = useRef(onClose);
+    const continuousRef = useRef(continuous);
+    useEffect(() => {
+        onScanRef.current = onScan;
+        onCloseRef.current = onClose;
+        continuousRef.current = continuous;
+    }, [onScan, onClose, continuous]);
 
     /**
      * Initialize the barcode scanner on component mount.
@@ -75,10 +93,15 @@ function BarcodeScanner({ onScan, onClose, continuous = false }) {
                 const onScanSuccess = (decodedText, decodedResult) => {
                     if (!isMounted) return;
 
-                    // Prevent duplicate scans of the same barcode
-                    if (decodedText === lastScanned) return;
-
-                    setLastScanned(decodedText);
+                    // Prevent duplicate scans of the same barcode; in continuous
+                    // mode the same code counts again once it has left the frame
+                    const now = Date.now();
+                    const last = lastScanRef.current;
+                    if (decodedText === last.code && (!continuousRef.current || now - last.at < SCAN_COOLDOWN_MS)) {
+                        last.at = now;
+                        return;
+                    }
+                    lastScanRef.current = { code: decodedText, at: now };
 
                     // Vibrate device if supported (for haptic feedback)
                     if (navigator.vibrate) {
@@ -86,12 +109,12 @@ function BarcodeScanner({ onScan, onClose, continuous = false }) {
                     }
 
                     // Call the parent callback with scanned barcode
-                    onScan(decodedText);
+                    onScanRef.current(decodedText);
 
                     // Stop scanning if not in continuous mode
-                    if (!continuous) {
+                    if (!continuousRef.current) {
                         stopScanner();
-                        onClose();
+                        onCloseRef.current();
                     }
                 };
 
@@ -161,7 +184,9 @@ function BarcodeScanner({ onScan, onClose, continuous = false }) {
         const barcode = prompt('Enter barcode manually:');
         if (barcode && barcode.trim()) {
             onScan(barcode.trim());
-            onClose();
+            if (!continuous) {
+                onClose();
+            }
         }
     };
 
@@ -170,7 +195,7 @@ function BarcodeScanner({ onScan, onClose, continuous = false }) {
             <div className="barcode-scanner-modal">
                 {/* Header with close button */}
                 <div className="scanner-header">
-                    <h3>Scan Barcode</h3>
+                    <h3>{title}</h3>
                     <button className="btn btn-ghost btn-icon" onClick={onClose}>
                         <X size={20} />
                     </button>
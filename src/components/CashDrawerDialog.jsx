@@ -0,0 +1,446 @@
+/**
+ * @fileoverview Cash Drawer Dialog
+ *
+ * Opens this register's drawer with a counted float, records cash drops,
+ * paid-ins and paid-outs, shows the X report, and closes the drawer against
+ * a denomination count to produce the Z report.
+ */
+
+import { useState, useEffect } from 'react';
+import { useCurrency } from '../hooks/useCurrency';
+import { drawerSync } from '../services/sync';
+import { getDenominations, countTotal } from '../services/drawer';
+import { toast } from '../stores/toastStore';
+import { Vault, ArrowDownToLine, ArrowUpFromLine, FileText, Lock, Printer, X } from 'lucide-react';
+import './CashDrawerDialog.css';
+
+const MOVEMENT_LABELS = {
+    drop: 'Cash drop',
+    paid_in: 'Paid in',
+    paid_out: 'Paid out',
+    refund: 'Cash refund'
+};
+
+/**
+ * Count of notes and coins, one input per denomination
+ */
+function DenominationCount({ denominations, counts, onChange }) {
+    const { formatCurrency } = useCurrency();
+
+    return (
+        <div className="denomination-grid">
+            {denominations.map(denomination => (
+                <label key={denomination} className="denomination-row">
+                    <span className="denomination-value">{formatCurrency(denomination)}</span>
+                    <input
+                        type="number"
+                        min="0"
+                        className="input"
+                        value={counts[denomination] || ''}
+                        onChange={(e) => onChange({ ...counts, [denomination]: Math.max(0, parseInt(e.target.value) || 0) })}
+                        placeholder="0"
+                    />
+                </label>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * Printable X or Z report
+ */
+function DrawerReport({ report }) {
+    const { formatCurrency } = useCurrency();
+    const { cash } = report;
+
+    return (
+        <div className="drawer-report">
+            <h4>{report.type} Report · {report.register.name}</h4>
+            <p className="drawer-report-meta">
+                Opened {new Date(report.openedAt).toLocaleString()}
+                {report.closedAt && <><br />Closed {new Date(report.closedAt).toLocaleString()}</>}
+            </p>
+
+            <table className="drawer-report-table">
+                <tbody>
+                    <tr><th colSpan="2">Sales</th></tr>
+                    <tr><td>Transactions</td><td>{report.sales.count}</td></tr>
+                    <tr><td>Items sold</td><td>{report.sales.itemsSold}</td></tr>
+                    <tr><td>Gross sales</td><td>{formatCurrency(report.sales.gross)}</td></tr>
+                    {report.sales.promotions > 0 && (
+                        <tr><td>Promotions</td><td>-{formatCurrency(report.sales.promotions)}</td></tr>
+                    )}
+                    {report.sales.discounts > 0 && (
+                        <tr><td>Discounts</td><td>-{formatCurrency(report.sales.discounts)}</td></tr>
+                    )}
+                    <tr><td>Tax</td><td>{formatCurrency(report.sales.tax)}</td></tr>
+                    <tr><td>Total</td><td>{formatCurrency(report.sales.total)}</td></tr>
+                    {report.voided.count > 0 && (
+                        <tr><td>Voided ({report.voided.count})</td><td>{formatCurrency(report.voided.total)}</td></tr>
+                    )}
+
+                    <tr><th colSpan="2">Tenders</th></tr>
+                    {Object.entries(report.tenders).map(([method, amount]) => (
+                        <tr key={method}><td className="drawer-report-method">{method}</td><td>{formatCurrency(amount)}</td></tr>
+                    ))}
+
+                    {report.taxes.length > 0 && <tr><th colSpan="2">Taxes</th></tr>}
+                    {report.taxes.map(tax => (
+                        <tr key={`${tax.name}|${tax.rate}`}>
+                            <td>{tax.name}{tax.rate !== null && ` (${tax.rate}%)`}</td>
+                            <td>{formatCurrency(tax.amount)}</td>
+                        </tr>
+                    ))}
+
+                    <tr><th colSpan="2">Cash</th></tr>
+                    <tr><td>Opening float</td><td>{formatCurrency(cash.openingFloat)}</td></tr>
+                    <tr><td>Cash sales</td><td>{formatCurrency(cash.cashSales)}</td></tr>
+                    <tr><td>Paid in</td><td>{formatCurrency(cash.paidIn)}</td></tr>
+                    <tr><td>Drops</td><td>-{formatCurrency(cash.drops)}</td></tr>
+                    <tr><td>Paid out</td><td>-{formatCurrency(cash.paidOut)}</td></tr>
+                    <tr><td>Cash refunds</td><td>-{formatCurrency(cash.refunds)}</td></tr>
+                    <tr className="drawer-report-total"><td>Expected in drawer</td><td>{formatCurrency(cash.expected)}</td></tr>
+                    {cash.counted !== undefined && (
+                        <>
+                            <tr><td>Counted</td><td>{formatCurrency(cash.counted)}</td></tr>
+                            <tr className={`drawer-report-total ${cash.variance < 0 ? 'text-danger' : ''}`}>
+                                <td>Variance</td><td>{formatCurrency(cash.variance)}</td>
+                            </tr>
+                        </>
+                    )}
+                </tbody>
+            </table>
+
+            {report.movements.length > 0 && (
+                <table className="drawer-report-table">
+                    <tbody>
+                        <tr><th colSpan="2">Movements</th></tr>
+                        {report.movements.map((movement, index) => (
+                            <tr key={index}>
+                                <td>
+                                    {MOVEMENT_LABELS[movement.type]}
+                                    {movement.reason && ` · ${movement.reason}`}
+                                </td>
+                                <td>{formatCurrency(movement.amount)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+function CashDrawerDialog({ storeId, register, currency, employeeId, clockEventId, onClose, onChange }) {
+    const { formatCurrency } = useCurrency();
+    const denominations = getDenominations(currency);
+
+    const [session, setSession] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [view, setView] = useState('summary');
+    const [counts, setCounts] = useState({});
+    const [movement, setMovement] = useState({ type: 'drop', amount: '', reason: '' });
+    const [notes, setNotes] = useState('');
+    const [report, setReport] = useState(null);
+    const [isProcessing, setIsProcessing] = useState(false);
+
+    useEffect(() => {
+        if (!storeId || !register) return;
+
+        drawerSync.getOpen(storeId, register.id)
+            .then(async (open) => {
+                setSession(open || null);
+                if (open) setReport(await drawerSync.getReport(open, 'X'));
+            })
+            .finally(() => setIsLoading(false));
+    }, [storeId, register]);
+
+    const toCounts = () => denominations
+        .filter(denomination => counts[denomination] > 0)
+        .map(denomination => ({ denomination, count: counts[denomination] }));
+
+    const countedTotal = countTotal(toCounts());
+
+    const handleOpen = async () => {
+        setIsProcessing(true);
+        try {
+            const openingCount = toCounts();
+            const opened = await drawerSync.open({
+                registerId: register.id,
+                registerName: register.name,
+                employeeId,
+                clockEventId,
+                openingCount,
+                openingFloat: countTotal(openingCount)
+            }, storeId);
+
+            setSession(opened);
+            setReport(await drawerSync.getReport(opened, 'X'));
+            setCounts({});
+            toast.success(`Drawer opened with ${formatCurrency(opened.openingFloat)}`, 'Drawer Open');
+            onChange?.(opened);
+        } catch (error) {
+            toast.error(error.message || 'Failed to open drawer', 'Drawer');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    const handleMovement = async () => {
+        const amount = parseFloat(movement.amount);
+        if (!amount || amount <= 0) {
+            toast.warning('Enter an amount', 'Drawer');
+            return;
+        }
+        if (movement.type === 'paid_out' && !movement.reason.trim()) {
+            toast.warning('Give a reason for the paid-out', 'Drawer');
+            return;
+        }
+
+        setIsProcessing(true);
+        try {
+            const updated = await drawerSync.addMovement(session.id, {
+                type: movement.type,
+                amount,
+                reason: movement.reason.trim(),
+                employeeId
+            });
+
+            setSession(updated);
+            setReport(await drawerSync.getReport(updated, 'X'));
+            setMovement({ type: movement.type, amount: '', reason: '' });
+            toast.success(`${MOVEMENT_LABELS[movement.type]} of ${formatCurrency(amount)} recorded`, 'Drawer');
+            onChange?.(updated);
+        } catch (error) {
+            toast.error(error.message || 'Failed to record movement', 'Drawer');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    const handleClose = async () => {
+        const variance = countedTotal - (report?.cash.expected || 0);
+        if (Math.abs(variance) >= 0.005 &&
+            !confirm(`The drawer is ${formatCurrency(Math.abs(variance))} ${variance < 0 ? 'short' : 'over'}. Close it anyway?`)) {
+            return;
+        }
+
+        setIsProcessing(true);
+        try {
+            const closed = await drawerSync.close(session.id, {
+                closingCount: toCounts(),
+                closedBy: employeeId,
+                notes
+            });
+
+            setSession(null);
+            setReport(closed.report);
+            setView('report');
+            toast.success('Drawer closed', 'Z Report');
+            onChange?.(null);
+        } catch (error) {
+            toast.error(error.message || 'Failed to close drawer', 'Drawer');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    const renderBody = () => {
+        if (isLoading) {
+            return <p className="text-secondary text-center p-4">Loading...</p>;
+        }
+
+        if (view === 'report' && report) {
+            return <DrawerReport report={report} />;
+        }
+
+        if (!session) {
+            return (
+                <>
+                    <p className="text-secondary">Count the opening float into the drawer.</p>
+                    <DenominationCount denominations={denominations} counts={counts} onChange={setCounts} />
+                    <div className="drawer-count-total">
+                        <span>Opening float</span>
+                        <span>{formatCurrency(countedTotal)}</span>
+                    </div>
+                </>
+            );
+        }
+
+        if (view === 'close') {
+            const variance = countedTotal - report.cash.expected;
+            return (
+                <>
+                    <p className="text-secondary">Count the cash in the drawer.</p>
+                    <DenominationCount denominations={denominations} counts={counts} onChange={setCounts} />
+                    <div className="drawer-close-summary">
+                        <div><span>Expected</span><span>{formatCurrency(report.cash.expected)}</span></div>
+                        <div><span>Counted</span><span>{formatCurrency(countedTotal)}</span></div>
+                        <div className={variance < -0.005 ? 'text-danger' : variance > 0.005 ? 'text-success' : ''}>
+                            <span>Variance</span><span>{formatCurrency(variance)}</span>
+                        </div>
+                    </div>
+                    <div className="input-group">
+                        <label className="input-label">Notes</label>
+                        <input
+                            type="text"
+                            className="input"
+                            value={notes}
+                            onChange={(e) => setNotes(e.target.value)}
+                            placeholder="Explain any variance"
+                        />
+                    </div>
+                </>
+            );
+        }
+
+        return (
+            <>
+                <div className="drawer-summary">
+                    <div>
+                        <span className="drawer-summary-label">Opened</span>
+                        <span>{new Date(session.openedAt).toLocaleString()}</span>
+                    </div>
+                    <div>
+                        <span className="drawer-summary-label">Float</span>
+                        <span>{formatCurrency(session.openingFloat)}</span>
+                    </div>
+                    <div>
+                        <span className="drawer-summary-label">Expected cash</span>
+                        <span className="drawer-summary-value">{formatCurrency(report?.cash.expected || 0)}</span>
+                    </div>
+                </div>
+
+                <div className="drawer-movement-form">
+                    <select
+                        className="input"
+                        value={movement.type}
+                        onChange={(e) => setMovement({ ...movement, type: e.target.value })}
+                    >
+                        <option value="drop">Cash drop</option>
+                        <option value="paid_in">Paid in</option>
+                        <option value="paid_out">Paid out</option>
+                    </select>
+                    <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        className="input"
+                        value={movement.amount}
+                        onChange={(e) => setMovement({ ...movement, amount: e.target.value })}
+                        placeholder="Amount"
+                    />
+                    <input
+                        type="text"
+                        className="input"
+                        value={movement.reason}
+                        onChange={(e) => setMovement({ ...movement, reason: e.target.value })}
+                        placeholder="Reason"
+                    />
+                    <button className="btn btn-secondary" onClick={handleMovement} disabled={isProcessing}>
+                        {movement.type === 'paid_in' ? <ArrowDownToLine size={16} /> : <ArrowUpFromLine size={16} />} Record
+                    </button>
+                </div>
+
+                {session.movements.length > 0 && (
+                    <div className="drawer-movements">
+                        {session.movements.map((m, index) => (
+                            <div key={index} className="drawer-movement">
+                                <span>{MOVEMENT_LABELS[m.type]}{m.reason && ` · ${m.reason}`}</span>
+                                <span className="drawer-movement-time">
+                                    {new Date(m.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                </span>
+                                <span className={m.type === 'paid_in' ? 'text-success' : ''}>
+                                    {m.type === 'paid_in' ? '+' : '-'}{formatCurrency(m.amount)}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </>
+        );
+    };
+
+    const renderFooter = () => {
+        if (isLoading) return null;
+
+        if (view === 'report') {
+            return (
+                <>
+                    <button className="btn btn-secondary" onClick={() => (session ? setView('summary') : onClose())}>
+                        {session ? 'Back' : 'Done'}
+                    </button>
+                    <button className="btn btn-primary" onClick={() => window.print()}>
+                        <Printer size={16} /> Print
+                    </button>
+                </>
+            );
+        }
+
+        if (!session) {
+            return (
+                <>
+                    <button className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                    <button className="btn btn-primary" onClick={handleOpen} disabled={isProcessing}>
+                        <Vault size={16} /> Open Drawer
+                    </button>
+                </>
+            );
+        }
+
+        if (view === 'close') {
+            return (
+                <>
+                    <button className="btn btn-secondary" onClick={() => setView('summary')}>Back</button>
+                    <button className="btn btn-danger" onClick={handleClose} disabled={isProcessing}>
+                        <Lock size={16} /> Close Drawer
+                    </button>
+                </>
+            );
+        }
+
+        return (
+            <>
+                <button
+                    className="btn btn-secondary"
+                    onClick={async () => {
+                        setReport(await drawerSync.getReport(session, 'X'));
+                        setView('report');
+                    }}
+                >
+                    <FileText size={16} /> X Report
+                </button>
+                <button
+                    className="btn btn-primary"
+                    onClick={() => {
+                        setCounts({});
+                        setView('close');
+                    }}
+                >
+                    <Lock size={16} /> Close Drawer
+                </button>
+            </>
+        );
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal cash-drawer-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">
+                        Cash Drawer{register && ` · ${register.name}`}
+                    </h3>
+                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body">{renderBody()}</div>
+
+                <div className="modal-footer">{renderFooter()}</div>
+            </div>
+        </div>
+    );
+}
+
+export default CashDrawerDialog;
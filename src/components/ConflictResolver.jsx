@@ -36,7 +36,7 @@ function ConflictResolver({ conflict, onResolve, onCancel }) {
 
     if (!conflict) return null;
 
-    const { serverVersion, clientVersion } = conflict;
+    const { serverVersion, clientVersion, conflictingFields = [] } = conflict;
 
     const handleResolve = () => {
         if (!selectedStrategy) {
@@ -176,7 +176,7 @@ function ConflictResolver({ conflict, onResolve, onCancel }) {
                                     </thead>
                                     <tbody>
                                         {differences.map(({ field, serverValue, clientValue }) => (
-                                            <tr key={field}>
+                                            <tr key={field} className={conflictingFields.includes(field) ? 'conflicting' : ''}>
                                                 <td className="field-name">{field}</td>
                                                 <td className="server-value">
                                                     {JSON.stringify(serverValue) || '(empty)'}
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Credit Account Statement
+ *
+ * Printable customer account statement: opening balance, charges and
+ * payments for the period with a running balance, and the aging of what is
+ * owed. Used by the store's Customers page and the customer portal.
+ */
+
+import './CreditStatement.css';
+
+const AGING_LABELS = {
+    current: 'Current',
+    '1-30': '1-30 days',
+    '31-60': '31-60 days',
+    '61-90': '61-90 days',
+    '90+': '90+ days'
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+});
+
+const defaultFormat = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+/**
+ * Aging buckets as a row of amounts
+ */
+export function CreditAging({ aging, formatCurrency = defaultFormat }) {
+    return (
+        <div className="credit-aging">
+            {Object.entries(AGING_LABELS).map(([bucket, label]) => (
+                <div key={bucket} className={`credit-aging-bucket ${aging[bucket] > 0 && bucket !== 'current' ? 'past-due' : ''}`}>
+                    <span className="credit-aging-label">{label}</span>
+                    <strong>{formatCurrency(aging[bucket])}</strong>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+function CreditStatement({ statement, formatCurrency = defaultFormat }) {
+    return (
+        <div className="credit-statement">
+            <div className="credit-statement-header">
+                <div>
+                    <h3>{statement.store?.name || 'Account Statement'}</h3>
+                    {statement.store?.address && <p>{statement.store.address}</p>}
+                    {statement.store?.phone && <p>{statement.store.phone}</p>}
+                </div>
+                <div className="credit-statement-customer">
+                    <h4>Statement</h4>
+                    <p><strong>{statement.customer.name}</strong></p>
+                    {statement.customer.address && <p>{statement.customer.address}</p>}
+                    <p>{formatDate(statement.from)} - {formatDate(statement.to)}</p>
+                </div>
+            </div>
+
+            <div className="credit-statement-summary">
+                <div>
+                    <span>Opening Balance</span>
+                    <strong>{formatCurrency(statement.openingBalance)}</strong>
+                </div>
+                <div>
+                    <span>Charges</span>
+                    <strong>{formatCurrency(statement.charges)}</strong>
+                </div>
+                <div>
+                    <span>Payments</span>
+                    <strong>{formatCurrency(statement.payments)}</strong>
+                </div>
+                <div>
+                    <span>Closing Balance</span>
+                    <strong>{formatCurrency(statement.closingBalance)}</strong>
+                </div>
+                {statement.creditLimit !== null && (
+                    <div>
+                        <span>Credit Limit</span>
+                        <strong>{formatCurrency(statement.creditLimit)}</strong>
+                    </div>
+                )}
+            </div>
+
+            <table className="credit-statement-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Description</th>
+                        <th>Reference</th>
+                        <th className="amount">Charges</th>
+                        <th className="amount">Payments</th>
+                        <th className="amount">Balance</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <td>{formatDate(statement.from)}</td>
+                        <td colSpan={4}>Opening balance</td>
+                        <td className="amount">{formatCurrency(statement.openingBalance)}</td>
+                    </tr>
+                    {statement.entries.map((entry, index) => (
+                        <tr key={index}>
+                            <td>{formatDate(entry.date)}</td>
+                            <td>{entry.description}</td>
+                            <td>{entry.reference}</td>
+                            <td className="amount">{entry.amount > 0 ? formatCurrency(entry.amount) : ''}</td>
+                            <td className="amount">{entry.amount < 0 ? formatCurrency(-entry.amount) : ''}</td>
+                            <td className="amount">{formatCurrency(entry.balance)}</td>
+                        </tr>
+                    ))}
+                    <tr className="credit-statement-total">
+                        <td>{formatDate(statement.to)}</td>
+                        <td colSpan={4}>Closing balance</td>
+                        <td className="amount">{formatCurrency(statement.closingBalance)}</td>
+                    </tr>
+                </tbody>
+            </table>
+
+            <h4>Aging</h4>
+            <CreditAging aging={statement.aging} formatCurrency={formatCurrency} />
+        </div>
+    );
+}
+
+export default CreditStatement;
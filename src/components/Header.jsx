@@ -1,12 +1,18 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useLocation } from 'react-router-dom';
 import { useAuthStore } from '../stores/authStore';
 import { useSettingsStore } from '../stores/settingsStore';
 import NotificationBell from './NotificationBell';
-import { Menu, Sun, Moon, User, Cloud, CloudOff, RefreshCw } from 'lucide-react';
-import { syncPendingChanges } from '../services/sync';
+import ConflictResolver from './ConflictResolver';
+import SyncQueueDialog from './SyncQueueDialog';
+import { useConflictDetection } from '../hooks/useConflictDetection';
+import { Menu, Sun, Moon, User, Cloud, CloudOff, RefreshCw, AlertTriangle } from 'lucide-react';
+import { syncPendingChanges, resolveSyncConflict, syncQueue } from '../services/sync';
 import './Header.css';
 
+// How often the failed changes count is refreshed
+const SYNC_QUEUE_POLL_MS = 15 * 1000;
+
 const pageTitle = {
     '/dashboard': 'Dashboard',
     '/inventory': 'Inventory',
@@ -19,11 +25,27 @@ const pageTitle = {
 };
 
 function Header() {
-    const { user, isOnline, store } = useAuthStore();
+    const { user, isOnline } = useAuthStore();
     const { theme, setTheme, toggleSidebar } = useSettingsStore();
     const location = useLocation();
     const [isSyncing, setIsSyncing] = useState(false);
     const [syncMessage, setSyncMessage] = useState('');
+    // Conflicts from the last sync still waiting for the user
+    const [pendingConflicts, setPendingConflicts] = useState([]);
+    const { conflict, presentConflict, resolveConflict, cancelConflict } = useConflictDetection();
+    // Changes the sync queue set aside after they failed
+    const [failedCount, setFailedCount] = useState(0);
+    const [showSyncQueue, setShowSyncQueue] = useState(false);
+
+    const loadFailedCount = () => syncQueue.getCounts()
+        .then(({ failed }) => setFailedCount(failed))
+        .catch(error => console.error('Failed to count queued changes:', error));
+
+    useEffect(() => {
+        loadFailedCount();
+        const interval = setInterval(loadFailedCount, SYNC_QUEUE_POLL_MS);
+        return () => clearInterval(interval);
+    }, []);
 
     const title = pageTitle[location.pathname] || 'King\'s POS';
 
@@ -39,9 +61,15 @@ function Header() {
         setSyncMessage('Syncing...');
 
         try {
-            const result = await syncPendingChanges(store.id);
+            // A manual sync retries changes that are backing off straight away
+            const result = await syncPendingChanges({ force: true });
+            await loadFailedCount();
 
-            if (result.success) {
+            if (result.conflicts?.length > 0) {
+                setSyncMessage(`⚠ ${result.conflicts.length} change(s) conflict with newer server data`);
+                setTimeout(() => setSyncMessage(''), 5000);
+                showConflicts(result.conflicts);
+            } else if (result.success) {
                 setSyncMessage(`✓ Synced successfully!`);
                 setTimeout(() => setSyncMessage(''), 3000);
 
@@ -60,6 +88,46 @@ function Header() {
         }
     };
 
+    /**
+     * Show the next sync conflict, if any; once all are handled reload to show merged data
+     */
+    const showConflicts = (queue) => {
+        const [next, ...rest] = queue;
+        setPendingConflicts(rest);
+
+        if (next) {
+            presentConflict(next, (resolved) => resolveSyncConflict(next, resolved.resolution, resolved));
+        }
+    };
+
+    const handleResolveConflict = async (strategy, resolvedData) => {
+        try {
+            const { data: result } = await resolveConflict(strategy, resolvedData);
+
+            // The record changed again on the server - ask again
+            if (result.conflict) {
+                showConflicts([result.conflict, ...pendingConflicts]);
+                return;
+            }
+        } catch (error) {
+            console.error('Resolve conflict error:', error);
+            setSyncMessage(`✗ Could not resolve conflict: ${error.message}`);
+            setTimeout(() => setSyncMessage(''), 5000);
+        }
+
+        if (pendingConflicts.length > 0) {
+            showConflicts(pendingConflicts);
+        } else {
+            window.location.reload();
+        }
+    };
+
+    // Skipped conflicts stay pending and come back on the next sync
+    const handleCancelConflict = () => {
+        cancelConflict();
+        showConflicts(pendingConflicts);
+    };
+
     return (
         <header className="header">
             <div className="header-left">
@@ -89,6 +157,18 @@ function Header() {
                     <RefreshCw size={18} className={isSyncing ? 'spin' : ''} />
                 </button>
 
+                {failedCount > 0 && (
+                    <button
+                        className="btn btn-ghost btn-icon sync-failed-btn"
+                        onClick={() => setShowSyncQueue(true)}
+                        title={`${failedCount} change(s) failed to sync`}
+                        aria-label="Show failed changes"
+                    >
+                        <AlertTriangle size={18} />
+                        <span className="sync-failed-badge">{failedCount > 99 ? '99+' : failedCount}</span>
+                    </button>
+                )}
+
                 {/* Sync Message */}
                 {syncMessage && (
                     <div className="sync-message" style={{
@@ -117,6 +197,21 @@ function Header() {
 
                 <NotificationBell />
 
+                {showSyncQueue && (
+                    <SyncQueueDialog
+                        onClose={() => setShowSyncQueue(false)}
+                        onChange={loadFailedCount}
+                    />
+                )}
+
+                {conflict && (
+                    <ConflictResolver
+                        conflict={conflict}
+                        onResolve={handleResolveConflict}
+                        onCancel={handleCancelConflict}
+                    />
+                )}
+
                 <div className="header-user">
                     <div className="avatar">
                         {user?.name?.charAt(0).toUpperCase() || <User size={18} />}
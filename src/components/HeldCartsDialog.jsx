@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Held Carts Dialog
+ *
+ * Lists carts parked on this register (and shared ones from other
+ * registers in the store) so the cashier can resume or discard them.
+ */
+
+import { useState, useEffect } from 'react';
+import { useCurrency } from '../hooks/useCurrency';
+import { heldCartSync } from '../services/sync';
+import { useCartStore } from '../stores/cartStore';
+import { toast } from '../stores/toastStore';
+import db from '../db';
+import { PauseCircle, PlayCircle, Trash2, X } from 'lucide-react';
+import './HeldCartsDialog.css';
+
+const getHeldCarts = (storeId) => db.heldCarts
+    .where('storeId')
+    .equals(storeId)
+    .filter(c => !c.resumed)
+    .sortBy('createdAt');
+
+function HeldCartsDialog({ storeId, onClose, onResume }) {
+    const { formatCurrency } = useCurrency();
+    const cart = useCartStore();
+
+    const [heldCarts, setHeldCarts] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [busyId, setBusyId] = useState(null);
+
+    const loadHeldCarts = async () => {
+        setHeldCarts(await getHeldCarts(storeId));
+    };
+
+    useEffect(() => {
+        if (!storeId) return;
+
+        // Show local carts straight away, then merge any parked on other registers
+        getHeldCarts(storeId)
+            .then(setHeldCarts)
+            .then(() => heldCartSync.refresh(storeId))
+            .then(() => getHeldCarts(storeId))
+            .then(setHeldCarts)
+            .finally(() => setIsLoading(false));
+    }, [storeId]);
+
+    const handleResume = async (heldCart) => {
+        setBusyId(heldCart.id);
+        try {
+            const resumed = await cart.resumeCart(heldCart.id);
+            toast.success(`Resumed "${resumed.label}"`, 'Cart Resumed');
+            onResume?.(resumed);
+        } catch (error) {
+            toast.error(error.message || 'Failed to resume cart', 'Resume Failed');
+            await loadHeldCarts();
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleDiscard = async (heldCart) => {
+        if (!confirm(`Discard held cart "${heldCart.label}"?`)) return;
+
+        setBusyId(heldCart.id);
+        await heldCartSync.discard(heldCart.id);
+        await loadHeldCarts();
+        setBusyId(null);
+    };
+
+    const cartTotal = (heldCart) => {
+        const subtotal = heldCart.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const discount = heldCart.discountType === 'percent'
+            ? subtotal * ((heldCart.discount || 0) / 100)
+            : Math.min(heldCart.discount || 0, subtotal);
+        return subtotal - discount;
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal held-carts-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">Held Carts</h3>
+                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {cart.items.length > 0 && (
+                    <div className="held-carts-notice">
+                        Hold or clear the current order before resuming another.
+                    </div>
+                )}
+
+                <div className="modal-body">
+                    {heldCarts.length === 0 ? (
+                        <p className="text-secondary text-center p-4">
+                            {isLoading ? 'Loading...' : 'No carts on hold'}
+                        </p>
+                    ) : (
+                        <div className="held-cart-list">
+                            {heldCarts.map(heldCart => {
+                                const missingProducts = heldCart.items.some(item => item.productId == null);
+
+                                return (
+                                    <div key={heldCart.id} className="held-cart">
+                                        <div className="held-cart-icon">
+                                            <PauseCircle size={20} />
+                                        </div>
+                                        <div className="held-cart-info">
+                                            <span className="held-cart-label">{heldCart.label}</span>
+                                            <span className="held-cart-meta">
+                                                {heldCart.items.reduce((sum, item) => sum + item.quantity, 0)} items
+                                                {' · '}
+                                                {new Date(heldCart.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                                {missingProducts && ' · sync products to resume'}
+                                            </span>
+                                        </div>
+                                        <span className="held-cart-total">{formatCurrency(cartTotal(heldCart))}</span>
+                                        <button
+                                            className="btn btn-primary btn-sm"
+                                            onClick={() => handleResume(heldCart)}
+                                            disabled={busyId !== null || cart.items.length > 0 || missingProducts}
+                                        >
+                                            <PlayCircle size={16} /> Resume
+                                        </button>
+                                        <button
+                                            className="btn btn-ghost btn-icon btn-sm"
+                                            onClick={() => handleDiscard(heldCart)}
+                                            disabled={busyId !== null}
+                                            title="Discard"
+                                        >
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default HeldCartsDialog;
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Receipt Actions
+ *
+ * Print and email buttons for a sale's receipt, rendered by the server.
+ * The sale has to be synced first; until then both actions are disabled.
+ */
+
+import { useState } from 'react';
+import { Printer, Mail, Send, X } from 'lucide-react';
+import { salesAPI } from '../services/api';
+import { toast } from '../stores/toastStore';
+
+function ReceiptActions({ saleId, defaultEmail = '', size = '' }) {
+    const [showEmail, setShowEmail] = useState(false);
+    const [email, setEmail] = useState(defaultEmail);
+    const [isSending, setIsSending] = useState(false);
+
+    const buttonClass = `btn btn-secondary ${size ? `btn-${size}` : ''}`;
+    const unsyncedTitle = saleId ? undefined : 'Available once the sale has synced';
+
+    const handlePrint = async () => {
+        try {
+            await salesAPI.printReceipt(saleId);
+        } catch (error) {
+            console.error('Failed to print receipt:', error);
+            toast.error(error.message || 'Failed to print receipt', 'Error');
+        }
+    };
+
+    const handleEmail = async (e) => {
+        e.preventDefault();
+        setIsSending(true);
+        try {
+            const result = await salesAPI.emailReceipt(saleId, email.trim());
+            toast.success(result.message, 'Receipt Sent');
+            setShowEmail(false);
+        } catch (error) {
+            console.error('Failed to email receipt:', error);
+            toast.error(error.message || 'Failed to email receipt', 'Error');
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    if (showEmail) {
+        return (
+            <form onSubmit={handleEmail} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                <input
+                    type="email"
+                    className="input"
+                    placeholder="customer@email.com"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    required
+                    autoFocus
+                />
+                <button type="submit" className={buttonClass} disabled={isSending}>
+                    <Send size={16} /> {isSending ? 'Sending...' : 'Send'}
+                </button>
+                <button type="button" className="btn btn-ghost btn-icon" onClick={() => setShowEmail(false)}>
+                    <X size={16} />
+                </button>
+            </form>
+        );
+    }
+
+    return (
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button className={buttonClass} onClick={handlePrint} disabled={!saleId} title={unsyncedTitle}>
+                <Printer size={16} /> Print
+            </button>
+            <button className={buttonClass} onClick={() => setShowEmail(true)} disabled={!saleId} title={unsyncedTitle}>
+                <Mail size={16} /> Email Receipt
+            </button>
+        </div>
+    );
+}
+
+export default ReceiptActions;
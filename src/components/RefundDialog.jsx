@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Refund Dialog
+ *
+ * Lets a cashier pick a completed sale, choose which lines (or how many
+ * units of each) to return, and record the refund on the server.
+ */
+
+import { useState, useEffect } from 'react';
+import { useCurrency } from '../hooks/useCurrency';
+import { salesAPI } from '../services/api';
+import { salesSync } from '../services/sync';
+import { toast } from '../stores/toastStore';
+import db from '../db';
+import { Search, Receipt, RotateCcw, X, ArrowLeft } from 'lucide-react';
+import './RefundDialog.css';
+
+// Sales rung up on this device name products by local id
+const serverProductId = async (productId) =>
+    typeof productId === 'number' ? (await db.products.get(productId))?.serverId : productId;
+
+function RefundDialog({ storeId, employeeId, onClose, onComplete }) {
+    const { formatCurrency } = useCurrency();
+
+    const [sales, setSales] = useState([]);
+    const [saleSearch, setSaleSearch] = useState('');
+    const [selectedSale, setSelectedSale] = useState(null);
+    const [lines, setLines] = useState([]);
+    const [reason, setReason] = useState('');
+    const [isProcessing, setIsProcessing] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!storeId) return;
+
+        db.sales
+            .where('storeId')
+            .equals(storeId)
+            .filter(s => s.status === 'completed')
+            .reverse()
+            .sortBy('createdAt')
+            .then(recent => setSales(recent.slice(0, 50)));
+    }, [storeId]);
+
+    const filteredSales = sales.filter(sale =>
+        !saleSearch ||
+        String(sale.id).includes(saleSearch) ||
+        sale.serverId?.includes(saleSearch)
+    );
+
+    const selectSale = (sale) => {
+        setSelectedSale(sale);
+        setError('');
+        setLines(sale.items.map((item, index) => ({
+            key: index,
+            productId: item.productId,
+            variantId: item.variantId || null,
+            name: item.name,
+            price: item.price,
+            unitPromotionDiscount: (item.promotionDiscount || 0) / item.quantity,
+            unitTax: item.taxes ? (item.taxAmount || 0) / item.quantity : null,
+            refundable: item.quantity - (item.refundedQuantity || 0),
+            quantity: 0,
+            restock: true
+        })));
+    };
+
+    const updateLine = (key, field, value) => {
+        setLines(prev => prev.map(line =>
+            line.key === key ? { ...line, [field]: value } : line
+        ));
+    };
+
+    const selectedLines = lines.filter(line => line.quantity > 0);
+    const refundSubtotal = selectedLines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+    // Mirror the server's apportioning of promotions, discount and tax
+    const refundPromotionDiscount = selectedLines.reduce((sum, line) => sum + line.unitPromotionDiscount * line.quantity, 0);
+    const saleNet = (selectedSale?.subtotal || 0) - (selectedSale?.promotionDiscount || 0);
+    const ratio = saleNet > 0 ? (refundSubtotal - refundPromotionDiscount) / saleNet : 0;
+    const refundTax = lines.some(line => line.unitTax !== null)
+        ? selectedLines.reduce((sum, line) => sum + (line.unitTax || 0) * line.quantity, 0)
+        : (selectedSale?.tax || 0) * ratio;
+    const refundEstimate = refundSubtotal
+        - refundPromotionDiscount
+        - (selectedSale?.discount || 0) * ratio
+        + (selectedSale?.pricesIncludeTax ? 0 : refundTax);
+
+    const handleRefund = async () => {
+        if (!selectedSale?.serverId) {
+            setError('This sale has not been synced to the server yet. Sync before refunding.');
+            return;
+        }
+
+        setIsProcessing(true);
+        setError('');
+
+        try {
+            const { refund, sale } = await salesAPI.refund(selectedSale.serverId, {
+                items: await Promise.all(selectedLines.map(async line => ({
+                    productId: await serverProductId(line.productId),
+                    variantId: line.variantId || undefined,
+                    quantity: line.quantity,
+                    restock: line.restock
+                }))),
+                reason,
+                employeeId
+            });
+
+            // Mirror the server state locally
+            await db.sales.update(selectedSale.id, {
+                items: (await salesSync.toLocal(sale)).items,
+                status: sale.status,
+                paymentStatus: sale.paymentStatus,
+                refundedAmount: sale.refundedAmount
+            });
+
+            for (const item of refund.items.filter(i => i.restocked)) {
+                const product = await db.products.where('serverId').equals(item.productId).first();
+                if (product) {
+                    const variants = item.variantId
+                        ? product.variants?.map(v =>
+                            v._id === item.variantId ? { ...v, quantity: (v.quantity || 0) + item.quantity } : v
+                        )
+                        : product.variants;
+                    await db.products.update(product.id, {
+                        variants,
+                        quantity: (product.quantity || 0) + item.quantity
+                    });
+                }
+            }
+
+            toast.success(`Refunded ${formatCurrency(refund.total)}`, 'Refund Complete');
+            onComplete?.(refund);
+        } catch (refundError) {
+            console.error('Refund failed:', refundError);
+            setError(refundError.message || 'Failed to process refund');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal refund-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    {selectedSale && (
+                        <button className="btn btn-ghost btn-icon" onClick={() => setSelectedSale(null)}>
+                            <ArrowLeft size={20} />
+                        </button>
+                    )}
+                    <h3 className="modal-title">
+                        {selectedSale ? `Refund Sale #${selectedSale.id}` : 'Select Sale to Refund'}
+                    </h3>
+                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {error && (
+                    <div className="alert alert-error" style={{ margin: '1rem', marginBottom: 0 }}>
+                        <X size={16} />
+                        <span>{error}</span>
+                    </div>
+                )}
+
+                <div className="modal-body">
+                    {!selectedSale ? (
+                        <>
+                            <div className="pos-search">
+                                <Search size={18} />
+                                <input
+                                    type="text"
+                                    placeholder="Search by sale number..."
+                                    value={saleSearch}
+                                    onChange={(e) => setSaleSearch(e.target.value)}
+                                    autoFocus
+                                />
+                            </div>
+                            <div className="refund-sale-list">
+                                {filteredSales.length === 0 ? (
+                                    <p className="text-secondary text-center p-4">No completed sales found</p>
+                                ) : (
+                                    filteredSales.map(sale => (
+                                        <button
+                                            key={sale.id}
+                                            className="customer-option"
+                                            onClick={() => selectSale(sale)}
+                                        >
+                                            <div className="customer-option-avatar">
+                                                <Receipt size={18} />
+                                            </div>
+                                            <div className="customer-option-info">
+                                                <span className="customer-option-name">Sale #{sale.id}</span>
+                                                <span className="customer-option-phone">
+                                                    {new Date(sale.createdAt).toLocaleString()}
+                                                </span>
+                                            </div>
+                                            <span className="customer-option-orders">
+                                                {formatCurrency(sale.total - (sale.refundedAmount || 0))}
+                                            </span>
+                                        </button>
+                                    ))
+                                )}
+                            </div>
+                        </>
+                    ) : (
+                        <>
+                            <div className="refund-lines">
+                                {lines.map(line => (
+                                    <div key={line.key} className="refund-line">
+                                        <div className="refund-line-info">
+                                            <span className="refund-line-name">{line.name}</span>
+                                            <span className="refund-line-meta">
+                                                {formatCurrency(line.price)} · {line.refundable} refundable
+                                            </span>
+                                        </div>
+                                        <input
+                                            type="number"
+                                            className="input input-sm"
+                                            min="0"
+                                            max={line.refundable}
+                                            value={line.quantity}
+                                            disabled={line.refundable <= 0}
+                                            onChange={(e) => updateLine(
+                                                line.key,
+                                                'quantity',
+                                                Math.min(line.refundable, Math.max(0, parseInt(e.target.value) || 0))
+                                            )}
+                                        />
+                                        <label className="refund-line-restock">
+                                            <input
+                                                type="checkbox"
+                                                checked={line.restock}
+                                                onChange={(e) => updateLine(line.key, 'restock', e.target.checked)}
+                                            />
+                                            Restock
+                                        </label>
+                                    </div>
+                                ))}
+                            </div>
+
+                            <div className="input-group">
+                                <label className="input-label">Reason</label>
+                                <input
+                                    type="text"
+                                    className="input"
+                                    value={reason}
+                                    onChange={(e) => setReason(e.target.value)}
+                                    placeholder="e.g., Damaged item, wrong size"
+                                />
+                            </div>
+
+                            <div className="payment-total">
+                                <span>Refund Amount</span>
+                                <span className="payment-amount">{formatCurrency(refundEstimate)}</span>
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                {selectedSale && (
+                    <div className="modal-footer">
+                        <button
+                            className="btn btn-danger btn-lg w-full"
+                            onClick={handleRefund}
+                            disabled={isProcessing || selectedLines.length === 0}
+                        >
+                            <RotateCcw size={20} />
+                            {isProcessing ? 'Processing...' : 'Issue Refund'}
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default RefundDialog;
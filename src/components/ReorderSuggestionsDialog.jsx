@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Reorder Suggestions Dialog
+ *
+ * Lists products due for reordering, grouped by supplier with quantities
+ * proposed from the demand forecast, lead time and safety stock. Buyers can
+ * adjust quantities, untick lines and pick a supplier for products that have
+ * none, then create one draft purchase order per supplier.
+ */
+
+import { useState, useEffect } from 'react';
+import { useCurrency } from '../hooks/useCurrency';
+import { apiRequest } from '../services/api';
+import { toast } from '../stores/toastStore';
+import { RefreshCw, AlertTriangle, X } from 'lucide-react';
+import './ReorderSuggestionsDialog.css';
+
+const toDraftOrders = (suggestions) => suggestions.map(group => ({
+    ...group,
+    supplierId: group.supplierId || '',
+    items: group.items.map(item => ({ ...item, include: true, quantity: item.suggestedQuantity }))
+}));
+
+const fetchSuggestions = (coverageDays) =>
+    apiRequest(`/inventory/purchase-orders/suggestions?coverageDays=${coverageDays}`)
+        .then(result => toDraftOrders(result.suggestions));
+
+const orderTotal = (order) => order.items
+    .filter(item => item.include)
+    .reduce((sum, item) => sum + (Number(item.quantity) || 0) * item.costPrice, 0);
+
+function ReorderSuggestionsDialog({ suppliers, onClose, onCreated }) {
+    const { formatCurrency } = useCurrency();
+
+    const [coverageDays, setCoverageDays] = useState(30);
+    const [orders, setOrders] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isCreating, setIsCreating] = useState(false);
+
+    const loadSuggestions = async () => {
+        setIsLoading(true);
+        try {
+            setOrders(await fetchSuggestions(coverageDays));
+        } catch (error) {
+            console.error('Failed to load reorder suggestions:', error);
+            toast.error(error.message || 'Failed to load suggestions', 'Error');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchSuggestions(30)
+            .then(setOrders)
+            .catch(error => {
+                console.error('Failed to load reorder suggestions:', error);
+                toast.error(error.message || 'Failed to load suggestions', 'Error');
+            })
+            .finally(() => setIsLoading(false));
+    }, []);
+
+    const updateOrder = (orderIndex, changes) => {
+        setOrders(prev => prev.map((order, i) => i === orderIndex ? { ...order, ...changes } : order));
+    };
+
+    const updateItem = (orderIndex, itemIndex, changes) => {
+        setOrders(prev => prev.map((order, i) => i !== orderIndex ? order : {
+            ...order,
+            items: order.items.map((item, j) => j === itemIndex ? { ...item, ...changes } : item)
+        }));
+    };
+
+    const selectedOrders = orders.filter(order =>
+        order.items.some(item => item.include && Number(item.quantity) > 0)
+    );
+
+    const handleCreate = async () => {
+        if (selectedOrders.some(order => !order.supplierId)) {
+            toast.error('Choose a supplier for the unassigned products', 'Supplier Required');
+            return;
+        }
+
+        // Unassigned products picked for a supplier that also has suggestions join its order
+        const bySupplier = new Map();
+        for (const order of selectedOrders) {
+            const items = order.items
+                .filter(item => item.include && Number(item.quantity) > 0)
+                .map(item => ({
+                    productId: item.productId,
+                    variantId: item.variantId,
+                    quantity: parseInt(item.quantity),
+                    costPrice: item.costPrice
+                }));
+            const existing = bySupplier.get(order.supplierId);
+            if (existing) existing.items.push(...items);
+            else bySupplier.set(order.supplierId, { supplierId: order.supplierId, items });
+        }
+
+        setIsCreating(true);
+        try {
+            const created = await apiRequest('/inventory/purchase-orders/suggestions', {
+                method: 'POST',
+                body: JSON.stringify({ orders: [...bySupplier.values()] })
+            });
+            toast.success(`Created ${created.length} draft purchase order${created.length === 1 ? '' : 's'}`, 'Orders Created');
+            onCreated?.(created);
+        } catch (error) {
+            console.error('Failed to create purchase orders:', error);
+            toast.error(error.message || 'Failed to create purchase orders', 'Error');
+        } finally {
+            setIsCreating(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal modal-lg reorder-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">Reorder Suggestions</h3>
+                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    <div className="reorder-toolbar">
+                        <label className="inventory-form-label" htmlFor="coverageDays">Cover demand for</label>
+                        <input
+                            id="coverageDays"
+                            type="number"
+                            min="1"
+                            value={coverageDays}
+                            onChange={(e) => setCoverageDays(e.target.value)}
+                            className="inventory-form-input"
+                        />
+                        <span>days after delivery</span>
+                        <button
+                            className="inventory-btn inventory-btn-sm inventory-btn-secondary"
+                            onClick={loadSuggestions}
+                            disabled={isLoading}
+                        >
+                            <RefreshCw size={14} />
+                            Recalculate
+                        </button>
+                    </div>
+
+                    {isLoading ? (
+                        <p className="text-secondary text-center p-4">Calculating...</p>
+                    ) : orders.length === 0 ? (
+                        <p className="text-secondary text-center p-4">
+                            Nothing needs reordering right now
+                        </p>
+                    ) : orders.map((order, orderIndex) => (
+                        <div key={order.supplierName ? order.supplierId : 'unassigned'} className="reorder-group">
+                            <div className="reorder-group-header">
+                                {order.supplierName ? (
+                                    <div>
+                                        <strong>{order.supplierName}</strong>
+                                        <span className="reorder-meta"> · {order.leadTimeDays} day lead time</span>
+                                    </div>
+                                ) : (
+                                    <select
+                                        value={order.supplierId}
+                                        onChange={(e) => updateOrder(orderIndex, { supplierId: e.target.value })}
+                                        className="inventory-form-select"
+                                    >
+                                        <option value="">No supplier - choose one</option>
+                                        {suppliers.filter(s => s.isActive !== false).map(supplier => (
+                                            <option key={supplier._id} value={supplier._id}>{supplier.name}</option>
+                                        ))}
+                                    </select>
+                                )}
+                                <strong>{formatCurrency(orderTotal(order))}</strong>
+                            </div>
+
+                            {order.minimumOrderValue > 0 && orderTotal(order) < order.minimumOrderValue && (
+                                <div className="reorder-warning">
+                                    <AlertTriangle size={14} />
+                                    Below the supplier&apos;s minimum order of {formatCurrency(order.minimumOrderValue)}
+                                </div>
+                            )}
+
+                            <table className="reorder-table">
+                                <thead>
+                                    <tr>
+                                        <th />
+                                        <th>Product</th>
+                                        <th>Stock</th>
+                                        <th>On Order</th>
+                                        <th>Reorder At</th>
+                                        <th>Forecast</th>
+                                        <th>Order Qty</th>
+                                        <th>Cost</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {order.items.map((item, itemIndex) => (
+                                        <tr key={`${item.productId}:${item.variantId || ''}`} className={item.include ? '' : 'excluded'}>
+                                            <td>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={item.include}
+                                                    onChange={(e) => updateItem(orderIndex, itemIndex, { include: e.target.checked })}
+                                                />
+                                            </td>
+                                            <td>
+                                                <div>{item.name}{item.variantName && ` (${item.variantName})`}</div>
+                                                <div className="reorder-meta">
+                                                    {item.supplierSku ? `Supplier SKU ${item.supplierSku}` : (item.sku || 'No SKU')}
+                                                    {item.casePackSize > 1 && ` · cases of ${item.casePackSize}`}
+                                                    {item.minimumOrderQuantity > 1 && ` · min ${item.minimumOrderQuantity}`}
+                                                </div>
+                                            </td>
+                                            <td>{item.currentStock}</td>
+                                            <td>{item.onOrder}</td>
+                                            <td>{item.reorderPoint}</td>
+                                            <td title={`${item.dailyAverage}/day, ${item.confidence} confidence`}>
+                                                {item.forecast}
+                                            </td>
+                                            <td>
+                                                <input
+                                                    type="number"
+                                                    min="1"
+                                                    value={item.quantity}
+                                                    onChange={(e) => updateItem(orderIndex, itemIndex, { quantity: e.target.value })}
+                                                    className="inventory-form-input"
+                                                    disabled={!item.include}
+                                                />
+                                            </td>
+                                            <td>{formatCurrency((Number(item.quantity) || 0) * item.costPrice)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="modal-footer">
+                    <button className="inventory-btn inventory-btn-secondary" onClick={onClose}>
+                        Cancel
+                    </button>
+                    <button
+                        className="inventory-btn inventory-btn-primary"
+                        onClick={handleCreate}
+                        disabled={isCreating || selectedOrders.length === 0}
+                    >
+                        {isCreating
+                            ? 'Creating...'
+                            : `Create ${selectedOrders.length} Draft PO${selectedOrders.length === 1 ? '' : 's'}`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ReorderSuggestionsDialog;
@@ -17,6 +17,7 @@ import {
     Package,
     ShoppingCart,
     ClipboardList,
+    ClipboardCheck,
     BarChart3,
     Settings,
     LogOut,
@@ -36,7 +37,8 @@ import {
     Puzzle,
     Zap,
     Truck,
-    Store
+    Store,
+    Tag
 } from 'lucide-react';
 import './Sidebar.css';
 
@@ -49,10 +51,12 @@ const navItems = [
     { path: '/analytics', label: 'Analytics', icon: TrendingUp },
     { path: '/inventory', label: 'Inventory', icon: Package },
     { path: '/inventory/purchase-orders', label: 'Purchase Orders', icon: Truck },
+    { path: '/inventory/stock-takes', label: 'Stock Takes', icon: ClipboardCheck },
     { path: '/pos', label: 'Point of Sale', icon: ShoppingCart },
     // { path: '/orders', label: 'Orders', icon: ClipboardList }, // Hidden - duplicate of Purchase Orders
     { path: '/customers', label: 'Customers', icon: Users },
     { path: '/loyalty', label: 'Loyalty Program', icon: Award },
+    { path: '/promotions', label: 'Promotions', icon: Tag },
     { path: '/employees', label: 'Employees', icon: UserCog },
     { path: '/shifts', label: 'Shifts', icon: Calendar },
     { path: '/notifications', label: 'Notifications', icon: Bell },
@@ -0,0 +1,364 @@
+/**
+ * @fileoverview Supplier Catalog Dialog
+ *
+ * Maintains what each supplier charges for products (supplier SKU, unit cost,
+ * minimum order, case pack and lead time) and compares suppliers' costs for
+ * the same product so buyers can make the cheapest one preferred.
+ */
+
+import { useState, useEffect } from 'react';
+import { useCurrency } from '../hooks/useCurrency';
+import { apiRequest } from '../services/api';
+import { toast } from '../stores/toastStore';
+import { Plus, Save, Trash2, Star, X } from 'lucide-react';
+import './SupplierCatalogDialog.css';
+
+const EDITABLE_FIELDS = ['supplierSku', 'unitCost', 'minimumOrderQuantity', 'casePackSize', 'leadTimeDays'];
+
+const formatDate = (date) => date ? new Date(date).toLocaleDateString() : '';
+
+function SupplierCatalogDialog({ suppliers, products, onClose }) {
+    const { formatCurrency } = useCurrency();
+    const activeSuppliers = suppliers.filter(s => s.isActive !== false);
+
+    const [tab, setTab] = useState('catalog');
+    const [supplierId, setSupplierId] = useState(activeSuppliers[0]?._id || '');
+    const [entries, setEntries] = useState([]);
+    const [newProductId, setNewProductId] = useState('');
+    const [comparison, setComparison] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [busyId, setBusyId] = useState(null);
+
+    useEffect(() => {
+        if (tab !== 'catalog' || !supplierId) return;
+
+        setIsLoading(true);
+        apiRequest(`/inventory/suppliers/${supplierId}/catalog`)
+            .then(setEntries)
+            .catch(error => toast.error(error.message || 'Failed to load catalog', 'Error'))
+            .finally(() => setIsLoading(false));
+    }, [tab, supplierId]);
+
+    useEffect(() => {
+        if (tab !== 'compare') return;
+
+        setIsLoading(true);
+        apiRequest('/inventory/supplier-prices')
+            .then(setComparison)
+            .catch(error => toast.error(error.message || 'Failed to compare prices', 'Error'))
+            .finally(() => setIsLoading(false));
+    }, [tab]);
+
+    const updateEntry = (entryId, field, value) => {
+        setEntries(prev => prev.map(e => e._id === entryId ? { ...e, [field]: value } : e));
+    };
+
+    const saveEntry = async (entry) => {
+        const body = { productId: entry.productId, variantId: entry.variantId };
+        EDITABLE_FIELDS.forEach(field => {
+            if (entry[field] !== undefined) body[field] = entry[field];
+        });
+
+        setBusyId(entry._id || 'new');
+        try {
+            const saved = await apiRequest(`/inventory/suppliers/${supplierId}/catalog`, {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+            setEntries(prev => {
+                const exists = prev.some(e => e._id === saved._id);
+                const merged = { ...entry, ...saved, productId: entry.productId };
+                return exists ? prev.map(e => e._id === saved._id ? merged : e) : [...prev, merged];
+            });
+            return saved;
+        } catch (error) {
+            toast.error(error.message || 'Failed to save catalog entry', 'Error');
+            return null;
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleAddProduct = async () => {
+        const product = products.find(p => p._id === newProductId);
+        if (!product) return;
+
+        const saved = await saveEntry({
+            productId: product._id,
+            productName: product.name,
+            sku: product.sku,
+            currentCost: product.costPrice || 0,
+            unitCost: product.costPrice || 0
+        });
+        if (saved) {
+            setNewProductId('');
+            toast.success(`${product.name} added to the catalog`, 'Catalog Updated');
+        }
+    };
+
+    const handleRemove = async (entry) => {
+        if (!window.confirm(`Remove ${entry.productName} from this supplier's catalog?`)) return;
+
+        setBusyId(entry._id);
+        try {
+            await apiRequest(`/inventory/suppliers/${supplierId}/catalog/${entry._id}`, { method: 'DELETE' });
+            setEntries(prev => prev.filter(e => e._id !== entry._id));
+        } catch (error) {
+            toast.error(error.message || 'Failed to remove catalog entry', 'Error');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleMakePreferred = async (unit, offer) => {
+        setBusyId(`${unit.productId}:${offer.supplierId}`);
+        try {
+            await apiRequest(`/inventory/supplier-prices/${unit.productId}/preferred`, {
+                method: 'PUT',
+                body: JSON.stringify({ supplierId: offer.supplierId })
+            });
+            setComparison(prev => prev.map(u => String(u.productId) !== String(unit.productId) ? u : {
+                ...u,
+                preferredSupplierId: offer.supplierId,
+                savings: 0,
+                offers: u.offers.map(o => ({ ...o, preferred: o.supplierId === offer.supplierId }))
+            }));
+            toast.success(`${unit.name} will be ordered from ${offer.supplierName}`, 'Preferred Supplier');
+        } catch (error) {
+            toast.error(error.message || 'Failed to set preferred supplier', 'Error');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const catalogProductIds = new Set(entries.filter(e => !e.variantId).map(e => e.productId));
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal modal-lg supplier-catalog-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">Supplier Catalog</h3>
+                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    <div className="supplier-catalog-tabs">
+                        <button
+                            className={`inventory-btn inventory-btn-sm ${tab === 'catalog' ? 'inventory-btn-primary' : 'inventory-btn-secondary'}`}
+                            onClick={() => setTab('catalog')}
+                        >
+                            Catalog
+                        </button>
+                        <button
+                            className={`inventory-btn inventory-btn-sm ${tab === 'compare' ? 'inventory-btn-primary' : 'inventory-btn-secondary'}`}
+                            onClick={() => setTab('compare')}
+                        >
+                            Compare Prices
+                        </button>
+                    </div>
+
+                    {tab === 'catalog' && (
+                        <>
+                            <div className="supplier-catalog-toolbar">
+                                <select
+                                    value={supplierId}
+                                    onChange={(e) => setSupplierId(e.target.value)}
+                                    className="inventory-form-select"
+                                >
+                                    {activeSuppliers.length === 0 && <option value="">No suppliers yet</option>}
+                                    {activeSuppliers.map(supplier => (
+                                        <option key={supplier._id} value={supplier._id}>{supplier.name}</option>
+                                    ))}
+                                </select>
+                                <select
+                                    value={newProductId}
+                                    onChange={(e) => setNewProductId(e.target.value)}
+                                    className="inventory-form-select"
+                                    disabled={!supplierId}
+                                >
+                                    <option value="">Add a product...</option>
+                                    {products.filter(p => !catalogProductIds.has(p._id)).map(product => (
+                                        <option key={product._id} value={product._id}>{product.name}</option>
+                                    ))}
+                                </select>
+                                <button
+                                    className="inventory-btn inventory-btn-sm inventory-btn-primary"
+                                    onClick={handleAddProduct}
+                                    disabled={!newProductId || busyId !== null}
+                                >
+                                    <Plus size={14} />
+                                    Add
+                                </button>
+                            </div>
+
+                            {isLoading ? (
+                                <p className="text-secondary text-center p-4">Loading...</p>
+                            ) : entries.length === 0 ? (
+                                <p className="text-secondary text-center p-4">
+                                    No products in this supplier&apos;s catalog yet. Products are added when you add them here or receive them on a purchase order.
+                                </p>
+                            ) : (
+                                <table className="supplier-catalog-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Product</th>
+                                            <th>Supplier SKU</th>
+                                            <th>Unit Cost</th>
+                                            <th>Last Paid</th>
+                                            <th>Min Qty</th>
+                                            <th>Case Pack</th>
+                                            <th>Lead Days</th>
+                                            <th />
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {entries.map(entry => (
+                                            <tr key={entry._id}>
+                                                <td>
+                                                    <div>{entry.productName}{entry.variantName && ` (${entry.variantName})`}</div>
+                                                    <div className="supplier-catalog-meta">
+                                                        {entry.sku || 'No SKU'} · our cost {formatCurrency(entry.currentCost)}
+                                                    </div>
+                                                </td>
+                                                <td>
+                                                    <input
+                                                        value={entry.supplierSku || ''}
+                                                        onChange={(e) => updateEntry(entry._id, 'supplierSku', e.target.value)}
+                                                        className="inventory-form-input"
+                                                    />
+                                                </td>
+                                                <td>
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        step="0.01"
+                                                        value={entry.unitCost ?? ''}
+                                                        onChange={(e) => updateEntry(entry._id, 'unitCost', e.target.value)}
+                                                        className="inventory-form-input"
+                                                    />
+                                                </td>
+                                                <td>
+                                                    {entry.lastCost != null ? (
+                                                        <>
+                                                            <div>{formatCurrency(entry.lastCost)}</div>
+                                                            <div className="supplier-catalog-meta">{formatDate(entry.lastCostDate)}</div>
+                                                        </>
+                                                    ) : '-'}
+                                                </td>
+                                                <td>
+                                                    <input
+                                                        type="number"
+                                                        min="1"
+                                                        value={entry.minimumOrderQuantity ?? 1}
+                                                        onChange={(e) => updateEntry(entry._id, 'minimumOrderQuantity', e.target.value)}
+                                                        className="inventory-form-input"
+                                                    />
+                                                </td>
+                                                <td>
+                                                    <input
+                                                        type="number"
+                                                        min="1"
+                                                        value={entry.casePackSize ?? 1}
+                                                        onChange={(e) => updateEntry(entry._id, 'casePackSize', e.target.value)}
+                                                        className="inventory-form-input"
+                                                    />
+                                                </td>
+                                                <td>
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        placeholder="Default"
+                                                        value={entry.leadTimeDays ?? ''}
+                                                        onChange={(e) => updateEntry(entry._id, 'leadTimeDays', e.target.value)}
+                                                        className="inventory-form-input"
+                                                    />
+                                                </td>
+                                                <td className="supplier-catalog-actions">
+                                                    <button
+                                                        className="inventory-btn inventory-btn-sm inventory-btn-secondary"
+                                                        onClick={() => saveEntry(entry)}
+                                                        disabled={busyId !== null}
+                                                        title="Save"
+                                                    >
+                                                        <Save size={14} />
+                                                    </button>
+                                                    <button
+                                                        className="inventory-btn inventory-btn-sm inventory-btn-danger"
+                                                        onClick={() => handleRemove(entry)}
+                                                        disabled={busyId !== null}
+                                                        title="Remove"
+                                                    >
+                                                        <Trash2 size={14} />
+                                                    </button>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </>
+                    )}
+
+                    {tab === 'compare' && (
+                        isLoading ? (
+                            <p className="text-secondary text-center p-4">Loading...</p>
+                        ) : comparison.length === 0 ? (
+                            <p className="text-secondary text-center p-4">
+                                Add products to supplier catalogs to compare their prices
+                            </p>
+                        ) : (
+                            <table className="supplier-catalog-table">
+                                <thead>
+                                    <tr>
+                                        <th>Product</th>
+                                        <th>Suppliers (cheapest first)</th>
+                                        <th>Saving / Unit</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {comparison.map(unit => (
+                                        <tr key={`${unit.productId}:${unit.variantId || ''}`}>
+                                            <td>
+                                                <div>{unit.name}{unit.variantName && ` (${unit.variantName})`}</div>
+                                                <div className="supplier-catalog-meta">{unit.sku || 'No SKU'}</div>
+                                            </td>
+                                            <td>
+                                                {unit.offers.map((offer, index) => (
+                                                    <div key={offer.entryId} className={`supplier-offer ${index === 0 ? 'cheapest' : ''}`}>
+                                                        <span>
+                                                            {offer.preferred && <Star size={12} />} {offer.supplierName}
+                                                        </span>
+                                                        <strong>{formatCurrency(offer.effectiveCost)}</strong>
+                                                        <span className="supplier-catalog-meta">
+                                                            {offer.leadTimeDays != null && `${offer.leadTimeDays}d`}
+                                                            {offer.casePackSize > 1 && ` · cases of ${offer.casePackSize}`}
+                                                            {offer.minimumOrderQuantity > 1 && ` · min ${offer.minimumOrderQuantity}`}
+                                                        </span>
+                                                        {!offer.preferred && !unit.variantId && (
+                                                            <button
+                                                                className="inventory-btn inventory-btn-sm inventory-btn-secondary"
+                                                                onClick={() => handleMakePreferred(unit, offer)}
+                                                                disabled={busyId !== null}
+                                                            >
+                                                                Make preferred
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                ))}
+                                            </td>
+                                            <td>{unit.savings > 0 ? formatCurrency(unit.savings) : '-'}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default SupplierCatalogDialog;
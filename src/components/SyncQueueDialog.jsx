@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Sync Queue Dialog
+ *
+ * Lists changes the server rejected or that failed too often to keep
+ * retrying, with the last error, so they can be retried or given up on.
+ */
+
+import { useState, useEffect } from 'react';
+import { syncQueue } from '../services/sync';
+import { toast } from '../stores/toastStore';
+import { AlertTriangle, RotateCcw, Trash2, X } from 'lucide-react';
+import './SyncQueueDialog.css';
+
+function SyncQueueDialog({ onClose, onChange }) {
+    const [operations, setOperations] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [busyId, setBusyId] = useState(null);
+
+    const loadOperations = async () => {
+        setOperations(await syncQueue.getFailed());
+        onChange?.();
+    };
+
+    useEffect(() => {
+        syncQueue.getFailed()
+            .then(setOperations)
+            .finally(() => setIsLoading(false));
+    }, []);
+
+    const handleRetry = async (op) => {
+        setBusyId(op.id);
+        try {
+            const result = await syncQueue.retry(op.id);
+            if (result.synced) {
+                toast.success(op.description, 'Change Synced');
+            } else if (result.error) {
+                toast.error(result.error, 'Sync Failed');
+            }
+        } catch (error) {
+            toast.error(error.message || 'Failed to retry change', 'Sync Failed');
+        } finally {
+            await loadOperations();
+            setBusyId(null);
+        }
+    };
+
+    const handleDiscard = async (op) => {
+        if (!confirm(`Discard "${op.description}"? The server will not get this change.`)) return;
+
+        setBusyId(op.id);
+        await syncQueue.discard(op.id);
+        await loadOperations();
+        setBusyId(null);
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal sync-queue-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">Failed Changes</h3>
+                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    {operations.length === 0 ? (
+                        <p className="text-secondary text-center p-4">
+                            {isLoading ? 'Loading...' : 'Every change has reached the server'}
+                        </p>
+                    ) : (
+                        <div className="sync-queue-list">
+                            {operations.map(op => (
+                                <div key={op.id} className="sync-queue-item">
+                                    <div className="sync-queue-icon">
+                                        <AlertTriangle size={20} />
+                                    </div>
+                                    <div className="sync-queue-info">
+                                        <span className="sync-queue-label">{op.description}</span>
+                                        <span className="sync-queue-meta">
+                                            {new Date(op.createdAt).toLocaleString()}
+                                            {' · '}
+                                            {op.attempts} {op.attempts === 1 ? 'attempt' : 'attempts'}
+                                        </span>
+                                        {op.lastError && (
+                                            <span className="sync-queue-error">{op.lastError}</span>
+                                        )}
+                                    </div>
+                                    <button
+                                        className="btn btn-primary btn-sm"
+                                        onClick={() => handleRetry(op)}
+                                        disabled={busyId !== null}
+                                    >
+                                        <RotateCcw size={16} /> Retry
+                                    </button>
+                                    <button
+                                        className="btn btn-ghost btn-icon btn-sm"
+                                        onClick={() => handleDiscard(op)}
+                                        disabled={busyId !== null}
+                                        title="Discard"
+                                    >
+                                        <Trash2 size={16} />
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default SyncQueueDialog;
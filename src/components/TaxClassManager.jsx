@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Tax Class Manager
+ *
+ * Settings panel for the store's tax classes. Each class holds one or more
+ * rates applied in order; compound rates are charged on the price plus the
+ * tax before them. Needs a connection - the POS works from a cached copy.
+ */
+
+import { useState, useEffect } from 'react';
+import { taxAPI } from '../services/api';
+import { toast } from '../stores/toastStore';
+import { Plus, Edit2, Trash2, X, Check } from 'lucide-react';
+import './TaxClassManager.css';
+
+const emptyClass = () => ({ name: '', isDefault: false, rates: [{ name: '', rate: '', compound: false }] });
+
+function TaxClassManager() {
+    const [taxClasses, setTaxClasses] = useState([]);
+    const [editing, setEditing] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const loadTaxClasses = async () => {
+        try {
+            setTaxClasses(await taxAPI.getClasses());
+        } catch (error) {
+            console.error('Failed to load tax classes:', error);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadTaxClasses();
+    }, []);
+
+    const updateRate = (index, field, value) => {
+        setEditing(prev => ({
+            ...prev,
+            rates: prev.rates.map((rate, i) => (i === index ? { ...rate, [field]: value } : rate))
+        }));
+    };
+
+    const handleSave = async () => {
+        const rates = editing.rates
+            .filter(rate => rate.name.trim() && rate.rate !== '')
+            .map((rate, index) => ({
+                name: rate.name.trim(),
+                rate: parseFloat(rate.rate) || 0,
+                compound: rate.compound,
+                priority: index
+            }));
+
+        if (!editing.name.trim()) {
+            toast.error('Give the tax class a name', 'Tax Class');
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            const data = { name: editing.name.trim(), isDefault: editing.isDefault, rates };
+            if (editing._id) {
+                await taxAPI.updateClass(editing._id, data);
+            } else {
+                await taxAPI.createClass(data);
+            }
+            setEditing(null);
+            await loadTaxClasses();
+        } catch (error) {
+            toast.error(error.message || 'Failed to save tax class', 'Tax Class');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleDelete = async (taxClass) => {
+        if (!window.confirm(`Delete tax class "${taxClass.name}"? Products using it fall back to the default.`)) {
+            return;
+        }
+
+        try {
+            await taxAPI.deleteClass(taxClass._id);
+            await loadTaxClasses();
+        } catch (error) {
+            toast.error(error.message || 'Failed to delete tax class', 'Tax Class');
+        }
+    };
+
+    if (isLoading) {
+        return <div className="spinner" />;
+    }
+
+    return (
+        <div className="tax-classes">
+            {editing ? (
+                <div className="tax-class-form">
+                    <div className="tax-class-form-row">
+                        <input
+                            type="text"
+                            className="input"
+                            placeholder="Class name (e.g. Standard, Reduced)"
+                            value={editing.name}
+                            onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                            autoFocus
+                        />
+                        <label className="tax-class-check">
+                            <input
+                                type="checkbox"
+                                checked={editing.isDefault}
+                                onChange={(e) => setEditing(prev => ({ ...prev, isDefault: e.target.checked }))}
+                            />
+                            Store default
+                        </label>
+                    </div>
+
+                    {editing.rates.map((rate, index) => (
+                        <div key={index} className="tax-rate-row">
+                            <input
+                                type="text"
+                                className="input"
+                                placeholder="Rate name (e.g. State tax)"
+                                value={rate.name}
+                                onChange={(e) => updateRate(index, 'name', e.target.value)}
+                            />
+                            <input
+                                type="number"
+                                className="input"
+                                placeholder="%"
+                                min="0"
+                                max="100"
+                                step="0.001"
+                                value={rate.rate}
+                                onChange={(e) => updateRate(index, 'rate', e.target.value)}
+                            />
+                            <label className="tax-class-check">
+                                <input
+                                    type="checkbox"
+                                    checked={rate.compound}
+                                    onChange={(e) => updateRate(index, 'compound', e.target.checked)}
+                                />
+                                Compound
+                            </label>
+                            <button
+                                className="btn btn-ghost btn-sm text-danger"
+                                onClick={() => setEditing(prev => ({
+                                    ...prev,
+                                    rates: prev.rates.filter((_, i) => i !== index)
+                                }))}
+                            >
+                                <Trash2 size={16} />
+                            </button>
+                        </div>
+                    ))}
+
+                    <div className="category-form-actions">
+                        <button
+                            className="btn btn-ghost btn-sm tax-class-add-rate"
+                            onClick={() => setEditing(prev => ({
+                                ...prev,
+                                rates: [...prev.rates, { name: '', rate: '', compound: false }]
+                            }))}
+                        >
+                            <Plus size={16} /> Add Rate
+                        </button>
+                        <button className="btn btn-ghost" onClick={() => setEditing(null)}>
+                            <X size={16} /> Cancel
+                        </button>
+                        <button className="btn btn-primary" onClick={handleSave} disabled={isSaving}>
+                            <Check size={16} /> Save
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <button className="btn btn-sm btn-primary" onClick={() => setEditing(emptyClass())}>
+                    <Plus size={16} /> Add Tax Class
+                </button>
+            )}
+
+            <div className="categories-list">
+                {taxClasses.length === 0 ? (
+                    <p className="text-secondary">
+                        No tax classes yet. Sales are taxed at the store tax rate above.
+                    </p>
+                ) : (
+                    taxClasses.map(taxClass => (
+                        <div key={taxClass._id} className="category-item">
+                            <span className="category-name">
+                                {taxClass.name}
+                                {taxClass.isDefault && <span className="tax-class-default">Default</span>}
+                            </span>
+                            <span className="tax-class-rates">
+                                {taxClass.rates.map(r => `${r.name} ${r.rate}%${r.compound ? ' (compound)' : ''}`).join(' + ') || 'No tax'}
+                            </span>
+                            <button
+                                className="btn btn-ghost btn-sm"
+                                onClick={() => setEditing({
+                                    ...taxClass,
+                                    rates: taxClass.rates.map(r => ({ ...r, rate: r.rate.toString() }))
+                                })}
+                            >
+                                <Edit2 size={16} />
+                            </button>
+                            <button
+                                className="btn btn-ghost btn-sm text-danger"
+                                onClick={() => handleDelete(taxClass)}
+                            >
+                                <Trash2 size={16} />
+                            </button>
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default TaxClassManager;
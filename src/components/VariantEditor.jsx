@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Variant Editor
+ *
+ * Product form section for option axes (e.g. Size: S, M, L) and the
+ * variants generated from them, each with its own SKU, barcode, price,
+ * cost and opening stock.
+ */
+
+import { buildVariantCombinations, fromOptionRows, variantLabel } from '../utils/variants';
+import { Plus, Trash2, Layers } from 'lucide-react';
+import './VariantEditor.css';
+
+function VariantEditor({ optionRows, variants, lockedIds, onOptionRowsChange, onVariantsChange, defaultPrice }) {
+    const updateRow = (index, field, value) => {
+        onOptionRowsChange(optionRows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+    };
+
+    const updateVariant = (id, field, value) => {
+        onVariantsChange(variants.map(v => (v._id === id ? { ...v, [field]: value } : v)));
+    };
+
+    const handleGenerate = () => {
+        onVariantsChange(buildVariantCombinations(fromOptionRows(optionRows), variants));
+    };
+
+    return (
+        <div className="variant-editor">
+            <div className="variant-options">
+                {optionRows.map((row, index) => (
+                    <div key={index} className="variant-option-row">
+                        <input
+                            type="text"
+                            className="input"
+                            placeholder="Option (e.g. Size)"
+                            value={row.name}
+                            onChange={(e) => updateRow(index, 'name', e.target.value)}
+                        />
+                        <input
+                            type="text"
+                            className="input"
+                            placeholder="Values, comma separated (e.g. S, M, L)"
+                            value={row.valuesText}
+                            onChange={(e) => updateRow(index, 'valuesText', e.target.value)}
+                        />
+                        <button
+                            type="button"
+                            className="btn btn-ghost btn-icon text-danger"
+                            onClick={() => onOptionRowsChange(optionRows.filter((_, i) => i !== index))}
+                            title="Remove option"
+                        >
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+                ))}
+                <div className="variant-option-actions">
+                    <button
+                        type="button"
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => onOptionRowsChange([...optionRows, { name: '', valuesText: '' }])}
+                    >
+                        <Plus size={14} /> Add Option
+                    </button>
+                    {optionRows.length > 0 && (
+                        <button type="button" className="btn btn-secondary btn-sm" onClick={handleGenerate}>
+                            <Layers size={14} /> Generate Variants
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {variants.length > 0 && (
+                <div className="variant-table-wrapper">
+                    <table className="table variant-table">
+                        <thead>
+                            <tr>
+                                <th>Variant</th>
+                                <th>SKU</th>
+                                <th>Barcode</th>
+                                <th>Price</th>
+                                <th>Cost</th>
+                                <th>Stock</th>
+                                <th>Active</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {variants.map(variant => (
+                                <tr key={variant._id}>
+                                    <td className="variant-table-name">{variantLabel(variant)}</td>
+                                    <td>
+                                        <input
+                                            type="text"
+                                            className="input"
+                                            value={variant.sku || ''}
+                                            onChange={(e) => updateVariant(variant._id, 'sku', e.target.value)}
+                                        />
+                                    </td>
+                                    <td>
+                                        <input
+                                            type="text"
+                                            className="input"
+                                            value={variant.barcode || ''}
+                                            onChange={(e) => updateVariant(variant._id, 'barcode', e.target.value)}
+                                        />
+                                    </td>
+                                    <td>
+                                        <input
+                                            type="number"
+                                            className="input"
+                                            min="0"
+                                            step="0.01"
+                                            placeholder={defaultPrice || '0.00'}
+                                            value={variant.price ?? ''}
+                                            onChange={(e) => updateVariant(variant._id, 'price', e.target.value)}
+                                        />
+                                    </td>
+                                    <td>
+                                        <input
+                                            type="number"
+                                            className="input"
+                                            min="0"
+                                            step="0.01"
+                                            value={variant.costPrice ?? ''}
+                                            onChange={(e) => updateVariant(variant._id, 'costPrice', e.target.value)}
+                                        />
+                                    </td>
+                                    <td>
+                                        <input
+                                            type="number"
+                                            className="input"
+                                            min="0"
+                                            value={variant.quantity ?? 0}
+                                            onChange={(e) => updateVariant(variant._id, 'quantity', e.target.value)}
+                                            readOnly={lockedIds.has(variant._id)}
+                                            title={lockedIds.has(variant._id)
+                                                ? 'Use Purchase Orders or Stock Adjustments to change quantity'
+                                                : undefined}
+                                        />
+                                    </td>
+                                    <td>
+                                        <input
+                                            type="checkbox"
+                                            checked={variant.isActive !== false}
+                                            onChange={(e) => updateVariant(variant._id, 'isActive', e.target.checked)}
+                                        />
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default VariantEditor;
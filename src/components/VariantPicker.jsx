@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Variant Picker
+ *
+ * Shown in the POS when a product sold in several options is tapped,
+ * so the cashier can pick the size/colour being bought.
+ */
+
+import { useCurrency } from '../hooks/useCurrency';
+import { variantLabel } from '../utils/variants';
+import { X } from 'lucide-react';
+import './VariantPicker.css';
+
+function VariantPicker({ product, onSelect, onClose }) {
+    const { formatCurrency } = useCurrency();
+
+    const variants = (product.variants || []).filter(v => v.isActive !== false);
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal variant-picker-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">{product.name}</h3>
+                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    <div className="variant-grid">
+                        {variants.map(variant => (
+                            <button
+                                key={variant._id}
+                                className="variant-option"
+                                onClick={() => onSelect(variant)}
+                                disabled={variant.quantity <= 0}
+                            >
+                                <span className="variant-option-name">{variantLabel(variant)}</span>
+                                <span className="variant-option-price">
+                                    {formatCurrency(variant.price ?? product.price)}
+                                </span>
+                                <span className="variant-option-stock">
+                                    {variant.quantity > 0 ? `${variant.quantity} in stock` : 'Out of stock'}
+                                </span>
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default VariantPicker;
@@ -4,14 +4,16 @@
  * Allows configuring workflow actions
  */
 
-import { Mail, Bell, Webhook, Database, Plus, X } from 'lucide-react';
+import { Mail, Bell, Webhook, Database, Clock, UserCheck, Plus, X } from 'lucide-react';
 
 function ActionBuilder({ action, index, onChange, onRemove }) {
     const actionTypes = [
         { value: 'email', label: 'Send Email', icon: Mail },
         { value: 'notification', label: 'Send Notification', icon: Bell },
         { value: 'webhook', label: 'Call Webhook', icon: Webhook },
-        { value: 'update', label: 'Update Record', icon: Database }
+        { value: 'update', label: 'Update Record', icon: Database },
+        { value: 'delay', label: 'Wait', icon: Clock },
+        { value: 'approval', label: 'Require Approval', icon: UserCheck }
     ];
 
     const getActionIcon = (type) => {
@@ -55,6 +57,14 @@ function ActionBuilder({ action, index, onChange, onRemove }) {
                 {action.type === 'update' && (
                     <UpdateActionConfig action={action} onChange={onChange} />
                 )}
+
+                {action.type === 'delay' && (
+                    <DelayActionConfig action={action} onChange={onChange} />
+                )}
+
+                {action.type === 'approval' && (
+                    <ApprovalActionConfig action={action} onChange={onChange} />
+                )}
             </div>
 
             <div className="action-options">
@@ -299,4 +309,84 @@ function UpdateActionConfig({ action, onChange }) {
     );
 }
 
+/**
+ * Delay Action Configuration
+ */
+function DelayActionConfig({ action, onChange }) {
+    const updateConfig = (updates) => {
+        onChange({
+            config: { ...action.config, ...updates }
+        });
+    };
+
+    return (
+        <div className="form-grid">
+            <div className="form-group">
+                <label>Wait (minutes)</label>
+                <input
+                    type="number"
+                    className="form-control"
+                    min="0"
+                    placeholder="60"
+                    value={action.config.duration ? action.config.duration / 60000 : ''}
+                    onChange={(e) => updateConfig({ duration: Math.round(Number(e.target.value) * 60000) })}
+                />
+                <small className="form-hint">The rest of the workflow runs after the wait, even across restarts</small>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Approval Action Configuration
+ */
+function ApprovalActionConfig({ action, onChange }) {
+    const updateConfig = (updates) => {
+        onChange({
+            config: { ...action.config, ...updates }
+        });
+    };
+
+    return (
+        <div className="form-grid">
+            <div className="form-group form-full">
+                <label>Approvers (user IDs, comma-separated)</label>
+                <input
+                    type="text"
+                    className="form-control"
+                    placeholder="Leave empty to let anyone in the store approve"
+                    value={action.config.approvers?.join(', ') || ''}
+                    onChange={(e) => updateConfig({
+                        approvers: e.target.value.split(',').map(s => s.trim()).filter(Boolean)
+                    })}
+                />
+            </div>
+
+            <div className="form-group">
+                <label>Approvals Required</label>
+                <input
+                    type="number"
+                    className="form-control"
+                    min="1"
+                    value={action.config.requiredApprovals || 1}
+                    onChange={(e) => updateConfig({ requiredApprovals: Number(e.target.value) })}
+                />
+            </div>
+
+            <div className="form-group">
+                <label>Time Out After (minutes)</label>
+                <input
+                    type="number"
+                    className="form-control"
+                    min="0"
+                    placeholder="No time out"
+                    value={action.config.timeout || ''}
+                    onChange={(e) => updateConfig({ timeout: Number(e.target.value) || undefined })}
+                />
+                <small className="form-hint">A timed-out approval fails the step</small>
+            </div>
+        </div>
+    );
+}
+
 export default ActionBuilder;
@@ -11,6 +11,10 @@
  * - Credits (buy now, pay later)
  * - Employees and shifts
  * - Suppliers and purchase orders
+ * - Held (parked) carts
+ * - Cash drawer sessions
+ * - Stock take count sheets and offline counts
+ * - Outbound sync queue (changes waiting to reach the server)
  */
 
 import Dexie from 'dexie';
@@ -18,6 +22,286 @@ import Dexie from 'dexie';
 // Create database instance
 export const db = new Dexie('KingsPOS');
 
+/**
+ * Database Schema Version 9
+ * Changed: syncQueue is the outbound journal - one row per change waiting to
+ * reach the server, with its retry state
+ */
+db.version(9).stores({
+    // Users table - store employees and owners
+    users: '++id, email, role, storeId, serverId, needsSync, createdAt',
+
+    // Stores table - business locations
+    stores: '++id, name, ownerId, currency, taxRate, serverId, needsSync, createdAt',
+
+    // Products/Inventory table
+    products: '++id, storeId, name, barcode, sku, categoryId, price, costPrice, quantity, lowStockThreshold, serverId, needsSync, createdAt, updatedAt',
+
+    // Categories table
+    categories: '++id, storeId, name, color, icon, sortOrder, serverId, needsSync',
+
+    // Sales/Transactions table
+    sales: '++id, storeId, userId, customerId, employeeId, shiftId, items, subtotal, discount, tax, total, paymentMethod, paymentStatus, status, registerId, serverId, needsSync, createdAt',
+
+    // Customers table
+    customers: '++id, storeId, name, phone, email, address, totalOrders, totalSpent, lastOrderDate, serverId, needsSync, createdAt, updatedAt',
+
+    // Credits table
+    credits: '++id, storeId, customerId, saleId, amount, amountPaid, dueDate, status, serverId, needsSync, createdAt, paidAt',
+
+    // Employees table
+    employees: '++id, storeId, name, email, phone, role, pin, hourlyRate, isActive, serverId, needsSync, createdAt, updatedAt',
+
+    // Shifts table
+    shifts: '++id, storeId, employeeId, date, startTime, endTime, status, serverId, needsSync, createdAt',
+
+    // Clock Events table
+    clockEvents: '++id, storeId, employeeId, shiftId, clockIn, clockOut, salesCount, salesTotal, itemsSold, serverId, needsSync, createdAt',
+
+    // Suppliers table
+    suppliers: '++id, storeId, name, email, phone, address, serverId, needsSync, createdAt',
+
+    // Purchase Orders table
+    purchaseOrders: '++id, storeId, supplierId, items, status, total, serverId, needsSync, createdAt, expectedDate',
+
+    // Held Carts table (parked orders)
+    heldCarts: '++id, storeId, label, employeeId, serverId, needsSync, createdAt',
+
+    // Cash drawer sessions
+    drawerSessions: '++id, storeId, registerId, status, openedAt, clientId, serverId, needsSync',
+
+    // Stock take count sheets, kept for counting offline
+    stockTakes: '++id, storeId, status, serverId, createdAt',
+
+    // Counts recorded on this device, waiting to be sent
+    stockCounts: '++id, stockTakeId, lineId, clientId, needsSync',
+
+    // Settings table
+    settings: 'key, value',
+
+    // Sessions table (for auth)
+    sessions: '++id, userId, token, expiresAt, createdAt',
+
+    // Outbound sync journal, replayed oldest first
+    syncQueue: '++id, tableName, recordId, status, createdAt'
+}).upgrade(async (tx) => {
+    // Journal changes made before the queue was used, parents before the records that name them
+    const queue = tx.table('syncQueue');
+    await queue.clear();
+
+    const journal = (tableName, action, recordId) => queue.add({
+        tableName,
+        action,
+        recordId,
+        data: {},
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: null,
+        lastError: null,
+        createdAt: new Date().toISOString()
+    });
+
+    for (const tableName of ['products', 'customers', 'employees', 'shifts', 'clockEvents', 'sales']) {
+        const records = await tx.table(tableName).toArray();
+        for (const record of records) {
+            if (!record.serverId) {
+                await journal(tableName, 'create', record.id);
+            } else if (record.needsSync) {
+                await journal(tableName, 'update', record.id);
+            }
+        }
+    }
+
+    const heldCarts = await tx.table('heldCarts').filter(c => c.needsSync === true).toArray();
+    for (const heldCart of heldCarts) {
+        await journal('heldCarts', heldCart.resumed ? 'release' : 'create', heldCart.id);
+    }
+
+    const drawers = await tx.table('drawerSessions').filter(s => s.needsSync === true).toArray();
+    for (const session of drawers) {
+        await journal('drawerSessions', 'push', session.id);
+    }
+
+    const counts = await tx.table('stockCounts').toArray();
+    for (const stockTakeId of new Set(counts.map(count => count.stockTakeId))) {
+        await journal('stockTakes', 'counts', stockTakeId);
+    }
+});
+
+/**
+ * Database Schema Version 8
+ * Added: stockTakes (cached count sheets) and stockCounts (counts waiting to sync)
+ */
+db.version(8).stores({
+    // Users table - store employees and owners
+    users: '++id, email, role, storeId, serverId, needsSync, createdAt',
+
+    // Stores table - business locations
+    stores: '++id, name, ownerId, currency, taxRate, serverId, needsSync, createdAt',
+
+    // Products/Inventory table
+    products: '++id, storeId, name, barcode, sku, categoryId, price, costPrice, quantity, lowStockThreshold, serverId, needsSync, createdAt, updatedAt',
+
+    // Categories table
+    categories: '++id, storeId, name, color, icon, sortOrder, serverId, needsSync',
+
+    // Sales/Transactions table
+    sales: '++id, storeId, userId, customerId, employeeId, shiftId, items, subtotal, discount, tax, total, paymentMethod, paymentStatus, status, registerId, serverId, needsSync, createdAt',
+
+    // Customers table
+    customers: '++id, storeId, name, phone, email, address, totalOrders, totalSpent, lastOrderDate, serverId, needsSync, createdAt, updatedAt',
+
+    // Credits table
+    credits: '++id, storeId, customerId, saleId, amount, amountPaid, dueDate, status, serverId, needsSync, createdAt, paidAt',
+
+    // Employees table
+    employees: '++id, storeId, name, email, phone, role, pin, hourlyRate, isActive, serverId, needsSync, createdAt, updatedAt',
+
+    // Shifts table
+    shifts: '++id, storeId, employeeId, date, startTime, endTime, status, serverId, needsSync, createdAt',
+
+    // Clock Events table
+    clockEvents: '++id, storeId, employeeId, shiftId, clockIn, clockOut, salesCount, salesTotal, itemsSold, serverId, needsSync, createdAt',
+
+    // Suppliers table
+    suppliers: '++id, storeId, name, email, phone, address, serverId, needsSync, createdAt',
+
+    // Purchase Orders table
+    purchaseOrders: '++id, storeId, supplierId, items, status, total, serverId, needsSync, createdAt, expectedDate',
+
+    // Held Carts table (parked orders)
+    heldCarts: '++id, storeId, label, employeeId, serverId, needsSync, createdAt',
+
+    // Cash drawer sessions
+    drawerSessions: '++id, storeId, registerId, status, openedAt, clientId, serverId, needsSync',
+
+    // Stock take count sheets, kept for counting offline
+    stockTakes: '++id, storeId, status, serverId, createdAt',
+
+    // Counts recorded on this device, waiting to be sent
+    stockCounts: '++id, stockTakeId, lineId, clientId, needsSync',
+
+    // Settings table
+    settings: 'key, value',
+
+    // Sessions table (for auth)
+    sessions: '++id, userId, token, expiresAt, createdAt',
+
+    // Sync Queue table
+    syncQueue: '++id, tableName, action, recordId, data, createdAt, synced'
+});
+
+/**
+ * Database Schema Version 7
+ * Added: drawerSessions table for cash drawers; registerId on sales
+ */
+db.version(7).stores({
+    // Users table - store employees and owners
+    users: '++id, email, role, storeId, serverId, needsSync, createdAt',
+
+    // Stores table - business locations
+    stores: '++id, name, ownerId, currency, taxRate, serverId, needsSync, createdAt',
+
+    // Products/Inventory table
+    products: '++id, storeId, name, barcode, sku, categoryId, price, costPrice, quantity, lowStockThreshold, serverId, needsSync, createdAt, updatedAt',
+
+    // Categories table
+    categories: '++id, storeId, name, color, icon, sortOrder, serverId, needsSync',
+
+    // Sales/Transactions table
+    sales: '++id, storeId, userId, customerId, employeeId, shiftId, items, subtotal, discount, tax, total, paymentMethod, paymentStatus, status, registerId, serverId, needsSync, createdAt',
+
+    // Customers table
+    customers: '++id, storeId, name, phone, email, address, totalOrders, totalSpent, lastOrderDate, serverId, needsSync, createdAt, updatedAt',
+
+    // Credits table
+    credits: '++id, storeId, customerId, saleId, amount, amountPaid, dueDate, status, serverId, needsSync, createdAt, paidAt',
+
+    // Employees table
+    employees: '++id, storeId, name, email, phone, role, pin, hourlyRate, isActive, serverId, needsSync, createdAt, updatedAt',
+
+    // Shifts table
+    shifts: '++id, storeId, employeeId, date, startTime, endTime, status, serverId, needsSync, createdAt',
+
+    // Clock Events table
+    clockEvents: '++id, storeId, employeeId, shiftId, clockIn, clockOut, salesCount, salesTotal, itemsSold, serverId, needsSync, createdAt',
+
+    // Suppliers table
+    suppliers: '++id, storeId, name, email, phone, address, serverId, needsSync, createdAt',
+
+    // Purchase Orders table
+    purchaseOrders: '++id, storeId, supplierId, items, status, total, serverId, needsSync, createdAt, expectedDate',
+
+    // Held Carts table (parked orders)
+    heldCarts: '++id, storeId, label, employeeId, serverId, needsSync, createdAt',
+
+    // Cash drawer sessions
+    drawerSessions: '++id, storeId, registerId, status, openedAt, clientId, serverId, needsSync',
+
+    // Settings table
+    settings: 'key, value',
+
+    // Sessions table (for auth)
+    sessions: '++id, userId, token, expiresAt, createdAt',
+
+    // Sync Queue table
+    syncQueue: '++id, tableName, action, recordId, data, createdAt, synced'
+});
+
+/**
+ * Database Schema Version 6
+ * Added: heldCarts table for parked carts
+ */
+db.version(6).stores({
+    // Users table - store employees and owners
+    users: '++id, email, role, storeId, serverId, needsSync, createdAt',
+
+    // Stores table - business locations
+    stores: '++id, name, ownerId, currency, taxRate, serverId, needsSync, createdAt',
+
+    // Products/Inventory table
+    products: '++id, storeId, name, barcode, sku, categoryId, price, costPrice, quantity, lowStockThreshold, serverId, needsSync, createdAt, updatedAt',
+
+    // Categories table
+    categories: '++id, storeId, name, color, icon, sortOrder, serverId, needsSync',
+
+    // Sales/Transactions table
+    sales: '++id, storeId, userId, customerId, employeeId, shiftId, items, subtotal, discount, tax, total, paymentMethod, paymentStatus, status, serverId, needsSync, createdAt',
+
+    // Customers table
+    customers: '++id, storeId, name, phone, email, address, totalOrders, totalSpent, lastOrderDate, serverId, needsSync, createdAt, updatedAt',
+
+    // Credits table
+    credits: '++id, storeId, customerId, saleId, amount, amountPaid, dueDate, status, serverId, needsSync, createdAt, paidAt',
+
+    // Employees table
+    employees: '++id, storeId, name, email, phone, role, pin, hourlyRate, isActive, serverId, needsSync, createdAt, updatedAt',
+
+    // Shifts table
+    shifts: '++id, storeId, employeeId, date, startTime, endTime, status, serverId, needsSync, createdAt',
+
+    // Clock Events table
+    clockEvents: '++id, storeId, employeeId, shiftId, clockIn, clockOut, salesCount, salesTotal, itemsSold, serverId, needsSync, createdAt',
+
+    // Suppliers table
+    suppliers: '++id, storeId, name, email, phone, address, serverId, needsSync, createdAt',
+
+    // Purchase Orders table
+    purchaseOrders: '++id, storeId, supplierId, items, status, total, serverId, needsSync, createdAt, expectedDate',
+
+    // Held Carts table (parked orders)
+    heldCarts: '++id, storeId, label, employeeId, serverId, needsSync, createdAt',
+
+    // Settings table
+    settings: 'key, value',
+
+    // Sessions table (for auth)
+    sessions: '++id, userId, token, expiresAt, createdAt',
+
+    // Sync Queue table
+    syncQueue: '++id, tableName, action, recordId, data, createdAt, synced'
+});
+
 /**
  * Database Schema Version 5
  * Added: needsSync index to all tables for efficient sync queries
@@ -222,6 +506,9 @@ export const dbHelpers = {
         await db.clockEvents.clear();
         await db.suppliers.clear();
         await db.purchaseOrders.clear();
+        await db.heldCarts.clear();
+        await db.stockTakes.clear();
+        await db.stockCounts.clear();
         await db.settings.clear();
         await db.sessions.clear();
         await db.syncQueue.clear();
@@ -244,6 +531,7 @@ export const dbHelpers = {
             clockEvents: await db.clockEvents.toArray(),
             suppliers: await db.suppliers.toArray(),
             purchaseOrders: await db.purchaseOrders.toArray(),
+            heldCarts: await db.heldCarts.toArray(),
             settings: await db.settings.toArray()
         };
     },
@@ -264,6 +552,7 @@ export const dbHelpers = {
         if (data.clockEvents) await db.clockEvents.bulkPut(data.clockEvents);
         if (data.suppliers) await db.suppliers.bulkPut(data.suppliers);
         if (data.purchaseOrders) await db.purchaseOrders.bulkPut(data.purchaseOrders);
+        if (data.heldCarts) await db.heldCarts.bulkPut(data.heldCarts);
         if (data.settings) await db.settings.bulkPut(data.settings);
     },
 
@@ -345,10 +634,24 @@ export const dbHelpers = {
             )
             .toArray();
 
+        // Split tenders count toward each method; older sales only have paymentMethod
+        const paymentTotals = { cash: 0, card: 0, credit: 0 };
+        for (const sale of sales) {
+            const payments = sale.payments?.length
+                ? sale.payments
+                : [{ method: sale.paymentMethod, amount: sale.total || 0, changeGiven: 0 }];
+            for (const p of payments) {
+                if (p.method in paymentTotals) {
+                    paymentTotals[p.method] += (p.amount || 0) - (p.changeGiven || 0);
+                }
+            }
+        }
+
         return {
             salesCount: sales.length,
             salesTotal: sales.reduce((sum, s) => sum + (s.total || 0), 0),
-            itemsSold: sales.reduce((sum, s) => sum + (s.items?.length || 0), 0)
+            itemsSold: sales.reduce((sum, s) => sum + (s.items?.length || 0), 0),
+            paymentTotals
         };
     }
 };
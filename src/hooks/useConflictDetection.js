@@ -87,6 +87,18 @@ export function useConflictDetection() {
         }
     }, [pendingOperation]);
 
+    /**
+     * Present a conflict that arrived outside callWithConflictDetection,
+     * e.g. in a sync push result
+     *
+     * @param {Object} conflictData - Conflict payload (serverVersion, clientVersion, ...)
+     * @param {Function} apiCall - Called with the resolved data and strategy
+     */
+    const presentConflict = useCallback((conflictData, apiCall) => {
+        setConflict(conflictData);
+        setPendingOperation({ apiCall, data: conflictData.clientVersion });
+    }, []);
+
     /**
      * Cancel conflict resolution
      */
@@ -104,6 +116,7 @@ export function useConflictDetection() {
         conflict,
         hasConflict,
         callWithConflictDetection,
+        presentConflict,
         resolveConflict,
         cancelConflict
     };
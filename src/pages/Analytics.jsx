@@ -10,7 +10,7 @@ import {
     XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
     AreaChart, Area, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar
 } from 'recharts';
-import { TrendingUp, TrendingDown, DollarSign, ShoppingCart, Users, Package, Award, Target, Activity } from 'lucide-react';
+import { TrendingUp, TrendingDown, DollarSign, ShoppingCart, Users, Package, Award, Target, Activity, Percent, Tag } from 'lucide-react';
 import { format, subDays, startOfDay } from 'date-fns';
 import api from '../services/api';
 import './Analytics.css';
@@ -30,6 +30,8 @@ function Analytics() {
     const [customerSegments, setCustomerSegments] = useState([]);
     const [employeePerformance, setEmployeePerformance] = useState([]);
     const [salesForecast, setSalesForecast] = useState([]);
+    const [taxSummary, setTaxSummary] = useState(null);
+    const [promotionPerformance, setPromotionPerformance] = useState(null);
     const [advancedLoading, setAdvancedLoading] = useState(false);
 
     useEffect(() => {
@@ -82,17 +84,25 @@ function Analytics() {
             }
 
             // Load advanced analytics in parallel
-            const [turnoverData, segmentsData, performanceData, forecastData] = await Promise.all([
+            const [turnoverData, segmentsData, performanceData, forecastData, taxData, promotionData] = await Promise.all([
                 api.analytics.getInventoryTurnover(startDate.toISOString(), endDate.toISOString()).catch(() => null),
                 api.analytics.getCustomerSegments().catch(() => []),
                 api.analytics.getEmployeePerformance(startDate.toISOString(), endDate.toISOString()).catch(() => []),
-                api.analytics.getSalesForecast(7).catch(() => [])
+                api.analytics.getSalesForecast(7).catch(() => []),
+                api.analytics.getTaxSummary(
+                    startDate.toISOString(),
+                    endDate.toISOString(),
+                    period === 'month' ? 'week' : 'day'
+                ).catch(() => null),
+                api.analytics.getPromotionPerformance(startDate.toISOString(), endDate.toISOString()).catch(() => null)
             ]);
 
             setInventoryTurnover(turnoverData);
             setCustomerSegments(segmentsData);
             setEmployeePerformance(performanceData);
             setSalesForecast(forecastData);
+            setTaxSummary(taxData);
+            setPromotionPerformance(promotionData);
         } catch (error) {
             console.error('Failed to load advanced analytics:', error);
         } finally {
@@ -299,6 +309,7 @@ function Analytics() {
                             <Legend />
                             <Bar dataKey="totalSold" fill="#3b82f6" name="Units Sold" />
                             <Bar dataKey="revenue" fill="#10b981" name="Revenue ($)" />
+                            <Bar dataKey="grossProfit" fill="#f59e0b" name="Gross Profit ($)" />
                         </BarChart>
                     </ResponsiveContainer>
                 </div>
@@ -493,6 +504,94 @@ function Analytics() {
                                 </ResponsiveContainer>
                             </div>
                         )}
+                        {/* Promotion Performance */}
+                        {promotionPerformance?.promotions?.length > 0 && (
+                            <div className="chart-card" style={{ marginTop: '1.5rem' }}>
+                                <h3 style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                    <Tag size={20} />
+                                    Promotions
+                                </h3>
+                                <p style={{ color: 'var(--text-secondary)', fontSize: '0.875rem', marginBottom: '1rem' }}>
+                                    {promotionPerformance.totals.promotedSales} of {promotionPerformance.totals.sales} sales
+                                    used a promotion, saving customers ${(Number(promotionPerformance.totals.discount) || 0).toFixed(2)}
+                                </p>
+                                <table className="summary-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Promotion</th>
+                                            <th>Uses</th>
+                                            <th>Discount Given</th>
+                                            <th>Sales Revenue</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {promotionPerformance.promotions.map(promotion => (
+                                            <tr key={promotion.promotionId}>
+                                                <td>
+                                                    {promotion.name}
+                                                    {promotion.couponCode && ` (${promotion.couponCode})`}
+                                                    {promotion.products.length > 0 && (
+                                                        <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                                                            {promotion.products.map(p => `${p.name} ×${p.quantity}`).join(', ')}
+                                                        </div>
+                                                    )}
+                                                </td>
+                                                <td>{promotion.uses}</td>
+                                                <td>${(Number(promotion.discount) || 0).toFixed(2)}</td>
+                                                <td>${(Number(promotion.revenue) || 0).toFixed(2)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+
+                        {/* Tax Summary */}
+                        {taxSummary?.rates?.length > 0 && (
+                            <div className="chart-card" style={{ marginTop: '1.5rem' }}>
+                                <h3 style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                    <Percent size={20} />
+                                    Tax Collected
+                                </h3>
+                                <table className="summary-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Rate</th>
+                                            <th>Taxable Amount</th>
+                                            <th>Tax</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {taxSummary.rates.map(rate => (
+                                            <tr key={`${rate.name}-${rate.rate}-${rate.compound}`}>
+                                                <td>
+                                                    {rate.name} ({rate.rate}%{rate.compound ? ', compound' : ''})
+                                                </td>
+                                                <td>${(Number(rate.taxableAmount) || 0).toFixed(2)}</td>
+                                                <td>${(Number(rate.amount) || 0).toFixed(2)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                    <tfoot>
+                                        <tr>
+                                            <td colSpan={2}>Total</td>
+                                            <td>${(Number(taxSummary.totalTax) || 0).toFixed(2)}</td>
+                                        </tr>
+                                    </tfoot>
+                                </table>
+                                {taxSummary.periods?.length > 1 && (
+                                    <ResponsiveContainer width="100%" height={250}>
+                                        <BarChart data={taxSummary.periods}>
+                                            <CartesianGrid strokeDasharray="3 3" />
+                                            <XAxis dataKey="period" />
+                                            <YAxis />
+                                            <Tooltip formatter={(value) => `$${Number(value).toFixed(2)}`} />
+                                            <Bar dataKey="total" fill="#f59e0b" name="Tax" />
+                                        </BarChart>
+                                    </ResponsiveContainer>
+                                )}
+                            </div>
+                        )}
                     </>
                 )}
             </div>
@@ -10,6 +10,17 @@ import { apiRequest } from '../services/api';
 import { useCurrency } from '../hooks/useCurrency';
 import './ConsolidatedReports.css';
 
+// Item sales and cost of goods sold across all stores, with the overall margin
+const totalMargins = (salesByStore = []) => {
+    const itemSales = salesByStore.reduce((sum, s) => sum + (s.itemSales || 0), 0);
+    const cogs = salesByStore.reduce((sum, s) => sum + (s.cogs || 0), 0);
+    return {
+        itemSales,
+        cogs,
+        margin: itemSales > 0 ? ((itemSales - cogs) / itemSales) * 100 : 0
+    };
+};
+
 function ConsolidatedReports() {
     const { formatCurrency } = useCurrency();
     const [loading, setLoading] = useState(false);
@@ -70,6 +81,8 @@ function ConsolidatedReports() {
         });
     };
 
+    const salesTotals = totalMargins(report?.salesByStore);
+
     return (
         <div className="consolidated-reports">
             {/* Header */}
@@ -170,6 +183,9 @@ function ConsolidatedReports() {
                                             <th>Revenue</th>
                                             <th>Transactions</th>
                                             <th>Avg Transaction</th>
+                                            <th>COGS</th>
+                                            <th>Gross Profit</th>
+                                            <th>Margin</th>
                                         </tr>
                                     </thead>
                                     <tbody>
@@ -179,6 +195,9 @@ function ConsolidatedReports() {
                                                 <td className="revenue">{formatCurrency(store.revenue)}</td>
                                                 <td>{store.transactions}</td>
                                                 <td>{formatCurrency(store.avgTransaction)}</td>
+                                                <td>{formatCurrency(store.cogs || 0)}</td>
+                                                <td className="revenue">{formatCurrency(store.grossProfit || 0)}</td>
+                                                <td>{(store.margin || 0).toFixed(1)}%</td>
                                             </tr>
                                         ))}
                                     </tbody>
@@ -198,6 +217,15 @@ function ConsolidatedReports() {
                                                 </strong>
                                             </td>
                                             <td>-</td>
+                                            <td>
+                                                <strong>{formatCurrency(salesTotals.cogs)}</strong>
+                                            </td>
+                                            <td className="revenue">
+                                                <strong>{formatCurrency(salesTotals.itemSales - salesTotals.cogs)}</strong>
+                                            </td>
+                                            <td>
+                                                <strong>{salesTotals.margin.toFixed(1)}%</strong>
+                                            </td>
                                         </tr>
                                     </tfoot>
                                 </table>
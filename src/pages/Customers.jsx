@@ -6,6 +6,7 @@
  * - Add/Edit customer information
  * - View customer order history
  * - Track customer credits (buy now, pay later)
+ * - Credit limits, payment history, aging and account statements
  * - Credit payment notifications
  */
 
@@ -13,15 +14,18 @@ import { useState, useEffect } from 'react';
 import { useAuthStore } from '../stores/authStore';
 import { useCurrency } from '../hooks/useCurrency';
 import db from '../db';
-import { customerSync } from '../services/sync';
+import { customerSync, creditSync } from '../services/sync';
+import { creditAPI } from '../services/api';
+import { toast } from '../stores/toastStore';
 import {
     Users, Search, Plus, Edit2, Trash2, X, Save, Phone, Mail, MapPin,
     ShoppingBag, CreditCard, Calendar, AlertTriangle, Clock, Check,
-    ChevronRight, DollarSign, History, User, Bell, Download
+    ChevronRight, DollarSign, History, User, Bell, Download, FileText, Printer, Send
 } from 'lucide-react';
 import AdvancedSearchBar from '../components/AdvancedSearchBar';
 import Pagination from '../components/Pagination';
 import ExportModal from '../components/ExportModal';
+import CreditStatement, { CreditAging } from '../components/CreditStatement';
 import { useAdvancedSearch } from '../hooks/useAdvancedSearch';
 import './Customers.css';
 
@@ -50,6 +54,30 @@ const getDaysFromNow = (dateString) => {
     return diffDays;
 };
 
+/**
+ * Spread unpaid credit balances over days-past-due buckets
+ * (same buckets as the server's statements)
+ */
+const ageCredits = (creditList) => {
+    const aging = { current: 0, '1-30': 0, '31-60': 0, '61-90': 0, '90+': 0 };
+    for (const credit of creditList) {
+        const balance = credit.amount - (credit.amountPaid || 0);
+        if (balance <= 0) continue;
+        const daysPastDue = -getDaysFromNow(credit.dueDate);
+        const bucket = daysPastDue <= 0 ? 'current'
+            : daysPastDue <= 30 ? '1-30'
+                : daysPastDue <= 60 ? '31-60'
+                    : daysPastDue <= 90 ? '61-90' : '90+';
+        aging[bucket] += balance;
+    }
+    return aging;
+};
+
+/**
+ * Date input value (YYYY-MM-DD) for a date
+ */
+const toDateInput = (date) => date.toISOString().split('T')[0];
+
 function Customers() {
     const { store } = useAuthStore();
     const { formatCurrency } = useCurrency();
@@ -65,10 +93,14 @@ function Customers() {
     const [showHistoryModal, setShowHistoryModal] = useState(false);
     const [showPaymentModal, setShowPaymentModal] = useState(false);
     const [showExportModal, setShowExportModal] = useState(false);
+    const [statementCustomer, setStatementCustomer] = useState(null);
     const [editingCustomer, setEditingCustomer] = useState(null);
     const [selectedCustomer, setSelectedCustomer] = useState(null);
     const [customerOrders, setCustomerOrders] = useState([]);
     const [selectedCredit, setSelectedCredit] = useState(null);
+    const [statement, setStatement] = useState(null);
+    const [statementPeriod, setStatementPeriod] = useState({ from: '', to: '' });
+    const [statementLoading, setStatementLoading] = useState(false);
 
     // Form state
     const [formData, setFormData] = useState({
@@ -76,9 +108,11 @@ function Customers() {
         phone: '',
         email: '',
         address: '',
-        notes: ''
+        notes: '',
+        creditLimit: ''
     });
     const [paymentAmount, setPaymentAmount] = useState('');
+    const [paymentMethod, setPaymentMethod] = useState('cash');
 
     // Advanced search configuration
     const searchConfig = {
@@ -159,7 +193,7 @@ function Customers() {
      */
     const handleAddCustomer = () => {
         setEditingCustomer(null);
-        setFormData({ name: '', phone: '', email: '', address: '', notes: '' });
+        setFormData({ name: '', phone: '', email: '', address: '', notes: '', creditLimit: '' });
         setShowCustomerModal(true);
     };
 
@@ -173,7 +207,8 @@ function Customers() {
             phone: customer.phone || '',
             email: customer.email || '',
             address: customer.address || '',
-            notes: customer.notes || ''
+            notes: customer.notes || '',
+            creditLimit: customer.creditLimit ?? ''
         });
         setShowCustomerModal(true);
     };
@@ -184,18 +219,24 @@ function Customers() {
     const handleSaveCustomer = async () => {
         if (!formData.name.trim()) return;
 
+        // Blank means no limit
+        const customerFields = {
+            ...formData,
+            creditLimit: formData.creditLimit === '' ? null : parseFloat(formData.creditLimit)
+        };
+
         try {
             if (editingCustomer) {
                 // Update existing customer and sync to server
                 const result = await customerSync.update(editingCustomer.id, {
-                    ...formData,
+                    ...customerFields,
                     updatedAt: new Date().toISOString()
                 });
                 console.log('Customer updated, synced:', result.synced);
             } else {
                 // Add new customer and sync to server
                 const customerData = {
-                    ...formData,
+                    ...customerFields,
                     totalOrders: 0,
                     totalSpent: 0,
                     lastOrderDate: null
@@ -250,6 +291,7 @@ function Customers() {
      */
     const handleMakePayment = (credit) => {
         setSelectedCredit(credit);
+        setPaymentMethod('cash');
         const remaining = credit.amount - (credit.amountPaid || 0);
         setPaymentAmount(remaining.toFixed(2));
         setShowPaymentModal(true);
@@ -270,19 +312,81 @@ function Customers() {
         }
 
         try {
-            const newAmountPaid = (selectedCredit.amountPaid || 0) + amount;
-            const isPaidInFull = newAmountPaid >= selectedCredit.amount;
-
-            await db.credits.update(selectedCredit.id, {
-                amountPaid: newAmountPaid,
-                status: isPaidInFull ? 'paid' : 'partial',
-                paidAt: isPaidInFull ? new Date().toISOString() : null
-            });
+            // Counted here straight away; the server gets it when the queue reaches it
+            const result = await creditSync.recordPayment(selectedCredit.id, amount, { method: paymentMethod });
+            if (result.error) {
+                toast.error(`Payment saved on this device but the server rejected it: ${result.error}`, 'Sync Failed');
+            }
 
             setShowPaymentModal(false);
             await loadData();
         } catch (error) {
             console.error('Failed to process payment:', error);
+            toast.error(error.message || 'Failed to record payment', 'Error');
+        }
+    };
+
+    /**
+     * Load the statement for a period (defaults to the last 30 days)
+     */
+    const loadStatement = async (customer, period) => {
+        setStatementLoading(true);
+        try {
+            const data = await creditAPI.getStatement(customer.serverId, {
+                from: new Date(`${period.from}T00:00:00`).toISOString(),
+                to: new Date(`${period.to}T23:59:59.999`).toISOString()
+            });
+            setStatement(data);
+        } catch (error) {
+            console.error('Failed to load statement:', error);
+            toast.error(error.message || 'Failed to load statement', 'Error');
+        }
+        setStatementLoading(false);
+    };
+
+    /**
+     * Open the account statement for a customer
+     */
+    const handleViewStatement = (customer) => {
+        const today = new Date();
+        const period = {
+            from: toDateInput(new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000)),
+            to: toDateInput(today)
+        };
+        setStatementCustomer(customer);
+        setStatement(null);
+        setStatementPeriod(period);
+        loadStatement(customer, period);
+    };
+
+    /**
+     * Email the statement to the customer
+     */
+    const handleEmailStatement = async () => {
+        try {
+            const result = await creditAPI.emailStatement(statementCustomer.serverId, {
+                from: statement.from,
+                to: statement.to
+            });
+            toast.success(result.message, 'Statement Sent');
+        } catch (error) {
+            console.error('Failed to email statement:', error);
+            toast.error(error.message || 'Failed to email statement', 'Error');
+        }
+    };
+
+    /**
+     * Download the statement as a PDF
+     */
+    const handleDownloadStatement = async () => {
+        try {
+            await creditAPI.downloadStatement(statementCustomer.serverId, {
+                from: statement.from,
+                to: statement.to
+            });
+        } catch (error) {
+            console.error('Failed to download statement:', error);
+            toast.error(error.message || 'Failed to download statement', 'Error');
         }
     };
 
@@ -306,6 +410,14 @@ function Customers() {
         return days >= 0 && days <= 7;
     }).length;
 
+    /**
+     * Outstanding credit balance per customer
+     */
+    const balances = credits.reduce((totals, credit) => {
+        totals[credit.customerId] = (totals[credit.customerId] || 0) + credit.amount - (credit.amountPaid || 0);
+        return totals;
+    }, {});
+
     if (isLoading) {
         return (
             <div className="customers-loading">
@@ -431,6 +543,15 @@ function Customers() {
                                         <DollarSign size={16} />
                                         <span>{formatCurrency(customer.totalSpent)}</span>
                                     </div>
+                                    {balances[customer.id] > 0 && (
+                                        <div className={`stat-item ${customer.creditLimit != null && balances[customer.id] > customer.creditLimit ? 'text-danger' : ''}`}>
+                                            <CreditCard size={16} />
+                                            <span>
+                                                Owes {formatCurrency(balances[customer.id])}
+                                                {customer.creditLimit != null && ` / ${formatCurrency(customer.creditLimit)}`}
+                                            </span>
+                                        </div>
+                                    )}
                                 </div>
                                 <div className="customer-actions">
                                     <button
@@ -439,6 +560,14 @@ function Customers() {
                                     >
                                         <History size={16} /> History
                                     </button>
+                                    {customer.serverId && (
+                                        <button
+                                            className="btn btn-secondary btn-sm"
+                                            onClick={() => handleViewStatement(customer)}
+                                        >
+                                            <FileText size={16} /> Statement
+                                        </button>
+                                    )}
                                     <button
                                         className="btn btn-ghost btn-sm"
                                         onClick={() => handleEditCustomer(customer)}
@@ -473,6 +602,12 @@ function Customers() {
             )}
 
             {/* Credits List */}
+            {activeTab === 'credits' && credits.length > 0 && (
+                <div className="mb-4">
+                    <CreditAging aging={ageCredits(credits)} formatCurrency={formatCurrency} />
+                </div>
+            )}
+
             {activeTab === 'credits' && (
                 <div className="credits-list">
                     {credits.length === 0 ? (
@@ -575,6 +710,18 @@ function Customers() {
                                     placeholder="Street address"
                                 />
                             </div>
+                            <div className="input-group">
+                                <label className="input-label">Credit Limit</label>
+                                <input
+                                    type="number"
+                                    className="input"
+                                    value={formData.creditLimit}
+                                    onChange={(e) => setFormData(prev => ({ ...prev, creditLimit: e.target.value }))}
+                                    placeholder="No limit"
+                                    min="0"
+                                    step="0.01"
+                                />
+                            </div>
                             <div className="input-group">
                                 <label className="input-label">Notes</label>
                                 <textarea
@@ -674,6 +821,32 @@ function Customers() {
                                     step="0.01"
                                 />
                             </div>
+                            <div className="input-group">
+                                <label className="input-label">Payment Method</label>
+                                <select
+                                    className="input"
+                                    value={paymentMethod}
+                                    onChange={(e) => setPaymentMethod(e.target.value)}
+                                >
+                                    <option value="cash">Cash</option>
+                                    <option value="card">Card</option>
+                                    <option value="transfer">Bank Transfer</option>
+                                    <option value="other">Other</option>
+                                </select>
+                            </div>
+                            {selectedCredit.payments?.length > 0 && (
+                                <div className="order-history">
+                                    {selectedCredit.payments.map((payment, index) => (
+                                        <div key={index} className="order-item">
+                                            <div className="order-date">{formatDate(payment.paidAt)}</div>
+                                            <div className="order-details">
+                                                <span className="badge badge-success">{payment.method}</span>
+                                            </div>
+                                            <div className="order-total">{formatCurrency(payment.amount)}</div>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
                         </div>
                         <div className="modal-footer">
                             <button className="btn btn-secondary" onClick={() => setShowPaymentModal(false)}>
@@ -687,6 +860,74 @@ function Customers() {
                 </div>
             )}
 
+            {/* Statement Modal */}
+            {statementCustomer && (
+                <div className="modal-overlay" onClick={() => setStatementCustomer(null)}>
+                    <div className="modal modal-lg" onClick={e => e.stopPropagation()}>
+                        <div className="modal-header">
+                            <h3 className="modal-title">
+                                <FileText size={20} /> Statement - {statementCustomer.name}
+                            </h3>
+                            <button className="btn btn-ghost btn-icon" onClick={() => setStatementCustomer(null)}>
+                                <X size={20} />
+                            </button>
+                        </div>
+                        <div className="modal-body">
+                            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-end' }} className="mb-4">
+                                <div className="input-group">
+                                    <label className="input-label">From</label>
+                                    <input
+                                        type="date"
+                                        className="input"
+                                        value={statementPeriod.from}
+                                        onChange={(e) => setStatementPeriod(prev => ({ ...prev, from: e.target.value }))}
+                                    />
+                                </div>
+                                <div className="input-group">
+                                    <label className="input-label">To</label>
+                                    <input
+                                        type="date"
+                                        className="input"
+                                        value={statementPeriod.to}
+                                        onChange={(e) => setStatementPeriod(prev => ({ ...prev, to: e.target.value }))}
+                                    />
+                                </div>
+                                <button
+                                    className="btn btn-secondary"
+                                    onClick={() => loadStatement(statementCustomer, statementPeriod)}
+                                    disabled={statementLoading}
+                                >
+                                    Update
+                                </button>
+                            </div>
+                            {statementLoading ? (
+                                <div className="empty-state-sm">
+                                    <span className="spinner" />
+                                </div>
+                            ) : statement && (
+                                <CreditStatement statement={statement} formatCurrency={formatCurrency} />
+                            )}
+                        </div>
+                        <div className="modal-footer">
+                            <button className="btn btn-secondary" onClick={handleDownloadStatement} disabled={!statement}>
+                                <Download size={18} /> PDF
+                            </button>
+                            <button
+                                className="btn btn-secondary"
+                                onClick={handleEmailStatement}
+                                disabled={!statement || !statementCustomer.email}
+                                title={statementCustomer.email ? `Email to ${statementCustomer.email}` : 'Customer has no email address'}
+                            >
+                                <Send size={18} /> Email
+                            </button>
+                            <button className="btn btn-primary" onClick={() => window.print()} disabled={!statement}>
+                                <Printer size={18} /> Print
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
             {/* Export Modal */}
             <ExportModal
                 isOpen={showExportModal}
@@ -5,7 +5,8 @@
  * - Product listing with grid and list views
  * - Search and category filtering
  * - Add/Edit/Delete products
- * - Barcode scanning for quick product lookup
+ * - Barcode scanning for quick product lookup (matches variant barcodes too)
+ * - Variants (size/colour) with their own SKU, barcode, price and stock
  * - Low stock alerts and discount scheduling
  * 
  * @requires React, useEffect, useState
@@ -28,6 +29,9 @@ import BulkImportModal from '../components/BulkImportModal';
 import ExportModal from '../components/ExportModal';
 import AdvancedSearchBar from '../components/AdvancedSearchBar';
 import Pagination from '../components/Pagination';
+import VariantEditor from '../components/VariantEditor';
+import { findByCode, toOptionRows, fromOptionRows } from '../utils/variants';
+import { loadTaxConfig } from '../services/tax';
 import { useAdvancedSearch } from '../hooks/useAdvancedSearch';
 import api from '../services/api';
 import './Inventory.css';
@@ -46,6 +50,7 @@ function Inventory() {
     // Product and category data
     const [products, setProducts] = useState([]);
     const [categories, setCategories] = useState([]);
+    const [taxClasses, setTaxClasses] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
 
     // UI state
@@ -58,16 +63,22 @@ function Inventory() {
     const [showExportModal, setShowExportModal] = useState(false);
     const [editingProduct, setEditingProduct] = useState(null);
 
+    // Variant options and variants for the product being edited
+    const [optionRows, setOptionRows] = useState([]);
+    const [variants, setVariants] = useState([]);
+
     // Form data for add/edit product
     const [formData, setFormData] = useState({
         name: '',
         barcode: '',
         sku: '',
         categoryId: '',
+        taxClassId: '',
         price: '',
         costPrice: '',
         quantity: '',
         lowStockThreshold: '5',
+        location: '',
         discountPercent: '',
         discountStart: '',
         discountEnd: '',
@@ -123,6 +134,7 @@ function Inventory() {
 
             setProducts(enrichedProducts);
             setCategories(categoriesData);
+            setTaxClasses((await loadTaxConfig(store)).classes);
 
             // Update IndexedDB with fresh server data
             if (Array.isArray(productsData) && productsData.length > 0) {
@@ -207,15 +219,19 @@ function Inventory() {
             barcode: '',
             sku: '',
             categoryId: categories[0]?.id || '',
+            taxClassId: '',
             price: '',
             costPrice: '',
             quantity: '',
             lowStockThreshold: '5',
+            location: '',
             discountPercent: '',
             discountStart: '',
             discountEnd: '',
             imageUrl: ''
         });
+        setOptionRows([]);
+        setVariants([]);
         setShowModal(true);
     };
 
@@ -230,15 +246,19 @@ function Inventory() {
             barcode: product.barcode || '',
             sku: product.sku || '',
             categoryId: product.categoryId || '',
+            taxClassId: product.taxClassId || '',
             price: product.price?.toString() || '',
             costPrice: product.costPrice?.toString() || '',
             quantity: product.quantity?.toString() || '',
             lowStockThreshold: product.lowStockThreshold?.toString() || '5',
+            location: product.location || '',
             discountPercent: product.discountPercent?.toString() || '',
             discountStart: product.discountStart || '',
             discountEnd: product.discountEnd || '',
             imageUrl: product.imageUrl || ''
         });
+        setOptionRows(toOptionRows(product.options));
+        setVariants(product.variants || []);
         setShowModal(true);
     };
 
@@ -248,12 +268,12 @@ function Inventory() {
      * @param {string} barcode - The scanned barcode value
      */
     const handleBarcodeScan = (barcode) => {
-        // Check if product with this barcode exists
-        const existingProduct = products.find(p => p.barcode === barcode);
+        // Check if a product (or one of its variants) has this barcode
+        const match = findByCode(products, barcode);
 
-        if (existingProduct) {
+        if (match) {
             // Open edit modal for existing product
-            openEditModal(existingProduct);
+            openEditModal(match.product);
         } else {
             // Start new product with scanned barcode
             openAddModal();
@@ -280,9 +300,11 @@ function Inventory() {
             barcode: formData.barcode || null,
             sku: formData.sku || null,
             categoryId: formData.categoryId ? parseInt(formData.categoryId) : null,
+            taxClassId: formData.taxClassId || null,
             price: parseFloat(formData.price) || 0,
             costPrice: parseFloat(formData.costPrice) || 0,
             lowStockThreshold: parseInt(formData.lowStockThreshold) || 5,
+            location: formData.location.trim() || null,
             discountPercent: parseFloat(formData.discountPercent) || null,
             discountStart: formData.discountStart || null,
             discountEnd: formData.discountEnd || null,
@@ -297,6 +319,26 @@ function Inventory() {
             productData.quantity = parseInt(formData.quantity) || 0;
         }
 
+        // Variants carry their own stock; the product total is their sum.
+        // Stock on existing variants is kept by the server, like product quantity.
+        const cleanVariants = variants.map(v => ({
+            _id: v._id,
+            options: v.options,
+            sku: v.sku || null,
+            barcode: v.barcode || null,
+            price: v.price === '' || v.price === null || v.price === undefined ? null : parseFloat(v.price),
+            costPrice: v.costPrice === '' || v.costPrice === null || v.costPrice === undefined
+                ? null
+                : parseFloat(v.costPrice),
+            quantity: parseInt(v.quantity) || 0,
+            isActive: v.isActive !== false
+        }));
+        productData.options = fromOptionRows(optionRows);
+        productData.variants = cleanVariants;
+        if (cleanVariants.length > 0) {
+            productData.quantity = cleanVariants.reduce((sum, v) => sum + v.quantity, 0);
+        }
+
         console.log('📦 Product data to save:', productData);
 
         try {
@@ -499,6 +541,9 @@ function Inventory() {
                                     {getCategoryName(product.categoryId)}
                                 </span>
                                 <h4 className="product-name">{product.name}</h4>
+                                {product.variants?.length > 0 && (
+                                    <span className="product-variants">{product.variants.length} variants</span>
+                                )}
                                 <div className="product-meta">
                                     <span className="product-price">{formatCurrency(product.price)}</span>
                                     <span className="product-qty">Qty: {product.quantity}</span>
@@ -550,6 +595,9 @@ function Inventory() {
                                         <div className="table-product">
                                             <span className="table-product-name">{product.name}</span>
                                             {product.sku && <span className="table-product-sku">SKU: {product.sku}</span>}
+                                            {product.variants?.length > 0 && (
+                                                <span className="table-product-sku">{product.variants.length} variants</span>
+                                            )}
                                         </div>
                                     </td>
                                     <td>
@@ -697,11 +745,27 @@ function Inventory() {
                                         </select>
                                     </div>
 
+                                    {/* Tax Class */}
+                                    <div className="input-group">
+                                        <label className="input-label">Tax Class</label>
+                                        <select
+                                            name="taxClassId"
+                                            className="input select"
+                                            value={formData.taxClassId}
+                                            onChange={handleInputChange}
+                                        >
+                                            <option value="">From category / store default</option>
+                                            {taxClasses.map(tc => (
+                                                <option key={tc._id} value={tc._id}>{tc.name}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+
                                     {/* Quantity */}
                                     <div className="input-group">
                                         <label className="input-label">
                                             Quantity
-                                            {editingProduct && (
+                                            {(editingProduct || variants.length > 0) && (
                                                 <span style={{ fontSize: '0.8em', color: '#888', marginLeft: '8px' }}>
                                                     (Read-only)
                                                 </span>
@@ -713,12 +777,18 @@ function Inventory() {
                                             className="input"
                                             placeholder="0"
                                             min="0"
-                                            value={formData.quantity}
+                                            value={variants.length > 0
+                                                ? variants.reduce((sum, v) => sum + (parseInt(v.quantity) || 0), 0)
+                                                : formData.quantity}
                                             onChange={handleInputChange}
-                                            readOnly={!!editingProduct}
-                                            style={editingProduct ? { backgroundColor: '#f5f5f5', cursor: 'not-allowed' } : {}}
+                                            readOnly={!!editingProduct || variants.length > 0}
+                                            style={editingProduct || variants.length > 0 ? { backgroundColor: '#f5f5f5', cursor: 'not-allowed' } : {}}
                                         />
-                                        {editingProduct && (
+                                        {variants.length > 0 ? (
+                                            <small style={{ color: '#666', fontSize: '0.85em' }}>
+                                                Total of the variants' stock
+                                            </small>
+                                        ) : editingProduct && (
                                             <small style={{ color: '#666', fontSize: '0.85em' }}>
                                                 Use Purchase Orders or Stock Adjustments to change quantity
                                             </small>
@@ -770,6 +840,19 @@ function Inventory() {
                                         />
                                     </div>
 
+                                    {/* Shelf Location, used to scope stock takes */}
+                                    <div className="input-group">
+                                        <label className="input-label">Location</label>
+                                        <input
+                                            type="text"
+                                            name="location"
+                                            className="input"
+                                            placeholder="e.g. Aisle 3, Shelf B"
+                                            value={formData.location}
+                                            onChange={handleInputChange}
+                                        />
+                                    </div>
+
                                     {/* Discount Section Header */}
                                     <div className="form-section span-2">
                                         <h4>Discount Settings (Optional)</h4>
@@ -825,6 +908,22 @@ function Inventory() {
                                             onChange={handleInputChange}
                                         />
                                     </div>
+
+                                    {/* Variants Section */}
+                                    <div className="form-section span-2">
+                                        <h4>Variants (Optional)</h4>
+                                    </div>
+
+                                    <div className="span-2">
+                                        <VariantEditor
+                                            optionRows={optionRows}
+                                            variants={variants}
+                                            lockedIds={new Set((editingProduct?.variants || []).map(v => v._id))}
+                                            onOptionRowsChange={setOptionRows}
+                                            onVariantsChange={setVariants}
+                                            defaultPrice={formData.price}
+                                        />
+                                    </div>
                                 </div>
                             </div>
 
@@ -1,169 +1,248 @@
 /**
  * @fileoverview Inventory Transfer Page
  *
- * Transfer inventory between stores with validation and tracking.
- * Shows transfer history and current stock levels.
+ * Request, ship and receive multi-line transfer orders between stores.
+ * Shows the current store's open transfers, stock in transit and history.
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import {
     ArrowRightLeft, Building2, Package, Search, Send, History,
-    AlertCircle, CheckCircle, X, Calendar
+    AlertCircle, CheckCircle, X, Calendar, Truck, PackageCheck, Trash2
 } from 'lucide-react';
 import api from '../services/api';
 import { toast } from '../stores/toastStore';
 import { useAuthStore } from '../stores/authStore';
 import '../pages/Inventory.css';
 
+const STATUS_STYLES = {
+    requested: { background: 'rgba(99, 102, 241, 0.1)', color: 'var(--primary-color)' },
+    in_transit: { background: 'rgba(245, 158, 11, 0.1)', color: 'var(--warning-color)' },
+    received: { background: 'rgba(16, 185, 129, 0.1)', color: 'var(--success-color)' },
+    cancelled: { background: 'rgba(107, 114, 128, 0.1)', color: 'var(--text-secondary)' }
+};
+
+/**
+ * Stock available for a transfer line (the variant's, when it has one)
+ */
+const availableStock = (product, variantId) => {
+    if (!product.variants?.length) return product.quantity;
+    return product.variants.find(v => v._id === variantId)?.quantity ?? 0;
+};
+
+const variantLabel = (variant) => Object.values(variant.options || {}).filter(Boolean).join(' / ');
+
 function InventoryTransfer() {
-    const { user } = useAuthStore();
+    const { store } = useAuthStore();
+    const currentStoreId = store?.serverId;
+
     const [stores, setStores] = useState([]);
-    const [products, setProducts] = useState([]);
     const [transfers, setTransfers] = useState([]);
+    const [inTransit, setInTransit] = useState({ incoming: [], outgoing: [] });
     const [loading, setLoading] = useState(true);
     const [submitting, setSubmitting] = useState(false);
+    const [tab, setTab] = useState('open');
 
     // Form state
-    const [sourceStoreId, setSourceStoreId] = useState('');
-    const [destinationStoreId, setDestinationStoreId] = useState('');
-    const [selectedProduct, setSelectedProduct] = useState(null);
-    const [quantity, setQuantity] = useState('');
+    const [direction, setDirection] = useState('send');
+    const [otherStoreId, setOtherStoreId] = useState('');
+    const [lines, setLines] = useState([]);
     const [reason, setReason] = useState('restock');
     const [notes, setNotes] = useState('');
+    const [shipNow, setShipNow] = useState(true);
     const [productSearch, setProductSearch] = useState('');
+    const [searchResults, setSearchResults] = useState([]);
 
-    // Stock info
-    const [sourceStock, setSourceStock] = useState(0);
-    const [destinationStock, setDestinationStock] = useState(0);
+    // Transfer being shipped or received: { id, action, quantities, reasons }
+    const [processing, setProcessing] = useState(null);
+
+    const sourceStoreId = direction === 'send' ? currentStoreId : otherStoreId;
+    const destinationStoreId = direction === 'send' ? otherStoreId : currentStoreId;
+
+    const loadTransfers = useCallback(async () => {
+        try {
+            const [transfersData, inTransitData] = await Promise.all([
+                api.transfers.getAll(tab === 'open' ? { open: 'true' } : { limit: 50 }),
+                api.transfers.getInTransit()
+            ]);
+            setTransfers(transfersData || []);
+            setInTransit(inTransitData);
+        } catch (error) {
+            console.error('Failed to load transfers:', error);
+            toast.error('Failed to load transfers', 'Error');
+        }
+    }, [tab]);
 
     useEffect(() => {
-        loadData();
+        const loadStores = async () => {
+            try {
+                setStores(await api.stores.getAll());
+            } catch (error) {
+                console.error('Failed to load stores:', error);
+                toast.error('Failed to load stores', 'Error');
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadStores();
     }, []);
 
     useEffect(() => {
-        if (sourceStoreId) {
-            loadProducts(sourceStoreId);
-        }
-    }, [sourceStoreId]);
+        loadTransfers();
+    }, [loadTransfers]);
 
+    // Search the source store's products as the user types
     useEffect(() => {
-        if (selectedProduct && sourceStoreId && destinationStoreId) {
-            loadStockInfo();
+        if (!sourceStoreId || !productSearch) {
+            setSearchResults([]);
+            return undefined;
         }
-    }, [selectedProduct, sourceStoreId, destinationStoreId]);
 
-    const loadData = async () => {
-        try {
-            setLoading(true);
-            const [storesData, transfersData] = await Promise.all([
-                api.stores.getAll(),
-                api.stores.getTransfers({ limit: 20 })
-            ]);
-            setStores(storesData);
-            setTransfers(transfersData || []);
-
-            // Set current store as default source
-            if (user?.storeId && storesData.length > 0) {
-                setSourceStoreId(user.storeId);
+        const timer = setTimeout(async () => {
+            try {
+                setSearchResults(await api.transfers.getProducts(sourceStoreId, productSearch));
+            } catch (error) {
+                console.error('Failed to search products:', error);
             }
-        } catch (error) {
-            console.error('Failed to load data:', error);
-            toast.error('Failed to load data', 'Error');
-        } finally {
-            setLoading(false);
-        }
+        }, 250);
+        return () => clearTimeout(timer);
+    }, [sourceStoreId, productSearch]);
+
+    const resetForm = () => {
+        setLines([]);
+        setNotes('');
+        setProductSearch('');
     };
 
-    const loadProducts = async (storeId) => {
-        try {
-            const data = await api.products.getAll({ storeId, inStock: true });
-            setProducts(data || []);
-        } catch (error) {
-            console.error('Failed to load products:', error);
-            toast.error('Failed to load products', 'Error');
-        }
+    const addLine = (product) => {
+        setLines(prev => [...prev, {
+            key: `${product._id}-${Date.now()}`,
+            product,
+            variantId: product.variants?.[0]?._id || null,
+            quantity: 1
+        }]);
+        setProductSearch('');
     };
 
-    const loadStockInfo = async () => {
-        try {
-            const [sourceData, destData] = await Promise.all([
-                api.products.getStoreStock(selectedProduct._id, sourceStoreId),
-                api.products.getStoreStock(selectedProduct._id, destinationStoreId)
-            ]);
-            setSourceStock(sourceData?.quantity || 0);
-            setDestinationStock(destData?.quantity || 0);
-        } catch (error) {
-            console.error('Failed to load stock info:', error);
-        }
+    const updateLine = (key, updates) => {
+        setLines(prev => prev.map(line => (line.key === key ? { ...line, ...updates } : line)));
+    };
+
+    const removeLine = (key) => {
+        setLines(prev => prev.filter(line => line.key !== key));
     };
 
     const handleSubmit = async (e) => {
         e.preventDefault();
 
-        // Validation
-        if (!sourceStoreId || !destinationStoreId || !selectedProduct || !quantity) {
-            toast.warning('Please fill in all required fields', 'Validation Error');
+        if (!currentStoreId || !otherStoreId) {
+            toast.warning('Please choose the other store', 'Validation Error');
             return;
         }
-
-        if (sourceStoreId === destinationStoreId) {
-            toast.warning('Source and destination stores must be different', 'Validation Error');
+        if (lines.length === 0) {
+            toast.warning('Add at least one product', 'Validation Error');
             return;
         }
-
-        const transferQty = parseInt(quantity);
-        if (transferQty <= 0) {
-            toast.warning('Quantity must be greater than 0', 'Validation Error');
+        if (lines.some(line => !(parseInt(line.quantity) > 0))) {
+            toast.warning('Every line needs a quantity greater than 0', 'Validation Error');
             return;
         }
 
-        if (transferQty > sourceStock) {
-            toast.error(`Insufficient stock. Available: ${sourceStock}`, 'Validation Error');
+        const sending = direction === 'send' && shipNow;
+        const short = lines.find(line => parseInt(line.quantity) > availableStock(line.product, line.variantId));
+        if (sending && short) {
+            toast.error(`Insufficient stock of ${short.product.name}`, 'Validation Error');
             return;
         }
 
         try {
             setSubmitting(true);
-            await api.stores.transfer({
-                sourceStoreId,
-                destinationStoreId,
-                productId: selectedProduct._id,
-                quantity: transferQty,
+            const transfer = await api.transfers.create({
+                fromStoreId: sourceStoreId,
+                toStoreId: destinationStoreId,
+                items: lines.map(line => ({
+                    productId: line.product._id,
+                    variantId: line.variantId || undefined,
+                    quantity: parseInt(line.quantity)
+                })),
                 reason,
                 notes
             });
 
-            toast.success(`Successfully transferred ${transferQty} units`, 'Transfer Complete');
+            if (sending) {
+                await api.transfers.ship(transfer._id);
+                toast.success(`Transfer ${transfer.transferNumber} shipped`, 'Transfer Sent');
+            } else {
+                toast.success(`Transfer ${transfer.transferNumber} requested`, 'Transfer Requested');
+            }
 
-            // Reset form
-            setSelectedProduct(null);
-            setQuantity('');
-            setNotes('');
-            setProductSearch('');
-            setSourceStock(0);
-            setDestinationStock(0);
+            resetForm();
+            loadTransfers();
+        } catch (error) {
+            console.error('Failed to create transfer:', error);
+            toast.error(error.message || 'Failed to create transfer', 'Error');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const startProcessing = (transfer, action) => {
+        setProcessing({
+            id: transfer._id,
+            action,
+            quantities: Object.fromEntries(transfer.items.map(item => [
+                item._id,
+                action === 'ship' ? item.quantityRequested : item.quantityShipped
+            ])),
+            reasons: {}
+        });
+    };
 
-            // Reload data
-            loadData();
-            if (sourceStoreId) {
-                loadProducts(sourceStoreId);
+    const handleProcess = async (transfer) => {
+        const items = transfer.items.map(item => ({
+            itemId: item._id,
+            ...(processing.action === 'ship'
+                ? { quantity: parseInt(processing.quantities[item._id]) || 0 }
+                : {
+                    quantityReceived: parseInt(processing.quantities[item._id]) || 0,
+                    discrepancyReason: processing.reasons[item._id] || undefined
+                })
+        }));
+
+        try {
+            setSubmitting(true);
+            if (processing.action === 'ship') {
+                await api.transfers.ship(transfer._id, items);
+                toast.success(`Transfer ${transfer.transferNumber} shipped`, 'Transfer Sent');
+            } else {
+                const received = await api.transfers.receive(transfer._id, items);
+                if (received.hasDiscrepancies) {
+                    toast.warning(`Transfer ${transfer.transferNumber} received with discrepancies`, 'Transfer Received');
+                } else {
+                    toast.success(`Transfer ${transfer.transferNumber} received`, 'Transfer Received');
+                }
             }
+            setProcessing(null);
+            loadTransfers();
         } catch (error) {
-            console.error('Failed to transfer inventory:', error);
-            toast.error(error.message || 'Failed to transfer inventory', 'Error');
+            console.error(`Failed to ${processing.action} transfer:`, error);
+            toast.error(error.message || `Failed to ${processing.action} transfer`, 'Error');
         } finally {
             setSubmitting(false);
         }
     };
 
-    const getFilteredProducts = () => {
-        if (!productSearch) return products;
-        const search = productSearch.toLowerCase();
-        return products.filter(p =>
-            p.name.toLowerCase().includes(search) ||
-            p.sku?.toLowerCase().includes(search) ||
-            p.barcode?.toLowerCase().includes(search)
-        );
+    const handleCancel = async (transfer) => {
+        if (!confirm(`Cancel transfer ${transfer.transferNumber}?`)) return;
+
+        try {
+            await api.transfers.cancel(transfer._id);
+            toast.success(`Transfer ${transfer.transferNumber} cancelled`, 'Transfer Cancelled');
+            loadTransfers();
+        } catch (error) {
+            console.error('Failed to cancel transfer:', error);
+            toast.error(error.message || 'Failed to cancel transfer', 'Error');
+        }
     };
 
     const formatDate = (date) => {
@@ -176,10 +255,7 @@ function InventoryTransfer() {
         });
     };
 
-    const getStoreName = (storeId) => {
-        const store = stores.find(s => s._id === storeId);
-        return store?.name || 'Unknown Store';
-    };
+    const sumUnits = (list) => list.reduce((sum, line) => sum + line.quantity, 0);
 
     if (loading) {
         return (
@@ -199,11 +275,31 @@ function InventoryTransfer() {
                 <div>
                     <h1>Inventory Transfer</h1>
                     <p style={{ color: 'var(--text-secondary)', margin: '0.5rem 0 0 0' }}>
-                        Transfer inventory between stores
+                        Send stock to other stores or request it from them
                     </p>
                 </div>
             </div>
 
+            {/* In Transit */}
+            <div className="inventory-stats-grid">
+                <div className="inventory-stat-card">
+                    <div className="inventory-stat-header">
+                        <span className="inventory-stat-label">Incoming In Transit</span>
+                        <Truck size={20} className="inventory-stat-icon" />
+                    </div>
+                    <div className="inventory-stat-value">{sumUnits(inTransit.incoming)} units</div>
+                    <div className="inventory-stat-change">{inTransit.incoming.length} product lines</div>
+                </div>
+                <div className="inventory-stat-card">
+                    <div className="inventory-stat-header">
+                        <span className="inventory-stat-label">Outgoing In Transit</span>
+                        <Send size={20} className="inventory-stat-icon" />
+                    </div>
+                    <div className="inventory-stat-value">{sumUnits(inTransit.outgoing)} units</div>
+                    <div className="inventory-stat-change">{inTransit.outgoing.length} product lines</div>
+                </div>
+            </div>
+
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1.5rem' }}>
                 {/* Transfer Form */}
                 <div className="inventory-form">
@@ -213,197 +309,156 @@ function InventoryTransfer() {
                     </div>
 
                     <form onSubmit={handleSubmit}>
-                        {/* Store Selection */}
-                        <div style={{ display: 'grid', gridTemplateColumns: '1fr auto 1fr', gap: '1rem', marginBottom: '1.5rem' }}>
+                        {/* Direction and Store */}
+                        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
                             <div className="inventory-form-group">
-                                <label className="inventory-form-label required">Source Store</label>
+                                <label className="inventory-form-label required">Transfer</label>
                                 <select
                                     className="inventory-form-select"
-                                    value={sourceStoreId}
+                                    value={direction}
                                     onChange={(e) => {
-                                        setSourceStoreId(e.target.value);
-                                        setSelectedProduct(null);
-                                        setProductSearch('');
+                                        setDirection(e.target.value);
+                                        setLines([]);
                                     }}
-                                    required
                                 >
-                                    <option value="">Select source store</option>
-                                    {stores.map(store => (
-                                        <option key={store._id} value={store._id}>{store.name}</option>
-                                    ))}
+                                    <option value="send">Send to</option>
+                                    <option value="request">Request from</option>
                                 </select>
                             </div>
 
-                            <div style={{ display: 'flex', alignItems: 'flex-end', paddingBottom: '0.625rem' }}>
-                                <ArrowRightLeft size={20} style={{ color: 'var(--primary-color)' }} />
-                            </div>
-
                             <div className="inventory-form-group">
-                                <label className="inventory-form-label required">Destination Store</label>
+                                <label className="inventory-form-label required">Store</label>
                                 <select
                                     className="inventory-form-select"
-                                    value={destinationStoreId}
-                                    onChange={(e) => setDestinationStoreId(e.target.value)}
+                                    value={otherStoreId}
+                                    onChange={(e) => {
+                                        setOtherStoreId(e.target.value);
+                                        if (direction === 'request') setLines([]);
+                                    }}
                                     required
                                 >
-                                    <option value="">Select destination store</option>
-                                    {stores.filter(s => s._id !== sourceStoreId).map(store => (
-                                        <option key={store._id} value={store._id}>{store.name}</option>
+                                    <option value="">Select store</option>
+                                    {stores.filter(s => s._id !== currentStoreId).map(s => (
+                                        <option key={s._id} value={s._id}>{s.name}</option>
                                     ))}
                                 </select>
                             </div>
                         </div>
 
-                        {/* Product Selection */}
+                        {/* Product Search */}
                         <div className="inventory-form-group">
-                            <label className="inventory-form-label required">Product</label>
-                            {!selectedProduct ? (
-                                <>
-                                    <div style={{ position: 'relative', marginBottom: '0.5rem' }}>
-                                        <Search size={18} style={{ position: 'absolute', left: '0.75rem', top: '50%', transform: 'translateY(-50%)', color: 'var(--text-secondary)' }} />
-                                        <input
-                                            type="text"
-                                            className="inventory-form-input"
-                                            placeholder="Search products by name, SKU, or barcode..."
-                                            value={productSearch}
-                                            onChange={(e) => setProductSearch(e.target.value)}
-                                            disabled={!sourceStoreId}
-                                            style={{ paddingLeft: '2.5rem' }}
-                                        />
-                                    </div>
-                                    {productSearch && (
-                                        <div style={{ maxHeight: '200px', overflowY: 'auto', border: '1px solid var(--border-color)', borderRadius: 'var(--radius-md)', background: 'var(--background)' }}>
-                                            {getFilteredProducts().length > 0 ? (
-                                                getFilteredProducts().map(product => (
-                                                    <button
-                                                        key={product._id}
-                                                        type="button"
-                                                        onClick={() => {
-                                                            setSelectedProduct(product);
-                                                            setProductSearch('');
-                                                        }}
-                                                        style={{
-                                                            width: '100%',
-                                                            padding: '0.75rem',
-                                                            border: 'none',
-                                                            borderBottom: '1px solid var(--border-color)',
-                                                            background: 'transparent',
-                                                            textAlign: 'left',
-                                                            cursor: 'pointer',
-                                                            transition: 'background 0.2s ease'
-                                                        }}
-                                                        onMouseEnter={(e) => e.target.style.background = 'var(--surface)'}
-                                                        onMouseLeave={(e) => e.target.style.background = 'transparent'}
-                                                    >
-                                                        <div style={{ fontWeight: 600, fontSize: '0.875rem' }}>{product.name}</div>
-                                                        <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
-                                                            SKU: {product.sku} • Stock: {product.quantity}
-                                                        </div>
-                                                    </button>
-                                                ))
-                                            ) : (
-                                                <div style={{ padding: '1rem', textAlign: 'center', color: 'var(--text-secondary)', fontSize: '0.875rem' }}>
-                                                    No products found
+                            <label className="inventory-form-label required">Products</label>
+                            <div style={{ position: 'relative', marginBottom: '0.5rem' }}>
+                                <Search size={18} style={{ position: 'absolute', left: '0.75rem', top: '50%', transform: 'translateY(-50%)', color: 'var(--text-secondary)' }} />
+                                <input
+                                    type="text"
+                                    className="inventory-form-input"
+                                    placeholder="Search products by name, SKU, or barcode..."
+                                    value={productSearch}
+                                    onChange={(e) => setProductSearch(e.target.value)}
+                                    disabled={!sourceStoreId}
+                                    style={{ paddingLeft: '2.5rem' }}
+                                />
+                            </div>
+                            {productSearch && (
+                                <div style={{ maxHeight: '200px', overflowY: 'auto', border: '1px solid var(--border-color)', borderRadius: 'var(--radius-md)', background: 'var(--background)' }}>
+                                    {searchResults.length > 0 ? (
+                                        searchResults.map(product => (
+                                            <button
+                                                key={product._id}
+                                                type="button"
+                                                onClick={() => addLine(product)}
+                                                style={{
+                                                    width: '100%',
+                                                    padding: '0.75rem',
+                                                    border: 'none',
+                                                    borderBottom: '1px solid var(--border-color)',
+                                                    background: 'transparent',
+                                                    textAlign: 'left',
+                                                    cursor: 'pointer'
+                                                }}
+                                            >
+                                                <div style={{ fontWeight: 600, fontSize: '0.875rem' }}>{product.name}</div>
+                                                <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                                                    SKU: {product.sku || 'N/A'} • Stock: {product.quantity}
+                                                    {product.variants?.length > 0 && ` • ${product.variants.length} variants`}
                                                 </div>
-                                            )}
+                                            </button>
+                                        ))
+                                    ) : (
+                                        <div style={{ padding: '1rem', textAlign: 'center', color: 'var(--text-secondary)', fontSize: '0.875rem' }}>
+                                            No products found
                                         </div>
                                     )}
-                                </>
-                            ) : (
-                                <div style={{
-                                    display: 'flex',
-                                    alignItems: 'center',
-                                    justifyContent: 'space-between',
-                                    padding: '0.75rem',
-                                    background: 'rgba(99, 102, 241, 0.05)',
-                                    border: '2px solid var(--primary-color)',
-                                    borderRadius: 'var(--radius-md)'
-                                }}>
-                                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                                        <Package size={18} style={{ color: 'var(--primary-color)' }} />
-                                        <div>
-                                            <div style={{ fontWeight: 600, fontSize: '0.875rem' }}>{selectedProduct.name}</div>
-                                            <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
-                                                SKU: {selectedProduct.sku}
-                                            </div>
-                                        </div>
-                                    </div>
-                                    <button
-                                        type="button"
-                                        onClick={() => {
-                                            setSelectedProduct(null);
-                                            setQuantity('');
-                                            setSourceStock(0);
-                                            setDestinationStock(0);
-                                        }}
-                                        style={{
-                                            background: 'none',
-                                            border: 'none',
-                                            cursor: 'pointer',
-                                            color: 'var(--text-secondary)',
-                                            padding: '0.25rem'
-                                        }}
-                                    >
-                                        <X size={18} />
-                                    </button>
                                 </div>
                             )}
                         </div>
 
-                        {/* Stock Display */}
-                        {selectedProduct && sourceStoreId && destinationStoreId && (
-                            <div style={{
-                                display: 'grid',
-                                gridTemplateColumns: '1fr 1fr',
-                                gap: '1rem',
-                                padding: '1rem',
-                                background: 'var(--surface)',
-                                borderRadius: 'var(--radius-md)',
-                                marginBottom: '1rem'
-                            }}>
-                                <div>
-                                    <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginBottom: '0.25rem' }}>
-                                        Source Stock
-                                    </div>
-                                    <div style={{ fontSize: '1.25rem', fontWeight: 700, color: sourceStock > 0 ? 'var(--success-color)' : 'var(--danger-color)' }}>
-                                        {sourceStock} units
-                                    </div>
-                                </div>
-                                <div>
-                                    <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginBottom: '0.25rem' }}>
-                                        Destination Stock
-                                    </div>
-                                    <div style={{ fontSize: '1.25rem', fontWeight: 700, color: 'var(--info-color)' }}>
-                                        {destinationStock} units
-                                    </div>
-                                </div>
+                        {/* Lines */}
+                        {lines.length > 0 && (
+                            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginBottom: '1rem' }}>
+                                {lines.map(line => {
+                                    const available = availableStock(line.product, line.variantId);
+                                    const tooMany = direction === 'send' && parseInt(line.quantity) > available;
+
+                                    return (
+                                        <div
+                                            key={line.key}
+                                            style={{
+                                                display: 'grid',
+                                                gridTemplateColumns: '1fr auto auto',
+                                                alignItems: 'center',
+                                                gap: '0.75rem',
+                                                padding: '0.75rem',
+                                                background: 'var(--surface)',
+                                                border: `1px solid ${tooMany ? 'var(--danger-color)' : 'var(--border-color)'}`,
+                                                borderRadius: 'var(--radius-md)'
+                                            }}
+                                        >
+                                            <div>
+                                                <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: 600, fontSize: '0.875rem' }}>
+                                                    <Package size={16} style={{ color: 'var(--primary-color)' }} />
+                                                    {line.product.name}
+                                                </div>
+                                                {line.product.variants?.length > 0 && (
+                                                    <select
+                                                        className="inventory-form-select"
+                                                        value={line.variantId}
+                                                        onChange={(e) => updateLine(line.key, { variantId: e.target.value })}
+                                                        style={{ marginTop: '0.5rem' }}
+                                                    >
+                                                        {line.product.variants.map(variant => (
+                                                            <option key={variant._id} value={variant._id}>
+                                                                {variantLabel(variant) || variant.sku}
+                                                            </option>
+                                                        ))}
+                                                    </select>
+                                                )}
+                                                <div style={{ fontSize: '0.75rem', color: tooMany ? 'var(--danger-color)' : 'var(--text-secondary)', marginTop: '0.25rem' }}>
+                                                    Available: {available}
+                                                </div>
+                                            </div>
+                                            <input
+                                                type="number"
+                                                className="inventory-form-input"
+                                                value={line.quantity}
+                                                onChange={(e) => updateLine(line.key, { quantity: e.target.value })}
+                                                min="1"
+                                                style={{ width: '5rem' }}
+                                            />
+                                            <button
+                                                type="button"
+                                                onClick={() => removeLine(line.key)}
+                                                style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'var(--text-secondary)', padding: '0.25rem' }}
+                                            >
+                                                <X size={18} />
+                                            </button>
+                                        </div>
+                                    );
+                                })}
                             </div>
                         )}
 
-                        {/* Quantity */}
-                        <div className="inventory-form-group">
-                            <label className="inventory-form-label required">
-                                Quantity to Transfer
-                            </label>
-                            <input
-                                type="number"
-                                className="inventory-form-input"
-                                placeholder="Enter quantity"
-                                value={quantity}
-                                onChange={(e) => setQuantity(e.target.value)}
-                                min="1"
-                                max={sourceStock}
-                                required
-                                disabled={!selectedProduct}
-                            />
-                            {quantity && sourceStock > 0 && parseInt(quantity) > sourceStock && (
-                                <div className="inventory-form-error">
-                                    <AlertCircle size={14} style={{ display: 'inline', marginRight: '0.25rem' }} />
-                                    Insufficient stock (Available: {sourceStock})
-                                </div>
-                            )}
-                        </div>
-
                         {/* Reason */}
                         <div className="inventory-form-group">
                             <label className="inventory-form-label required">Transfer Reason</label>
@@ -433,12 +488,23 @@ function InventoryTransfer() {
                             />
                         </div>
 
+                        {direction === 'send' && (
+                            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.875rem', marginBottom: '1rem' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={shipNow}
+                                    onChange={(e) => setShipNow(e.target.checked)}
+                                />
+                                Ship now (stock leaves this store and is in transit until received)
+                            </label>
+                        )}
+
                         {/* Submit Button */}
                         <div className="inventory-form-actions">
                             <button
                                 type="submit"
                                 className="inventory-btn inventory-btn-primary inventory-btn-lg"
-                                disabled={submitting || !selectedProduct || !quantity || parseInt(quantity) > sourceStock}
+                                disabled={submitting || lines.length === 0 || !otherStoreId}
                                 style={{ flex: 1 }}
                             >
                                 {submitting ? (
@@ -446,7 +512,7 @@ function InventoryTransfer() {
                                 ) : (
                                     <>
                                         <Send size={18} />
-                                        Submit Transfer
+                                        {direction === 'send' && shipNow ? 'Ship Transfer' : 'Request Transfer'}
                                     </>
                                 )}
                             </button>
@@ -454,89 +520,211 @@ function InventoryTransfer() {
                     </form>
                 </div>
 
-                {/* Transfer History */}
+                {/* Transfers */}
                 <div className="inventory-form">
-                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '1.5rem' }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '1rem' }}>
                         <History size={24} style={{ color: 'var(--secondary-color)' }} />
-                        <h2 style={{ margin: 0, fontSize: '1.25rem', fontWeight: 600 }}>Recent Transfers</h2>
+                        <h2 style={{ margin: 0, fontSize: '1.25rem', fontWeight: 600 }}>Transfers</h2>
                     </div>
 
-                    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', maxHeight: '600px', overflowY: 'auto' }}>
+                    <div className="inventory-tabs" style={{ marginBottom: '1rem' }}>
+                        <button className={`inventory-tab ${tab === 'open' ? 'active' : ''}`} onClick={() => setTab('open')}>
+                            Open
+                        </button>
+                        <button className={`inventory-tab ${tab === 'all' ? 'active' : ''}`} onClick={() => setTab('all')}>
+                            History
+                        </button>
+                    </div>
+
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', maxHeight: '700px', overflowY: 'auto' }}>
                         {transfers.length > 0 ? (
-                            transfers.map(transfer => (
-                                <div
-                                    key={transfer._id}
-                                    style={{
-                                        padding: '1rem',
-                                        background: 'var(--surface)',
-                                        border: '1px solid var(--border-color)',
-                                        borderRadius: 'var(--radius-md)',
-                                        transition: 'all 0.2s ease'
-                                    }}
-                                >
-                                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '0.75rem' }}>
-                                        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                                            <Package size={16} style={{ color: 'var(--primary-color)' }} />
-                                            <span style={{ fontWeight: 600, fontSize: '0.875rem' }}>
-                                                {transfer.product?.name || 'Unknown Product'}
+                            transfers.map(transfer => {
+                                const isSender = transfer.fromStoreId?._id === currentStoreId;
+                                const isReceiver = transfer.toStoreId?._id === currentStoreId;
+                                const active = processing?.id === transfer._id ? processing : null;
+
+                                return (
+                                    <div
+                                        key={transfer._id}
+                                        style={{
+                                            padding: '1rem',
+                                            background: 'var(--surface)',
+                                            border: '1px solid var(--border-color)',
+                                            borderRadius: 'var(--radius-md)'
+                                        }}
+                                    >
+                                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '0.75rem' }}>
+                                            <span style={{ fontWeight: 600, fontSize: '0.875rem' }}>{transfer.transferNumber}</span>
+                                            <span style={{
+                                                ...STATUS_STYLES[transfer.status],
+                                                padding: '0.25rem 0.5rem',
+                                                borderRadius: 'var(--radius-sm)',
+                                                fontSize: '0.75rem',
+                                                fontWeight: 600,
+                                                textTransform: 'uppercase'
+                                            }}>
+                                                {transfer.status.replace('_', ' ')}
                                             </span>
                                         </div>
-                                        <span style={{
-                                            padding: '0.25rem 0.5rem',
-                                            background: transfer.status === 'completed' ? 'rgba(16, 185, 129, 0.1)' : 'rgba(245, 158, 11, 0.1)',
-                                            color: transfer.status === 'completed' ? 'var(--success-color)' : 'var(--warning-color)',
-                                            borderRadius: 'var(--radius-sm)',
-                                            fontSize: '0.75rem',
-                                            fontWeight: 600,
-                                            textTransform: 'uppercase'
-                                        }}>
-                                            {transfer.status || 'Pending'}
-                                        </span>
-                                    </div>
 
-                                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.5rem' }}>
-                                        <Building2 size={14} style={{ color: 'var(--text-secondary)' }} />
-                                        <span style={{ fontSize: '0.8125rem', color: 'var(--text-secondary)' }}>
-                                            {getStoreName(transfer.sourceStoreId)}
-                                        </span>
-                                        <ArrowRightLeft size={14} style={{ color: 'var(--text-secondary)' }} />
-                                        <span style={{ fontSize: '0.8125rem', color: 'var(--text-secondary)' }}>
-                                            {getStoreName(transfer.destinationStoreId)}
-                                        </span>
-                                    </div>
-
-                                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                                        <div style={{ fontSize: '0.875rem' }}>
-                                            <span style={{ color: 'var(--text-secondary)' }}>Quantity: </span>
-                                            <span style={{ fontWeight: 600 }}>{transfer.quantity} units</span>
-                                        </div>
-                                        <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
-                                            <Calendar size={12} style={{ display: 'inline', marginRight: '0.25rem' }} />
-                                            {formatDate(transfer.createdAt)}
+                                        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                                            <Building2 size={14} style={{ color: 'var(--text-secondary)' }} />
+                                            <span style={{ fontSize: '0.8125rem', color: 'var(--text-secondary)' }}>
+                                                {transfer.fromStoreId?.name || 'Unknown Store'}
+                                            </span>
+                                            <ArrowRightLeft size={14} style={{ color: 'var(--text-secondary)' }} />
+                                            <span style={{ fontSize: '0.8125rem', color: 'var(--text-secondary)' }}>
+                                                {transfer.toStoreId?.name || 'Unknown Store'}
+                                            </span>
                                         </div>
-                                    </div>
 
-                                    {transfer.notes && (
-                                        <div style={{
-                                            marginTop: '0.5rem',
-                                            padding: '0.5rem',
-                                            background: 'var(--background)',
-                                            borderRadius: 'var(--radius-sm)',
-                                            fontSize: '0.8125rem',
-                                            color: 'var(--text-secondary)',
-                                            fontStyle: 'italic'
-                                        }}>
-                                            {transfer.notes}
+                                        <table style={{ width: '100%', fontSize: '0.8125rem', borderCollapse: 'collapse', marginBottom: '0.5rem' }}>
+                                            <thead>
+                                                <tr style={{ color: 'var(--text-secondary)', textAlign: 'left' }}>
+                                                    <th style={{ fontWeight: 500 }}>Product</th>
+                                                    <th style={{ fontWeight: 500, textAlign: 'right' }}>Req.</th>
+                                                    <th style={{ fontWeight: 500, textAlign: 'right' }}>Shipped</th>
+                                                    <th style={{ fontWeight: 500, textAlign: 'right' }}>Recv.</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {transfer.items.map(item => (
+                                                    <tr key={item._id}>
+                                                        <td>
+                                                            {item.name}
+                                                            {item.variantName && <span style={{ color: 'var(--text-secondary)' }}> ({item.variantName})</span>}
+                                                            {item.discrepancy !== 0 && transfer.status === 'received' && (
+                                                                <div style={{ fontSize: '0.75rem', color: 'var(--danger-color)' }}>
+                                                                    <AlertCircle size={12} style={{ display: 'inline', marginRight: '0.25rem' }} />
+                                                                    {item.discrepancy > 0 ? '+' : ''}{item.discrepancy}: {item.discrepancyReason}
+                                                                </div>
+                                                            )}
+                                                        </td>
+                                                        <td style={{ textAlign: 'right' }}>{item.quantityRequested}</td>
+                                                        <td style={{ textAlign: 'right' }}>
+                                                            {active?.action === 'ship' ? (
+                                                                <input
+                                                                    type="number"
+                                                                    className="inventory-form-input"
+                                                                    value={active.quantities[item._id]}
+                                                                    min="0"
+                                                                    max={item.quantityRequested}
+                                                                    onChange={(e) => setProcessing({
+                                                                        ...active,
+                                                                        quantities: { ...active.quantities, [item._id]: e.target.value }
+                                                                    })}
+                                                                    style={{ width: '4.5rem' }}
+                                                                />
+                                                            ) : (transfer.status === 'requested' ? '-' : item.quantityShipped)}
+                                                        </td>
+                                                        <td style={{ textAlign: 'right' }}>
+                                                            {active?.action === 'receive' ? (
+                                                                <input
+                                                                    type="number"
+                                                                    className="inventory-form-input"
+                                                                    value={active.quantities[item._id]}
+                                                                    min="0"
+                                                                    onChange={(e) => setProcessing({
+                                                                        ...active,
+                                                                        quantities: { ...active.quantities, [item._id]: e.target.value }
+                                                                    })}
+                                                                    style={{ width: '4.5rem' }}
+                                                                />
+                                                            ) : (transfer.status === 'received' ? item.quantityReceived : '-')}
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+
+                                        {/* Discrepancy reasons while receiving */}
+                                        {active?.action === 'receive' && transfer.items
+                                            .filter(item => parseInt(active.quantities[item._id]) !== item.quantityShipped)
+                                            .map(item => (
+                                                <input
+                                                    key={item._id}
+                                                    type="text"
+                                                    className="inventory-form-input"
+                                                    placeholder={`Why is ${item.name} different from what was shipped?`}
+                                                    value={active.reasons[item._id] || ''}
+                                                    onChange={(e) => setProcessing({
+                                                        ...active,
+                                                        reasons: { ...active.reasons, [item._id]: e.target.value }
+                                                    })}
+                                                    style={{ marginBottom: '0.5rem' }}
+                                                />
+                                            ))}
+
+                                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem' }}>
+                                            <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                                                <Calendar size={12} style={{ display: 'inline', marginRight: '0.25rem' }} />
+                                                {formatDate(transfer.createdAt)}
+                                            </div>
+
+                                            <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                                {active ? (
+                                                    <>
+                                                        <button className="inventory-btn inventory-btn-secondary inventory-btn-sm" onClick={() => setProcessing(null)}>
+                                                            Back
+                                                        </button>
+                                                        <button
+                                                            className="inventory-btn inventory-btn-primary inventory-btn-sm"
+                                                            onClick={() => handleProcess(transfer)}
+                                                            disabled={submitting}
+                                                        >
+                                                            <CheckCircle size={14} />
+                                                            Confirm {active.action === 'ship' ? 'Shipment' : 'Receipt'}
+                                                        </button>
+                                                    </>
+                                                ) : (
+                                                    <>
+                                                        {transfer.status === 'requested' && isSender && (
+                                                            <button className="inventory-btn inventory-btn-primary inventory-btn-sm" onClick={() => startProcessing(transfer, 'ship')}>
+                                                                <Truck size={14} />
+                                                                Ship
+                                                            </button>
+                                                        )}
+                                                        {transfer.status === 'in_transit' && isReceiver && (
+                                                            <button className="inventory-btn inventory-btn-success inventory-btn-sm" onClick={() => startProcessing(transfer, 'receive')}>
+                                                                <PackageCheck size={14} />
+                                                                Receive
+                                                            </button>
+                                                        )}
+                                                        {transfer.status === 'requested' && (
+                                                            <button className="inventory-btn inventory-btn-danger inventory-btn-sm" onClick={() => handleCancel(transfer)}>
+                                                                <Trash2 size={14} />
+                                                                Cancel
+                                                            </button>
+                                                        )}
+                                                    </>
+                                                )}
+                                            </div>
                                         </div>
-                                    )}
-                                </div>
-                            ))
+
+                                        {transfer.notes && (
+                                            <div style={{
+                                                marginTop: '0.5rem',
+                                                padding: '0.5rem',
+                                                background: 'var(--background)',
+                                                borderRadius: 'var(--radius-sm)',
+                                                fontSize: '0.8125rem',
+                                                color: 'var(--text-secondary)',
+                                                fontStyle: 'italic'
+                                            }}>
+                                                {transfer.notes}
+                                            </div>
+                                        )}
+                                    </div>
+                                );
+                            })
                         ) : (
                             <div className="inventory-empty">
                                 <History size={48} className="inventory-empty-icon" />
-                                <h3 className="inventory-empty-title">No Transfer History</h3>
+                                <h3 className="inventory-empty-title">
+                                    {tab === 'open' ? 'No Open Transfers' : 'No Transfer History'}
+                                </h3>
                                 <p className="inventory-empty-message">
-                                    Transfer history will appear here once you complete transfers
+                                    Transfers into and out of this store will appear here
                                 </p>
                             </div>
                         )}
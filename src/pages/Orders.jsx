@@ -10,6 +10,7 @@ import {
 import AdvancedSearchBar from '../components/AdvancedSearchBar';
 import Pagination from '../components/Pagination';
 import ExportModal from '../components/ExportModal';
+import ReceiptActions from '../components/ReceiptActions';
 import { useAdvancedSearch } from '../hooks/useAdvancedSearch';
 import './Orders.css';
 
@@ -20,6 +21,8 @@ function Orders() {
     const [suppliers, setSuppliers] = useState([]);
     const [purchaseOrders, setPurchaseOrders] = useState([]);
     const [lowStockProducts, setLowStockProducts] = useState([]);
+    const [recentSales, setRecentSales] = useState([]);
+    const [customers, setCustomers] = useState({});
     const [isLoading, setIsLoading] = useState(true);
     const [showModal, setShowModal] = useState(false);
     const [showExportModal, setShowExportModal] = useState(false);
@@ -81,10 +84,12 @@ function Orders() {
         if (!store?.id) return;
 
         try {
-            const [productsData, suppliersData, ordersData] = await Promise.all([
+            const [productsData, suppliersData, ordersData, salesData, customersData] = await Promise.all([
                 db.products.where('storeId').equals(store.id).toArray(),
                 db.suppliers.where('storeId').equals(store.id).toArray(),
-                db.purchaseOrders.where('storeId').equals(store.id).toArray()
+                db.purchaseOrders.where('storeId').equals(store.id).toArray(),
+                db.sales.where('storeId').equals(store.id).toArray(),
+                db.customers.where('storeId').equals(store.id).toArray()
             ]);
 
             const lowStock = productsData.filter(p =>
@@ -97,6 +102,10 @@ function Orders() {
                 new Date(b.createdAt) - new Date(a.createdAt)
             ));
             setLowStockProducts(lowStock);
+            setRecentSales(salesData
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+                .slice(0, 10));
+            setCustomers(Object.fromEntries(customersData.map(c => [c.id, c])));
         } catch (error) {
             console.error('Failed to load orders data:', error);
         } finally {
@@ -411,6 +420,41 @@ function Orders() {
                 </>
             )}
 
+            {/* Recent Sales - receipt reprints */}
+            {recentSales.length > 0 && (
+                <>
+                    <div className="orders-header" style={{ marginTop: '2rem' }}>
+                        <h2>Recent Sales</h2>
+                    </div>
+                    <div className="orders-list">
+                        {recentSales.map(sale => (
+                            <div key={sale.id} className="order-card">
+                                <div className="order-header">
+                                    <div className="order-info">
+                                        <span className="order-id">
+                                            Sale #{String(sale.serverId || sale.id).slice(-8).toUpperCase()}
+                                        </span>
+                                        <span className="order-date">
+                                            {new Date(sale.createdAt).toLocaleString()}
+                                            {customers[sale.customerId] && ` · ${customers[sale.customerId].name}`}
+                                        </span>
+                                    </div>
+                                    <div className="order-meta">
+                                        <span className="order-items">{sale.items?.length || 0} items</span>
+                                        <span className="order-total">{formatCurrency(sale.total)}</span>
+                                        <ReceiptActions
+                                            saleId={sale.serverId}
+                                            defaultEmail={customers[sale.customerId]?.email || ''}
+                                            size="sm"
+                                        />
+                                    </div>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+
             {/* Create Order Modal */}
             {showModal && (
                 <div className="modal-overlay" onClick={() => setShowModal(false)}>
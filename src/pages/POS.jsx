@@ -3,11 +3,15 @@
  * 
  * This page provides the main sales terminal interface:
  * - Product grid with category filtering
- * - Shopping cart management
+ * - Shopping cart management, with carts held and resumed later
+ * - Promotions applied automatically, plus coupon codes
+ * - Variant picking (size/colour) and barcode lookup down to the variant
  * - Customer selection for order tracking
- * - Multiple payment methods (cash, card, credit)
+ * - Multiple payment methods (cash, card, credit), split across tenders
  * - Credit payment with due date for buy-now-pay-later
  * - Receipt generation
+ * - Full or partial refunds of completed sales
+ * - Cash drawer: opening float, drops and paid-outs, X/Z reports
  */
 
 import { useState, useEffect } from 'react';
@@ -16,14 +20,25 @@ import { useAuthStore } from '../stores/authStore';
 import { useCartStore } from '../stores/cartStore';
 import { useEmployeeSession } from '../stores/employeeSessionStore';
 import { useCurrency } from '../hooks/useCurrency';
+import { toast } from '../stores/toastStore';
 import db from '../db';
-import { salesSync, productSync } from '../services/sync';
+import { salesSync, customerSync, drawerSync } from '../services/sync';
+import { productAPI } from '../services/api';
+import { loadTaxConfig } from '../services/tax';
+import { loadPromotions, findCoupon } from '../services/promotions';
+import { getRegister } from '../services/drawer';
+import { hasVariants, findByCode } from '../utils/variants';
 import EmployeeLogin from '../components/EmployeeLogin';
 import PINVerifyDialog from '../components/PINVerifyDialog';
+import RefundDialog from '../components/RefundDialog';
+import HeldCartsDialog from '../components/HeldCartsDialog';
+import CashDrawerDialog from '../components/CashDrawerDialog';
+import VariantPicker from '../components/VariantPicker';
+import ReceiptActions from '../components/ReceiptActions';
 import {
     ArrowLeft, Search, Plus, Minus, Trash2,
     CreditCard, Banknote, Receipt, X, Check,
-    Package, User, UserPlus, Calendar, Clock, LogOut, Users
+    Package, User, UserPlus, Calendar, Clock, LogOut, Users, RotateCcw, PauseCircle, Tag, Vault
 } from 'lucide-react';
 import './POS.css';
 
@@ -43,6 +58,13 @@ function POS() {
     const [categories, setCategories] = useState([]);
     const [selectedCategory, setSelectedCategory] = useState('all');
     const [searchQuery, setSearchQuery] = useState('');
+    // Tax classes and pricing mode (cached for offline checkout)
+    const [taxConfig, setTaxConfig] = useState(null);
+    const [couponInput, setCouponInput] = useState('');
+    // This register and its open cash drawer
+    const [register, setRegister] = useState(null);
+    const [drawerSession, setDrawerSession] = useState(null);
+    const [showDrawer, setShowDrawer] = useState(false);
 
     // Customer state
     const [customers, setCustomers] = useState([]);
@@ -56,6 +78,9 @@ function POS() {
     const [lastSale, setLastSale] = useState(null);
     const [paymentMethod, setPaymentMethod] = useState('cash');
     const [amountReceived, setAmountReceived] = useState('');
+    const [paymentReference, setPaymentReference] = useState('');
+    // Tenders already applied to this sale (split tender)
+    const [payments, setPayments] = useState([]);
 
     // Credit payment state
     const [creditDueDate, setCreditDueDate] = useState('');
@@ -69,6 +94,15 @@ function POS() {
     const [showEmployeeLogin, setShowEmployeeLogin] = useState(false);
     // PIN verification for logout/switch
     const [showPINVerify, setShowPINVerify] = useState(false);
+    // Refund modal
+    const [showRefund, setShowRefund] = useState(false);
+    // Held (parked) carts
+    const [showHeldCarts, setShowHeldCarts] = useState(false);
+    const [showParkCart, setShowParkCart] = useState(false);
+    const [parkLabel, setParkLabel] = useState('');
+    const [heldCount, setHeldCount] = useState(0);
+    // Product whose variants are being picked
+    const [variantProduct, setVariantProduct] = useState(null);
 
     /**
      * Load products, categories, customers, and current employee
@@ -89,34 +123,152 @@ function POS() {
     const loadData = async () => {
         if (!store?.id) return;
 
-        const [productsData, categoriesData, customersData] = await Promise.all([
+        const [productsData, categoriesData, customersData, heldCartsCount] = await Promise.all([
             db.products.where('storeId').equals(store.id).filter(p => p.isActive !== false).toArray(),
             db.categories.where('storeId').equals(store.id).toArray(),
-            db.customers.where('storeId').equals(store.id).toArray()
+            db.customers.where('storeId').equals(store.id).toArray(),
+            db.heldCarts.where('storeId').equals(store.id).filter(c => !c.resumed).count()
         ]);
 
         setProducts(productsData);
         setCategories(categoriesData);
         setCustomers(customersData);
+        setHeldCount(heldCartsCount);
+        setTaxConfig(await loadTaxConfig(store));
+        cart.setPromotions(await loadPromotions(store));
+
+        const currentRegister = await getRegister();
+        setRegister(currentRegister);
+        setDrawerSession(await drawerSync.getOpen(store.id, currentRegister.id) || null);
+    };
+
+    /**
+     * Apply the coupon code typed into the cart
+     */
+    const handleApplyCoupon = async () => {
+        const code = couponInput.trim();
+        if (!code) return;
+
+        try {
+            cart.applyCoupon(await findCoupon(code, cart.promotions));
+            setCouponInput('');
+        } catch (couponError) {
+            toast.error(couponError.message || 'Coupon not found', 'Coupon');
+        }
+    };
+
+    /**
+     * Park the current cart under a label and start a fresh order
+     */
+    const handleParkCart = async () => {
+        const label = parkLabel.trim() || selectedCustomer?.name || `Order ${new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+        try {
+            await cart.parkCart(store.id, {
+                label,
+                customerId: selectedCustomer?.id || null,
+                employeeId: currentEmployee?.id || null,
+                employeeServerId: currentEmployee?.serverId || null
+            });
+            setSelectedCustomer(null);
+            setShowParkCart(false);
+            setParkLabel('');
+            setHeldCount(count => count + 1);
+            toast.success(`"${label}" is on hold`, 'Cart Held');
+        } catch (parkError) {
+            console.error('Failed to hold cart:', parkError);
+            toast.error('Failed to hold cart', 'Error');
+        }
+    };
+
+    /**
+     * Restore the customer of a resumed cart
+     */
+    const handleCartResumed = (heldCart) => {
+        setSelectedCustomer(customers.find(c => c.id === heldCart.customerId) || null);
+        setShowHeldCarts(false);
+        loadData();
     };
 
     // Calculate totals
     const taxRate = store?.taxRate || 0;
     const subtotal = cart.getSubtotal();
+    const promotionBreakdown = cart.getPromotionBreakdown();
     const discountAmount = cart.getDiscountAmount();
-    const tax = cart.getTax(taxRate);
-    const total = cart.getTotal(taxRate);
+    const taxBreakdown = cart.getTaxBreakdown(taxConfig ?? taxRate);
+    const tax = taxBreakdown.tax;
+    const total = cart.getTotal(taxConfig ?? taxRate);
 
     /**
      * Filter products by search and category
      */
     const filteredProducts = products.filter(product => {
         const matchesSearch = product.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-            product.barcode?.includes(searchQuery);
+            product.barcode?.includes(searchQuery) ||
+            product.variants?.some(v => v.barcode?.includes(searchQuery));
         const matchesCategory = selectedCategory === 'all' || product.categoryId === parseInt(selectedCategory);
         return matchesSearch && matchesCategory;
     });
 
+    /**
+     * Add a tapped product, asking which variant when it has several
+     */
+    const handleProductClick = (product) => {
+        if (hasVariants(product)) {
+            setVariantProduct(product);
+        } else {
+            cart.addItem(product);
+        }
+    };
+
+    const handleVariantSelected = (variant) => {
+        cart.addItem(variantProduct, 1, variant);
+        setVariantProduct(null);
+    };
+
+    /**
+     * Enter in the search box (what a keyboard-wedge scanner sends) adds the
+     * product or variant whose barcode/SKU matches exactly
+     */
+    const handleSearchKeyDown = async (e) => {
+        if (e.key !== 'Enter') return;
+
+        const code = searchQuery.trim();
+        let match = findByCode(products, code);
+
+        // Fall back to the server for codes not yet synced to this register
+        if (!match && code && navigator.onLine) {
+            try {
+                const result = await productAPI.lookupBarcode(code);
+                const product = products.find(p => p.serverId === result.product._id);
+                if (product) {
+                    const variant = result.variant
+                        ? product.variants?.find(v => v._id === result.variant._id) || result.variant
+                        : null;
+                    match = { product, variant };
+                }
+            } catch (error) {
+                if (error.status !== 404) console.error('Barcode lookup failed:', error);
+            }
+        }
+
+        if (!match) {
+            if (code) toast.warning(`No product found for "${code}"`, 'Not Found');
+            return;
+        }
+
+        const { product, variant } = match;
+        const stock = variant ? variant.quantity : product.quantity;
+        if (stock <= 0) {
+            toast.warning(`${product.name} is out of stock`, 'Out of Stock');
+        } else if (variant) {
+            cart.addItem(product, 1, variant);
+        } else {
+            handleProductClick(product);
+        }
+        setSearchQuery('');
+    };
+
     /**
      * Filter customers by search
      */
@@ -138,11 +290,61 @@ function POS() {
      */
     const handleCheckout = () => {
         if (cart.items.length === 0) return;
+        if (!drawerSession) {
+            toast.warning('No cash drawer is open on this register', 'Cash Drawer');
+        }
+        setPayments([]);
+        setPaymentReference('');
         setAmountReceived(total.toFixed(2));
         setError('');
         setShowPayment(true);
     };
 
+    // Split tender: what has been applied so far and what is still owed
+    const appliedAmount = payments.reduce((sum, p) => sum + p.amount - p.changeGiven, 0);
+    const remaining = Math.max(0, Math.round((total - appliedAmount) * 100) / 100);
+
+    /**
+     * Build a tender from the amount currently entered
+     * Cash may be over-tendered (change given); other methods are capped at what is owed
+     */
+    const buildTender = () => {
+        const entered = parseFloat(amountReceived) || 0;
+        if (entered <= 0 || remaining <= 0) return null;
+
+        const amount = paymentMethod === 'cash' ? entered : Math.min(entered, remaining);
+        return {
+            method: paymentMethod,
+            amount,
+            reference: paymentReference.trim() || undefined,
+            changeGiven: paymentMethod === 'cash' ? Math.max(0, Math.round((entered - remaining) * 100) / 100) : 0
+        };
+    };
+
+    /**
+     * Apply the entered amount as one tender and leave the rest owing
+     */
+    const handleAddTender = () => {
+        const tender = buildTender();
+        if (!tender) return;
+
+        const next = [...payments, tender];
+        const owing = Math.max(0, total - next.reduce((sum, p) => sum + p.amount - p.changeGiven, 0));
+
+        setPayments(next);
+        setPaymentReference('');
+        setAmountReceived(owing.toFixed(2));
+        setPaymentMethod('cash');
+    };
+
+    const handleRemoveTender = (index) => {
+        const next = payments.filter((_, i) => i !== index);
+        const owing = Math.max(0, total - next.reduce((sum, p) => sum + p.amount - p.changeGiven, 0));
+
+        setPayments(next);
+        setAmountReceived(owing.toFixed(2));
+    };
+
     /**
      * Quick add customer during checkout
      */
@@ -153,8 +355,7 @@ function POS() {
         const phone = window.prompt('Enter phone number (optional):');
 
         try {
-            const customerId = await db.customers.add({
-                storeId: store.id,
+            const { id } = await customerSync.create({
                 name: name.trim(),
                 phone: phone?.trim() || '',
                 email: '',
@@ -163,11 +364,10 @@ function POS() {
                 totalOrders: 0,
                 totalSpent: 0,
                 lastOrderDate: null,
-                createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString()
-            });
+            }, store.id);
 
-            const newCustomer = await db.customers.get(customerId);
+            const newCustomer = await db.customers.get(id);
             setCustomers(prev => [...prev, newCustomer]);
             setSelectedCustomer(newCustomer);
             setShowCustomerSelect(false);
@@ -183,8 +383,22 @@ function POS() {
         setIsProcessing(true);
         setError('');
 
+        // The amount still entered counts as the final tender
+        const pendingTender = buildTender();
+        const tenders = pendingTender ? [...payments, pendingTender] : payments;
+        const tendered = tenders.reduce((sum, p) => sum + p.amount - p.changeGiven, 0);
+        const creditAmount = tenders
+            .filter(p => p.method === 'credit')
+            .reduce((sum, p) => sum + p.amount, 0);
+
+        if (tendered < total - 0.005) {
+            setError(`${formatCurrency(total - tendered)} is still owing`);
+            setIsProcessing(false);
+            return;
+        }
+
         // Validate credit payment
-        if (paymentMethod === 'credit') {
+        if (creditAmount > 0) {
             if (!selectedCustomer) {
                 setError('Please select a customer for credit purchases');
                 setIsProcessing(false);
@@ -195,121 +409,66 @@ function POS() {
                 setIsProcessing(false);
                 return;
             }
-        }
-
-        // Validate that all products have been synced to server
-        const unsyncedProducts = cart.items.filter(item => !item.serverId);
-        if (unsyncedProducts.length > 0) {
-            setError(`Some products haven't been synced to the server yet. Please sync your data before completing the sale.`);
-            setIsProcessing(false);
-            return;
-        }
-
-        // Auto-sync customer if not synced yet
-        if (selectedCustomer && !selectedCustomer.serverId) {
-            try {
-                setError('Syncing customer to server...');
-                const { customerAPI } = await import('../services/api');
-
-                // Create customer on server
-                const serverCustomer = await customerAPI.create({
-                    name: selectedCustomer.name,
-                    phone: selectedCustomer.phone,
-                    email: selectedCustomer.email,
-                    address: selectedCustomer.address,
-                    notes: selectedCustomer.notes
-                });
-
-                // Update local customer with serverId
-                await db.customers.update(selectedCustomer.id, {
-                    serverId: serverCustomer._id,
-                    needsSync: false
-                });
-
-                // Update selectedCustomer with serverId
-                setSelectedCustomer({
-                    ...selectedCustomer,
-                    serverId: serverCustomer._id
-                });
-
-                setError('');
-                console.log('✓ Customer synced successfully');
-            } catch (syncError) {
-                console.error('Failed to sync customer:', syncError);
-                setError(`Failed to sync customer to server. Please try again or proceed without a customer. Error: ${syncError.message || 'Unknown error'}`);
-                setIsProcessing(false);
-                return;
+            if (selectedCustomer.creditLimit != null) {
+                const owing = (await db.credits.where('customerId').equals(selectedCustomer.id).toArray())
+                    .reduce((sum, c) => sum + c.amount - (c.amountPaid || 0), 0);
+                if (owing + creditAmount > selectedCustomer.creditLimit + 0.005) {
+                    setError(`This would take ${selectedCustomer.name} over their ${formatCurrency(selectedCustomer.creditLimit)} credit limit (${formatCurrency(owing)} already owing)`);
+                    setIsProcessing(false);
+                    return;
+                }
             }
         }
 
-        // Create sale record using serverIds for products
+        // Sales reference local ids; sync swaps in server ids once those records are pushed
         const saleData = {
             storeId: store.id,
             userId: user?.id || store.ownerId,
-            customerId: selectedCustomer?.serverId || null,
-            employeeId: currentEmployee?.serverId || currentEmployee?.id || null,
-            shiftId: currentClockEvent?.serverId || currentClockEvent?.id || null,
-            items: cart.items.map(item => ({
-                productId: item.serverId, // Use MongoDB ObjectId
+            customerId: selectedCustomer?.id || null,
+            employeeId: currentEmployee?.id || null,
+            shiftId: currentClockEvent?.id || null,
+            registerId: register?.id,
+            items: taxBreakdown.lines.map(item => ({
+                productId: item.productId,
+                variantId: item.variantId || undefined,
+                variantName: item.variantName || undefined,
                 name: item.name,
                 price: item.price,
-                quantity: item.quantity
+                quantity: item.quantity,
+                promotionDiscount: item.promotionDiscount,
+                promotions: item.promotions,
+                taxClassId: item.taxClassId || undefined,
+                taxAmount: item.taxAmount,
+                taxes: item.taxes
             })),
             subtotal,
+            promotionDiscount: promotionBreakdown.discount,
+            promotions: promotionBreakdown.promotions,
             discount: discountAmount,
             tax,
+            taxes: taxBreakdown.taxes,
+            pricesIncludeTax: taxBreakdown.pricesIncludeTax,
             total,
-            paymentMethod,
-            paymentStatus: paymentMethod === 'credit' ? 'pending' : 'paid',
+            payments: tenders,
+            paymentMethod: new Set(tenders.map(p => p.method)).size === 1 ? tenders[0].method : 'split',
+            paymentStatus: creditAmount <= 0 ? 'paid' : (creditAmount >= total - 0.005 ? 'pending' : 'partial'),
+            creditDueDate: creditAmount > 0 ? creditDueDate : undefined,
             status: 'completed',
             createdAt: new Date().toISOString()
         };
 
         try {
-            // Save sale and sync to MongoDB
-            const result = await salesSync.create(saleData, store.id);
+            // Save the sale with its credit, stock and customer totals, and queue it for the server
+            const result = await salesSync.create(saleData, store.id, {
+                credit: creditAmount > 0
+                    ? { amount: creditAmount, dueDate: creditDueDate, notes: creditNotes }
+                    : undefined
+            });
             const saleId = result.id;
             console.log('Sale created, synced:', result.synced);
 
-            // If credit payment, create credit record
-            if (paymentMethod === 'credit') {
-                await db.credits.add({
-                    storeId: store.id,
-                    customerId: selectedCustomer.id,
-                    saleId,
-                    amount: total,
-                    amountPaid: 0,
-                    dueDate: creditDueDate,
-                    status: 'pending',
-                    notes: creditNotes,
-                    createdAt: new Date().toISOString(),
-                    paidAt: null
-                });
-            }
-
-            // Update product quantities and sync to server
-            for (const item of cart.items) {
-                try {
-                    // Use productSync.updateStock() for atomic inventory updates
-                    // Negative quantity change to deduct from stock
-                    await productSync.updateStock(item.productId, -item.quantity, 'sale');
-                } catch (error) {
-                    console.error(`Failed to update stock for ${item.name}:`, error);
-                    // Continue with other items even if one fails
-                }
-            }
-
-            // Update customer stats
-            if (selectedCustomer) {
-                await db.customers.update(selectedCustomer.id, {
-                    totalOrders: (selectedCustomer.totalOrders || 0) + 1,
-                    totalSpent: (selectedCustomer.totalSpent || 0) + total,
-                    lastOrderDate: new Date().toISOString(),
-                    updatedAt: new Date().toISOString()
-                });
-            }
-
-            setLastSale({ ...saleData, id: saleId });
+            setLastSale({ ...saleData, id: saleId, serverId: result.serverId, customerEmail: selectedCustomer?.email || '' });
+            setPayments([]);
             setShowPayment(false);
             setShowReceipt(true);
             cart.clearCart();
@@ -335,7 +494,9 @@ function POS() {
         }
     };
 
-    const change = parseFloat(amountReceived) - total;
+    const change = paymentMethod === 'cash' ? parseFloat(amountReceived) - remaining : 0;
+    const hasCreditTender = paymentMethod === 'credit' || payments.some(p => p.method === 'credit');
+    const canComplete = remaining <= 0 || (parseFloat(amountReceived) || 0) >= remaining - 0.005;
 
     return (
         <div className="pos">
@@ -353,9 +514,34 @@ function POS() {
                             placeholder="Search products or scan barcode..."
                             value={searchQuery}
                             onChange={(e) => setSearchQuery(e.target.value)}
+                            onKeyDown={handleSearchKeyDown}
                         />
                     </div>
 
+                    <button
+                        className="btn btn-ghost btn-sm"
+                        onClick={() => setShowRefund(true)}
+                        title="Refund a previous sale"
+                    >
+                        <RotateCcw size={16} /> Refund
+                    </button>
+
+                    <button
+                        className={`btn btn-sm ${drawerSession ? 'btn-ghost' : 'btn-secondary'}`}
+                        onClick={() => setShowDrawer(true)}
+                        title={drawerSession ? 'Cash drawer' : 'No drawer open - open one to take cash'}
+                    >
+                        <Vault size={16} /> {drawerSession ? 'Drawer' : 'Open Drawer'}
+                    </button>
+
+                    <button
+                        className="btn btn-ghost btn-sm"
+                        onClick={() => setShowHeldCarts(true)}
+                        title="Carts on hold"
+                    >
+                        <PauseCircle size={16} /> Held{heldCount > 0 && ` (${heldCount})`}
+                    </button>
+
                     {/* Employee Badge */}
                     <div className="pos-employee-badge">
                         {currentEmployee ? (
@@ -423,7 +609,7 @@ function POS() {
                             <button
                                 key={product.id}
                                 className="pos-product-card"
-                                onClick={() => cart.addItem(product)}
+                                onClick={() => handleProductClick(product)}
                                 disabled={product.quantity <= 0}
                             >
                                 <div
@@ -457,9 +643,14 @@ function POS() {
                 <div className="cart-header">
                     <h2>Current Order</h2>
                     {cart.items.length > 0 && (
-                        <button className="btn btn-ghost btn-sm" onClick={cart.clearCart}>
-                            Clear
-                        </button>
+                        <div className="cart-header-actions">
+                            <button className="btn btn-ghost btn-sm" onClick={() => setShowParkCart(true)}>
+                                <PauseCircle size={14} /> Hold
+                            </button>
+                            <button className="btn btn-ghost btn-sm" onClick={cart.clearCart}>
+                                Clear
+                            </button>
+                        </div>
                     )}
                 </div>
 
@@ -495,29 +686,36 @@ function POS() {
                 ) : (
                     <>
                         <div className="cart-items">
-                            {cart.items.map(item => (
-                                <div key={item.productId} className="cart-item">
+                            {promotionBreakdown.lines.map(item => (
+                                <div key={item.lineId} className="cart-item">
                                     <div className="cart-item-info">
                                         <span className="cart-item-name">{item.name}</span>
                                         <span className="cart-item-price">{formatCurrency(item.price)}</span>
                                     </div>
+                                    {item.promotions.map(promotion => (
+                                        <div key={promotion.promotionId} className="cart-item-promotion">
+                                            <Tag size={12} />
+                                            <span>{promotion.name}</span>
+                                            <span>-{formatCurrency(promotion.amount)}</span>
+                                        </div>
+                                    ))}
                                     <div className="cart-item-controls">
                                         <button
                                             className="qty-btn"
-                                            onClick={() => cart.updateQuantity(item.productId, item.quantity - 1)}
+                                            onClick={() => cart.updateQuantity(item.lineId, item.quantity - 1)}
                                         >
                                             <Minus size={14} />
                                         </button>
                                         <span className="cart-item-qty">{item.quantity}</span>
                                         <button
                                             className="qty-btn"
-                                            onClick={() => cart.updateQuantity(item.productId, item.quantity + 1)}
+                                            onClick={() => cart.updateQuantity(item.lineId, item.quantity + 1)}
                                         >
                                             <Plus size={14} />
                                         </button>
                                         <button
                                             className="qty-btn delete"
-                                            onClick={() => cart.removeItem(item.productId)}
+                                            onClick={() => cart.removeItem(item.lineId)}
                                         >
                                             <Trash2 size={14} />
                                         </button>
@@ -529,23 +727,58 @@ function POS() {
                             ))}
                         </div>
 
+                        <div className="cart-coupon">
+                            <input
+                                type="text"
+                                className="input"
+                                placeholder="Coupon code"
+                                value={couponInput}
+                                onChange={(e) => setCouponInput(e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && handleApplyCoupon()}
+                            />
+                            <button className="btn btn-secondary btn-sm" onClick={handleApplyCoupon}>
+                                Apply
+                            </button>
+                        </div>
+                        {cart.couponCodes.length > 0 && (
+                            <div className="cart-coupon-codes">
+                                {cart.couponCodes.map(code => (
+                                    <span key={code} className="cart-coupon-code">
+                                        {code}
+                                        <button onClick={() => cart.removeCoupon(code)} aria-label={`Remove ${code}`}>
+                                            <X size={12} />
+                                        </button>
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+
                         <div className="cart-summary">
                             <div className="summary-row">
                                 <span>Subtotal</span>
                                 <span>{formatCurrency(subtotal)}</span>
                             </div>
+                            {promotionBreakdown.promotions.map(promotion => (
+                                <div key={promotion.promotionId} className="summary-row discount">
+                                    <span>{promotion.name}</span>
+                                    <span>-{formatCurrency(promotion.amount)}</span>
+                                </div>
+                            ))}
                             {discountAmount > 0 && (
                                 <div className="summary-row discount">
                                     <span>Discount</span>
                                     <span>-{formatCurrency(discountAmount)}</span>
                                 </div>
                             )}
-                            {taxRate > 0 && (
-                                <div className="summary-row">
-                                    <span>Tax ({taxRate}%)</span>
-                                    <span>{formatCurrency(tax)}</span>
+                            {taxBreakdown.taxes.map(t => (
+                                <div key={`${t.name}-${t.rate}`} className="summary-row">
+                                    <span>
+                                        {t.name} ({t.rate}%{t.compound ? ', compound' : ''})
+                                        {taxBreakdown.pricesIncludeTax && ' incl.'}
+                                    </span>
+                                    <span>{formatCurrency(t.amount)}</span>
                                 </div>
-                            )}
+                            ))}
                             <div className="summary-row total">
                                 <span>Total</span>
                                 <span>{formatCurrency(total)}</span>
@@ -654,6 +887,30 @@ function POS() {
                                 <span className="payment-amount">{formatCurrency(total)}</span>
                             </div>
 
+                            {/* Tenders already applied (split payment) */}
+                            {payments.length > 0 && (
+                                <div className="payment-tenders">
+                                    {payments.map((p, i) => (
+                                        <div key={i} className="payment-tender">
+                                            <span className="payment-tender-method">{p.method}</span>
+                                            {p.reference && <span className="payment-tender-ref">{p.reference}</span>}
+                                            <span>{formatCurrency(p.amount - p.changeGiven)}</span>
+                                            <button
+                                                className="btn btn-ghost btn-icon btn-sm"
+                                                onClick={() => handleRemoveTender(i)}
+                                                title="Remove payment"
+                                            >
+                                                <X size={14} />
+                                            </button>
+                                        </div>
+                                    ))}
+                                    <div className="payment-tender remaining">
+                                        <span>Remaining</span>
+                                        <strong>{formatCurrency(remaining)}</strong>
+                                    </div>
+                                </div>
+                            )}
+
                             {selectedCustomer && (
                                 <div className="payment-customer">
                                     <User size={16} />
@@ -692,28 +949,52 @@ function POS() {
                                 </button>
                             </div>
 
-                            {/* Cash payment - amount received */}
-                            {paymentMethod === 'cash' && (
-                                <div className="input-group">
-                                    <label className="input-label">Amount Received</label>
+                            {/* Amount for this tender - less than remaining splits the payment */}
+                            <div className="input-group">
+                                <label className="input-label">
+                                    {paymentMethod === 'cash' ? 'Amount Received' : 'Amount'}
+                                </label>
+                                <div className="payment-amount-row">
                                     <input
                                         type="number"
                                         className="input payment-input"
                                         value={amountReceived}
                                         onChange={(e) => setAmountReceived(e.target.value)}
-                                        min={total}
+                                        min="0"
                                         step="0.01"
                                     />
-                                    {change > 0 && (
-                                        <div className="change-display">
-                                            Change: <strong>{formatCurrency(change)}</strong>
-                                        </div>
-                                    )}
+                                    <button
+                                        className="btn btn-secondary"
+                                        onClick={handleAddTender}
+                                        disabled={!(parseFloat(amountReceived) > 0) || parseFloat(amountReceived) >= remaining}
+                                        title="Apply this amount and pay the rest another way"
+                                    >
+                                        <Plus size={16} /> Split
+                                    </button>
+                                </div>
+                                {change > 0 && (
+                                    <div className="change-display">
+                                        Change: <strong>{formatCurrency(change)}</strong>
+                                    </div>
+                                )}
+                            </div>
+
+                            {/* Card payment - optional reference */}
+                            {paymentMethod === 'card' && (
+                                <div className="input-group">
+                                    <label className="input-label">Reference (optional)</label>
+                                    <input
+                                        type="text"
+                                        className="input"
+                                        value={paymentReference}
+                                        onChange={(e) => setPaymentReference(e.target.value)}
+                                        placeholder="e.g., last 4 digits or auth code"
+                                    />
                                 </div>
                             )}
 
                             {/* Credit payment - due date */}
-                            {paymentMethod === 'credit' && (
+                            {hasCreditTender && (
                                 <div className="credit-options">
                                     {!selectedCustomer && (
                                         <div className="credit-warning">
@@ -762,12 +1043,12 @@ function POS() {
                                 onClick={handlePayment}
                                 disabled={
                                     isProcessing ||
-                                    (paymentMethod === 'cash' && parseFloat(amountReceived) < total) ||
-                                    (paymentMethod === 'credit' && !selectedCustomer)
+                                    !canComplete ||
+                                    (hasCreditTender && !selectedCustomer)
                                 }
                             >
                                 <Check size={20} />
-                                {isProcessing ? 'Processing...' : (paymentMethod === 'credit' ? 'Create Credit' : 'Complete Payment')}
+                                {isProcessing ? 'Processing...' : (paymentMethod === 'credit' && payments.length === 0 ? 'Create Credit' : 'Complete Payment')}
                             </button>
                         </div>
                     </div>
@@ -805,7 +1086,28 @@ function POS() {
                                         <span>Subtotal</span>
                                         <span>{formatCurrency(lastSale.subtotal)}</span>
                                     </div>
-                                    {lastSale.tax > 0 && (
+                                    {lastSale.promotions?.map(promotion => (
+                                        <div key={promotion.promotionId} className="receipt-row">
+                                            <span>{promotion.name}</span>
+                                            <span>-{formatCurrency(promotion.amount)}</span>
+                                        </div>
+                                    ))}
+                                    {lastSale.discount > 0 && (
+                                        <div className="receipt-row">
+                                            <span>Discount</span>
+                                            <span>-{formatCurrency(lastSale.discount)}</span>
+                                        </div>
+                                    )}
+                                    {lastSale.taxes?.length > 0 ? (
+                                        lastSale.taxes.map(t => (
+                                            <div key={`${t.name}-${t.rate}`} className="receipt-row">
+                                                <span>
+                                                    {t.name} {t.rate}%{lastSale.pricesIncludeTax && ' (incl.)'}
+                                                </span>
+                                                <span>{formatCurrency(t.amount)}</span>
+                                            </div>
+                                        ))
+                                    ) : lastSale.tax > 0 && (
                                         <div className="receipt-row">
                                             <span>Tax</span>
                                             <span>{formatCurrency(lastSale.tax)}</span>
@@ -815,17 +1117,31 @@ function POS() {
                                         <span>Total</span>
                                         <span>{formatCurrency(lastSale.total)}</span>
                                     </div>
-                                    <div className="receipt-row">
-                                        <span>Payment ({lastSale.paymentMethod})</span>
-                                        <span>
-                                            {lastSale.paymentMethod === 'credit'
-                                                ? `Due: ${creditDueDate}`
-                                                : formatCurrency(lastSale.total)}
-                                        </span>
-                                    </div>
+                                    {lastSale.payments.map((p, i) => (
+                                        <div key={i} className="receipt-row">
+                                            <span>Payment ({p.method})</span>
+                                            <span>
+                                                {p.method === 'credit'
+                                                    ? `${formatCurrency(p.amount)} due ${creditDueDate}`
+                                                    : formatCurrency(p.amount)}
+                                            </span>
+                                        </div>
+                                    ))}
+                                    {lastSale.payments.some(p => p.changeGiven > 0) && (
+                                        <div className="receipt-row">
+                                            <span>Change</span>
+                                            <span>
+                                                {formatCurrency(lastSale.payments.reduce((sum, p) => sum + p.changeGiven, 0))}
+                                            </span>
+                                        </div>
+                                    )}
                                 </div>
                             </div>
 
+                            <div className="mb-4">
+                                <ReceiptActions saleId={lastSale.serverId} defaultEmail={lastSale.customerEmail} />
+                            </div>
+
                             <button
                                 className="btn btn-primary btn-lg w-full"
                                 onClick={() => setShowReceipt(false)}
@@ -848,6 +1164,96 @@ function POS() {
                 />
             )}
 
+            {/* Hold Cart Modal */}
+            {showParkCart && (
+                <div className="modal-overlay" onClick={() => setShowParkCart(false)}>
+                    <div className="modal" onClick={e => e.stopPropagation()}>
+                        <div className="modal-header">
+                            <h3 className="modal-title">Hold Cart</h3>
+                            <button className="btn btn-ghost btn-icon" onClick={() => setShowParkCart(false)}>
+                                <X size={20} />
+                            </button>
+                        </div>
+                        <div className="modal-body">
+                            <div className="input-group">
+                                <label className="input-label">Label</label>
+                                <input
+                                    type="text"
+                                    className="input"
+                                    value={parkLabel}
+                                    onChange={(e) => setParkLabel(e.target.value)}
+                                    onKeyDown={(e) => e.key === 'Enter' && handleParkCart()}
+                                    placeholder={selectedCustomer?.name || 'e.g., Blue jacket, Table 4'}
+                                    autoFocus
+                                />
+                            </div>
+                        </div>
+                        <div className="modal-footer">
+                            <button className="btn btn-primary btn-lg w-full" onClick={handleParkCart}>
+                                <PauseCircle size={20} /> Hold Cart
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Variant Picker Modal */}
+            {variantProduct && (
+                <VariantPicker
+                    product={variantProduct}
+                    onSelect={handleVariantSelected}
+                    onClose={() => setVariantProduct(null)}
+                />
+            )}
+
+            {/* Held Carts Modal */}
+            {showHeldCarts && (
+                <HeldCartsDialog
+                    storeId={store?.id}
+                    onClose={() => {
+                        setShowHeldCarts(false);
+                        loadData();
+                    }}
+                    onResume={handleCartResumed}
+                />
+            )}
+
+            {/* Refund Modal */}
+            {showRefund && (
+                <RefundDialog
+                    storeId={store?.id}
+                    employeeId={currentEmployee?.serverId || null}
+                    onClose={() => setShowRefund(false)}
+                    onComplete={async (refund) => {
+                        setShowRefund(false);
+                        // Cash handed back comes out of the open drawer
+                        if (drawerSession && refund.refundMethod === 'cash' && refund.amountReturned > 0) {
+                            await drawerSync.addMovement(drawerSession.id, {
+                                type: 'refund',
+                                amount: refund.amountReturned,
+                                reason: refund.reason || 'Refund',
+                                reference: refund._id,
+                                employeeId: currentEmployee?.serverId || currentEmployee?.id || null
+                            });
+                        }
+                        loadData();
+                    }}
+                />
+            )}
+
+            {/* Cash Drawer Modal */}
+            {showDrawer && (
+                <CashDrawerDialog
+                    storeId={store?.id}
+                    register={register}
+                    currency={store?.currency}
+                    employeeId={currentEmployee?.serverId || currentEmployee?.id || null}
+                    clockEventId={currentClockEvent?.serverId || currentClockEvent?.id || null}
+                    onClose={() => setShowDrawer(false)}
+                    onChange={setDrawerSession}
+                />
+            )}
+
             {/* PIN Verification for Logout/Switch */}
             {showPINVerify && (
                 <PINVerifyDialog
@@ -4,13 +4,13 @@
  * Marketplace and management for installed plugins
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import {
-    Package, Download, Settings, Trash2, Power, PowerOff,
-    Search, Filter, Star, TrendingUp, DollarSign, ExternalLink,
-    CheckCircle, XCircle, AlertTriangle, Activity
+    Package, Download, Trash2, Power, PowerOff, Search, TrendingUp,
+    CheckCircle, XCircle, AlertTriangle, Activity, Upload, ShieldCheck,
+    ShieldAlert, RotateCcw, ArrowUpCircle
 } from 'lucide-react';
-import { apiRequest } from '../services/api';
+import { apiRequest, pluginAPI } from '../services/api';
 import './Plugins.css';
 
 function Plugins() {
@@ -22,6 +22,9 @@ function Plugins() {
     const [showConfig, setShowConfig] = useState(false);
     const [searchTerm, setSearchTerm] = useState('');
     const [categoryFilter, setCategoryFilter] = useState('all');
+    const [busy, setBusy] = useState(false);
+    const packageInputRef = useRef(null);
+    const upgradeInputRef = useRef(null);
 
     useEffect(() => {
         loadPlugins();
@@ -32,10 +35,10 @@ function Plugins() {
             setLoading(true);
 
             if (activeTab === 'installed') {
-                const plugins = await apiRequest('/plugins');
+                const plugins = await pluginAPI.getAll();
                 setInstalledPlugins(plugins);
             } else {
-                const marketplace = await apiRequest('/plugins/marketplace');
+                const marketplace = await pluginAPI.getMarketplace();
                 setMarketplacePlugins(marketplace);
             }
         } catch (error) {
@@ -47,31 +50,75 @@ function Plugins() {
 
     const handleInstall = async (plugin) => {
         try {
-            await apiRequest('/plugins/install', {
-                method: 'POST',
-                body: JSON.stringify({
-                    pluginId: plugin.pluginId,
-                    name: plugin.name,
-                    version: plugin.version,
-                    author: plugin.author,
-                    description: plugin.description,
-                    category: plugin.category,
-                    icon: plugin.icon,
-                    capabilities: {
-                        permissions: ['plugin:read', 'plugin:create', 'plugin:update']
-                    }
-                })
-            });
+            await pluginAPI.install(plugin.pluginId, plugin.version);
 
             alert(`Plugin "${plugin.name}" installed successfully!`);
             setActiveTab('installed');
             loadPlugins();
         } catch (error) {
             console.error('Failed to install plugin:', error);
-            alert('Failed to install plugin');
+            alert(error.message || 'Failed to install plugin');
         }
     };
 
+    const handleUploadPackage = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            setBusy(true);
+            const plugin = await pluginAPI.installPackage(file);
+
+            alert(`Plugin "${plugin.name}" ${plugin.version} installed successfully!`);
+            if (activeTab === 'installed') {
+                loadPlugins();
+            } else {
+                setActiveTab('installed');
+            }
+        } catch (error) {
+            console.error('Failed to install plugin package:', error);
+            alert(error.message || 'Failed to install plugin package');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    // Run an upgrade or rollback, then refresh the list and the open details
+    const changeVersion = async (plugin, request, message) => {
+        try {
+            setBusy(true);
+            const updated = await request();
+
+            alert(`Plugin "${plugin.name}" ${message} ${updated.version}`);
+            await loadPlugins();
+            await handleViewStats(updated);
+        } catch (error) {
+            console.error('Failed to change plugin version:', error);
+            alert(error.message || 'Failed to change plugin version');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleUpgrade = (plugin, version) =>
+        changeVersion(plugin, () => pluginAPI.upgrade(plugin._id, version), 'upgraded to');
+
+    const handleUpgradePackage = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file || !selectedPlugin) return;
+
+        changeVersion(selectedPlugin, () => pluginAPI.upgradePackage(selectedPlugin._id, file), 'upgraded to');
+    };
+
+    const handleRollback = (plugin, version) => {
+        if (!confirm(`Roll "${plugin.name}" back to ${version}? Its data is migrated back to that version.`)) {
+            return;
+        }
+        changeVersion(plugin, () => pluginAPI.rollback(plugin._id, version), 'rolled back to');
+    };
+
     const handleActivate = async (plugin) => {
         try {
             await apiRequest(`/plugins/${plugin._id}/activate`, {
@@ -120,8 +167,11 @@ function Plugins() {
 
     const handleViewStats = async (plugin) => {
         try {
-            const stats = await apiRequest(`/plugins/${plugin._id}/stats`);
-            setSelectedPlugin({ ...plugin, stats });
+            const [stats, versions] = await Promise.all([
+                pluginAPI.getStats(plugin._id),
+                pluginAPI.getVersions(plugin._id)
+            ]);
+            setSelectedPlugin({ ...plugin, stats, versions });
             setShowConfig(false);
         } catch (error) {
             console.error('Failed to load plugin stats:', error);
@@ -163,6 +213,21 @@ function Plugins() {
                     <h1>Plugins</h1>
                     <p className="subtitle">Extend your POS with powerful plugins</p>
                 </div>
+                <button
+                    className="btn btn-primary"
+                    onClick={() => packageInputRef.current?.click()}
+                    disabled={busy}
+                >
+                    <Upload size={16} />
+                    Upload Package
+                </button>
+                <input
+                    ref={packageInputRef}
+                    type="file"
+                    accept=".zip,.tgz,.tar.gz,.tar"
+                    hidden
+                    onChange={handleUploadPackage}
+                />
             </div>
 
             {/* Tabs */}
@@ -243,6 +308,13 @@ function Plugins() {
                                 onInstall={() => handleInstall(plugin)}
                             />
                         ))}
+                        {filteredMarketplacePlugins.length === 0 && (
+                            <div className="empty-state">
+                                <Package size={64} />
+                                <h3>No Plugins Available</h3>
+                                <p>Add plugin packages to the server's plugin registry, or upload one</p>
+                            </div>
+                        )}
                     </div>
                 )}
             </div>
@@ -275,6 +347,96 @@ function Plugins() {
                                 </div>
                             </div>
 
+                            {selectedPlugin.versions && (
+                                <div className="plugin-versions">
+                                    <h4>Version</h4>
+                                    <div className="plugin-version-current">
+                                        <span className="plugin-version">v{selectedPlugin.versions.current.version}</span>
+                                        <SignatureBadge signedBy={selectedPlugin.versions.current.signedBy} />
+                                        {selectedPlugin.versions.current.installedAt && (
+                                            <small>
+                                                Installed {new Date(selectedPlugin.versions.current.installedAt).toLocaleString()}
+                                            </small>
+                                        )}
+                                    </div>
+
+                                    {selectedPlugin.versions.available.map(v => (
+                                        <div key={v.version} className="plugin-version-row">
+                                            <span>v{v.version} available</span>
+                                            {v.compatible ? (
+                                                <button
+                                                    className="btn btn-sm btn-primary"
+                                                    onClick={() => handleUpgrade(selectedPlugin, v.version)}
+                                                    disabled={busy}
+                                                >
+                                                    <ArrowUpCircle size={14} />
+                                                    Upgrade
+                                                </button>
+                                            ) : (
+                                                <small>Needs POS server {v.host}</small>
+                                            )}
+                                        </div>
+                                    ))}
+
+                                    {selectedPlugin.versions.rollbackTo.map(v => (
+                                        <div key={v.version} className="plugin-version-row">
+                                            <span>v{v.version}</span>
+                                            <button
+                                                className="btn btn-sm btn-secondary"
+                                                onClick={() => handleRollback(selectedPlugin, v.version)}
+                                                disabled={busy}
+                                            >
+                                                <RotateCcw size={14} />
+                                                Roll Back
+                                            </button>
+                                        </div>
+                                    ))}
+
+                                    <button
+                                        className="btn btn-sm btn-secondary"
+                                        onClick={() => upgradeInputRef.current?.click()}
+                                        disabled={busy}
+                                    >
+                                        <Upload size={14} />
+                                        Upload New Version
+                                    </button>
+                                    <input
+                                        ref={upgradeInputRef}
+                                        type="file"
+                                        accept=".zip,.tgz,.tar.gz,.tar"
+                                        hidden
+                                        onChange={handleUpgradePackage}
+                                    />
+                                </div>
+                            )}
+
+                            {selectedPlugin.stats?.schedules?.length > 0 && (
+                                <div className="plugin-versions">
+                                    <h4>Scheduled Jobs</h4>
+                                    {selectedPlugin.stats.schedules.map(schedule => (
+                                        <div key={schedule.handler} className="plugin-version-row">
+                                            <div className="plugin-schedule-info">
+                                                <span>
+                                                    {schedule.handler} <code>{schedule.cronExpression}</code>
+                                                </span>
+                                                <small>
+                                                    {schedule.running && schedule.nextRunAt
+                                                        ? `Next ${new Date(schedule.nextRunAt).toLocaleString()}`
+                                                        : 'Paused'}
+                                                    {schedule.lastRunAt && ` · Last ${new Date(schedule.lastRunAt).toLocaleString()} (${schedule.lastStatus})`}
+                                                </small>
+                                                {schedule.lastStatus === 'failed' && schedule.lastError && (
+                                                    <small className="plugin-schedule-error">{schedule.lastError}</small>
+                                                )}
+                                            </div>
+                                            <small>
+                                                {schedule.runs} {schedule.runs === 1 ? 'run' : 'runs'}, {schedule.failures} failed
+                                            </small>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
                             {selectedPlugin.stats?.lastError && (
                                 <div className="error-info">
                                     <h4>Last Error</h4>
@@ -345,6 +507,23 @@ function PluginCard({ plugin, onActivate, onDeactivate, onUninstall, onViewStats
     );
 }
 
+/**
+ * Signed-by badge for a plugin package
+ */
+function SignatureBadge({ signedBy }) {
+    return signedBy ? (
+        <span className="signature-badge" title={`Signed with the ${signedBy} key`}>
+            <ShieldCheck size={14} />
+            {signedBy}
+        </span>
+    ) : (
+        <span className="signature-badge unsigned">
+            <ShieldAlert size={14} />
+            Unsigned
+        </span>
+    );
+}
+
 /**
  * Marketplace Card Component
  */
@@ -355,14 +534,7 @@ function MarketplaceCard({ plugin, onInstall }) {
                 <div className="plugin-icon">
                     {plugin.icon || <Package size={32} />}
                 </div>
-                {plugin.price > 0 ? (
-                    <div className="price-badge">
-                        <DollarSign size={14} />
-                        {plugin.price}
-                    </div>
-                ) : (
-                    <div className="price-badge free">FREE</div>
-                )}
+                <SignatureBadge signedBy={plugin.signedBy} />
             </div>
 
             <h3>{plugin.name}</h3>
@@ -373,16 +545,29 @@ function MarketplaceCard({ plugin, onInstall }) {
                 <span className="plugin-category">{plugin.category}</span>
             </div>
 
-            <div className="plugin-stats-row">
-                <span><Star size={14} fill="gold" /> {plugin.rating}</span>
-                <span><Download size={14} /> {plugin.downloads}</span>
-            </div>
+            {plugin.permissions?.length > 0 && (
+                <div className="plugin-stats-row">
+                    <span>Needs: {plugin.permissions.join(', ')}</span>
+                </div>
+            )}
 
             <div className="plugin-actions">
-                <button className="btn btn-primary btn-block" onClick={onInstall}>
-                    <Download size={14} />
-                    Install
-                </button>
+                {plugin.installedVersion ? (
+                    <button className="btn btn-secondary btn-block" disabled>
+                        <CheckCircle size={14} />
+                        Installed (v{plugin.installedVersion})
+                    </button>
+                ) : plugin.compatible ? (
+                    <button className="btn btn-primary btn-block" onClick={onInstall}>
+                        <Download size={14} />
+                        Install
+                    </button>
+                ) : (
+                    <button className="btn btn-secondary btn-block" disabled>
+                        <AlertTriangle size={14} />
+                        Needs POS server {plugin.host}
+                    </button>
+                )}
             </div>
         </div>
     );
@@ -0,0 +1,645 @@
+/**
+ * @fileoverview Promotions Page
+ *
+ * Manage the promotions the POS applies automatically:
+ * - Buy X get Y, bundles, spend thresholds, category discounts and happy hours
+ * - Targeting by product or category
+ * - Date ranges, weekly schedules and usage limits
+ * - Coupon codes that unlock a promotion at checkout
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useAuthStore } from '../stores/authStore';
+import { useCurrency } from '../hooks/useCurrency';
+import { toast } from '../stores/toastStore';
+import { promotionAPI } from '../services/api';
+import db from '../db';
+import { Tag, Plus, Edit2, Trash2, X, Save, Ticket, Clock } from 'lucide-react';
+import './Promotions.css';
+
+const PROMOTION_TYPES = {
+    buy_x_get_y: 'Buy X Get Y',
+    bundle: 'Bundle',
+    spend_threshold: 'Spend Threshold',
+    category_discount: 'Category Discount',
+    happy_hour: 'Happy Hour'
+};
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const emptyForm = () => ({
+    name: '',
+    description: '',
+    type: 'category_discount',
+    productIds: [],
+    categoryIds: [],
+    discountType: 'percent',
+    discountValue: '',
+    buyQuantity: 2,
+    getQuantity: 1,
+    bundleItems: [{ productId: '', quantity: 1 }],
+    bundlePrice: '',
+    minSubtotal: '',
+    schedule: { daysOfWeek: [], startTime: '', endTime: '' },
+    couponCode: '',
+    startDate: '',
+    endDate: '',
+    priority: 0,
+    stackable: false,
+    usageLimit: '',
+    isActive: true
+});
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+/**
+ * Server promotion to form state
+ */
+const toForm = (promotion) => ({
+    ...emptyForm(),
+    ...promotion,
+    productIds: (promotion.productIds || []).map(String),
+    categoryIds: (promotion.categoryIds || []).map(String),
+    discountValue: promotion.discountValue ?? '',
+    bundleItems: promotion.bundleItems?.length > 0
+        ? promotion.bundleItems.map(item => ({ productId: String(item.productId), quantity: item.quantity }))
+        : [{ productId: '', quantity: 1 }],
+    bundlePrice: promotion.bundlePrice ?? '',
+    minSubtotal: promotion.minSubtotal ?? '',
+    schedule: {
+        daysOfWeek: promotion.schedule?.daysOfWeek || [],
+        startTime: promotion.schedule?.startTime || '',
+        endTime: promotion.schedule?.endTime || ''
+    },
+    couponCode: promotion.couponCode || '',
+    startDate: toDateInput(promotion.startDate),
+    endDate: toDateInput(promotion.endDate),
+    usageLimit: promotion.usageLimit ?? ''
+});
+
+/**
+ * Form state to the API payload, keeping only the fields the type uses
+ */
+const toPayload = (form) => {
+    const number = (value) => (value === '' || value === null ? undefined : Number(value));
+    const endOfDay = (date) => (date ? new Date(`${date}T23:59:59`).toISOString() : null);
+
+    return {
+        name: form.name.trim(),
+        description: form.description,
+        type: form.type,
+        productIds: form.type === 'bundle' ? [] : form.productIds,
+        categoryIds: form.type === 'bundle' ? [] : form.categoryIds,
+        discountType: form.type === 'spend_threshold' ? form.discountType : 'percent',
+        discountValue: number(form.discountValue) ?? 0,
+        buyQuantity: form.type === 'buy_x_get_y' ? number(form.buyQuantity) : undefined,
+        getQuantity: form.type === 'buy_x_get_y' ? number(form.getQuantity) : undefined,
+        bundleItems: form.type === 'bundle'
+            ? form.bundleItems.filter(item => item.productId).map(item => ({
+                productId: item.productId,
+                quantity: Number(item.quantity) || 1
+            }))
+            : [],
+        bundlePrice: form.type === 'bundle' ? number(form.bundlePrice) : undefined,
+        minSubtotal: form.type === 'spend_threshold' ? number(form.minSubtotal) : undefined,
+        schedule: form.schedule,
+        couponCode: form.couponCode.trim().toUpperCase() || null,
+        startDate: form.startDate ? new Date(`${form.startDate}T00:00:00`).toISOString() : null,
+        endDate: endOfDay(form.endDate),
+        priority: Number(form.priority) || 0,
+        stackable: form.stackable,
+        usageLimit: number(form.usageLimit) ?? null,
+        isActive: form.isActive
+    };
+};
+
+function Promotions() {
+    const { store } = useAuthStore();
+    const { formatCurrency } = useCurrency();
+    const [promotions, setPromotions] = useState([]);
+    const [products, setProducts] = useState([]);
+    const [categories, setCategories] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [form, setForm] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const loadData = useCallback(async () => {
+        if (!store?.id) return;
+
+        try {
+            const [promotionsData, productsData, categoriesData] = await Promise.all([
+                promotionAPI.getAll(),
+                // Promotions reference products by their server id
+                db.products.where('storeId').equals(store.id).filter(p => !!p.serverId).toArray(),
+                db.categories.where('storeId').equals(store.id).toArray()
+            ]);
+            setPromotions(promotionsData);
+            setProducts(productsData.sort((a, b) => a.name.localeCompare(b.name)));
+            setCategories(categoriesData);
+        } catch (error) {
+            console.error('Failed to load promotions:', error);
+            toast.error('Promotions need a connection to the server', 'Promotions');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [store?.id]);
+
+    useEffect(() => {
+        loadData();
+    }, [loadData]);
+
+    const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+    const updateSchedule = (field, value) => setForm(prev => ({
+        ...prev,
+        schedule: { ...prev.schedule, [field]: value }
+    }));
+
+    const toggleDay = (day) => {
+        const days = form.schedule.daysOfWeek;
+        updateSchedule('daysOfWeek', days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort());
+    };
+
+    const updateBundleItem = (index, field, value) => setForm(prev => ({
+        ...prev,
+        bundleItems: prev.bundleItems.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    }));
+
+    const handleSave = async () => {
+        if (!form.name.trim()) {
+            toast.error('Give the promotion a name', 'Promotion');
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            const payload = toPayload(form);
+            if (form._id) {
+                await promotionAPI.update(form._id, payload);
+            } else {
+                await promotionAPI.create(payload);
+            }
+            setForm(null);
+            await loadData();
+        } catch (error) {
+            toast.error(error.message || 'Failed to save promotion', 'Promotion');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleToggleActive = async (promotion) => {
+        try {
+            await promotionAPI.update(promotion._id, { isActive: !promotion.isActive });
+            await loadData();
+        } catch (error) {
+            toast.error(error.message || 'Failed to update promotion', 'Promotion');
+        }
+    };
+
+    const handleDelete = async (promotion) => {
+        if (!window.confirm(`Delete promotion "${promotion.name}"? Past sales keep their discounts.`)) {
+            return;
+        }
+
+        try {
+            await promotionAPI.delete(promotion._id);
+            await loadData();
+        } catch (error) {
+            toast.error(error.message || 'Failed to delete promotion', 'Promotion');
+        }
+    };
+
+    /**
+     * One-line description of what a promotion gives
+     */
+    const describe = (promotion) => {
+        switch (promotion.type) {
+            case 'buy_x_get_y':
+                return `Buy ${promotion.buyQuantity}, get ${promotion.getQuantity} ` +
+                    (!promotion.discountValue || promotion.discountValue >= 100 ? 'free' : `${promotion.discountValue}% off`);
+            case 'bundle':
+                return `${promotion.bundleItems.length} items for ${formatCurrency(promotion.bundlePrice || 0)}`;
+            case 'spend_threshold':
+                return `Spend ${formatCurrency(promotion.minSubtotal || 0)}, save ` +
+                    (promotion.discountType === 'fixed'
+                        ? formatCurrency(promotion.discountValue || 0)
+                        : `${promotion.discountValue}%`);
+            default:
+                return `${promotion.discountValue}% off`;
+        }
+    };
+
+    if (isLoading) {
+        return (
+            <div className="promotions-loading">
+                <span className="spinner spinner-lg" />
+                <p>Loading promotions...</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="promotions">
+            <div className="promotions-header">
+                <h2><Tag size={24} /> Promotions</h2>
+                <button className="btn btn-primary" onClick={() => setForm(emptyForm())}>
+                    <Plus size={18} /> New Promotion
+                </button>
+            </div>
+
+            {promotions.length === 0 ? (
+                <div className="promotions-empty">
+                    <Tag size={48} />
+                    <p>No promotions yet</p>
+                    <span>Promotions are applied to the cart automatically at checkout</span>
+                </div>
+            ) : (
+                <div className="table-container">
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Type</th>
+                                <th>Offer</th>
+                                <th>Runs</th>
+                                <th>Used</th>
+                                <th>Status</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {promotions.map(promotion => (
+                                <tr key={promotion._id}>
+                                    <td>
+                                        <strong>{promotion.name}</strong>
+                                        {promotion.couponCode && (
+                                            <span className="promotion-coupon">
+                                                <Ticket size={12} /> {promotion.couponCode}
+                                            </span>
+                                        )}
+                                    </td>
+                                    <td>{PROMOTION_TYPES[promotion.type]}</td>
+                                    <td>{describe(promotion)}</td>
+                                    <td className="text-sm text-secondary">
+                                        {promotion.startDate || promotion.endDate
+                                            ? `${promotion.startDate ? new Date(promotion.startDate).toLocaleDateString() : '…'} – ${promotion.endDate ? new Date(promotion.endDate).toLocaleDateString() : '…'}`
+                                            : 'Always'}
+                                        {promotion.schedule?.startTime && (
+                                            <div className="promotion-schedule">
+                                                <Clock size={12} /> {promotion.schedule.startTime}–{promotion.schedule.endTime}
+                                                {promotion.schedule.daysOfWeek?.length > 0 &&
+                                                    ` ${promotion.schedule.daysOfWeek.map(d => DAYS[d]).join(', ')}`}
+                                            </div>
+                                        )}
+                                    </td>
+                                    <td>
+                                        {promotion.usageCount}
+                                        {promotion.usageLimit ? ` / ${promotion.usageLimit}` : ''}
+                                    </td>
+                                    <td>
+                                        <button
+                                            className={`badge ${promotion.isActive ? 'badge-success' : 'badge-warning'} promotion-status`}
+                                            onClick={() => handleToggleActive(promotion)}
+                                            title={promotion.isActive ? 'Pause' : 'Activate'}
+                                        >
+                                            {promotion.isActive ? 'Active' : 'Paused'}
+                                        </button>
+                                    </td>
+                                    <td className="promotion-actions">
+                                        <button className="btn btn-ghost btn-sm" onClick={() => setForm(toForm(promotion))}>
+                                            <Edit2 size={16} />
+                                        </button>
+                                        <button className="btn btn-ghost btn-sm text-danger" onClick={() => handleDelete(promotion)}>
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {form && (
+                <div className="modal-overlay" onClick={() => setForm(null)}>
+                    <div className="modal modal-lg" onClick={e => e.stopPropagation()}>
+                        <div className="modal-header">
+                            <h3 className="modal-title">{form._id ? 'Edit Promotion' : 'New Promotion'}</h3>
+                            <button className="btn btn-ghost btn-icon" onClick={() => setForm(null)}>
+                                <X size={20} />
+                            </button>
+                        </div>
+
+                        <div className="modal-body promotion-form">
+                            <div className="promotion-form-grid">
+                                <div className="input-group">
+                                    <label className="input-label">Name *</label>
+                                    <input
+                                        type="text"
+                                        className="input"
+                                        value={form.name}
+                                        onChange={(e) => updateForm('name', e.target.value)}
+                                        autoFocus
+                                    />
+                                </div>
+                                <div className="input-group">
+                                    <label className="input-label">Type</label>
+                                    <select
+                                        className="input"
+                                        value={form.type}
+                                        onChange={(e) => updateForm('type', e.target.value)}
+                                    >
+                                        {Object.entries(PROMOTION_TYPES).map(([value, label]) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            </div>
+
+                            {form.type === 'buy_x_get_y' && (
+                                <div className="promotion-form-grid">
+                                    <div className="input-group">
+                                        <label className="input-label">Buy</label>
+                                        <input
+                                            type="number"
+                                            className="input"
+                                            min="1"
+                                            value={form.buyQuantity}
+                                            onChange={(e) => updateForm('buyQuantity', e.target.value)}
+                                        />
+                                    </div>
+                                    <div className="input-group">
+                                        <label className="input-label">Get</label>
+                                        <input
+                                            type="number"
+                                            className="input"
+                                            min="1"
+                                            value={form.getQuantity}
+                                            onChange={(e) => updateForm('getQuantity', e.target.value)}
+                                        />
+                                    </div>
+                                    <div className="input-group">
+                                        <label className="input-label">% off the free items (blank = free)</label>
+                                        <input
+                                            type="number"
+                                            className="input"
+                                            min="0"
+                                            max="100"
+                                            value={form.discountValue}
+                                            onChange={(e) => updateForm('discountValue', e.target.value)}
+                                        />
+                                    </div>
+                                </div>
+                            )}
+
+                            {form.type === 'bundle' && (
+                                <div className="input-group">
+                                    <label className="input-label">Bundle items</label>
+                                    {form.bundleItems.map((item, index) => (
+                                        <div key={index} className="promotion-bundle-row">
+                                            <select
+                                                className="input"
+                                                value={item.productId}
+                                                onChange={(e) => updateBundleItem(index, 'productId', e.target.value)}
+                                            >
+                                                <option value="">Choose a product</option>
+                                                {products.map(product => (
+                                                    <option key={product.id} value={product.serverId}>{product.name}</option>
+                                                ))}
+                                            </select>
+                                            <input
+                                                type="number"
+                                                className="input"
+                                                min="1"
+                                                value={item.quantity}
+                                                onChange={(e) => updateBundleItem(index, 'quantity', e.target.value)}
+                                            />
+                                            <button
+                                                className="btn btn-ghost btn-sm text-danger"
+                                                onClick={() => updateForm('bundleItems', form.bundleItems.filter((_, i) => i !== index))}
+                                            >
+                                                <Trash2 size={16} />
+                                            </button>
+                                        </div>
+                                    ))}
+                                    <button
+                                        className="btn btn-ghost btn-sm promotion-add-item"
+                                        onClick={() => updateForm('bundleItems', [...form.bundleItems, { productId: '', quantity: 1 }])}
+                                    >
+                                        <Plus size={16} /> Add item
+                                    </button>
+                                    <label className="input-label">Bundle price</label>
+                                    <input
+                                        type="number"
+                                        className="input"
+                                        min="0"
+                                        step="0.01"
+                                        value={form.bundlePrice}
+                                        onChange={(e) => updateForm('bundlePrice', e.target.value)}
+                                    />
+                                </div>
+                            )}
+
+                            {form.type === 'spend_threshold' && (
+                                <div className="promotion-form-grid">
+                                    <div className="input-group">
+                                        <label className="input-label">Minimum spend</label>
+                                        <input
+                                            type="number"
+                                            className="input"
+                                            min="0"
+                                            step="0.01"
+                                            value={form.minSubtotal}
+                                            onChange={(e) => updateForm('minSubtotal', e.target.value)}
+                                        />
+                                    </div>
+                                    <div className="input-group">
+                                        <label className="input-label">Discount</label>
+                                        <div className="promotion-discount-input">
+                                            <input
+                                                type="number"
+                                                className="input"
+                                                min="0"
+                                                step="0.01"
+                                                value={form.discountValue}
+                                                onChange={(e) => updateForm('discountValue', e.target.value)}
+                                            />
+                                            <select
+                                                className="input"
+                                                value={form.discountType}
+                                                onChange={(e) => updateForm('discountType', e.target.value)}
+                                            >
+                                                <option value="percent">%</option>
+                                                <option value="fixed">Amount</option>
+                                            </select>
+                                        </div>
+                                    </div>
+                                </div>
+                            )}
+
+                            {(form.type === 'category_discount' || form.type === 'happy_hour') && (
+                                <div className="input-group">
+                                    <label className="input-label">% off</label>
+                                    <input
+                                        type="number"
+                                        className="input"
+                                        min="0"
+                                        max="100"
+                                        value={form.discountValue}
+                                        onChange={(e) => updateForm('discountValue', e.target.value)}
+                                    />
+                                </div>
+                            )}
+
+                            {form.type !== 'bundle' && (
+                                <div className="promotion-form-grid">
+                                    <div className="input-group">
+                                        <label className="input-label">Categories (none = all)</label>
+                                        <select
+                                            multiple
+                                            className="input promotion-multi-select"
+                                            value={form.categoryIds}
+                                            onChange={(e) => updateForm('categoryIds', [...e.target.selectedOptions].map(o => o.value))}
+                                        >
+                                            {categories.map(category => (
+                                                <option key={category.id} value={String(category.id)}>{category.name}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    <div className="input-group">
+                                        <label className="input-label">Products (none = all)</label>
+                                        <select
+                                            multiple
+                                            className="input promotion-multi-select"
+                                            value={form.productIds}
+                                            onChange={(e) => updateForm('productIds', [...e.target.selectedOptions].map(o => o.value))}
+                                        >
+                                            {products.map(product => (
+                                                <option key={product.id} value={product.serverId}>{product.name}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                </div>
+                            )}
+
+                            <div className="input-group">
+                                <label className="input-label">
+                                    Schedule {form.type === 'happy_hour' ? '*' : '(optional)'}
+                                </label>
+                                <div className="promotion-schedule-row">
+                                    <input
+                                        type="time"
+                                        className="input"
+                                        value={form.schedule.startTime}
+                                        onChange={(e) => updateSchedule('startTime', e.target.value)}
+                                    />
+                                    <span>to</span>
+                                    <input
+                                        type="time"
+                                        className="input"
+                                        value={form.schedule.endTime}
+                                        onChange={(e) => updateSchedule('endTime', e.target.value)}
+                                    />
+                                </div>
+                                <div className="promotion-days">
+                                    {DAYS.map((day, index) => (
+                                        <button
+                                            key={day}
+                                            className={`promotion-day ${form.schedule.daysOfWeek.includes(index) ? 'active' : ''}`}
+                                            onClick={() => toggleDay(index)}
+                                        >
+                                            {day}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="promotion-form-grid">
+                                <div className="input-group">
+                                    <label className="input-label">Starts</label>
+                                    <input
+                                        type="date"
+                                        className="input"
+                                        value={form.startDate}
+                                        onChange={(e) => updateForm('startDate', e.target.value)}
+                                    />
+                                </div>
+                                <div className="input-group">
+                                    <label className="input-label">Ends</label>
+                                    <input
+                                        type="date"
+                                        className="input"
+                                        value={form.endDate}
+                                        onChange={(e) => updateForm('endDate', e.target.value)}
+                                    />
+                                </div>
+                            </div>
+
+                            <div className="promotion-form-grid">
+                                <div className="input-group">
+                                    <label className="input-label">Coupon code (optional)</label>
+                                    <input
+                                        type="text"
+                                        className="input promotion-coupon-input"
+                                        value={form.couponCode}
+                                        onChange={(e) => updateForm('couponCode', e.target.value)}
+                                    />
+                                </div>
+                                <div className="input-group">
+                                    <label className="input-label">Usage limit (sales)</label>
+                                    <input
+                                        type="number"
+                                        className="input"
+                                        min="1"
+                                        value={form.usageLimit}
+                                        onChange={(e) => updateForm('usageLimit', e.target.value)}
+                                    />
+                                </div>
+                                <div className="input-group">
+                                    <label className="input-label">Priority</label>
+                                    <input
+                                        type="number"
+                                        className="input"
+                                        value={form.priority}
+                                        onChange={(e) => updateForm('priority', e.target.value)}
+                                    />
+                                </div>
+                            </div>
+
+                            <div className="promotion-checks">
+                                <label>
+                                    <input
+                                        type="checkbox"
+                                        checked={form.stackable}
+                                        onChange={(e) => updateForm('stackable', e.target.checked)}
+                                    />
+                                    Combine with other promotions
+                                </label>
+                                <label>
+                                    <input
+                                        type="checkbox"
+                                        checked={form.isActive}
+                                        onChange={(e) => updateForm('isActive', e.target.checked)}
+                                    />
+                                    Active
+                                </label>
+                            </div>
+                        </div>
+
+                        <div className="modal-footer">
+                            <button className="btn btn-secondary" onClick={() => setForm(null)}>
+                                Cancel
+                            </button>
+                            <button className="btn btn-primary" onClick={handleSave} disabled={isSaving}>
+                                <Save size={18} /> {isSaving ? 'Saving...' : 'Save Promotion'}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default Promotions;
@@ -1,12 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import {
   Plus, Package, CheckCircle, XCircle, Clock, Truck, FileText,
-  User, Calendar, DollarSign, Filter, RefreshCw, Edit2, X, Search
+  User, Calendar, DollarSign, Filter, RefreshCw, Edit2, X, Search, Lightbulb, BookOpen
 } from 'lucide-react';
 import { apiRequest } from '../services/api';
 import { useAuthStore } from '../stores/authStore';
 import { useCurrency } from '../hooks/useCurrency';
 import db from '../db';
+import ReorderSuggestionsDialog from '../components/ReorderSuggestionsDialog';
+import SupplierCatalogDialog from '../components/SupplierCatalogDialog';
 import './Inventory.css';
 
 /**
@@ -24,6 +26,10 @@ const PurchaseOrders = () => {
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [showSupplierModal, setShowSupplierModal] = useState(false);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [showCatalog, setShowCatalog] = useState(false);
+  // Catalog of the supplier selected in the PO form, for line defaults
+  const [supplierCatalog, setSupplierCatalog] = useState([]);
   const [statusFilter, setStatusFilter] = useState('all');
   const [editingPO, setEditingPO] = useState(null);
   const [receivingPO, setReceivingPO] = useState(null);
@@ -60,6 +66,27 @@ const PurchaseOrders = () => {
     loadData();
   }, []);
 
+  useEffect(() => {
+    if (!showModal || !formData.supplierId) {
+      setSupplierCatalog([]);
+      return;
+    }
+
+    apiRequest(`/inventory/suppliers/${formData.supplierId}/catalog`)
+      .then(setSupplierCatalog)
+      .catch(() => setSupplierCatalog([]));
+  }, [showModal, formData.supplierId]);
+
+  const catalogEntryFor = (productId) =>
+    supplierCatalog.find(entry => entry.productId === productId && !entry.variantId && entry.isActive !== false);
+
+  // Smallest quantity the supplier sells: at least the minimum, in whole cases
+  const packQuantity = (entry, quantity) => {
+    const wanted = Math.max(quantity, entry?.minimumOrderQuantity || 1);
+    const pack = entry?.casePackSize || 1;
+    return Math.ceil(wanted / pack) * pack;
+  };
+
   const loadData = async () => {
     try {
       setLoading(true);
@@ -400,6 +427,20 @@ const PurchaseOrders = () => {
             <RefreshCw size={18} />
             Refresh
           </button>
+          <button
+            onClick={() => setShowCatalog(true)}
+            className="inventory-btn inventory-btn-secondary"
+          >
+            <BookOpen size={18} />
+            Supplier Catalog
+          </button>
+          <button
+            onClick={() => setShowSuggestions(true)}
+            className="inventory-btn inventory-btn-secondary"
+          >
+            <Lightbulb size={18} />
+            Suggest Orders
+          </button>
           <button
             onClick={openCreateModal}
             className="inventory-btn inventory-btn-primary"
@@ -543,6 +584,28 @@ const PurchaseOrders = () => {
         </div>
       )}
 
+      {/* Reorder Suggestions */}
+      {showSuggestions && (
+        <ReorderSuggestionsDialog
+          suppliers={suppliers}
+          onClose={() => setShowSuggestions(false)}
+          onCreated={() => {
+            setShowSuggestions(false);
+            setStatusFilter('draft');
+            loadData();
+          }}
+        />
+      )}
+
+      {/* Supplier Catalog */}
+      {showCatalog && (
+        <SupplierCatalogDialog
+          suppliers={suppliers}
+          products={products}
+          onClose={() => setShowCatalog(false)}
+        />
+      )}
+
       {/* Create/Edit PO Modal */}
       {showModal && (
         <div className="modal-overlay" onClick={() => setShowModal(false)}>
@@ -664,13 +727,14 @@ const PurchaseOrders = () => {
                               if (existingIndex >= 0) {
                                 alert('Product already added to this order');
                               } else {
-                                // Add as new item
+                                // Add as new item, with the supplier's terms when it has any
+                                const entry = catalogEntryFor(productId);
                                 setFormData(prev => ({
                                   ...prev,
                                   items: [...prev.items, {
                                     productId: productId,
-                                    quantity: '1',
-                                    unitPrice: product.costPrice || product.price || ''
+                                    quantity: String(packQuantity(entry, 1)),
+                                    unitPrice: entry?.effectiveCost ?? (product.costPrice || product.price || '')
                                   }]
                                 }));
                               }
@@ -728,6 +792,8 @@ const PurchaseOrders = () => {
                       p.id === item.productId
                     );
 
+                    const catalogEntry = catalogEntryFor(item.productId);
+
                     console.log('Item:', item.productId, 'Found product:', selectedProduct?.name);
 
                     return (
@@ -753,6 +819,15 @@ const PurchaseOrders = () => {
                             <span>SKU: {selectedProduct?.sku || 'N/A'}</span>
                             <span>Current Stock: {selectedProduct?.quantity || 0} units</span>
                           </div>
+                          {catalogEntry && (
+                            <div style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)' }}>
+                              {[
+                                catalogEntry.supplierSku && `Supplier SKU ${catalogEntry.supplierSku}`,
+                                catalogEntry.casePackSize > 1 && `cases of ${catalogEntry.casePackSize}`,
+                                catalogEntry.minimumOrderQuantity > 1 && `min ${catalogEntry.minimumOrderQuantity}`
+                              ].filter(Boolean).join(' · ')}
+                            </div>
+                          )}
                         </div>
                         <input
                           type="number"
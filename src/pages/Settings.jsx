@@ -3,7 +3,8 @@
  * 
  * This page provides application settings including:
  * - Store information management
- * - Category management (add/edit/delete)
+ * - Tax classes and rates
+ * - Category management (add/edit/delete), including each category's tax class
  * - Theme preferences
  * - Data export
  * - Account management
@@ -15,10 +16,13 @@ import { useAuthStore } from '../stores/authStore';
 import { useSettingsStore } from '../stores/settingsStore';
 import db from '../db';
 import { resetLocalDatabase, clearTransactionData } from '../utils/resetDatabase';
+import { loadTaxConfig } from '../services/tax';
+import TaxClassManager from '../components/TaxClassManager';
+import { storeAPI } from '../services/api';
 import {
     Store, User, Sun, Moon, Monitor, Save, Palette, Database, Download,
-    Tag, Plus, Edit2, Trash2, X, Check, AlertTriangle, RefreshCw, Image, Upload,
-    BarChart3, PieChart, Building2, Puzzle, Zap, FileText, Shield, Settings as SettingsIcon
+    Tag, Percent, Plus, Edit2, Trash2, X, Check, AlertTriangle, RefreshCw, Image, Upload,
+    BarChart3, PieChart, Building2, Puzzle, Zap, FileText, Shield, Calculator, Settings as SettingsIcon
 } from 'lucide-react';
 import './Settings.css';
 
@@ -65,6 +69,12 @@ function Settings() {
     const [editingCategory, setEditingCategory] = useState(null);
     const [newCategory, setNewCategory] = useState({ name: '', color: '#6366f1' });
     const [showAddCategory, setShowAddCategory] = useState(false);
+    const [taxClasses, setTaxClasses] = useState([]);
+
+    // Inventory costing state (kept in the server-side store settings)
+    const [storeSettings, setStoreSettings] = useState(null);
+    const [costingMethod, setCostingMethod] = useState('average');
+    const [isSavingCosting, setIsSavingCosting] = useState(false);
 
     /**
      * Load categories when component mounts
@@ -73,6 +83,19 @@ function Settings() {
         loadCategories();
     }, [store?.id]);
 
+    /**
+     * Load the store's server-side settings
+     */
+    useEffect(() => {
+        if (!store?.serverId) return;
+        storeAPI.getById(store.serverId)
+            .then(serverStore => {
+                setStoreSettings(serverStore.settings || {});
+                setCostingMethod(serverStore.settings?.costingMethod || 'average');
+            })
+            .catch(error => console.error('Failed to load store settings:', error));
+    }, [store?.serverId]);
+
     /**
      * Fetch categories from IndexedDB
      */
@@ -81,6 +104,7 @@ function Settings() {
         try {
             const cats = await db.categories.where('storeId').equals(store.id).toArray();
             setCategories(cats.sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0)));
+            setTaxClasses((await loadTaxConfig(store)).classes);
         } catch (error) {
             console.error('Failed to load categories:', error);
         }
@@ -102,6 +126,26 @@ function Settings() {
         setIsSaving(false);
     };
 
+    /**
+     * Save the inventory costing method. Store settings are replaced as a
+     * whole, so the rest of them are sent back unchanged.
+     */
+    const handleSaveCosting = async () => {
+        setIsSavingCosting(true);
+        try {
+            const updated = await storeAPI.update(store.serverId, {
+                settings: { ...storeSettings, costingMethod }
+            });
+            setStoreSettings(updated.settings || {});
+            alert('✅ Costing method saved');
+        } catch (error) {
+            console.error('Save costing method error:', error);
+            alert('❌ Failed to save costing method: ' + error.message);
+        } finally {
+            setIsSavingCosting(false);
+        }
+    };
+
     /**
      * Handle logo file selection
      */
@@ -237,7 +281,8 @@ function Settings() {
         try {
             await db.categories.update(editingCategory.id, {
                 name: editingCategory.name.trim(),
-                color: editingCategory.color
+                color: editingCategory.color,
+                taxClassId: editingCategory.taxClassId || null
             });
             setEditingCategory(null);
             await loadCategories();
@@ -427,6 +472,49 @@ function Settings() {
                 </div>
             </section>
 
+            {/* Tax Classes Section */}
+            <section className="settings-section">
+                <div className="section-header"><Percent size={20} /><h3>Tax Classes</h3></div>
+                <p className="section-description">
+                    Assign classes to categories below or to individual products. Whether prices
+                    already include tax is set for the whole organization.
+                </p>
+                <TaxClassManager />
+            </section>
+
+            {/* Inventory Costing Section */}
+            {isOwner && (
+                <section className="settings-section">
+                    <div className="section-header"><Calculator size={20} /><h3>Inventory Costing</h3></div>
+                    <p className="section-description">
+                        How the cost of goods sold is worked out from the stock received on purchase
+                        orders and transfers. Changing it affects sales from now on; past sales keep
+                        the cost they were recorded at.
+                    </p>
+                    <div className="settings-grid">
+                        <div className="input-group">
+                            <label className="input-label">Costing Method</label>
+                            <select
+                                className="input select"
+                                value={costingMethod}
+                                onChange={(e) => setCostingMethod(e.target.value)}
+                                disabled={!storeSettings}
+                            >
+                                <option value="average">Weighted average</option>
+                                <option value="fifo">FIFO (first in, first out)</option>
+                            </select>
+                        </div>
+                    </div>
+                    <button
+                        className="btn btn-primary"
+                        onClick={handleSaveCosting}
+                        disabled={!storeSettings || isSavingCosting}
+                    >
+                        {isSavingCosting ? <span className="spinner" /> : <Save size={18} />} Save
+                    </button>
+                </section>
+            )}
+
             {/* Categories Management Section */}
             <section className="settings-section">
                 <div className="section-header">
@@ -489,6 +577,19 @@ function Settings() {
                                             onChange={(e) => setEditingCategory(prev => ({ ...prev, name: e.target.value }))}
                                             autoFocus
                                         />
+                                        {taxClasses.length > 0 && (
+                                            <select
+                                                className="input select category-tax-select"
+                                                value={editingCategory.taxClassId || ''}
+                                                onChange={(e) => setEditingCategory(prev => ({ ...prev, taxClassId: e.target.value }))}
+                                                title="Tax class"
+                                            >
+                                                <option value="">Default tax</option>
+                                                {taxClasses.map(tc => (
+                                                    <option key={tc._id} value={tc._id}>{tc.name}</option>
+                                                ))}
+                                            </select>
+                                        )}
                                         <div className="color-picker-inline">
                                             {categoryColors.slice(0, 9).map(color => (
                                                 <button
@@ -514,6 +615,11 @@ function Settings() {
                                             style={{ backgroundColor: category.color }}
                                         />
                                         <span className="category-name">{category.name}</span>
+                                        {category.taxClassId && (
+                                            <span className="text-secondary">
+                                                {taxClasses.find(tc => tc._id === category.taxClassId)?.name}
+                                            </span>
+                                        )}
                                         <button
                                             className="btn btn-ghost btn-sm"
                                             onClick={() => startEditCategory(category)}
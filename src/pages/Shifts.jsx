@@ -13,6 +13,7 @@ import { useState, useEffect } from 'react';
 import { useAuthStore } from '../stores/authStore';
 import { useCurrency } from '../hooks/useCurrency';
 import db, { dbHelpers } from '../db';
+import { shiftSync, clockEventSync } from '../services/sync';
 import {
     Calendar, Clock, Plus, Edit2, Trash2, X, Save,
     ChevronLeft, ChevronRight, Play, Square, User,
@@ -208,13 +209,9 @@ function Shifts() {
             };
 
             if (editingShift) {
-                await db.shifts.update(editingShift.id, shiftData);
+                await shiftSync.update(editingShift.id, shiftData);
             } else {
-                await db.shifts.add({
-                    storeId: store.id,
-                    ...shiftData,
-                    createdAt: new Date().toISOString()
-                });
+                await shiftSync.create(shiftData, store.id);
             }
             setShowShiftModal(false);
             await loadData();
@@ -230,7 +227,7 @@ function Shifts() {
         if (!window.confirm('Delete this shift?')) return;
 
         try {
-            await db.shifts.delete(shiftId);
+            await shiftSync.delete(shiftId);
             await loadData();
         } catch (error) {
             console.error('Failed to delete shift:', error);
@@ -282,11 +279,12 @@ function Shifts() {
                     clockOut
                 );
 
-                await db.clockEvents.update(activeEvent.id, {
+                await clockEventSync.update(activeEvent.id, {
                     clockOut,
                     salesCount: summary.salesCount,
                     salesTotal: summary.salesTotal,
-                    itemsSold: summary.itemsSold
+                    itemsSold: summary.itemsSold,
+                    paymentTotals: summary.paymentTotals
                 });
 
                 setShowClockModal(false);
@@ -299,8 +297,7 @@ function Shifts() {
                 setShowSummaryModal(true);
             } else {
                 // Clock in
-                await db.clockEvents.add({
-                    storeId: store.id,
+                await clockEventSync.create({
                     employeeId: employee.id,
                     shiftId: null,
                     clockIn: new Date().toISOString(),
@@ -308,9 +305,8 @@ function Shifts() {
                     salesCount: 0,
                     salesTotal: 0,
                     itemsSold: 0,
-                    notes: '',
-                    createdAt: new Date().toISOString()
-                });
+                    notes: ''
+                }, store.id);
 
                 setShowClockModal(false);
                 alert(`✅ ${employee.name} clocked in successfully!`);
@@ -685,6 +681,16 @@ function Shifts() {
                                     {formatCurrency(shiftSummary.salesTotal)}
                                 </span>
                             </div>
+                            {shiftSummary.paymentTotals && (
+                                <div className="summary-payments">
+                                    {['cash', 'card', 'credit'].map(method => (
+                                        <div key={method} className="summary-payment">
+                                            <span className="summary-payment-method">{method}</span>
+                                            <span>{formatCurrency(shiftSummary.paymentTotals[method] || 0)}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
                         </div>
                         <div className="modal-footer">
                             <button className="btn btn-primary" onClick={() => setShowSummaryModal(false)}>
@@ -0,0 +1,1004 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Plus, ClipboardCheck, Camera, RefreshCw, ArrowLeft, Minus, CheckCircle,
+  XCircle, RotateCcw, Send, CloudOff, TrendingDown, TrendingUp, X
+} from 'lucide-react';
+import { stockTakeAPI } from '../services/api';
+import { stockTakeSync } from '../services/sync';
+import { useAuthStore } from '../stores/authStore';
+import { useEmployeeSession } from '../stores/employeeSessionStore';
+import { usePermissions } from '../hooks/usePermissions';
+import { useCurrency } from '../hooks/useCurrency';
+import { toast } from '../stores/toastStore';
+import db from '../db';
+import BarcodeScanner from '../components/BarcodeScanner';
+import PINVerifyDialog from '../components/PINVerifyDialog';
+import './Inventory.css';
+import './StockTakes.css';
+
+const STATUS_LABELS = {
+  counting: 'Counting',
+  review: 'In Review',
+  posted: 'Posted',
+  cancelled: 'Cancelled'
+};
+
+const SCOPE_LABELS = {
+  store: 'Whole store',
+  category: 'Category',
+  location: 'Location'
+};
+
+// Cached sheets are keyed by serverId; give them the server's _id back
+const fromCache = (stockTake) => ({ ...stockTake, _id: stockTake.serverId });
+
+/**
+ * Stock takes from the server, or the sheets cached on this device when offline
+ */
+const fetchStockTakes = async (storeId) => {
+  try {
+    return { stockTakes: await stockTakeAPI.getAll({ limit: 50 }), offline: false };
+  } catch (error) {
+    console.error('Failed to load stock takes:', error);
+    const cached = await stockTakeSync.getCachedList(storeId);
+    return { stockTakes: cached.map(fromCache), offline: true };
+  }
+};
+
+/**
+ * A count sheet with this device's unsent counts. Queued counts are sent
+ * first; without a connection the cached sheet is used.
+ */
+const fetchCountSheet = async (serverId, storeId) => {
+  try {
+    const pending = await stockTakeSync.getPending(serverId);
+    if (pending.length === 0) {
+      return { stockTake: await stockTakeSync.download(serverId, storeId), pending: [] };
+    }
+    const result = await stockTakeSync.push(serverId);
+    if (result.synced) {
+      return { stockTake: result.stockTake, pending: await stockTakeSync.getPending(serverId) };
+    }
+  } catch (error) {
+    console.error('Failed to download stock take:', error);
+  }
+
+  const cached = await stockTakeSync.getCached(serverId);
+  if (!cached) {
+    throw new Error('This stock take has not been opened on this device yet');
+  }
+  return { stockTake: fromCache(cached), pending: await stockTakeSync.getPending(serverId) };
+};
+
+/**
+ * Categories and shelf locations a count can be scoped to
+ */
+const fetchScopeOptions = async (storeId) => {
+  const [categories, products] = await Promise.all([
+    db.categories.where('storeId').equals(storeId).toArray(),
+    db.products.where('storeId').equals(storeId).toArray()
+  ]);
+  const locations = [...new Set(products.map(p => p.location?.trim()).filter(Boolean))].sort();
+
+  // Counts run on the server, so only categories it knows about can be chosen
+  return { categories: categories.filter(c => c.serverId), locations };
+};
+
+const defaultDateRange = () => {
+  const end = new Date();
+  const start = new Date(end.getTime() - 90 * 24 * 60 * 60 * 1000);
+  return { startDate: start.toISOString().split('T')[0], endDate: end.toISOString().split('T')[0] };
+};
+
+/**
+ * StockTakes Component
+ *
+ * Cycle counts: start a count for the store, a category or a shelf location,
+ * count it on a phone by scanning barcodes (offline too), review the
+ * variances and have a manager approve them. Also shows the shrinkage
+ * report for posted counts.
+ */
+const StockTakes = () => {
+  const { store } = useAuthStore();
+  const { currentEmployee } = useEmployeeSession();
+  const { canUpdate } = usePermissions('inventory');
+  const { formatCurrency } = useCurrency();
+
+  const [tab, setTab] = useState('counts');
+  const [stockTakes, setStockTakes] = useState([]);
+  const [offline, setOffline] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  // New count form
+  const [showNew, setShowNew] = useState(false);
+  const [scopeOptions, setScopeOptions] = useState({ categories: [], locations: [] });
+  const [newCount, setNewCount] = useState({ name: '', scope: 'store', categoryId: '', location: '', notes: '' });
+  const [creating, setCreating] = useState(false);
+
+  // Open count sheet
+  const [active, setActive] = useState(null);
+  const [pending, setPending] = useState([]);
+  const [showScanner, setShowScanner] = useState(false);
+  const [code, setCode] = useState('');
+  const [lineFilter, setLineFilter] = useState('all');
+  const [lastCountedId, setLastCountedId] = useState(null);
+  const [recountIds, setRecountIds] = useState([]);
+  const [showApprovePIN, setShowApprovePIN] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  // Shrinkage report
+  const [dateRange, setDateRange] = useState(defaultDateRange);
+  const [shrinkage, setShrinkage] = useState(null);
+
+  // Sheet the pushes belong to, and whether one is already on the way
+  const activeIdRef = useRef(null);
+  const pushingRef = useRef(false);
+  const pushAgainRef = useRef(false);
+
+  useEffect(() => {
+    if (!store?.id) return;
+    setLoading(true);
+    fetchStockTakes(store.id)
+      .then(result => {
+        setStockTakes(result.stockTakes);
+        setOffline(result.offline);
+      })
+      .finally(() => setLoading(false));
+  }, [store?.id]);
+
+  useEffect(() => {
+    if (!showNew || !store?.id) return;
+    fetchScopeOptions(store.id).then(setScopeOptions);
+  }, [showNew, store?.id]);
+
+  useEffect(() => {
+    if (tab !== 'shrinkage') return;
+    stockTakeAPI.getShrinkage(dateRange)
+      .then(setShrinkage)
+      .catch(error => {
+        console.error('Failed to load shrinkage report:', error);
+        toast.error('Shrinkage report needs a connection', 'Offline');
+      });
+  }, [tab, dateRange]);
+
+  const reloadList = async () => {
+    const result = await fetchStockTakes(store.id);
+    setStockTakes(result.stockTakes);
+    setOffline(result.offline);
+  };
+
+  const openStockTake = async (serverId) => {
+    try {
+      setBusy(true);
+      const sheet = await fetchCountSheet(serverId, store.id);
+      activeIdRef.current = serverId;
+      setActive(sheet.stockTake);
+      setPending(sheet.pending);
+      setRecountIds([]);
+      setLineFilter('all');
+      setLastCountedId(null);
+    } catch (error) {
+      toast.error(error.message, 'Cannot Open Count');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const closeStockTake = () => {
+    activeIdRef.current = null;
+    setActive(null);
+    setPending([]);
+    reloadList();
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setCreating(true);
+      const stockTake = await stockTakeAPI.create({
+        name: newCount.name,
+        scope: newCount.scope,
+        categoryId: newCount.scope === 'category' ? newCount.categoryId : undefined,
+        location: newCount.scope === 'location' ? newCount.location : undefined,
+        notes: newCount.notes
+      });
+      toast.success(`${stockTake.lines.length} products to count`, `Stock Take ${stockTake.countNumber}`);
+      setShowNew(false);
+      setNewCount({ name: '', scope: 'store', categoryId: '', location: '', notes: '' });
+      await reloadList();
+      await openStockTake(stockTake._id);
+    } catch (error) {
+      toast.error(error.message, 'Could Not Start Count');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  /**
+   * Send queued counts. Scans made while a push is on the way go in the
+   * next one rather than a second push at the same time.
+   */
+  const pushCounts = async (serverId) => {
+    if (pushingRef.current) {
+      pushAgainRef.current = true;
+      return;
+    }
+
+    pushingRef.current = true;
+    try {
+      let result;
+      do {
+        pushAgainRef.current = false;
+        result = await stockTakeSync.push(serverId);
+      } while (result.synced && pushAgainRef.current);
+
+      if (activeIdRef.current !== serverId) return;
+      if (result.synced) {
+        setActive(result.stockTake);
+      } else if (result.error) {
+        toast.error(result.error, 'Counts Not Saved');
+      }
+      setPending(await stockTakeSync.getPending(serverId));
+    } finally {
+      pushingRef.current = false;
+    }
+  };
+
+  const recordCount = async (line, quantity, mode = 'add') => {
+    const serverId = active._id;
+    await stockTakeSync.addCount(serverId, line._id, quantity, mode);
+    setPending(await stockTakeSync.getPending(serverId));
+    setLastCountedId(line._id);
+    pushCounts(serverId);
+  };
+
+  const handleScan = (scanned) => {
+    const term = scanned.trim().toLowerCase();
+    if (!term || !active) return;
+
+    const line = active.lines.find(l =>
+      l.barcode?.toLowerCase() === term || l.sku?.toLowerCase() === term
+    );
+    if (!line) {
+      toast.warning(`${scanned} is not on this count`, 'Not Found');
+      return;
+    }
+    recordCount(line, 1);
+  };
+
+  const handleCodeSubmit = (e) => {
+    e.preventDefault();
+    handleScan(code);
+    setCode('');
+  };
+
+  const handleSetCount = (line, current) => {
+    const value = prompt(`Count for ${line.name}${line.variantName ? ` (${line.variantName})` : ''}:`, current ?? '');
+    if (value === null) return;
+    const quantity = parseInt(value, 10);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      toast.error('Enter a whole number of units', 'Invalid Count');
+      return;
+    }
+    recordCount(line, quantity, 'set');
+  };
+
+  const handleSubmitForReview = async () => {
+    const uncounted = lines.filter(l => l.countedQuantity === null || l.countedQuantity === undefined).length;
+    const message = uncounted > 0
+      ? `${uncounted} products have not been counted and will not be adjusted. Submit for review?`
+      : 'Submit this count for review?';
+    if (!window.confirm(message)) return;
+
+    try {
+      setBusy(true);
+      if (pending.length > 0) {
+        await pushCounts(active._id);
+        if ((await stockTakeSync.getPending(active._id)).length > 0) {
+          toast.warning('Some counts have not reached the server yet. Try again when online.', 'Not Submitted');
+          return;
+        }
+      }
+      const stockTake = await stockTakeAPI.submit(active._id);
+      await stockTakeSync.cache(stockTake, store.id);
+      setActive(stockTake);
+      toast.success('Variances are ready for a manager to approve', 'Submitted');
+    } catch (error) {
+      toast.error(error.message, 'Could Not Submit');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRecount = async () => {
+    try {
+      setBusy(true);
+      const stockTake = await stockTakeAPI.recount(active._id, recountIds);
+      await stockTakeSync.cache(stockTake, store.id);
+      setActive(stockTake);
+      setRecountIds([]);
+      toast.success('Selected lines are back on the count sheet', 'Recount Requested');
+    } catch (error) {
+      toast.error(error.message, 'Could Not Request Recount');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const approve = async () => {
+    try {
+      setBusy(true);
+      const stockTake = await stockTakeAPI.approve(active._id, {
+        employeeId: currentEmployee?.serverId || undefined
+      });
+      await stockTakeSync.cache(stockTake, store.id);
+      setActive(stockTake);
+      toast.success('Variances posted as stock adjustments', 'Stock Take Approved');
+    } catch (error) {
+      toast.error(error.message, 'Could Not Approve');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleApprove = () => {
+    if (!window.confirm('Post these variances to stock? This cannot be undone.')) return;
+    // An employee signed in on this device confirms it is really them
+    if (currentEmployee) {
+      setShowApprovePIN(true);
+    } else {
+      approve();
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel this stock take? Counts made so far will be discarded.')) return;
+    try {
+      setBusy(true);
+      const stockTake = await stockTakeAPI.cancel(active._id);
+      await stockTakeSync.discardPending(active._id);
+      await stockTakeSync.cache(stockTake, store.id);
+      setActive(stockTake);
+      setPending([]);
+    } catch (error) {
+      toast.error(error.message, 'Could Not Cancel');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDiscardPending = async () => {
+    if (!window.confirm(`Discard ${pending.length} counts that were not applied?`)) return;
+    await stockTakeSync.discardPending(active._id);
+    setPending([]);
+  };
+
+  const toggleRecount = (lineId) => {
+    setRecountIds(prev => prev.includes(lineId) ? prev.filter(id => id !== lineId) : [...prev, lineId]);
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  };
+
+  const scopeLabel = (stockTake) => {
+    if (stockTake.scope?.type === 'location') return `Location: ${stockTake.scope.location}`;
+    if (stockTake.scope?.type === 'category') return 'Category';
+    return SCOPE_LABELS.store;
+  };
+
+  const statusBadge = (status) => (
+    <span className={`stock-take-status ${status}`}>{STATUS_LABELS[status] || status}</span>
+  );
+
+  // Lines as this device sees them: the server's counts plus any not sent yet
+  const lines = active ? stockTakeSync.applyPendingCounts(active.lines, pending) : [];
+  const isCounted = (line) => line.countedQuantity !== null && line.countedQuantity !== undefined;
+  const countedLines = lines.filter(isCounted);
+  const varianceLines = lines.filter(l => isCounted(l) && l.countedQuantity !== l.expectedQuantity);
+
+  const visibleLines = lines.filter(line => {
+    if (lineFilter === 'uncounted') return !isCounted(line);
+    if (lineFilter === 'counted') return isCounted(line);
+    if (lineFilter === 'recount') return line.recount;
+    if (lineFilter === 'variance') return isCounted(line) && line.countedQuantity !== line.expectedQuantity;
+    return true;
+  });
+
+  if (loading) {
+    return (
+      <div className="inventory-page">
+        <div className="inventory-loading">
+          <div className="inventory-loading-spinner" />
+          Loading stock takes...
+        </div>
+      </div>
+    );
+  }
+
+  // ---------- Count sheet ----------
+  if (active) {
+    const counting = active.status === 'counting';
+    const review = active.status === 'review';
+    const posted = active.status === 'posted';
+
+    return (
+      <div className="inventory-page stock-take-sheet">
+        <div className="inventory-header">
+          <div>
+            <button className="inventory-btn inventory-btn-sm inventory-btn-secondary" onClick={closeStockTake}>
+              <ArrowLeft size={16} />
+              All counts
+            </button>
+            <h1 style={{ marginTop: '0.75rem' }}>
+              {active.name || `Stock Take ${active.countNumber}`}
+            </h1>
+            <p className="stock-take-meta">
+              {active.countNumber} · {scopeLabel(active)} · {statusBadge(active.status)}
+            </p>
+          </div>
+          <div className="stock-take-progress">
+            <strong>{countedLines.length}</strong> / {lines.length} counted
+            {pending.length > 0 && (
+              <span className="stock-take-pending" title="Counts saved on this device, waiting to sync">
+                <CloudOff size={14} />
+                {pending.length} not synced
+              </span>
+            )}
+          </div>
+        </div>
+
+        {pending.length > 0 && !counting && (
+          <div className="stock-take-notice">
+            {pending.length} counts from this device arrived after counting closed and were not applied.
+            <button className="inventory-btn inventory-btn-sm inventory-btn-secondary" onClick={handleDiscardPending}>
+              Discard
+            </button>
+          </div>
+        )}
+
+        {counting && (
+          <form className="stock-take-scanbar" onSubmit={handleCodeSubmit}>
+            <button
+              type="button"
+              className="inventory-btn inventory-btn-primary"
+              onClick={() => setShowScanner(true)}
+            >
+              <Camera size={18} />
+              Scan
+            </button>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="inventory-form-input"
+              placeholder="Scan or type a barcode / SKU"
+              autoFocus
+            />
+          </form>
+        )}
+
+        {posted && (
+          <div className="inventory-stats-grid">
+            <div className="inventory-stat-card">
+              <p className="inventory-stat-label">Units short</p>
+              <p className="inventory-stat-value">{active.summary?.unitsShort || 0}</p>
+              <span className="inventory-stat-change negative">{formatCurrency(active.summary?.valueShort || 0)}</span>
+            </div>
+            <div className="inventory-stat-card">
+              <p className="inventory-stat-label">Units over</p>
+              <p className="inventory-stat-value">{active.summary?.unitsOver || 0}</p>
+              <span className="inventory-stat-change positive">{formatCurrency(active.summary?.valueOver || 0)}</span>
+            </div>
+            <div className="inventory-stat-card">
+              <p className="inventory-stat-label">Approved</p>
+              <p className="inventory-stat-value" style={{ fontSize: '1.25rem' }}>{formatDate(active.approvedAt)}</p>
+            </div>
+          </div>
+        )}
+
+        <div className="stock-take-filters">
+          {(counting
+            ? ['all', 'uncounted', 'counted', 'recount']
+            : ['all', 'variance', 'counted', 'uncounted']
+          ).map(filter => (
+            <button
+              key={filter}
+              onClick={() => setLineFilter(filter)}
+              className={`inventory-btn inventory-btn-sm ${lineFilter === filter ? 'inventory-btn-primary' : 'inventory-btn-secondary'}`}
+              style={{ textTransform: 'capitalize' }}
+            >
+              {filter}
+            </button>
+          ))}
+        </div>
+
+        {counting ? (
+          // Counting is blind: expected quantities are only shown at review
+          <div className="stock-take-lines">
+            {visibleLines.map(line => (
+              <div
+                key={line._id}
+                className={`stock-take-line ${lastCountedId === line._id ? 'last-counted' : ''} ${line.recount ? 'recount' : ''}`}
+              >
+                <div className="stock-take-line-info">
+                  <div className="stock-take-line-name">
+                    {line.name}
+                    {line.variantName && <span> · {line.variantName}</span>}
+                  </div>
+                  <div className="stock-take-line-codes">
+                    {[line.sku, line.barcode, line.location].filter(Boolean).join(' · ')}
+                    {line.recount && <span className="stock-take-recount-tag">Recount</span>}
+                  </div>
+                </div>
+                <div className="stock-take-line-count">
+                  <button
+                    className="inventory-btn inventory-btn-sm inventory-btn-secondary"
+                    onClick={() => recordCount(line, -1)}
+                    disabled={!line.countedQuantity}
+                    aria-label="Remove one"
+                  >
+                    <Minus size={16} />
+                  </button>
+                  <button
+                    className="stock-take-line-value"
+                    onClick={() => handleSetCount(line, line.countedQuantity)}
+                    title="Enter the count"
+                  >
+                    {isCounted(line) ? line.countedQuantity : '–'}
+                  </button>
+                  <button
+                    className="inventory-btn inventory-btn-sm inventory-btn-primary"
+                    onClick={() => recordCount(line, 1)}
+                    aria-label="Add one"
+                  >
+                    <Plus size={16} />
+                  </button>
+                </div>
+              </div>
+            ))}
+            {visibleLines.length === 0 && (
+              <p className="inventory-empty-message">No products match this filter</p>
+            )}
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  {review && canUpdate && <th />}
+                  <th>Product</th>
+                  <th>SKU</th>
+                  <th style={{ textAlign: 'right' }}>Expected</th>
+                  <th style={{ textAlign: 'right' }}>Counted</th>
+                  <th style={{ textAlign: 'right' }}>Variance</th>
+                  <th style={{ textAlign: 'right' }}>Value</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleLines.map(line => {
+                  const variance = posted
+                    ? line.adjustedQuantity
+                    : isCounted(line) ? line.countedQuantity - line.expectedQuantity : 0;
+                  const unitCost = line.unitCost ?? line.costPrice ?? 0;
+                  return (
+                    <tr key={line._id}>
+                      {review && canUpdate && (
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={recountIds.includes(line._id)}
+                            onChange={() => toggleRecount(line._id)}
+                            aria-label="Recount"
+                          />
+                        </td>
+                      )}
+                      <td>
+                        {line.name}
+                        {line.variantName && <span className="stock-take-variant"> · {line.variantName}</span>}
+                        {line.skippedReason && <div className="stock-take-skipped">Not posted: {line.skippedReason}</div>}
+                      </td>
+                      <td>{line.sku || '-'}</td>
+                      <td style={{ textAlign: 'right' }}>{line.expectedQuantity}</td>
+                      <td style={{ textAlign: 'right' }}>{isCounted(line) ? line.countedQuantity : '-'}</td>
+                      <td style={{ textAlign: 'right' }} className={variance < 0 ? 'stock-take-short' : variance > 0 ? 'stock-take-over' : ''}>
+                        {variance > 0 ? `+${variance}` : variance}
+                      </td>
+                      <td style={{ textAlign: 'right' }}>{formatCurrency(variance * unitCost)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="stock-take-actions">
+          {counting && (
+            <button
+              className="inventory-btn inventory-btn-primary"
+              onClick={handleSubmitForReview}
+              disabled={busy || countedLines.length === 0}
+            >
+              <Send size={18} />
+              Submit for Review
+            </button>
+          )}
+          {review && canUpdate && (
+            <>
+              <button
+                className="inventory-btn inventory-btn-secondary"
+                onClick={handleRecount}
+                disabled={busy || (recountIds.length === 0 && varianceLines.length === 0)}
+                title={recountIds.length === 0 ? 'Recount every line with a variance' : 'Recount the selected lines'}
+              >
+                <RotateCcw size={18} />
+                {recountIds.length > 0 ? `Recount ${recountIds.length} Selected` : 'Recount Variances'}
+              </button>
+              <button className="inventory-btn inventory-btn-success" onClick={handleApprove} disabled={busy}>
+                <CheckCircle size={18} />
+                Approve &amp; Post
+              </button>
+            </>
+          )}
+          {review && !canUpdate && (
+            <p className="stock-take-meta">Waiting for a manager to approve the variances</p>
+          )}
+          {(counting || review) && canUpdate && (
+            <button className="inventory-btn inventory-btn-danger" onClick={handleCancel} disabled={busy}>
+              <XCircle size={18} />
+              Cancel Count
+            </button>
+          )}
+        </div>
+
+        {showScanner && (
+          <BarcodeScanner
+            title={`Counting ${active.countNumber}`}
+            continuous
+            onScan={handleScan}
+            onClose={() => setShowScanner(false)}
+          />
+        )}
+
+        {showApprovePIN && (
+          <PINVerifyDialog
+            title="Approve Stock Take"
+            message={`Enter your PIN to post these variances, ${currentEmployee?.name}`}
+            onSuccess={() => {
+              setShowApprovePIN(false);
+              approve();
+            }}
+            onCancel={() => setShowApprovePIN(false)}
+          />
+        )}
+      </div>
+    );
+  }
+
+  // ---------- List and shrinkage report ----------
+  return (
+    <div className="inventory-page">
+      <div className="inventory-header">
+        <div>
+          <h1>Stock Takes</h1>
+          <p style={{ color: 'var(--text-secondary)', marginTop: '0.5rem' }}>
+            Count what is on the shelves and correct stock levels
+          </p>
+        </div>
+        <div style={{ display: 'flex', gap: '0.75rem' }}>
+          <button onClick={reloadList} className="inventory-btn inventory-btn-secondary">
+            <RefreshCw size={18} />
+            Refresh
+          </button>
+          {canUpdate && (
+            <button
+              onClick={() => setShowNew(true)}
+              className="inventory-btn inventory-btn-primary"
+              disabled={offline}
+              title={offline ? 'Starting a count needs a connection' : undefined}
+            >
+              <Plus size={18} />
+              New Count
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="inventory-tabs">
+        <button className={`inventory-tab ${tab === 'counts' ? 'active' : ''}`} onClick={() => setTab('counts')}>
+          Counts
+        </button>
+        <button className={`inventory-tab ${tab === 'shrinkage' ? 'active' : ''}`} onClick={() => setTab('shrinkage')}>
+          Shrinkage
+        </button>
+      </div>
+
+      {tab === 'counts' && (
+        <>
+          {offline && (
+            <div className="stock-take-notice">
+              <CloudOff size={16} />
+              Offline - showing counts opened on this device
+            </div>
+          )}
+          {stockTakes.length === 0 ? (
+            <div className="inventory-empty">
+              <div className="inventory-empty-icon"><ClipboardCheck size={48} /></div>
+              <h3 className="inventory-empty-title">No Stock Takes Yet</h3>
+              <p className="inventory-empty-message">
+                Start a count for the whole store, one category or a single shelf
+              </p>
+            </div>
+          ) : (
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Count</th>
+                    <th>Scope</th>
+                    <th>Status</th>
+                    <th style={{ textAlign: 'right' }}>Progress</th>
+                    <th>Started</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {stockTakes.map(stockTake => {
+                    const lineCount = stockTake.lineCount ?? stockTake.lines?.length ?? 0;
+                    const countedCount = stockTake.countedCount ?? stockTake.lines?.filter(isCounted).length ?? 0;
+                    return (
+                      <tr key={stockTake._id}>
+                        <td>
+                          <strong>{stockTake.countNumber}</strong>
+                          {stockTake.name && <div className="stock-take-variant">{stockTake.name}</div>}
+                        </td>
+                        <td>{scopeLabel(stockTake)}</td>
+                        <td>{statusBadge(stockTake.status)}</td>
+                        <td style={{ textAlign: 'right' }}>{countedCount} / {lineCount}</td>
+                        <td>{formatDate(stockTake.createdAt)}</td>
+                        <td style={{ textAlign: 'right' }}>
+                          <button
+                            className="inventory-btn inventory-btn-sm inventory-btn-primary"
+                            onClick={() => openStockTake(stockTake._id)}
+                            disabled={busy}
+                          >
+                            {stockTake.status === 'counting' ? 'Count' : stockTake.status === 'review' ? 'Review' : 'View'}
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+
+      {tab === 'shrinkage' && (
+        <>
+          <div className="stock-take-filters">
+            <label className="inventory-form-label" style={{ marginBottom: 0 }}>From</label>
+            <input
+              type="date"
+              value={dateRange.startDate}
+              onChange={(e) => setDateRange(prev => ({ ...prev, startDate: e.target.value }))}
+              className="inventory-form-input"
+            />
+            <label className="inventory-form-label" style={{ marginBottom: 0 }}>To</label>
+            <input
+              type="date"
+              value={dateRange.endDate}
+              onChange={(e) => setDateRange(prev => ({ ...prev, endDate: e.target.value }))}
+              className="inventory-form-input"
+            />
+          </div>
+
+          {shrinkage && (
+            <>
+              <div className="inventory-stats-grid">
+                <div className="inventory-stat-card">
+                  <div className="inventory-stat-header">
+                    <p className="inventory-stat-label">Stock lost</p>
+                    <div className="inventory-stat-icon danger"><TrendingDown size={20} /></div>
+                  </div>
+                  <p className="inventory-stat-value">{formatCurrency(shrinkage.summary.valueShort)}</p>
+                  <span className="inventory-stat-change negative">{shrinkage.summary.unitsShort} units</span>
+                </div>
+                <div className="inventory-stat-card">
+                  <div className="inventory-stat-header">
+                    <p className="inventory-stat-label">Stock found</p>
+                    <div className="inventory-stat-icon success"><TrendingUp size={20} /></div>
+                  </div>
+                  <p className="inventory-stat-value">{formatCurrency(shrinkage.summary.valueOver)}</p>
+                  <span className="inventory-stat-change positive">{shrinkage.summary.unitsOver} units</span>
+                </div>
+                <div className="inventory-stat-card">
+                  <div className="inventory-stat-header">
+                    <p className="inventory-stat-label">Net shrinkage</p>
+                    <div className="inventory-stat-icon warning"><ClipboardCheck size={20} /></div>
+                  </div>
+                  <p className="inventory-stat-value">{formatCurrency(-shrinkage.summary.netValue)}</p>
+                  <span className="inventory-stat-change">{shrinkage.summary.stockTakes} posted counts</span>
+                </div>
+              </div>
+
+              <h3 className="stock-take-section-title">By category</h3>
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Category</th>
+                      <th style={{ textAlign: 'right' }}>Units short</th>
+                      <th style={{ textAlign: 'right' }}>Units over</th>
+                      <th style={{ textAlign: 'right' }}>Net value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {shrinkage.byCategory.map(row => (
+                      <tr key={row.categoryId || 'uncategorized'}>
+                        <td>{row.category}</td>
+                        <td style={{ textAlign: 'right' }}>{row.unitsShort}</td>
+                        <td style={{ textAlign: 'right' }}>{row.unitsOver}</td>
+                        <td style={{ textAlign: 'right' }} className={row.netValue < 0 ? 'stock-take-short' : 'stock-take-over'}>
+                          {formatCurrency(row.netValue)}
+                        </td>
+                      </tr>
+                    ))}
+                    {shrinkage.byCategory.length === 0 && (
+                      <tr><td colSpan={4} className="inventory-empty-message">No adjustments in this period</td></tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+
+              <h3 className="stock-take-section-title">Most shrinkage by product</h3>
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Product</th>
+                      <th>SKU</th>
+                      <th style={{ textAlign: 'right' }}>Counts</th>
+                      <th style={{ textAlign: 'right' }}>Units short</th>
+                      <th style={{ textAlign: 'right' }}>Units over</th>
+                      <th style={{ textAlign: 'right' }}>Net value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {shrinkage.byProduct.map(row => (
+                      <tr key={`${row.productId}-${row.variantId || ''}`}>
+                        <td>
+                          {row.name}
+                          {row.variantName && <span className="stock-take-variant"> · {row.variantName}</span>}
+                        </td>
+                        <td>{row.sku || '-'}</td>
+                        <td style={{ textAlign: 'right' }}>{row.counts}</td>
+                        <td style={{ textAlign: 'right' }}>{row.unitsShort}</td>
+                        <td style={{ textAlign: 'right' }}>{row.unitsOver}</td>
+                        <td style={{ textAlign: 'right' }} className={row.netValue < 0 ? 'stock-take-short' : 'stock-take-over'}>
+                          {formatCurrency(row.netValue)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </>
+      )}
+
+      {/* New Count Modal */}
+      {showNew && (
+        <div className="modal-overlay" onClick={() => setShowNew(false)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3 className="modal-title">New Stock Take</h3>
+              <button className="btn btn-ghost btn-icon" onClick={() => setShowNew(false)}>
+                <X size={20} />
+              </button>
+            </div>
+
+            <form onSubmit={handleCreate}>
+              <div className="modal-body">
+                <div className="inventory-form-group">
+                  <label className="inventory-form-label">Name</label>
+                  <input
+                    type="text"
+                    value={newCount.name}
+                    onChange={(e) => setNewCount(prev => ({ ...prev, name: e.target.value }))}
+                    className="inventory-form-input"
+                    placeholder="e.g. Monthly beverages count"
+                  />
+                </div>
+
+                <div className="inventory-form-group">
+                  <label className="inventory-form-label required">What to count</label>
+                  <select
+                    value={newCount.scope}
+                    onChange={(e) => setNewCount(prev => ({ ...prev, scope: e.target.value }))}
+                    className="inventory-form-select"
+                  >
+                    {Object.entries(SCOPE_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {newCount.scope === 'category' && (
+                  <div className="inventory-form-group">
+                    <label className="inventory-form-label required">Category</label>
+                    <select
+                      value={newCount.categoryId}
+                      onChange={(e) => setNewCount(prev => ({ ...prev, categoryId: e.target.value }))}
+                      className="inventory-form-select"
+                      required
+                    >
+                      <option value="">Select category</option>
+                      {scopeOptions.categories.map(category => (
+                        <option key={category.serverId} value={category.serverId}>{category.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {newCount.scope === 'location' && (
+                  <div className="inventory-form-group">
+                    <label className="inventory-form-label required">Location</label>
+                    <input
+                      type="text"
+                      list="stock-take-locations"
+                      value={newCount.location}
+                      onChange={(e) => setNewCount(prev => ({ ...prev, location: e.target.value }))}
+                      className="inventory-form-input"
+                      placeholder="Aisle, shelf or bin"
+                      required
+                    />
+                    <datalist id="stock-take-locations">
+                      {scopeOptions.locations.map(location => (
+                        <option key={location} value={location} />
+                      ))}
+                    </datalist>
+                  </div>
+                )}
+
+                <div className="inventory-form-group">
+                  <label className="inventory-form-label">Notes</label>
+                  <textarea
+                    value={newCount.notes}
+                    onChange={(e) => setNewCount(prev => ({ ...prev, notes: e.target.value }))}
+                    className="inventory-form-textarea"
+                  />
+                </div>
+
+                <p className="stock-take-meta">
+                  Stock levels are frozen when the count starts. Sales made while counting
+                  are allowed for when the variances are posted.
+                </p>
+              </div>
+
+              <div className="modal-footer">
+                <button type="button" className="inventory-btn inventory-btn-secondary" onClick={() => setShowNew(false)}>
+                  Cancel
+                </button>
+                <button type="submit" className="inventory-btn inventory-btn-primary" disabled={creating}>
+                  <ClipboardCheck size={18} />
+                  {creating ? 'Starting...' : 'Start Count'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StockTakes;
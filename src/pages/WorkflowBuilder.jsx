@@ -4,11 +4,11 @@
  * Visual workflow builder for creating automated business processes
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import {
     Plus, Play, Trash2, Power, PowerOff, Edit, Save, X,
     Zap, Mail, Bell, Webhook, Database, GitBranch, Clock,
-    Settings, TrendingUp, AlertTriangle
+    Settings, TrendingUp, AlertTriangle, History, Check
 } from 'lucide-react';
 import { apiRequest } from '../services/api';
 import TriggerSelector from '../components/workflow/TriggerSelector';
@@ -22,6 +22,7 @@ function WorkflowBuilder() {
     const [editingWorkflow, setEditingWorkflow] = useState(null);
     const [selectedWorkflow, setSelectedWorkflow] = useState(null);
     const [showStats, setShowStats] = useState(false);
+    const [historyWorkflow, setHistoryWorkflow] = useState(null);
 
     // Form state
     const [formData, setFormData] = useState({
@@ -144,11 +145,11 @@ function WorkflowBuilder() {
 
     const handleTest = async (workflow) => {
         try {
-            await apiRequest(`/workflows/${workflow._id}/test`, {
+            const result = await apiRequest(`/workflows/${workflow._id}/test`, {
                 method: 'POST',
                 body: JSON.stringify({})
             });
-            alert('Workflow test completed! Check logs for results.');
+            alert(`${result.message}. See the run history for each step.`);
         } catch (error) {
             console.error('Failed to test workflow:', error);
             alert(`Test failed: ${error.message}`);
@@ -322,6 +323,7 @@ function WorkflowBuilder() {
                         onDelete={() => handleDelete(workflow)}
                         onTest={() => handleTest(workflow)}
                         onViewStats={() => handleViewStats(workflow)}
+                        onViewHistory={() => setHistoryWorkflow(workflow)}
                     />
                 ))}
 
@@ -378,6 +380,14 @@ function WorkflowBuilder() {
                     </div>
                 </div>
             )}
+
+            {/* Run History Modal */}
+            {historyWorkflow && (
+                <RunHistory
+                    workflow={historyWorkflow}
+                    onClose={() => setHistoryWorkflow(null)}
+                />
+            )}
         </div>
     );
 }
@@ -385,7 +395,7 @@ function WorkflowBuilder() {
 /**
  * Workflow Card Component
  */
-function WorkflowCard({ workflow, onActivate, onDeactivate, onEdit, onDelete, onTest, onViewStats }) {
+function WorkflowCard({ workflow, onActivate, onDeactivate, onEdit, onDelete, onTest, onViewStats, onViewHistory }) {
     const isActive = workflow.isActive;
 
     const getTriggerIcon = (type) => {
@@ -449,6 +459,10 @@ function WorkflowCard({ workflow, onActivate, onDeactivate, onEdit, onDelete, on
                     <TrendingUp size={14} />
                 </button>
 
+                <button className="btn-icon" onClick={onViewHistory} title="Run history">
+                    <History size={14} />
+                </button>
+
                 <button className="btn-icon" onClick={onDelete}>
                     <Trash2 size={14} />
                 </button>
@@ -457,4 +471,159 @@ function WorkflowCard({ workflow, onActivate, onDeactivate, onEdit, onDelete, on
     );
 }
 
+/**
+ * Run History Component
+ *
+ * Past and in-flight runs of a workflow, with each step's outcome and
+ * approve/reject for runs waiting on an approval step
+ */
+function RunHistory({ workflow, onClose }) {
+    const [runs, setRuns] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [expandedRun, setExpandedRun] = useState(null);
+    const [comment, setComment] = useState('');
+
+    const loadRuns = useCallback(async () => {
+        try {
+            setLoading(true);
+            const data = await apiRequest(`/workflows/runs?workflowId=${workflow._id}`);
+            setRuns(data);
+        } catch (error) {
+            console.error('Failed to load workflow runs:', error);
+        } finally {
+            setLoading(false);
+        }
+    }, [workflow._id]);
+
+    useEffect(() => {
+        loadRuns();
+    }, [loadRuns]);
+
+    const toggleRun = async (run) => {
+        if (expandedRun?._id === run._id) {
+            setExpandedRun(null);
+            return;
+        }
+
+        try {
+            setExpandedRun(await apiRequest(`/workflows/runs/${run._id}`));
+            setComment('');
+        } catch (error) {
+            console.error('Failed to load workflow run:', error);
+        }
+    };
+
+    const handleDecision = async (run, decision) => {
+        try {
+            await apiRequest(`/workflows/runs/${run._id}/${decision}`, {
+                method: 'POST',
+                body: JSON.stringify({ comment: comment || undefined })
+            });
+            setExpandedRun(null);
+            await loadRuns();
+        } catch (error) {
+            console.error(`Failed to ${decision} workflow run:`, error);
+            alert(error.message || `Failed to ${decision} workflow run`);
+        }
+    };
+
+    const describeStatus = (run) => {
+        if (run.status !== 'waiting') return run.status;
+        return run.waitingFor === 'approval' ? 'awaiting approval' : 'delayed';
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content modal-wide" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>{workflow.name} - Run History</h2>
+                    <button className="btn-icon" onClick={onClose}>×</button>
+                </div>
+
+                <div className="modal-body">
+                    {loading ? (
+                        <div className="spinner"></div>
+                    ) : runs.length === 0 ? (
+                        <p className="run-empty">This workflow has not run yet.</p>
+                    ) : (
+                        <div className="run-list">
+                            {runs.map((run) => (
+                                <div key={run._id} className="run-item">
+                                    <button className="run-summary" onClick={() => toggleRun(run)}>
+                                        <span className={`status-badge run-${run.status}`}>{describeStatus(run)}</span>
+                                        <span className="run-trigger">{run.triggerType}</span>
+                                        <span className="run-time">{new Date(run.startedAt).toLocaleString()}</span>
+                                        <span className="run-steps-count">
+                                            {run.steps.length} step{run.steps.length !== 1 ? 's' : ''}
+                                        </span>
+                                    </button>
+
+                                    {expandedRun?._id === run._id && (
+                                        <div className="run-details">
+                                            {expandedRun.error && (
+                                                <div className="error-info">
+                                                    <h4><AlertTriangle size={16} /> {expandedRun.error}</h4>
+                                                </div>
+                                            )}
+
+                                            <ol className="run-steps">
+                                                {expandedRun.steps.map((step) => (
+                                                    <li key={step.index} className={`run-step run-${step.status}`}>
+                                                        <div className="run-step-header">
+                                                            <strong>{step.type}</strong>
+                                                            <span>{step.status}</span>
+                                                        </div>
+                                                        {step.error && <p className="run-step-error">{step.error}</p>}
+                                                        {step.output && (
+                                                            <pre className="run-step-output">{JSON.stringify(step.output, null, 2)}</pre>
+                                                        )}
+                                                    </li>
+                                                ))}
+                                            </ol>
+
+                                            {expandedRun.status === 'waiting' && expandedRun.waitingFor === 'approval' && (
+                                                <div className="run-approval">
+                                                    <p>
+                                                        {expandedRun.approval.decisions.filter(d => d.decision === 'approved').length}
+                                                        {' of '}
+                                                        {expandedRun.approval.requiredApprovals} approvals
+                                                        {expandedRun.resumeAt && ` · times out ${new Date(expandedRun.resumeAt).toLocaleString()}`}
+                                                    </p>
+                                                    <input
+                                                        type="text"
+                                                        className="form-control"
+                                                        value={comment}
+                                                        onChange={(e) => setComment(e.target.value)}
+                                                        placeholder="Comment (optional)"
+                                                    />
+                                                    <div className="run-approval-actions">
+                                                        <button className="btn btn-sm btn-secondary" onClick={() => handleDecision(expandedRun, 'reject')}>
+                                                            <X size={14} />
+                                                            Reject
+                                                        </button>
+                                                        <button className="btn btn-sm btn-primary" onClick={() => handleDecision(expandedRun, 'approve')}>
+                                                            <Check size={14} />
+                                                            Approve
+                                                        </button>
+                                                    </div>
+                                                </div>
+                                            )}
+
+                                            {expandedRun.status === 'waiting' && expandedRun.waitingFor === 'delay' && (
+                                                <p className="run-resume">
+                                                    Resumes {new Date(expandedRun.resumeAt).toLocaleString()}
+                                                </p>
+                                            )}
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
 export default WorkflowBuilder;
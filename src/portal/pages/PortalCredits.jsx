@@ -1,15 +1,18 @@
 /**
  * @fileoverview Customer Portal Credits Page
  *
- * View and pay credit balance
+ * View and pay credit balance, see aging and print or email statements
  */
 
 import { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
-import { CreditCard, ChevronLeft, DollarSign } from 'lucide-react';
+import { CreditCard, ChevronLeft, DollarSign, FileText, Printer, Send, Download } from 'lucide-react';
 import { apiRequest } from '../../services/api';
+import CreditStatement, { CreditAging } from '../../components/CreditStatement';
 import './PortalDashboard.css';
 
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+
 function PortalCredits() {
     const navigate = useNavigate();
     const [credits, setCredits] = useState([]);
@@ -18,6 +21,7 @@ function PortalCredits() {
     const [paymentModal, setPaymentModal] = useState(null);
     const [paymentAmount, setPaymentAmount] = useState('');
     const [processing, setProcessing] = useState(false);
+    const [statement, setStatement] = useState(null);
 
     useEffect(() => {
         loadCredits();
@@ -43,7 +47,10 @@ function PortalCredits() {
             setSummary({
                 totalBalance: response.totalBalance,
                 totalAmount: response.totalAmount,
-                totalPaid: response.totalPaid
+                totalPaid: response.totalPaid,
+                creditLimit: response.creditLimit,
+                availableCredit: response.availableCredit,
+                aging: response.aging
             });
         } catch (error) {
             console.error('Failed to load credits:', error);
@@ -88,6 +95,74 @@ function PortalCredits() {
         }
     };
 
+    const statementQuery = () => {
+        const to = new Date();
+        const from = new Date(to.getTime() - 90 * 24 * 60 * 60 * 1000);
+        return { from: from.toISOString(), to: to.toISOString() };
+    };
+
+    const handleViewStatement = async () => {
+        try {
+            const token = localStorage.getItem('customer_token');
+            const query = new URLSearchParams(statementQuery()).toString();
+            const data = await apiRequest(`/customer-portal/credits/statement?${query}`, {
+                headers: {
+                    Authorization: `Bearer ${token}`
+                }
+            });
+            setStatement(data);
+        } catch (error) {
+            console.error('Statement error:', error);
+            alert('Failed to load statement: ' + error.message);
+        }
+    };
+
+    const handleEmailStatement = async () => {
+        try {
+            const token = localStorage.getItem('customer_token');
+            const result = await apiRequest('/customer-portal/credits/statement/email', {
+                method: 'POST',
+                headers: {
+                    Authorization: `Bearer ${token}`
+                },
+                body: JSON.stringify({ from: statement.from, to: statement.to })
+            });
+            alert(result.message);
+        } catch (error) {
+            console.error('Email statement error:', error);
+            alert('Failed to email statement: ' + error.message);
+        }
+    };
+
+    const handleDownloadStatement = async () => {
+        try {
+            const token = localStorage.getItem('customer_token');
+            const query = new URLSearchParams({ from: statement.from, to: statement.to, format: 'pdf' }).toString();
+            const response = await fetch(`${API_BASE_URL}/customer-portal/credits/statement?${query}`, {
+                headers: {
+                    Authorization: `Bearer ${token}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error('Download failed');
+            }
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `statement-${Date.now()}.pdf`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+        } catch (error) {
+            console.error('Download statement error:', error);
+            alert('Failed to download statement: ' + error.message);
+        }
+    };
+
     if (loading) {
         return (
             <div className="portal-page">
@@ -102,10 +177,16 @@ function PortalCredits() {
         <div className="portal-page">
             <div className="page-header">
                 <h1>Credits</h1>
-                <Link to="/portal/dashboard" className="btn btn-ghost">
-                    <ChevronLeft size={18} />
-                    Dashboard
-                </Link>
+                <div>
+                    <button className="btn btn-secondary" onClick={handleViewStatement}>
+                        <FileText size={18} />
+                        Statement
+                    </button>
+                    <Link to="/portal/dashboard" className="btn btn-ghost">
+                        <ChevronLeft size={18} />
+                        Dashboard
+                    </Link>
+                </div>
             </div>
 
             {/* Summary */}
@@ -123,9 +204,19 @@ function PortalCredits() {
                         <div className="summary-label">Total Paid</div>
                         <div className="summary-value">${summary.totalPaid.toFixed(2)}</div>
                     </div>
+                    {summary.creditLimit !== null && (
+                        <div className="summary-card">
+                            <div className="summary-label">Available Credit</div>
+                            <div className="summary-value">
+                                ${summary.availableCredit.toFixed(2)} of ${summary.creditLimit.toFixed(2)}
+                            </div>
+                        </div>
+                    )}
                 </div>
             )}
 
+            {summary?.totalBalance > 0 && <CreditAging aging={summary.aging} />}
+
             {/* Credits List */}
             {credits.length === 0 ? (
                 <div className="empty-state">
@@ -171,7 +262,7 @@ function PortalCredits() {
                                     <h4>Payment History</h4>
                                     {credit.payments.map((payment, index) => (
                                         <div key={index} className="payment-row">
-                                            <span>{new Date(payment.date).toLocaleDateString()}</span>
+                                            <span>{new Date(payment.paidAt).toLocaleDateString()} ({payment.method})</span>
                                             <span>${payment.amount.toFixed(2)}</span>
                                         </div>
                                     ))}
@@ -192,6 +283,42 @@ function PortalCredits() {
                 </div>
             )}
 
+            {/* Statement Modal */}
+            {statement && (
+                <div className="modal-overlay" onClick={() => setStatement(null)}>
+                    <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+                        <div className="modal-header">
+                            <h2>Account Statement</h2>
+                            <button className="btn-icon" onClick={() => setStatement(null)}>×</button>
+                        </div>
+
+                        <div className="modal-body">
+                            <CreditStatement statement={statement} />
+
+                            <div className="modal-actions">
+                                <button type="button" className="btn btn-secondary" onClick={handleDownloadStatement}>
+                                    <Download size={16} />
+                                    PDF
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn btn-secondary"
+                                    onClick={handleEmailStatement}
+                                    disabled={!statement.customer.email}
+                                >
+                                    <Send size={16} />
+                                    Email
+                                </button>
+                                <button type="button" className="btn btn-primary" onClick={() => window.print()}>
+                                    <Printer size={16} />
+                                    Print
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            )}
+
             {/* Payment Modal */}
             {paymentModal && (
                 <div className="modal-overlay" onClick={() => setPaymentModal(null)}>
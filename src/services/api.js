@@ -211,10 +211,17 @@ export const productAPI = {
         body: JSON.stringify(data)
     }),
     delete: (id) => apiRequest(`/products/${id}`, { method: 'DELETE' }),
-    updateStock: (id, quantity) => apiRequest(`/products/${id}/stock`, {
+    updateStock: (id, quantity, variantId = null) => apiRequest(`/products/${id}/stock`, {
         method: 'PATCH',
-        body: JSON.stringify({ quantity })
+        body: JSON.stringify({ quantity, ...(variantId && { variantId }) })
     }),
+    // Move stock by a delta; a resend with the same clientId is applied once
+    adjustStock: (id, adjustment, { variantId, reason, clientId } = {}) => apiRequest(`/products/${id}/stock`, {
+        method: 'PATCH',
+        body: JSON.stringify({ adjustment, variantId: variantId || undefined, reason, clientId })
+    }),
+    // Resolve a barcode or SKU to { product, variant }
+    lookupBarcode: (code) => apiRequest(`/products/barcode/${encodeURIComponent(code)}`),
     // Get stock for specific store
     getStoreStock: (productId, storeId) => apiRequest(`/products/${productId}/stock/${storeId}`),
     // Bulk operations
@@ -279,10 +286,108 @@ export const salesAPI = {
     getById: (id) => apiRequest(`/sales/${id}`),
     getStats: () => apiRequest('/sales/stats'),
     create: (data) => apiRequest('/sales', {
+        method: 'POST',
+        headers: data.idempotencyKey ? { 'Idempotency-Key': data.idempotencyKey } : {},
+        body: JSON.stringify(data)
+    }),
+    void: (id) => apiRequest(`/sales/${id}/void`, { method: 'POST' }),
+    refund: (id, data) => apiRequest(`/sales/${id}/refund`, {
+        method: 'POST',
+        body: JSON.stringify(data)
+    }),
+    getRefunds: (id) => apiRequest(`/sales/${id}/refunds`),
+
+    // Receipts
+    printReceipt: async (id) => {
+        // Open the window first so the browser does not treat it as a popup
+        const receiptWindow = window.open('', '_blank', 'width=420,height=640');
+        const token = getAuthToken();
+        const response = await fetch(`${API_BASE_URL}/sales/${id}/receipt?format=html`, {
+            headers: {
+                ...(token && { Authorization: `Bearer ${token}` })
+            }
+        });
+
+        if (!response.ok) {
+            receiptWindow?.close();
+            throw new Error('Failed to load receipt');
+        }
+
+        if (!receiptWindow) {
+            throw new Error('Allow popups to print receipts');
+        }
+        receiptWindow.document.write(await response.text());
+        receiptWindow.document.close();
+        receiptWindow.focus();
+        receiptWindow.print();
+    },
+    emailReceipt: (id, email) => apiRequest(`/sales/${id}/receipt/email`, {
+        method: 'POST',
+        body: JSON.stringify({ email: email || undefined })
+    })
+};
+
+/**
+ * Held cart API methods
+ */
+export const heldCartAPI = {
+    getAll: () => apiRequest('/held-carts'),
+    create: (data) => apiRequest('/held-carts', {
+        method: 'POST',
+        body: JSON.stringify(data)
+    }),
+    delete: (id) => apiRequest(`/held-carts/${id}`, { method: 'DELETE' })
+};
+
+/**
+ * Tax API methods
+ */
+export const taxAPI = {
+    getConfig: () => apiRequest('/tax/config'),
+    getClasses: () => apiRequest('/tax/classes'),
+    createClass: (data) => apiRequest('/tax/classes', {
+        method: 'POST',
+        body: JSON.stringify(data)
+    }),
+    updateClass: (id, data) => apiRequest(`/tax/classes/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(data)
+    }),
+    deleteClass: (id) => apiRequest(`/tax/classes/${id}`, { method: 'DELETE' })
+};
+
+/**
+ * Promotion API methods
+ */
+export const promotionAPI = {
+    getAll: () => apiRequest('/promotions'),
+    getActive: () => apiRequest('/promotions/active'),
+    getCoupon: (code) => apiRequest(`/promotions/coupon/${encodeURIComponent(code)}`),
+    create: (data) => apiRequest('/promotions', {
         method: 'POST',
         body: JSON.stringify(data)
     }),
-    void: (id) => apiRequest(`/sales/${id}/void`, { method: 'POST' })
+    update: (id, data) => apiRequest(`/promotions/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(data)
+    }),
+    delete: (id) => apiRequest(`/promotions/${id}`, { method: 'DELETE' })
+};
+
+/**
+ * Cash drawer API methods
+ */
+export const drawerAPI = {
+    getAll: (params = {}) => {
+        const query = new URLSearchParams(params).toString();
+        return apiRequest(`/drawers${query ? `?${query}` : ''}`);
+    },
+    getById: (id) => apiRequest(`/drawers/${id}`),
+    getReport: (id) => apiRequest(`/drawers/${id}/report`),
+    push: (data) => apiRequest('/drawers', {
+        method: 'POST',
+        body: JSON.stringify(data)
+    })
 };
 
 /**
@@ -316,14 +421,49 @@ export const creditAPI = {
         return apiRequest(`/credits${query ? `?${query}` : ''}`);
     },
     getById: (id) => apiRequest(`/credits/${id}`),
-    recordPayment: (id, amount) => apiRequest(`/credits/${id}/payment`, {
+    recordPayment: (id, amount, details = {}) => apiRequest(`/credits/${id}/payment`, {
         method: 'POST',
-        body: JSON.stringify({ amount })
+        body: JSON.stringify({ amount, ...details })
     }),
     update: (id, data) => apiRequest(`/credits/${id}`, {
         method: 'PUT',
         body: JSON.stringify(data)
-    })
+    }),
+
+    // Customer accounts and statements
+    getAging: () => apiRequest('/credits/aging'),
+    getAccount: (customerId) => apiRequest(`/credits/customers/${customerId}/account`),
+    getStatement: (customerId, params = {}) => {
+        const query = new URLSearchParams(params).toString();
+        return apiRequest(`/credits/customers/${customerId}/statement${query ? `?${query}` : ''}`);
+    },
+    emailStatement: (customerId, data = {}) => apiRequest(`/credits/customers/${customerId}/statement/email`, {
+        method: 'POST',
+        body: JSON.stringify(data)
+    }),
+    downloadStatement: async (customerId, params = {}) => {
+        const token = getAuthToken();
+        const query = new URLSearchParams({ ...params, format: 'pdf' }).toString();
+        const response = await fetch(`${API_BASE_URL}/credits/customers/${customerId}/statement?${query}`, {
+            headers: {
+                ...(token && { Authorization: `Bearer ${token}` })
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error('Statement download failed');
+        }
+
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `statement-${Date.now()}.pdf`;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+    }
 };
 
 /**
@@ -337,6 +477,10 @@ export const syncAPI = {
     pull: (since = null) => {
         const query = since ? `?since=${encodeURIComponent(since)}` : '';
         return apiRequest(`/sync/pull${query}`);
+    },
+    changes: (table, cursor = null, limit = 500) => {
+        const query = new URLSearchParams({ limit, ...(cursor && { cursor }) }).toString();
+        return apiRequest(`/sync/changes/${table}?${query}`);
     }
 };
 
@@ -409,7 +553,19 @@ export const analyticsAPI = {
         return apiRequest(`/analytics/employee-performance?${params}`);
     },
     getSalesForecast: (forecastPeriods = 7) =>
-        apiRequest(`/analytics/sales-forecast?forecastPeriods=${forecastPeriods}`)
+        apiRequest(`/analytics/sales-forecast?forecastPeriods=${forecastPeriods}`),
+    getTaxSummary: (startDate, endDate, groupBy = 'month') => {
+        const params = new URLSearchParams({ groupBy });
+        if (startDate) params.append('startDate', startDate);
+        if (endDate) params.append('endDate', endDate);
+        return apiRequest(`/analytics/tax-summary?${params}`);
+    },
+    getPromotionPerformance: (startDate, endDate) => {
+        const params = new URLSearchParams();
+        if (startDate) params.append('startDate', startDate);
+        if (endDate) params.append('endDate', endDate);
+        return apiRequest(`/analytics/promotions?${params}`);
+    }
 };
 
 /**
@@ -450,15 +606,80 @@ export const storeAPI = {
         if (params.days) query.append('days', params.days);
         return apiRequest(`/stores/compare?${query.toString()}`);
     },
-    // Inventory transfer
+    // Immediate single-product transfer (see transferAPI for transfer orders)
     transfer: (data) => apiRequest('/stores/transfer', {
         method: 'POST',
         body: JSON.stringify(data)
+    })
+};
+
+/**
+ * Inventory Transfer API methods
+ */
+export const transferAPI = {
+    getAll: (params = {}) => {
+        const query = new URLSearchParams(params).toString();
+        return apiRequest(`/transfers${query ? `?${query}` : ''}`);
+    },
+    getById: (id) => apiRequest(`/transfers/${id}`),
+    getInTransit: () => apiRequest('/transfers/in-transit'),
+    getProducts: (storeId, search) => {
+        const query = new URLSearchParams({ storeId });
+        if (search) query.append('search', search);
+        return apiRequest(`/transfers/products?${query}`);
+    },
+    create: (data) => apiRequest('/transfers', {
+        method: 'POST',
+        body: JSON.stringify(data)
+    }),
+    ship: (id, items) => apiRequest(`/transfers/${id}/ship`, {
+        method: 'POST',
+        body: JSON.stringify({ items })
+    }),
+    receive: (id, items) => apiRequest(`/transfers/${id}/receive`, {
+        method: 'POST',
+        body: JSON.stringify({ items })
     }),
-    getTransfers: (params = {}) => {
+    cancel: (id) => apiRequest(`/transfers/${id}/cancel`, {
+        method: 'POST'
+    })
+};
+
+/**
+ * Stock Take API methods
+ */
+export const stockTakeAPI = {
+    getAll: (params = {}) => {
         const query = new URLSearchParams(params).toString();
-        return apiRequest(`/stores/transfers${query ? `?${query}` : ''}`);
-    }
+        return apiRequest(`/stock-takes${query ? `?${query}` : ''}`);
+    },
+    getById: (id) => apiRequest(`/stock-takes/${id}`),
+    getShrinkage: (params = {}) => {
+        const query = new URLSearchParams(params).toString();
+        return apiRequest(`/stock-takes/shrinkage${query ? `?${query}` : ''}`);
+    },
+    create: (data) => apiRequest('/stock-takes', {
+        method: 'POST',
+        body: JSON.stringify(data)
+    }),
+    recordCounts: (id, entries) => apiRequest(`/stock-takes/${id}/counts`, {
+        method: 'POST',
+        body: JSON.stringify({ entries })
+    }),
+    submit: (id) => apiRequest(`/stock-takes/${id}/submit`, {
+        method: 'POST'
+    }),
+    recount: (id, lineIds) => apiRequest(`/stock-takes/${id}/recount`, {
+        method: 'POST',
+        body: JSON.stringify({ lineIds })
+    }),
+    approve: (id, data = {}) => apiRequest(`/stock-takes/${id}/approve`, {
+        method: 'POST',
+        body: JSON.stringify(data)
+    }),
+    cancel: (id) => apiRequest(`/stock-takes/${id}/cancel`, {
+        method: 'POST'
+    })
 };
 
 /**
@@ -509,6 +730,56 @@ export const loyaltyAPI = {
     }
 };
 
+/**
+ * Upload a plugin package file as multipart form data
+ */
+const uploadPluginPackage = async (endpoint, file, checksum) => {
+    const token = getAuthToken();
+    const formData = new FormData();
+    formData.append('package', file);
+    if (checksum) formData.append('checksum', checksum);
+
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        method: 'POST',
+        headers: {
+            ...(token && { Authorization: `Bearer ${token}` })
+        },
+        body: formData // FormData, don't set Content-Type
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Upload failed');
+    }
+
+    return data;
+};
+
+/**
+ * Plugin API methods
+ */
+export const pluginAPI = {
+    getAll: () => apiRequest('/plugins'),
+    getMarketplace: () => apiRequest('/plugins/marketplace'),
+    getStats: (id) => apiRequest(`/plugins/${id}/stats`),
+    getVersions: (id) => apiRequest(`/plugins/${id}/versions`),
+    // Install from the plugin registry, or an uploaded package file
+    install: (pluginId, version) => apiRequest('/plugins/install', {
+        method: 'POST',
+        body: JSON.stringify({ pluginId, version })
+    }),
+    installPackage: (file, checksum) => uploadPluginPackage('/plugins/install', file, checksum),
+    upgrade: (id, version) => apiRequest(`/plugins/${id}/upgrade`, {
+        method: 'POST',
+        body: JSON.stringify({ version })
+    }),
+    upgradePackage: (id, file, checksum) => uploadPluginPackage(`/plugins/${id}/upgrade`, file, checksum),
+    rollback: (id, version) => apiRequest(`/plugins/${id}/rollback`, {
+        method: 'POST',
+        body: JSON.stringify({ version })
+    })
+};
+
 /**
  * Check if API is available
  */
@@ -529,6 +800,10 @@ export default {
     shifts: shiftAPI,
     products: productAPI,
     sales: salesAPI,
+    heldCarts: heldCartAPI,
+    tax: taxAPI,
+    promotions: promotionAPI,
+    drawers: drawerAPI,
     customers: customerAPI,
     credits: creditAPI,
     sync: syncAPI,
@@ -536,6 +811,9 @@ export default {
     conflicts: conflictAPI,
     analytics: analyticsAPI,
     stores: storeAPI,
+    transfers: transferAPI,
+    stockTakes: stockTakeAPI,
     loyalty: loyaltyAPI,
+    plugins: pluginAPI,
     checkHealth: checkAPIHealth
 };
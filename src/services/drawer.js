@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Cash Drawer Service
+ *
+ * Identifies this register, lists the notes and coins to count, and builds
+ * X/Z reports from the sales rung up here while the drawer was open. Mirrors
+ * server/services/drawerService.js so reports match whether or not the
+ * register is online.
+ */
+
+import db from '../db';
+import { randomUUID } from '../utils/uuid';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const REGISTER_KEY = 'register';
+
+// Notes and coins, largest first
+const DENOMINATIONS = {
+    USD: [100, 50, 20, 10, 5, 2, 1, 0.25, 0.1, 0.05, 0.01],
+    EUR: [500, 200, 100, 50, 20, 10, 5, 2, 1, 0.5, 0.2, 0.1, 0.05, 0.02, 0.01],
+    GBP: [50, 20, 10, 5, 2, 1, 0.5, 0.2, 0.1, 0.05, 0.02, 0.01],
+    NGN: [1000, 500, 200, 100, 50, 20, 10, 5],
+    KES: [1000, 500, 200, 100, 50, 20, 10, 5, 1],
+    INR: [2000, 500, 200, 100, 50, 20, 10, 5, 2, 1]
+};
+
+/**
+ * This register's id and name, created the first time it is asked for
+ * @returns {Promise<{ id: string, name: string }>} Register
+ */
+export async function getRegister() {
+    const saved = await db.settings.get(REGISTER_KEY);
+    if (saved?.value) return saved.value;
+
+    const register = { id: randomUUID(), name: 'Register 1' };
+    await db.settings.put({ key: REGISTER_KEY, value: register });
+    return register;
+}
+
+/**
+ * Rename this register
+ * @param {string} name - New name
+ */
+export async function setRegisterName(name) {
+    const register = await getRegister();
+    const updated = { ...register, name: name.trim() || register.name };
+    await db.settings.put({ key: REGISTER_KEY, value: updated });
+    return updated;
+}
+
+/**
+ * Denominations to count for a currency
+ * @param {string} currency - Currency code
+ * @returns {number[]} Denominations, largest first
+ */
+export function getDenominations(currency = 'USD') {
+    return DENOMINATIONS[currency] || DENOMINATIONS.USD;
+}
+
+/**
+ * Total of a denomination count
+ * @param {Array<{ denomination, count }>} counts
+ */
+export function countTotal(counts = []) {
+    return roundCurrency(counts.reduce((sum, c) => sum + c.denomination * (c.count || 0), 0));
+}
+
+/**
+ * Cash the drawer should hold, and how the figure is made up
+ * @param {Object} session - Drawer session
+ * @param {number} cashSales - Cash taken on sales, net of change
+ * @returns {{ openingFloat, cashSales, paidIn, drops, paidOut, refunds, expected }}
+ */
+export function expectedCash(session, cashSales) {
+    const total = (type) => (session.movements || [])
+        .filter(m => m.type === type)
+        .reduce((sum, m) => sum + m.amount, 0);
+
+    const cash = {
+        openingFloat: roundCurrency(session.openingFloat || 0),
+        cashSales: roundCurrency(cashSales),
+        paidIn: roundCurrency(total('paid_in')),
+        drops: roundCurrency(total('drop')),
+        paidOut: roundCurrency(total('paid_out')),
+        refunds: roundCurrency(total('refund'))
+    };
+    cash.expected = roundCurrency(
+        cash.openingFloat + cash.cashSales + cash.paidIn - cash.drops - cash.paidOut - cash.refunds
+    );
+    return cash;
+}
+
+/**
+ * Build an X or Z report for a drawer session
+ * @param {Object} session - Drawer session
+ * @param {Array} sales - Sales rung up on the register during the session
+ * @param {'X'|'Z'} type - X while the drawer is open, Z at close
+ * @returns {Object} Report
+ */
+export function buildDrawerReport(session, sales, type = 'X') {
+    const completed = sales.filter(s => s.status !== 'voided');
+    const voided = sales.filter(s => s.status === 'voided');
+
+    const tenders = { cash: 0, card: 0, credit: 0 };
+    const taxes = new Map();
+    let itemsSold = 0;
+
+    for (const sale of completed) {
+        const payments = sale.payments?.length > 0
+            ? sale.payments
+            : [{ method: sale.paymentMethod, amount: sale.total }];
+        for (const payment of payments) {
+            if (payment.method in tenders) {
+                tenders[payment.method] += payment.amount - (payment.changeGiven || 0);
+            }
+        }
+
+        for (const item of sale.items || []) {
+            itemsSold += item.quantity;
+            for (const tax of item.taxes || []) {
+                const key = `${tax.name}|${tax.rate}`;
+                const entry = taxes.get(key) || { name: tax.name, rate: tax.rate, amount: 0 };
+                entry.amount += tax.amount;
+                taxes.set(key, entry);
+            }
+        }
+        // Sales without per-line tax only carry a total
+        if (!(sale.items || []).some(item => item.taxes?.length > 0) && sale.tax > 0) {
+            const entry = taxes.get('Tax|') || { name: 'Tax', rate: null, amount: 0 };
+            entry.amount += sale.tax;
+            taxes.set('Tax|', entry);
+        }
+    }
+
+    const sum = (list, field) => roundCurrency(list.reduce((total, s) => total + (s[field] || 0), 0));
+    const cash = expectedCash(session, tenders.cash);
+
+    if (type === 'Z') {
+        cash.counted = roundCurrency(session.countedCash ?? 0);
+        cash.variance = roundCurrency(cash.counted - cash.expected);
+    }
+
+    return {
+        type,
+        generatedAt: new Date().toISOString(),
+        register: { id: session.registerId, name: session.registerName || session.registerId },
+        openedAt: session.openedAt,
+        closedAt: session.closedAt || null,
+        sales: {
+            count: completed.length,
+            itemsSold,
+            gross: sum(completed, 'subtotal'),
+            promotions: sum(completed, 'promotionDiscount'),
+            discounts: sum(completed, 'discount'),
+            tax: sum(completed, 'tax'),
+            total: sum(completed, 'total')
+        },
+        voided: {
+            count: voided.length,
+            total: sum(voided, 'total')
+        },
+        tenders: Object.fromEntries(Object.entries(tenders).map(([method, amount]) => [method, roundCurrency(amount)])),
+        taxes: [...taxes.values()].map(t => ({ ...t, amount: roundCurrency(t.amount) })),
+        cash,
+        movements: session.movements || []
+    };
+}
+
+export default {
+    getRegister,
+    setRegisterName,
+    getDenominations,
+    countTotal,
+    expectedCash,
+    buildDrawerReport
+};
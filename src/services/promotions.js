@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Promotions Engine
+ *
+ * Applies the store's promotions to the cart so they keep working offline.
+ * Promotions run highest priority first: line promotions (buy X get Y,
+ * bundles, category discounts, happy hours) and then spend thresholds on
+ * what is left. Every discount is attributed to the lines it came off.
+ */
+
+import db from '../db';
+import { promotionAPI } from './api';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const cacheKey = (storeId) => `promotions:${storeId}`;
+
+const LINE_TYPES = ['buy_x_get_y', 'bundle', 'category_discount', 'happy_hour'];
+
+/**
+ * Load the promotions running at the store, falling back to the last copy
+ * cached for offline use
+ * @param {Object} store - Current store
+ * @returns {Promise<Array>} Promotions
+ */
+export async function loadPromotions(store) {
+    try {
+        const promotions = await promotionAPI.getActive();
+        await db.settings.put({ key: cacheKey(store.id), value: promotions });
+        return promotions;
+    } catch (error) {
+        console.warn('Using cached promotions:', error.message);
+        return (await db.settings.get(cacheKey(store.id)))?.value || [];
+    }
+}
+
+/**
+ * Find a coupon among the cached promotions, asking the server if it isn't there
+ * @param {string} code - Coupon code as entered
+ * @param {Array} promotions - Cached promotions
+ * @returns {Promise<Object>} The promotion the code unlocks
+ */
+export async function findCoupon(code, promotions) {
+    const normalized = code.trim().toUpperCase();
+    const cached = promotions.find(p => p.couponCode === normalized);
+    if (cached) return cached;
+
+    return promotionAPI.getCoupon(normalized);
+}
+
+/**
+ * Minutes since midnight for a "HH:mm" time
+ */
+const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+};
+
+/**
+ * Whether a promotion can apply at this moment (dates, schedule, usage and coupon)
+ */
+function isRunning(promotion, now, couponCodes) {
+    if (promotion.isActive === false) return false;
+    if (promotion.startDate && now < new Date(promotion.startDate)) return false;
+    if (promotion.endDate && now > new Date(promotion.endDate)) return false;
+    if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) return false;
+    if (promotion.couponCode && !couponCodes.includes(promotion.couponCode)) return false;
+
+    const { daysOfWeek = [], startTime, endTime } = promotion.schedule || {};
+    if (daysOfWeek.length > 0 && !daysOfWeek.includes(now.getDay())) return false;
+    if (startTime && endTime) {
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const start = toMinutes(startTime);
+        const end = toMinutes(endTime);
+        // Windows such as 22:00-02:00 run past midnight
+        const inWindow = start <= end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end;
+        if (!inWindow) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Whether a promotion targets a cart line
+ */
+function targetsLine(promotion, line) {
+    const productIds = (promotion.productIds || []).map(String);
+    const categoryIds = (promotion.categoryIds || []).map(String);
+    if (productIds.length === 0 && categoryIds.length === 0) return true;
+
+    return (line.serverId && productIds.includes(String(line.serverId))) ||
+        (line.categoryId !== null && line.categoryId !== undefined && categoryIds.includes(String(line.categoryId)));
+}
+
+/**
+ * Work out each promotion's discount per line, as { lineIndex: amount }
+ */
+function lineDiscounts(promotion, lines, remaining) {
+    const discounts = {};
+    const add = (index, amount) => {
+        discounts[index] = (discounts[index] || 0) + amount;
+    };
+
+    switch (promotion.type) {
+        case 'buy_x_get_y': {
+            // Every buy + get units, the cheapest `get` units are discounted
+            const units = lines
+                .flatMap((line, index) => (
+                    targetsLine(promotion, line) ? Array(line.quantity).fill({ index, price: line.price }) : []
+                ))
+                .sort((a, b) => b.price - a.price);
+            const groupSize = promotion.buyQuantity + promotion.getQuantity;
+            const freeUnits = Math.floor(units.length / groupSize) * promotion.getQuantity;
+            const percent = promotion.discountValue || 100;
+
+            units.slice(units.length - freeUnits).forEach(unit => add(unit.index, unit.price * percent / 100));
+            break;
+        }
+
+        case 'bundle': {
+            // Lines supplying each bundle item, and how many complete bundles there are
+            const components = (promotion.bundleItems || []).map(item => ({
+                quantity: item.quantity || 1,
+                lineIndexes: lines
+                    .map((line, index) => (String(line.serverId) === String(item.productId) ? index : -1))
+                    .filter(index => index >= 0)
+            }));
+            const bundles = Math.min(...components.map(c =>
+                Math.floor(c.lineIndexes.reduce((sum, index) => sum + lines[index].quantity, 0) / c.quantity)
+            ));
+            if (!Number.isFinite(bundles) || bundles <= 0) break;
+
+            // Take the units from the lines in order and price them at the regular price
+            const used = [];
+            for (const component of components) {
+                let needed = component.quantity * bundles;
+                for (const index of component.lineIndexes) {
+                    const take = Math.min(needed, lines[index].quantity);
+                    if (take > 0) used.push({ index, amount: lines[index].price * take });
+                    needed -= take;
+                }
+            }
+
+            const regular = used.reduce((sum, u) => sum + u.amount, 0);
+            const saving = regular - promotion.bundlePrice * bundles;
+            if (saving <= 0) break;
+
+            used.forEach(u => add(u.index, saving * (u.amount / regular)));
+            break;
+        }
+
+        case 'category_discount':
+        case 'happy_hour':
+            lines.forEach((line, index) => {
+                if (targetsLine(promotion, line)) {
+                    add(index, remaining[index] * (promotion.discountValue || 0) / 100);
+                }
+            });
+            break;
+
+        case 'spend_threshold': {
+            const eligible = lines
+                .map((line, index) => (targetsLine(promotion, line) ? index : -1))
+                .filter(index => index >= 0);
+            const spend = eligible.reduce((sum, index) => sum + remaining[index], 0);
+            if (spend <= 0 || spend < (promotion.minSubtotal || 0)) break;
+
+            const amount = promotion.discountType === 'fixed'
+                ? Math.min(promotion.discountValue || 0, spend)
+                : spend * (promotion.discountValue || 0) / 100;
+            eligible.forEach(index => add(index, amount * (remaining[index] / spend)));
+            break;
+        }
+    }
+
+    return discounts;
+}
+
+/**
+ * Apply promotions to cart lines
+ * @param {Array<{ price, quantity, serverId?, categoryId? }>} lines - Cart lines
+ * @param {Array} promotions - Promotions from loadPromotions
+ * @param {Object} [options]
+ * @param {string[]} [options.couponCodes] - Coupon codes entered on the cart
+ * @param {Date} [options.now] - Time to evaluate schedules at
+ * @returns {{ lines: Array, promotions: Array, discount: number }} Lines with
+ *   promotionDiscount and promotions, and the promotions that applied
+ */
+export function evaluatePromotions(lines, promotions = [], { couponCodes = [], now = new Date() } = {}) {
+    const remaining = lines.map(line => line.price * line.quantity);
+    const attributions = lines.map(() => []);
+    // Lines taken by a non-stackable promotion (or already discounted, for one)
+    const exclusive = lines.map(() => false);
+
+    const running = promotions
+        .filter(p => isRunning(p, now, couponCodes))
+        .sort((a, b) => {
+            // Line promotions before spend thresholds, then by priority
+            const stage = (p) => (LINE_TYPES.includes(p.type) ? 0 : 1);
+            return stage(a) - stage(b) || (b.priority || 0) - (a.priority || 0);
+        });
+
+    const applied = [];
+    for (const promotion of running) {
+        // Lines this promotion may use
+        const available = lines.map((line, index) => (
+            !exclusive[index] && (promotion.stackable || attributions[index].length === 0) && remaining[index] > 0
+        ));
+        const candidateLines = lines.map((line, index) => (available[index] ? line : { ...line, quantity: 0 }));
+        const discounts = lineDiscounts(promotion, candidateLines, remaining.map((r, i) => (available[i] ? r : 0)));
+
+        // Round each line's share, giving the last line any cent lost to rounding
+        const shares = Object.entries(discounts)
+            .map(([key, rawAmount]) => [Number(key), Math.min(rawAmount, remaining[Number(key)])])
+            .filter(([, amount]) => amount > 0);
+        const target = roundCurrency(shares.reduce((sum, [, amount]) => sum + amount, 0));
+        const rounded = shares.map(([index, amount]) => [index, roundCurrency(amount)]);
+        if (rounded.length > 0) {
+            const [lastIndex, lastAmount] = rounded[rounded.length - 1];
+            const drift = target - rounded.reduce((sum, [, amount]) => sum + amount, 0);
+            rounded[rounded.length - 1][1] = roundCurrency(Math.min(lastAmount + drift, remaining[lastIndex]));
+        }
+
+        let total = 0;
+        for (const [index, amount] of rounded) {
+            if (amount <= 0) continue;
+
+            remaining[index] -= amount;
+            attributions[index].push({ promotionId: promotion._id, name: promotion.name, amount });
+            if (!promotion.stackable) exclusive[index] = true;
+            total += amount;
+        }
+
+        if (total > 0) {
+            applied.push({
+                promotionId: promotion._id,
+                name: promotion.name,
+                type: promotion.type,
+                couponCode: promotion.couponCode || undefined,
+                amount: roundCurrency(total)
+            });
+        }
+    }
+
+    const promotedLines = lines.map((line, index) => ({
+        ...line,
+        promotions: attributions[index],
+        promotionDiscount: roundCurrency(attributions[index].reduce((sum, a) => sum + a.amount, 0))
+    }));
+
+    return {
+        lines: promotedLines,
+        promotions: applied,
+        discount: roundCurrency(promotedLines.reduce((sum, line) => sum + line.promotionDiscount, 0))
+    };
+}
+
+export default {
+    loadPromotions,
+    findCoupon,
+    evaluatePromotions
+};
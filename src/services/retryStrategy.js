@@ -12,7 +12,7 @@ const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 /**
  * Check if error is retryable
  */
-function isRetryableError(error) {
+export function isRetryableError(error) {
     // Network errors are always retryable
     if (error.message.includes('fetch') || error.message.includes('Network')) {
         return true;
@@ -56,7 +56,7 @@ function isRetryableError(error) {
  * @param {number} maxDelay - Maximum delay in milliseconds
  * @returns {number} Delay in milliseconds
  */
-function calculateDelay(attemptNumber, baseDelay = 1000, maxDelay = 10000) {
+export function calculateDelay(attemptNumber, baseDelay = 1000, maxDelay = 10000) {
     // Exponential: 2^attempt * baseDelay
     const delay = Math.pow(2, attemptNumber) * baseDelay;
 
@@ -8,8 +8,11 @@
 import db from '../db';
 import {
     productAPI, customerAPI, employeeAPI, shiftAPI,
-    salesAPI, creditAPI, syncAPI, checkAPIHealth
+    salesAPI, creditAPI, syncAPI, heldCartAPI, drawerAPI, stockTakeAPI, checkAPIHealth
 } from './api';
+import { buildDrawerReport, countTotal } from './drawer';
+import { calculateDelay, isRetryableError } from './retryStrategy';
+import { randomUUID } from '../utils/uuid';
 
 /**
  * Check if we're online and API is available
@@ -18,8 +21,25 @@ export const isOnline = async () => {
     return await checkAPIHealth();
 };
 
+// Tables pulled from the server change feed, in dependency order
+const SYNC_TABLES = [
+    'categories', 'products', 'customers', 'employees',
+    'shifts', 'clockEvents', 'sales', 'credits'
+];
+
+// Local records touched this recently may not be in the feed yet - never prune them
+const PRUNE_MARGIN_MS = 60 * 1000;
+
+/**
+ * Settings key holding a table's change feed checkpoint
+ */
+const cursorKey = (storeId, table) => `syncCursor:${storeId}:${table}`;
+
 /**
  * Sync all data from server to local IndexedDB
+ *
+ * Each table is pulled page by page from its change feed, starting at the
+ * checkpoint saved by the previous sync.
  */
 export const syncFromServer = async (storeId) => {
     try {
@@ -30,78 +50,122 @@ export const syncFromServer = async (storeId) => {
         }
 
         console.log('🔄 Syncing data from server...');
-        const data = await syncAPI.pull();
 
-        // Sync products
-        if (data.products?.length) {
-            for (const item of data.products) {
-                await upsertLocal('products', item, storeId);
+        for (const table of SYNC_TABLES) {
+            const { updated, deleted } = await pullTable(table, storeId);
+            if (updated || deleted) {
+                console.log(`  ✓ Synced ${table}: ${updated} updated, ${deleted} deleted`);
             }
-            console.log(`  ✓ Synced ${data.products.length} products`);
         }
 
-        // Sync categories
-        if (data.categories?.length) {
-            for (const item of data.categories) {
-                await upsertLocal('categories', item, storeId);
-            }
-            console.log(`  ✓ Synced ${data.categories.length} categories`);
-        }
+        console.log('✅ Sync from server complete');
+        return { success: true, syncedAt: new Date().toISOString() };
+    } catch (error) {
+        console.error('❌ Sync from server failed:', error);
+        return { success: false, error: error.message };
+    }
+};
 
-        // Sync customers
-        if (data.customers?.length) {
-            for (const item of data.customers) {
-                await upsertLocal('customers', item, storeId);
-            }
-            console.log(`  ✓ Synced ${data.customers.length} customers`);
+/**
+ * Pull one table's change feed until it is drained
+ * The checkpoint is saved after every page so an interrupted sync resumes where it stopped.
+ */
+const pullTable = async (table, storeId) => {
+    const startedAt = Date.now();
+    const checkpoint = await db.settings.get(cursorKey(storeId, table));
+    let cursor = checkpoint?.value || null;
+    let fullResync = !cursor;
+    const seen = new Set();
+    let updated = 0;
+    let deleted = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+        const page = await syncAPI.changes(table, cursor);
+
+        // Checkpoint too old to replay deletions - start over and prune afterwards
+        if (page.reset) {
+            cursor = null;
+            fullResync = true;
+            seen.clear();
+            continue;
         }
 
-        // Sync employees
-        if (data.employees?.length) {
-            for (const item of data.employees) {
-                await upsertLocal('employees', item, storeId);
-            }
-            console.log(`  ✓ Synced ${data.employees.length} employees`);
+        for (const item of page.changes) {
+            await upsertLocal(table, item, storeId);
+            seen.add(item._id);
         }
-
-        // Sync shifts
-        if (data.shifts?.length) {
-            for (const item of data.shifts) {
-                await upsertLocal('shifts', item, storeId);
-            }
-            console.log(`  ✓ Synced ${data.shifts.length} shifts`);
+        for (const serverId of page.deleted) {
+            deleted += await deleteLocal(table, serverId);
         }
+        updated += page.changes.length;
 
-        // Sync sales (limited)
-        if (data.sales?.length) {
-            for (const item of data.sales) {
-                await upsertLocal('sales', item, storeId);
-            }
-            console.log(`  ✓ Synced ${data.sales.length} sales`);
-        }
+        cursor = page.cursor;
+        hasMore = page.hasMore;
+        await db.settings.put({ key: cursorKey(storeId, table), value: cursor });
+    }
 
-        // Sync credits
-        if (data.credits?.length) {
-            for (const item of data.credits) {
-                await upsertLocal('credits', item, storeId);
-            }
-            console.log(`  ✓ Synced ${data.credits.length} credits`);
-        }
+    // After a full resync, synced records the server no longer has are stale
+    if (fullResync) {
+        deleted += await db[table]
+            .where('storeId')
+            .equals(storeId)
+            .filter(record =>
+                record.serverId &&
+                !record.needsSync &&
+                !seen.has(record.serverId) &&
+                new Date(record.updatedAt || record.createdAt || 0).getTime() < startedAt - PRUNE_MARGIN_MS
+            )
+            .delete();
+    }
 
-        // Sync clock events
-        if (data.clockEvents?.length) {
-            for (const item of data.clockEvents) {
-                await upsertLocal('clockEvents', item, storeId);
-            }
-            console.log(`  ✓ Synced ${data.clockEvents.length} clock events`);
-        }
+    return { updated, deleted };
+};
 
-        console.log('✅ Sync from server complete');
-        return { success: true, syncedAt: data.syncedAt };
-    } catch (error) {
-        console.error('❌ Sync from server failed:', error);
-        return { success: false, error: error.message };
-    }
+/**
+ * Remove a record the server reported as deleted
+ */
+const deleteLocal = async (table, serverId) => {
+    return await db[table].where('serverId').equals(serverId).delete();
+};
+
+/**
+ * Local id of the record with this server id, or the server id when it has
+ * not been pulled to this device
+ */
+const toLocalId = async (table, serverId) => {
+    if (!serverId) return serverId ?? null;
+    const record = await db[table].where('serverId').equals(String(serverId)).first();
+    return record ? record.id : serverId;
+};
+
+/**
+ * Point a pulled sale at local records, the same way sales rung up here are
+ */
+const toLocalSaleReferences = async (sale) => ({
+    ...sale,
+    customerId: await toLocalId('customers', sale.customerId),
+    employeeId: await toLocalId('employees', sale.employeeId),
+    shiftId: await toLocalId('clockEvents', sale.shiftId),
+    items: await Promise.all((sale.items || []).map(async item => ({
+        ...item,
+        productId: await toLocalId('products', item.productId)
+    })))
+});
+
+/**
+ * Point a pulled credit at its local customer and sale
+ */
+const toLocalCreditReferences = async (credit) => ({
+    ...credit,
+    customerId: await toLocalId('customers', credit.customerId),
+    saleId: await toLocalId('sales', credit.saleId)
+});
+
+// Pulled records that name other records, and how to point them at local ones
+const LOCAL_REFERENCES = {
+    sales: toLocalSaleReferences,
+    credits: toLocalCreditReferences
 };
 
 /**
@@ -111,8 +175,11 @@ const upsertLocal = async (table, serverItem, storeId) => {
     const serverId = serverItem._id;
     const existing = await db[table].where('serverId').equals(serverId).first();
 
+    // Don't clobber local edits that haven't been pushed yet
+    if (existing?.needsSync) return;
+
     const localData = {
-        ...serverItem,
+        ...(LOCAL_REFERENCES[table] ? await LOCAL_REFERENCES[table](serverItem) : serverItem),
         serverId,
         storeId,
         _id: undefined // Remove MongoDB _id
@@ -126,8 +193,608 @@ const upsertLocal = async (table, serverItem, storeId) => {
     }
 };
 
+/**
+ * Remember the pre-edit value of each field an offline edit touches, so the
+ * server can merge the edit onto a newer version instead of rejecting it
+ */
+const captureSyncBase = (record, updates) => {
+    if (!record.serverId) return null;
+
+    const syncBase = { ...record.syncBase };
+    for (const field of Object.keys(updates)) {
+        if (!(field in syncBase)) {
+            syncBase[field] = record[field] ?? null;
+        }
+    }
+    return syncBase;
+};
+
+/**
+ * Local stock fields after moving a product's (or variant's) quantity
+ * Variant stock changes move the product total by the same amount.
+ */
+const stockChanges = (product, quantityChange, variantId) => {
+    const variant = variantId ? product.variants?.find(v => v._id === variantId) : null;
+    if (variantId && !variant) {
+        throw new Error('Variant not found');
+    }
+
+    const stockHolder = variant || product;
+    const newQuantity = Math.max(0, stockHolder.quantity + quantityChange);
+    const changes = { quantity: newQuantity };
+    if (variant) {
+        changes.variants = product.variants.map(v =>
+            v._id === variantId ? { ...v, quantity: newQuantity } : v
+        );
+        changes.quantity = changes.variants.reduce((sum, v) => sum + (v.quantity || 0), 0);
+    }
+
+    return { changes, previousQuantity: stockHolder.quantity, newQuantity };
+};
+
+
+/**
+ * Sales rung up on this device that the server has not recorded yet
+ */
+const getQueuedSales = () => db.sales.filter(sale => !sale.serverId).toArray();
+
+// Queued sales hold local ids; ones queued by older versions hold server ids
+const refersTo = (ref, record) => ref === record.id || (!!record.serverId && ref === record.serverId);
+
+/**
+ * Units of a product in queued sales, in total and per variant
+ */
+const queuedSaleUnits = async (product) => {
+    const units = { total: 0, byVariant: {} };
+    for (const sale of await getQueuedSales()) {
+        for (const item of sale.items || []) {
+            if (!refersTo(item.productId, product)) continue;
+            units.total += item.quantity;
+            if (item.variantId) {
+                units.byVariant[item.variantId] = (units.byVariant[item.variantId] || 0) + item.quantity;
+            }
+        }
+    }
+    return units;
+};
+
+/**
+ * Units a product's queued stock adjustments add, in total and per variant
+ */
+const queuedStockUnits = async (product) => {
+    const units = { total: 0, byVariant: {} };
+    for (const op of await queuedFor('products', product.id)) {
+        if (op.action !== 'adjustStock') continue;
+        units.total += op.data.quantity;
+        if (op.data.variantId) {
+            units.byVariant[op.data.variantId] = (units.byVariant[op.data.variantId] || 0) + op.data.quantity;
+        }
+    }
+    return units;
+};
+
+/**
+ * A new product or customer as the server should first see it. Local stock
+ * and customer totals already include the queued sales and stock
+ * adjustments, and the server applies each of those again when it arrives.
+ */
+const withoutQueuedChanges = async (table, record) => {
+    if (table === 'products') {
+        const sold = await queuedSaleUnits(record);
+        const adjusted = await queuedStockUnits(record);
+        const offset = (variantId) => (sold.byVariant[variantId] || 0) - (adjusted.byVariant[variantId] || 0);
+        return {
+            ...record,
+            quantity: Math.max(0, (record.quantity || 0) + sold.total - adjusted.total),
+            variants: record.variants?.map(v => ({ ...v, quantity: Math.max(0, (v.quantity || 0) + offset(v._id)) }))
+        };
+    }
+
+    if (table === 'customers') {
+        const sales = (await getQueuedSales()).filter(sale => refersTo(sale.customerId, record));
+        if (sales.length === 0) return record;
+        return {
+            ...record,
+            totalOrders: Math.max(0, (record.totalOrders || 0) - sales.length),
+            totalSpent: Math.max(0, (record.totalSpent || 0) - sales.reduce((sum, sale) => sum + sale.total, 0))
+        };
+    }
+
+    return record;
+};
+
+// IndexedDB bookkeeping that never goes to the server
+const LOCAL_FIELDS = ['id', 'serverId', 'storeId', 'needsSync', 'syncBase'];
+
+// Totals the server keeps from sales and stock movements; edits never send them
+const SERVER_TOTALS = {
+    products: ['quantity'],
+    customers: ['totalOrders', 'totalSpent', 'lastOrderDate']
+};
+
+/**
+ * A record as the server should get it: local bookkeeping stripped, the
+ * records it names given as server ids and, for a create, stock and totals
+ * without the queued changes the server will apply itself
+ *
+ * @returns {Promise<{ data?: Object, waitingFor?: string }>} waitingFor
+ *   names a record that has to sync first
+ */
+const toServerRecord = async (table, record, action) => {
+    let outgoing = action === 'create' ? await withoutQueuedChanges(table, record) : record;
+
+    if (table === 'shifts' || table === 'clockEvents') {
+        const employee = await resolveReference('employees', outgoing.employeeId);
+        if (!employee.serverId) {
+            if (!employee.record) {
+                throw permanentError(`The employee on this ${RECORD_NOUNS[table]} is no longer on this device`);
+            }
+            return { waitingFor: `employee "${employee.record.name}"` };
+        }
+        outgoing = { ...outgoing, employeeId: employee.serverId };
+
+        if (table === 'clockEvents') {
+            outgoing.shiftId = (await resolveReference('shifts', outgoing.shiftId)).serverId;
+        }
+    }
+
+    return {
+        data: Object.fromEntries(
+            Object.entries(outgoing).filter(([field]) => !LOCAL_FIELDS.includes(field))
+        )
+    };
+};
+
+/*
+ * Outbound sync queue
+ *
+ * Every change made on this device that has to reach the server is journaled
+ * in syncQueue as an operation on one record and replayed oldest first, so
+ * the server sees changes in the order they were made. Operations that send
+ * a record as it stands (create, update, drawer push, stock counts) take in
+ * later edits until they are replayed; stock changes are journaled as deltas
+ * and credit payments one by one, each with a clientId the server uses to
+ * ignore resends.
+ */
+
+// Growing delay between replays of an operation that keeps failing
+const QUEUE_RETRY_BASE_MS = 5 * 1000;
+const QUEUE_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// An operation that has failed this many times is set aside for the user
+const MAX_QUEUE_ATTEMPTS = 8;
+
+// How queued records are named to the user
+const RECORD_NOUNS = {
+    products: 'product',
+    customers: 'customer',
+    employees: 'employee',
+    shifts: 'shift',
+    clockEvents: 'clock event',
+    sales: 'sale',
+    credits: 'credit',
+    heldCarts: 'held cart',
+    drawerSessions: 'drawer session',
+    stockTakes: 'stock take'
+};
+
+const ACTION_LABELS = {
+    create: 'Add',
+    update: 'Update',
+    delete: 'Delete',
+    adjustStock: 'Stock change for',
+    payment: 'Payment on',
+    push: 'Save',
+    counts: 'Counts for',
+    release: 'Release'
+};
+
+// Operation being replayed right now; later edits must not fold into it
+let inFlightId = null;
+
+/**
+ * An error no retry can fix, so the operation is set aside straight away
+ */
+const permanentError = (message) => Object.assign(new Error(message), { permanent: true });
+
+/**
+ * Journal an operation on a local record
+ * @param {string} tableName - Table the record lives in
+ * @param {string} action - create, update, delete, adjustStock, payment, push, counts or release
+ * @param {number|string} recordId - Local id (stock takes are keyed by server id)
+ * @param {Object} [data] - What the replay needs beyond the record itself
+ * @returns {Promise<number>} Operation id
+ */
+const enqueue = (tableName, action, recordId, data = {}) => db.syncQueue.add({
+    tableName,
+    action,
+    recordId,
+    data,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: null,
+    lastError: null,
+    createdAt: new Date().toISOString()
+});
+
+/**
+ * Operations queued for a record, oldest first
+ */
+const queuedFor = (tableName, recordId) => db.syncQueue
+    .where('recordId').equals(recordId)
+    .filter(op => op.tableName === tableName)
+    .sortBy('id');
+
+/**
+ * Journal an operation that sends the record as it stands when replayed.
+ * A queued one that has not started yet already carries this change.
+ * @param {string[]} [foldInto] - Actions that carry it (an update rides on a queued create)
+ */
+const enqueueLatest = async (tableName, action, recordId, foldInto = [action]) => {
+    const queued = await queuedFor(tableName, recordId);
+    const carrier = queued.find(op =>
+        op.status === 'pending' && op.id !== inFlightId && foldInto.includes(op.action)
+    );
+    return carrier ? carrier.id : enqueue(tableName, action, recordId);
+};
+
+/**
+ * Drop what is queued for a record (other than an operation already on its way)
+ */
+const dropQueued = async (tableName, recordId) => {
+    const queued = await queuedFor(tableName, recordId);
+    await db.syncQueue.bulkDelete(queued.filter(op => op.id !== inFlightId).map(op => op.id));
+};
+
+/**
+ * Journal a delete. Changes still queued for the record go with it, and a
+ * record the server never had needs nothing sent.
+ * @returns {Promise<number|null>} Operation id
+ */
+const enqueueDelete = async (tableName, record) => {
+    await dropQueued(tableName, record.id);
+    if (!record.serverId) return null;
+    return enqueue(tableName, 'delete', record.id, { serverId: record.serverId, name: record.name });
+};
+
+/**
+ * Clear a record's needsSync flag once nothing is queued for it
+ */
+const settle = async (tableName, recordId) => {
+    if (tableName === 'stockTakes') return;
+    const remaining = await queuedFor(tableName, recordId);
+    if (remaining.length === 0) {
+        await db[tableName].update(recordId, { needsSync: false });
+    }
+};
+
+// Endpoints for records created and deleted one at a time; the rest go through /sync/push
+const RECORD_APIS = {
+    products: productAPI,
+    customers: customerAPI,
+    employees: employeeAPI,
+    shifts: shiftAPI
+};
+
+const replayCreate = async (op) => {
+    const record = await db[op.tableName].get(op.recordId);
+    if (!record || record.serverId) return {};
+
+    if (op.tableName === 'sales') return replaySale(record);
+    if (op.tableName === 'heldCarts') return replayHeldCart(record);
+
+    const { data, waitingFor } = await toServerRecord(op.tableName, record, 'create');
+    if (waitingFor) return { waitingFor };
+
+    let created;
+    if (RECORD_APIS[op.tableName]) {
+        created = await RECORD_APIS[op.tableName].create(data);
+    } else {
+        const { results: [result] } = await syncAPI.push([
+            { table: op.tableName, action: 'create', localId: record.id, data }
+        ]);
+        if (!result.success) {
+            throw permanentError(result.error || 'Create rejected by server');
+        }
+        created = { _id: result.serverId, syncVersion: 1 };
+    }
+
+    const saved = await db[op.tableName].update(record.id, { serverId: created._id, syncVersion: created.syncVersion });
+    // Deleted here while it was on its way - delete the server copy too
+    if (!saved) {
+        await enqueue(op.tableName, 'delete', record.id, { serverId: created._id, name: record.name });
+    }
+    return {};
+};
+
+const replayUpdate = async (op) => {
+    const record = await db[op.tableName].get(op.recordId);
+    if (!record) return {};
+    // Its create was discarded; this edit brings the record over
+    if (!record.serverId) return replayCreate(op);
+
+    return pushUpdate(op.tableName, record);
+};
+
+const replayDelete = async (op) => {
+    try {
+        if (RECORD_APIS[op.tableName]) {
+            await RECORD_APIS[op.tableName].delete(op.data.serverId);
+        } else {
+            await syncAPI.push([
+                { table: op.tableName, action: 'delete', localId: op.recordId, data: { _id: op.data.serverId } }
+            ]);
+        }
+    } catch (error) {
+        // Already gone
+        if (error.status !== 404) throw error;
+    }
+    return {};
+};
+
+const replayStockAdjustment = async (op) => {
+    const product = await db.products.get(op.recordId);
+    if (!product) return {};
+    if (!product.serverId) return { waitingFor: `product "${product.name}"` };
+
+    const { quantity, variantId, reason, clientId } = op.data;
+    await productAPI.adjustStock(product.serverId, quantity, { variantId, reason, clientId });
+    return {};
+};
+
+const replayPayment = async (op) => {
+    const credit = await db.credits.get(op.recordId);
+    if (!credit) throw permanentError('This credit is no longer on this device');
+    if (!credit.serverId) return { waitingFor: `the sale on credit #${credit.id}` };
+
+    const { amount, method, clientId, paidAt } = op.data;
+    const { credit: saved } = await creditAPI.recordPayment(credit.serverId, amount, { method, clientId, paidAt });
+
+    // Payments still queued behind this one are already counted here
+    const later = (await queuedFor('credits', credit.id)).filter(queued => queued.id !== op.id);
+    if (later.length === 0) {
+        await db.credits.update(credit.id, {
+            amountPaid: saved.amountPaid,
+            status: saved.status,
+            paidAt: saved.paidAt || null,
+            payments: saved.payments
+        });
+    }
+    return {};
+};
+
+const replayDrawerSession = async (op) => {
+    const session = await db.drawerSessions.get(op.recordId);
+    if (!session) return {};
+
+    const serverSession = await drawerAPI.push(toDrawerPayload(session));
+    await db.drawerSessions.update(session.id, { serverId: serverSession._id });
+    return {};
+};
+
+const replayStockCounts = async (op) => {
+    const pending = await stockTakeSync.getPending(op.recordId);
+    if (pending.length > 0) {
+        await sendCounts(op.recordId);
+    }
+    return {};
+};
+
+const replayHeldCartRelease = async (op) => {
+    const heldCart = await db.heldCarts.get(op.recordId);
+    if (heldCart?.serverId) {
+        await heldCartAPI.delete(heldCart.serverId).catch(error => {
+            if (error.status !== 404) throw error;
+        });
+    }
+    await db.heldCarts.delete(op.recordId);
+    return {};
+};
+
+const REPLAYERS = {
+    create: replayCreate,
+    update: replayUpdate,
+    delete: replayDelete,
+    adjustStock: replayStockAdjustment,
+    payment: replayPayment,
+    push: replayDrawerSession,
+    counts: replayStockCounts,
+    release: replayHeldCartRelease
+};
+
+/**
+ * Send one operation
+ * @returns {Promise<{ waitingFor?: string, conflict?: Object }>} empty once the server has it
+ */
+const replayOperation = (op) => {
+    const replay = REPLAYERS[op.action];
+    if (!replay) throw permanentError(`Unknown sync operation "${op.action}"`);
+    return replay(op);
+};
+
+/**
+ * One pass over the queue, oldest operation first
+ *
+ * Each request is already retried briefly by the API layer (withRetry). An
+ * operation that still fails with a network or server error stops the pass,
+ * so nothing queued after it overtakes it, and is tried again on a later
+ * pass after an exponentially growing delay. One the server rejects, or
+ * that has failed too often, is set aside as failed. Later operations on the
+ * same record wait behind a failed, conflicting or waiting one.
+ */
+const runQueue = async ({ force = false } = {}) => {
+    const summary = { synced: 0, failed: 0, waiting: [], conflicts: [], retryAt: null, lastError: null };
+
+    const online = await isOnline();
+    if (!online) return { ...summary, offline: true };
+
+    const operations = await db.syncQueue.orderBy('id').toArray();
+    const held = new Set();
+
+    for (const op of operations) {
+        const key = `${op.tableName}:${op.recordId}`;
+        if (op.status === 'failed') {
+            held.add(key);
+            summary.failed++;
+            continue;
+        }
+        if (held.has(key)) continue;
+
+        // Still backing off - the rest of the queue waits its turn
+        if (!force && op.nextAttemptAt && new Date(op.nextAttemptAt) > new Date()) {
+            summary.retryAt = op.nextAttemptAt;
+            summary.lastError = op.lastError;
+            break;
+        }
+
+        inFlightId = op.id;
+        try {
+            const { waitingFor, conflict } = await replayOperation(op);
+            if (waitingFor || conflict) {
+                held.add(key);
+                if (waitingFor) summary.waiting.push({ ...op, waitingFor });
+                if (conflict) summary.conflicts.push(conflict);
+                continue;
+            }
+
+            await db.syncQueue.delete(op.id);
+            await settle(op.tableName, op.recordId);
+            summary.synced++;
+        } catch (error) {
+            const attempts = op.attempts + 1;
+            const lastError = error.message || String(error);
+            summary.lastError = lastError;
+            console.error(`Failed to sync ${op.action} ${op.tableName} #${op.recordId}:`, error);
+
+            if (error.permanent || !isRetryableError(error) || attempts >= MAX_QUEUE_ATTEMPTS) {
+                await db.syncQueue.update(op.id, { status: 'failed', attempts, lastError, nextAttemptAt: null });
+                held.add(key);
+                summary.failed++;
+                continue;
+            }
+
+            const nextAttemptAt = new Date(
+                Date.now() + calculateDelay(op.attempts, QUEUE_RETRY_BASE_MS, QUEUE_RETRY_MAX_MS)
+            ).toISOString();
+            await db.syncQueue.update(op.id, { attempts, lastError, nextAttemptAt });
+            summary.retryAt = nextAttemptAt;
+            break;
+        } finally {
+            inFlightId = null;
+        }
+    }
+
+    return summary;
+};
+
+let replaying = null;
+let replayAgain = null;
+
+/**
+ * Replay the queue. A call made while a pass is running gets one more pass
+ * once it finishes, so changes queued in the meantime go too.
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Retry operations now rather than after their backoff
+ */
+const replayQueue = (options = {}) => {
+    if (replaying) {
+        replayAgain = { force: !!(options.force || replayAgain?.force) };
+        return replaying;
+    }
+
+    replaying = (async () => {
+        let pass = options;
+        let synced = 0;
+        let summary;
+        do {
+            replayAgain = null;
+            summary = await runQueue(pass);
+            synced += summary.synced;
+            pass = replayAgain;
+        } while (pass);
+        return { ...summary, synced };
+    })().finally(() => {
+        replaying = null;
+    });
+
+    return replaying;
+};
+
+/**
+ * Replay the queue and report how one operation fared
+ * @returns {Promise<{ synced: boolean, error?: string }>} error when it was set aside
+ */
+const flush = async (operationId, options) => {
+    await replayQueue(options);
+    const op = await db.syncQueue.get(operationId);
+    return { synced: !op, ...(op?.status === 'failed' && { error: op.lastError }) };
+};
+
+/**
+ * How a queued operation reads in the failed changes list
+ */
+const describeOperation = async (op) => {
+    const record = op.tableName === 'stockTakes'
+        ? await db.stockTakes.where('serverId').equals(op.recordId).first()
+        : await db[op.tableName]?.get(op.recordId);
+    const name = record?.name || record?.label || op.data.name;
+
+    let description = `${ACTION_LABELS[op.action] || op.action} ${RECORD_NOUNS[op.tableName] || op.tableName}`;
+    description += name ? ` "${name}"` : ` #${op.recordId}`;
+    if (op.action === 'adjustStock') {
+        description += ` (${op.data.quantity > 0 ? '+' : ''}${op.data.quantity})`;
+    }
+    return description;
+};
+
+/**
+ * Outbound queue status and the failed operations set aside for the user
+ */
+export const syncQueue = {
+    /**
+     * Operations waiting to be sent and operations that failed
+     */
+    async getCounts() {
+        const [pending, failed] = await Promise.all([
+            db.syncQueue.where('status').equals('pending').count(),
+            db.syncQueue.where('status').equals('failed').count()
+        ]);
+        return { pending, failed };
+    },
+
+    /**
+     * Failed operations, oldest first, each with a description for the user
+     */
+    async getFailed() {
+        const operations = await db.syncQueue.where('status').equals('failed').sortBy('id');
+        return Promise.all(operations.map(async op => ({ ...op, description: await describeOperation(op) })));
+    },
+
+    /**
+     * Put a failed operation back in line and replay straight away
+     */
+    async retry(operationId) {
+        await db.syncQueue.update(operationId, { status: 'pending', attempts: 0, nextAttemptAt: null, lastError: null });
+        return flush(operationId, { force: true });
+    },
+
+    /**
+     * Give up on a failed operation. The change stays on this device until
+     * the next pull brings back the server's copy of the record.
+     */
+    async discard(operationId) {
+        const op = await db.syncQueue.get(operationId);
+        if (!op) return;
+        await db.syncQueue.delete(operationId);
+        await settle(op.tableName, op.recordId);
+    }
+};
+
 /**
  * Product sync operations
+ *
+ * Changes are saved locally, journaled and sent straight away when the
+ * server is reachable. Each call reports whether its change went.
  */
 export const productSync = {
     async create(productData, storeId) {
@@ -139,22 +806,10 @@ export const productSync = {
             needsSync: true
         });
 
-        // Try to sync to server
-        const online = await isOnline();
-        if (online) {
-            try {
-                const serverProduct = await productAPI.create(productData);
-                await db.products.update(localId, {
-                    serverId: serverProduct._id,
-                    needsSync: false
-                });
-                return { id: localId, serverId: serverProduct._id, synced: true };
-            } catch (error) {
-                console.error('Failed to sync product to server:', error);
-            }
-        }
-
-        return { id: localId, synced: false };
+        const operationId = await enqueue('products', 'create', localId);
+        const { synced } = await flush(operationId);
+        const product = await db.products.get(localId);
+        return { id: localId, serverId: product?.serverId, synced };
     },
 
     async update(localId, updates) {
@@ -186,399 +841,924 @@ export const productSync = {
         // Update locally with sync flag
         await db.products.update(localId, {
             ...updates,
+            syncBase: captureSyncBase(product, updates),
             needsSync: true,
             updatedAt: new Date().toISOString()
         });
 
-        const online = await isOnline();
-        if (online && product?.serverId) {
-            try {
-                await productAPI.update(product.serverId, updates);
-                await db.products.update(localId, { needsSync: false });
-                console.log(`✓ Product ${product.name} synced to server`);
-                return { synced: true };
-            } catch (error) {
-                console.error('Failed to sync product update:', error);
-            }
-        }
-
-        return { synced: false };
+        const operationId = await enqueueLatest('products', 'update', localId, ['create', 'update']);
+        return flush(operationId);
     },
 
-    async updateStock(localId, quantityChange, reason = 'sale') {
+    /**
+     * Move a product's stock, e.g. when a purchase order is received. The
+     * change is queued as a delta so it adds to whatever the server holds by
+     * the time it arrives.
+     */
+    async updateStock(localId, quantityChange, reason = 'sale', variantId = null) {
         const product = await db.products.get(localId);
         if (!product) {
             throw new Error('Product not found');
         }
 
-        const newQuantity = Math.max(0, product.quantity + quantityChange);
+        const { changes, previousQuantity, newQuantity } = stockChanges(product, quantityChange, variantId);
 
         // Update locally with sync flag
         await db.products.update(localId, {
-            quantity: newQuantity,
+            ...changes,
             updatedAt: new Date().toISOString(),
             needsSync: true
         });
 
-        console.log(`📦 Stock updated: ${product.name} (${product.quantity} → ${newQuantity})`);
+        console.log(`📦 Stock updated: ${product.name} (${previousQuantity} → ${newQuantity})`);
 
-        const online = await isOnline();
-        if (online && product?.serverId) {
-            try {
-                // Use the updateStock API endpoint for atomic server-side update
-                await productAPI.updateStock(product.serverId, newQuantity);
-                await db.products.update(localId, { needsSync: false });
-                console.log(`✓ Stock sync complete for ${product.name}`);
-                return { synced: true, newQuantity };
-            } catch (error) {
-                console.error(`Failed to sync stock update for ${product.name}:`, error);
-            }
+        const operationId = await enqueue('products', 'adjustStock', localId, {
+            quantity: quantityChange,
+            variantId: variantId || undefined,
+            reason,
+            clientId: randomUUID()
+        });
+        const { synced } = await flush(operationId);
+        return { synced, newQuantity };
+    },
+
+    /**
+     * Take units sold off the local stock. The sale deducts them on the
+     * server when it syncs, so no stock change is queued.
+     */
+    async deductSold(localId, quantity, variantId = null) {
+        const product = await db.products.get(localId);
+        if (!product) {
+            throw new Error('Product not found');
         }
 
-        return { synced: false, newQuantity };
+        const { changes, newQuantity } = stockChanges(product, -quantity, variantId);
+        await db.products.update(localId, {
+            ...changes,
+            updatedAt: new Date().toISOString()
+        });
+
+        return { newQuantity };
     },
 
     async delete(localId) {
         const product = await db.products.get(localId);
+        if (!product) return { synced: true };
         await db.products.delete(localId);
 
-        const online = await isOnline();
-        if (online && product?.serverId) {
-            try {
-                await productAPI.delete(product.serverId);
-                return { synced: true };
-            } catch (error) {
-                console.error('Failed to sync product delete:', error);
-            }
-        }
-
-        return { synced: false };
+        const operationId = await enqueueDelete('products', product);
+        return operationId ? flush(operationId) : { synced: true };
     }
 };
 
 /**
- * Customer sync operations
+ * Create, update and delete for records that sync field by field
  */
-export const customerSync = {
-    async create(customerData, storeId) {
-        const localId = await db.customers.add({
-            ...customerData,
+const recordSync = (tableName) => ({
+    async create(data, storeId) {
+        const localId = await db[tableName].add({
+            ...data,
             storeId,
             createdAt: new Date().toISOString(),
             needsSync: true
         });
 
-        const online = await isOnline();
-        if (online) {
-            try {
-                const serverCustomer = await customerAPI.create(customerData);
-                await db.customers.update(localId, {
-                    serverId: serverCustomer._id,
-                    needsSync: false
-                });
-                return { id: localId, serverId: serverCustomer._id, synced: true };
-            } catch (error) {
-                console.error('Failed to sync customer to server:', error);
-            }
-        }
-
-        return { id: localId, synced: false };
+        const operationId = await enqueue(tableName, 'create', localId);
+        const { synced } = await flush(operationId);
+        const record = await db[tableName].get(localId);
+        return { id: localId, serverId: record?.serverId, synced };
     },
 
     async update(localId, updates) {
-        const customer = await db.customers.get(localId);
-        await db.customers.update(localId, { ...updates, needsSync: true });
-
-        const online = await isOnline();
-        if (online && customer?.serverId) {
-            try {
-                await customerAPI.update(customer.serverId, updates);
-                await db.customers.update(localId, { needsSync: false });
-                return { synced: true };
-            } catch (error) {
-                console.error('Failed to sync customer update:', error);
-            }
-        }
+        const record = await db[tableName].get(localId);
+        await db[tableName].update(localId, {
+            ...updates,
+            syncBase: record ? captureSyncBase(record, updates) : null,
+            needsSync: true
+        });
 
-        return { synced: false };
+        const operationId = await enqueueLatest(tableName, 'update', localId, ['create', 'update']);
+        return flush(operationId);
     },
 
     async delete(localId) {
-        const customer = await db.customers.get(localId);
-        await db.customers.delete(localId);
+        const record = await db[tableName].get(localId);
+        if (!record) return { synced: true };
+        await db[tableName].delete(localId);
 
-        const online = await isOnline();
-        if (online && customer?.serverId) {
-            try {
-                await customerAPI.delete(customer.serverId);
-                return { synced: true };
-            } catch (error) {
-                console.error('Failed to sync customer delete:', error);
-            }
+        const operationId = await enqueueDelete(tableName, record);
+        return operationId ? flush(operationId) : { synced: true };
+    }
+});
+
+/**
+ * Customer sync operations
+ */
+export const customerSync = recordSync('customers');
+
+/**
+ * Employee sync operations
+ */
+export const employeeSync = recordSync('employees');
+
+/**
+ * Shift sync operations
+ */
+export const shiftSync = recordSync('shifts');
+
+/**
+ * Clock event sync operations
+ * Clock-ins and outs are recorded on the register; the server gets the
+ * employee's server id once the employee has synced.
+ */
+export const clockEventSync = recordSync('clockEvents');
+
+/**
+ * Credit sync operations
+ *
+ * Credits are created by the server along with their sale; the register
+ * keeps a local copy and takes payments against it.
+ */
+export const creditSync = {
+    /**
+     * Take a payment against a credit. It counts locally straight away and is
+     * queued with a clientId, so a resend is not recorded twice.
+     * @param {number} localId - Credit
+     * @param {number} amount - Amount paid
+     * @param {Object} [details] - { method }
+     */
+    async recordPayment(localId, amount, { method = 'cash' } = {}) {
+        const credit = await db.credits.get(localId);
+        if (!credit) {
+            throw new Error('Credit not found');
+        }
+
+        const remaining = credit.amount - (credit.amountPaid || 0);
+        if (!(amount > 0) || amount > remaining + 0.005) {
+            throw new Error('Invalid payment amount');
         }
 
-        return { synced: false };
+        const paidAt = new Date().toISOString();
+        const clientId = randomUUID();
+        const amountPaid = Math.round(((credit.amountPaid || 0) + amount) * 100) / 100;
+        const isPaidInFull = amountPaid >= credit.amount;
+
+        await db.credits.update(localId, {
+            amountPaid,
+            status: isPaidInFull ? 'paid' : 'partial',
+            paidAt: isPaidInFull ? paidAt : null,
+            payments: [...(credit.payments || []), { amount, method, source: 'store', clientId, paidAt }],
+            needsSync: true
+        });
+
+        const operationId = await enqueue('credits', 'payment', localId, { amount, method, clientId, paidAt });
+        return flush(operationId);
     }
 };
 
 /**
- * Employee sync operations
+ * Local record a sale points to, and its server id once it has one
+ * References that are already server ids (strings) pass straight through.
  */
-export const employeeSync = {
-    async create(employeeData, storeId) {
-        const localId = await db.employees.add({
-            ...employeeData,
+const resolveReference = async (table, ref) => {
+    if (typeof ref !== 'number') return { serverId: ref ?? null };
+    const record = await db[table].get(ref);
+    return { record, serverId: record?.serverId || null };
+};
+
+/**
+ * Map a local sale to the server shape
+ *
+ * Sales are rung up against local ids so the register can sell products and
+ * serve customers created while offline. The ids are swapped for server ids
+ * here, so a sale can only go once the products and customer it names have
+ * been pushed.
+ *
+ * @returns {Promise<{ payload?: Object, waitingFor?: string }>} waitingFor
+ *   names the first record that still has to sync
+ */
+const toSalePayload = async (sale) => {
+    const items = [];
+    for (const item of sale.items) {
+        const { record, serverId } = await resolveReference('products', item.productId);
+        if (!serverId) {
+            if (!record) throw permanentError(`${item.name} is no longer on this device`);
+            return { waitingFor: `product "${record.name}"` };
+        }
+        items.push({ ...item, productId: serverId });
+    }
+
+    const customer = await resolveReference('customers', sale.customerId);
+    if (sale.customerId && !customer.serverId) {
+        if (!customer.record) throw permanentError('The customer on this sale is no longer on this device');
+        return { waitingFor: `customer "${customer.record.name}"` };
+    }
+
+    // The sale is still recorded if its employee has gone; the server drops an unknown clock event
+    const employee = await resolveReference('employees', sale.employeeId);
+    if (employee.record && !employee.serverId) {
+        return { waitingFor: `employee "${employee.record.name}"` };
+    }
+    const shift = await resolveReference('clockEvents', sale.shiftId);
+
+    const payload = Object.fromEntries(
+        Object.entries(sale).filter(([field]) => !['id', 'serverId', 'storeId', 'needsSync'].includes(field))
+    );
+    return {
+        payload: {
+            ...payload,
+            items,
+            customerId: customer.serverId,
+            employeeId: employee.serverId,
+            shiftId: shift.serverId
+        }
+    };
+};
+
+/**
+ * Match this device's copy of a sale's credit to the one the server created
+ * with the sale, so payments taken here can follow it
+ */
+const adoptSaleCredit = async (sale, serverSale, customerServerId) => {
+    const credit = await db.credits.where('saleId').equals(sale.id).first();
+    if (!credit || credit.serverId || !customerServerId) return;
+
+    const serverCredits = await creditAPI.getAll({ customerId: customerServerId });
+    const serverCredit = serverCredits.find(c => String(c.saleId) === String(serverSale._id));
+    if (serverCredit) {
+        await db.credits.update(credit.id, { serverId: serverCredit._id, syncVersion: serverCredit.syncVersion });
+    }
+};
+
+const replaySale = async (sale) => {
+    // Sales queued before idempotency keys existed get one now
+    if (!sale.idempotencyKey) {
+        sale = { ...sale, idempotencyKey: randomUUID() };
+        await db.sales.update(sale.id, { idempotencyKey: sale.idempotencyKey });
+    }
+
+    const { payload, waitingFor } = await toSalePayload(sale);
+    if (waitingFor) return { waitingFor };
+
+    // A resend returns the sale already recorded, so the credit can be matched on any attempt
+    const serverSale = await salesAPI.create(payload);
+    await adoptSaleCredit(sale, serverSale, payload.customerId);
+    await db.sales.update(sale.id, { serverId: serverSale._id });
+    return {};
+};
+
+/**
+ * Sales sync operations
+ */
+export const salesSync = {
+    /**
+     * Record a sale on this device and queue it for the server
+     *
+     * Local stock, the customer's totals and, for a sale on credit, a local
+     * copy of the credit are updated before the sale is queued; the server
+     * does the same when the sale reaches it.
+     * @param {Object} saleData - Sale with local product, customer, employee and clock event ids
+     * @param {number} storeId - Local store id
+     * @param {Object} [options]
+     * @param {Object} [options.credit] - { amount, dueDate, notes } for the portion paid on credit
+     */
+    async create(saleData, storeId, { credit } = {}) {
+        // Generated once and kept with the sale so every retry is deduplicated server-side
+        const idempotencyKey = saleData.idempotencyKey || randomUUID();
+        const createdAt = saleData.createdAt || new Date().toISOString();
+
+        const localId = await db.sales.add({
+            ...saleData,
+            idempotencyKey,
             storeId,
-            createdAt: new Date().toISOString(),
+            createdAt,
             needsSync: true
         });
 
-        const online = await isOnline();
-        if (online) {
+        if (credit) {
+            await db.credits.add({
+                storeId,
+                customerId: saleData.customerId,
+                saleId: localId,
+                amount: credit.amount,
+                amountPaid: 0,
+                dueDate: credit.dueDate,
+                status: 'pending',
+                notes: credit.notes,
+                createdAt,
+                paidAt: null
+            });
+        }
+
+        for (const item of saleData.items) {
             try {
-                const serverEmployee = await employeeAPI.create(employeeData);
-                await db.employees.update(localId, {
-                    serverId: serverEmployee._id,
-                    needsSync: false
-                });
-                return { id: localId, serverId: serverEmployee._id, synced: true };
+                await productSync.deductSold(item.productId, item.quantity, item.variantId);
             } catch (error) {
-                console.error('Failed to sync employee to server:', error);
+                // Continue with other items even if one fails
+                console.error(`Failed to update stock for ${item.name}:`, error);
             }
         }
 
-        return { id: localId, synced: false };
-    },
-
-    async update(localId, updates) {
-        const employee = await db.employees.get(localId);
-        await db.employees.update(localId, { ...updates, needsSync: true });
-
-        const online = await isOnline();
-        if (online && employee?.serverId) {
-            try {
-                await employeeAPI.update(employee.serverId, updates);
-                await db.employees.update(localId, { needsSync: false });
-                return { synced: true };
-            } catch (error) {
-                console.error('Failed to sync employee update:', error);
+        if (saleData.customerId) {
+            const customer = await db.customers.get(saleData.customerId);
+            if (customer) {
+                await db.customers.update(customer.id, {
+                    totalOrders: (customer.totalOrders || 0) + 1,
+                    totalSpent: (customer.totalSpent || 0) + saleData.total,
+                    lastOrderDate: createdAt,
+                    updatedAt: new Date().toISOString()
+                });
             }
         }
 
-        return { synced: false };
+        const operationId = await enqueue('sales', 'create', localId);
+        const { synced } = await flush(operationId);
+        const sale = await db.sales.get(localId);
+        return { id: localId, serverId: sale?.serverId, synced };
     },
 
-    async delete(localId) {
-        const employee = await db.employees.get(localId);
-        await db.employees.delete(localId);
+    /**
+     * A sale from the server pointed at this device's records
+     */
+    toLocal(serverSale) {
+        return toLocalSaleReferences(serverSale);
+    }
+};
 
-        const online = await isOnline();
-        if (online && employee?.serverId) {
-            try {
-                await employeeAPI.delete(employee.serverId);
-                return { synced: true };
-            } catch (error) {
-                console.error('Failed to sync employee delete:', error);
-            }
-        }
+/**
+ * Map a local held cart to the server shape (server ids for products and customer)
+ */
+const toHeldCartPayload = async (heldCart) => {
+    const customer = heldCart.customerId ? await db.customers.get(heldCart.customerId) : null;
+
+    return {
+        label: heldCart.label,
+        items: heldCart.items.map(item => ({
+            productId: item.serverId,
+            variantId: item.variantId || undefined,
+            variantName: item.variantName || undefined,
+            name: item.name,
+            price: item.price,
+            originalPrice: item.originalPrice,
+            quantity: item.quantity,
+            imageUrl: item.imageUrl
+        })),
+        discount: heldCart.discount,
+        discountType: heldCart.discountType,
+        couponCodes: heldCart.couponCodes || [],
+        customerId: customer?.serverId || null,
+        notes: heldCart.notes,
+        employeeId: heldCart.employeeServerId || null
+    };
+};
 
-        return { synced: false };
+/**
+ * Share a parked cart once every product in it has synced
+ */
+const replayHeldCart = async (heldCart) => {
+    if (heldCart.resumed) return {};
+
+    const items = [];
+    for (const item of heldCart.items) {
+        const { record, serverId } = item.serverId
+            ? { serverId: item.serverId }
+            : await resolveReference('products', item.productId);
+        if (!serverId) {
+            if (!record) throw permanentError(`${item.name} is no longer on this device`);
+            return { waitingFor: `product "${record.name}"` };
+        }
+        items.push({ ...item, serverId });
     }
+
+    const serverCart = await heldCartAPI.create(await toHeldCartPayload({ ...heldCart, items }));
+    await db.heldCarts.update(heldCart.id, { serverId: serverCart._id });
+    return {};
 };
 
 /**
- * Shift sync operations
+ * Held cart sync operations
+ *
+ * Parked carts live in IndexedDB so they survive a reload, and are queued
+ * to be shared through the server so another register in the store can
+ * resume them.
  */
-export const shiftSync = {
-    async create(shiftData, storeId) {
-        const localId = await db.shifts.add({
-            ...shiftData,
+export const heldCartSync = {
+    async park(cartData, storeId) {
+        const localId = await db.heldCarts.add({
+            ...cartData,
             storeId,
             createdAt: new Date().toISOString(),
             needsSync: true
         });
 
-        const online = await isOnline();
-        if (online) {
-            try {
-                const serverShift = await shiftAPI.create(shiftData);
-                await db.shifts.update(localId, {
-                    serverId: serverShift._id,
-                    needsSync: false
-                });
-                return { id: localId, serverId: serverShift._id, synced: true };
-            } catch (error) {
-                console.error('Failed to sync shift to server:', error);
+        const operationId = await enqueue('heldCarts', 'create', localId);
+        const { synced } = await flush(operationId);
+        const heldCart = await db.heldCarts.get(localId);
+        return { id: localId, serverId: heldCart?.serverId, synced };
+    },
+
+    /**
+     * Take a parked cart off hold. Shared carts are claimed on the server
+     * first so two registers cannot resume the same order.
+     */
+    async resume(localId) {
+        const heldCart = await db.heldCarts.get(localId);
+        if (!heldCart) {
+            throw new Error('Held cart not found');
+        }
+
+        if (heldCart.serverId) {
+            const online = await isOnline();
+            if (online) {
+                try {
+                    await heldCartAPI.delete(heldCart.serverId);
+                } catch (error) {
+                    if (error.status === 404) {
+                        await db.heldCarts.delete(localId);
+                        throw new Error('This cart was already resumed on another register');
+                    }
+                    throw error;
+                }
+            } else {
+                // Hide it locally and release the server copy on next sync
+                await db.heldCarts.update(localId, { resumed: true, needsSync: true });
+                await enqueue('heldCarts', 'release', localId);
+                return heldCart;
             }
         }
 
-        return { id: localId, synced: false };
+        // A cart that was never shared has nothing left to send
+        await dropQueued('heldCarts', localId);
+        await db.heldCarts.delete(localId);
+        return heldCart;
     },
 
-    async update(localId, updates) {
-        const shift = await db.shifts.get(localId);
-        await db.shifts.update(localId, { ...updates, needsSync: true });
+    async discard(localId) {
+        const heldCart = await db.heldCarts.get(localId);
+        if (!heldCart) return { synced: false };
 
-        const online = await isOnline();
-        if (online && shift?.serverId) {
-            try {
-                await shiftAPI.update(shift.serverId, updates);
-                await db.shifts.update(localId, { needsSync: false });
-                return { synced: true };
-            } catch (error) {
-                console.error('Failed to sync shift update:', error);
-            }
+        if (!heldCart.serverId) {
+            await dropQueued('heldCarts', localId);
+            await db.heldCarts.delete(localId);
+            return { synced: true };
         }
 
-        return { synced: false };
-    },
+        await db.heldCarts.update(localId, { resumed: true, needsSync: true });
 
-    async delete(localId) {
-        const shift = await db.shifts.get(localId);
-        await db.shifts.delete(localId);
+        const operationId = await enqueue('heldCarts', 'release', localId);
+        return flush(operationId);
+    },
 
+    /**
+     * Merge carts parked on other registers and drop ones resumed elsewhere
+     */
+    async refresh(storeId) {
         const online = await isOnline();
-        if (online && shift?.serverId) {
-            try {
-                await shiftAPI.delete(shift.serverId);
-                return { synced: true };
-            } catch (error) {
-                console.error('Failed to sync shift delete:', error);
+        if (!online) return { success: false, reason: 'offline' };
+
+        try {
+            const serverCarts = await heldCartAPI.getAll();
+            const serverIds = new Set(serverCarts.map(c => c._id));
+
+            const localCarts = await db.heldCarts.where('storeId').equals(storeId).toArray();
+            for (const local of localCarts) {
+                if (local.serverId && !local.resumed && !serverIds.has(local.serverId)) {
+                    await db.heldCarts.delete(local.id);
+                }
             }
-        }
 
-        return { synced: false };
+            for (const serverCart of serverCarts) {
+                const existing = await db.heldCarts.where('serverId').equals(serverCart._id).first();
+                if (existing) continue;
+
+                const items = [];
+                for (const item of serverCart.items) {
+                    const product = await db.products.where('serverId').equals(item.productId).first();
+                    items.push({
+                        ...item,
+                        productId: product?.id ?? null,
+                        serverId: item.productId
+                    });
+                }
+                const customer = serverCart.customerId
+                    ? await db.customers.where('serverId').equals(serverCart.customerId).first()
+                    : null;
+
+                await db.heldCarts.add({
+                    storeId,
+                    label: serverCart.label,
+                    items,
+                    discount: serverCart.discount,
+                    discountType: serverCart.discountType,
+                    couponCodes: serverCart.couponCodes || [],
+                    customerId: customer?.id || null,
+                    notes: serverCart.notes,
+                    employeeServerId: serverCart.employeeId || null,
+                    serverId: serverCart._id,
+                    needsSync: false,
+                    createdAt: serverCart.createdAt
+                });
+            }
+
+            return { success: true };
+        } catch (error) {
+            console.error('Failed to refresh held carts:', error);
+            return { success: false, error: error.message };
+        }
     }
 };
 
 /**
- * Sales sync operations
+ * Map a local drawer session to the server shape
  */
-export const salesSync = {
-    async create(saleData, storeId) {
-        const localId = await db.sales.add({
-            ...saleData,
+const toDrawerPayload = (session) => Object.fromEntries(
+    Object.entries(session).filter(([field]) => !['id', 'serverId', 'storeId', 'needsSync'].includes(field))
+);
+
+/**
+ * Cash drawer sync operations
+ *
+ * A drawer is opened, counted and closed on the register, so sessions are
+ * kept in IndexedDB and pushed whole after each change; the server upserts
+ * them by clientId.
+ */
+export const drawerSync = {
+    /**
+     * The drawer currently open on a register, if any
+     */
+    async getOpen(storeId, registerId) {
+        return db.drawerSessions
+            .where('registerId').equals(registerId)
+            .filter(s => s.storeId === storeId && s.status === 'open')
+            .first();
+    },
+
+    async open(sessionData, storeId) {
+        const existing = await this.getOpen(storeId, sessionData.registerId);
+        if (existing) {
+            throw new Error('A drawer is already open on this register');
+        }
+
+        const localId = await db.drawerSessions.add({
+            ...sessionData,
             storeId,
-            createdAt: new Date().toISOString(),
+            clientId: randomUUID(),
+            status: 'open',
+            openedAt: new Date().toISOString(),
+            movements: [],
             needsSync: true
         });
 
-        const online = await isOnline();
-        if (online) {
-            try {
-                const serverSale = await salesAPI.create(saleData);
-                await db.sales.update(localId, {
-                    serverId: serverSale._id,
-                    needsSync: false
-                });
-                return { id: localId, serverId: serverSale._id, synced: true };
-            } catch (error) {
-                console.error('Failed to sync sale to server:', error);
-            }
+        await this.push(localId);
+        return db.drawerSessions.get(localId);
+    },
+
+    /**
+     * Record a drop, paid-in, paid-out or cash refund
+     */
+    async addMovement(localId, movement) {
+        const session = await db.drawerSessions.get(localId);
+        if (!session || session.status !== 'open') {
+            throw new Error('No open drawer');
+        }
+
+        await db.drawerSessions.update(localId, {
+            movements: [...session.movements, { ...movement, createdAt: new Date().toISOString() }],
+            needsSync: true
+        });
+
+        await this.push(localId);
+        return db.drawerSessions.get(localId);
+    },
+
+    /**
+     * Sales rung up on this register while the drawer was open
+     */
+    async getSales(session) {
+        const openedAt = new Date(session.openedAt);
+        const closedAt = session.closedAt ? new Date(session.closedAt) : new Date();
+
+        return db.sales
+            .where('storeId').equals(session.storeId)
+            .filter(s => s.registerId === session.registerId &&
+                new Date(s.createdAt) >= openedAt && new Date(s.createdAt) <= closedAt)
+            .toArray();
+    },
+
+    async getReport(session, type = 'X') {
+        return buildDrawerReport(session, await this.getSales(session), type);
+    },
+
+    /**
+     * Close the drawer with the cash counted, and store its Z report
+     */
+    async close(localId, { closingCount, closedBy, notes }) {
+        const session = await db.drawerSessions.get(localId);
+        if (!session || session.status !== 'open') {
+            throw new Error('No open drawer');
         }
 
-        return { id: localId, synced: false };
+        const closed = {
+            ...session,
+            status: 'closed',
+            closedAt: new Date().toISOString(),
+            closedBy,
+            closingCount,
+            countedCash: countTotal(closingCount),
+            notes: notes || ''
+        };
+        const report = await this.getReport(closed, 'Z');
+
+        await db.drawerSessions.update(localId, {
+            status: closed.status,
+            closedAt: closed.closedAt,
+            closedBy,
+            closingCount,
+            countedCash: closed.countedCash,
+            expectedCash: report.cash.expected,
+            variance: report.cash.variance,
+            report,
+            notes: closed.notes,
+            needsSync: true
+        });
+
+        await this.push(localId);
+        return db.drawerSessions.get(localId);
+    },
+
+    /**
+     * Queue the session as it stands; the server upserts it by clientId
+     */
+    async push(localId) {
+        const operationId = await enqueueLatest('drawerSessions', 'push', localId);
+        return flush(operationId);
     }
 };
 
 /**
- * Sync all pending local changes to server
+ * Send a stock take's queued counts and cache the stock take the server returns
  */
-export const syncPendingChanges = async () => {
-    try {
-        const online = await isOnline();
-        if (!online) {
-            return { success: false, error: 'You are offline. Check your internet connection.' };
+const sendCounts = async (serverId) => {
+    const pending = await stockTakeSync.getPending(serverId);
+    const entries = pending.map(({ clientId, lineId, mode, quantity, countedAt }) =>
+        ({ clientId, lineId, mode, quantity, countedAt }));
+    const stockTake = entries.length > 0
+        ? await stockTakeAPI.recordCounts(serverId, entries)
+        : await stockTakeAPI.getById(serverId);
+
+    await db.stockCounts.bulkDelete(pending.map(count => count.id));
+    const cached = await stockTakeSync.getCached(serverId);
+    await stockTakeSync.cache(stockTake, cached?.storeId ?? stockTake.storeId);
+    return stockTake;
+};
+
+/**
+ * Stock take sync operations
+ *
+ * Stock takes are started online, then the count sheet is cached so a phone
+ * can keep counting without a connection. Each scan or keyed count is queued
+ * in stockCounts with its own clientId and sent in batches; the server skips
+ * any it has already applied, so a batch that failed halfway is safe to resend.
+ */
+export const stockTakeSync = {
+    /**
+     * Fetch a stock take from the server and cache its count sheet
+     */
+    async download(serverId, storeId) {
+        const stockTake = await stockTakeAPI.getById(serverId);
+        await this.cache(stockTake, storeId);
+        return stockTake;
+    },
+
+    async cache(stockTake, storeId) {
+        const existing = await db.stockTakes.where('serverId').equals(stockTake._id).first();
+        const record = {
+            ...stockTake,
+            serverId: stockTake._id,
+            storeId,
+            createdAt: stockTake.createdAt
+        };
+        delete record._id;
+
+        if (existing) {
+            await db.stockTakes.update(existing.id, record);
+        } else {
+            await db.stockTakes.add(record);
         }
+    },
 
-        console.log('🔄 Syncing pending changes to server...');
-        let syncedCount = 0;
-        const errors = [];
+    async getCached(serverId) {
+        return db.stockTakes.where('serverId').equals(serverId).first();
+    },
+
+    async getCachedList(storeId) {
+        const stockTakes = await db.stockTakes.where('storeId').equals(storeId).toArray();
+        return stockTakes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    },
+
+    /**
+     * Counts recorded on this device that the server has not confirmed yet
+     */
+    async getPending(serverId) {
+        return db.stockCounts.where('stockTakeId').equals(serverId).toArray();
+    },
+
+    /**
+     * Record a count for a line and try to send it straight away
+     * @param {string} serverId - Stock take
+     * @param {string} lineId - Count line
+     * @param {number} quantity - Units scanned, or the line's full count
+     * @param {'add'|'set'} mode - Add to the count or replace it
+     */
+    async addCount(serverId, lineId, quantity, mode = 'add') {
+        await db.stockCounts.add({
+            stockTakeId: serverId,
+            lineId,
+            clientId: randomUUID(),
+            mode,
+            quantity,
+            countedAt: new Date().toISOString(),
+            needsSync: true
+        });
+        await enqueueLatest('stockTakes', 'counts', serverId);
+    },
+
+    /**
+     * Send the queued counts for a stock take
+     * @returns {Promise<{ synced: boolean, stockTake?: Object, error?: string }>}
+     */
+    async push(serverId) {
+        const online = await isOnline();
+        if (!online) return { synced: false };
 
-    // Sync products - find records without serverId OR with needsSync=true
-    const allProducts = await db.products.toArray();
-    const unsyncedProducts = allProducts.filter(p => !p.serverId || p.needsSync === true);
-    for (const product of unsyncedProducts) {
         try {
-            if (product.serverId) {
-                await productAPI.update(product.serverId, product);
-            } else {
-                const serverProduct = await productAPI.create(product);
-                await db.products.update(product.id, { serverId: serverProduct._id });
-            }
-            await db.products.update(product.id, { needsSync: false });
-            syncedCount++;
+            const stockTake = await sendCounts(serverId);
+            return { synced: true, stockTake };
         } catch (error) {
-            console.error('Failed to sync product:', product.name, error);
-            errors.push(`Product "${product.name}": ${error.message || error}`);
+            console.error('Failed to sync stock counts:', error);
+            return { synced: false, error: error.message || String(error) };
         }
-    }
+    },
 
-    // Sync customers
-    const allCustomers = await db.customers.toArray();
-    const unsyncedCustomers = allCustomers.filter(c => !c.serverId || c.needsSync === true);
-    for (const customer of unsyncedCustomers) {
-        try {
-            if (customer.serverId) {
-                await customerAPI.update(customer.serverId, customer);
-            } else {
-                const serverCustomer = await customerAPI.create(customer);
-                await db.customers.update(customer.id, { serverId: serverCustomer._id });
-            }
-            await db.customers.update(customer.id, { needsSync: false });
-            syncedCount++;
-        } catch (error) {
-            console.error('Failed to sync customer:', customer.name, error);
-            errors.push(`Customer "${customer.name}": ${error.message || error}`);
+    /**
+     * Drop queued counts, e.g. once the stock take has been cancelled
+     */
+    async discardPending(serverId) {
+        await db.stockCounts.where('stockTakeId').equals(serverId).delete();
+        await dropQueued('stockTakes', serverId);
+    },
+
+    /**
+     * Lines with this device's unsent counts applied on top, in the order
+     * they were recorded - the same way the server applies them
+     */
+    applyPendingCounts(lines, pending) {
+        const byLine = new Map(lines.map(line => [String(line._id), { ...line }]));
+        for (const count of pending) {
+            const line = byLine.get(String(count.lineId));
+            if (!line) continue;
+            const base = count.mode === 'set' ? 0 : (line.countedQuantity || 0);
+            line.countedQuantity = Math.max(0, base + count.quantity);
         }
+        return lines.map(line => byLine.get(String(line._id)));
     }
+};
 
-    // Sync employees
-    const allEmployees = await db.employees.toArray();
-    const unsyncedEmployees = allEmployees.filter(e => !e.serverId || e.needsSync === true);
-    for (const employee of unsyncedEmployees) {
-        try {
-            if (employee.serverId) {
-                await employeeAPI.update(employee.serverId, employee);
-            } else {
-                const serverEmployee = await employeeAPI.create(employee);
-                await db.employees.update(employee.id, { serverId: serverEmployee._id });
-            }
-            await db.employees.update(employee.id, { needsSync: false });
-            syncedCount++;
-        } catch (error) {
-            console.error('Failed to sync employee:', employee.name, error);
-            errors.push(`Employee "${employee.name}": ${error.message || error}`);
-        }
+
+/**
+ * Push one pending edit through the version-checked sync endpoint
+ *
+ * @returns {Object} { conflict } when the server could not apply or merge it,
+ *   { waitingFor } when a record it names has to sync first
+ */
+const pushUpdate = async (table, record, strategy = null) => {
+    const { data: outgoing, waitingFor } = await toServerRecord(table, record, 'update');
+    if (waitingFor) return { waitingFor };
+
+    // Only send edited fields when we know them; stock and totals move server-side
+    const { id, serverId, syncBase } = record;
+    const totals = SERVER_TOTALS[table] || [];
+    const fields = (syncBase ? Object.keys(syncBase) : Object.keys(outgoing))
+        .filter(field => !totals.includes(field));
+    const data = Object.fromEntries(fields.map(field => [field, outgoing[field]]));
+    const base = syncBase
+        ? Object.fromEntries(Object.entries(syncBase).filter(([field]) => !totals.includes(field)))
+        : undefined;
+
+    const { results } = await syncAPI.push([{
+        table,
+        action: 'update',
+        localId: id,
+        data: { ...data, _id: serverId },
+        baseVersion: record.syncVersion,
+        base,
+        strategy: strategy || undefined
+    }]);
+    const [result] = results;
+
+    if (result.conflict) {
+        return { conflict: { ...result, table, localId: id } };
+    }
+    if (!result.success) {
+        throw new Error(result.error || 'Update rejected by server');
     }
 
-    // Sync sales
-    const allSales = await db.sales.toArray();
-    const unsyncedSales = allSales.filter(s => !s.serverId || s.needsSync === true);
-    for (const sale of unsyncedSales) {
-        try {
-            if (!sale.serverId) {
-                const serverSale = await salesAPI.create(sale);
-                await db.sales.update(sale.id, { serverId: serverSale._id });
-            }
-            await db.sales.update(sale.id, { needsSync: false });
-            syncedCount++;
-        } catch (error) {
-            console.error('Failed to sync sale:', sale.id, error);
-            errors.push(`Sale #${sale.id}: ${error.message || error}`);
-        }
+    // Server copy wins for anything we didn't change, except local totals
+    // (queued sales and stock changes are not on the server yet) and
+    // references that are local ids here and server ids there
+    const serverData = Object.fromEntries(
+        Object.entries(result.data).filter(([field, value]) =>
+            field !== '_id' && !totals.includes(field) &&
+            !(typeof record[field] === 'number' && typeof value === 'string')
+        )
+    );
+    if (table === 'products' && serverData.variants) {
+        serverData.variants = serverData.variants.map(variant => {
+            const local = record.variants?.find(v => v._id === variant._id);
+            return local ? { ...variant, quantity: local.quantity } : variant;
+        });
     }
+    await db[table].update(id, { ...serverData, syncBase: null });
+    return {};
+};
 
-    console.log(`✅ Synced ${syncedCount} records`);
-    if (errors.length > 0) {
-        console.warn(`⚠️ ${errors.length} errors occurred:`, errors);
-        return {
-            success: false,
-            syncedCount,
-            error: `Synced ${syncedCount} records, but ${errors.length} failed. First error: ${errors[0]}`
-        };
+/**
+ * Apply the user's choice for a conflict returned by syncPendingChanges
+ *
+ * @param {Object} conflict - Conflict entry from syncPendingChanges
+ * @param {string} strategy - 'server', 'client' or 'merge'
+ * @param {Object} resolvedData - Record to keep (from ConflictResolver)
+ */
+export const resolveSyncConflict = async (conflict, strategy, resolvedData) => {
+    const record = await db[conflict.table].get(conflict.localId);
+    if (!record) return { success: false, error: 'Record no longer exists locally' };
+
+    // Keep only real record fields from the resolver's payload
+    const values = Object.fromEntries(
+        Object.entries(resolvedData || {}).filter(([field]) => field in record && !LOCAL_FIELDS.includes(field))
+    );
+
+    const result = await pushUpdate(conflict.table, {
+        ...record,
+        ...(strategy === 'server' ? {} : values),
+        id: record.id,
+        serverId: record.serverId,
+        syncVersion: conflict.serverVersion?.syncVersion
+    }, strategy);
+
+    if (result.conflict) {
+        return { success: false, conflict: result.conflict };
     }
-    return { success: true, syncedCount };
+    if (result.waitingFor) {
+        return { success: false, error: `Waiting for ${result.waitingFor} to sync` };
+    }
+
+    // The queued edit that raised the conflict has now been sent
+    const queued = await queuedFor(conflict.table, record.id);
+    await db.syncQueue.bulkDelete(queued.filter(op => op.action === 'update').map(op => op.id));
+    await settle(conflict.table, record.id);
+    return { success: true };
+};
+
+/**
+ * Sync all pending local changes to server
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Retry operations now rather than after their backoff
+ */
+export const syncPendingChanges = async (options = {}) => {
+    try {
+        console.log('🔄 Syncing pending changes to server...');
+        const summary = await replayQueue(options);
+        if (summary.offline) {
+            return { success: false, error: 'You are offline. Check your internet connection.' };
+        }
+
+        const { synced: syncedCount, conflicts } = summary;
+        console.log(`✅ Synced ${syncedCount} changes`);
+        for (const op of summary.waiting) {
+            console.warn(`${RECORD_NOUNS[op.tableName]} #${op.recordId} waits for ${op.waitingFor} to sync`);
+        }
+
+        if (summary.failed > 0) {
+            return {
+                success: false,
+                syncedCount,
+                conflicts,
+                error: `Synced ${syncedCount} changes, but ${summary.failed} failed and need review. Last error: ${summary.lastError}`
+            };
+        }
+        if (summary.retryAt) {
+            return {
+                success: false,
+                syncedCount,
+                conflicts,
+                error: `Synced ${syncedCount} changes; the rest will be retried at ${new Date(summary.retryAt).toLocaleTimeString()}. Last error: ${summary.lastError}`
+            };
+        }
+        if (conflicts.length > 0) {
+            console.warn(`⚠️ ${conflicts.length} conflicts need review`);
+        }
+        return { success: true, syncedCount, conflicts };
     } catch (error) {
         console.error('Sync failed with error:', error);
         return { success: false, error: error.message || 'Unknown sync error occurred' };
@@ -589,9 +1769,16 @@ export default {
     isOnline,
     syncFromServer,
     syncPendingChanges,
+    resolveSyncConflict,
+    syncQueue,
     product: productSync,
     customer: customerSync,
     employee: employeeSync,
     shift: shiftSync,
-    sales: salesSync
+    clockEvent: clockEventSync,
+    credit: creditSync,
+    sales: salesSync,
+    heldCart: heldCartSync,
+    drawer: drawerSync,
+    stockTake: stockTakeSync
 };
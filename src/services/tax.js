@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Tax Engine
+ *
+ * Works out per-line, per-rate tax for the cart so checkout keeps working
+ * offline. Mirrors server/services/taxService.js; keep the two in step.
+ *
+ * A line's tax class is its product's, then its category's, then the store
+ * default. Stores without tax classes charge their flat taxRate.
+ */
+
+import db from '../db';
+import { taxAPI } from './api';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const configKey = (storeId) => `taxConfig:${storeId}`;
+
+/**
+ * Load the store's tax configuration, falling back to the last copy cached
+ * for offline use
+ * @param {Object} store - Current store (for its flat taxRate fallback)
+ * @returns {Promise<{ classes: Array, pricesIncludeTax: boolean, fallbackRate: number, categoryTaxClasses: Object }>}
+ */
+export async function loadTaxConfig(store) {
+    let config = null;
+
+    try {
+        config = await taxAPI.getConfig();
+        await db.settings.put({ key: configKey(store.id), value: config });
+    } catch (error) {
+        console.warn('Using cached tax configuration:', error.message);
+        config = (await db.settings.get(configKey(store.id)))?.value || null;
+    }
+
+    // Category tax classes live with the (local) categories
+    const categories = await db.categories.where('storeId').equals(store.id).toArray();
+    const categoryTaxClasses = Object.fromEntries(
+        categories.filter(c => c.taxClassId).map(c => [c.id, c.taxClassId])
+    );
+
+    return {
+        classes: config?.classes || [],
+        pricesIncludeTax: !!config?.pricesIncludeTax,
+        fallbackRate: config?.fallbackRate ?? store.taxRate ?? 0,
+        categoryTaxClasses
+    };
+}
+
+/**
+ * Rates for a tax class, in the order they apply
+ */
+function resolveRates(config, taxClassId) {
+    const taxClass = (taxClassId && config.classes.find(c => c._id === taxClassId))
+        || config.classes.find(c => c.isDefault);
+
+    if (taxClass) {
+        return {
+            taxClassId: taxClass._id,
+            rates: [...taxClass.rates].sort((a, b) => (a.priority || 0) - (b.priority || 0))
+        };
+    }
+
+    return {
+        taxClassId: null,
+        rates: config.fallbackRate > 0
+            ? [{ name: 'Tax', rate: config.fallbackRate, compound: false }]
+            : []
+    };
+}
+
+/**
+ * Tax on a net amount; compound rates are charged on the amount plus the tax before them
+ */
+function applyRates(amount, rates) {
+    let accumulated = 0;
+    return rates.map(rate => {
+        const base = rate.compound ? amount + accumulated : amount;
+        const tax = base * (rate.rate / 100);
+        accumulated += tax;
+        return { name: rate.name, rate: rate.rate, compound: !!rate.compound, amount: tax };
+    });
+}
+
+/**
+ * Calculate tax for cart lines. The order discount is spread over the lines
+ * in proportion to their value before tax is worked out.
+ * @param {Array<{ price, quantity, promotionDiscount?, taxClassId?, categoryId? }>} lines - Cart lines
+ * @param {number} discount - Order-level discount amount
+ * @param {Object} config - Tax configuration from loadTaxConfig (or a flat rate number)
+ * @returns {{ lines: Array, taxes: Array, tax: number, pricesIncludeTax: boolean }}
+ */
+export function calculateTax(lines, discount, config) {
+    if (typeof config === 'number' || !config) {
+        config = { classes: [], pricesIncludeTax: false, fallbackRate: config || 0 };
+    }
+
+    // Promotions come off each line before the order discount is spread
+    const lineAmount = (line) => line.price * line.quantity - (line.promotionDiscount || 0);
+    const subtotal = lines.reduce((sum, line) => sum + lineAmount(line), 0);
+    const discountRatio = subtotal > 0 ? Math.min(discount || 0, subtotal) / subtotal : 0;
+
+    const taxedLines = lines.map(line => {
+        const { taxClassId, rates } = resolveRates(
+            config,
+            line.taxClassId || config.categoryTaxClasses?.[line.categoryId] || null
+        );
+        const amount = lineAmount(line) * (1 - discountRatio);
+
+        // Tax-inclusive prices: find the net amount that grows to the price once taxed
+        let net = amount;
+        if (config.pricesIncludeTax && rates.length > 0) {
+            const multiplier = 1 + applyRates(1, rates).reduce((sum, t) => sum + t.amount, 0);
+            net = amount / multiplier;
+        }
+
+        const taxes = applyRates(net, rates).map(t => ({ ...t, amount: roundCurrency(t.amount) }));
+        return {
+            ...line,
+            taxClassId,
+            taxes,
+            taxAmount: roundCurrency(taxes.reduce((sum, t) => sum + t.amount, 0))
+        };
+    });
+
+    // Total per rate for the cart summary and receipt
+    const byRate = new Map();
+    for (const line of taxedLines) {
+        for (const tax of line.taxes) {
+            const key = `${tax.name}|${tax.rate}|${tax.compound}`;
+            const entry = byRate.get(key) || { name: tax.name, rate: tax.rate, compound: tax.compound, amount: 0 };
+            entry.amount = roundCurrency(entry.amount + tax.amount);
+            byRate.set(key, entry);
+        }
+    }
+
+    return {
+        lines: taxedLines,
+        taxes: [...byRate.values()],
+        tax: roundCurrency(taxedLines.reduce((sum, line) => sum + line.taxAmount, 0)),
+        pricesIncludeTax: !!config.pricesIncludeTax
+    };
+}
+
+export default {
+    loadTaxConfig,
+    calculateTax
+};
@@ -17,7 +17,8 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 import db from '../db';
-import { authAPI, setAuthToken, checkAPIHealth, syncAPI } from '../services/api';
+import { authAPI, setAuthToken, checkAPIHealth } from '../services/api';
+import { syncFromServer as pullFromServer } from '../services/sync';
 import socketManager from '../services/socket';
 
 /**
@@ -459,62 +460,14 @@ export const useAuthStore = create(
              * Sync data from server to local IndexedDB
              */
             syncFromServer: async () => {
-                try {
-                    const { lastSync } = get();
-                    const data = await syncAPI.pull(lastSync);
-
-                    // Import data to IndexedDB
-                    if (data.products?.length) {
-                        for (const item of data.products) {
-                            const existing = await db.products.where('serverId').equals(item._id).first();
-                            if (existing) {
-                                await db.products.update(existing.id, { ...item, serverId: item._id });
-                            } else {
-                                await db.products.add({ ...item, serverId: item._id, storeId: get().store?.id });
-                            }
-                        }
-                    }
-
-                    if (data.categories?.length) {
-                        for (const item of data.categories) {
-                            const existing = await db.categories.where('serverId').equals(item._id).first();
-                            if (existing) {
-                                await db.categories.update(existing.id, { ...item, serverId: item._id });
-                            } else {
-                                await db.categories.add({ ...item, serverId: item._id, storeId: get().store?.id });
-                            }
-                        }
-                    }
+                const storeId = get().store?.id;
+                if (!storeId) return { success: false, error: 'No store selected' };
 
-                    if (data.customers?.length) {
-                        for (const item of data.customers) {
-                            const existing = await db.customers.where('serverId').equals(item._id).first();
-                            if (existing) {
-                                await db.customers.update(existing.id, { ...item, serverId: item._id });
-                            } else {
-                                await db.customers.add({ ...item, serverId: item._id, storeId: get().store?.id });
-                            }
-                        }
-                    }
-
-                    if (data.employees?.length) {
-                        for (const item of data.employees) {
-                            const existing = await db.employees.where('serverId').equals(item._id).first();
-                            if (existing) {
-                                await db.employees.update(existing.id, { ...item, serverId: item._id });
-                            } else {
-                                await db.employees.add({ ...item, serverId: item._id, storeId: get().store?.id });
-                            }
-                        }
-                    }
-
-                    set({ lastSync: data.syncedAt });
-                    console.log('✅ Synced data from server');
-                    return { success: true };
-                } catch (error) {
-                    console.error('Sync from server failed:', error);
-                    return { success: false, error: error.message };
+                const result = await pullFromServer(storeId);
+                if (result.success) {
+                    set({ lastSync: result.syncedAt });
                 }
+                return result;
             },
 
             /**
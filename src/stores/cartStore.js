@@ -1,4 +1,15 @@
 import { create } from 'zustand';
+import { heldCartSync } from '../services/sync';
+import { variantLabel } from '../utils/variants';
+import { calculateTax } from '../services/tax';
+import { evaluatePromotions } from '../services/promotions';
+
+// Cart lines are per product, or per variant for products with variants
+const getLineId = (productId, variantId) => (variantId ? `${productId}:${variantId}` : String(productId));
+
+const isDiscountActive = (product) => product.discountPercent &&
+    new Date() >= new Date(product.discountStart) &&
+    new Date() <= new Date(product.discountEnd);
 
 // Cart store for POS
 export const useCartStore = create((set, get) => ({
@@ -7,11 +18,14 @@ export const useCartStore = create((set, get) => ({
     discountType: 'percent', // 'percent' or 'fixed'
     customerId: null,
     notes: '',
+    promotions: [], // running promotions (from loadPromotions)
+    couponCodes: [],
 
-    // Add item to cart
-    addItem: (product, quantity = 1) => {
+    // Add item to cart (pass the variant for products with variants)
+    addItem: (product, quantity = 1, variant = null) => {
         const { items } = get();
-        const existingIndex = items.findIndex(item => item.productId === product.id);
+        const lineId = getLineId(product.id, variant?._id);
+        const existingIndex = items.findIndex(item => item.lineId === lineId);
 
         if (existingIndex >= 0) {
             // Update quantity
@@ -20,44 +34,49 @@ export const useCartStore = create((set, get) => ({
             set({ items: newItems });
         } else {
             // Add new item
-            const itemPrice = product.discountPercent &&
-                new Date() >= new Date(product.discountStart) &&
-                new Date() <= new Date(product.discountEnd)
-                ? product.price * (1 - product.discountPercent / 100)
-                : product.price;
+            const basePrice = variant?.price ?? product.price;
+            const itemPrice = isDiscountActive(product)
+                ? basePrice * (1 - product.discountPercent / 100)
+                : basePrice;
+            const variantName = variant ? variantLabel(variant) : null;
 
             set({
                 items: [...items, {
+                    lineId,
                     productId: product.id,
                     serverId: product.serverId, // MongoDB ObjectId for syncing
-                    name: product.name,
+                    variantId: variant?._id || null,
+                    variantName,
+                    name: variantName ? `${product.name} (${variantName})` : product.name,
                     price: itemPrice,
-                    originalPrice: product.price,
+                    originalPrice: basePrice,
                     quantity,
-                    imageUrl: product.imageUrl
+                    imageUrl: product.imageUrl,
+                    categoryId: product.categoryId ?? null,
+                    taxClassId: product.taxClassId || null
                 }]
             });
         }
     },
 
     // Update item quantity
-    updateQuantity: (productId, quantity) => {
+    updateQuantity: (lineId, quantity) => {
         if (quantity <= 0) {
-            get().removeItem(productId);
+            get().removeItem(lineId);
             return;
         }
 
         const { items } = get();
         const newItems = items.map(item =>
-            item.productId === productId ? { ...item, quantity } : item
+            item.lineId === lineId ? { ...item, quantity } : item
         );
         set({ items: newItems });
     },
 
     // Remove item from cart
-    removeItem: (productId) => {
+    removeItem: (lineId) => {
         const { items } = get();
-        set({ items: items.filter(item => item.productId !== productId) });
+        set({ items: items.filter(item => item.lineId !== lineId) });
     },
 
     // Set discount
@@ -65,6 +84,27 @@ export const useCartStore = create((set, get) => ({
         set({ discount, discountType: type });
     },
 
+    // Set the promotions the cart applies automatically
+    setPromotions: (promotions) => {
+        set({ promotions });
+    },
+
+    // Apply a coupon (the promotion it unlocks, from findCoupon)
+    applyCoupon: (promotion) => {
+        const { promotions, couponCodes } = get();
+        set({
+            promotions: promotions.some(p => p._id === promotion._id) ? promotions : [...promotions, promotion],
+            couponCodes: couponCodes.includes(promotion.couponCode)
+                ? couponCodes
+                : [...couponCodes, promotion.couponCode]
+        });
+    },
+
+    // Remove a coupon
+    removeCoupon: (code) => {
+        set({ couponCodes: get().couponCodes.filter(c => c !== code) });
+    },
+
     // Set customer
     setCustomer: (customerId) => {
         set({ customerId });
@@ -81,10 +121,21 @@ export const useCartStore = create((set, get) => ({
         return items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
     },
 
-    // Calculate discount amount
+    // Promotions applied to the cart, with each line's share of the discount
+    getPromotionBreakdown: () => {
+        const { items, promotions, couponCodes } = get();
+        return evaluatePromotions(items, promotions, { couponCodes });
+    },
+
+    // Calculate promotion discount
+    getPromotionDiscount: () => {
+        return get().getPromotionBreakdown().discount;
+    },
+
+    // Calculate discount amount (taken off what is left after promotions)
     getDiscountAmount: () => {
         const { discount, discountType } = get();
-        const subtotal = get().getSubtotal();
+        const subtotal = get().getSubtotal() - get().getPromotionDiscount();
 
         if (discountType === 'percent') {
             return subtotal * (discount / 100);
@@ -92,19 +143,24 @@ export const useCartStore = create((set, get) => ({
         return Math.min(discount, subtotal);
     },
 
+    // Per-line and per-rate tax (taxConfig from loadTaxConfig, or a flat rate)
+    getTaxBreakdown: (taxConfig = 0) => {
+        const { lines } = get().getPromotionBreakdown();
+        return calculateTax(lines, get().getDiscountAmount(), taxConfig);
+    },
+
     // Calculate tax
-    getTax: (taxRate = 0) => {
-        const subtotal = get().getSubtotal();
-        const discountAmount = get().getDiscountAmount();
-        return (subtotal - discountAmount) * (taxRate / 100);
+    getTax: (taxConfig = 0) => {
+        return get().getTaxBreakdown(taxConfig).tax;
     },
 
-    // Calculate total
-    getTotal: (taxRate = 0) => {
+    // Calculate total (tax-inclusive prices already carry their tax)
+    getTotal: (taxConfig = 0) => {
         const subtotal = get().getSubtotal();
+        const promotionDiscount = get().getPromotionDiscount();
         const discountAmount = get().getDiscountAmount();
-        const tax = get().getTax(taxRate);
-        return subtotal - discountAmount + tax;
+        const { tax, pricesIncludeTax } = get().getTaxBreakdown(taxConfig);
+        return subtotal - promotionDiscount - discountAmount + (pricesIncludeTax ? 0 : tax);
     },
 
     // Get item count
@@ -113,12 +169,53 @@ export const useCartStore = create((set, get) => ({
         return items.reduce((sum, item) => sum + item.quantity, 0);
     },
 
+    // Park the current cart so the next customer can be served
+    parkCart: async (storeId, { label, customerId = null, employeeId = null, employeeServerId = null }) => {
+        const { items, discount, discountType, couponCodes, notes } = get();
+        if (items.length === 0) return null;
+
+        const result = await heldCartSync.park({
+            label,
+            items,
+            discount,
+            discountType,
+            couponCodes,
+            customerId: customerId ?? get().customerId,
+            notes,
+            employeeId,
+            employeeServerId
+        }, storeId);
+
+        get().clearCart();
+        return result;
+    },
+
+    // Resume a parked cart, replacing the current (empty) cart
+    resumeCart: async (heldCartId) => {
+        const heldCart = await heldCartSync.resume(heldCartId);
+
+        set({
+            items: heldCart.items.map(item => ({
+                ...item,
+                lineId: item.lineId || getLineId(item.productId, item.variantId)
+            })),
+            discount: heldCart.discount || 0,
+            discountType: heldCart.discountType || 'percent',
+            couponCodes: heldCart.couponCodes || [],
+            customerId: heldCart.customerId || null,
+            notes: heldCart.notes || ''
+        });
+
+        return heldCart;
+    },
+
     // Clear cart
     clearCart: () => {
         set({
             items: [],
             discount: 0,
             discountType: 'percent',
+            couponCodes: [],
             customerId: null,
             notes: ''
         });
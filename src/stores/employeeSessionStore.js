@@ -8,6 +8,7 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 import db from '../db';
+import { clockEventSync } from '../services/sync';
 
 export const useEmployeeSession = create(
     persist(
@@ -68,17 +69,15 @@ export const useEmployeeSession = create(
                 if (!currentEmployee) return { success: false, error: 'No employee logged in' };
 
                 try {
-                    const clockEventId = await db.clockEvents.add({
-                        storeId,
+                    const { id } = await clockEventSync.create({
                         employeeId: currentEmployee.id,
                         clockIn: new Date().toISOString(),
                         clockOut: null,
                         salesCount: 0,
-                        salesTotal: 0,
-                        createdAt: new Date().toISOString()
-                    });
+                        salesTotal: 0
+                    }, storeId);
 
-                    const clockEvent = await db.clockEvents.get(clockEventId);
+                    const clockEvent = await db.clockEvents.get(id);
                     set({ currentClockEvent: clockEvent });
 
                     return { success: true, clockEvent };
@@ -95,7 +94,7 @@ export const useEmployeeSession = create(
                 if (!currentClockEvent) return { success: false, error: 'Not clocked in' };
 
                 try {
-                    await db.clockEvents.update(currentClockEvent.id, {
+                    await clockEventSync.update(currentClockEvent.id, {
                         clockOut: new Date().toISOString()
                     });
 
@@ -131,7 +130,7 @@ export const useEmployeeSession = create(
                 // Clock out if currently clocked in
                 if (currentClockEvent) {
                     try {
-                        await db.clockEvents.update(currentClockEvent.id, {
+                        await clockEventSync.update(currentClockEvent.id, {
                             clockOut: new Date().toISOString()
                         });
                     } catch (error) {
@@ -151,7 +150,7 @@ export const useEmployeeSession = create(
                 if (!currentClockEvent) return;
 
                 try {
-                    await db.clockEvents.update(currentClockEvent.id, {
+                    await clockEventSync.update(currentClockEvent.id, {
                         salesCount: (currentClockEvent.salesCount || 0) + 1,
                         salesTotal: (currentClockEvent.salesTotal || 0) + saleTotal
                     });
@@ -31,6 +31,8 @@ export async function resetLocalDatabase() {
             'clockEvents',
             'suppliers',
             'purchaseOrders',
+            'stockTakes',
+            'stockCounts',
             'settings',
             'sessions',
             'syncQueue'
@@ -125,6 +127,8 @@ export async function clearTransactionData() {
         'clockEvents',
         'suppliers',
         'purchaseOrders',
+        'stockTakes',
+        'stockCounts',
         'syncQueue'
     ];
 
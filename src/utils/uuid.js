@@ -0,0 +1,24 @@
+/**
+ * @fileoverview UUID Utilities
+ *
+ * crypto.randomUUID only exists in secure contexts (HTTPS or localhost), and
+ * registers are often opened over plain HTTP on the shop's network.
+ */
+
+/**
+ * Generate a random (version 4) UUID
+ * @returns {string} e.g. "3b241101-e2bb-4255-8caf-4136c566a962"
+ */
+export function randomUUID() {
+    if (typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+
+    // getRandomValues is available outside secure contexts too
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40; // version 4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Product Variant Utilities
+ *
+ * Helpers for products sold in several options (e.g. size and colour),
+ * each combination being a variant with its own SKU, barcode, price and stock.
+ */
+
+/**
+ * Generate a variant id. Variants are created offline, so the id is made
+ * here in ObjectId form and kept by the server.
+ * @returns {string} 24-character hex id
+ */
+export function newVariantId() {
+    const timestamp = Math.floor(Date.now() / 1000).toString(16).padStart(8, '0');
+    const random = Array.from(crypto.getRandomValues(new Uint8Array(8)))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+    return timestamp + random;
+}
+
+/**
+ * Human-readable variant label, e.g. "M / Red"
+ * @param {Object} variant - Variant with an options map
+ * @returns {string}
+ */
+export function variantLabel(variant) {
+    return Object.values(variant?.options || {}).filter(Boolean).join(' / ');
+}
+
+/**
+ * Whether a product is sold by variant
+ * @param {Object} product - Product
+ * @returns {boolean}
+ */
+export function hasVariants(product) {
+    return (product?.variants || []).some(v => v.isActive !== false);
+}
+
+/**
+ * Every combination of the option axes as a variant. Combinations that
+ * already exist keep their id, identifiers, price and stock.
+ * @param {Array<{name: string, values: string[]}>} options - Option axes
+ * @param {Array} [existing] - Current variants
+ * @returns {Array} Variants
+ */
+export function buildVariantCombinations(options, existing = []) {
+    const axes = options.filter(o => o.name && o.values.length > 0);
+    if (axes.length === 0) return [];
+
+    const combinations = axes.reduce(
+        (acc, axis) => acc.flatMap(combo => axis.values.map(value => ({ ...combo, [axis.name]: value }))),
+        [{}]
+    );
+
+    const keyOf = (opts) => axes.map(axis => opts[axis.name] ?? '').join('\u0000');
+    const byKey = new Map(existing.map(v => [keyOf(v.options || {}), v]));
+
+    return combinations.map(combo => byKey.get(keyOf(combo)) || {
+        _id: newVariantId(),
+        options: combo,
+        sku: '',
+        barcode: '',
+        price: null,
+        costPrice: null,
+        quantity: 0,
+        isActive: true
+    });
+}
+
+/**
+ * Option axes as editable rows, with the values as free text
+ * @param {Array<{name: string, values: string[]}>} [options] - Option axes
+ * @returns {Array<{name: string, valuesText: string}>}
+ */
+export function toOptionRows(options = []) {
+    return options.map(o => ({ name: o.name, valuesText: o.values.join(', ') }));
+}
+
+/**
+ * Parse edited option rows back into option axes, dropping empty ones
+ * @param {Array<{name: string, valuesText: string}>} rows - Option rows
+ * @returns {Array<{name: string, values: string[]}>}
+ */
+export function fromOptionRows(rows) {
+    return rows
+        .map(row => ({
+            name: row.name.trim(),
+            values: [...new Set(row.valuesText.split(',').map(v => v.trim()).filter(Boolean))]
+        }))
+        .filter(o => o.name && o.values.length > 0);
+}
+
+/**
+ * Find the product (and variant) a scanned barcode or SKU belongs to
+ * @param {Array} products - Products to search
+ * @param {string} code - Barcode or SKU
+ * @returns {{product: Object, variant: Object|null}|null}
+ */
+export function findByCode(products, code) {
+    if (!code) return null;
+
+    for (const product of products) {
+        const variant = (product.variants || []).find(v => v.barcode === code || v.sku === code);
+        if (variant) return { product, variant };
+        if (product.barcode === code || product.sku === code) return { product, variant: null };
+    }
+    return null;
+}